@@ -141,6 +141,26 @@ async function getRowCount(table, filters = {}) {
     }
 }
 
+/**
+ * Read every row of a query page by page (Supabase returns at most 1000 rows per request)
+ * @param {Function} buildQuery - Returns a fresh filtered query with a unique sort order
+ * @param {number} [pageSize] - Rows per request
+ * @returns {Object} { data: Array, error: string|null }
+ */
+async function fetchAllPages(buildQuery, pageSize = 1000) {
+    const rows = [];
+    for (let from = 0; ; from += pageSize) {
+        const { data, error } = await buildQuery().range(from, from + pageSize - 1);
+        if (error) {
+            return { data: null, error: error.message };
+        }
+        rows.push(...data);
+        if (data.length < pageSize) {
+            return { data: rows, error: null };
+        }
+    }
+}
+
 /**
  * Real-time subscription to table changes
  */
@@ -203,6 +223,10 @@ async function getAllEmployees(filters = {}) {
             query = query.eq('department_id', filters.department);
         }
         
+        if (filters.site) {
+            query = query.eq('work_site', filters.site);
+        }
+        
         // Default: only active employees
         if (filters.includeInactive !== true) {
             query = query.eq('is_active', true);
@@ -285,6 +309,8 @@ async function createEmployee(employeeData) {
             division_id: employeeData.division_id,
             position_id: employeeData.position_id,
             ptkp_id: employeeData.ptkp_id,
+            work_site: employeeData.work_site,
+            work_schedule_template_id: employeeData.work_schedule_template_id,
             employment_status: employeeData.employment_status,
             join_date: employeeData.join_date,
             is_active: employeeData.is_active !== undefined ? employeeData.is_active : true,
@@ -349,6 +375,8 @@ async function updateEmployee(id, employeeData) {
             division_id: employeeData.division_id,
             position_id: employeeData.position_id,
             ptkp_id: employeeData.ptkp_id,
+            work_site: employeeData.work_site,
+            work_schedule_template_id: employeeData.work_schedule_template_id,
             employment_status: employeeData.employment_status,
             join_date: employeeData.join_date,
             resign_date: employeeData.resign_date,
@@ -749,38 +777,67 @@ async function deleteWarningLetter(letterId) {
 // ================================================
 
 /**
- * Get all attendance records with filters
+ * Get the [start, end) date bounds of a month
+ * @param {string} month - Month (YYYY-MM)
+ * @returns {{start: string, end: string}} ISO dates, end = first day of next month
+ */
+function getMonthDateRange(month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const next = monthNumber === 12 ? `${year + 1}-01` : `${year}-${String(monthNumber + 1).padStart(2, '0')}`;
+    return { start: `${month}-01`, end: `${next}-01` };
+}
+
+/**
+ * Get all attendance records with filters (all pages)
+ * @param {Object} filters - {date, from, to, month (YYYY-MM), employee_id, employee_ids}
  */
 async function getAllAttendance(filters = {}) {
-    try {
+    const buildQuery = () => {
         let query = getDB()
             .from('attendance')
             .select(`
                 *,
                 employees (
-                    name,
-                    employee_id,
-                    department
+                    id,
+                    full_name,
+                    employee_code,
+                    work_site,
+                    department_id,
+                    departments:department_id (id, name)
                 )
             `)
-            .order('date', { ascending: false });
+            .order('date', { ascending: false })
+            .order('id', { ascending: true });
         
         if (filters.date) {
             query = query.eq('date', filters.date);
         }
+        if (filters.from) {
+            query = query.gte('date', filters.from);
+        }
+        if (filters.to) {
+            query = query.lte('date', filters.to);
+        }
         if (filters.employee_id) {
             query = query.eq('employee_id', filters.employee_id);
         }
+        if (filters.employee_ids) {
+            query = query.in('employee_id', filters.employee_ids);
+        }
         if (filters.month) {
-            query = query.gte('date', `${filters.month}-01`)
-                         .lt('date', `${filters.month}-32`);
+            const range = getMonthDateRange(filters.month);
+            query = query.gte('date', range.start)
+                         .lt('date', range.end);
         }
-        
-        const { data, error } = await query;
+        return query;
+    };
+    
+    try {
+        const { data, error } = await fetchAllPages(buildQuery);
         
         if (error) {
             console.error('❌ Get attendance error:', error);
-            return { data: null, error: error.message };
+            return { data: null, error };
         }
         
         console.log(`✅ Retrieved ${data.length} attendance records`);
@@ -792,14 +849,153 @@ async function getAllAttendance(filters = {}) {
     }
 }
 
+/**
+ * Who is punching: the employee record of the signed-in user (same email) and whether they are HR
+ * ⚠️ The HR check uses leave-approval.js (LeaveApproval.isHrRole); without it nobody counts as HR
+ * @returns {Object} { data: {email, employee_id, is_hr}, error: string|null }
+ */
+async function getPunchActor() {
+    const session = await checkAuth();
+    if (!session) {
+        return { data: null, error: 'Not authenticated' };
+    }
+
+    const email = (session.user.email || '').toLowerCase();
+    const { data: employees, error } = await getDB()
+        .from('employees')
+        .select('id, email')
+        .ilike('email', email);
+
+    if (error) {
+        console.error('❌ Punch actor error:', error);
+        return { data: null, error: error.message };
+    }
+
+    const self = (employees || []).find(employee => (employee.email || '').toLowerCase() === email);
+    return {
+        data: {
+            email,
+            employee_id: self?.id || null,
+            is_hr: typeof window.LeaveApproval !== 'undefined'
+                && window.LeaveApproval.isHrRole(session.user.user_metadata?.role)
+        },
+        error: null
+    };
+}
+
+/**
+ * Check that the signed-in user may punch for an employee
+ * Employees punch for themselves; HR may punch for others, which is flagged for review.
+ * @param {string} employeeId - Employee UUID being punched
+ * @param {string} label - 'clock in' | 'clock out'
+ * @returns {Object} { data: {recorded_by: string|null}, error: string|null }
+ */
+async function authorizePunch(employeeId, label) {
+    const { data: actor, error } = await getPunchActor();
+    if (error) return { data: null, error };
+
+    if (actor.employee_id === employeeId) {
+        return { data: { recorded_by: null }, error: null };
+    }
+    if (!actor.is_hr) {
+        return { data: null, error: `You can only ${label} for yourself` };
+    }
+    return { data: { recorded_by: actor.email }, error: null };
+}
+
+/**
+ * Store the evidence of a clock-in/out punch and check it against the site geofences
+ * The selfie goes to the `attendance` storage bucket. Punches outside the geofence,
+ * without location or without a photo, or recorded by HR for someone else are saved
+ * but flagged for HR review.
+ * @param {string} employeeId - Employee UUID
+ * @param {string} date - Attendance date (YYYY-MM-DD)
+ * @param {string} punchType - 'clock_in' | 'clock_out'
+ * @param {Object} evidence - {latitude, longitude, accuracy, photo (Blob)}
+ * @param {string|null} [recordedBy] - Email of the HR user punching on the employee's behalf
+ * @returns {Object} { data: attendance columns (<punchType>_latitude … _in_fence, needs_review, review_reasons),
+ *                     error: string|null }
+ */
+async function captureAttendancePunch(employeeId, date, punchType, evidence = {}, recordedBy = null) {
+    let photoUrl = null;
+    if (evidence.photo) {
+        const path = `${employeeId}/${date}/${punchType}-${Date.now()}.jpg`;
+        const { data: upload, error: uploadError } = await uploadFile(evidence.photo, 'attendance', path);
+        if (uploadError) {
+            console.warn('⚠️ Selfie upload failed:', uploadError);
+        }
+        photoUrl = upload?.publicUrl || null;
+    }
+    
+    const { data: employee, error: employeeError } = await getDB()
+        .from('employees')
+        .select('work_site')
+        .eq('id', employeeId)
+        .single();
+    
+    if (employeeError) {
+        console.error('❌ Punch employee error:', employeeError);
+        return { data: null, error: employeeError.message };
+    }
+    
+    // Without the fences every punch would pass unchecked
+    const { data: geofences, error: geofenceError } = await getDB()
+        .from('attendance_geofences')
+        .select('*')
+        .eq('is_active', true)
+        .eq('site_type', employee.work_site || 'Office');
+    
+    if (geofenceError) {
+        console.error('❌ Punch geofence error:', geofenceError);
+        return { data: null, error: geofenceError.message };
+    }
+    
+    const hasPosition = evidence.latitude !== null && evidence.latitude !== undefined;
+    const position = hasPosition
+        ? { latitude: evidence.latitude, longitude: evidence.longitude, accuracy: evidence.accuracy }
+        : null;
+    
+    const check = typeof window.AttendanceEngine !== 'undefined'
+        ? window.AttendanceEngine.evaluatePunch({ position, has_photo: Boolean(photoUrl) }, geofences || [])
+        : { in_fence: null, geofence_id: null, distance_meters: null, needs_review: true, review_reasons: ['Punch not verified'] };
+    
+    const label = punchType === 'clock_in' ? 'Clock in' : 'Clock out';
+    const reasons = recordedBy
+        ? [...check.review_reasons, `Recorded by ${recordedBy} on behalf of the employee`]
+        : check.review_reasons;
+    
+    return {
+        data: {
+            [`${punchType}_latitude`]: position?.latitude ?? null,
+            [`${punchType}_longitude`]: position?.longitude ?? null,
+            [`${punchType}_accuracy`]: position?.accuracy ?? null,
+            [`${punchType}_photo_url`]: photoUrl,
+            [`${punchType}_geofence_id`]: check.geofence_id,
+            [`${punchType}_distance_meters`]: check.distance_meters,
+            [`${punchType}_in_fence`]: check.in_fence,
+            needs_review: check.needs_review || Boolean(recordedBy),
+            review_reasons: reasons.map(reason => `${label}: ${reason}`)
+        },
+        error: null
+    };
+}
+
 /**
  * Clock in employee
+ * Only the signed-in employee, or HR on their behalf (flagged for review)
+ * @param {string} employeeId - Employee UUID
+ * @param {Object} [evidence] - {latitude, longitude, accuracy, photo} from the browser
  */
-async function clockIn(employeeId) {
+async function clockIn(employeeId, evidence = {}) {
     try {
         const currentDate = getCurrentDate();
         const currentTime = getCurrentTime();
         
+        const { data: access, error: accessError } = await authorizePunch(employeeId, 'clock in');
+        if (accessError) {
+            return { data: null, error: accessError };
+        }
+        
         const { data: existing } = await getDB()
             .from('attendance')
             .select('*')
@@ -811,14 +1007,23 @@ async function clockIn(employeeId) {
             return { data: null, error: 'Already clocked in today' };
         }
         
+        const record = {
+            employee_id: employeeId,
+            date: currentDate,
+            clock_in: currentTime,
+            status: 'present'
+        };
+        const evaluation = await evaluateAttendanceRecord(employeeId, record);
+        const { data: punch, error: punchError } = await captureAttendancePunch(
+            employeeId, currentDate, 'clock_in', evidence, access.recorded_by
+        );
+        if (punchError) {
+            return { data: null, error: punchError };
+        }
+        
         const { data, error } = await getDB()
             .from('attendance')
-            .insert([{
-                employee_id: employeeId,
-                date: currentDate,
-                clock_in: currentTime,
-                status: 'present'
-            }])
+            .insert([{ ...record, ...evaluation, ...punch }])
             .select();
         
         if (error) {
@@ -837,15 +1042,49 @@ async function clockIn(employeeId) {
 
 /**
  * Clock out employee
+ * Only the signed-in employee, or HR on their behalf (flagged for review)
+ * @param {string} attendanceId - Attendance UUID
+ * @param {Object} [evidence] - {latitude, longitude, accuracy, photo} from the browser
  */
-async function clockOut(attendanceId) {
+async function clockOut(attendanceId, evidence = {}) {
     try {
         const currentTime = getCurrentTime();
         
+        const { data: existing, error: existingError } = await getDB()
+            .from('attendance')
+            .select('employee_id, date, clock_in, status, needs_review, review_reasons')
+            .eq('id', attendanceId)
+            .single();
+        
+        if (existingError) {
+            console.error('❌ Clock out error:', existingError);
+            return { data: null, error: existingError.message };
+        }
+        
+        const { data: access, error: accessError } = await authorizePunch(existing.employee_id, 'clock out');
+        if (accessError) {
+            return { data: null, error: accessError };
+        }
+        
+        const evaluation = await evaluateAttendanceRecord(existing.employee_id, {
+            ...existing,
+            clock_out: currentTime
+        });
+        const { data: punch, error: punchError } = await captureAttendancePunch(
+            existing.employee_id, existing.date, 'clock_out', evidence, access.recorded_by
+        );
+        if (punchError) {
+            return { data: null, error: punchError };
+        }
+        
         const { data, error } = await getDB()
             .from('attendance')
             .update({
-                clock_out: currentTime
+                clock_out: currentTime,
+                ...evaluation,
+                ...punch,
+                needs_review: Boolean(existing.needs_review) || punch.needs_review,
+                review_reasons: [...(existing.review_reasons || []), ...punch.review_reasons]
             })
             .eq('id', attendanceId)
             .select();
@@ -869,12 +1108,13 @@ async function clockOut(attendanceId) {
  */
 async function getAttendanceSummary(employeeId, month) {
     try {
+        const range = getMonthDateRange(month);
         const { data, error } = await getDB()
             .from('attendance')
             .select('*')
             .eq('employee_id', employeeId)
-            .gte('date', `${month}-01`)
-            .lt('date', `${month}-32`);
+            .gte('date', range.start)
+            .lt('date', range.end);
         
         if (error) {
             console.error('❌ Get attendance summary error:', error);
@@ -898,13 +1138,378 @@ async function getAttendanceSummary(employeeId, month) {
     }
 }
 
+/**
+ * Mark a flagged punch as reviewed by HR
+ * @param {string} attendanceId - Attendance UUID
+ * @param {string} [note] - Review note
+ */
+async function reviewAttendancePunch(attendanceId, note = '') {
+    try {
+        const session = await checkAuth();
+        
+        const { data, error } = await getDB()
+            .from('attendance')
+            .update({
+                needs_review: false,
+                review_note: note.trim() || null,
+                reviewed_by: session?.user?.id || null,
+                reviewed_at: new Date().toISOString()
+            })
+            .eq('id', attendanceId)
+            .select();
+        
+        if (error) {
+            console.error('❌ Review punch error:', error);
+            return { data: null, error: error.message };
+        }
+        
+        console.log('✅ Punch reviewed');
+        return { data: data[0], error: null };
+        
+    } catch (error) {
+        console.error('❌ Review punch failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Get the work schedule template (with shifts) assigned to an employee
+ * @param {string} employeeId - Employee UUID
+ * @returns {Object} { data: template|null, error }
+ */
+async function getEmployeeWorkSchedule(employeeId) {
+    try {
+        const { data, error } = await getDB()
+            .from('employees')
+            .select(`
+                work_schedule_template_id,
+                work_schedule_templates:work_schedule_template_id (
+                    *,
+                    shifts:work_schedule_shifts(*)
+                )
+            `)
+            .eq('id', employeeId)
+            .single();
+        
+        if (error) {
+            console.error('❌ Get employee schedule error:', error);
+            return { data: null, error: error.message };
+        }
+        
+        return { data: data?.work_schedule_templates || null, error: null };
+        
+    } catch (error) {
+        console.error('❌ Get employee schedule failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Evaluate an attendance record against the employee's assigned shift
+ * Returns the columns to persist (status, late/early-leave/overtime/worked minutes),
+ * or an empty object when the engine is not loaded or no schedule can be read.
+ * @param {string} employeeId - Employee UUID
+ * @param {Object} record - {date, clock_in, clock_out, status}
+ */
+async function evaluateAttendanceRecord(employeeId, record) {
+    if (typeof window.AttendanceEngine === 'undefined') {
+        console.warn('⚠️ AttendanceEngine not loaded, attendance saved without schedule evaluation');
+        return {};
+    }
+    
+    const { data: template, error } = await getEmployeeWorkSchedule(employeeId);
+    if (error) return {};
+    
+    const evaluation = window.AttendanceEngine.evaluateAttendance(record, template);
+    return window.AttendanceEngine.toAttendanceFields(evaluation);
+}
+
+/**
+ * Manually correct (or create) an attendance record
+ * The first correction keeps the machine/self-service punches in original_clock_in/out.
+ * A clock out before the clock in ends the next day (overnight shifts).
+ * The status chosen by HR is kept; lateness/overtime minutes are re-evaluated.
+ * @param {string|null} attendanceId - Attendance UUID (null to create a missing day)
+ * @param {Object} correction - {employee_id, date, clock_in, clock_out, status, reason}
+ */
+async function correctAttendance(attendanceId, correction) {
+    try {
+        if (!correction?.reason || !correction.reason.trim()) {
+            return { data: null, error: 'Correction reason is required' };
+        }
+        if (correction.clock_in && correction.clock_out && correction.clock_out === correction.clock_in) {
+            return { data: null, error: 'Clock out must differ from clock in' };
+        }
+
+        const db = getDB();
+        const session = await checkAuth();
+
+        const payload = {
+            clock_in: correction.clock_in || null,
+            clock_out: correction.clock_out || null,
+            status: correction.status,
+            correction_reason: correction.reason.trim(),
+            corrected_by: session?.user?.id || null,
+            corrected_at: new Date().toISOString()
+        };
+
+        let query;
+        if (attendanceId) {
+            const { data: existing, error: existingError } = await db
+                .from('attendance')
+                .select('employee_id, date, clock_in, clock_out, corrected_at')
+                .eq('id', attendanceId)
+                .single();
+            if (existingError) {
+                return { data: null, error: existingError.message };
+            }
+            if (!existing.corrected_at) {
+                payload.original_clock_in = existing.clock_in;
+                payload.original_clock_out = existing.clock_out;
+            }
+            const evaluation = await evaluateAttendanceRecord(existing.employee_id, { ...payload, date: existing.date });
+            Object.assign(payload, evaluation, { status: correction.status });
+            query = db.from('attendance').update(payload).eq('id', attendanceId);
+        } else {
+            if (!correction.employee_id || !correction.date) {
+                return { data: null, error: 'Employee and date are required' };
+            }
+            const evaluation = await evaluateAttendanceRecord(correction.employee_id, { ...payload, date: correction.date });
+            Object.assign(payload, evaluation, { status: correction.status });
+            query = db.from('attendance').insert([{
+                ...payload,
+                employee_id: correction.employee_id,
+                date: correction.date
+            }]);
+        }
+
+        const { data, error } = await query.select();
+        
+        if (error) {
+            console.error('❌ Correct attendance error:', error);
+            return { data: null, error: error.message };
+        }
+        
+        console.log('✅ Attendance corrected');
+        return { data: data[0], error: null };
+        
+    } catch (error) {
+        console.error('❌ Correct attendance failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Import punches from an attendance machine export (ZKTeco / Solution)
+ * Raw scans are kept in attendance_machine_punches (unique per employee_id + punched_at), so
+ * re-importing an overlapping file only adds the new scans. Every day touched by the file is then
+ * re-paired from all stored scans of that day: first scan = clock in, last scan = clock out.
+ * Days corrected by HR or punched through self-service clock-in are left untouched.
+ * @param {Array} punches - Parsed punches from AttendanceImport.parseMachineLog
+ * @param {Object} [options] - {format, file_name}
+ * @returns {Object} { data: {total_punches, new_punches, duplicate_punches, unmatched, inserted, updated, unchanged, skipped}, error }
+ */
+async function importAttendanceMachineLog(punches, options = {}) {
+    try {
+        if (typeof window.AttendanceImport === 'undefined') {
+            return { data: null, error: 'AttendanceImport not loaded' };
+        }
+        const importer = window.AttendanceImport;
+        const engine = window.AttendanceEngine;
+        const db = getDB();
+        const session = await checkAuth();
+
+        // Resigned employees keep their machine IDs for back-dated imports
+        const { data: employees, error: employeesError } = await db
+            .from('employees')
+            .select(`
+                id,
+                employee_code,
+                full_name,
+                work_schedule_templates:work_schedule_template_id (
+                    *,
+                    shifts:work_schedule_shifts(*)
+                )
+            `);
+        if (employeesError) {
+            return { data: null, error: employeesError.message };
+        }
+
+        const { matched, unmatched } = importer.matchEmployees(punches, employees);
+        const summary = {
+            total_punches: punches.length,
+            new_punches: 0,
+            duplicate_punches: 0,
+            unmatched,
+            inserted: 0,
+            updated: 0,
+            unchanged: 0,
+            skipped: []
+        };
+        if (matched.length === 0) {
+            return { data: summary, error: null };
+        }
+
+        // 1. Store raw scans; scans already imported are ignored by the unique key
+        const importedAt = new Date().toISOString();
+        const rows = new Map();
+        matched.forEach(punch => {
+            const punchedAt = importer.getPunchTimestamp(punch);
+            rows.set(`${punch.employee_id}|${punchedAt}`, {
+                employee_id: punch.employee_id,
+                machine_user_id: punch.machine_user_id,
+                punched_at: punchedAt,
+                machine_state: punch.state || null,
+                source_format: options.format || null,
+                file_name: options.file_name || null,
+                imported_by: session?.user?.id || null,
+                imported_at: importedAt
+            });
+        });
+
+        const rawRows = [...rows.values()];
+        for (let i = 0; i < rawRows.length; i += 500) {
+            const { data: stored, error: storeError } = await db
+                .from('attendance_machine_punches')
+                .upsert(rawRows.slice(i, i + 500), { onConflict: 'employee_id,punched_at', ignoreDuplicates: true })
+                .select('id');
+            if (storeError) {
+                console.error('❌ Store machine punches error:', storeError);
+                return { data: null, error: storeError.message };
+            }
+            summary.new_punches += stored.length;
+        }
+        summary.duplicate_punches = matched.length - summary.new_punches;
+
+        // 2. Re-pair the touched days from every stored scan (a day may span several files)
+        const templatesByEmployee = new Map(
+            employees.map(employee => [employee.id, employee.work_schedule_templates || null])
+        );
+        const touched = new Set(
+            importer.pairPunches(matched, { templatesByEmployee }).map(day => `${day.employee_id}|${day.date}`)
+        );
+        const employeeIds = [...new Set(matched.map(punch => punch.employee_id))];
+        const dates = matched.map(punch => punch.date).sort();
+        const shiftDate = (date, days) => {
+            const d = new Date(`${date}T00:00:00Z`);
+            d.setUTCDate(d.getUTCDate() + days);
+            return d.toISOString().slice(0, 10);
+        };
+        const from = shiftDate(dates[0], -1);
+        const to = shiftDate(dates[dates.length - 1], 1);
+
+        // A monthly log easily holds more scans than one request returns
+        const { data: storedPunches, error: storedError } = await fetchAllPages(() => db
+            .from('attendance_machine_punches')
+            .select('employee_id, punched_at')
+            .in('employee_id', employeeIds)
+            .gte('punched_at', `${from}T00:00:00`)
+            .lte('punched_at', `${to}T23:59:59`)
+            .order('employee_id', { ascending: true })
+            .order('punched_at', { ascending: true }));
+        if (storedError) {
+            return { data: null, error: storedError };
+        }
+
+        const days = importer.pairPunches(
+            storedPunches.map(row => ({
+                employee_id: row.employee_id,
+                date: row.punched_at.slice(0, 10),
+                time: row.punched_at.slice(11, 19)
+            })),
+            { templatesByEmployee }
+        ).filter(day => touched.has(`${day.employee_id}|${day.date}`));
+
+        // 3. Write attendance rows
+        const { data: existingRows, error: existingError } = await getAllAttendance({ employee_ids: employeeIds, from, to });
+        if (existingError) {
+            return { data: null, error: existingError };
+        }
+        const existingByDay = new Map(existingRows.map(row => [`${row.employee_id}|${row.date}`, row]));
+        const today = getCurrentDate();
+        const inserts = [];
+
+        for (const day of days) {
+            const existing = existingByDay.get(`${day.employee_id}|${day.date}`);
+            if (existing && (existing.corrected_at || existing.source !== 'machine')) {
+                summary.skipped.push({
+                    employee_id: day.employee_id,
+                    employee_name: existing.employees?.full_name || '',
+                    date: day.date,
+                    reason: existing.corrected_at ? 'Corrected by HR' : 'Self-service punch exists'
+                });
+                continue;
+            }
+            if (existing && existing.clock_in === day.clock_in && existing.clock_out === day.clock_out) {
+                summary.unchanged++;
+                continue;
+            }
+
+            // A single scan on a past day means a missing clock out
+            const missingClockOut = day.single_punch && day.date < today;
+            const record = {
+                employee_id: day.employee_id,
+                date: day.date,
+                clock_in: day.clock_in,
+                clock_out: day.clock_out,
+                status: 'present',
+                source: 'machine',
+                machine_punch_count: day.punch_count,
+                needs_review: missingClockOut,
+                review_reasons: missingClockOut ? ['Machine: single scan, clock out missing'] : []
+            };
+            if (engine) {
+                const evaluation = engine.evaluateAttendance(record, templatesByEmployee.get(day.employee_id));
+                Object.assign(record, engine.toAttendanceFields(evaluation));
+            }
+
+            if (existing) {
+                const { error: updateError } = await db.from('attendance').update(record).eq('id', existing.id);
+                if (updateError) {
+                    return { data: null, error: updateError.message };
+                }
+                summary.updated++;
+            } else {
+                inserts.push(record);
+            }
+        }
+
+        for (let i = 0; i < inserts.length; i += 500) {
+            const { error: insertError } = await db.from('attendance').insert(inserts.slice(i, i + 500));
+            if (insertError) {
+                console.error('❌ Insert machine attendance error:', insertError);
+                return { data: null, error: insertError.message };
+            }
+        }
+        summary.inserted = inserts.length;
+
+        console.log(`✅ Machine import: ${summary.new_punches} new scans, ${summary.inserted} inserted, ${summary.updated} updated, ${unmatched.length} unmatched IDs`);
+        return { data: summary, error: null };
+        
+    } catch (error) {
+        console.error('❌ Machine import failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
 // ================================================
 // SECTION 5: LEAVE API
 // (Page-Specific: Leave Management Page)
 // ================================================
 
+/**
+ * Leave request statuses (leaves.status)
+ */
+const LEAVE_STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    CANCELLED: 'cancelled'
+};
+
 /**
  * Get all leave requests with filters
+ * @param {Object} filters - {status, employee_id, employee_ids, from, to (leaves overlapping the range)}
  */
 async function getAllLeaves(filters = {}) {
     try {
@@ -913,9 +1518,12 @@ async function getAllLeaves(filters = {}) {
             .select(`
                 *,
                 employees (
-                    name,
-                    employee_id,
-                    department
+                    id,
+                    full_name,
+                    employee_code,
+                    work_site,
+                    department_id,
+                    departments:department_id (id, name)
                 )
             `)
             .order('created_at', { ascending: false });
@@ -926,6 +1534,15 @@ async function getAllLeaves(filters = {}) {
         if (filters.employee_id) {
             query = query.eq('employee_id', filters.employee_id);
         }
+        if (filters.employee_ids) {
+            query = query.in('employee_id', filters.employee_ids);
+        }
+        if (filters.from) {
+            query = query.gte('end_date', filters.from);
+        }
+        if (filters.to) {
+            query = query.lte('start_date', filters.to);
+        }
         
         const { data, error } = await query;
         
@@ -945,15 +1562,67 @@ async function getAllLeaves(filters = {}) {
 
 /**
  * Create leave request
+ * @param {Object} leaveData - {employee_id, leave_type, start_date, end_date, total_days (working days), reason, leave_dates?}
  */
 async function createLeaveRequest(leaveData) {
     try {
-        const { data, error } = await getDB()
+        if (!leaveData?.employee_id || !leaveData.leave_type) {
+            return { data: null, error: 'Employee and leave type are required' };
+        }
+        if (!leaveData.start_date || !leaveData.end_date || leaveData.end_date < leaveData.start_date) {
+            return { data: null, error: 'Leave end date must be on or after the start date' };
+        }
+        if (!(Number(leaveData.total_days) > 0)) {
+            return { data: null, error: 'The selected dates contain no working days' };
+        }
+
+        // Balance (annual leave) or quota per request (special leave) (⚠️ needs leave-accrual.js)
+        const { data: check, error: checkError } = await checkLeaveRequest(leaveData);
+        if (checkError) {
+            return { data: null, error: checkError };
+        }
+        if (!check.ok) {
+            return { data: null, error: check.message };
+        }
+
+        const db = getDB();
+
+        // One employee cannot be on two pending/approved leaves on the same day
+        const { data: overlapping, error: overlapError } = await db
+            .from('leaves')
+            .select('id, start_date, end_date')
+            .eq('employee_id', leaveData.employee_id)
+            .in('status', [LEAVE_STATUS.PENDING, LEAVE_STATUS.APPROVED])
+            .lte('start_date', leaveData.end_date)
+            .gte('end_date', leaveData.start_date);
+        if (overlapError) {
+            return { data: null, error: overlapError.message };
+        }
+        if (overlapping.length > 0) {
+            return { data: null, error: `Overlaps leave ${overlapping[0].start_date} – ${overlapping[0].end_date}` };
+        }
+
+        // The request keeps the chain it was submitted with (⚠️ needs leave-approval.js)
+        const { data: chain, error: chainError } = await getLeaveApprovalSteps(leaveData.employee_id, leaveData.leave_policy_id);
+        if (chainError) {
+            return { data: null, error: chainError };
+        }
+
+        const session = await checkAuth();
+        const now = new Date().toISOString();
+        const { data, error } = await db
             .from('leaves')
             .insert([{
                 ...leaveData,
-                status: 'pending',
-                created_at: new Date().toISOString()
+                status: LEAVE_STATUS.PENDING,
+                source: 'portal',
+                requested_by: session?.user?.id || null,
+                approval_chain_id: chain.chain_id,
+                approval_chain: chain.steps,
+                approval_level: 1,
+                approvals: [],
+                step_started_at: now,
+                created_at: now
             }])
             .select();
         
@@ -972,7 +1641,9 @@ async function createLeaveRequest(leaveData) {
 }
 
 /**
- * Update leave status (approve/reject)
+ * Update leave status directly (HR override / cancellation)
+ * ⚠️ Bypasses the approval chain: approve / reject through decideLeaveRequest
+ * Approving posts the usage to the balance ledger, cancelling an approved leave reverses it.
  */
 async function updateLeaveStatus(leaveId, status, notes = '') {
     try {
@@ -991,6 +1662,14 @@ async function updateLeaveStatus(leaveId, status, notes = '') {
             return { data: null, error: error.message };
         }
         
+        if (data[0] && typeof window.LeaveAccrual !== 'undefined') {
+            const { error: syncError } = await syncLeaveAccruals({
+                year: Number(data[0].start_date.slice(0, 4)),
+                employee_id: data[0].employee_id
+            });
+            if (syncError) console.warn('⚠️ Leave ledger not updated:', syncError);
+        }
+        
         console.log(`✅ Leave ${status}`);
         return { data: data[0], error: null };
         
@@ -1001,21 +1680,38 @@ async function updateLeaveStatus(leaveId, status, notes = '') {
 }
 
 /**
- * Get leave balance for employee
+ * Get annual leave balance for employee from the balance ledger
+ * Sums the policies that accrue (yearly / monthly) as posted so far: run syncLeaveAccruals
+ * first for an up-to-date figure.
+ * @param {string} employeeId - Employee UUID
+ * @param {number} [year] - Default current year
+ * @returns {Object} { data: {total_days, used_days, remaining_days}, error }
  */
-async function getLeaveBalance(employeeId) {
+async function getLeaveBalance(employeeId, year = new Date().getFullYear()) {
     try {
-        const { data, error } = await getDB()
-            .from('leave_balance')
-            .select('*')
+        const { data: entries, error } = await getDB()
+            .from('leave_balance_ledger')
+            .select('entry_type, days, leave_policies:leave_policy_id!inner (accrual_type)')
             .eq('employee_id', employeeId)
-            .single();
+            .eq('year', year)
+            .in('leave_policies.accrual_type', ['yearly', 'monthly']);
         
         if (error) {
             console.error('❌ Get leave balance error:', error);
             return { data: null, error: error.message };
         }
         
+        const sum = types => entries
+            .filter(entry => types.includes(entry.entry_type))
+            .reduce((total, entry) => total + Number(entry.days), 0);
+        const usedDays = -sum(['usage', 'reversal']);
+        const remainingDays = sum(['accrual', 'carry_over', 'adjustment', 'expiry', 'usage', 'reversal']);
+        const data = {
+            total_days: Math.round((remainingDays + usedDays) * 100) / 100,
+            used_days: Math.round(usedDays * 100) / 100,
+            remaining_days: Math.round(remainingDays * 100) / 100
+        };
+        
         console.log('✅ Leave balance retrieved');
         return { data, error: null };
         
@@ -1025,6 +1721,102 @@ async function getLeaveBalance(employeeId) {
     }
 }
 
+/**
+ * One-time migration of the Google Sheet leave rows into the leaves table
+ * Working days are counted from the employee's work schedule and the holiday calendar.
+ * Rows already imported (same source_ref) are skipped, so the import can be re-run safely.
+ * ⚠️ Requires holiday-calendar.js
+ * @param {Array} leaves - Matched leaves from LeaveImport.matchEmployees
+ * @returns {Object} { data: {total, imported, duplicates}, error }
+ */
+async function importLegacyLeaves(leaves) {
+    try {
+        if (typeof window.HolidayCalendar === 'undefined') {
+            return { data: null, error: 'HolidayCalendar not loaded' };
+        }
+        if (!leaves || leaves.length === 0) {
+            return { data: null, error: 'No leave rows to import' };
+        }
+        const calendar = window.HolidayCalendar;
+        const db = getDB();
+
+        const employeeIds = [...new Set(leaves.map(leave => leave.employee_id))];
+        const { data: employees, error: employeesError } = await db
+            .from('employees')
+            .select(`
+                id,
+                work_site,
+                work_schedule_templates:work_schedule_template_id (
+                    shifts:work_schedule_shifts(*)
+                )
+            `)
+            .in('id', employeeIds);
+        if (employeesError) {
+            return { data: null, error: employeesError.message };
+        }
+
+        const dates = leaves.flatMap(leave => [leave.start_date, leave.end_date]).sort();
+        const { data: holidays, error: holidaysError } = await getAllHolidays({ from: dates[0], to: dates[dates.length - 1] });
+        if (holidaysError) {
+            return { data: null, error: holidaysError.message };
+        }
+
+        const indexes = {};
+        const employeesById = new Map(employees.map(employee => [employee.id, employee]));
+        const workDaysOf = employee => {
+            const days = (employee?.work_schedule_templates?.shifts || [])
+                .filter(shift => !shift.is_off_day && shift.start_time && shift.end_time)
+                .map(shift => Number(shift.day_of_week));
+            return days.length ? days : undefined;
+        };
+
+        const rows = leaves.map(leave => {
+            const employee = employeesById.get(leave.employee_id);
+            const site = employee?.work_site || 'Office';
+            if (!indexes[site]) indexes[site] = calendar.buildHolidayIndex(holidays, { site });
+
+            const count = calendar.countLeaveDays(leave.leave_dates, {
+                index: indexes[site],
+                work_days: workDaysOf(employee)
+            });
+
+            return {
+                employee_id: leave.employee_id,
+                leave_type: leave.leave_type,
+                start_date: leave.start_date,
+                end_date: leave.end_date,
+                leave_dates: leave.leave_dates,
+                total_days: count.leave_days,
+                reason: leave.reason || null,
+                status: leave.status,
+                approval_notes: leave.approval_notes || null,
+                source: 'sheet',
+                source_ref: leave.source_ref,
+                created_at: leave.requested_at || new Date().toISOString()
+            };
+        });
+
+        let imported = 0;
+        for (let i = 0; i < rows.length; i += 500) {
+            const { data, error } = await db
+                .from('leaves')
+                .upsert(rows.slice(i, i + 500), { onConflict: 'source_ref', ignoreDuplicates: true })
+                .select('id');
+            if (error) {
+                return { data: null, error: error.message };
+            }
+            imported += data.length;
+        }
+
+        console.log(`✅ Legacy leaves imported: ${imported}/${rows.length}`);
+        return { data: { total: rows.length, imported, duplicates: rows.length - imported }, error: null };
+
+    } catch (error) {
+        console.error('❌ Import legacy leaves failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
 // ================================================
 // SECTION 6: RECRUITMENT API
 // (Page-Specific: Recruitment Page)
@@ -2200,6 +2992,7 @@ window.batchDelete = batchDelete;
 window.getRowCount = getRowCount;
 window.subscribeToTable = subscribeToTable;
 window.unsubscribeFromTable = unsubscribeFromTable;
+window.fetchAllPages = fetchAllPages;
 
 // Section 2: Employees API
 window.getAllEmployees = getAllEmployees;
@@ -2226,12 +3019,21 @@ window.getAllAttendance = getAllAttendance;
 window.clockIn = clockIn;
 window.clockOut = clockOut;
 window.getAttendanceSummary = getAttendanceSummary;
+window.getMonthDateRange = getMonthDateRange;
+window.correctAttendance = correctAttendance;
+window.getEmployeeWorkSchedule = getEmployeeWorkSchedule;
+window.evaluateAttendanceRecord = evaluateAttendanceRecord;
+window.captureAttendancePunch = captureAttendancePunch;
+window.reviewAttendancePunch = reviewAttendancePunch;
+window.importAttendanceMachineLog = importAttendanceMachineLog;
 
 // Section 5: Leave API
+window.LEAVE_STATUS = LEAVE_STATUS;
 window.getAllLeaves = getAllLeaves;
 window.createLeaveRequest = createLeaveRequest;
 window.updateLeaveStatus = updateLeaveStatus;
 window.getLeaveBalance = getLeaveBalance;
+window.importLegacyLeaves = importLegacyLeaves;
 
 // Section 6: Recruitment API
 window.getAllRecruitments = getAllRecruitments;
@@ -2281,15 +3083,15 @@ window.deleteFile = deleteFile;
 
 console.log('✅ API.js v3.1 - WHATSAPP BLAST READY'); // 
 console.log('📦 Loaded Sections:');
-console.log('   1️⃣  Core Auth & Utilities (6 functions)');
+console.log('   1️⃣  Core Auth & Utilities (7 functions)');
 console.log('   2️⃣  Employees (7 functions)'); // 
 console.log('   3️⃣  Contract & Warnings (9 functions)');
-console.log('   4️⃣  Attendance (4 functions)');
-console.log('   5️⃣  Leave Management (4 functions)');
+console.log('   4️⃣  Attendance (11 functions)');
+console.log('   5️⃣  Leave Management (5 functions)');
 console.log('   6️⃣  Recruitment (3 functions)');
 console.log('   7️⃣  Dashboard Stats (2 functions)');
 console.log('   8️⃣  Tasks/To-Do (5 functions)');
 console.log('   9️⃣  Settings (18 functions)');
 console.log('   9️⃣.5️⃣  WhatsApp Blast (2 functions)'); // 
 console.log('   🔟  File Storage (2 functions)');
-console.log('📊 Total: 61 functions ready'); // 
\ No newline at end of file
+console.log('📊 Total: 70 functions ready'); // 
\ No newline at end of file
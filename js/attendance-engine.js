@@ -0,0 +1,447 @@
+// ================================================
+// SWAP HRIS - ATTENDANCE ENGINE
+// attendance-engine.js - Version 1.0
+// ================================================
+
+// ⚠️ DEPENDENCIES: None (pure JavaScript, runs in browser and Node)
+// ⚠️ PROVIDES: Shift resolution from work schedule templates and evaluation of attendance records
+//              (on-time / late / early leave / overtime minutes, grace periods, breaks, overnight shifts),
+//              geofence checks and review flags for clock-in/out punches
+//
+// Schedule columns used:
+//   work_schedule_templates: late_grace_minutes, early_leave_grace_minutes, overtime_min_minutes
+//   work_schedule_shifts:    day_of_week (0 = Sunday … 6 = Saturday), start_time, end_time,
+//                            break_start, break_end, break_minutes, is_off_day
+//   attendance_geofences:    site_name, site_type (Office / Bistro), latitude, longitude, radius_meters
+
+const AttendanceEngine = (() => {
+    'use strict';
+
+    // ================================================
+    // SECTION 1: DEFAULT RULES
+    // ================================================
+
+    /**
+     * Default evaluation rules
+     * Template columns with the same name override these per template
+     */
+    const DEFAULT_RULES = {
+        // Clock-in up to this many minutes after shift start is still on time
+        late_grace_minutes: 0,
+        // Clock-out up to this many minutes before shift end is not an early leave
+        early_leave_grace_minutes: 0,
+        // Work after shift end shorter than this is not overtime
+        overtime_min_minutes: 30,
+        // UU 13/2003 Art. 79: the rest break is due after 4 hours of continuous work
+        break_after_minutes: 240,
+        // Browser positions less precise than this are flagged for review
+        max_gps_accuracy_meters: 100
+    };
+
+    const MINUTES_PER_DAY = 24 * 60;
+
+    /**
+     * Classifications produced by evaluateAttendance()
+     */
+    const CLASSIFICATIONS = {
+        ON_TIME: 'on_time',
+        LATE: 'late',
+        EARLY_LEAVE: 'early_leave',
+        OVERTIME: 'overtime',
+        OFF_DAY: 'off_day',
+        INCOMPLETE: 'incomplete'
+    };
+
+    // ================================================
+    // SECTION 2: TIME HELPERS
+    // ================================================
+
+    /**
+     * Convert 'HH:MM' or 'HH:MM:SS' to minutes after midnight
+     * @param {string} time - Time string
+     * @returns {number|null} Minutes, or null when empty
+     */
+    function toMinutes(time) {
+        if (!time) return null;
+        const [h, m, s] = String(time).split(':').map(Number);
+        return h * 60 + (m || 0) + Math.floor((s || 0) / 60);
+    }
+
+    /**
+     * Format a minute count as '1h 05m' / '45m'
+     * @param {number} minutes - Minutes
+     * @returns {string}
+     */
+    function formatMinutes(minutes) {
+        const total = Math.max(0, Math.round(Number(minutes) || 0));
+        const h = Math.floor(total / 60);
+        const m = total % 60;
+        return h > 0 ? `${h}h ${String(m).padStart(2, '0')}m` : `${m}m`;
+    }
+
+    /**
+     * Day of week of a calendar date (0 = Sunday), independent of the local timezone
+     * @param {string} date - YYYY-MM-DD
+     * @returns {number}
+     */
+    function getDayOfWeek(date) {
+        return new Date(`${String(date).slice(0, 10)}T00:00:00Z`).getUTCDay();
+    }
+
+    // ================================================
+    // SECTION 3: SHIFT RESOLUTION
+    // ================================================
+
+    /**
+     * Merge default rules, call rules and template overrides
+     * @param {Object} template - Work schedule template
+     * @param {Object} rules - Rule overrides
+     * @returns {Object}
+     */
+    function buildRules(template, rules) {
+        const cfg = { ...DEFAULT_RULES, ...(rules || {}) };
+        Object.keys(DEFAULT_RULES).forEach(key => {
+            if (template && template[key] !== null && template[key] !== undefined) {
+                cfg[key] = Number(template[key]) || 0;
+            }
+        });
+        return cfg;
+    }
+
+    /**
+     * Resolve the shift a template schedules on a date
+     *
+     * Times are minutes from midnight of the shift date. An end time at or before the
+     * start time is an overnight shift (e.g. Bistro 16:00–01:00) and ends the next day.
+     *
+     * @param {Object} template - Work schedule template with `shifts`
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Object|null} Shift, {is_off_day: true} for rest days, or null without a template
+     */
+    function resolveShift(template, date) {
+        if (!template) return null;
+
+        const dayOfWeek = getDayOfWeek(date);
+        const shift = (template.shifts || []).find(s => Number(s.day_of_week) === dayOfWeek);
+        if (!shift || shift.is_off_day || !shift.start_time || !shift.end_time) {
+            return { is_off_day: true, day_of_week: dayOfWeek };
+        }
+
+        const start = toMinutes(shift.start_time);
+        let end = toMinutes(shift.end_time);
+        const isOvernight = end <= start;
+        if (isOvernight) end += MINUTES_PER_DAY;
+
+        let breakWindow = null;
+        if (shift.break_start && shift.break_end) {
+            let breakStart = toMinutes(shift.break_start);
+            let breakEnd = toMinutes(shift.break_end);
+            if (isOvernight && breakStart < start) breakStart += MINUTES_PER_DAY;
+            if (breakEnd <= breakStart) breakEnd += MINUTES_PER_DAY;
+            breakWindow = { start: breakStart, end: breakEnd };
+        }
+
+        const breakMinutes = breakWindow
+            ? breakWindow.end - breakWindow.start
+            : Number(shift.break_minutes) || 0;
+
+        return {
+            is_off_day: false,
+            day_of_week: dayOfWeek,
+            start_time: shift.start_time,
+            end_time: shift.end_time,
+            start,
+            end,
+            is_overnight: isOvernight,
+            break_window: breakWindow,
+            break_minutes: breakMinutes,
+            scheduled_minutes: Math.max(0, end - start - breakMinutes)
+        };
+    }
+
+    // ================================================
+    // SECTION 4: EVALUATION
+    // ================================================
+
+    /**
+     * Break minutes to deduct from a worked span
+     * A fixed break window deducts its overlap with the span; a flat break
+     * is deducted once the span reaches break_after_minutes.
+     */
+    function getBreakDeduction(shift, clockIn, clockOut, cfg) {
+        if (!shift || shift.is_off_day) return 0;
+
+        if (shift.break_window) {
+            const overlap = Math.min(clockOut, shift.break_window.end) - Math.max(clockIn, shift.break_window.start);
+            return Math.max(0, overlap);
+        }
+
+        const span = clockOut - clockIn;
+        return span >= cfg.break_after_minutes ? Math.min(shift.break_minutes, span) : 0;
+    }
+
+    /**
+     * Evaluate an attendance record against the employee's work schedule template
+     *
+     * Late minutes count from shift start once the grace period is exceeded; early-leave
+     * minutes count back from shift end. Overtime is work after shift end (at least
+     * overtime_min_minutes), or all worked time on a rest day. Without a clock-out only
+     * lateness is evaluated.
+     *
+     * @param {Object} record - Attendance record {date, clock_in, clock_out, status}
+     * @param {Object} template - Work schedule template with `shifts` (null = no schedule)
+     * @param {Object} [rules] - Rule overrides (see DEFAULT_RULES)
+     * @returns {Object} Evaluation
+     */
+    function evaluateAttendance(record, template, rules = {}) {
+        const cfg = buildRules(template, rules);
+        const shift = resolveShift(template, record.date);
+
+        const result = {
+            has_schedule: Boolean(shift),
+            is_off_day: Boolean(shift?.is_off_day),
+            shift: shift && !shift.is_off_day
+                ? { start_time: shift.start_time, end_time: shift.end_time, is_overnight: shift.is_overnight }
+                : null,
+            scheduled_minutes: shift?.scheduled_minutes || 0,
+            worked_minutes: 0,
+            break_minutes: 0,
+            late_minutes: 0,
+            early_leave_minutes: 0,
+            overtime_minutes: 0,
+            classifications: [],
+            status: record.status || 'present'
+        };
+
+        // Absent / permission rows have nothing to evaluate
+        if (!record.clock_in || record.status === 'absent' || record.status === 'permission') {
+            return result;
+        }
+
+        let clockIn = toMinutes(record.clock_in);
+        if (shift?.is_overnight && clockIn < shift.start - MINUTES_PER_DAY / 2) {
+            // Clocked in after midnight for a shift that started the evening before
+            clockIn += MINUTES_PER_DAY;
+        }
+
+        let clockOut = toMinutes(record.clock_out);
+        if (clockOut !== null && clockOut < clockIn) clockOut += MINUTES_PER_DAY;
+
+        if (clockOut !== null) {
+            result.break_minutes = getBreakDeduction(shift, clockIn, clockOut, cfg);
+            result.worked_minutes = Math.max(0, clockOut - clockIn - result.break_minutes);
+        }
+
+        if (!shift) {
+            if (clockOut === null) result.classifications.push(CLASSIFICATIONS.INCOMPLETE);
+            result.status = 'present';
+            return result;
+        }
+
+        if (shift.is_off_day) {
+            result.classifications.push(CLASSIFICATIONS.OFF_DAY);
+            if (clockOut === null) {
+                result.classifications.push(CLASSIFICATIONS.INCOMPLETE);
+            } else if (result.worked_minutes > 0) {
+                result.overtime_minutes = result.worked_minutes;
+                result.classifications.push(CLASSIFICATIONS.OVERTIME);
+            }
+            result.status = 'present';
+            return result;
+        }
+
+        if (clockIn > shift.start + cfg.late_grace_minutes) {
+            result.late_minutes = clockIn - shift.start;
+            result.classifications.push(CLASSIFICATIONS.LATE);
+        } else {
+            result.classifications.push(CLASSIFICATIONS.ON_TIME);
+        }
+
+        if (clockOut === null) {
+            result.classifications.push(CLASSIFICATIONS.INCOMPLETE);
+        } else {
+            if (clockOut < shift.end - cfg.early_leave_grace_minutes) {
+                result.early_leave_minutes = shift.end - clockOut;
+                result.classifications.push(CLASSIFICATIONS.EARLY_LEAVE);
+            }
+
+            const afterShift = clockOut - shift.end;
+            if (afterShift > 0 && afterShift >= cfg.overtime_min_minutes) {
+                result.overtime_minutes = afterShift;
+                result.classifications.push(CLASSIFICATIONS.OVERTIME);
+            }
+        }
+
+        result.status = result.late_minutes > 0 ? 'late' : 'present';
+        return result;
+    }
+
+    /**
+     * Attendance columns to persist from an evaluation
+     * @param {Object} evaluation - Result of evaluateAttendance()
+     * @returns {Object} {status, late_minutes, early_leave_minutes, overtime_minutes, worked_minutes}
+     */
+    function toAttendanceFields(evaluation) {
+        return {
+            status: evaluation.status,
+            late_minutes: evaluation.late_minutes,
+            early_leave_minutes: evaluation.early_leave_minutes,
+            overtime_minutes: evaluation.overtime_minutes,
+            worked_minutes: evaluation.worked_minutes
+        };
+    }
+
+    /**
+     * Total a list of evaluations (e.g. one employee's month)
+     * @param {Array} evaluations - Results of evaluateAttendance()
+     * @returns {Object} Totals
+     */
+    function summarizeEvaluations(evaluations) {
+        const totals = {
+            days: evaluations.length,
+            late_days: 0,
+            early_leave_days: 0,
+            overtime_days: 0,
+            total_late_minutes: 0,
+            total_early_leave_minutes: 0,
+            total_overtime_minutes: 0,
+            total_worked_minutes: 0
+        };
+
+        evaluations.forEach(evaluation => {
+            if (evaluation.late_minutes > 0) totals.late_days++;
+            if (evaluation.early_leave_minutes > 0) totals.early_leave_days++;
+            if (evaluation.overtime_minutes > 0) totals.overtime_days++;
+            totals.total_late_minutes += evaluation.late_minutes;
+            totals.total_early_leave_minutes += evaluation.early_leave_minutes;
+            totals.total_overtime_minutes += evaluation.overtime_minutes;
+            totals.total_worked_minutes += evaluation.worked_minutes;
+        });
+
+        totals.total_overtime_hours = Math.round(totals.total_overtime_minutes / 60 * 100) / 100;
+        return totals;
+    }
+
+    // ================================================
+    // SECTION 5: GEOFENCE & PUNCH REVIEW
+    // ================================================
+
+    const EARTH_RADIUS_METERS = 6371000;
+
+    /**
+     * Great-circle distance between two coordinates (haversine)
+     * @param {Object} a - {latitude, longitude}
+     * @param {Object} b - {latitude, longitude}
+     * @returns {number} Meters
+     */
+    function distanceMeters(a, b) {
+        const toRad = deg => Number(deg) * Math.PI / 180;
+        const dLat = toRad(b.latitude - a.latitude);
+        const dLng = toRad(b.longitude - a.longitude);
+        const h = Math.sin(dLat / 2) ** 2
+            + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+        return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+    }
+
+    /**
+     * Find the nearest geofence to a position
+     * @param {Object} position - {latitude, longitude}
+     * @param {Array} geofences - Active geofences of the employee's site
+     * @returns {Object} {inside, geofence, distance_meters} (inside = null without geofences)
+     */
+    function checkGeofence(position, geofences) {
+        let nearest = null;
+        (geofences || []).forEach(geofence => {
+            const distance = distanceMeters(position, geofence);
+            if (!nearest || distance < nearest.distance_meters) {
+                nearest = { geofence, distance_meters: Math.round(distance) };
+            }
+        });
+
+        if (!nearest) return { inside: null, geofence: null, distance_meters: null };
+
+        return {
+            inside: nearest.distance_meters <= Number(nearest.geofence.radius_meters),
+            geofence: nearest.geofence,
+            distance_meters: nearest.distance_meters
+        };
+    }
+
+    /**
+     * Check a clock-in/out punch and list why HR should review it
+     * @param {Object} punch - {position: {latitude, longitude, accuracy}|null, has_photo}
+     * @param {Array} geofences - Active geofences of the employee's site
+     * @param {Object} [rules] - Rule overrides (max_gps_accuracy_meters)
+     * @returns {Object} {in_fence, geofence_id, geofence_name, distance_meters, needs_review, review_reasons}
+     */
+    function evaluatePunch(punch, geofences, rules = {}) {
+        const cfg = { ...DEFAULT_RULES, ...rules };
+        const reasons = [];
+        const result = {
+            in_fence: null,
+            geofence_id: null,
+            geofence_name: null,
+            distance_meters: null,
+            needs_review: false,
+            review_reasons: reasons
+        };
+
+        const position = punch?.position;
+        if (!position || position.latitude === null || position.latitude === undefined) {
+            reasons.push('Location unavailable');
+        } else if (!geofences || geofences.length === 0) {
+            reasons.push('No geofence configured for this site');
+        } else {
+            const check = checkGeofence(position, geofences);
+            result.in_fence = check.inside;
+            result.geofence_id = check.geofence.id || null;
+            result.geofence_name = check.geofence.site_name || null;
+            result.distance_meters = check.distance_meters;
+
+            if (!check.inside) {
+                reasons.push(`Outside geofence (${check.distance_meters} m from ${check.geofence.site_name})`);
+            }
+            if (Number(position.accuracy) > cfg.max_gps_accuracy_meters) {
+                reasons.push(`Low GPS accuracy (±${Math.round(position.accuracy)} m)`);
+            }
+        }
+
+        if (!punch?.has_photo) {
+            reasons.push('No selfie photo');
+        }
+
+        result.needs_review = reasons.length > 0;
+        return result;
+    }
+
+    // ================================================
+    // PUBLIC API
+    // ================================================
+
+    return {
+        DEFAULT_RULES,
+        CLASSIFICATIONS,
+        toMinutes,
+        formatMinutes,
+        getDayOfWeek,
+        resolveShift,
+        evaluateAttendance,
+        toAttendanceFields,
+        summarizeEvaluations,
+        distanceMeters,
+        checkGeofence,
+        evaluatePunch
+    };
+})();
+
+// ================================================
+// EXPOSE MODULE (Browser global + Node require)
+// ================================================
+
+if (typeof window !== 'undefined') {
+    window.AttendanceEngine = AttendanceEngine;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AttendanceEngine;
+}
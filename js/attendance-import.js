@@ -0,0 +1,441 @@
+// ================================================
+// SWAP HRIS - ATTENDANCE MACHINE IMPORT
+// attendance-import.js - Version 1.0
+// ================================================
+
+// ⚠️ DEPENDENCIES: attendance-engine.js (optional, for overnight shift pairing)
+// ⚠️ PROVIDES: Parsing of fingerprint/face machine exports (ZKTeco attlog .dat / CSV, Solution X-series text),
+//              machine user ID → employee_code matching and pairing of raw punches into daily clock in/out
+
+const AttendanceImport = (() => {
+    'use strict';
+
+    // ================================================
+    // SECTION 1: CONSTANTS
+    // ================================================
+
+    const FORMATS = {
+        zk_attlog: 'ZKTeco attlog (.dat)',
+        zk_csv: 'ZKTeco CSV',
+        solution: 'Solution X-series (.txt)'
+    };
+
+    const DEFAULT_OPTIONS = {
+        // Repeated scans within this many minutes count as one punch
+        duplicate_window_minutes: 2,
+        // Punches up to this many minutes after an overnight shift ends belong to the shift date
+        overnight_grace_minutes: 240
+    };
+
+    // Header names used by the CSV exports of ZKTeco software (att2000 / ZKTime / ZKBioTime)
+    const CSV_ID_HEADERS = ['ac-no.', 'ac-no', 'ac no', 'user id', 'userid', 'pin', 'enroll no', 'enrollnumber', 'person id', 'employee id', 'no.', 'id'];
+    const CSV_NAME_HEADERS = ['name', 'first name', 'nama'];
+    const CSV_DATETIME_HEADERS = ['time', 'datetime', 'date time', 'date/time', 'checktime', 'punch time', 'waktu'];
+    const CSV_DATE_HEADERS = ['date', 'tanggal'];
+    const CSV_STATE_HEADERS = ['state', 'status', 'checktype', 'punch state', 'in/out'];
+
+    const DATETIME_PATTERN = /(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})[\sT]+(\d{1,2}):(\d{2})(?::(\d{2}))?/;
+    const TIME_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+
+    // ================================================
+    // SECTION 2: HELPERS
+    // ================================================
+
+    const pad = n => String(n).padStart(2, '0');
+
+    /**
+     * Normalize a date in YYYY-MM-DD, YYYY/MM/DD, DD/MM/YYYY or DD-MM-YYYY
+     * @returns {string|null} YYYY-MM-DD
+     */
+    function normalizeDate(a, b, c) {
+        let year, month, day;
+        if (String(a).length === 4) {
+            [year, month, day] = [a, b, c];
+        } else if (String(c).length === 4) {
+            [year, month, day] = [c, b, a];
+        } else {
+            return null;
+        }
+
+        year = Number(year);
+        month = Number(month);
+        day = Number(day);
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+        return `${year}-${pad(month)}-${pad(day)}`;
+    }
+
+    /**
+     * Parse the first date-time found in a text
+     * @param {string} text - e.g. '2026-01-15 08:01:23', '15/01/2026 08:01'
+     * @returns {Object|null} {date: 'YYYY-MM-DD', time: 'HH:MM:SS'}
+     */
+    function parseDateTime(text) {
+        const match = DATETIME_PATTERN.exec(String(text || ''));
+        if (!match) return null;
+
+        const date = normalizeDate(match[1], match[2], match[3]);
+        const hour = Number(match[4]);
+        if (!date || hour > 23) return null;
+
+        return { date, time: `${pad(hour)}:${match[5]}:${match[6] || '00'}` };
+    }
+
+    /**
+     * Parse a separate date cell + time cell
+     * @returns {Object|null} {date, time}
+     */
+    function parseDateAndTime(dateText, timeText) {
+        const time = TIME_PATTERN.exec(String(timeText || '').trim());
+        const parsed = parseDateTime(`${String(dateText || '').trim()} 00:00`);
+        if (!time || !parsed) return null;
+        return { date: parsed.date, time: `${pad(time[1])}:${time[2]}:${time[3] || '00'}` };
+    }
+
+    /**
+     * Normalize a machine user ID / employee code for matching
+     * Codes compare case-insensitively; numeric IDs ignore leading zeros ("007" = "7").
+     * @param {string} id - Machine user ID or employee code
+     * @returns {string}
+     */
+    function normalizeMachineId(id) {
+        const text = String(id ?? '').trim().toUpperCase();
+        return /^\d+$/.test(text) ? String(Number(text)) : text;
+    }
+
+    /**
+     * Split a delimited line, honouring double quotes
+     * @param {string} line - CSV line
+     * @param {string} delimiter - ',' ';' or '\t'
+     * @returns {Array<string>}
+     */
+    function splitDelimited(line, delimiter) {
+        const cells = [];
+        let current = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (ch === '"') {
+                if (quoted && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else {
+                    quoted = !quoted;
+                }
+            } else if (ch === delimiter && !quoted) {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        cells.push(current.trim());
+        return cells;
+    }
+
+    /**
+     * Find the first header index matching one of the names
+     */
+    function findHeader(headers, names) {
+        return headers.findIndex(header => names.includes(header));
+    }
+
+    // ================================================
+    // SECTION 3: FORMAT PARSERS
+    // ================================================
+
+    /**
+     * Guess the export format from its content
+     * @param {string} text - File content
+     * @returns {string} Key of FORMATS
+     */
+    function detectFormat(text) {
+        const firstLine = String(text || '').split(/\r?\n/).find(line => line.trim()) || '';
+
+        if (/\bEnNo\b/i.test(firstLine)) return 'solution';
+        if (/[A-Za-z]/.test(firstLine.replace(DATETIME_PATTERN, '')) && /[,;]/.test(firstLine)) return 'zk_csv';
+        return 'zk_attlog';
+    }
+
+    /**
+     * ZKTeco attlog.dat: PIN <tab> YYYY-MM-DD HH:MM:SS <tab> verify <tab> status <tab> workcode
+     */
+    function parseZKAttlog(lines) {
+        const punches = [];
+        const errors = [];
+
+        lines.forEach(({ text, line }) => {
+            const cells = text.split('\t').map(cell => cell.trim());
+            const datetime = parseDateTime(cells[1]) || parseDateTime(text);
+            const machineId = cells.length > 1 ? cells[0] : text.trim().split(/\s+/)[0];
+
+            if (!machineId || !datetime) {
+                errors.push({ line, message: 'Unrecognized attlog line' });
+                return;
+            }
+
+            punches.push({ machine_user_id: machineId, name: '', ...datetime, state: cells[3] ?? '' });
+        });
+
+        return { punches, errors };
+    }
+
+    /**
+     * ZKTeco CSV export with a header row (AC-No., Name, Time, State …)
+     */
+    function parseZKCsv(lines) {
+        const punches = [];
+        const errors = [];
+        if (lines.length === 0) return { punches, errors };
+
+        const headerLine = lines[0].text;
+        const delimiter = [',', ';', '\t']
+            .map(d => [d, headerLine.split(d).length])
+            .sort((a, b) => b[1] - a[1])[0][0];
+        const headers = splitDelimited(headerLine, delimiter).map(h => h.toLowerCase());
+
+        const idIdx = findHeader(headers, CSV_ID_HEADERS);
+        const nameIdx = findHeader(headers, CSV_NAME_HEADERS);
+        const datetimeIdx = findHeader(headers, CSV_DATETIME_HEADERS);
+        const dateIdx = findHeader(headers, CSV_DATE_HEADERS);
+        const stateIdx = findHeader(headers, CSV_STATE_HEADERS);
+
+        if (idIdx === -1 || (datetimeIdx === -1 && dateIdx === -1)) {
+            errors.push({ line: lines[0].line, message: 'CSV header needs a user ID column (AC-No./User ID/PIN) and a Time column' });
+            return { punches, errors };
+        }
+
+        lines.slice(1).forEach(({ text, line }) => {
+            const cells = splitDelimited(text, delimiter);
+            const datetime = dateIdx !== -1 && datetimeIdx !== -1 && !parseDateTime(cells[datetimeIdx])
+                ? parseDateAndTime(cells[dateIdx], cells[datetimeIdx])
+                : parseDateTime(cells[datetimeIdx !== -1 ? datetimeIdx : dateIdx]);
+
+            if (!cells[idIdx] || !datetime) {
+                errors.push({ line, message: 'Missing user ID or time' });
+                return;
+            }
+
+            punches.push({
+                machine_user_id: cells[idIdx],
+                name: nameIdx !== -1 ? cells[nameIdx] : '',
+                ...datetime,
+                state: stateIdx !== -1 ? cells[stateIdx] : ''
+            });
+        });
+
+        return { punches, errors };
+    }
+
+    /**
+     * Solution X-series GLog text: No <tab> Mchn <tab> EnNo <tab> Name <tab> Mode <tab> IOMd <tab> DateTime
+     */
+    function parseSolution(lines) {
+        const punches = [];
+        const errors = [];
+        if (lines.length === 0) return { punches, errors };
+
+        // Exports pad the header with empty tab columns, so blank cells are dropped before indexing
+        const splitRow = text => (text.includes('\t') ? text.split('\t') : text.trim().split(/\s+/))
+            .map(c => c.trim())
+            .filter(Boolean);
+        const headers = splitRow(lines[0].text).map(h => h.toLowerCase());
+        const idIdx = headers.indexOf('enno');
+        const nameIdx = headers.indexOf('name');
+        const stateIdx = headers.indexOf('iomd');
+
+        if (idIdx === -1) {
+            errors.push({ line: lines[0].line, message: 'Solution header needs an EnNo column' });
+            return { punches, errors };
+        }
+
+        lines.slice(1).forEach(({ text, line }) => {
+            const cells = splitRow(text);
+            const datetime = parseDateTime(text);
+
+            if (!cells[idIdx] || !datetime) {
+                errors.push({ line, message: 'Missing EnNo or DateTime' });
+                return;
+            }
+
+            punches.push({
+                machine_user_id: cells[idIdx],
+                name: nameIdx !== -1 && text.includes('\t') ? cells[nameIdx] : '',
+                ...datetime,
+                state: stateIdx !== -1 ? cells[stateIdx] ?? '' : ''
+            });
+        });
+
+        return { punches, errors };
+    }
+
+    /**
+     * Parse a machine export file
+     * @param {string} text - File content
+     * @param {Object} [options] - {format: 'auto' | key of FORMATS}
+     * @returns {Object} {format, punches: [{machine_user_id, name, date, time, state}], errors: [{line, message}]}
+     */
+    function parseMachineLog(text, options = {}) {
+        const format = !options.format || options.format === 'auto' ? detectFormat(text) : options.format;
+        const parser = { zk_attlog: parseZKAttlog, zk_csv: parseZKCsv, solution: parseSolution }[format];
+        if (!parser) throw new Error(`Unknown machine log format: ${format}`);
+
+        const lines = String(text || '')
+            .replace(/^﻿/, '')
+            .split(/\r?\n/)
+            .map((lineText, index) => ({ text: lineText, line: index + 1 }))
+            .filter(({ text: lineText }) => lineText.trim());
+
+        return { format, ...parser(lines) };
+    }
+
+    // ================================================
+    // SECTION 4: EMPLOYEE MATCHING
+    // ================================================
+
+    /**
+     * Attach employee IDs to punches by employee_code; report unmatched machine IDs
+     * @param {Array} punches - Parsed punches
+     * @param {Array} employees - [{id, employee_code, full_name}]
+     * @returns {Object} {matched: [punch + employee_id], unmatched: [{machine_user_id, name, punch_count}]}
+     */
+    function matchEmployees(punches, employees) {
+        const byCode = new Map();
+        (employees || []).forEach(employee => {
+            if (employee.employee_code) byCode.set(normalizeMachineId(employee.employee_code), employee);
+        });
+
+        const matched = [];
+        const unmatched = new Map();
+
+        punches.forEach(punch => {
+            const key = normalizeMachineId(punch.machine_user_id);
+            const employee = byCode.get(key);
+            if (employee) {
+                matched.push({ ...punch, employee_id: employee.id });
+                return;
+            }
+
+            const entry = unmatched.get(key) || { machine_user_id: punch.machine_user_id, name: punch.name || '', punch_count: 0 };
+            entry.punch_count++;
+            if (!entry.name && punch.name) entry.name = punch.name;
+            unmatched.set(key, entry);
+        });
+
+        return { matched, unmatched: [...unmatched.values()] };
+    }
+
+    // ================================================
+    // SECTION 5: PUNCH PAIRING
+    // ================================================
+
+    /**
+     * Shift a YYYY-MM-DD date by whole days
+     */
+    function addDays(date, days) {
+        const d = new Date(`${date}T00:00:00Z`);
+        d.setUTCDate(d.getUTCDate() + days);
+        return d.toISOString().slice(0, 10);
+    }
+
+    const toMinutes = time => {
+        const [h, m] = time.split(':').map(Number);
+        return h * 60 + m;
+    };
+
+    /**
+     * Attendance date a punch belongs to
+     * A punch shortly after an overnight shift of the previous day ends (e.g. Bistro 16:00–01:00)
+     * belongs to that previous day.
+     */
+    function getAttendanceDate(punch, template, cfg) {
+        const engine = typeof AttendanceEngine !== 'undefined' ? AttendanceEngine : null;
+        if (!template || !engine) return punch.date;
+
+        const previousDate = addDays(punch.date, -1);
+        const previousShift = engine.resolveShift(template, previousDate);
+        if (previousShift && !previousShift.is_off_day && previousShift.is_overnight) {
+            const endsAt = previousShift.end - 24 * 60;
+            if (toMinutes(punch.time) <= endsAt + cfg.overnight_grace_minutes) return previousDate;
+        }
+        return punch.date;
+    }
+
+    /**
+     * Pair raw punches into one clock in/out per employee per attendance date
+     * First punch = clock in, last punch = clock out; repeated scans within
+     * duplicate_window_minutes are collapsed.
+     * @param {Array} punches - Matched punches {employee_id, date, time}
+     * @param {Object} [options] - {templatesByEmployee: Map, duplicate_window_minutes, overnight_grace_minutes}
+     * @returns {Array} [{employee_id, date, clock_in, clock_out, punch_count, single_punch}]
+     */
+    function pairPunches(punches, options = {}) {
+        const cfg = { ...DEFAULT_OPTIONS, ...options };
+        const templates = options.templatesByEmployee || new Map();
+        const groups = new Map();
+
+        punches.forEach(punch => {
+            const date = getAttendanceDate(punch, templates.get(punch.employee_id), cfg);
+            // Minutes from the attendance date's midnight (after-midnight punches exceed 1440)
+            const minutes = toMinutes(punch.time) + (date !== punch.date ? 24 * 60 : 0);
+            const key = `${punch.employee_id}|${date}`;
+            if (!groups.has(key)) groups.set(key, { employee_id: punch.employee_id, date, scans: [] });
+            groups.get(key).scans.push({ minutes, time: punch.time });
+        });
+
+        return [...groups.values()].map(group => {
+            const scans = group.scans.sort((a, b) => a.minutes - b.minutes);
+            const collapsed = scans.filter((scan, index) =>
+                index === 0 || scan.minutes - scans[index - 1].minutes > cfg.duplicate_window_minutes
+            );
+
+            const first = collapsed[0];
+            const last = collapsed[collapsed.length - 1];
+            return {
+                employee_id: group.employee_id,
+                date: group.date,
+                clock_in: first.time,
+                clock_out: collapsed.length > 1 ? last.time : null,
+                punch_count: collapsed.length,
+                single_punch: collapsed.length === 1
+            };
+        }).sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Timestamp used to de-duplicate raw punches across re-imports
+     * @param {Object} punch - {date, time}
+     * @returns {string} 'YYYY-MM-DDTHH:MM:SS'
+     */
+    function getPunchTimestamp(punch) {
+        return `${punch.date}T${punch.time}`;
+    }
+
+    // ================================================
+    // PUBLIC API
+    // ================================================
+
+    return {
+        FORMATS,
+        DEFAULT_OPTIONS,
+        detectFormat,
+        parseMachineLog,
+        parseDateTime,
+        normalizeMachineId,
+        matchEmployees,
+        pairPunches,
+        getPunchTimestamp
+    };
+})();
+
+// ================================================
+// EXPOSE MODULE (Browser global + Node require)
+// ================================================
+
+if (typeof window !== 'undefined') {
+    window.AttendanceImport = AttendanceImport;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AttendanceImport;
+}
@@ -0,0 +1,1803 @@
+// ================================================
+// SWAP HRIS - ATTENDANCE MODULE
+// attendance.js - Version 1.0
+// ================================================
+
+// ⚠️ DEPENDENCIES: Requires app.js, api.js, auth.js, database-functions.js, utils.js, attendance-engine.js,
+//                  attendance-import.js, holiday-calendar.js, leave-approval.js
+// ⚠️ PROVIDES: Daily roster per department (Office / Bistro), selfie + geofence clock-in/out, review of
+//              flagged punches, manual correction with reason, monthly attendance calendar per employee,
+//              shift evaluation (late / early leave / overtime), absence detection against the schedule
+//              and holiday calendar, attendance machine log import,
+//              overtime requests (SPL) with Supervisor → HR approval
+
+// ================================================
+// SECTION 1: STATE MANAGEMENT
+// ================================================
+
+/**
+ * Global state for attendance module
+ */
+const attendanceState = {
+    currentUser: null,
+    isHr: false,
+    site: 'Office',
+    date: getCurrentDate(),
+    department: '',
+    search: '',
+    flaggedOnly: false,
+    departments: [],
+    templates: new Map(),
+    geofences: [],
+    holidayIndexes: {},
+    employees: [],
+    recordsByEmployee: new Map(),
+    selfEmployee: null,
+    selfRecord: null,
+    punch: null,
+    review: null,
+    correction: null,
+    calendar: null,
+    machineImport: null,
+    overtime: null
+};
+
+/**
+ * Work sites (employees.work_site)
+ */
+const ATTENDANCE_SITES = ['Office', 'Bistro'];
+
+/**
+ * Attendance statuses (attendance.status) with badge classes
+ */
+const ATTENDANCE_STATUSES = {
+    present: { label: 'Present', badge: 'bg-green-100 text-green-700', cell: 'bg-green-50 border-green-200' },
+    late: { label: 'Late', badge: 'bg-yellow-100 text-yellow-700', cell: 'bg-yellow-50 border-yellow-200' },
+    permission: { label: 'Permission', badge: 'bg-blue-100 text-blue-700', cell: 'bg-blue-50 border-blue-200' },
+    absent: { label: 'Absent', badge: 'bg-red-100 text-red-700', cell: 'bg-red-50 border-red-200' }
+};
+
+/**
+ * Evaluation minute badges (AttendanceEngine results)
+ */
+const EVALUATION_BADGES = [
+    { field: 'late_minutes', label: 'Late', badge: 'bg-yellow-100 text-yellow-700' },
+    { field: 'early_leave_minutes', label: 'Early', badge: 'bg-red-100 text-red-700' },
+    { field: 'overtime_minutes', label: 'OT', badge: 'bg-purple-100 text-purple-700' }
+];
+
+/**
+ * Overtime request (SPL) status badges
+ */
+const OVERTIME_BADGES = {
+    Pending: 'bg-yellow-100 text-yellow-700',
+    Approved: 'bg-green-100 text-green-700',
+    Rejected: 'bg-red-100 text-red-700',
+    Cancelled: 'bg-gray-100 text-gray-600'
+};
+
+// ================================================
+// SECTION 2: INITIALIZATION
+// ================================================
+
+/**
+ * Initialize attendance page
+ * @async
+ * @returns {Promise<void>}
+ */
+async function initAttendancePage() {
+    console.log('🚀 Initializing Attendance Page...');
+
+    try {
+        const session = await checkAuth();
+        if (!session) {
+            console.log('⚠️ No session found, redirecting to login...');
+            redirectToLogin();
+            return;
+        }
+
+        attendanceState.currentUser = session.user;
+        attendanceState.isHr = LeaveApproval.isHrRole(session.user.user_metadata?.role);
+        updateUserInfo(attendanceState.currentUser);
+
+        bindRosterFilters();
+        await Promise.all([loadDepartments(), loadWorkSchedules(), loadGeofences(), loadHolidays(), loadSelfEmployee()]);
+        await Promise.all([loadRoster(), loadSelfAttendance()]);
+
+        console.log('✅ Attendance page initialized successfully');
+
+    } catch (error) {
+        console.error('❌ Failed to initialize attendance page:', error);
+        showToast('Failed to initialize page', 'error');
+    }
+}
+
+/**
+ * Bind date, department and search filters
+ */
+function bindRosterFilters() {
+    const dateInput = document.getElementById('rosterDate');
+    const departmentSelect = document.getElementById('rosterDepartment');
+    const searchInput = document.getElementById('rosterSearch');
+
+    if (dateInput) {
+        dateInput.value = attendanceState.date;
+        dateInput.addEventListener('change', () => {
+            attendanceState.date = dateInput.value || getCurrentDate();
+            loadRoster();
+        });
+    }
+
+    departmentSelect?.addEventListener('change', () => {
+        attendanceState.department = departmentSelect.value;
+        renderRoster();
+    });
+
+    document.getElementById('rosterFlaggedOnly')?.addEventListener('change', event => {
+        attendanceState.flaggedOnly = event.target.checked;
+        renderRoster();
+    });
+
+    let searchTimer = null;
+    searchInput?.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            attendanceState.search = searchInput.value.trim().toLowerCase();
+            renderRoster();
+        }, 300);
+    });
+}
+
+// ================================================
+// SECTION 3: DATA LOADING
+// ================================================
+
+/**
+ * Load departments for the roster filter
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadDepartments() {
+    const { data, error } = await getAllDepartments();
+    if (error) {
+        console.warn('⚠️ Departments not loaded:', error);
+        return;
+    }
+
+    attendanceState.departments = data || [];
+
+    const select = document.getElementById('rosterDepartment');
+    if (select) {
+        select.innerHTML = '<option value="">All Departments</option>' +
+            attendanceState.departments.map(dept =>
+                `<option value="${dept.id}">${escapeHtml(dept.name)}</option>`
+            ).join('');
+    }
+}
+
+/**
+ * Load work schedule templates used to evaluate attendance
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadWorkSchedules() {
+    const { data, error } = await getWorkScheduleTemplates();
+    if (error) {
+        console.warn('⚠️ Work schedules not loaded:', error);
+        return;
+    }
+
+    attendanceState.templates = new Map((data || []).map(template => [template.id, template]));
+}
+
+/**
+ * Load active geofences (used to preview punches before submitting)
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadGeofences() {
+    const { data, error } = await getAllGeofences();
+    if (error) {
+        console.warn('⚠️ Geofences not loaded:', error);
+        return;
+    }
+
+    attendanceState.geofences = data || [];
+}
+
+/**
+ * Load the holiday calendar and index it per site (national holidays apply to both)
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadHolidays() {
+    const { data, error } = await getAllHolidays();
+    if (error) {
+        console.warn('⚠️ Holidays not loaded:', error);
+        return;
+    }
+
+    attendanceState.holidayIndexes = Object.fromEntries(
+        ATTENDANCE_SITES.map(site => [site, HolidayCalendar.buildHolidayIndex(data, { site })])
+    );
+}
+
+/**
+ * Find the employee record linked to the signed-in user (same email)
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadSelfEmployee() {
+    const email = attendanceState.currentUser?.email;
+    if (!email) return;
+
+    const { data, error } = await getAllEmployees({ search: email });
+    if (error) {
+        console.warn('⚠️ Own employee record not loaded:', error);
+        return;
+    }
+
+    attendanceState.selfEmployee = (data || [])
+        .find(employee => (employee.email || '').toLowerCase() === email.toLowerCase()) || null;
+}
+
+/**
+ * Load today's record of the signed-in employee and render the self clock-in card
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadSelfAttendance() {
+    const self = attendanceState.selfEmployee;
+    if (!self) return;
+
+    const { data, error } = await getAllAttendance({ employee_id: self.id, date: getCurrentDate() });
+    if (error) {
+        console.warn('⚠️ Own attendance not loaded:', error);
+        return;
+    }
+
+    attendanceState.selfRecord = data?.[0] || null;
+    renderSelfCard();
+}
+
+/**
+ * Load employees of the selected site and their attendance on the selected date
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadRoster() {
+    try {
+        showLoading('Loading attendance...');
+
+        const [employeesResult, attendanceResult] = await Promise.all([
+            getAllEmployees({ site: attendanceState.site }),
+            getAllAttendance({ date: attendanceState.date })
+        ]);
+
+        if (employeesResult.error) throw new Error(employeesResult.error.message || employeesResult.error);
+        if (attendanceResult.error) throw new Error(attendanceResult.error);
+
+        attendanceState.employees = employeesResult.data || [];
+        attendanceState.recordsByEmployee = new Map(
+            (attendanceResult.data || []).map(record => [record.employee_id, record])
+        );
+
+        renderRoster();
+
+    } catch (error) {
+        console.error('❌ Load roster failed:', error);
+        showToast('Failed to load attendance: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// ================================================
+// SECTION 4: RENDERING
+// ================================================
+
+/**
+ * Employees matching the department and search filters
+ * @returns {Array}
+ */
+function getFilteredEmployees() {
+    const { department, search, flaggedOnly } = attendanceState;
+    return attendanceState.employees.filter(employee => {
+        if (department && employee.department_id !== department) return false;
+        if (flaggedOnly && !attendanceState.recordsByEmployee.get(employee.id)?.needs_review) return false;
+        if (!search) return true;
+        return [employee.full_name, employee.employee_code]
+            .some(value => String(value || '').toLowerCase().includes(search));
+    });
+}
+
+/**
+ * Render stats and the roster grid grouped by department
+ */
+function renderRoster() {
+    const container = document.getElementById('rosterGrid');
+    if (!container) return;
+
+    const employees = getFilteredEmployees();
+    renderRosterStats(employees);
+
+    if (employees.length === 0) {
+        container.innerHTML = `
+            <div class="bg-white rounded-xl shadow-sm border border-gray-100 px-6 py-12 text-center text-gray-500">
+                No ${escapeHtml(attendanceState.site)} employees match the filters
+            </div>
+        `;
+        return;
+    }
+
+    const groups = new Map();
+    employees.forEach(employee => {
+        const name = employee.departments?.name || 'No Department';
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(employee);
+    });
+
+    const isToday = attendanceState.date === getCurrentDate();
+
+    container.innerHTML = [...groups.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([departmentName, members]) => {
+            const clockedIn = members.filter(employee => attendanceState.recordsByEmployee.get(employee.id)?.clock_in).length;
+            return `
+                <section class="bg-white rounded-xl shadow-sm border border-gray-100 mb-6">
+                    <div class="px-4 sm:px-6 py-3 border-b border-gray-200 flex items-center justify-between">
+                        <h3 class="text-base font-semibold text-gray-800">${escapeHtml(departmentName)}</h3>
+                        <span class="text-sm text-gray-500">${clockedIn}/${members.length} clocked in</span>
+                    </div>
+                    <div class="overflow-x-auto">
+                        <table class="w-full">
+                            <thead class="bg-gray-50">
+                                <tr>
+                                    <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Employee</th>
+                                    <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                    <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Shift</th>
+                                    <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Clock In</th>
+                                    <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Clock Out</th>
+                                    <th class="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Hours</th>
+                                    <th class="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody class="divide-y divide-gray-200">
+                                ${members.map(employee => renderRosterRow(employee, isToday)).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </section>
+            `;
+        }).join('');
+}
+
+/**
+ * Render one roster row
+ * @param {Object} employee - Employee record
+ * @param {boolean} isToday - Whether the roster date is today (clock buttons only work today)
+ * @returns {string} HTML
+ */
+function renderRosterRow(employee, isToday) {
+    const record = attendanceState.recordsByEmployee.get(employee.id);
+    const status = record ? ATTENDANCE_STATUSES[record.status] : null;
+    const evaluation = evaluateRecord(employee, record || { date: attendanceState.date });
+    const hours = record?.clock_out ? evaluation.worked_minutes / 60 : null;
+
+    // Employees punch for themselves; HR may punch for others (flagged for review)
+    const canPunch = attendanceState.isHr || attendanceState.selfEmployee?.id === employee.id;
+
+    let clockButton = '';
+    if (canPunch && isToday && !record) {
+        clockButton = `
+            <button onclick="handleClockIn('${employee.id}')"
+                    class="text-green-600 hover:text-green-700 p-1.5 rounded hover:bg-green-50 transition-colors" title="Clock in">
+                <i class="fas fa-sign-in-alt" aria-hidden="true"></i>
+            </button>`;
+    } else if (canPunch && isToday && record?.clock_in && !record.clock_out) {
+        clockButton = `
+            <button onclick="handleClockOut('${record.id}')"
+                    class="text-primary-600 hover:text-primary-700 p-1.5 rounded hover:bg-primary-50 transition-colors" title="Clock out">
+                <i class="fas fa-sign-out-alt" aria-hidden="true"></i>
+            </button>`;
+    }
+
+    return `
+        <tr class="hover:bg-gray-50 transition-colors">
+            <td class="px-6 py-3 text-sm">
+                <div class="font-medium text-gray-800">${escapeHtml(employee.full_name)}</div>
+                <div class="text-xs text-gray-400">${escapeHtml(employee.employee_code || '')}</div>
+            </td>
+            <td class="px-6 py-3 text-sm">
+                ${status
+                    ? `<span class="px-2 py-0.5 rounded-full text-xs font-medium ${status.badge}">${status.label}</span>`
+                    : renderMissingRecordBadge(employee, attendanceState.date, evaluation)}
+                ${record?.corrected_at
+                    ? `<i class="fas fa-pen text-xs text-gray-400 ml-1" title="Corrected: ${escapeHtml(record.correction_reason || '')}" aria-label="Corrected"></i>`
+                    : ''}
+                ${renderEvaluationBadges(evaluation)}
+                ${record?.needs_review
+                    ? `<button onclick="openPunchReviewModal('${employee.id}')" class="ml-1 px-2 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-700" title="${escapeHtml((record.review_reasons || []).join('; '))}">
+                           <i class="fas fa-flag mr-1" aria-hidden="true"></i>Review
+                       </button>`
+                    : record?.clock_in_photo_url
+                        ? `<button onclick="openPunchReviewModal('${employee.id}')" class="ml-1 text-gray-400 hover:text-gray-600" title="View punch evidence" aria-label="View punch evidence">
+                               <i class="fas fa-camera text-xs" aria-hidden="true"></i>
+                           </button>`
+                        : ''}
+            </td>
+            <td class="px-6 py-3 text-sm text-gray-500">${renderShiftLabel(evaluation)}</td>
+            <td class="px-6 py-3 text-sm text-gray-700">${formatTime(record?.clock_in)}</td>
+            <td class="px-6 py-3 text-sm text-gray-700">${formatTime(record?.clock_out)}</td>
+            <td class="px-6 py-3 text-sm text-right text-gray-700">${hours === null ? '-' : hours.toFixed(1)}</td>
+            <td class="px-6 py-3 text-center whitespace-nowrap">
+                ${clockButton}
+                <button onclick="openCorrectionModal('${employee.id}')"
+                        class="text-gray-500 hover:text-gray-700 p-1.5 rounded hover:bg-gray-100 transition-colors" title="Correct attendance">
+                    <i class="fas fa-edit" aria-hidden="true"></i>
+                </button>
+                <button onclick="openCalendarModal('${employee.id}')"
+                        class="text-gray-500 hover:text-gray-700 p-1.5 rounded hover:bg-gray-100 transition-colors" title="Monthly calendar">
+                    <i class="fas fa-calendar-alt" aria-hidden="true"></i>
+                </button>
+            </td>
+        </tr>
+    `;
+}
+
+/**
+ * Render the self clock-in card of the signed-in employee
+ */
+function renderSelfCard() {
+    const card = document.getElementById('selfPunchCard');
+    const self = attendanceState.selfEmployee;
+    if (!card || !self) return;
+
+    const record = attendanceState.selfRecord;
+    card.classList.remove('hidden');
+    document.getElementById('selfPunchName').textContent = `${self.full_name} · ${self.work_site || 'Office'}`;
+    document.getElementById('selfPunchStatus').textContent = !record
+        ? 'Not clocked in today'
+        : record.clock_out
+            ? `In ${formatTime(record.clock_in)} · Out ${formatTime(record.clock_out)}`
+            : `Clocked in at ${formatTime(record.clock_in)}`;
+
+    const button = document.getElementById('selfPunchBtn');
+    button.classList.toggle('hidden', Boolean(record?.clock_out));
+    button.innerHTML = record
+        ? '<i class="fas fa-sign-out-alt mr-2" aria-hidden="true"></i>Clock Out'
+        : '<i class="fas fa-sign-in-alt mr-2" aria-hidden="true"></i>Clock In';
+    button.onclick = () => (record ? handleClockOut(record.id) : handleClockIn(self.id));
+}
+
+/**
+ * Render roster statistic cards
+ * @param {Array} employees - Filtered employees
+ */
+function renderRosterStats(employees) {
+    const records = employees
+        .map(employee => attendanceState.recordsByEmployee.get(employee.id))
+        .filter(Boolean);
+
+    const setText = (id, value) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = value;
+    };
+
+    setText('statScheduled', employees.length);
+    setText('statClockedIn', records.filter(record => record.clock_in).length);
+    setText('statLate', employees.filter(employee => {
+        const record = attendanceState.recordsByEmployee.get(employee.id);
+        return record && (record.status === 'late' || evaluateRecord(employee, record).late_minutes > 0);
+    }).length);
+    setText('statNotIn', employees.filter(employee =>
+        !attendanceState.recordsByEmployee.has(employee.id)
+        && isScheduledWorkday(employee, attendanceState.date)
+    ).length);
+}
+
+/**
+ * Holidays on a date for the employee's site
+ * @param {Object} employee - Employee record (work_site)
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Array}
+ */
+function getEmployeeHolidays(employee, date) {
+    const index = attendanceState.holidayIndexes[employee.work_site || 'Office'];
+    return HolidayCalendar.getHolidays(index, date);
+}
+
+/**
+ * Whether the employee is expected at work on a date: a scheduled shift that is
+ * not a holiday. Employees without a schedule are expected Monday–Friday.
+ * @param {Object} employee - Employee record
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+function isScheduledWorkday(employee, date) {
+    if (getEmployeeHolidays(employee, date).length > 0) return false;
+
+    const evaluation = evaluateRecord(employee, { date });
+    if (evaluation.has_schedule) return !evaluation.is_off_day;
+    return HolidayCalendar.DEFAULT_WORK_DAYS.includes(AttendanceEngine.getDayOfWeek(date));
+}
+
+/**
+ * Status badge for an employee without a record on a date
+ * Holiday / off day, absent for a past workday, otherwise not clocked in yet
+ * @param {Object} employee - Employee record
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Object} evaluation - AttendanceEngine evaluation of the empty day
+ * @returns {string} HTML
+ */
+function renderMissingRecordBadge(employee, date, evaluation) {
+    const holidays = getEmployeeHolidays(employee, date);
+    if (holidays.length > 0) {
+        return `<span class="px-2 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-700">${escapeHtml(HolidayCalendar.describeHolidays(holidays))}</span>`;
+    }
+    if (evaluation.is_off_day) {
+        return '<span class="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-600">Off day</span>';
+    }
+    if (date < getCurrentDate() && isScheduledWorkday(employee, date)) {
+        return `<span class="px-2 py-0.5 rounded-full text-xs font-medium ${ATTENDANCE_STATUSES.absent.badge}" title="No attendance record on a scheduled workday">No record</span>`;
+    }
+    return '<span class="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-600">Not clocked in</span>';
+}
+
+/**
+ * Evaluate a record against the employee's assigned work schedule
+ * @param {Object} employee - Employee record (work_schedule_template_id)
+ * @param {Object} record - Attendance record
+ * @returns {Object} AttendanceEngine evaluation
+ */
+function evaluateRecord(employee, record) {
+    const template = attendanceState.templates.get(employee.work_schedule_template_id) || null;
+    return AttendanceEngine.evaluateAttendance(record, template);
+}
+
+/**
+ * Shift cell text ('08:00–17:00', 'Off day', 'No schedule')
+ * @param {Object} evaluation - AttendanceEngine evaluation
+ * @returns {string} HTML
+ */
+function renderShiftLabel(evaluation) {
+    if (!evaluation.has_schedule) return '<span class="text-gray-400">No schedule</span>';
+    if (evaluation.is_off_day) return 'Off day';
+
+    const { start_time, end_time, is_overnight } = evaluation.shift;
+    return `${formatTime(start_time)}–${formatTime(end_time)}${is_overnight ? ' <i class="fas fa-moon text-xs text-gray-400" title="Overnight shift" aria-label="Overnight shift"></i>' : ''}`;
+}
+
+/**
+ * Late / early leave / overtime minute badges
+ * @param {Object} evaluation - AttendanceEngine evaluation
+ * @returns {string} HTML
+ */
+function renderEvaluationBadges(evaluation) {
+    return EVALUATION_BADGES
+        .filter(item => evaluation[item.field] > 0)
+        .map(item => `<span class="ml-1 px-2 py-0.5 rounded-full text-xs font-medium ${item.badge}">${item.label} ${AttendanceEngine.formatMinutes(evaluation[item.field])}</span>`)
+        .join('');
+}
+
+// ================================================
+// SECTION 5: CLOCK IN / CLOCK OUT (Selfie + Geolocation)
+// ================================================
+
+/**
+ * Clock in an employee for today (opens selfie & location capture)
+ * @param {string} employeeId - Employee UUID
+ */
+function handleClockIn(employeeId) {
+    openPunchModal('clock_in', employeeId, null);
+}
+
+/**
+ * Clock out an open attendance record (opens selfie & location capture)
+ * @param {string} attendanceId - Attendance UUID
+ */
+function handleClockOut(attendanceId) {
+    const record = [...attendanceState.recordsByEmployee.values(), attendanceState.selfRecord]
+        .find(item => item?.id === attendanceId);
+    if (!record) return;
+
+    openPunchModal('clock_out', record.employee_id, attendanceId);
+}
+
+/**
+ * Open the punch modal: start the front camera and request the browser position
+ * @async
+ * @param {string} punchType - 'clock_in' | 'clock_out'
+ * @param {string} employeeId - Employee UUID
+ * @param {string|null} attendanceId - Attendance UUID (clock out only)
+ * @returns {Promise<void>}
+ */
+async function openPunchModal(punchType, employeeId, attendanceId) {
+    const isSelf = attendanceState.selfEmployee?.id === employeeId;
+    if (!isSelf && !attendanceState.isHr) {
+        showToast('You can only clock in or out for yourself', 'warning');
+        return;
+    }
+
+    const employee = attendanceState.employees.find(emp => emp.id === employeeId)
+        || (isSelf ? attendanceState.selfEmployee : null);
+    if (!employee) return;
+
+    attendanceState.punch = {
+        punchType, employee, attendanceId,
+        stream: null, cameraPending: true, photo: null,
+        position: null, locationFailed: false
+    };
+
+    document.getElementById('punchModalTitle').textContent = punchType === 'clock_in' ? 'Clock In' : 'Clock Out';
+    document.getElementById('punchEmployee').textContent = `${employee.full_name} · ${employee.work_site || 'Office'}`;
+    const onBehalf = document.getElementById('punchOnBehalf');
+    onBehalf.textContent = isSelf ? '' : `You are punching on behalf of ${employee.full_name}. The punch will be flagged for review.`;
+    onBehalf.classList.toggle('hidden', isSelf);
+    document.getElementById('punchSubmitBtn').disabled = true;
+    resetPunchPhoto();
+
+    const modal = document.getElementById('punchModal');
+    modal.classList.remove('hidden');
+    modal.classList.add('flex');
+
+    startPunchCamera();
+    locatePunch();
+}
+
+/**
+ * Start the front camera preview
+ * @async
+ * @returns {Promise<void>}
+ */
+async function startPunchCamera() {
+    const punch = attendanceState.punch;
+    const video = document.getElementById('punchVideo');
+    if (!punch || !video) return;
+
+    if (!navigator.mediaDevices?.getUserMedia) {
+        punch.cameraPending = false;
+        setPunchCameraMessage('Camera not supported by this browser. The punch will be flagged for review.');
+        updatePunchSubmitState();
+        return;
+    }
+
+    try {
+        punch.stream = await navigator.mediaDevices.getUserMedia({
+            video: { facingMode: 'user', width: { ideal: 640 }, height: { ideal: 480 } },
+            audio: false
+        });
+        if (attendanceState.punch !== punch) {
+            // Modal closed while the permission prompt was open
+            punch.stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+        video.srcObject = punch.stream;
+        await video.play();
+        setPunchCameraMessage('');
+    } catch (error) {
+        console.warn('⚠️ Camera unavailable:', error);
+        setPunchCameraMessage('Camera access denied. The punch will be flagged for review.');
+    }
+    punch.cameraPending = false;
+    updatePunchSubmitState();
+}
+
+/**
+ * Stop the camera stream
+ */
+function stopPunchCamera() {
+    const punch = attendanceState.punch;
+    punch?.stream?.getTracks().forEach(track => track.stop());
+    if (punch) punch.stream = null;
+
+    const video = document.getElementById('punchVideo');
+    if (video) video.srcObject = null;
+}
+
+/**
+ * Show a camera status message under the preview
+ * @param {string} message - Message ('' hides it)
+ */
+function setPunchCameraMessage(message) {
+    const el = document.getElementById('punchCameraMessage');
+    if (!el) return;
+    el.textContent = message;
+    el.classList.toggle('hidden', !message);
+}
+
+/**
+ * Capture the current video frame as a JPEG selfie
+ */
+function capturePunchPhoto() {
+    const punch = attendanceState.punch;
+    const video = document.getElementById('punchVideo');
+    const canvas = document.getElementById('punchCanvas');
+    if (!punch?.stream || !video || !canvas) return;
+
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+    canvas.toBlob(blob => {
+        punch.photo = blob;
+        document.getElementById('punchPhoto').src = URL.createObjectURL(blob);
+        document.getElementById('punchPhoto').classList.remove('hidden');
+        video.classList.add('hidden');
+        document.getElementById('punchCaptureBtn').classList.add('hidden');
+        document.getElementById('punchRetakeBtn').classList.remove('hidden');
+        updatePunchSubmitState();
+    }, 'image/jpeg', 0.8);
+}
+
+/**
+ * Discard the captured selfie and show the live preview again
+ */
+function resetPunchPhoto() {
+    const punch = attendanceState.punch;
+    if (punch) punch.photo = null;
+
+    const photo = document.getElementById('punchPhoto');
+    if (photo?.src) URL.revokeObjectURL(photo.src);
+    photo?.removeAttribute('src');
+    photo?.classList.add('hidden');
+    document.getElementById('punchVideo')?.classList.remove('hidden');
+    document.getElementById('punchCaptureBtn')?.classList.remove('hidden');
+    document.getElementById('punchRetakeBtn')?.classList.add('hidden');
+    updatePunchSubmitState();
+}
+
+/**
+ * Request the browser position and preview it against the site geofences
+ */
+function locatePunch() {
+    const punch = attendanceState.punch;
+    if (!punch) return;
+
+    if (!navigator.geolocation) {
+        renderPunchLocation('Location not supported by this browser. The punch will be flagged for review.');
+        updatePunchSubmitState();
+        return;
+    }
+
+    renderPunchLocation('<i class="fas fa-spinner fa-spin mr-1" aria-hidden="true"></i>Getting your location...');
+    navigator.geolocation.getCurrentPosition(
+        position => {
+            if (attendanceState.punch !== punch) return;
+            punch.position = {
+                latitude: position.coords.latitude,
+                longitude: position.coords.longitude,
+                accuracy: position.coords.accuracy
+            };
+            renderPunchLocation();
+            updatePunchSubmitState();
+        },
+        error => {
+            if (attendanceState.punch !== punch) return;
+            console.warn('⚠️ Geolocation failed:', error);
+            punch.position = null;
+            punch.locationFailed = true;
+            renderPunchLocation('Location unavailable. The punch will be flagged for review.');
+            updatePunchSubmitState();
+        },
+        { enableHighAccuracy: true, timeout: 15000, maximumAge: 0 }
+    );
+}
+
+/**
+ * Render the geofence preview of the punch position
+ * @param {string} [message] - Status message instead of the preview
+ */
+function renderPunchLocation(message = null) {
+    const el = document.getElementById('punchLocation');
+    const punch = attendanceState.punch;
+    if (!el || !punch) return;
+
+    if (message) {
+        el.innerHTML = `<p class="text-sm text-gray-600">${message}</p>`;
+        return;
+    }
+
+    const site = punch.employee.work_site || 'Office';
+    const fences = attendanceState.geofences.filter(fence => fence.site_type === site);
+    const check = AttendanceEngine.evaluatePunch({ position: punch.position, has_photo: true }, fences);
+
+    el.innerHTML = `
+        <p class="text-sm ${check.in_fence ? 'text-green-700' : 'text-yellow-700'}">
+            <i class="fas ${check.in_fence ? 'fa-check-circle' : 'fa-exclamation-triangle'} mr-1" aria-hidden="true"></i>
+            ${check.in_fence
+                ? `Inside ${escapeHtml(check.geofence_name)} (${check.distance_meters} m)`
+                : escapeHtml(check.review_reasons.join(' · ') || 'Outside geofence')}
+        </p>
+        <p class="text-xs text-gray-400 mt-1">
+            ${punch.position.latitude.toFixed(6)}, ${punch.position.longitude.toFixed(6)} (±${Math.round(punch.position.accuracy)} m)
+        </p>
+        ${check.in_fence ? '' : '<p class="text-xs text-gray-500 mt-1">You can still submit; HR will review this punch.</p>'}
+    `;
+}
+
+/**
+ * Enable submit once a selfie is taken (or the camera is unavailable)
+ * and the location request has finished
+ */
+function updatePunchSubmitState() {
+    const punch = attendanceState.punch;
+    const btn = document.getElementById('punchSubmitBtn');
+    if (!punch || !btn) return;
+
+    const photoReady = Boolean(punch.photo) || (!punch.cameraPending && !punch.stream);
+    const locationDone = Boolean(punch.position) || Boolean(punch.locationFailed) || !navigator.geolocation;
+    btn.disabled = !(photoReady && locationDone);
+}
+
+/**
+ * Close punch modal and release the camera
+ */
+function closePunchModal() {
+    stopPunchCamera();
+    resetPunchPhoto();
+
+    const modal = document.getElementById('punchModal');
+    if (modal) {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+    }
+    attendanceState.punch = null;
+}
+
+/**
+ * Submit the punch with its selfie and position
+ * @async
+ * @returns {Promise<void>}
+ */
+async function submitPunch() {
+    const punch = attendanceState.punch;
+    if (!punch) return;
+
+    const evidence = {
+        latitude: punch.position?.latitude ?? null,
+        longitude: punch.position?.longitude ?? null,
+        accuracy: punch.position?.accuracy ?? null,
+        photo: punch.photo
+    };
+    const isClockIn = punch.punchType === 'clock_in';
+
+    try {
+        showLoading(isClockIn ? 'Clocking in...' : 'Clocking out...');
+
+        const { data, error } = isClockIn
+            ? await clockIn(punch.employee.id, evidence)
+            : await clockOut(punch.attendanceId, evidence);
+        if (error) throw new Error(error);
+
+        closePunchModal();
+        showToast(
+            data?.needs_review ? `${isClockIn ? 'Clocked in' : 'Clocked out'} · flagged for HR review` : (isClockIn ? 'Clocked in' : 'Clocked out'),
+            data?.needs_review ? 'warning' : 'success'
+        );
+
+        await Promise.all([loadRoster(), loadSelfAttendance()]);
+
+    } catch (error) {
+        console.error('❌ Punch failed:', error);
+        showToast(`${isClockIn ? 'Clock in' : 'Clock out'} failed: ${error.message}`, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// ================================================
+// SECTION 5.5: PUNCH REVIEW (Flagged punches)
+// ================================================
+
+/**
+ * Open the evidence of a punch (selfies, positions, flags)
+ * @param {string} employeeId - Employee UUID
+ */
+function openPunchReviewModal(employeeId) {
+    const record = attendanceState.recordsByEmployee.get(employeeId);
+    const employee = attendanceState.employees.find(emp => emp.id === employeeId);
+    if (!record || !employee) return;
+
+    attendanceState.review = record;
+
+    const geofenceName = id => attendanceState.geofences.find(fence => fence.id === id)?.site_name || '-';
+    const renderPunchEvidence = (label, prefix) => {
+        const lat = record[`${prefix}_latitude`];
+        const lng = record[`${prefix}_longitude`];
+        const inFence = record[`${prefix}_in_fence`];
+        if (!record[prefix]) return '';
+
+        return `
+            <div class="border border-gray-200 rounded-lg p-4">
+                <h4 class="text-sm font-semibold text-gray-800 mb-2">${label} · ${formatTime(record[prefix])}</h4>
+                ${record[`${prefix}_photo_url`]
+                    ? `<img src="${escapeHtml(record[`${prefix}_photo_url`])}" alt="${label} selfie" class="w-full rounded-lg mb-2">`
+                    : '<p class="text-sm text-gray-400 mb-2">No selfie</p>'}
+                ${lat !== null && lat !== undefined ? `
+                    <p class="text-sm ${inFence ? 'text-green-700' : 'text-yellow-700'}">
+                        ${inFence === null ? 'Geofence not checked' : inFence ? 'Inside' : 'Outside'}
+                        ${record[`${prefix}_geofence_id`] ? `${escapeHtml(geofenceName(record[`${prefix}_geofence_id`]))} (${record[`${prefix}_distance_meters`]} m)` : ''}
+                    </p>
+                    <a href="https://www.google.com/maps?q=${lat},${lng}" target="_blank" rel="noopener noreferrer"
+                       class="text-xs text-primary-600 hover:text-primary-700">
+                        <i class="fas fa-map-marker-alt mr-1" aria-hidden="true"></i>${Number(lat).toFixed(6)}, ${Number(lng).toFixed(6)}
+                        (±${Math.round(record[`${prefix}_accuracy`] || 0)} m)
+                    </a>
+                ` : '<p class="text-sm text-gray-400">No location</p>'}
+            </div>
+        `;
+    };
+
+    document.getElementById('reviewEmployee').textContent = `${employee.full_name} · ${formatDate(record.date)}`;
+    document.getElementById('reviewReasons').innerHTML = (record.review_reasons || []).length
+        ? `<div class="space-y-1">${record.review_reasons.map(reason => `
+            <p class="text-sm text-yellow-700"><i class="fas fa-exclamation-triangle mr-1" aria-hidden="true"></i>${escapeHtml(reason)}</p>
+        `).join('')}</div>`
+        : '<p class="text-sm text-gray-500">No flags.</p>';
+    document.getElementById('reviewEvidence').innerHTML =
+        renderPunchEvidence('Clock In', 'clock_in') + renderPunchEvidence('Clock Out', 'clock_out');
+    document.getElementById('reviewNote').value = record.review_note || '';
+    document.getElementById('reviewSubmitBtn').classList.toggle('hidden', !record.needs_review);
+    document.getElementById('reviewStatus').innerHTML = record.reviewed_at
+        ? `<p class="text-xs text-gray-500"><i class="fas fa-check mr-1" aria-hidden="true"></i>Reviewed ${formatDate(record.reviewed_at)}</p>`
+        : '';
+
+    const modal = document.getElementById('punchReviewModal');
+    modal.classList.remove('hidden');
+    modal.classList.add('flex');
+}
+
+/**
+ * Close punch review modal
+ */
+function closePunchReviewModal() {
+    const modal = document.getElementById('punchReviewModal');
+    if (modal) {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+    }
+    attendanceState.review = null;
+}
+
+/**
+ * Accept a flagged punch (clears the review flag)
+ * Use Correct Attendance instead when the punch itself is wrong.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function submitPunchReview() {
+    const record = attendanceState.review;
+    if (!record) return;
+
+    const { error } = await reviewAttendancePunch(record.id, document.getElementById('reviewNote').value);
+    if (error) {
+        showToast('Failed to review punch: ' + error, 'error');
+        return;
+    }
+
+    closePunchReviewModal();
+    showToast('Punch marked as reviewed', 'success');
+    await loadRoster();
+}
+
+// ================================================
+// SECTION 6: MANUAL CORRECTION
+// ================================================
+
+/**
+ * Open the correction modal for an employee on the roster date (or a calendar day)
+ * @param {string} employeeId - Employee UUID
+ * @param {string} [date] - Date to correct (default: roster date)
+ * @param {Object} [record] - Existing attendance record of that date
+ */
+function openCorrectionModal(employeeId, date = null, record = undefined) {
+    const employee = attendanceState.employees.find(emp => emp.id === employeeId);
+    if (!employee) return;
+
+    const correctionDate = date || attendanceState.date;
+    const existing = record !== undefined ? record : attendanceState.recordsByEmployee.get(employeeId) || null;
+
+    attendanceState.correction = { employee, date: correctionDate, record: existing };
+
+    document.getElementById('correctionEmployee').textContent =
+        `${employee.full_name} · ${formatDate(correctionDate)}`;
+    document.getElementById('correctionClockIn').value = formatTime(existing?.clock_in) === '-' ? '' : formatTime(existing?.clock_in);
+    document.getElementById('correctionClockOut').value = formatTime(existing?.clock_out) === '-' ? '' : formatTime(existing?.clock_out);
+    document.getElementById('correctionStatus').value = existing?.status || 'present';
+    document.getElementById('correctionReason').value = '';
+    document.getElementById('correctionHistory').innerHTML = existing?.corrected_at ? `
+        <p class="text-xs text-gray-500">
+            <i class="fas fa-history mr-1" aria-hidden="true"></i>
+            Last corrected ${formatDate(existing.corrected_at)}: ${escapeHtml(existing.correction_reason || '')}
+            ${existing.original_clock_in || existing.original_clock_out
+                ? `(original ${formatTime(existing.original_clock_in)} – ${formatTime(existing.original_clock_out)})`
+                : ''}
+        </p>` : '';
+
+    const modal = document.getElementById('correctionModal');
+    modal.classList.remove('hidden');
+    modal.classList.add('flex');
+}
+
+/**
+ * Close correction modal
+ */
+function closeCorrectionModal() {
+    const modal = document.getElementById('correctionModal');
+    if (modal) {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+    }
+    attendanceState.correction = null;
+}
+
+/**
+ * Save the manual correction
+ * @async
+ * @returns {Promise<void>}
+ */
+async function saveCorrection() {
+    const correction = attendanceState.correction;
+    if (!correction) return;
+
+    const reason = document.getElementById('correctionReason').value.trim();
+    if (!reason) {
+        showToast('Please enter the reason for this correction', 'warning');
+        return;
+    }
+
+    const toTime = value => (value ? `${value}:00` : null);
+
+    try {
+        showLoading('Saving correction...');
+
+        const { error } = await correctAttendance(correction.record?.id || null, {
+            employee_id: correction.employee.id,
+            date: correction.date,
+            clock_in: toTime(document.getElementById('correctionClockIn').value),
+            clock_out: toTime(document.getElementById('correctionClockOut').value),
+            status: document.getElementById('correctionStatus').value,
+            reason
+        });
+        if (error) throw new Error(error);
+
+        const employeeId = correction.employee.id;
+        closeCorrectionModal();
+        showToast('Attendance corrected', 'success');
+
+        await loadRoster();
+        if (attendanceState.calendar?.employee.id === employeeId) {
+            await loadCalendar();
+        }
+
+    } catch (error) {
+        console.error('❌ Save correction failed:', error);
+        showToast('Failed to save correction: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// ================================================
+// SECTION 7: MONTHLY CALENDAR
+// ================================================
+
+/**
+ * Open the monthly calendar of an employee (month of the roster date)
+ * @async
+ * @param {string} employeeId - Employee UUID
+ * @returns {Promise<void>}
+ */
+async function openCalendarModal(employeeId) {
+    const employee = attendanceState.employees.find(emp => emp.id === employeeId);
+    if (!employee) return;
+
+    attendanceState.calendar = {
+        employee,
+        month: attendanceState.date.slice(0, 7),
+        records: [],
+        summary: null
+    };
+
+    document.getElementById('calendarEmployee').textContent =
+        `${employee.full_name} (${employee.employee_code || '-'})`;
+
+    const modal = document.getElementById('calendarModal');
+    modal.classList.remove('hidden');
+    modal.classList.add('flex');
+
+    await loadCalendar();
+}
+
+/**
+ * Close calendar modal
+ */
+function closeCalendarModal() {
+    const modal = document.getElementById('calendarModal');
+    if (modal) {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+    }
+    attendanceState.calendar = null;
+}
+
+/**
+ * Move the calendar by whole months
+ * @param {number} delta - -1 (previous) or +1 (next)
+ */
+function changeCalendarMonth(delta) {
+    const calendar = attendanceState.calendar;
+    if (!calendar) return;
+
+    const [year, month] = calendar.month.split('-').map(Number);
+    const target = new Date(year, month - 1 + delta, 1);
+    calendar.month = `${target.getFullYear()}-${String(target.getMonth() + 1).padStart(2, '0')}`;
+    loadCalendar();
+}
+
+/**
+ * Load records and summary of the calendar month
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadCalendar() {
+    const calendar = attendanceState.calendar;
+    if (!calendar) return;
+
+    const [recordsResult, summaryResult] = await Promise.all([
+        getAllAttendance({ employee_id: calendar.employee.id, month: calendar.month }),
+        getAttendanceSummary(calendar.employee.id, calendar.month)
+    ]);
+
+    if (recordsResult.error) {
+        showToast('Failed to load calendar: ' + recordsResult.error, 'error');
+        return;
+    }
+
+    calendar.records = recordsResult.data || [];
+    calendar.summary = summaryResult.data || null;
+    renderCalendar();
+}
+
+/**
+ * Render the month grid (Monday first) and summary
+ */
+function renderCalendar() {
+    const calendar = attendanceState.calendar;
+    const grid = document.getElementById('calendarGrid');
+    if (!calendar || !grid) return;
+
+    const [year, month] = calendar.month.split('-').map(Number);
+    document.getElementById('calendarMonthLabel').textContent = `${getMonthName(month)} ${year}`;
+
+    const recordsByDate = new Map(calendar.records.map(record => [record.date, record]));
+    const daysInMonth = new Date(year, month, 0).getDate();
+    const leadingBlanks = (new Date(year, month - 1, 1).getDay() + 6) % 7;
+    const today = getCurrentDate();
+
+    let holidayCount = 0;
+    let unrecordedCount = 0;
+
+    const dayCells = Array.from({ length: daysInMonth }, (_, index) => {
+        const day = index + 1;
+        const date = `${calendar.month}-${String(day).padStart(2, '0')}`;
+        const record = recordsByDate.get(date);
+        const status = record ? ATTENDANCE_STATUSES[record.status] : null;
+        const evaluation = record ? evaluateRecord(calendar.employee, record) : null;
+        const isFuture = date > today;
+        const holidayName = HolidayCalendar.describeHolidays(getEmployeeHolidays(calendar.employee, date));
+        const isUnrecorded = !record && date < today && isScheduledWorkday(calendar.employee, date);
+
+        if (holidayName) holidayCount++;
+        if (isUnrecorded) unrecordedCount++;
+
+        let cellClass = 'bg-white border-gray-200';
+        if (status) cellClass = status.cell;
+        else if (holidayName) cellClass = 'bg-purple-50 border-purple-200';
+        else if (isUnrecorded) cellClass = 'bg-white border-red-200';
+
+        const title = status ? status.label : holidayName || (isUnrecorded ? 'No record on a scheduled workday' : isFuture ? '' : 'No record');
+
+        return `
+            <button type="button"
+                    ${isFuture ? 'disabled' : `onclick="openCalendarDayCorrection('${date}')"`}
+                    class="min-h-[60px] p-1.5 rounded-lg border text-left transition-colors disabled:cursor-not-allowed ${cellClass} ${isFuture ? 'text-gray-300' : 'hover:border-primary-300'}"
+                    title="${escapeHtml(title)}">
+                <div class="text-xs font-semibold ${date === today ? 'text-primary-600' : ''}">${day}</div>
+                ${holidayName ? `<div class="text-xs text-purple-700 truncate">${escapeHtml(holidayName)}</div>` : ''}
+                ${isUnrecorded ? '<div class="text-xs text-red-600 mt-1">No record</div>' : ''}
+                ${record ? `
+                    <div class="text-xs text-gray-600 mt-1">${formatTime(record.clock_in)}–${formatTime(record.clock_out)}</div>
+                    <div class="text-xs font-medium text-gray-700">${status ? status.label : escapeHtml(record.status || '')}</div>
+                    ${EVALUATION_BADGES
+                        .filter(item => evaluation[item.field] > 0)
+                        .map(item => `<div class="text-xs text-gray-500">${item.label} ${AttendanceEngine.formatMinutes(evaluation[item.field])}</div>`)
+                        .join('')}
+                ` : ''}
+            </button>
+        `;
+    });
+
+    grid.innerHTML =
+        ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+            .map(name => `<div class="text-center text-xs font-medium text-gray-500 uppercase">${name}</div>`).join('') +
+        Array.from({ length: leadingBlanks }, () => '<div></div>').join('') +
+        dayCells.join('');
+
+    const summary = calendar.summary;
+    const totals = AttendanceEngine.summarizeEvaluations(
+        calendar.records.map(record => evaluateRecord(calendar.employee, record))
+    );
+    document.getElementById('calendarSummary').innerHTML = summary ? `
+        <div class="flex flex-wrap gap-4 text-sm text-gray-600">
+            <span>Recorded days: <strong>${summary.total_days}</strong></span>
+            <span>Present: <strong>${summary.present}</strong></span>
+            <span>Late: <strong>${summary.late}</strong></span>
+            <span>Permission: <strong>${summary.permission}</strong></span>
+            <span>Absent: <strong>${summary.absent}</strong></span>
+            <span>Unrecorded workdays: <strong>${unrecordedCount}</strong></span>
+            <span>Holidays: <strong>${holidayCount}</strong></span>
+        </div>
+        <div class="flex flex-wrap gap-4 text-sm text-gray-600 mt-2">
+            <span>Late total: <strong>${AttendanceEngine.formatMinutes(totals.total_late_minutes)}</strong></span>
+            <span>Early leave total: <strong>${AttendanceEngine.formatMinutes(totals.total_early_leave_minutes)}</strong></span>
+            <span>Overtime total: <strong>${AttendanceEngine.formatMinutes(totals.total_overtime_minutes)}</strong></span>
+        </div>
+    ` : '';
+}
+
+/**
+ * Open correction for a calendar day of the calendar employee
+ * @param {string} date - Date (YYYY-MM-DD)
+ */
+function openCalendarDayCorrection(date) {
+    const calendar = attendanceState.calendar;
+    if (!calendar) return;
+
+    const record = calendar.records.find(item => item.date === date) || null;
+    openCorrectionModal(calendar.employee.id, date, record);
+}
+
+// ================================================
+// SECTION 7.5: MACHINE LOG IMPORT (ZKTeco / Solution)
+// ================================================
+
+/**
+ * Open the machine log import modal
+ */
+function openMachineImportModal() {
+    attendanceState.machineImport = null;
+    document.getElementById('machineImportFiles').value = '';
+    document.getElementById('machineImportFormat').value = 'auto';
+    document.getElementById('machineImportPreview').innerHTML = '';
+    document.getElementById('machineImportSubmitBtn').disabled = true;
+
+    const modal = document.getElementById('machineImportModal');
+    modal.classList.remove('hidden');
+    modal.classList.add('flex');
+}
+
+/**
+ * Close machine log import modal
+ */
+function closeMachineImportModal() {
+    const modal = document.getElementById('machineImportModal');
+    if (modal) {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+    }
+    attendanceState.machineImport = null;
+}
+
+/**
+ * Parse the selected export files and preview matched / unmatched machine IDs
+ * @async
+ * @returns {Promise<void>}
+ */
+async function previewMachineImport() {
+    const files = [...document.getElementById('machineImportFiles').files];
+    const format = document.getElementById('machineImportFormat').value;
+    const submitBtn = document.getElementById('machineImportSubmitBtn');
+    const preview = document.getElementById('machineImportPreview');
+
+    attendanceState.machineImport = null;
+    submitBtn.disabled = true;
+    if (files.length === 0) {
+        preview.innerHTML = '';
+        return;
+    }
+
+    try {
+        const punches = [];
+        const errors = [];
+        const formats = new Set();
+
+        for (const file of files) {
+            const result = AttendanceImport.parseMachineLog(await file.text(), { format });
+            formats.add(result.format);
+            punches.push(...result.punches);
+            errors.push(...result.errors.map(error => ({ ...error, file: file.name })));
+        }
+
+        const { data: employees, error } = await getAllEmployees({ includeInactive: true });
+        if (error) throw new Error(error.message || error);
+
+        const { matched, unmatched } = AttendanceImport.matchEmployees(punches, employees || []);
+        const dates = punches.map(punch => punch.date).sort();
+
+        attendanceState.machineImport = {
+            punches,
+            format: formats.size === 1 ? [...formats][0] : 'mixed',
+            fileName: files.map(file => file.name).join(', ')
+        };
+
+        preview.innerHTML = `
+            <div class="grid grid-cols-2 md:grid-cols-3 gap-3 mb-4">
+                ${renderImportStat('Scans', punches.length)}
+                ${renderImportStat('Employees', new Set(matched.map(punch => punch.employee_id)).size)}
+                ${renderImportStat('Unmatched IDs', unmatched.length)}
+            </div>
+            <p class="text-sm text-gray-600 mb-4">
+                ${[...formats].map(key => escapeHtml(AttendanceImport.FORMATS[key])).join(', ')}
+                ${dates.length ? `· ${formatDate(dates[0])} – ${formatDate(dates[dates.length - 1])}` : ''}
+            </p>
+            ${renderUnmatchedIds(unmatched)}
+            ${errors.length ? `
+                <div class="p-3 mb-4 rounded-lg bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+                    <p class="font-medium">${errors.length} line(s) could not be read</p>
+                    ${errors.slice(0, 5).map(error => `
+                        <p class="text-xs">${escapeHtml(error.file)} line ${error.line}: ${escapeHtml(error.message)}</p>
+                    `).join('')}
+                </div>` : ''}
+        `;
+        submitBtn.disabled = matched.length === 0;
+
+    } catch (error) {
+        console.error('❌ Machine log preview failed:', error);
+        preview.innerHTML = `
+            <div class="p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+                ${escapeHtml(error.message)}
+            </div>`;
+    }
+}
+
+/**
+ * Import the previewed scans into attendance
+ * @async
+ * @returns {Promise<void>}
+ */
+async function submitMachineImport() {
+    const pending = attendanceState.machineImport;
+    if (!pending) return;
+
+    try {
+        showLoading('Importing machine log...');
+
+        const { data: summary, error } = await importAttendanceMachineLog(pending.punches, {
+            format: pending.format,
+            file_name: pending.fileName
+        });
+        if (error) throw new Error(error);
+
+        attendanceState.machineImport = null;
+        document.getElementById('machineImportSubmitBtn').disabled = true;
+        document.getElementById('machineImportPreview').innerHTML = `
+            <div class="grid grid-cols-2 md:grid-cols-3 gap-3 mb-4">
+                ${renderImportStat('New scans', summary.new_punches)}
+                ${renderImportStat('Already imported', summary.duplicate_punches)}
+                ${renderImportStat('Days added', summary.inserted)}
+                ${renderImportStat('Days updated', summary.updated)}
+                ${renderImportStat('Days unchanged', summary.unchanged)}
+                ${renderImportStat('Days kept', summary.skipped.length)}
+            </div>
+            ${renderUnmatchedIds(summary.unmatched)}
+            ${summary.skipped.length ? `
+                <div class="p-3 rounded-lg bg-blue-50 border border-blue-200 text-sm text-blue-700">
+                    <p class="font-medium mb-1">Existing days kept as they are</p>
+                    ${summary.skipped.map(day => `
+                        <p class="text-xs">${escapeHtml(day.employee_name)} · ${formatDate(day.date)} · ${escapeHtml(day.reason)}</p>
+                    `).join('')}
+                </div>` : ''}
+        `;
+        showToast(`Machine log imported: ${summary.inserted} added, ${summary.updated} updated`, 'success');
+
+        await loadRoster();
+
+    } catch (error) {
+        console.error('❌ Machine import failed:', error);
+        showToast('Failed to import machine log: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Render a small counter tile for the import preview
+ * @param {string} label - Counter label
+ * @param {number} value - Counter value
+ * @returns {string} HTML
+ */
+function renderImportStat(label, value) {
+    return `
+        <div class="p-3 rounded-lg bg-gray-50 border border-gray-200">
+            <p class="text-xs text-gray-500">${escapeHtml(label)}</p>
+            <p class="text-lg font-semibold text-gray-900">${value}</p>
+        </div>`;
+}
+
+/**
+ * Render the machine user IDs without a matching employee_code
+ * @param {Array} unmatched - [{machine_user_id, name, punch_count}]
+ * @returns {string} HTML
+ */
+function renderUnmatchedIds(unmatched) {
+    if (!unmatched || unmatched.length === 0) return '';
+
+    return `
+        <div class="p-3 mb-4 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+            <p class="font-medium mb-1">Machine IDs without a matching employee code (not imported)</p>
+            <div class="divide-y divide-gray-100">
+                ${unmatched.map(entry => `
+                    <p class="text-xs py-1">
+                        <span class="font-mono">${escapeHtml(entry.machine_user_id)}</span>
+                        ${entry.name ? `· ${escapeHtml(entry.name)}` : ''}
+                        · ${entry.punch_count} scan(s)
+                    </p>
+                `).join('')}
+            </div>
+        </div>`;
+}
+
+// ================================================
+// SECTION 7.6: OVERTIME REQUESTS (SPL)
+// ================================================
+
+/**
+ * Open the overtime request modal for the month of the roster date
+ * @async
+ * @returns {Promise<void>}
+ */
+async function openOvertimeModal() {
+    attendanceState.overtime = { month: attendanceState.date.slice(0, 7), requests: [] };
+
+    const select = document.getElementById('overtimeEmployee');
+    select.innerHTML = attendanceState.employees.map(employee => `
+        <option value="${employee.id}">${escapeHtml(employee.full_name)} (${escapeHtml(employee.employee_code || '-')})</option>
+    `).join('');
+    if (attendanceState.selfEmployee && attendanceState.employees.some(emp => emp.id === attendanceState.selfEmployee.id)) {
+        select.value = attendanceState.selfEmployee.id;
+    }
+    document.getElementById('overtimeDate').value = attendanceState.date;
+    document.getElementById('overtimeHours').value = '';
+    document.getElementById('overtimeDayType').value = '';
+    document.getElementById('overtimeReason').value = '';
+
+    const [year, month] = attendanceState.overtime.month.split('-').map(Number);
+    document.getElementById('overtimeModalPeriod').textContent =
+        `${attendanceState.site} · ${getMonthName(month)} ${year}`;
+
+    const modal = document.getElementById('overtimeModal');
+    modal.classList.remove('hidden');
+    modal.classList.add('flex');
+
+    await loadOvertimeRequests();
+}
+
+/**
+ * Close overtime request modal
+ */
+function closeOvertimeModal() {
+    const modal = document.getElementById('overtimeModal');
+    if (modal) {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+    }
+    attendanceState.overtime = null;
+}
+
+/**
+ * Load the month's overtime requests of the roster employees
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadOvertimeRequests() {
+    const overtime = attendanceState.overtime;
+    if (!overtime) return;
+
+    const list = document.getElementById('overtimeList');
+    list.innerHTML = '<p class="text-center text-gray-500 py-6">Loading...</p>';
+
+    const { data, error } = await getOvertimeRequests({
+        month: overtime.month,
+        employee_ids: attendanceState.employees.map(employee => employee.id)
+    });
+    if (error) {
+        list.innerHTML = `<p class="text-center text-red-600 py-6">${escapeHtml(error)}</p>`;
+        return;
+    }
+
+    overtime.requests = data;
+    renderOvertimeRequests();
+}
+
+/**
+ * Render the overtime request table with approval actions
+ */
+function renderOvertimeRequests() {
+    const list = document.getElementById('overtimeList');
+    const requests = attendanceState.overtime?.requests || [];
+
+    if (requests.length === 0) {
+        list.innerHTML = '<p class="text-center text-gray-500 py-6">No overtime requests this month</p>';
+        return;
+    }
+
+    const dayTypes = window.PayrollEngine?.OVERTIME_DAY_TYPES
+        || { workday: 'Workday', rest_day: 'Rest day', holiday: 'Public holiday' };
+
+    list.innerHTML = `
+        <div class="overflow-x-auto">
+            <table class="w-full">
+                <thead class="bg-gray-50">
+                    <tr>
+                        <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Employee</th>
+                        <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                        <th class="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Hours</th>
+                        <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                        <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                        <th class="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-200">
+                    ${requests.map(request => {
+                        const step = OVERTIME_APPROVAL_CHAIN.find(item => item.level === request.approval_level);
+                        const isPending = request.status === OVERTIME_STATUS.PENDING;
+                        const history = (request.approvals || [])
+                            .map(entry => `${entry.label}: ${entry.decision === 'reject' ? 'rejected' : 'approved'}${entry.note ? ` – ${entry.note}` : ''}`)
+                            .join(' · ');
+                        return `
+                            <tr class="hover:bg-gray-50">
+                                <td class="px-4 py-3 text-sm text-gray-900">${escapeHtml(request.employees?.full_name || '-')}</td>
+                                <td class="px-4 py-3 text-sm text-gray-700">
+                                    ${formatDate(request.date)}
+                                    <p class="text-xs text-gray-500">${escapeHtml(dayTypes[request.day_type] || request.day_type)}</p>
+                                </td>
+                                <td class="px-4 py-3 text-sm text-gray-700 text-right">${request.planned_hours}</td>
+                                <td class="px-4 py-3 text-sm text-gray-700">
+                                    ${escapeHtml(request.reason)}
+                                    ${history ? `<p class="text-xs text-gray-500">${escapeHtml(history)}</p>` : ''}
+                                </td>
+                                <td class="px-4 py-3 text-sm">
+                                    <span class="px-2 py-0.5 rounded-full text-xs font-medium ${OVERTIME_BADGES[request.status] || OVERTIME_BADGES.Cancelled}">
+                                        ${escapeHtml(request.status)}
+                                    </span>
+                                    ${isPending && step ? `<p class="text-xs text-gray-500 mt-1">Awaiting ${escapeHtml(step.label)}</p>` : ''}
+                                </td>
+                                <td class="px-4 py-3 text-sm text-center whitespace-nowrap">
+                                    ${isPending ? `
+                                        <button onclick="decideOvertime('${request.id}', 'approve')" class="p-1.5 text-green-600 hover:bg-green-50 rounded-lg" title="Approve">
+                                            <i class="fas fa-check" aria-hidden="true"></i>
+                                        </button>
+                                        <button onclick="decideOvertime('${request.id}', 'reject')" class="p-1.5 text-red-600 hover:bg-red-50 rounded-lg" title="Reject">
+                                            <i class="fas fa-times" aria-hidden="true"></i>
+                                        </button>
+                                        <button onclick="cancelOvertime('${request.id}')" class="p-1.5 text-gray-500 hover:bg-gray-100 rounded-lg" title="Cancel request">
+                                            <i class="fas fa-ban" aria-hidden="true"></i>
+                                        </button>
+                                    ` : '-'}
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Submit a new overtime request from the modal form
+ * @async
+ * @returns {Promise<void>}
+ */
+async function submitOvertimeRequest() {
+    const request = {
+        employee_id: document.getElementById('overtimeEmployee').value,
+        date: document.getElementById('overtimeDate').value,
+        planned_hours: document.getElementById('overtimeHours').value,
+        day_type: document.getElementById('overtimeDayType').value || null,
+        reason: document.getElementById('overtimeReason').value.trim()
+    };
+
+    if (!request.employee_id || !request.date || !request.planned_hours || !request.reason) {
+        showToast('Please fill in employee, date, hours and reason', 'warning');
+        return;
+    }
+
+    try {
+        showLoading('Submitting overtime request...');
+
+        const { error } = await createOvertimeRequest(request);
+        if (error) throw new Error(error);
+
+        document.getElementById('overtimeHours').value = '';
+        document.getElementById('overtimeReason').value = '';
+        showToast('Overtime request submitted', 'success');
+        await loadOvertimeRequests();
+
+    } catch (error) {
+        console.error('❌ Submit overtime failed:', error);
+        showToast('Failed to submit overtime: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Approve or reject the current level of an overtime request
+ * @async
+ * @param {string} requestId - Overtime request UUID
+ * @param {string} decision - 'approve' | 'reject'
+ * @returns {Promise<void>}
+ */
+async function decideOvertime(requestId, decision) {
+    let note = '';
+    if (decision === 'reject') {
+        note = prompt('Reason for rejecting this overtime request?') || '';
+        if (!note.trim()) return;
+    }
+
+    try {
+        showLoading('Saving decision...');
+
+        const { error } = await decideOvertimeRequest(requestId, decision, note);
+        if (error) throw new Error(error);
+
+        showToast(decision === 'reject' ? 'Overtime request rejected' : 'Overtime request approved', 'success');
+        await loadOvertimeRequests();
+
+    } catch (error) {
+        console.error('❌ Overtime decision failed:', error);
+        showToast('Failed to save decision: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Cancel a pending overtime request
+ * @async
+ * @param {string} requestId - Overtime request UUID
+ * @returns {Promise<void>}
+ */
+async function cancelOvertime(requestId) {
+    if (!confirm('Cancel this overtime request?')) return;
+
+    try {
+        showLoading('Cancelling...');
+
+        const { error } = await cancelOvertimeRequest(requestId);
+        if (error) throw new Error(error);
+
+        showToast('Overtime request cancelled', 'success');
+        await loadOvertimeRequests();
+
+    } catch (error) {
+        console.error('❌ Cancel overtime failed:', error);
+        showToast('Failed to cancel: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// ================================================
+// SECTION 8: SITE FILTER (Office / Bistro)
+// ================================================
+
+/**
+ * Switch the roster between Office and Bistro employees
+ * @param {string} site - 'Office' | 'Bistro'
+ */
+function switchSite(site) {
+    if (!ATTENDANCE_SITES.includes(site)) return;
+    attendanceState.site = site;
+
+    ATTENDANCE_SITES.forEach(name => {
+        const tab = document.getElementById(`tab${name}`);
+        if (!tab) return;
+        const isActive = name === site;
+        tab.classList.toggle('bg-primary-600', isActive);
+        tab.classList.toggle('text-white', isActive);
+        tab.classList.toggle('text-gray-600', !isActive);
+        tab.classList.toggle('bg-transparent', !isActive);
+        tab.setAttribute('aria-selected', isActive ? 'true' : 'false');
+    });
+
+    loadRoster();
+}
+
+// ================================================
+// SECTION 9: UTILITY FUNCTIONS
+// ================================================
+
+/**
+ * Escape HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// ================================================
+// SECTION 10: GLOBAL EXPOSURE (Window Functions)
+// ================================================
+
+// Core Initialization
+window.initAttendancePage = initAttendancePage;
+
+// Roster
+window.loadRoster = loadRoster;
+window.switchSite = switchSite;
+window.handleClockIn = handleClockIn;
+window.handleClockOut = handleClockOut;
+
+// Punch (selfie + geofence)
+window.capturePunchPhoto = capturePunchPhoto;
+window.resetPunchPhoto = resetPunchPhoto;
+window.closePunchModal = closePunchModal;
+window.submitPunch = submitPunch;
+window.openPunchReviewModal = openPunchReviewModal;
+window.closePunchReviewModal = closePunchReviewModal;
+window.submitPunchReview = submitPunchReview;
+
+// Correction
+window.openCorrectionModal = openCorrectionModal;
+window.closeCorrectionModal = closeCorrectionModal;
+window.saveCorrection = saveCorrection;
+
+// Calendar
+window.openCalendarModal = openCalendarModal;
+window.closeCalendarModal = closeCalendarModal;
+window.changeCalendarMonth = changeCalendarMonth;
+window.openCalendarDayCorrection = openCalendarDayCorrection;
+
+// Machine log import
+window.openMachineImportModal = openMachineImportModal;
+window.closeMachineImportModal = closeMachineImportModal;
+window.previewMachineImport = previewMachineImport;
+window.submitMachineImport = submitMachineImport;
+
+// Overtime requests (SPL)
+window.openOvertimeModal = openOvertimeModal;
+window.closeOvertimeModal = closeOvertimeModal;
+window.submitOvertimeRequest = submitOvertimeRequest;
+window.decideOvertime = decideOvertime;
+window.cancelOvertime = cancelOvertime;
+
+// ================================================
+// SECTION 11: AUTO-INITIALIZATION
+// ================================================
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initAttendancePage);
+} else {
+    initAttendancePage();
+}
+
+// ================================================
+// SECTION 12: DEBUG UTILITIES
+// ================================================
+
+window.debugAttendance = {
+    state: attendanceState,
+    employees: () => attendanceState.employees,
+    records: () => [...attendanceState.recordsByEmployee.values()],
+    reload: loadRoster
+};
+
+console.log('✅ ATTENDANCE.js v1.0 loaded');
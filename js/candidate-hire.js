@@ -0,0 +1,178 @@
+// ================================================
+// SWAP HRIS - CANDIDATE HIRE
+// candidate-hire.js - Version 1.0
+// ================================================
+
+// ⚠️ DEPENDENCIES: None (pure functions, works in browser and Node)
+// ⚠️ PROVIDES: Conversion of a hired recruitment candidate into an employee record: employee code
+//              (department code + running number), employee data, and the manpower plan it fills
+
+const CandidateHire = (() => {
+    'use strict';
+
+    // ================================================
+    // SECTION 1: CONSTANTS
+    // ================================================
+
+    // Prefix when the candidate has no department (employees form example: EMP001)
+    const DEFAULT_CODE_PREFIX = 'EMP';
+    const CODE_DIGITS = 3;
+
+    // Stages a candidate can be hired from
+    const HIRE_STAGES = ['Offering', 'Hired'];
+
+    // employees.employment_status of the first contract (same values as contract_history.contract_type)
+    const EMPLOYMENT_STATUS = {
+        PKWT: 'Contract',
+        PKWTT: 'Permanent'
+    };
+
+    // ================================================
+    // SECTION 2: EMPLOYEE CODE
+    // ================================================
+
+    /**
+     * Code of a department name, following generateCodeFromName() in employees.js
+     * @param {string} name - Department name
+     * @returns {string} e.g., "Human Resources" → "HR", "Finance" → "FIN"
+     */
+    function getCodePrefix(name) {
+        const words = String(name || '').trim().toUpperCase().split(/\s+/).filter(Boolean);
+        if (words.length === 0) return DEFAULT_CODE_PREFIX;
+        if (words.length >= 2) return words.map(word => word.charAt(0)).join('');
+        return words[0].substring(0, 3);
+    }
+
+    /**
+     * Next free employee code of a department (department code + running number)
+     * @param {string} prefix - departments.code (see getCodePrefix when it is empty)
+     * @param {Array<string>} existingCodes - Employee codes in use
+     * @returns {string} e.g., "FIN004"
+     */
+    function generateEmployeeCode(prefix, existingCodes) {
+        prefix = String(prefix || '').toUpperCase().replace(/[^A-Z0-9]/g, '') || DEFAULT_CODE_PREFIX;
+        const pattern = new RegExp(`^${prefix}(\\d+)$`);
+
+        const last = (existingCodes || [])
+            .map(code => pattern.exec(String(code || '').trim().toUpperCase()))
+            .filter(Boolean)
+            .reduce((max, match) => Math.max(max, Number(match[1])), 0);
+
+        return `${prefix}${String(last + 1).padStart(CODE_DIGITS, '0')}`;
+    }
+
+    // ================================================
+    // SECTION 3: EMPLOYEE DATA
+    // ================================================
+
+    /**
+     * Validate a hire before creating the employee
+     * @param {Object} candidate - recruitment_tracker row
+     * @param {Object} details - {join_date, work_site, contract_type}
+     * @returns {Array<string>} Error messages (empty when valid)
+     */
+    function validateHire(candidate, details) {
+        const errors = [];
+        if (!candidate) return ['Candidate not found'];
+        if (candidate.employee_id) errors.push(`${candidate.candidate_name} is already linked to an employee`);
+        if (!HIRE_STAGES.includes(candidate.current_stage)) {
+            errors.push('Only candidates at Offering or Hired can be hired');
+        }
+        if (!String(candidate.candidate_name || '').trim()) errors.push('Candidate name is required');
+        if (!details?.join_date) errors.push('Join date is required');
+        if (details?.work_site && !['Office', 'Bistro'].includes(details.work_site)) {
+            errors.push('Work site must be Office or Bistro');
+        }
+        return errors;
+    }
+
+    /**
+     * Employee record of a hired candidate, for createEmployee()
+     * @param {Object} candidate - recruitment_tracker row
+     * @param {Object} details - {employee_code, join_date, work_site, contract_type, nik, birth_place, birth_date, gender, address}
+     * @returns {Object} employees row
+     */
+    function buildEmployee(candidate, details) {
+        return {
+            employee_code: details.employee_code,
+            full_name: String(candidate.candidate_name).trim(),
+            department_id: candidate.department_id || null,
+            division_id: null,
+            position_id: null,
+            position_custom: candidate.position_applied || null,
+            nik: details.nik || null,
+            email: candidate.email || null,
+            birth_place: details.birth_place || null,
+            birth_date: details.birth_date || null,
+            phone: candidate.phone || null,
+            gender: details.gender || null,
+            ktp_address: details.address || null,
+            current_address: details.address || null,
+            work_site: details.work_site || 'Office',
+            employment_status: EMPLOYMENT_STATUS[details.contract_type] || null,
+            join_date: details.join_date,
+            is_active: true
+        };
+    }
+
+    // ================================================
+    // SECTION 4: MANPOWER PLAN
+    // ================================================
+
+    const normalizeText = text => String(text || '').trim().toLowerCase();
+
+    /**
+     * Manpower plan a hire fills: same department and position (manpower_planning.position_id holds
+     * the position name). Approved plans of the join date's year and quarter come first.
+     * @param {Array} plans - manpower_planning rows
+     * @param {Object} candidate - {department_id, position_applied}
+     * @param {string} joinDate - YYYY-MM-DD
+     * @returns {Object|null}
+     */
+    function findManpowerPlan(plans, candidate, joinDate) {
+        const position = normalizeText(candidate?.position_applied);
+        if (!position) return null;
+
+        const year = Number(String(joinDate || '').slice(0, 4));
+        const quarter = `Q${Math.floor((Number(String(joinDate || '').slice(5, 7)) - 1) / 3) + 1}`;
+        const rank = plan => (plan.status === 'approved' ? 4 : 0) +
+            (Number(plan.year) === year ? 2 : 0) +
+            (plan.quarter === quarter ? 1 : 0);
+
+        const matches = (plans || []).filter(plan =>
+            plan.status !== 'rejected' &&
+            (plan.department_id || null) === (candidate.department_id || null) &&
+            normalizeText(plan.position_id) === position
+        );
+
+        return matches.sort((a, b) => rank(b) - rank(a) || Number(b.year) - Number(a.year))[0] || null;
+    }
+
+    // ================================================
+    // PUBLIC API
+    // ================================================
+
+    return {
+        DEFAULT_CODE_PREFIX,
+        CODE_DIGITS,
+        HIRE_STAGES,
+        EMPLOYMENT_STATUS,
+        getCodePrefix,
+        generateEmployeeCode,
+        validateHire,
+        buildEmployee,
+        findManpowerPlan
+    };
+})();
+
+// ================================================
+// EXPOSE MODULE (Browser global + Node require)
+// ================================================
+
+if (typeof window !== 'undefined') {
+    window.CandidateHire = CandidateHire;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CandidateHire;
+}
@@ -0,0 +1,452 @@
+// ================================================
+// SWAP HRIS - CONTRACT DOCUMENTS
+// contract-documents.js - Version 1.0
+// ================================================
+
+// ⚠️ DEPENDENCIES: payroll-documents.js (letterhead, document shell, rupiah and terbilang formatting)
+// ⚠️ PROVIDES: Office and Bistro PKWT/PKWTT contract templates with placeholders, contract numbering
+//              (001/PKWT/OFC/HRD/X/2026), validation and printable contract documents
+
+const ContractDocuments = (() => {
+    'use strict';
+
+    const Documents = typeof PayrollDocuments !== 'undefined'
+        ? PayrollDocuments
+        : require('./payroll-documents.js');
+
+    // ================================================
+    // SECTION 1: CONSTANTS
+    // ================================================
+
+    // employees.work_site values and their code in the contract number
+    const WORK_SITES = ['Office', 'Bistro'];
+    const SITE_CODES = { Office: 'OFC', Bistro: 'BST' };
+
+    // history_type is the contract_history.contract_type value payroll reads
+    const CONTRACT_TYPES = {
+        PKWT: { title: 'PERJANJIAN KERJA WAKTU TERTENTU', history_type: 'Contract' },
+        PKWTT: { title: 'PERJANJIAN KERJA WAKTU TIDAK TERTENTU', history_type: 'Permanent' }
+    };
+
+    // PP 35/2021: a PKWT lasts at most 5 years including extensions; probation only in a PKWTT, at most 3 months
+    const MAX_PKWT_MONTHS = 60;
+    const MAX_PROBATION_MONTHS = 3;
+
+    // Printed where a placeholder has no value, to be filled in by hand
+    const BLANK = '....................';
+
+    const PLACEHOLDERS = {
+        contract_number: 'Contract number',
+        contract_title: 'PERJANJIAN KERJA WAKTU (TIDAK) TERTENTU',
+        company_name: 'Company name (company settings)',
+        company_address: 'Company address (company settings)',
+        signatory_name: 'Company signatory',
+        signatory_title: 'Signatory position',
+        employee_name: 'Employee / candidate name',
+        employee_code: 'Employee code',
+        employee_nik: 'NIK (KTP)',
+        employee_birth_place: 'Place of birth',
+        employee_birth_date: 'Date of birth',
+        employee_address: 'Address',
+        position: 'Position',
+        department: 'Department',
+        work_site: 'Office or Bistro',
+        start_date: 'Start date',
+        end_date: 'End date (PKWT)',
+        duration_months: 'Duration in months (PKWT)',
+        probation_months: 'Probation months (PKWTT)',
+        salary: 'Monthly basic salary',
+        salary_words: 'Salary in words (terbilang)',
+        sign_place: 'Place of signing',
+        sign_date: 'Date of signing'
+    };
+
+    // ================================================
+    // SECTION 2: TEMPLATES
+    // ================================================
+
+    const OPENING = [
+        'Pada hari ini, {{sign_date}}, bertempat di {{sign_place}}, yang bertanda tangan di bawah ini:',
+        '1. {{signatory_name}}, selaku {{signatory_title}}, bertindak untuk dan atas nama {{company_name}}, beralamat di {{company_address}}, selanjutnya disebut PIHAK PERTAMA.',
+        '2. {{employee_name}}, NIK {{employee_nik}}, lahir di {{employee_birth_place}} pada tanggal {{employee_birth_date}}, beralamat di {{employee_address}}, selanjutnya disebut PIHAK KEDUA.',
+        'PARA PIHAK sepakat untuk mengadakan {{contract_title}} dengan ketentuan sebagai berikut:'
+    ];
+
+    const CLAUSES = {
+        position: {
+            title: 'Jabatan dan Penempatan',
+            body: [
+                'PIHAK PERTAMA mempekerjakan PIHAK KEDUA sebagai {{position}} pada departemen {{department}}, ditempatkan di {{work_site}}.',
+                'PIHAK KEDUA bersedia melaksanakan tugas sesuai uraian jabatan dan perintah kerja yang wajar dari atasannya.'
+            ]
+        },
+        term_pkwt: {
+            title: 'Jangka Waktu Perjanjian',
+            body: [
+                'Perjanjian ini berlaku selama {{duration_months}} bulan, terhitung sejak tanggal {{start_date}} sampai dengan tanggal {{end_date}}.',
+                'Perjanjian ini tidak mensyaratkan masa percobaan kerja.',
+                'Perjanjian ini dapat diperpanjang berdasarkan kesepakatan PARA PIHAK, dengan jangka waktu keseluruhan tidak melebihi 5 (lima) tahun.'
+            ]
+        },
+        term_pkwtt: {
+            title: 'Jangka Waktu dan Masa Percobaan',
+            body: [
+                'Perjanjian ini berlaku untuk waktu tidak tertentu, terhitung sejak tanggal {{start_date}}.',
+                'PIHAK KEDUA menjalani masa percobaan selama {{probation_months}} bulan. Selama masa percobaan PIHAK KEDUA menerima upah tidak kurang dari upah minimum yang berlaku.'
+            ]
+        },
+        hours_office: {
+            title: 'Waktu Kerja',
+            body: [
+                'Waktu kerja PIHAK KEDUA adalah 40 (empat puluh) jam dalam 1 (satu) minggu, Senin sampai dengan Jumat, sesuai jadwal kerja kantor.',
+                'Kerja lembur hanya dilakukan atas perintah atasan dan dibayar sesuai ketentuan yang berlaku.'
+            ]
+        },
+        hours_bistro: {
+            title: 'Waktu Kerja dan Shift',
+            body: [
+                'PIHAK KEDUA bekerja 6 (enam) hari dalam 1 (satu) minggu dengan jumlah 40 (empat puluh) jam, mengikuti jadwal shift outlet, termasuk pada akhir pekan dan hari libur.',
+                'Kerja pada hari libur resmi dan kerja lembur dibayar sesuai ketentuan yang berlaku.',
+                'PIHAK KEDUA wajib mematuhi standar kebersihan, keamanan pangan dan penampilan yang berlaku di outlet.'
+            ]
+        },
+        wages: {
+            title: 'Upah',
+            body: [
+                'PIHAK KEDUA menerima upah pokok sebesar {{salary}} ({{salary_words}}) per bulan, dibayarkan setiap akhir bulan.',
+                'Pajak penghasilan (PPh 21) atas upah diperhitungkan sesuai ketentuan perpajakan yang berlaku.'
+            ]
+        },
+        service_charge: {
+            title: 'Service Charge',
+            body: [
+                'Selain upah, PIHAK KEDUA berhak atas bagian service charge outlet sesuai kebijakan pembagian yang berlaku.'
+            ]
+        },
+        social_security: {
+            title: 'Jaminan Sosial dan Cuti',
+            body: [
+                'PIHAK PERTAMA mendaftarkan PIHAK KEDUA dalam program BPJS Kesehatan dan BPJS Ketenagakerjaan.',
+                'PIHAK KEDUA berhak atas cuti tahunan 12 (dua belas) hari kerja setelah bekerja 12 (dua belas) bulan secara terus-menerus, serta cuti lain sesuai peraturan perusahaan.'
+            ]
+        },
+        confidentiality: {
+            title: 'Tata Tertib dan Kerahasiaan',
+            body: [
+                'PIHAK KEDUA wajib mematuhi peraturan perusahaan dan menjaga kerahasiaan informasi PIHAK PERTAMA, baik selama maupun setelah berakhirnya hubungan kerja.'
+            ]
+        },
+        ending_pkwt: {
+            title: 'Berakhirnya Perjanjian',
+            body: [
+                'Perjanjian ini berakhir pada tanggal {{end_date}} tanpa memerlukan pemberitahuan terlebih dahulu.',
+                'Pada saat perjanjian berakhir, PIHAK PERTAMA memberikan uang kompensasi kepada PIHAK KEDUA sesuai Peraturan Pemerintah Nomor 35 Tahun 2021.',
+                'Pihak yang mengakhiri perjanjian sebelum jangka waktunya berakhir wajib membayar ganti rugi sebesar upah sampai batas waktu berakhirnya perjanjian.'
+            ]
+        },
+        ending_pkwtt: {
+            title: 'Pemutusan Hubungan Kerja',
+            body: [
+                'Pemutusan hubungan kerja dilaksanakan sesuai peraturan perundang-undangan ketenagakerjaan yang berlaku.',
+                'PIHAK KEDUA yang mengundurkan diri wajib mengajukan permohonan tertulis paling lambat 30 (tiga puluh) hari sebelum tanggal pengunduran diri.'
+            ]
+        },
+        closing: {
+            title: 'Penutup',
+            body: [
+                'Hal-hal yang belum diatur dalam perjanjian ini mengikuti peraturan perusahaan dan peraturan perundang-undangan yang berlaku.',
+                'Perjanjian ini dibuat dalam rangkap 2 (dua), masing-masing bermeterai cukup dan mempunyai kekuatan hukum yang sama.'
+            ]
+        }
+    };
+
+    const TEMPLATES = {
+        office_pkwt: {
+            work_site: 'Office',
+            contract_type: 'PKWT',
+            clauses: ['position', 'term_pkwt', 'hours_office', 'wages', 'social_security', 'confidentiality', 'ending_pkwt', 'closing']
+        },
+        office_pkwtt: {
+            work_site: 'Office',
+            contract_type: 'PKWTT',
+            clauses: ['position', 'term_pkwtt', 'hours_office', 'wages', 'social_security', 'confidentiality', 'ending_pkwtt', 'closing']
+        },
+        bistro_pkwt: {
+            work_site: 'Bistro',
+            contract_type: 'PKWT',
+            clauses: ['position', 'term_pkwt', 'hours_bistro', 'wages', 'service_charge', 'social_security', 'confidentiality', 'ending_pkwt', 'closing']
+        },
+        bistro_pkwtt: {
+            work_site: 'Bistro',
+            contract_type: 'PKWTT',
+            clauses: ['position', 'term_pkwtt', 'hours_bistro', 'wages', 'service_charge', 'social_security', 'confidentiality', 'ending_pkwtt', 'closing']
+        }
+    };
+
+    /**
+     * Template key of a work site and contract type
+     * @param {string} workSite - 'Office' | 'Bistro'
+     * @param {string} contractType - 'PKWT' | 'PKWTT'
+     * @returns {string} e.g., 'bistro_pkwt'
+     */
+    function getTemplateKey(workSite, contractType) {
+        return `${String(workSite || 'Office').toLowerCase()}_${String(contractType).toLowerCase()}`;
+    }
+
+    /**
+     * Replace {{placeholder}} with its value; empty values print as a blank line
+     * @param {string} text - Template text
+     * @param {Object} values - From buildValues()
+     * @returns {string} Plain text (not escaped)
+     */
+    function fillPlaceholders(text, values) {
+        return String(text).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+            const value = values?.[key];
+            return value === null || value === undefined || value === '' ? BLANK : String(value);
+        });
+    }
+
+    // ================================================
+    // SECTION 3: CONTRACT NUMBER
+    // ================================================
+
+    const ROMAN_MONTHS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X', 'XI', 'XII'];
+    const NUMBER_PATTERN = /^(\d+)\/(PKWTT?)\/([A-Z]+)\/HRD\/([IVX]+)\/(\d{4})$/;
+
+    /**
+     * Format a contract number; the running number restarts every year per contract type and site
+     * @param {number} sequence - Running number
+     * @param {Object} options - {contract_type, work_site, date (YYYY-MM-DD)}
+     * @returns {string} e.g., "007/PKWT/BST/HRD/X/2026"
+     */
+    function formatContractNumber(sequence, { contract_type, work_site, date }) {
+        const [year, month] = String(date).split('-').map(Number);
+        const site = SITE_CODES[work_site] || SITE_CODES.Office;
+        return `${String(sequence).padStart(3, '0')}/${contract_type}/${site}/HRD/${ROMAN_MONTHS[month - 1]}/${year}`;
+    }
+
+    /**
+     * Read a contract number made by formatContractNumber()
+     * @param {string} number - Contract number
+     * @returns {Object|null} {sequence, contract_type, site_code, year}
+     */
+    function parseContractNumber(number) {
+        const match = NUMBER_PATTERN.exec(String(number || '').trim());
+        if (!match) return null;
+        return { sequence: Number(match[1]), contract_type: match[2], site_code: match[3], year: Number(match[5]) };
+    }
+
+    /**
+     * Next running number after the contract numbers already issued
+     * Numbers in another format (entered by hand) are ignored.
+     * @param {Array<string>} numbers - Existing contract numbers
+     * @param {Object} options - {contract_type, work_site, date}
+     * @returns {number}
+     */
+    function getNextSequence(numbers, { contract_type, work_site, date }) {
+        const year = Number(String(date).slice(0, 4));
+        const site = SITE_CODES[work_site] || SITE_CODES.Office;
+
+        const last = (numbers || [])
+            .map(parseContractNumber)
+            .filter(item => item && item.contract_type === contract_type && item.site_code === site && item.year === year)
+            .reduce((max, item) => Math.max(max, item.sequence), 0);
+
+        return last + 1;
+    }
+
+    // ================================================
+    // SECTION 4: CONTRACT DATA
+    // ================================================
+
+    /**
+     * Whole months from start to end date (a started month counts)
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD (last working day)
+     * @returns {number}
+     */
+    function getDurationMonths(startDate, endDate) {
+        if (!startDate || !endDate) return 0;
+        const start = new Date(`${startDate}T00:00:00Z`);
+        const end = new Date(`${endDate}T00:00:00Z`);
+        end.setUTCDate(end.getUTCDate() + 1);
+
+        let months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth();
+        if (end.getUTCDate() < start.getUTCDate()) months--;
+
+        const reached = new Date(start);
+        reached.setUTCMonth(reached.getUTCMonth() + months);
+        return reached < end ? months + 1 : months;
+    }
+
+    /**
+     * Validate a contract before generating it
+     * @param {Object} contract - {party, employee_id | candidate_id, work_site, contract_type, position, start_date, end_date, probation_months, salary}
+     * @returns {Array<string>} Error messages (empty when valid)
+     */
+    function validateContract(contract) {
+        const errors = [];
+        if (!contract?.employee_id && !contract?.candidate_id) errors.push('Select a candidate or an employee');
+        if (!String(contract?.party?.full_name || '').trim()) errors.push('Name is required');
+        if (!WORK_SITES.includes(contract?.work_site)) errors.push('Work site must be Office or Bistro');
+        if (!CONTRACT_TYPES[contract?.contract_type]) errors.push('Contract type must be PKWT or PKWTT');
+        if (!String(contract?.position || '').trim()) errors.push('Position is required');
+        if (!contract?.start_date) errors.push('Start date is required');
+        if (!(Number(contract?.salary) > 0)) errors.push('Salary must be greater than 0');
+
+        if (contract?.contract_type === 'PKWT') {
+            if (!contract.end_date) {
+                errors.push('End date is required for a PKWT');
+            } else if (contract.start_date && contract.end_date <= contract.start_date) {
+                errors.push('End date must be after the start date');
+            } else if (getDurationMonths(contract.start_date, contract.end_date) > MAX_PKWT_MONTHS) {
+                errors.push('A PKWT cannot last more than 5 years');
+            }
+        }
+
+        if (contract?.contract_type === 'PKWTT') {
+            const probation = Number(contract.probation_months || 0);
+            if (!Number.isInteger(probation) || probation < 0 || probation > MAX_PROBATION_MONTHS) {
+                errors.push('Probation must be 0 to 3 months');
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Placeholder values of a contract
+     * @param {Object} contract - Contract input ({party: {full_name, employee_code, nik, birth_place, birth_date, address}, ...})
+     * @param {Object} [company] - company_settings row
+     * @returns {Object} placeholder → display text
+     */
+    function buildValues(contract, company = {}) {
+        const longDate = value => (value ? Documents.formatLongDate(value) : '');
+        const party = contract.party || {};
+        const salary = Number(contract.salary) || 0;
+
+        return {
+            contract_number: contract.contract_number || 'DRAFT',
+            contract_title: CONTRACT_TYPES[contract.contract_type]?.title || '',
+            company_name: company.company_name,
+            company_address: company.address,
+            signatory_name: contract.signatory_name,
+            signatory_title: contract.signatory_title,
+            employee_name: party.full_name,
+            employee_code: party.employee_code,
+            employee_nik: party.nik,
+            employee_birth_place: party.birth_place,
+            employee_birth_date: longDate(party.birth_date),
+            employee_address: party.address,
+            position: contract.position,
+            department: contract.department,
+            work_site: contract.work_site,
+            start_date: longDate(contract.start_date),
+            end_date: longDate(contract.end_date),
+            duration_months: contract.contract_type === 'PKWT' ? getDurationMonths(contract.start_date, contract.end_date) : '',
+            probation_months: contract.contract_type === 'PKWTT' ? Number(contract.probation_months || 0) : '',
+            salary: salary ? Documents.formatRupiah(salary) : '',
+            salary_words: salary ? Documents.terbilang(salary) : '',
+            sign_place: contract.sign_place,
+            sign_date: longDate(contract.sign_date)
+        };
+    }
+
+    // ================================================
+    // SECTION 5: DOCUMENT RENDERING
+    // ================================================
+
+    const CONTRACT_STYLES = `
+        <style>
+            .contract p { margin: 4px 0; line-height: 1.5; text-align: justify; }
+            .contract h3 { text-transform: none; text-align: center; border-bottom: none; margin-top: 12px; }
+        </style>
+    `;
+
+    /**
+     * Render one contract page
+     * @param {Object} contract - Contract input (see validateContract)
+     * @param {Object} [options]
+     * @param {Object} [options.company] - company_settings row
+     * @returns {string} HTML page fragment
+     */
+    function renderContract(contract, { company = {} } = {}) {
+        const template = TEMPLATES[getTemplateKey(contract.work_site, contract.contract_type)];
+        const values = buildValues(contract, company);
+        const paragraph = text => `<p>${Documents.escapeHtml(fillPlaceholders(text, values))}</p>`;
+
+        const clauses = (template?.clauses || []).map((key, index) => `
+            <h3>Pasal ${index + 1}<br>${Documents.escapeHtml(CLAUSES[key].title)}</h3>
+            ${CLAUSES[key].body.map(paragraph).join('')}
+        `).join('');
+
+        return `
+            <section class="page contract">
+                ${CONTRACT_STYLES}
+                ${Documents.renderLetterhead(company)}
+
+                <div class="doc-title">
+                    <h2>${Documents.escapeHtml(values.contract_title)}</h2>
+                    <p>Nomor: ${Documents.escapeHtml(values.contract_number)}</p>
+                </div>
+
+                ${OPENING.map(paragraph).join('')}
+                ${clauses}
+
+                <div class="signatures">
+                    <div>PIHAK PERTAMA<div class="line">${Documents.escapeHtml(fillPlaceholders('{{signatory_name}}', values))}</div></div>
+                    <div>PIHAK KEDUA<div class="line">${Documents.escapeHtml(fillPlaceholders('{{employee_name}}', values))}</div></div>
+                </div>
+            </section>
+        `;
+    }
+
+    /**
+     * Render a printable contract document
+     * @param {Object} contract - Contract input (see validateContract)
+     * @param {Object} [options]
+     * @param {Object} [options.company] - company_settings row
+     * @returns {string} Full HTML document
+     */
+    function renderContractDocument(contract, { company = {} } = {}) {
+        const title = `${contract.contract_type} ${contract.contract_number || 'DRAFT'} - ${contract.party?.full_name || ''}`;
+        return Documents.renderDocument([renderContract(contract, { company })], title);
+    }
+
+    // ================================================
+    // PUBLIC API
+    // ================================================
+
+    return {
+        WORK_SITES,
+        SITE_CODES,
+        CONTRACT_TYPES,
+        MAX_PKWT_MONTHS,
+        MAX_PROBATION_MONTHS,
+        PLACEHOLDERS,
+        CLAUSES,
+        TEMPLATES,
+        getTemplateKey,
+        fillPlaceholders,
+        formatContractNumber,
+        parseContractNumber,
+        getNextSequence,
+        getDurationMonths,
+        validateContract,
+        buildValues,
+        renderContract,
+        renderContractDocument
+    };
+})();
+
+// ================================================
+// EXPOSE MODULE (Browser global + Node require)
+// ================================================
+
+if (typeof window !== 'undefined') {
+    window.ContractDocuments = ContractDocuments;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContractDocuments;
+}
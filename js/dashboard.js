@@ -3,7 +3,7 @@
 // dashboard.js - Version 2.0 (AUDITED & ORGANIZED)
 // ================================================
 
-// ⚠️ DEPENDENCIES: Requires app.js, api.js, auth.js, database-functions.js, utils.js, Chart.js
+// ⚠️ DEPENDENCIES: Requires app.js, api.js, auth.js, database-functions.js, utils.js, leave-approval.js, Chart.js
 // ⚠️ PROVIDES: Dashboard page functionality (stats, alerts, charts, tasks)
 
 // ================================================
@@ -11,7 +11,6 @@
 // ================================================
 
 const DASHBOARD_CONFIG = {
-    LEAVE_API_URL: 'https://script.google.com/macros/s/AKfycbyCrqKYonQ-MQAVL3M3pkBLWs1HpeCis9oBGiz1FvRqKzo34kCUUeauofyVR_Vd9I3x/exec',
     TIMEZONE: 'Asia/Jakarta', // WIB (UTC+7)
     CONTRACT_WARNING_DAYS: [30, 60, 90],
     PROBATION_WARNING_DAYS: 7,
@@ -172,29 +171,23 @@ async function fetchEmployees() {
 }
 
 /**
- * Fetch leave data from Google Sheets API
+ * Fetch leave requests from Supabase (after escalating overdue approval steps)
  * @returns {Promise<Array>}
  */
 async function fetchLeaveData() {
     try {
         console.log('📊 Fetching leave data...');
         
-        const response = await fetch(DASHBOARD_CONFIG.LEAVE_API_URL);
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        await escalateLeaveApprovals();
+        const { data, error } = await getAllLeaves();
         
-        const data = await response.json();
-        
-        let records = [];
-        if (Array.isArray(data)) {
-            records = data;
-        } else if (data.records) {
-            records = data.records;
-        } else if (data.data) {
-            records = data.data;
+        if (error) {
+            console.error('❌ Fetch leave data error:', error);
+            return [];
         }
         
-        console.log(`✅ Fetched ${records.length} leave records`);
-        return records;
+        console.log(`✅ Fetched ${data.length} leave records`);
+        return data;
         
     } catch (error) {
         console.error('❌ Fetch leave data failed:', error);
@@ -549,22 +542,23 @@ function generateCriticalAlerts(employees, leaveData) {
         }
     });
     
-    // 5. Leave Pending > 2 Days
-    leaveData.filter(leave => normalizeLeaveStatus(leave.status) === 'Pending').forEach(leave => {
-        const requestDate = new Date(leave.timestamp || leave.tanggalPermohonan);
-        const daysPending = daysDifference(requestDate, today);
+    // 5. Leave Approval SLA (current approval step overdue or due within a day)
+    leaveData.filter(leave => leave.status === 'pending').forEach(leave => {
+        const sla = LeaveApproval.getSlaStatus(leave);
+        if (!sla || (!sla.is_overdue && sla.hours_left >= 24)) return;
         
-        if (daysPending > 2) {
-            alerts.push({
-                type: 'leave_pending',
-                priority: daysPending > 5 ? 'high' : 'medium',
-                title: `Leave Pending: ${leave.namaLengkap}`,
-                description: `Pending for ${daysPending} days`,
-                leave: leave,
-                daysPending: daysPending,
-                action: 'Review Request'
-            });
-        }
+        const step = `${sla.step.label} (step ${sla.step.level}/${sla.steps.length})`;
+        alerts.push({
+            type: 'leave_pending',
+            priority: sla.is_overdue ? (sla.is_last || sla.overdue_days > 2 ? 'high' : 'medium') : 'low',
+            title: `Leave ${sla.is_overdue ? 'SLA Overdue' : 'SLA Due Soon'}: ${leave.employees?.full_name || 'Unknown'}`,
+            description: sla.is_overdue
+                ? `${step} overdue by ${sla.overdue_days} day(s), pending ${sla.pending_days} day(s)`
+                : `${step} due in ${Math.max(sla.hours_left, 0)} hour(s)`,
+            leave: leave,
+            daysPending: sla.pending_days,
+            action: 'Review Request'
+        });
     });
     
     // Sort by priority (high > medium > low)
@@ -100,33 +100,419 @@ async function generateAttendanceSummary(employeeId, month, year) {
     }
 }
 
+// ================================================
+// SECTION 1.5: OVERTIME REQUESTS (SPL - Surat Perintah Lembur)
+// ================================================
+
+/**
+ * Overtime request statuses
+ */
+const OVERTIME_STATUS = {
+    PENDING: 'Pending',
+    APPROVED: 'Approved',
+    REJECTED: 'Rejected',
+    CANCELLED: 'Cancelled'
+};
+
+/**
+ * Approval chain every SPL goes through, in order
+ */
+const OVERTIME_APPROVAL_CHAIN = [
+    { level: 1, label: 'Supervisor' },
+    { level: 2, label: 'HR' }
+];
+
+/**
+ * Maximum overtime hours on a workday (PP 35/2021 art. 26)
+ */
+const OVERTIME_MAX_WORKDAY_HOURS = 4;
+
+/**
+ * Fail when the payroll of the month an overtime date falls in is already locked
+ * @param {string} date - Overtime date (YYYY-MM-DD)
+ */
+async function assertOvertimePeriodOpen(date) {
+    const [year, month] = date.split('-').map(Number);
+    const { data: period, error } = await getPayrollPeriod(month, year);
+    if (error) throw new Error(error);
+    if (period?.status === PAYROLL_RUN_STATUS.LOCKED) {
+        throw new Error(`Payroll ${month}/${year} is locked; overtime of that month can no longer change`);
+    }
+}
+
+/**
+ * Overtime day type the holiday calendar gives a date for an employee's site
+ * ⚠️ Uses holiday-calendar.js when loaded; returns null without it
+ * @param {string} employeeId - Employee UUID
+ * @param {string} date - Overtime date (YYYY-MM-DD)
+ * @returns {Promise<string|null>} 'holiday', 'rest_day' or null when not a holiday
+ */
+async function getHolidayOvertimeDayType(employeeId, date) {
+    if (typeof window.HolidayCalendar === 'undefined') return null;
+
+    const { data: employee } = await getDB()
+        .from('employees')
+        .select('work_site')
+        .eq('id', employeeId)
+        .maybeSingle();
+    const { data: index, error } = await getHolidayIndex(date, date, employee?.work_site || null);
+    if (error) throw error;
+
+    return window.HolidayCalendar.getOvertimeDayType(window.HolidayCalendar.getHolidays(index, date));
+}
+
+/**
+ * Get overtime requests
+ * @param {Object} filters - {month (YYYY-MM), employee_id, employee_ids, status}
+ * @returns {Object} { data: Array, error: string|null }
+ */
+async function getOvertimeRequests(filters = {}) {
+    try {
+        let query = getDB()
+            .from('overtime_requests')
+            .select(`
+                *,
+                employees (id, full_name, employee_code, work_site, department_id)
+            `)
+            .order('date', { ascending: false });
+
+        if (filters.month) {
+            const range = getMonthDateRange(filters.month);
+            query = query.gte('date', range.start).lt('date', range.end);
+        }
+        if (filters.employee_id) {
+            query = query.eq('employee_id', filters.employee_id);
+        }
+        if (filters.employee_ids) {
+            query = query.in('employee_id', filters.employee_ids);
+        }
+        if (filters.status) {
+            query = query.eq('status', filters.status);
+        }
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        console.log(`✅ Retrieved ${data.length} overtime requests`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Get overtime requests failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Submit an overtime request (by the employee or their supervisor)
+ * The day type defaults to the employee's schedule: an off day is a rest day.
+ * @param {Object} requestData - {employee_id, date, planned_hours, reason, day_type?}
+ * @returns {Object} { data: Object, error: string|null }
+ */
+async function createOvertimeRequest(requestData) {
+    try {
+        const plannedHours = Number(requestData?.planned_hours);
+        if (!requestData?.employee_id || !requestData.date) {
+            throw new Error('Employee and date are required');
+        }
+        if (!(plannedHours > 0)) {
+            throw new Error('Planned hours must be greater than 0');
+        }
+        if (!requestData.reason || !requestData.reason.trim()) {
+            throw new Error('Overtime reason is required');
+        }
+        await assertOvertimePeriodOpen(requestData.date);
+
+        const db = getDB();
+        const session = await checkAuth();
+
+        let dayType = requestData.day_type;
+        if (!dayType) {
+            dayType = await getHolidayOvertimeDayType(requestData.employee_id, requestData.date);
+        }
+        if (!dayType) {
+            const { data: template } = await getEmployeeWorkSchedule(requestData.employee_id);
+            const shift = window.AttendanceEngine?.resolveShift(template, requestData.date);
+            dayType = shift?.is_off_day ? 'rest_day' : 'workday';
+        }
+        if (dayType === 'workday' && plannedHours > OVERTIME_MAX_WORKDAY_HOURS) {
+            throw new Error(`Overtime on a workday is limited to ${OVERTIME_MAX_WORKDAY_HOURS} hours`);
+        }
+
+        const { data: existing, error: existingError } = await db
+            .from('overtime_requests')
+            .select('id')
+            .eq('employee_id', requestData.employee_id)
+            .eq('date', requestData.date)
+            .in('status', [OVERTIME_STATUS.PENDING, OVERTIME_STATUS.APPROVED]);
+        if (existingError) throw existingError;
+        if (existing.length > 0) {
+            throw new Error('This employee already has an overtime request for that date');
+        }
+
+        const { data, error } = await db
+            .from('overtime_requests')
+            .insert([{
+                employee_id: requestData.employee_id,
+                date: requestData.date,
+                planned_hours: plannedHours,
+                day_type: dayType,
+                reason: requestData.reason.trim(),
+                status: OVERTIME_STATUS.PENDING,
+                approval_level: 1,
+                approvals: [],
+                requested_by: session?.user?.id || null,
+                created_at: new Date().toISOString()
+            }])
+            .select()
+            .single();
+        if (error) throw error;
+
+        console.log(`✅ Overtime request created: ${data.date} (${plannedHours} h)`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Create overtime request failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Approve or reject the current approval level of an overtime request
+ * Each level must be decided by a different user; the last approval makes the request Approved.
+ * @param {string} requestId - Overtime request UUID
+ * @param {string} decision - 'approve' | 'reject'
+ * @param {string} [note] - Required when rejecting
+ * @returns {Object} { data: Object, error: string|null }
+ */
+async function decideOvertimeRequest(requestId, decision, note = '') {
+    try {
+        if (!['approve', 'reject'].includes(decision)) {
+            throw new Error(`Unknown overtime decision: ${decision}`);
+        }
+        if (decision === 'reject' && !note.trim()) {
+            throw new Error('Rejection reason is required');
+        }
+
+        const db = getDB();
+        const session = await checkAuth();
+        const actor = session?.user?.id || null;
+
+        const { data: request, error: requestError } = await db
+            .from('overtime_requests')
+            .select('*')
+            .eq('id', requestId)
+            .single();
+        if (requestError) throw requestError;
+
+        if (request.status !== OVERTIME_STATUS.PENDING) {
+            throw new Error(`Overtime request is already ${request.status}`);
+        }
+        await assertOvertimePeriodOpen(request.date);
+
+        const approvals = request.approvals || [];
+        if (actor && approvals.some(entry => entry.approver_id === actor)) {
+            throw new Error('You already decided an earlier level of this request');
+        }
+
+        const step = OVERTIME_APPROVAL_CHAIN.find(item => item.level === request.approval_level)
+            || OVERTIME_APPROVAL_CHAIN[0];
+        const now = new Date().toISOString();
+        const isLastLevel = step.level === OVERTIME_APPROVAL_CHAIN[OVERTIME_APPROVAL_CHAIN.length - 1].level;
+
+        const update = {
+            approvals: [...approvals, {
+                level: step.level,
+                label: step.label,
+                decision,
+                note: note.trim(),
+                approver_id: actor,
+                approver_email: session?.user?.email || null,
+                decided_at: now
+            }]
+        };
+        if (decision === 'reject') {
+            update.status = OVERTIME_STATUS.REJECTED;
+        } else if (isLastLevel) {
+            update.status = OVERTIME_STATUS.APPROVED;
+            update.approved_at = now;
+        } else {
+            update.approval_level = step.level + 1;
+        }
+
+        const { data, error } = await db
+            .from('overtime_requests')
+            .update(update)
+            .eq('id', requestId)
+            .select()
+            .single();
+        if (error) throw error;
+
+        console.log(`✅ Overtime request ${decision === 'reject' ? 'rejected' : 'approved'} at ${step.label} level`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Overtime decision failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Cancel a pending overtime request
+ * @param {string} requestId - Overtime request UUID
+ * @returns {Object} { data: Object, error: string|null }
+ */
+async function cancelOvertimeRequest(requestId) {
+    try {
+        const { data, error } = await getDB()
+            .from('overtime_requests')
+            .update({ status: OVERTIME_STATUS.CANCELLED })
+            .eq('id', requestId)
+            .eq('status', OVERTIME_STATUS.PENDING)
+            .select();
+        if (error) throw error;
+        if (data.length === 0) {
+            throw new Error('Only pending overtime requests can be cancelled');
+        }
+
+        console.log('🗑️ Overtime request cancelled');
+        return { data: data[0], error: null };
+
+    } catch (error) {
+        console.error('❌ Cancel overtime request failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Approved overtime of an employee's month, reconciled with attendance (payroll input)
+ * Work days per week and the shortest workday come from the employee's work schedule;
+ * dates on the holiday calendar are paid at holiday / rest day rates.
+ * ⚠️ Requires payroll-engine.js (holiday-calendar.js optional)
+ * @param {string} employeeId - Employee UUID
+ * @param {number} month - Month (1-12)
+ * @param {number} year - Year (e.g., 2025)
+ * @returns {Object} { data: [...overtime_days...], error: string|null }
+ */
+async function getApprovedOvertimeDays(employeeId, month, year) {
+    try {
+        if (typeof window.PayrollEngine === 'undefined') {
+            throw new Error('PayrollEngine not loaded. Include js/payroll-engine.js');
+        }
+
+        const period = `${year}-${String(month).padStart(2, '0')}`;
+        const [requestsResult, attendanceResult, scheduleResult] = await Promise.all([
+            getOvertimeRequests({ employee_id: employeeId, month: period, status: OVERTIME_STATUS.APPROVED }),
+            getAllAttendance({ employee_id: employeeId, month: period }),
+            getEmployeeWorkSchedule(employeeId)
+        ]);
+        if (requestsResult.error) throw new Error(requestsResult.error);
+        if (attendanceResult.error) throw new Error(attendanceResult.error);
+
+        const template = scheduleResult.data;
+        const workDaysPerWeek = (template?.shifts || [])
+            .filter(shift => !shift.is_off_day && shift.start_time && shift.end_time).length || 5;
+        const scheduledMinutes = date => {
+            const shift = window.AttendanceEngine?.resolveShift(template, date);
+            return shift && !shift.is_off_day ? shift.scheduled_minutes : null;
+        };
+        const shiftDate = (date, days) => {
+            const d = new Date(`${date}T00:00:00Z`);
+            d.setUTCDate(d.getUTCDate() + days);
+            return d.toISOString().slice(0, 10);
+        };
+
+        // Holidays added to the calendar after approval still pay at holiday / rest day rates
+        let holidayIndex = null;
+        if (typeof window.HolidayCalendar !== 'undefined' && requestsResult.data.length > 0) {
+            const range = getMonthDateRange(period);
+            const site = requestsResult.data[0].employees?.work_site || null;
+            const { data: index, error: holidayError } = await getHolidayIndex(range.start, shiftDate(range.end, -1), site);
+            if (holidayError) throw holidayError;
+            holidayIndex = index;
+        }
+        const resolveDayType = request => {
+            if (!holidayIndex) return request.day_type;
+            const holidayType = window.HolidayCalendar.getOvertimeDayType(
+                window.HolidayCalendar.getHolidays(holidayIndex, request.date)
+            );
+            if (holidayType === 'holiday') return 'holiday';
+            if (holidayType === 'rest_day' && request.day_type === 'workday') return 'rest_day';
+            return request.day_type;
+        };
+
+        const requests = requestsResult.data.map(request => {
+            // Shortest workday: shorter than the longest shift of the surrounding week
+            const minutes = scheduledMinutes(request.date);
+            const week = [-3, -2, -1, 1, 2, 3]
+                .map(offset => scheduledMinutes(shiftDate(request.date, offset)))
+                .filter(value => value !== null);
+            return {
+                ...request,
+                day_type: resolveDayType(request),
+                work_days_per_week: workDaysPerWeek,
+                is_short_day: minutes !== null && week.length > 0 && minutes < Math.max(...week)
+            };
+        });
+
+        return { data: window.PayrollEngine.reconcileOvertime(requests, attendanceResult.data), error: null };
+
+    } catch (error) {
+        console.error('❌ Approved overtime failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
 // ================================================
 // SECTION 2: PAYROLL CALCULATIONS (SQL RPC)
 // ================================================
 
 /**
  * Calculate gross salary (before deductions)
+ * The RPC pays all attendance overtime; its overtime pay is replaced with the approved
+ * SPL overtime at Kepmenaker 102/2004 rates (Section 1.5).
+ * ⚠️ Requires payroll-engine.js
  * @param {string} employeeId - Employee UUID
  * @param {number} month - Month (1-12)
  * @param {number} year - Year (e.g., 2025)
- * @returns {Object} { data: {basic_salary, total_allowances, total_overtime_pay, gross_salary}, error: string|null }
+ * @returns {Object} { data: {basic_salary, total_allowances, total_overtime_pay, gross_salary, overtime_days}, error: string|null }
  */
 async function calculateGrossSalary(employeeId, month, year) {
     try {
-        const { data, error } = await getDB()
-            .rpc('calculate_gross_salary', {
+        const [rpcResult, overtimeResult] = await Promise.all([
+            getDB().rpc('calculate_gross_salary', {
                 p_employee_id: employeeId,
                 p_month: month,
                 p_year: year
-            });
+            }),
+            getApprovedOvertimeDays(employeeId, month, year)
+        ]);
+        const { data, error } = rpcResult;
         
         if (error) {
             console.error('❌ Gross salary error:', error);
             return { data: null, error: error.message };
         }
+        if (overtimeResult.error) {
+            return { data: null, error: overtimeResult.error };
+        }
+        
+        const gross = data[0];
+        const overtime = window.PayrollEngine.calculatePayroll({
+            contract: { salary: gross.basic_salary },
+            attendance: { overtime_days: overtimeResult.data }
+        }, PAYROLL_RUN_RULES);
+        const approvedOvertimePay = overtime.total_overtime_pay;
         
         console.log('✅ Gross salary calculated');
-        return { data: data[0], error: null };
+        return {
+            data: {
+                ...gross,
+                total_overtime_pay: approvedOvertimePay,
+                gross_salary: (Number(gross.gross_salary) || 0) - (Number(gross.total_overtime_pay) || 0) + approvedOvertimePay,
+                overtime_days: overtimeResult.data
+            },
+            error: null
+        };
         
     } catch (error) {
         console.error('❌ Gross salary failed:', error);
@@ -136,6 +522,7 @@ async function calculateGrossSalary(employeeId, month, year) {
 
 /**
  * Calculate BPJS Kesehatan contributions
+ * ⚠️ Uses the rates built into the RPC; payroll runs use the bpjs_rates master (Section 10.5)
  * @param {number} basicSalary - Basic salary amount
  * @returns {Object} { data: {employee_contribution, company_contribution, total}, error: string|null }
  */
@@ -162,6 +549,7 @@ async function calculateBPJSKesehatan(basicSalary) {
 
 /**
  * Calculate BPJS Ketenagakerjaan contributions (JHT, JP, JKK, JKM)
+ * ⚠️ Uses the rates built into the RPC; payroll runs use the bpjs_rates master (Section 10.5)
  * @param {number} basicSalary - Basic salary amount
  * @returns {Object} { data: {...contributions...}, error: string|null }
  */
@@ -276,930 +664,3606 @@ async function generateMonthlyPayrollReport(month, year) {
     }
 }
 
-// ================================================
-// SECTION 3: EMPLOYEE MANAGEMENT (SQL RPC)
-// ================================================
-
 /**
- * Get complete employee details with all related data
+ * Load everything the client-side payroll engine needs for one employee and period
+ * (employee + PTKP, contract valid at period end, attendance summary, YTD PPh21 ledger).
+ * Overtime is the approved SPL overtime only, reconciled with attendance.
  * @param {string} employeeId - Employee UUID
- * @returns {Object} { data: {...complete employee data...}, error: string|null }
+ * @param {number} month - Month (1-12)
+ * @param {number} year - Year (e.g., 2025)
+ * @returns {Object} { data: {employee, contract, ptkp, attendance, period, tax_ledger, is_final_period}, error: string|null }
  */
-async function getEmployeeFullDetails(employeeId) {
+async function loadPayrollInputs(employeeId, month, year) {
     try {
-        const { data, error } = await getDB()
-            .rpc('get_employee_full_details', {
-                p_employee_id: employeeId
-            });
-        
-        if (error) {
-            console.error('❌ Employee details error:', error);
-            return { data: null, error: error.message };
-        }
-        
-        console.log('✅ Employee details retrieved');
-        return { data: data[0], error: null };
-        
+        const db = getDB();
+        const lastDay = new Date(year, month, 0).getDate();
+        const periodEnd = `${year}-${String(month).padStart(2, '0')}-${String(lastDay).padStart(2, '0')}`;
+
+        const [employeeResult, contractResult, attendanceResult, ledgerResult, overtimeResult] = await Promise.all([
+            db.from('employees')
+                .select('*, ptkp_categories (id, code, description, annual_amount)')
+                .eq('id', employeeId)
+                .single(),
+            db.from('contract_history')
+                .select('*')
+                .eq('employee_id', employeeId)
+                .lte('start_date', periodEnd)
+                .order('start_date', { ascending: false })
+                .limit(1)
+                .maybeSingle(),
+            generateAttendanceSummary(employeeId, month, year),
+            getPPh21Ledger(employeeId, year),
+            getApprovedOvertimeDays(employeeId, month, year)
+        ]);
+
+        if (employeeResult.error) throw employeeResult.error;
+        if (contractResult.error) throw contractResult.error;
+        if (attendanceResult.error) throw new Error(`Attendance summary: ${attendanceResult.error}`);
+        // An empty ledger would make the final-period true-up withhold the whole year again
+        if (ledgerResult.error) throw new Error(`PPh21 ledger: ${ledgerResult.error}`);
+        if (overtimeResult.error) throw new Error(overtimeResult.error);
+
+        const overtimeDays = overtimeResult.data;
+        const approvedOvertimeHours = overtimeDays.reduce((sum, day) => sum + day.paid_hours, 0);
+
+        // Final tax period: December, or the month the employee resigns
+        const resignDate = employeeResult.data?.resign_date;
+        const resignsThisMonth = !!resignDate && resignDate.startsWith(periodEnd.slice(0, 7));
+
+        console.log('✅ Payroll inputs loaded');
+        return {
+            data: {
+                employee: employeeResult.data,
+                contract: contractResult.data || {},
+                ptkp: employeeResult.data?.ptkp_categories || null,
+                attendance: {
+                    ...(attendanceResult.data || {}),
+                    total_overtime_hours: approvedOvertimeHours,
+                    overtime_days: overtimeDays
+                },
+                period: { month, year },
+                tax_ledger: (ledgerResult.data || []).filter(entry => entry.month < month),
+                is_final_period: month === 12 || resignsThisMonth
+            },
+            error: null
+        };
+
     } catch (error) {
-        console.error('❌ Employee details failed:', error);
+        console.error('❌ Load payroll inputs failed:', error);
         return { data: null, error: error.message };
     }
 }
 
 /**
- * Calculate employee tenure (masa kerja)
+ * Calculate payroll with the client-side engine and cross-check it against calculate_net_salary
+ * Overtime differs when the RPC counts attendance overtime that has no approved SPL.
+ * ⚠️ Requires payroll-engine.js
  * @param {string} employeeId - Employee UUID
- * @returns {Object} { data: {years, months, days, total_months, join_date}, error: string|null }
+ * @param {number} month - Month (1-12)
+ * @param {number} year - Year (e.g., 2025)
+ * @returns {Object} { data: {engine, rpc, comparison}, error: string|null }
  */
-async function calculateEmployeeTenure(employeeId) {
+async function crossCheckPayrollCalculation(employeeId, month, year) {
     try {
-        const { data, error } = await getDB()
-            .rpc('calculate_employee_tenure', {
-                p_employee_id: employeeId
-            });
-        
-        if (error) {
-            console.error('❌ Tenure error:', error);
-            return { data: null, error: error.message };
+        if (typeof window.PayrollEngine === 'undefined') {
+            throw new Error('PayrollEngine not loaded. Include js/payroll-engine.js');
         }
-        
-        console.log('✅ Tenure calculated');
-        return { data: data[0], error: null };
-        
+
+        const [inputsResult, rpcResult, bpjsResult, rulesResult] = await Promise.all([
+            loadPayrollInputs(employeeId, month, year),
+            calculateNetSalary(employeeId, month, year),
+            getBPJSRulesForPeriod(month, year),
+            getPayrollRules()
+        ]);
+
+        if (inputsResult.error) throw new Error(inputsResult.error);
+        if (rpcResult.error) throw new Error(rpcResult.error);
+        if (bpjsResult.error) throw bpjsResult.error;
+        if (rulesResult.error) throw new Error(rulesResult.error);
+
+        // Same PPh21 method as the payroll runs
+        const engine = window.PayrollEngine.calculatePayroll(inputsResult.data, { ...rulesResult.data, bpjs: bpjsResult.data });
+        const comparison = window.PayrollEngine.comparePayrollResults(engine, rpcResult.data);
+
+        if (comparison.matches) {
+            console.log(`✅ Payroll cross-check OK (${comparison.compared} fields)`);
+        } else {
+            console.warn('⚠️ Payroll cross-check mismatch:', comparison.differences);
+        }
+
+        return { data: { engine, rpc: rpcResult.data, comparison }, error: null };
+
     } catch (error) {
-        console.error('❌ Tenure failed:', error);
+        console.error('❌ Payroll cross-check failed:', error);
         return { data: null, error: error.message };
     }
 }
 
 // ================================================
-// SECTION 4: LEAVE MANAGEMENT (SQL RPC)
+// SECTION 2.5: PPh21 TAX LEDGER (Year-to-date)
 // ================================================
 
 /**
- * Check leave balance for employee
+ * Get PPh21 year-to-date ledger for employee
  * @param {string} employeeId - Employee UUID
- * @param {string} leaveTypeId - Leave type UUID
- * @param {number} year - Year (e.g., 2025)
- * @returns {Object} { data: {total_days, used_days, remaining_days}, error: string|null }
+ * @param {number} year - Tax year (e.g., 2025)
+ * @returns {Object} { data: [{month, taxable_gross, pension_deduction, tax_withheld, method, is_final}], error: string|null }
  */
-async function checkLeaveBalance(employeeId, leaveTypeId, year) {
+async function getPPh21Ledger(employeeId, year) {
     try {
         const { data, error } = await getDB()
-            .rpc('check_leave_balance', {
-                p_employee_id: employeeId,
-                p_leave_type_id: leaveTypeId,
-                p_year: year
-            });
-        
+            .from('pph21_ledger')
+            .select('*')
+            .eq('employee_id', employeeId)
+            .eq('year', year)
+            .order('month', { ascending: true });
+
         if (error) {
-            console.error('❌ Leave balance error:', error);
+            console.error('❌ PPh21 ledger error:', error);
             return { data: null, error: error.message };
         }
-        
-        console.log('✅ Leave balance checked');
-        return { data: data[0], error: null };
-        
+
+        console.log(`✅ PPh21 ledger: ${data.length} months`);
+        return { data, error: null };
+
     } catch (error) {
-        console.error('❌ Leave balance failed:', error);
+        console.error('❌ PPh21 ledger failed:', error);
         return { data: null, error: error.message };
     }
 }
 
 /**
- * Deduct leave balance (after approval)
- * @param {string} employeeId - Employee UUID
- * @param {string} leaveTypeId - Leave type UUID
- * @param {number} daysToDeduct - Number of days to deduct
- * @param {number} year - Year (e.g., 2025)
- * @returns {Object} { data: {success, message, new_balance}, error: string|null }
+ * Save (upsert) one month of the PPh21 ledger
+ * Re-saving the same employee/year/month replaces the previous entry.
+ * @param {Object} entry - {employee_id, year, month, taxable_gross, pension_deduction, tax_withheld, method, is_final}
+ * @returns {Object} { data: Object, error: string|null }
  */
-async function deductLeaveBalance(employeeId, leaveTypeId, daysToDeduct, year) {
+async function savePPh21LedgerEntry(entry) {
     try {
+        if (!entry?.employee_id || !entry?.year || !entry?.month) {
+            throw new Error('employee_id, year and month are required');
+        }
+
         const { data, error } = await getDB()
-            .rpc('deduct_leave_balance', {
-                p_employee_id: employeeId,
-                p_leave_type_id: leaveTypeId,
-                p_days_to_deduct: daysToDeduct,
-                p_year: year
-            });
-        
+            .from('pph21_ledger')
+            .upsert({
+                ...entry,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'employee_id,year,month' })
+            .select()
+            .single();
+
         if (error) {
-            console.error('❌ Deduct leave error:', error);
+            console.error('❌ Save PPh21 ledger error:', error);
             return { data: null, error: error.message };
         }
-        
-        console.log('✅ Leave balance deducted');
-        return { data: data[0], error: null };
-        
+
+        console.log(`✅ PPh21 ledger saved: ${entry.year}-${entry.month}`);
+        return { data, error: null };
+
     } catch (error) {
-        console.error('❌ Deduct leave failed:', error);
+        console.error('❌ Save PPh21 ledger failed:', error);
         return { data: null, error: error.message };
     }
 }
 
 // ================================================
-// SECTION 5: DEPARTMENT & POSITION (SQL RPC)
+// SECTION 2.6: PAYROLL RUNS (Draft → Review → Approved → Locked)
 // ================================================
 
 /**
- * Get all employees in a department
- * @param {string} departmentId - Department UUID
- * @returns {Object} { data: [...employees...], error: string|null }
+ * Payroll run statuses. A run is versioned per period; re-running a period
+ * supersedes the previous unlocked version.
  */
-async function getDepartmentEmployees(departmentId) {
-    try {
-        const { data, error } = await getDB()
-            .rpc('get_department_employees', {
-                p_department_id: departmentId
-            });
-        
+const PAYROLL_RUN_STATUS = {
+    DRAFT: 'Draft',
+    REVIEW: 'Review',
+    APPROVED: 'Approved',
+    LOCKED: 'Locked',
+    SUPERSEDED: 'Superseded'
+};
+
+/**
+ * Allowed status transitions (from → [to])
+ */
+const PAYROLL_RUN_TRANSITIONS = {
+    Draft: ['Review'],
+    Review: ['Draft', 'Approved'],
+    Approved: ['Review', 'Locked'],
+    Locked: [],
+    Superseded: []
+};
+
+/**
+ * PPh21 methods a company can choose in its settings (company_settings.pph21_method)
+ */
+const PPH21_METHODS = ['ter', 'annualized'];
+
+/**
+ * Default payroll rules when the company has not chosen a PPh21 method
+ * (monthly TER with final-period true-up)
+ */
+const PAYROLL_RUN_RULES = { pph21: { method: 'ter' } };
+
+/**
+ * Get the payroll rules of the company: the PPh21 method from company settings
+ * Payroll runs and the engine/RPC cross-check both calculate with these rules.
+ * @returns {Object} { data: {pph21: {method}}, error: string|null }
+ */
+async function getPayrollRules() {
+    try {
+        const { data: company, error } = await window.getCompanySettings(); // Use api.js function
+        if (error) throw new Error(error);
+
+        const method = PPH21_METHODS.includes(company?.pph21_method)
+            ? company.pph21_method
+            : PAYROLL_RUN_RULES.pph21.method;
+
+        return { data: { pph21: { method } }, error: null };
+
+    } catch (error) {
+        console.error('❌ Get payroll rules failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Get payroll period record (one row per month/year)
+ * @param {number} month - Month (1-12)
+ * @param {number} year - Year (e.g., 2025)
+ * @returns {Object} { data: Object|null, error: string|null }
+ */
+async function getPayrollPeriod(month, year) {
+    try {
+        const { data, error } = await getDB()
+            .from('payroll_periods')
+            .select('*')
+            .eq('year', year)
+            .eq('month', month)
+            .maybeSingle();
+
         if (error) {
-            console.error('❌ Department employees error:', error);
+            console.error('❌ Get payroll period error:', error);
             return { data: null, error: error.message };
         }
-        
-        console.log(`✅ Retrieved ${data.length} dept employees`);
+
         return { data, error: null };
-        
+
     } catch (error) {
-        console.error('❌ Department employees failed:', error);
+        console.error('❌ Get payroll period failed:', error);
         return { data: null, error: error.message };
     }
 }
 
 /**
- * Get salary range and statistics for a position
- * @param {string} positionId - Position UUID
- * @returns {Object} { data: {min_salary, max_salary, avg_salary, employee_count}, error: string|null }
+ * Get all run versions of a period (latest first)
+ * @param {number} month - Month (1-12)
+ * @param {number} year - Year (e.g., 2025)
+ * @returns {Object} { data: Array, error: string|null }
  */
-async function getPositionSalaryRange(positionId) {
+async function getPayrollRuns(month, year) {
     try {
         const { data, error } = await getDB()
-            .rpc('get_position_salary_range', {
-                p_position_id: positionId
-            });
-        
+            .from('payroll_runs')
+            .select('*')
+            .eq('year', year)
+            .eq('month', month)
+            .order('version', { ascending: false });
+
         if (error) {
-            console.error('❌ Salary range error:', error);
+            console.error('❌ Get payroll runs error:', error);
             return { data: null, error: error.message };
         }
-        
-        console.log('✅ Salary range retrieved');
-        return { data: data[0], error: null };
-        
+
+        console.log(`✅ Payroll runs: ${data.length} versions`);
+        return { data, error: null };
+
     } catch (error) {
-        console.error('❌ Salary range failed:', error);
+        console.error('❌ Get payroll runs failed:', error);
         return { data: null, error: error.message };
     }
 }
 
-// ================================================
-// SECTION 6: DASHBOARD STATISTICS
-// ================================================
+/**
+ * Get the employee snapshots of a run
+ * @param {string} runId - Payroll run UUID
+ * @returns {Object} { data: Array, error: string|null }
+ */
+async function getPayrollRunItems(runId) {
+    try {
+        const { data, error } = await getDB()
+            .from('payroll_run_items')
+            .select('*')
+            .eq('run_id', runId)
+            .order('full_name', { ascending: true });
+
+        if (error) {
+            console.error('❌ Get payroll run items error:', error);
+            return { data: null, error: error.message };
+        }
+
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Get payroll run items failed:', error);
+        return { data: null, error: error.message };
+    }
+}
 
 /**
- * Get dashboard statistics (employees, attendance, leaves, payroll)
- * @returns {Object} { success: boolean, data: {...stats...}, error: string|null }
+ * Create a new draft run for a period: calculate every active employee,
+ * snapshot inputs + results and diff against the previous version
+ * Employees whose inputs cannot be loaded or whose calculation fails (e.g., no PTKP category)
+ * are skipped and returned; everyone else is still calculated.
+ * ⚠️ Requires payroll-engine.js
+ * @param {number} month - Month (1-12)
+ * @param {number} year - Year (e.g., 2025)
+ * @returns {Object} { data: {run, items, skipped: [{employee_id, full_name, error}]}, error: string|null }
  */
-async function getDashboardStats() {
+async function createPayrollRun(month, year) {
     try {
+        if (typeof window.PayrollEngine === 'undefined') {
+            throw new Error('PayrollEngine not loaded. Include js/payroll-engine.js');
+        }
+
         const db = getDB();
-        
-        // Total active employees
-        const { count: totalEmployees, error: empError } = await db
+        const session = await checkAuth();
+        const periodStart = `${year}-${String(month).padStart(2, '0')}-01`;
+        const lastDay = new Date(year, month, 0).getDate();
+        const periodEnd = `${year}-${String(month).padStart(2, '0')}-${String(lastDay).padStart(2, '0')}`;
+
+        const { data: period, error: periodError } = await getPayrollPeriod(month, year);
+        if (periodError) throw new Error(periodError);
+        if (period?.status === PAYROLL_RUN_STATUS.LOCKED) {
+            throw new Error(`Payroll ${month}/${year} is locked and cannot be re-run`);
+        }
+
+        // Active employees, plus those resigning during this period (not those joining after it)
+        const { data: candidates, error: employeesError } = await db
             .from('employees')
-            .select('*', { count: 'exact', head: true })
-            .eq('is_active', true);
-        
-        if (empError) throw empError;
-        
-        // Today's attendance
-        const today = new Date().toISOString().split('T')[0];
-        const { count: todayAttendance, error: attError } = await db
-            .from('attendances')
-            .select('*', { count: 'exact', head: true })
-            .eq('attendance_date', today)
-            .neq('attendance_status', 'Absent');
-        
-        if (attError) throw attError;
-        
-        // Pending leave requests
-        const { count: pendingLeaves, error: leaveError } = await db
-            .from('leave_requests')
-            .select('*', { count: 'exact', head: true })
-            .eq('status', 'Pending');
-        
-        if (leaveError) throw leaveError;
-        
-        // Current month payroll
-        const currentYear = new Date().getFullYear();
-        const currentMonth = new Date().getMonth() + 1;
-        
-        const { data: payrollData, error: payrollError } = await db
+            .select('id, full_name, join_date')
+            .or(`is_resigned.eq.false,resign_date.gte.${periodStart}`);
+        if (employeesError) throw employeesError;
+        const employees = candidates.filter(employee => !employee.join_date || employee.join_date <= periodEnd);
+
+        // PPh21 method from company settings and BPJS rates valid for this period (snapshotted on the run)
+        const { data: payrollRules, error: rulesError } = await getPayrollRules();
+        if (rulesError) throw new Error(rulesError);
+        const { data: bpjsRules, error: bpjsError } = await getBPJSRulesForPeriod(month, year);
+        if (bpjsError) throw bpjsError;
+        const rules = { ...payrollRules, bpjs: bpjsRules };
+
+        // THR paid in this period is a separate earnings component
+        const { data: thrByEmployee, error: thrError } = await getTHRForPayrollPeriod(month, year);
+        if (thrError) throw new Error(thrError);
+
+        const items = [];
+        const skipped = [];
+        // One employee's failed load or missing master data must not abort the whole run
+        for (const employee of employees) {
+            const { data: loaded, error: inputsError } = await loadPayrollInputs(employee.id, month, year);
+            if (inputsError) {
+                console.warn(`⚠️ Payroll skipped for ${employee.full_name}:`, inputsError);
+                skipped.push({ employee_id: employee.id, full_name: employee.full_name || '', error: inputsError });
+                continue;
+            }
+            const inputs = { ...loaded, thr: thrByEmployee[employee.id] || [] };
+
+            try {
+                const calculation = window.PayrollEngine.calculatePayroll(inputs, rules);
+                items.push({ employee_id: employee.id, inputs, adjustments: [], calculation });
+            } catch (calculationError) {
+                console.warn(`⚠️ Payroll skipped for ${loaded.employee?.full_name}:`, calculationError.message);
+                skipped.push({
+                    employee_id: employee.id,
+                    full_name: loaded.employee?.full_name || '',
+                    error: calculationError.message
+                });
+            }
+        }
+        if (items.length === 0 && skipped.length > 0) {
+            throw new Error(`No employee could be calculated (${skipped.length} skipped: ${skipped[0].error})`);
+        }
+
+        // Diff against the latest previous version
+        const { data: runs, error: runsError } = await getPayrollRuns(month, year);
+        if (runsError) throw new Error(runsError);
+        const previousRun = runs[0] || null;
+
+        let previousResults = [];
+        if (previousRun) {
+            const { data: previousItems, error: previousError } = await getPayrollRunItems(previousRun.id);
+            if (previousError) throw new Error(previousError);
+            previousResults = previousItems.map(item => item.calculation);
+        }
+
+        const results = items.map(item => item.calculation);
+        const totals = window.PayrollEngine.summarizePayrollRun(results);
+        const diff = window.PayrollEngine.diffPayrollSnapshots(previousResults, results);
+
+        const { data: run, error: runError } = await db
+            .from('payroll_runs')
+            .insert([{
+                month,
+                year,
+                version: (previousRun?.version || 0) + 1,
+                previous_run_id: previousRun?.id || null,
+                status: PAYROLL_RUN_STATUS.DRAFT,
+                ...totals,
+                diff,
+                rules,
+                created_by: session?.user?.id || null,
+                created_at: new Date().toISOString()
+            }])
+            .select()
+            .single();
+        if (runError) throw runError;
+
+        const { data: savedItems, error: itemsError } = await db
+            .from('payroll_run_items')
+            .insert(items.map(item => ({
+                run_id: run.id,
+                employee_id: item.employee_id,
+                full_name: item.calculation.full_name,
+                inputs: item.inputs,
+                adjustments: item.adjustments,
+                calculation: item.calculation,
+                gross_salary: item.calculation.gross_salary,
+                total_deductions: item.calculation.total_deductions,
+                net_salary: item.calculation.net_salary
+            })))
+            .select();
+        if (itemsError) throw itemsError;
+
+        // Older unlocked versions can no longer move forward
+        if (previousRun && previousRun.status !== PAYROLL_RUN_STATUS.SUPERSEDED) {
+            const { error: supersedeError } = await db
+                .from('payroll_runs')
+                .update({ status: PAYROLL_RUN_STATUS.SUPERSEDED })
+                .eq('id', previousRun.id);
+            if (supersedeError) throw supersedeError;
+        }
+
+        const { error: syncError } = await syncPayrollPeriod(run);
+        if (syncError) throw new Error(syncError);
+
+        console.log(`✅ Payroll run v${run.version} created: ${month}/${year} (${items.length} employees, ${skipped.length} skipped)`);
+        return { data: { run, items: savedItems, skipped }, error: null };
+
+    } catch (error) {
+        console.error('❌ Create payroll run failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Replace the one-off adjustments of a run item and recalculate it from its input snapshot
+ * Only allowed while the run is a Draft.
+ * @param {string} itemId - Payroll run item UUID
+ * @param {Array} adjustments - [{type: 'bonus'|'thr'|'deduction', label, amount}]
+ * @returns {Object} { data: {item, run}, error: string|null }
+ */
+async function updatePayrollRunAdjustments(itemId, adjustments) {
+    try {
+        if (typeof window.PayrollEngine === 'undefined') {
+            throw new Error('PayrollEngine not loaded. Include js/payroll-engine.js');
+        }
+
+        const db = getDB();
+
+        const { data: item, error: itemError } = await db
+            .from('payroll_run_items')
+            .select('*, payroll_runs (*)')
+            .eq('id', itemId)
+            .single();
+        if (itemError) throw itemError;
+
+        const run = item.payroll_runs;
+        if (run.status !== PAYROLL_RUN_STATUS.DRAFT) {
+            throw new Error(`Run is ${run.status}; adjustments can only be changed on a Draft run`);
+        }
+
+        // Recalculate with the rules snapshotted when the run was created
+        const calculation = window.PayrollEngine.calculatePayroll(
+            { ...item.inputs, adjustments },
+            run.rules || PAYROLL_RUN_RULES
+        );
+
+        const { data: updatedItem, error: updateError } = await db
+            .from('payroll_run_items')
+            .update({
+                adjustments: calculation.adjustments,
+                calculation,
+                gross_salary: calculation.gross_salary,
+                total_deductions: calculation.total_deductions,
+                net_salary: calculation.net_salary
+            })
+            .eq('id', itemId)
+            .select()
+            .single();
+        if (updateError) throw updateError;
+
+        // Refresh run totals and the diff against the previous version
+        const { data: items, error: itemsError } = await getPayrollRunItems(run.id);
+        if (itemsError) throw new Error(itemsError);
+        const results = items.map(i => i.calculation);
+        const totals = window.PayrollEngine.summarizePayrollRun(results);
+
+        let previousResults = [];
+        if (run.previous_run_id) {
+            const { data: previousItems, error: previousError } = await getPayrollRunItems(run.previous_run_id);
+            if (previousError) throw new Error(previousError);
+            previousResults = previousItems.map(i => i.calculation);
+        }
+        const diff = window.PayrollEngine.diffPayrollSnapshots(previousResults, results);
+
+        const { data: updatedRun, error: runError } = await db
+            .from('payroll_runs')
+            .update({ ...totals, diff })
+            .eq('id', run.id)
+            .select()
+            .single();
+        if (runError) throw runError;
+
+        const { error: syncError } = await syncPayrollPeriod(updatedRun);
+        if (syncError) throw new Error(syncError);
+
+        console.log(`✅ Adjustments saved: ${calculation.full_name}`);
+        return { data: { item: updatedItem, run: updatedRun }, error: null };
+
+    } catch (error) {
+        console.error('❌ Update payroll adjustments failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Move a run to the next workflow status
+ * Locking writes every item to the PPh21 ledger in one upsert and freezes the period;
+ * the ledger entries are removed again when the run cannot be locked.
+ * @param {string} runId - Payroll run UUID
+ * @param {string} nextStatus - 'Draft' | 'Review' | 'Approved' | 'Locked'
+ * @returns {Object} { data: Object, error: string|null }
+ */
+async function transitionPayrollRun(runId, nextStatus) {
+    try {
+        const db = getDB();
+        const session = await checkAuth();
+
+        const { data: run, error: runError } = await db
+            .from('payroll_runs')
+            .select('*')
+            .eq('id', runId)
+            .single();
+        if (runError) throw runError;
+
+        const allowed = PAYROLL_RUN_TRANSITIONS[run.status] || [];
+        if (!allowed.includes(nextStatus)) {
+            throw new Error(`Cannot move payroll run from ${run.status} to ${nextStatus}`);
+        }
+
+        const now = new Date().toISOString();
+        const actor = session?.user?.id || null;
+        const stamp = {
+            Review: { submitted_by: actor, submitted_at: now },
+            Approved: { approved_by: actor, approved_at: now },
+            Locked: { locked_by: actor, locked_at: now }
+        }[nextStatus] || {};
+
+        let ledgerEntries = [];
+        if (nextStatus === PAYROLL_RUN_STATUS.LOCKED) {
+            const { data: items, error: itemsError } = await getPayrollRunItems(runId);
+            if (itemsError) throw new Error(itemsError);
+
+            // Single upsert: the period's ledger is written completely or not at all
+            ledgerEntries = items.map(item => ({
+                ...window.PayrollEngine.toTaxLedgerEntry(item.calculation),
+                updated_at: now
+            }));
+            if (ledgerEntries.length > 0) {
+                const { error: ledgerError } = await db
+                    .from('pph21_ledger')
+                    .upsert(ledgerEntries, { onConflict: 'employee_id,year,month' });
+                if (ledgerError) throw ledgerError;
+            }
+        }
+
+        const { data, error } = await db
+            .from('payroll_runs')
+            .update({ status: nextStatus, ...stamp })
+            .eq('id', runId)
+            .select()
+            .single();
+        if (error) {
+            if (ledgerEntries.length > 0) await removePPh21LedgerEntries(run, ledgerEntries);
+            throw error;
+        }
+
+        const { error: syncError } = await syncPayrollPeriod(data);
+        if (syncError) throw new Error(syncError);
+
+        console.log(`✅ Payroll run v${data.version}: ${run.status} → ${nextStatus}`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Payroll run transition failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Undo the ledger entries written for a run that could not be locked
+ * (a locked period can't be re-run, so the period had no ledger entries before)
+ * @param {Object} run - Payroll run
+ * @param {Array} entries - Ledger entries written for the run
+ */
+async function removePPh21LedgerEntries(run, entries) {
+    const { error } = await getDB()
+        .from('pph21_ledger')
+        .delete()
+        .eq('year', run.year)
+        .eq('month', run.month)
+        .in('employee_id', entries.map(entry => entry.employee_id));
+
+    if (error) {
+        console.error('❌ PPh21 ledger rollback failed:', error);
+    } else {
+        console.log(`↩️ PPh21 ledger rolled back: ${run.year}-${run.month}`);
+    }
+}
+
+/**
+ * Load everything needed to print payslips of a run: company branding,
+ * current employee bank details and the calculation snapshots
+ * @param {string} runId - Payroll run UUID
+ * @param {Array<string>} [employeeIds] - Limit to these employees (default: whole run)
+ * @returns {Object} { data: {company, run, slips: [{result, employee, contract}]}, error: string|null }
+ */
+async function getPayslipData(runId, employeeIds = null) {
+    try {
+        const db = getDB();
+
+        const [runResult, itemsResult, companyResult] = await Promise.all([
+            db.from('payroll_runs').select('*').eq('id', runId).single(),
+            getPayrollRunItems(runId),
+            window.getCompanySettings() // Use api.js function
+        ]);
+
+        if (runResult.error) throw runResult.error;
+        if (itemsResult.error) throw new Error(itemsResult.error);
+        if (companyResult.error) throw new Error(companyResult.error);
+
+        const items = employeeIds
+            ? itemsResult.data.filter(item => employeeIds.includes(item.employee_id))
+            : itemsResult.data;
+
+        const { data: employees, error: employeesError } = await db
+            .from('employees')
+            .select('id, full_name, employee_code, nik, birth_date, gender, bank_name, bank_account_number, bank_account_name, positions:position_id (id, title)')
+            .in('id', items.map(item => item.employee_id));
+        if (employeesError) throw employeesError;
+
+        const employeesById = new Map(employees.map(employee => [employee.id, employee]));
+
+        const slips = items.map(item => ({
+            result: item.calculation,
+            employee: employeesById.get(item.employee_id) || item.inputs?.employee || {},
+            contract: item.inputs?.contract || {}
+        }));
+
+        console.log(`✅ Payslip data loaded: ${slips.length} employees`);
+        return { data: { company: companyResult.data || {}, run: runResult.data, slips }, error: null };
+
+    } catch (error) {
+        console.error('❌ Load payslip data failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Mirror the current run's status and totals onto payroll_periods (read by the dashboard)
+ * @param {Object} run - payroll_runs row
+ * @returns {Object} { data: Object, error: string|null }
+ */
+async function syncPayrollPeriod(run) {
+    try {
+        const { data, error } = await getDB()
             .from('payroll_periods')
-            .select('status, total_employees, total_net_salary')
-            .eq('year', currentYear)
-            .eq('month', currentMonth)
-            .maybeSingle();
-        
-        console.log('✅ Dashboard stats retrieved');
-        
-        return {
-            success: true,
-            data: {
-                totalEmployees: totalEmployees || 0,
-                todayAttendance: todayAttendance || 0,
-                pendingLeaves: pendingLeaves || 0,
-                payrollStatus: payrollData?.status || 'Not Created',
-                payrollEmployees: payrollData?.total_employees || 0,
-                payrollTotal: payrollData?.total_net_salary || 0
-            },
-            error: null
-        };
-        
+            .upsert({
+                month: run.month,
+                year: run.year,
+                status: run.status,
+                current_run_id: run.id,
+                current_version: run.version,
+                total_employees: run.total_employees,
+                total_net_salary: run.total_net_salary,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'year,month' })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('❌ Sync payroll period error:', error);
+            return { data: null, error: error.message };
+        }
+
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Sync payroll period failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+// ================================================
+// SECTION 2.7: THR (Tunjangan Hari Raya)
+// ================================================
+
+/**
+ * Validate THR holiday fields
+ * @param {Object} holidayData - {holiday_name, holiday_date, cutoff_date, pay_month, pay_year}
+ * @throws {Error} On missing or inconsistent fields
+ */
+function validateTHRHoliday(holidayData) {
+    if (!holidayData.holiday_name) {
+        throw new Error('Holiday name is required');
+    }
+    if (!holidayData.holiday_date) {
+        throw new Error('Holiday date is required');
+    }
+    if (!holidayData.cutoff_date) {
+        throw new Error('THR cut-off date is required');
+    }
+    if (holidayData.cutoff_date > holidayData.holiday_date) {
+        throw new Error('Cut-off date must be on or before the holiday');
+    }
+    if (!holidayData.pay_month || !holidayData.pay_year) {
+        throw new Error('Payroll month and year for THR payment are required');
+    }
+}
+
+/**
+ * Get THR holidays (latest first)
+ * @param {number} [year] - Filter by payment year
+ * @returns {Object} { data: Array, error: string|null }
+ */
+async function getTHRHolidays(year = null) {
+    try {
+        let query = getDB()
+            .from('thr_holidays')
+            .select('*')
+            .order('holiday_date', { ascending: false });
+
+        if (year) query = query.eq('pay_year', year);
+
+        const { data, error } = await query;
+
+        if (error) {
+            console.error('❌ Get THR holidays error:', error);
+            return { data: null, error: error.message };
+        }
+
+        console.log(`✅ THR holidays: ${data.length}`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Get THR holidays failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Create THR holiday with its cut-off date and payment period
+ * @param {Object} holidayData - {holiday_name, holiday_date, cutoff_date, pay_month, pay_year}
+ * @returns {Object} { data: Object, error: string|null }
+ */
+async function createTHRHoliday(holidayData) {
+    try {
+        validateTHRHoliday(holidayData);
+
+        const { data, error } = await getDB()
+            .from('thr_holidays')
+            .insert([holidayData])
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        console.log(`✅ THR holiday created: ${data.holiday_name}`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Create THR holiday error:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Update THR holiday
+ * Holidays already paid in a locked payroll period cannot be changed.
+ * @param {string} holidayId - THR holiday UUID
+ * @param {Object} holidayData - Fields to update
+ * @returns {Object} { data: Object, error: string|null }
+ */
+async function updateTHRHoliday(holidayId, holidayData) {
+    try {
+        if (!holidayId) {
+            throw new Error('THR holiday ID is required');
+        }
+        validateTHRHoliday(holidayData);
+        await assertTHRHolidayUnlocked(holidayId);
+
+        const { data, error } = await getDB()
+            .from('thr_holidays')
+            .update(holidayData)
+            .eq('id', holidayId)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        console.log(`✅ THR holiday updated: ${holidayId}`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Update THR holiday error:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Delete THR holiday
+ * @param {string} holidayId - THR holiday UUID
+ * @returns {Object} { data: null, error: string|null }
+ */
+async function deleteTHRHoliday(holidayId) {
+    try {
+        if (!holidayId) {
+            throw new Error('THR holiday ID is required');
+        }
+        await assertTHRHolidayUnlocked(holidayId);
+
+        const { error } = await getDB()
+            .from('thr_holidays')
+            .delete()
+            .eq('id', holidayId);
+
+        if (error) throw error;
+
+        console.log(`🗑️ THR holiday deleted: ${holidayId}`);
+        return { data: null, error: null };
+
+    } catch (error) {
+        console.error('❌ Delete THR holiday error:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Reject changes to a holiday whose payment period is locked
+ * @param {string} holidayId - THR holiday UUID
+ * @throws {Error} When the payment period is locked
+ */
+async function assertTHRHolidayUnlocked(holidayId) {
+    const { data: holiday, error } = await getDB()
+        .from('thr_holidays')
+        .select('pay_month, pay_year')
+        .eq('id', holidayId)
+        .single();
+    if (error) throw error;
+
+    const { data: period } = await getPayrollPeriod(holiday.pay_month, holiday.pay_year);
+    if (period?.status === PAYROLL_RUN_STATUS.LOCKED) {
+        throw new Error(`THR was paid in locked payroll ${holiday.pay_month}/${holiday.pay_year}`);
+    }
+}
+
+/**
+ * Calculate THR for every eligible employee of a holiday
+ * Service months are counted from join_date to the holiday's cut-off date;
+ * calculate_employee_tenure is used for employees without a join_date.
+ * ⚠️ Requires payroll-engine.js
+ * @param {Object} holiday - thr_holidays row
+ * @returns {Object} { data: Array (PayrollEngine.calculateTHR results), error: string|null }
+ */
+async function calculateTHRForHoliday(holiday) {
+    try {
+        if (typeof window.PayrollEngine === 'undefined') {
+            throw new Error('PayrollEngine not loaded. Include js/payroll-engine.js');
+        }
+
+        const db = getDB();
+
+        // Resigned employees are still checked: permanent staff may keep THR near the holiday
+        const resignWindowStart = new Date(holiday.holiday_date);
+        resignWindowStart.setDate(resignWindowStart.getDate() - window.PayrollEngine.DEFAULT_RULES.thr.resign_grace_days);
+
+        const [employeesResult, contractsResult] = await Promise.all([
+            db.from('employees')
+                .select('id, full_name, employee_code, join_date, resign_date, employment_status')
+                .or(`is_resigned.eq.false,resign_date.gte.${resignWindowStart.toISOString().slice(0, 10)}`)
+                .order('full_name', { ascending: true }),
+            db.from('contract_history')
+                .select('*')
+                .lte('start_date', holiday.cutoff_date)
+                .order('start_date', { ascending: false })
+        ]);
+
+        if (employeesResult.error) throw employeesResult.error;
+        if (contractsResult.error) throw contractsResult.error;
+
+        // Latest contract per employee valid at cut-off
+        const contractByEmployee = new Map();
+        contractsResult.data.forEach(contract => {
+            if (!contractByEmployee.has(contract.employee_id)) {
+                contractByEmployee.set(contract.employee_id, contract);
+            }
+        });
+
+        const results = [];
+        for (const employee of employeesResult.data) {
+            let tenure = null;
+            if (!employee.join_date) {
+                const { data } = await calculateEmployeeTenure(employee.id);
+                tenure = data;
+            }
+
+            results.push(window.PayrollEngine.calculateTHR({
+                employee,
+                contract: contractByEmployee.get(employee.id) || {},
+                tenure,
+                holiday
+            }));
+        }
+
+        console.log(`✅ THR calculated: ${holiday.holiday_name} (${results.filter(r => r.is_eligible).length} eligible)`);
+        return { data: results, error: null };
+
+    } catch (error) {
+        console.error('❌ Calculate THR failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Get THR payable in a payroll period, keyed by employee
+ * @param {number} month - Month (1-12)
+ * @param {number} year - Year (e.g., 2025)
+ * @returns {Object} { data: {[employee_id]: [{label, amount}]}, error: string|null }
+ */
+async function getTHRForPayrollPeriod(month, year) {
+    try {
+        const { data: holidays, error } = await getDB()
+            .from('thr_holidays')
+            .select('*')
+            .eq('pay_month', month)
+            .eq('pay_year', year);
+
+        if (error) throw error;
+
+        const thrByEmployee = {};
+        for (const holiday of holidays) {
+            const { data: results, error: thrError } = await calculateTHRForHoliday(holiday);
+            if (thrError) throw new Error(thrError);
+
+            results
+                .filter(result => result.is_eligible && result.thr_amount > 0)
+                .forEach(result => {
+                    thrByEmployee[result.employee_id] = thrByEmployee[result.employee_id] || [];
+                    thrByEmployee[result.employee_id].push({ label: `THR ${holiday.holiday_name}`, amount: result.thr_amount });
+                });
+        }
+
+        return { data: thrByEmployee, error: null };
+
+    } catch (error) {
+        console.error('❌ Get THR for payroll failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+// ================================================
+// SECTION 2.8: SEVERANCE (PP 35/2021)
+// ================================================
+
+/**
+ * Calculate separation pay for an employee
+ * Combines the employee record, latest contract, tenure and leave balance, then runs
+ * PayrollEngine.calculateSeverance.
+ * ⚠️ Requires payroll-engine.js
+ * @param {string} employeeId - Employee UUID
+ * @param {Object} separation - {reason, date, uang_pisah?, travel_cost?}; date defaults to resign_date
+ * @returns {Object} { data: {settlement, employee, contract, company}, error: string|null }
+ */
+async function calculateEmployeeSeverance(employeeId, separation) {
+    try {
+        if (typeof window.PayrollEngine === 'undefined') {
+            throw new Error('PayrollEngine not loaded. Include js/payroll-engine.js');
+        }
+        if (!employeeId) {
+            throw new Error('Employee ID is required');
+        }
+
+        const [employeeResult, contractResult, tenureResult, leaveResult, companyResult] = await Promise.all([
+            window.getEmployeeById(employeeId),
+            window.getLatestContract(employeeId),
+            calculateEmployeeTenure(employeeId),
+            window.getLeaveBalance(employeeId),
+            window.getCompanySettings()
+        ]);
+
+        if (employeeResult.error) throw new Error(employeeResult.error.message || employeeResult.error);
+        if (contractResult.error) throw new Error(contractResult.error.message || contractResult.error);
+        if (!contractResult.data) {
+            throw new Error('No contract found. Add a contract with salary before calculating severance');
+        }
+        // Missing leave balance means nothing to pay out
+        if (leaveResult.error) {
+            console.warn('⚠️ No leave balance for severance:', leaveResult.error);
+        }
+
+        const employee = employeeResult.data;
+        const settlement = window.PayrollEngine.calculateSeverance({
+            employee,
+            contract: contractResult.data,
+            tenure: tenureResult.data,
+            leaveBalance: leaveResult.data,
+            separation: { ...separation, date: separation?.date || employee.resign_date }
+        });
+
+        console.log(`✅ Severance calculated: ${employee.full_name} (${settlement.reason})`);
+        return {
+            data: {
+                settlement,
+                employee,
+                contract: contractResult.data,
+                company: companyResult.data || {}
+            },
+            error: null
+        };
+
+    } catch (error) {
+        console.error('❌ Calculate severance failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+// ================================================
+// SECTION 2.9: STATUTORY REPORTS (BPJS, e-Bupot, 1721-A1)
+// ================================================
+
+/**
+ * Load the locked run of a period for statutory reporting (BPJS SIPP / e-Dabu, e-Bupot PPh21)
+ * Reports are only produced from a Locked period so the filed figures match the paid payroll.
+ * @param {number} month - Month (1-12)
+ * @param {number} year - Year (e.g., 2025)
+ * @returns {Object} { data: {company, run, slips: [{result, employee, contract}]}, error: string|null }
+ */
+async function getStatutoryReportData(month, year) {
+    try {
+        const { data: period, error: periodError } = await getPayrollPeriod(month, year);
+        if (periodError) throw new Error(periodError);
+
+        if (!period?.current_run_id || period.status !== PAYROLL_RUN_STATUS.LOCKED) {
+            throw new Error(`Payroll ${month}/${year} must be locked before exporting statutory reports`);
+        }
+
+        const { data, error } = await getPayslipData(period.current_run_id);
+        if (error) throw new Error(error);
+
+        console.log(`✅ Statutory report data loaded: ${month}/${year} (${data.slips.length} employees)`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Load statutory report data failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Build the annual 1721-A1 forms of a tax year from the locked runs of that year
+ * ⚠️ Requires payroll-engine.js
+ * @param {number} year - Tax year (e.g., 2025)
+ * @param {Array<string>} [employeeIds] - Limit to these employees (default: everyone paid in the year)
+ * @returns {Object} { data: {company, year, locked_months, forms: [{form, employee}]}, error: string|null }
+ */
+async function get1721A1Data(year, employeeIds = null) {
+    try {
+        if (typeof window.PayrollEngine === 'undefined') {
+            throw new Error('PayrollEngine not loaded. Include js/payroll-engine.js');
+        }
+
+        const db = getDB();
+
+        const [periodsResult, companyResult] = await Promise.all([
+            db.from('payroll_periods')
+                .select('month, current_run_id')
+                .eq('year', year)
+                .eq('status', PAYROLL_RUN_STATUS.LOCKED)
+                .order('month', { ascending: true }),
+            window.getCompanySettings() // Use api.js function
+        ]);
+
+        if (periodsResult.error) throw periodsResult.error;
+        if (companyResult.error) throw new Error(companyResult.error);
+        if (!periodsResult.data.length) {
+            throw new Error(`No locked payroll periods in ${year}`);
+        }
+
+        let itemsQuery = db
+            .from('payroll_run_items')
+            .select('employee_id, calculation')
+            .in('run_id', periodsResult.data.map(period => period.current_run_id));
+        if (employeeIds) itemsQuery = itemsQuery.in('employee_id', employeeIds);
+
+        const { data: items, error: itemsError } = await itemsQuery;
+        if (itemsError) throw itemsError;
+
+        const resultsByEmployee = new Map();
+        items.forEach(item => {
+            if (!resultsByEmployee.has(item.employee_id)) resultsByEmployee.set(item.employee_id, []);
+            resultsByEmployee.get(item.employee_id).push(item.calculation);
+        });
+
+        const { data: employees, error: employeesError } = await db
+            .from('employees')
+            .select('id, full_name, employee_code, nik, gender, ktp_address, current_address, positions:position_id (id, title)')
+            .in('id', [...resultsByEmployee.keys()]);
+        if (employeesError) throw employeesError;
+
+        const forms = employees
+            .map(employee => ({
+                form: window.PayrollEngine.summarizeAnnualTax(resultsByEmployee.get(employee.id)),
+                employee
+            }))
+            .sort((a, b) => (a.employee.full_name || '').localeCompare(b.employee.full_name || ''));
+
+        console.log(`✅ 1721-A1 forms built: ${year} (${forms.length} employees)`);
+        return {
+            data: {
+                company: companyResult.data || {},
+                year,
+                locked_months: periodsResult.data.map(period => period.month),
+                forms
+            },
+            error: null
+        };
+
+    } catch (error) {
+        console.error('❌ Build 1721-A1 failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+// ================================================
+// SECTION 3: EMPLOYEE MANAGEMENT (SQL RPC)
+// ================================================
+
+/**
+ * Get complete employee details with all related data
+ * @param {string} employeeId - Employee UUID
+ * @returns {Object} { data: {...complete employee data...}, error: string|null }
+ */
+async function getEmployeeFullDetails(employeeId) {
+    try {
+        const { data, error } = await getDB()
+            .rpc('get_employee_full_details', {
+                p_employee_id: employeeId
+            });
+        
+        if (error) {
+            console.error('❌ Employee details error:', error);
+            return { data: null, error: error.message };
+        }
+        
+        console.log('✅ Employee details retrieved');
+        return { data: data[0], error: null };
+        
+    } catch (error) {
+        console.error('❌ Employee details failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Calculate employee tenure (masa kerja)
+ * @param {string} employeeId - Employee UUID
+ * @returns {Object} { data: {years, months, days, total_months, join_date}, error: string|null }
+ */
+async function calculateEmployeeTenure(employeeId) {
+    try {
+        const { data, error } = await getDB()
+            .rpc('calculate_employee_tenure', {
+                p_employee_id: employeeId
+            });
+        
+        if (error) {
+            console.error('❌ Tenure error:', error);
+            return { data: null, error: error.message };
+        }
+        
+        console.log('✅ Tenure calculated');
+        return { data: data[0], error: null };
+        
+    } catch (error) {
+        console.error('❌ Tenure failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+// ================================================
+// SECTION 4: LEAVE BALANCE LEDGER (Accrual engine)
+// ================================================
+// leave_balance_ledger: employee_id, leave_policy_id, year, entry_type (accrual / carry_over / usage /
+// reversal / adjustment / expiry), days (+ adds, − takes), entry_date, expires_at, leave_id, note,
+// source_ref (unique), created_by, created_at. A balance is the sum of its entries; accruals, cuti
+// bersama and leave usage are posted by syncLeaveAccruals, adjustments by HR.
+
+/**
+ * Fail when leave-accrual.js is missing
+ * @returns {Object} LeaveAccrual module
+ */
+function requireLeaveAccrual() {
+    if (typeof window.LeaveAccrual === 'undefined') {
+        throw new Error('LeaveAccrual not loaded. Include js/leave-accrual.js');
+    }
+    return window.LeaveAccrual;
+}
+
+/**
+ * Get ledger entries of an employee
+ * @param {string} employeeId - Employee UUID
+ * @param {Object} [filters] - {year, leave_policy_id}
+ * @returns {Object} { data: Array, error: string|null }
+ */
+async function getLeaveLedger(employeeId, filters = {}) {
+    try {
+        let query = getDB()
+            .from('leave_balance_ledger')
+            .select(`
+                *,
+                leave_policies:leave_policy_id (id, name, accrual_type)
+            `)
+            .eq('employee_id', employeeId)
+            .order('entry_date', { ascending: true })
+            .order('created_at', { ascending: true });
+
+        if (filters.year) query = query.eq('year', filters.year);
+        if (filters.leave_policy_id) query = query.eq('leave_policy_id', filters.leave_policy_id);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Get leave ledger error:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Post the ledger entries missing for a year: carry-over and its expiry, accruals,
+ * cuti bersama and usage / reversal of approved leaves. Safe to run any number of times
+ * (entries are keyed by source_ref).
+ * Once the year has started, year - 1 is first synced through 31 December (late accruals and
+ * approvals), so the carry-over is planned from the closed year - 1 balance.
+ * ⚠️ Requires leave-accrual.js and holiday-calendar.js
+ * @param {Object} [options] - {year, employee_id, asOf (YYYY-MM-DD, default today), closePreviousYear (default true)}
+ * @returns {Object} { data: {employees, created}, error: string|null }
+ */
+async function syncLeaveAccruals(options = {}) {
+    try {
+        const accrual = requireLeaveAccrual();
+        if (typeof window.HolidayCalendar === 'undefined') {
+            throw new Error('HolidayCalendar not loaded. Include js/holiday-calendar.js');
+        }
+
+        const today = options.asOf || getCurrentDate();
+        const year = Number(options.year) || Number(today.slice(0, 4));
+        const asOf = `${year}-12-31` < today ? `${year}-12-31` : today;
+        const db = getDB();
+
+        // Close year - 1 first; its own carry-over is not re-planned (no recursion past one year)
+        const closePreviousYear = options.closePreviousYear !== false && today >= `${year}-01-01`;
+        let closedCount = 0;
+        if (closePreviousYear) {
+            const { data: closed, error: closeError } = await syncLeaveAccruals({
+                year: year - 1,
+                employee_id: options.employee_id,
+                asOf: `${year - 1}-12-31`,
+                closePreviousYear: false
+            });
+            if (closeError) throw new Error(closeError);
+            closedCount = closed.created;
+        }
+
+        // Paged: a truncated ledger would re-post its missing rows and skew the carry-over
+        const forEmployee = (query, column) => options.employee_id ? query.eq(column, options.employee_id) : query;
+        const employeesQuery = () => {
+            const query = db
+                .from('employees')
+                .select(`
+                    id,
+                    join_date,
+                    resign_date,
+                    work_site,
+                    work_schedule_templates:work_schedule_template_id (
+                        shifts:work_schedule_shifts(*)
+                    )
+                `)
+                .order('id', { ascending: true });
+            return options.employee_id ? query.eq('id', options.employee_id) : query.eq('is_active', true);
+        };
+        const ledgerQuery = () => forEmployee(db
+            .from('leave_balance_ledger')
+            .select('employee_id, leave_policy_id, year, entry_type, days, entry_date, expires_at, source_ref')
+            .in('year', [year - 1, year])
+            .order('id', { ascending: true }), 'employee_id');
+        const leavesQuery = () => forEmployee(db
+            .from('leaves')
+            .select('id, employee_id, leave_policy_id, leave_type, status, start_date, end_date, total_days')
+            .in('status', ['approved', 'cancelled', 'rejected'])
+            .gte('start_date', `${year}-01-01`)
+            .lte('start_date', `${year}-12-31`)
+            .order('id', { ascending: true }), 'employee_id');
+
+        const [employeesResult, policiesResult, ledgerResult, leavesResult, holidaysResult] = await Promise.all([
+            fetchAllPages(employeesQuery),
+            window.getLeavePolicies(),
+            fetchAllPages(ledgerQuery),
+            fetchAllPages(leavesQuery),
+            getAllHolidays({ year })
+        ]);
+        if (policiesResult.error) throw new Error(policiesResult.error);
+        if (holidaysResult.error) throw holidaysResult.error;
+        const failed = [employeesResult, ledgerResult, leavesResult].find(result => result.error);
+        if (failed) throw new Error(failed.error);
+
+        const policies = policiesResult.data || [];
+        const groupBy = (rows, key) => rows.reduce((map, row) => {
+            const id = key(row);
+            if (!map.has(id)) map.set(id, []);
+            map.get(id).push(row);
+            return map;
+        }, new Map());
+        const ledgerByKey = groupBy(ledgerResult.data || [], row => `${row.employee_id}|${row.leave_policy_id}`);
+        const leavesByKey = groupBy(leavesResult.data || [], leave =>
+            `${leave.employee_id}|${accrual.resolvePolicy(policies, leave)?.id}`);
+
+        const rows = [];
+        (employeesResult.data || []).forEach(employee => {
+            // Work days from the employee's schedule: cuti bersama on a rostered day off costs nothing
+            const workDays = (employee.work_schedule_templates?.shifts || [])
+                .filter(shift => !shift.is_off_day && shift.start_time && shift.end_time)
+                .map(shift => Number(shift.day_of_week));
+            const cutiBersamaDates = window.HolidayCalendar.getLeaveDeductibleDays(holidaysResult.data, year, {
+                site: employee.work_site || 'Office',
+                work_days: workDays.length ? workDays : undefined
+            });
+
+            policies.forEach(policy => {
+                const key = `${employee.id}|${policy.id}`;
+                rows.push(...accrual.planLedgerSync({
+                    employee,
+                    policy,
+                    year,
+                    asOf,
+                    entries: ledgerByKey.get(key) || [],
+                    leaves: leavesByKey.get(key) || [],
+                    cutiBersamaDates,
+                    previousYearClosed: closePreviousYear
+                }));
+            });
+        });
+
+        let created = closedCount;
+        for (let i = 0; i < rows.length; i += 500) {
+            const { data, error } = await db
+                .from('leave_balance_ledger')
+                .upsert(rows.slice(i, i + 500), { onConflict: 'source_ref', ignoreDuplicates: true })
+                .select('id');
+            if (error) throw error;
+            created += data.length;
+        }
+
+        if (created) console.log(`✅ Leave ledger synced: ${created} entries posted for ${year}`);
+        return { data: { employees: (employeesResult.data || []).length, created }, error: null };
+
+    } catch (error) {
+        console.error('❌ Leave accrual sync failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Balances of every employee for the policies that keep one (yearly / monthly accrual)
+ * ⚠️ Requires leave-accrual.js
+ * @param {number} year - Year (e.g., 2026)
+ * @param {Object} [filters] - {employee_id}
+ * @returns {Object} { data: [{employee_id, leave_policy_id, ...summarizeLedger}], error: string|null }
+ */
+async function getLeaveBalances(year, filters = {}) {
+    try {
+        const accrual = requireLeaveAccrual();
+
+        // Whole-year ledger of every employee: paged past the 1000-row limit
+        const buildQuery = () => {
+            const query = getDB()
+                .from('leave_balance_ledger')
+                .select('employee_id, leave_policy_id, entry_type, days, entry_date, expires_at')
+                .eq('year', year)
+                .order('id', { ascending: true });
+            return filters.employee_id ? query.eq('employee_id', filters.employee_id) : query;
+        };
+
+        const [ledgerResult, policiesResult] = await Promise.all([fetchAllPages(buildQuery), window.getLeavePolicies()]);
+        if (ledgerResult.error) throw new Error(ledgerResult.error);
+        if (policiesResult.error) throw new Error(policiesResult.error);
+
+        const balancePolicies = new Set((policiesResult.data || []).filter(accrual.hasBalance).map(policy => policy.id));
+        const groups = new Map();
+        (ledgerResult.data || []).forEach(row => {
+            if (!balancePolicies.has(row.leave_policy_id)) return;
+            const key = `${row.employee_id}|${row.leave_policy_id}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row);
+        });
+
+        const data = [...groups.values()].map(entries => ({
+            employee_id: entries[0].employee_id,
+            leave_policy_id: entries[0].leave_policy_id,
+            ...accrual.summarizeLedger(entries, getCurrentDate())
+        }));
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Get leave balances error:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Sync, then read one employee's balance of a policy
+ * @returns {Object} {policy, summary}
+ */
+async function loadLeaveBalance(employeeId, leavePolicyId, year) {
+    const accrual = requireLeaveAccrual();
+
+    const { data: policy, error: policyError } = await window.getLeavePolicy(leavePolicyId);
+    if (policyError) throw new Error(policyError);
+
+    const { error: syncError } = await syncLeaveAccruals({ year, employee_id: employeeId });
+    if (syncError) throw new Error(syncError);
+
+    const { data: entries, error } = await getLeaveLedger(employeeId, { year, leave_policy_id: leavePolicyId });
+    if (error) throw new Error(error);
+
+    return { policy, summary: accrual.summarizeLedger(entries, getCurrentDate()) };
+}
+
+/**
+ * Check leave balance for employee
+ * @param {string} employeeId - Employee UUID
+ * @param {string} leaveTypeId - Leave policy UUID
+ * @param {number} year - Year (e.g., 2026)
+ * @returns {Object} { data: {total_days, used_days, remaining_days, ...summarizeLedger}, error: string|null }
+ */
+async function checkLeaveBalance(employeeId, leaveTypeId, year) {
+    try {
+        const { summary } = await loadLeaveBalance(employeeId, leaveTypeId, year);
+
+        console.log('✅ Leave balance checked');
+        return {
+            data: {
+                ...summary,
+                total_days: summary.entitled,
+                used_days: summary.used,
+                remaining_days: summary.balance
+            },
+            error: null
+        };
+
+    } catch (error) {
+        console.error('❌ Leave balance failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Check a leave request against its policy: balance (less other pending requests) or fixed quota
+ * ⚠️ Requires leave-accrual.js
+ * @param {Object} leave - {id?, employee_id, leave_policy_id, leave_type, start_date, end_date, total_days}
+ * @returns {Object} { data: {ok, available, requested, unit, message, pending_days, policy}, error: string|null }
+ */
+async function checkLeaveRequest(leave) {
+    try {
+        const accrual = requireLeaveAccrual();
+
+        const { data: policies, error: policiesError } = await window.getLeavePolicies();
+        if (policiesError) throw new Error(policiesError);
+
+        const policy = accrual.resolvePolicy(policies, leave);
+        if (!policy) {
+            return { data: { ok: true, available: null, requested: Number(leave.total_days) || 0, message: '', pending_days: 0, policy: null }, error: null };
+        }
+        if (!accrual.hasBalance(policy)) {
+            return { data: { ...accrual.checkRequest(policy, leave), pending_days: 0, policy }, error: null };
+        }
+
+        const year = Number(leave.start_date.slice(0, 4));
+        const { summary } = await loadLeaveBalance(leave.employee_id, policy.id, year);
+
+        // Days already requested and still waiting for approval
+        const { data: pending, error: pendingError } = await getDB()
+            .from('leaves')
+            .select('id, leave_policy_id, leave_type, total_days')
+            .eq('employee_id', leave.employee_id)
+            .eq('status', 'pending')
+            .gte('start_date', `${year}-01-01`)
+            .lte('start_date', `${year}-12-31`);
+        if (pendingError) throw pendingError;
+
+        const pendingDays = pending
+            .filter(item => item.id !== leave.id && accrual.resolvePolicy(policies, item)?.id === policy.id)
+            .reduce((sum, item) => sum + (Number(item.total_days) || 0), 0);
+
+        const result = accrual.checkRequest(policy, leave, { ...summary, balance: summary.balance - pendingDays });
+        if (pendingDays) result.message += ` (${pendingDays} days pending approval)`;
+        return { data: { ...result, pending_days: pendingDays, policy }, error: null };
+
+    } catch (error) {
+        console.error('❌ Leave request check failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Deduct leave balance outside a leave request (usage entry dated today)
+ * Approved leave requests are deducted by syncLeaveAccruals.
+ * @param {string} employeeId - Employee UUID
+ * @param {string} leaveTypeId - Leave policy UUID
+ * @param {number} daysToDeduct - Number of days to deduct
+ * @param {number} year - Year (e.g., 2026)
+ * @param {string} [note] - Reason shown in the ledger
+ * @returns {Object} { data: {success, message, new_balance}, error: string|null }
+ */
+async function deductLeaveBalance(employeeId, leaveTypeId, daysToDeduct, year, note = 'Manual deduction') {
+    try {
+        const days = Number(daysToDeduct);
+        if (!(days > 0)) throw new Error('Days to deduct must be greater than zero');
+
+        const { policy, summary } = await loadLeaveBalance(employeeId, leaveTypeId, year);
+        if (days > summary.balance && !policy.allow_negative_balance) {
+            return {
+                data: { success: false, message: `Insufficient balance: ${summary.balance} days left`, new_balance: summary.balance },
+                error: null
+            };
+        }
+
+        const { error } = await postLeaveLedgerEntry({
+            employee_id: employeeId,
+            leave_policy_id: leaveTypeId,
+            year,
+            entry_type: 'usage',
+            days: -days,
+            note
+        });
+        if (error) throw new Error(error);
+
+        const newBalance = Math.round((summary.balance - days) * 100) / 100;
+        console.log('✅ Leave balance deducted');
+        return { data: { success: true, message: `${days} days deducted`, new_balance: newBalance }, error: null };
+
+    } catch (error) {
+        console.error('❌ Deduct leave failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Adjust a leave balance (HR correction, opening balance, compensation days)
+ * @param {Object} adjustment - {employee_id, leave_policy_id, year, days (+ adds, − takes), note}
+ * @returns {Object} { data: Object, error: string|null }
+ */
+async function addLeaveAdjustment(adjustment) {
+    try {
+        if (!adjustment?.employee_id || !adjustment.leave_policy_id) {
+            throw new Error('Employee and leave type are required');
+        }
+        if (!Number(adjustment.days)) {
+            throw new Error('Adjustment days cannot be zero');
+        }
+        if (!String(adjustment.note || '').trim()) {
+            throw new Error('Adjustment reason is required');
+        }
+
+        const { data, error } = await postLeaveLedgerEntry({
+            employee_id: adjustment.employee_id,
+            leave_policy_id: adjustment.leave_policy_id,
+            year: Number(adjustment.year) || Number(getCurrentDate().slice(0, 4)),
+            entry_type: 'adjustment',
+            days: Number(adjustment.days),
+            note: adjustment.note.trim()
+        });
+        if (error) throw new Error(error);
+
+        console.log(`✅ Leave balance adjusted: ${adjustment.days} days`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Leave adjustment failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Insert one manual ledger entry (dated today, or 31 December for a past year)
+ * @param {Object} entry - {employee_id, leave_policy_id, year, entry_type, days, note}
+ * @returns {Object} { data: Object, error: string|null }
+ */
+async function postLeaveLedgerEntry(entry) {
+    try {
+        const session = await checkAuth();
+        const today = getCurrentDate();
+        const entryDate = `${entry.year}-12-31` < today ? `${entry.year}-12-31` : today;
+
+        const { data, error } = await getDB()
+            .from('leave_balance_ledger')
+            .insert([{
+                ...entry,
+                entry_date: entryDate,
+                source_ref: `${entry.entry_type}:${entry.employee_id}:${entry.leave_policy_id}:${Date.now()}`,
+                created_by: session?.user?.id || null,
+                created_at: new Date().toISOString()
+            }])
+            .select()
+            .single();
+        if (error) throw error;
+
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Post leave ledger entry error:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+// ================================================
+// SECTION 4.5: LEAVE APPROVAL CHAIN (Supervisor → Department Head → HR)
+// ================================================
+
+/**
+ * Fail when leave-approval.js is missing
+ * @returns {Object} LeaveApproval module
+ */
+function requireLeaveApproval() {
+    if (typeof window.LeaveApproval === 'undefined') {
+        throw new Error('LeaveApproval not loaded. Include js/leave-approval.js');
+    }
+    return window.LeaveApproval;
+}
+
+/**
+ * Get leave approval chains (per department and/or leave policy)
+ * @returns {Object} { data: Array, error: string|null }
+ */
+async function getLeaveApprovalChains() {
+    try {
+        const { data, error } = await getDB()
+            .from('leave_approval_chains')
+            .select(`
+                *,
+                departments:department_id (id, name),
+                leave_policies:leave_policy_id (id, name)
+            `)
+            .order('name', { ascending: true });
+        if (error) throw error;
+
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Get leave approval chains error:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Create or update a leave approval chain
+ * @param {Object} chain - {id?, name, department_id, leave_policy_id, steps: [{role, sla_days}], is_active}
+ * @returns {Object} { data: Object, error: string|null }
+ */
+async function saveLeaveApprovalChain(chain) {
+    try {
+        const approval = requireLeaveApproval();
+        const errors = approval.validateChain(chain);
+        if (errors.length) throw new Error(errors.join(', '));
+
+        const row = {
+            name: chain.name.trim(),
+            department_id: chain.department_id || null,
+            leave_policy_id: chain.leave_policy_id || null,
+            steps: approval.normalizeSteps(chain.steps).map(step => ({ role: step.role, sla_days: step.sla_days })),
+            is_active: chain.is_active !== false,
+            updated_at: new Date().toISOString()
+        };
+
+        const query = chain.id
+            ? getDB().from('leave_approval_chains').update(row).eq('id', chain.id)
+            : getDB().from('leave_approval_chains').insert([row]);
+        const { data, error } = await query.select().single();
+        if (error) throw error;
+
+        console.log(`✅ Leave approval chain saved: ${data.name}`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Save leave approval chain error:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Delete a leave approval chain (requests keep the chain they were submitted with)
+ * @param {string} chainId - Chain UUID
+ * @returns {Object} { data: Object, error: string|null }
+ */
+async function deleteLeaveApprovalChain(chainId) {
+    try {
+        const { data, error } = await getDB()
+            .from('leave_approval_chains')
+            .delete()
+            .eq('id', chainId)
+            .select();
+        if (error) throw error;
+
+        console.log(`🗑️ Leave approval chain deleted: ${chainId}`);
+        return { data: data[0] || null, error: null };
+
+    } catch (error) {
+        console.error('❌ Delete leave approval chain error:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Get approval delegations (approver → delegate for a date range)
+ * @returns {Object} { data: Array, error: string|null }
+ */
+async function getLeaveDelegations() {
+    try {
+        const { data, error } = await getDB()
+            .from('leave_approval_delegations')
+            .select(`
+                *,
+                approver:approver_employee_id (id, full_name),
+                delegate:delegate_employee_id (id, full_name)
+            `)
+            .order('start_date', { ascending: false });
+        if (error) throw error;
+
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Get leave delegations error:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Create or update an approval delegation
+ * @param {Object} delegation - {id?, approver_employee_id, delegate_employee_id, start_date, end_date, reason}
+ * @returns {Object} { data: Object, error: string|null }
+ */
+async function saveLeaveDelegation(delegation) {
+    try {
+        if (!delegation.approver_employee_id || !delegation.delegate_employee_id) {
+            throw new Error('Approver and delegate are required');
+        }
+        if (delegation.approver_employee_id === delegation.delegate_employee_id) {
+            throw new Error('An approver cannot delegate to themselves');
+        }
+        if (!delegation.start_date || (delegation.end_date && delegation.end_date < delegation.start_date)) {
+            throw new Error('Delegation end date must be on or after the start date');
+        }
+
+        const row = {
+            approver_employee_id: delegation.approver_employee_id,
+            delegate_employee_id: delegation.delegate_employee_id,
+            start_date: delegation.start_date,
+            end_date: delegation.end_date || null,
+            reason: delegation.reason || null,
+            is_active: delegation.is_active !== false
+        };
+
+        const query = delegation.id
+            ? getDB().from('leave_approval_delegations').update(row).eq('id', delegation.id)
+            : getDB().from('leave_approval_delegations').insert([row]);
+        const { data, error } = await query.select().single();
+        if (error) throw error;
+
+        console.log('✅ Leave approval delegation saved');
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Save leave delegation error:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Delete an approval delegation
+ * @param {string} delegationId - Delegation UUID
+ * @returns {Object} { data: Object, error: string|null }
+ */
+async function deleteLeaveDelegation(delegationId) {
+    try {
+        const { data, error } = await getDB()
+            .from('leave_approval_delegations')
+            .delete()
+            .eq('id', delegationId)
+            .select();
+        if (error) throw error;
+
+        console.log(`🗑️ Leave approval delegation deleted: ${delegationId}`);
+        return { data: data[0] || null, error: null };
+
+    } catch (error) {
+        console.error('❌ Delete leave delegation error:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Everything needed to resolve approvers on a date: employees (supervisor_id), department heads,
+ * delegations, employees on approved leave, and the signed-in user as an approver
+ * @param {string} [date] - YYYY-MM-DD (default today)
+ * @returns {Object} { data: {date, employeesById, departmentsById, delegations, onLeaveIds, actor}, error: string|null }
+ */
+async function getLeaveApprovalContext(date = getCurrentDate()) {
+    try {
+        const db = getDB();
+        const [employeesResult, departmentsResult, delegationsResult, onLeaveResult, session] = await Promise.all([
+            db.from('employees').select('id, full_name, email, supervisor_id, department_id, is_active'),
+            db.from('departments').select('id, name, head_employee_id'),
+            db.from('leave_approval_delegations').select('*').eq('is_active', true),
+            db.from('leaves').select('employee_id').eq('status', 'approved').lte('start_date', date).gte('end_date', date),
+            checkAuth()
+        ]);
+        const failed = [employeesResult, departmentsResult, delegationsResult, onLeaveResult].find(result => result.error);
+        if (failed) throw failed.error;
+
+        const employees = employeesResult.data || [];
+        const email = session?.user?.email?.toLowerCase();
+        const self = email ? employees.find(employee => employee.email?.toLowerCase() === email) : null;
+
+        const data = {
+            date,
+            employeesById: new Map(employees.map(employee => [employee.id, employee])),
+            departmentsById: new Map((departmentsResult.data || []).map(department => [department.id, department])),
+            delegations: delegationsResult.data || [],
+            onLeaveIds: new Set((onLeaveResult.data || []).map(leave => leave.employee_id)),
+            actor: {
+                user_id: session?.user?.id || null,
+                email: session?.user?.email || null,
+                employee_id: self?.id || null,
+                is_hr: requireLeaveApproval().isHrRole(session?.user?.user_metadata?.role)
+            }
+        };
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Leave approval context error:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Approval chain a new leave request goes through (stored on the request)
+ * @param {string} employeeId - Employee UUID
+ * @param {string} [leavePolicyId] - Leave policy UUID
+ * @returns {Object} { data: {chain_id, name, steps}, error: string|null }
+ */
+async function getLeaveApprovalSteps(employeeId, leavePolicyId = null) {
+    try {
+        const approval = requireLeaveApproval();
+        const [employeeResult, chainsResult] = await Promise.all([
+            getDB().from('employees').select('department_id').eq('id', employeeId).single(),
+            getDB().from('leave_approval_chains').select('*').eq('is_active', true)
+        ]);
+        if (employeeResult.error) throw employeeResult.error;
+        if (chainsResult.error) throw chainsResult.error;
+
+        const data = approval.selectChain(chainsResult.data, {
+            department_id: employeeResult.data.department_id,
+            leave_policy_id: leavePolicyId
+        });
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Leave approval steps error:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Approve or reject the current step of a leave request
+ * Only the step's approver (or their delegate) may decide; HR decides the HR step.
+ * Following steps without an available approver are skipped and recorded as such.
+ * @param {string} leaveId - Leave UUID
+ * @param {string} decision - 'approve' | 'reject'
+ * @param {string} [note] - Required when rejecting
+ * @returns {Object} { data: Object, error: string|null }
+ */
+async function decideLeaveRequest(leaveId, decision, note = '') {
+    try {
+        const approval = requireLeaveApproval();
+        if (!['approve', 'reject'].includes(decision)) {
+            throw new Error(`Unknown leave decision: ${decision}`);
+        }
+        if (decision === 'reject' && !note.trim()) {
+            throw new Error('Rejection reason is required');
+        }
+
+        const db = getDB();
+        const { data: leave, error: leaveError } = await db
+            .from('leaves')
+            .select('*')
+            .eq('id', leaveId)
+            .single();
+        if (leaveError) throw leaveError;
+
+        if (leave.status !== 'pending') {
+            throw new Error(`Leave request is already ${leave.status}`);
+        }
+
+        const { data: context, error: contextError } = await getLeaveApprovalContext();
+        if (contextError) throw new Error(contextError);
+
+        const employee = context.employeesById.get(leave.employee_id);
+        const { step, is_last } = approval.getCurrentStep(leave);
+        const resolved = approval.resolveApprover(step.role, employee, context, context.date);
+
+        if (context.actor.employee_id && context.actor.employee_id === leave.employee_id) {
+            throw new Error('You cannot approve or reject your own leave request');
+        }
+        if (!approval.canDecide(resolved, context.actor, is_last, leave.employee_id)) {
+            throw new Error(`This step is waiting for ${approval.describeApprover(resolved)}`);
+        }
+        if (context.actor.user_id && (leave.approvals || []).some(entry =>
+            entry.approver_id === context.actor.user_id && entry.decision === 'approve')) {
+            throw new Error('You already approved an earlier level of this request');
+        }
+
+        const now = new Date();
+        let update = approval.buildDecision(leave, { decision, note, actor: context.actor, resolved }, now);
+        const skipped = approval.advanceApproval({ ...leave, ...update }, employee, context, { date: context.date, now });
+        if (skipped) update = { ...update, ...skipped };
+
+        const { data, error } = await db
+            .from('leaves')
+            .update({ ...update, updated_at: now.toISOString() })
+            .eq('id', leaveId)
+            .eq('status', 'pending')
+            .select()
+            .single();
+        if (error) throw error;
+
+        // Fully approved: post the usage to the balance ledger
+        if (data.status === 'approved' && typeof window.LeaveAccrual !== 'undefined') {
+            const { error: syncError } = await syncLeaveAccruals({
+                year: Number(data.start_date.slice(0, 4)),
+                employee_id: data.employee_id
+            });
+            if (syncError) console.warn('⚠️ Leave usage not posted to the ledger:', syncError);
+        }
+
+        console.log(`✅ Leave request ${decision === 'reject' ? 'rejected' : 'approved'} at ${step.label} level`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Leave decision failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Escalate pending leave requests: skip steps whose approver is missing or on leave without a
+ * delegate, and move steps past their SLA to the next level. Run when the leave page or
+ * dashboard loads (there is no scheduler).
+ * @returns {Object} { data: {checked, escalated}, error: string|null }
+ */
+async function escalateLeaveApprovals() {
+    try {
+        const approval = requireLeaveApproval();
+        const db = getDB();
+
+        const { data: leaves, error: leavesError } = await db
+            .from('leaves')
+            .select('*')
+            .eq('status', 'pending');
+        if (leavesError) throw leavesError;
+        if (leaves.length === 0) return { data: { checked: 0, escalated: 0 }, error: null };
+
+        const { data: context, error: contextError } = await getLeaveApprovalContext();
+        if (contextError) throw new Error(contextError);
+
+        const now = new Date();
+        let escalated = 0;
+
+        for (const leave of leaves) {
+            const employee = context.employeesById.get(leave.employee_id);
+            const update = approval.advanceApproval(leave, employee, context, { date: context.date, now, sla: true });
+            if (!update) continue;
+
+            const { error } = await db
+                .from('leaves')
+                .update({ ...update, updated_at: now.toISOString() })
+                .eq('id', leave.id)
+                .eq('status', 'pending');
+            if (error) throw error;
+            escalated++;
+        }
+
+        if (escalated) console.log(`⏫ Escalated ${escalated} leave request(s)`);
+        return { data: { checked: leaves.length, escalated }, error: null };
+
+    } catch (error) {
+        console.error('❌ Leave escalation failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+// ================================================
+// SECTION 4.6: LEAVE COVERAGE (Minimum staffing)
+// ================================================
+// leave_staffing_rules: department_id (null = all departments), work_site (null = all outlets),
+// min_on_duty, note, is_active, created_at, updated_at. Approving a leave that leaves fewer
+// employees on duty than a rule requires is allowed, but the approver is warned first.
+
+/**
+ * Fail when leave-coverage.js is missing
+ * @returns {Object} LeaveCoverage module
+ */
+function requireLeaveCoverage() {
+    if (typeof window.LeaveCoverage === 'undefined') {
+        throw new Error('LeaveCoverage not loaded. Include js/leave-coverage.js');
+    }
+    return window.LeaveCoverage;
+}
+
+/**
+ * Get minimum-staffing rules
+ * @returns {Object} { data: Array, error: string|null }
+ */
+async function getStaffingRules() {
+    try {
+        const { data, error } = await getDB()
+            .from('leave_staffing_rules')
+            .select(`
+                *,
+                departments:department_id (id, name)
+            `)
+            .order('work_site', { ascending: true, nullsFirst: true })
+            .order('created_at', { ascending: true });
+        if (error) throw error;
+
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Get staffing rules error:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Create or update a minimum-staffing rule
+ * @param {Object} rule - {id?, department_id, work_site, min_on_duty, note, is_active}
+ * @returns {Object} { data: Object, error: string|null }
+ */
+async function saveStaffingRule(rule) {
+    try {
+        const errors = requireLeaveCoverage().validateRule(rule);
+        if (errors.length) throw new Error(errors.join(', '));
+
+        const row = {
+            department_id: rule.department_id || null,
+            work_site: rule.work_site || null,
+            min_on_duty: Number(rule.min_on_duty),
+            note: rule.note || null,
+            is_active: rule.is_active !== false,
+            updated_at: new Date().toISOString()
+        };
+
+        const query = rule.id
+            ? getDB().from('leave_staffing_rules').update(row).eq('id', rule.id)
+            : getDB().from('leave_staffing_rules').insert([row]);
+        const { data, error } = await query.select().single();
+        if (error) throw error;
+
+        console.log('✅ Staffing rule saved');
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Save staffing rule error:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Delete a minimum-staffing rule
+ * @param {string} ruleId - Rule UUID
+ * @returns {Object} { data: Object, error: string|null }
+ */
+async function deleteStaffingRule(ruleId) {
+    try {
+        const { data, error } = await getDB()
+            .from('leave_staffing_rules')
+            .delete()
+            .eq('id', ruleId)
+            .select();
+        if (error) throw error;
+
+        console.log(`🗑️ Staffing rule deleted: ${ruleId}`);
+        return { data: data[0] || null, error: null };
+
+    } catch (error) {
+        console.error('❌ Delete staffing rule error:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Coverage left on each day of a leave request if it is approved
+ * @param {string} leaveId - Leave UUID
+ * @returns {Object} { data: {ok, rules, warnings, messages}, error: string|null }
+ */
+async function checkLeaveCoverage(leaveId) {
+    try {
+        const coverage = requireLeaveCoverage();
+        const db = getDB();
+
+        const { data: leave, error: leaveError } = await db
+            .from('leaves')
+            .select('*')
+            .eq('id', leaveId)
+            .single();
+        if (leaveError) throw leaveError;
+
+        const [employeesResult, rulesResult, leavesResult] = await Promise.all([
+            db.from('employees').select('id, full_name, department_id, work_site, is_active').eq('is_active', true),
+            db.from('leave_staffing_rules').select('*, departments:department_id (id, name)').eq('is_active', true),
+            db.from('leaves')
+                .select('id, employee_id, status, start_date, end_date, leave_dates')
+                .in('status', coverage.OFF_STATUSES)
+                .lte('start_date', leave.end_date)
+                .gte('end_date', leave.start_date)
+        ]);
+        const failed = [employeesResult, rulesResult, leavesResult].find(result => result.error);
+        if (failed) throw failed.error;
+
+        const employee = employeesResult.data.find(item => item.id === leave.employee_id);
+        const result = coverage.checkCoverage({
+            leave,
+            employee,
+            employees: employeesResult.data,
+            leaves: leavesResult.data,
+            rules: rulesResult.data
+        });
+
+        return { data: { ...result, messages: coverage.describeWarnings(result.warnings, formatDate) }, error: null };
+
+    } catch (error) {
+        console.error('❌ Leave coverage check failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+// ================================================
+// SECTION 5: DEPARTMENT & POSITION (SQL RPC)
+// ================================================
+
+/**
+ * Get all employees in a department
+ * @param {string} departmentId - Department UUID
+ * @returns {Object} { data: [...employees...], error: string|null }
+ */
+async function getDepartmentEmployees(departmentId) {
+    try {
+        const { data, error } = await getDB()
+            .rpc('get_department_employees', {
+                p_department_id: departmentId
+            });
+        
+        if (error) {
+            console.error('❌ Department employees error:', error);
+            return { data: null, error: error.message };
+        }
+        
+        console.log(`✅ Retrieved ${data.length} dept employees`);
+        return { data, error: null };
+        
+    } catch (error) {
+        console.error('❌ Department employees failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+/**
+ * Get salary range and statistics for a position
+ * @param {string} positionId - Position UUID
+ * @returns {Object} { data: {min_salary, max_salary, avg_salary, employee_count}, error: string|null }
+ */
+async function getPositionSalaryRange(positionId) {
+    try {
+        const { data, error } = await getDB()
+            .rpc('get_position_salary_range', {
+                p_position_id: positionId
+            });
+        
+        if (error) {
+            console.error('❌ Salary range error:', error);
+            return { data: null, error: error.message };
+        }
+        
+        console.log('✅ Salary range retrieved');
+        return { data: data[0], error: null };
+        
+    } catch (error) {
+        console.error('❌ Salary range failed:', error);
+        return { data: null, error: error.message };
+    }
+}
+
+// ================================================
+// SECTION 6: DASHBOARD STATISTICS
+// ================================================
+
+/**
+ * Get dashboard statistics (employees, attendance, leaves, payroll)
+ * @returns {Object} { success: boolean, data: {...stats...}, error: string|null }
+ */
+async function getDashboardStats() {
+    try {
+        const db = getDB();
+        
+        // Total active employees
+        const { count: totalEmployees, error: empError } = await db
+            .from('employees')
+            .select('*', { count: 'exact', head: true })
+            .eq('is_active', true);
+        
+        if (empError) throw empError;
+        
+        // Today's attendance
+        const today = new Date().toISOString().split('T')[0];
+        const { count: todayAttendance, error: attError } = await db
+            .from('attendances')
+            .select('*', { count: 'exact', head: true })
+            .eq('attendance_date', today)
+            .neq('attendance_status', 'Absent');
+        
+        if (attError) throw attError;
+        
+        // Pending leave requests
+        const { count: pendingLeaves, error: leaveError } = await db
+            .from('leave_requests')
+            .select('*', { count: 'exact', head: true })
+            .eq('status', 'Pending');
+        
+        if (leaveError) throw leaveError;
+        
+        // Current month payroll
+        const currentYear = new Date().getFullYear();
+        const currentMonth = new Date().getMonth() + 1;
+        
+        const { data: payrollData, error: payrollError } = await db
+            .from('payroll_periods')
+            .select('status, total_employees, total_net_salary')
+            .eq('year', currentYear)
+            .eq('month', currentMonth)
+            .maybeSingle();
+        
+        console.log('✅ Dashboard stats retrieved');
+        
+        return {
+            success: true,
+            data: {
+                totalEmployees: totalEmployees || 0,
+                todayAttendance: todayAttendance || 0,
+                pendingLeaves: pendingLeaves || 0,
+                payrollStatus: payrollData?.status || 'Not Created',
+                payrollEmployees: payrollData?.total_employees || 0,
+                payrollTotal: payrollData?.total_net_salary || 0
+            },
+            error: null
+        };
+        
+    } catch (error) {
+        console.error('❌ Dashboard stats error:', error);
+        return { success: false, data: null, error: error.message };
+    }
+}
+
+/**
+ * Get recent activities (attendance & leaves)
+ * @param {number} limit - Number of records to fetch (default: 10)
+ * @returns {Object} { success: boolean, data: {attendances, leaves}, error: string|null }
+ */
+async function getRecentActivities(limit = 10) {
+    try {
+        const db = getDB();
+        
+        // Recent attendance
+        const { data: attendances, error: attError } = await db
+            .from('attendances')
+            .select(`
+                id,
+                attendance_date,
+                check_in_time,
+                check_out_time,
+                attendance_status,
+                employees!inner(
+                    full_name,
+                    employee_code
+                )
+            `)
+            .order('attendance_date', { ascending: false })
+            .order('check_in_time', { ascending: false })
+            .limit(limit);
+        
+        if (attError) throw attError;
+        
+        // Recent leaves
+        const { data: leaves, error: leaveError } = await db
+            .from('leave_requests')
+            .select(`
+                id,
+                start_date,
+                end_date,
+                leave_type,
+                status,
+                created_at,
+                employees!inner(
+                    full_name,
+                    employee_code
+                )
+            `)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+        
+        if (leaveError) throw leaveError;
+        
+        console.log('✅ Recent activities retrieved');
+        
+        return {
+            success: true,
+            data: {
+                attendances: attendances || [],
+                leaves: leaves || []
+            },
+            error: null
+        };
+        
+    } catch (error) {
+        console.error('❌ Recent activities error:', error);
+        return { success: false, data: null, error: error.message };
+    }
+}
+
+// ================================================
+// SECTION 7: DEPARTMENTS CRUD
+// ================================================
+
+/**
+ * Get all active departments
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+async function getAllDepartments() {
+    try {
+        const { data, error } = await getDB()
+            .from('departments')
+            .select('*')
+            .eq('is_active', true)
+            .order('name', { ascending: true });
+
+        if (error) throw error;
+
+        console.log(`✅ Retrieved ${data?.length || 0} departments`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Get departments error:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Get department by ID
+ * @param {string} departmentId - Department UUID
+ * @returns {Promise<{data: Object, error: Error|null}>}
+ */
+async function getDepartmentById(departmentId) {
+    try {
+        if (!departmentId) {
+            throw new Error('Department ID is required');
+        }
+
+        const { data, error } = await getDB()
+            .from('departments')
+            .select('*')
+            .eq('id', departmentId)
+            .single();
+
+        if (error) throw error;
+
+        console.log(`✅ Department retrieved: ${data.name}`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Get department error:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Create new department
+ * @param {Object} departmentData - Department data object
+ * @returns {Promise<{data: Object, error: Error|null}>}
+ */
+async function createDepartment(departmentData) {
+    try {
+        if (!departmentData.name) {
+            throw new Error('Department name is required');
+        }
+
+        const { data, error } = await getDB()
+            .from('departments')
+            .insert([departmentData])
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        console.log(`✅ Department created: ${data.name}`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Create department error:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Update department
+ * @param {string} departmentId - Department UUID
+ * @param {Object} departmentData - Department data to update
+ * @returns {Promise<{data: Object, error: Error|null}>}
+ */
+async function updateDepartment(departmentId, departmentData) {
+    try {
+        if (!departmentId) {
+            throw new Error('Department ID is required');
+        }
+
+        const { data, error } = await getDB()
+            .from('departments')
+            .update(departmentData)
+            .eq('id', departmentId)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        console.log(`✅ Department updated: ${departmentId}`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Update department error:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Delete department
+ * @param {string} departmentId - Department UUID
+ * @returns {Promise<{data: Object, error: Error|null}>}
+ */
+async function deleteDepartment(departmentId) {
+    try {
+        if (!departmentId) {
+            throw new Error('Department ID is required');
+        }
+
+        const { data, error } = await getDB()
+            .from('departments')
+            .delete()
+            .eq('id', departmentId)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        console.log(`🗑️ Department deleted: ${departmentId}`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Delete department error:', error);
+        return { data: null, error };
+    }
+}
+
+// ================================================
+// SECTION 8: DIVISIONS CRUD
+// ================================================
+
+/**
+ * Get all active divisions
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+async function getAllDivisions() {
+    try {
+        const { data, error } = await getDB()
+            .from('divisions')
+            .select('*')
+            .eq('is_active', true)
+            .order('name', { ascending: true });
+
+        if (error) throw error;
+
+        console.log(`✅ Retrieved ${data?.length || 0} divisions`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Get divisions error:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Get division by ID
+ * @param {string} divisionId - Division UUID
+ * @returns {Promise<{data: Object, error: Error|null}>}
+ */
+async function getDivisionById(divisionId) {
+    try {
+        if (!divisionId) {
+            throw new Error('Division ID is required');
+        }
+
+        const { data, error } = await getDB()
+            .from('divisions')
+.select('*')
+            .eq('id', divisionId)
+            .single();
+
+        if (error) throw error;
+
+        console.log(`✅ Division retrieved: ${data.name}`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Get division error:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Create new division
+ * @param {Object} divisionData - Division data object
+ * @returns {Promise<{data: Object, error: Error|null}>}
+ */
+async function createDivision(divisionData) {
+    try {
+        if (!divisionData.name) {
+            throw new Error('Division name is required');
+        }
+
+        const { data, error } = await getDB()
+            .from('divisions')
+            .insert([divisionData])
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        console.log(`✅ Division created: ${data.name}`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Create division error:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Update division
+ * @param {string} divisionId - Division UUID
+ * @param {Object} divisionData - Division data to update
+ * @returns {Promise<{data: Object, error: Error|null}>}
+ */
+async function updateDivision(divisionId, divisionData) {
+    try {
+        if (!divisionId) {
+            throw new Error('Division ID is required');
+        }
+
+        const { data, error } = await getDB()
+            .from('divisions')
+            .update(divisionData)
+            .eq('id', divisionId)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        console.log(`✅ Division updated: ${divisionId}`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Update division error:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Delete division
+ * @param {string} divisionId - Division UUID
+ * @returns {Promise<{data: Object, error: Error|null}>}
+ */
+async function deleteDivision(divisionId) {
+    try {
+        if (!divisionId) {
+            throw new Error('Division ID is required');
+        }
+
+        const { data, error } = await getDB()
+            .from('divisions')
+            .delete()
+            .eq('id', divisionId)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        console.log(`🗑️ Division deleted: ${divisionId}`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Delete division error:', error);
+        return { data: null, error };
+    }
+}
+
+// ================================================
+// SECTION 9: POSITIONS CRUD
+// ================================================
+
+/**
+ * Get all active positions
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+async function getAllPositions() {
+    try {
+        const { data, error } = await getDB()
+            .from('positions')
+            .select('*')
+            .eq('is_active', true)
+            .order('title', { ascending: true });
+
+        if (error) throw error;
+
+        console.log(`✅ Retrieved ${data?.length || 0} positions`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Get positions error:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Get position by ID
+ * @param {string} positionId - Position UUID
+ * @returns {Promise<{data: Object, error: Error|null}>}
+ */
+async function getPositionById(positionId) {
+    try {
+        if (!positionId) {
+            throw new Error('Position ID is required');
+        }
+
+        const { data, error } = await getDB()
+            .from('positions')
+            .select('*')
+            .eq('id', positionId)
+            .single();
+
+        if (error) throw error;
+
+        console.log(`✅ Position retrieved: ${data.title}`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Get position error:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Create new position
+ * @param {Object} positionData - Position data object
+ * @returns {Promise<{data: Object, error: Error|null}>}
+ */
+async function createPosition(positionData) {
+    try {
+        if (!positionData.code) {
+            throw new Error('Position code is required');
+        }
+        if (!positionData.title) {
+            throw new Error('Position title is required');
+        }
+
+        const { data, error } = await getDB()
+            .from('positions')
+            .insert([positionData])
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        console.log(`✅ Position created: ${data.title}`);
+        return { data, error: null };
+
     } catch (error) {
-        console.error('❌ Dashboard stats error:', error);
-        return { success: false, data: null, error: error.message };
+        console.error('❌ Create position error:', error);
+        return { data: null, error };
     }
 }
 
 /**
- * Get recent activities (attendance & leaves)
- * @param {number} limit - Number of records to fetch (default: 10)
- * @returns {Object} { success: boolean, data: {attendances, leaves}, error: string|null }
+ * Update position
+ * @param {string} positionId - Position UUID
+ * @param {Object} positionData - Position data to update
+ * @returns {Promise<{data: Object, error: Error|null}>}
  */
-async function getRecentActivities(limit = 10) {
+async function updatePosition(positionId, positionData) {
     try {
-        const db = getDB();
-        
-        // Recent attendance
-        const { data: attendances, error: attError } = await db
-            .from('attendances')
-            .select(`
-                id,
-                attendance_date,
-                check_in_time,
-                check_out_time,
-                attendance_status,
-                employees!inner(
-                    full_name,
-                    employee_code
-                )
-            `)
-            .order('attendance_date', { ascending: false })
-            .order('check_in_time', { ascending: false })
-            .limit(limit);
-        
-        if (attError) throw attError;
-        
-        // Recent leaves
-        const { data: leaves, error: leaveError } = await db
-            .from('leave_requests')
-            .select(`
-                id,
-                start_date,
-                end_date,
-                leave_type,
-                status,
-                created_at,
-                employees!inner(
-                    full_name,
-                    employee_code
-                )
-            `)
-            .order('created_at', { ascending: false })
-            .limit(limit);
-        
-        if (leaveError) throw leaveError;
-        
-        console.log('✅ Recent activities retrieved');
-        
-        return {
-            success: true,
-            data: {
-                attendances: attendances || [],
-                leaves: leaves || []
-            },
-            error: null
+        if (!positionId) {
+            throw new Error('Position ID is required');
+        }
+
+        const updateData = {
+            ...positionData,
+            updated_at: new Date().toISOString()
         };
         
+        const { data, error } = await getDB()
+            .from('positions')
+            .update(updateData)
+            .eq('id', positionId)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        console.log(`✅ Position updated: ${positionId}`);
+        return { data, error: null };
+
     } catch (error) {
-        console.error('❌ Recent activities error:', error);
-        return { success: false, data: null, error: error.message };
+        console.error('❌ Update position error:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Delete position
+ * @param {string} positionId - Position UUID
+ * @returns {Promise<{data: Object, error: Error|null}>}
+ */
+async function deletePosition(positionId) {
+    try {
+        if (!positionId) {
+            throw new Error('Position ID is required');
+        }
+
+        const { data, error } = await getDB()
+            .from('positions')
+            .delete()
+            .eq('id', positionId)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        console.log(`🗑️ Position deleted: ${positionId}`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Delete position error:', error);
+        return { data: null, error };
     }
 }
 
 // ================================================
-// SECTION 7: DEPARTMENTS CRUD
+// SECTION 10: PTKP CRUD
 // ================================================
 
 /**
- * Get all active departments
+ * Get all active PTKP categories
  * @returns {Promise<{data: Array, error: Error|null}>}
  */
-async function getAllDepartments() {
+async function getAllPTKP() {
     try {
         const { data, error } = await getDB()
-            .from('departments')
+            .from('ptkp_categories')
             .select('*')
             .eq('is_active', true)
-            .order('name', { ascending: true });
+            .order('code', { ascending: true });
 
         if (error) throw error;
 
-        console.log(`✅ Retrieved ${data?.length || 0} departments`);
+        console.log(`✅ Retrieved ${data?.length || 0} PTKP categories`);
         return { data, error: null };
 
     } catch (error) {
-        console.error('❌ Get departments error:', error);
+        console.error('❌ Get PTKP error:', error);
         return { data: null, error };
     }
 }
 
 /**
- * Get department by ID
- * @param {string} departmentId - Department UUID
+ * Get PTKP by ID
+ * @param {string} ptkpId - PTKP UUID
  * @returns {Promise<{data: Object, error: Error|null}>}
  */
-async function getDepartmentById(departmentId) {
+async function getPTKPById(ptkpId) {
     try {
-        if (!departmentId) {
-            throw new Error('Department ID is required');
+        if (!ptkpId) {
+            throw new Error('PTKP ID is required');
         }
 
         const { data, error } = await getDB()
-            .from('departments')
+            .from('ptkp_categories')
             .select('*')
-            .eq('id', departmentId)
+            .eq('id', ptkpId)
             .single();
 
         if (error) throw error;
 
-        console.log(`✅ Department retrieved: ${data.name}`);
+        console.log(`✅ PTKP retrieved: ${data.code}`);
         return { data, error: null };
 
     } catch (error) {
-        console.error('❌ Get department error:', error);
+        console.error('❌ Get PTKP error:', error);
         return { data: null, error };
     }
 }
 
 /**
- * Create new department
- * @param {Object} departmentData - Department data object
+ * Create new PTKP
+ * @param {Object} ptkpData - PTKP data object
  * @returns {Promise<{data: Object, error: Error|null}>}
  */
-async function createDepartment(departmentData) {
+async function createPTKP(ptkpData) {
     try {
-        if (!departmentData.name) {
-            throw new Error('Department name is required');
+        if (!ptkpData.code) {
+            throw new Error('PTKP code is required');
+        }
+        if (!ptkpData.description) {
+            throw new Error('PTKP description is required');
+        }
+        if (!ptkpData.annual_amount) {
+            throw new Error('PTKP annual amount is required');
+        }
+        if (!ptkpData.effective_year) {
+            throw new Error('PTKP effective year is required');
         }
 
         const { data, error } = await getDB()
-            .from('departments')
-            .insert([departmentData])
+            .from('ptkp_categories')
+            .insert([ptkpData])
             .select()
             .single();
 
         if (error) throw error;
 
-        console.log(`✅ Department created: ${data.name}`);
+        console.log(`✅ PTKP created: ${data.code}`);
         return { data, error: null };
 
     } catch (error) {
-        console.error('❌ Create department error:', error);
+        console.error('❌ Create PTKP error:', error);
         return { data: null, error };
     }
 }
 
 /**
- * Update department
- * @param {string} departmentId - Department UUID
- * @param {Object} departmentData - Department data to update
+ * Update PTKP
+ * @param {string} ptkpId - PTKP UUID
+ * @param {Object} ptkpData - PTKP data to update
  * @returns {Promise<{data: Object, error: Error|null}>}
  */
-async function updateDepartment(departmentId, departmentData) {
+async function updatePTKP(ptkpId, ptkpData) {
     try {
-        if (!departmentId) {
-            throw new Error('Department ID is required');
+        if (!ptkpId) {
+            throw new Error('PTKP ID is required');
         }
 
         const { data, error } = await getDB()
-            .from('departments')
-            .update(departmentData)
-            .eq('id', departmentId)
+            .from('ptkp_categories')
+            .update(ptkpData)
+            .eq('id', ptkpId)
             .select()
             .single();
 
         if (error) throw error;
 
-        console.log(`✅ Department updated: ${departmentId}`);
+        console.log(`✅ PTKP updated: ${ptkpId}`);
         return { data, error: null };
 
     } catch (error) {
-        console.error('❌ Update department error:', error);
+        console.error('❌ Update PTKP error:', error);
         return { data: null, error };
     }
 }
 
 /**
- * Delete department
- * @param {string} departmentId - Department UUID
+ * Delete PTKP
+ * @param {string} ptkpId - PTKP UUID
  * @returns {Promise<{data: Object, error: Error|null}>}
  */
-async function deleteDepartment(departmentId) {
+async function deletePTKP(ptkpId) {
     try {
-        if (!departmentId) {
-            throw new Error('Department ID is required');
+        if (!ptkpId) {
+            throw new Error('PTKP ID is required');
         }
 
         const { data, error } = await getDB()
-            .from('departments')
+            .from('ptkp_categories')
             .delete()
-            .eq('id', departmentId)
+            .eq('id', ptkpId)
             .select()
             .single();
 
         if (error) throw error;
 
-        console.log(`🗑️ Department deleted: ${departmentId}`);
+        console.log(`🗑️ PTKP deleted: ${ptkpId}`);
         return { data, error: null };
 
     } catch (error) {
-        console.error('❌ Delete department error:', error);
+        console.error('❌ Delete PTKP error:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Get PTKP by effective year
+ * @param {number} year - Effective year
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+async function getPTKPByYear(year) {
+    try {
+        if (!year) {
+            throw new Error('Year is required');
+        }
+
+        const { data, error } = await getDB()
+            .from('ptkp_categories')
+            .select('*')
+            .eq('is_active', true)
+            .eq('effective_year', year)
+            .order('code', { ascending: true });
+
+        if (error) throw error;
+
+        console.log(`✅ Retrieved ${data?.length || 0} PTKP for year ${year}`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Get PTKP by year error:', error);
         return { data: null, error };
     }
 }
 
 // ================================================
-// SECTION 8: DIVISIONS CRUD
+// SECTION 10.5: BPJS RATES CRUD (Effective-dated)
 // ================================================
 
 /**
- * Get all active divisions
+ * Get all BPJS rate rows (latest effective date first)
+ * @param {string} [program] - Filter by program (kesehatan, jht, jp, jkk, jkm)
  * @returns {Promise<{data: Array, error: Error|null}>}
  */
-async function getAllDivisions() {
+async function getAllBPJSRates(program = null) {
     try {
-        const { data, error } = await getDB()
-            .from('divisions')
+        let query = getDB()
+            .from('bpjs_rates')
             .select('*')
-            .eq('is_active', true)
-            .order('name', { ascending: true });
+            .order('program', { ascending: true })
+            .order('effective_date', { ascending: false });
+
+        if (program) query = query.eq('program', program);
+
+        const { data, error } = await query;
 
         if (error) throw error;
 
-        console.log(`✅ Retrieved ${data?.length || 0} divisions`);
+        console.log(`✅ Retrieved ${data?.length || 0} BPJS rates`);
         return { data, error: null };
 
     } catch (error) {
-        console.error('❌ Get divisions error:', error);
+        console.error('❌ Get BPJS rates error:', error);
         return { data: null, error };
     }
 }
 
 /**
- * Get division by ID
- * @param {string} divisionId - Division UUID
+ * Validate BPJS rate row
+ * Rates are fractions (0.037 = 3.7%); wage_cap is the monthly wage ceiling or null.
+ * @param {Object} rateData - {program, employee_rate, company_rate, wage_cap, risk_class, effective_date}
+ * @throws {Error} On invalid fields
+ */
+function validateBPJSRate(rateData) {
+    const programs = window.PayrollEngine?.BPJS_PROGRAMS || ['kesehatan', 'jht', 'jp', 'jkk', 'jkm'];
+
+    if (!programs.includes(rateData.program)) {
+        throw new Error('BPJS program is required');
+    }
+    if (!rateData.effective_date) {
+        throw new Error('BPJS effective date is required');
+    }
+    ['employee_rate', 'company_rate'].forEach(field => {
+        const rate = Number(rateData[field]);
+        if (isNaN(rate) || rate < 0 || rate >= 1) {
+            throw new Error(`BPJS ${field.replace('_', ' ')} must be between 0% and 100%`);
+        }
+    });
+    if (rateData.wage_cap !== null && rateData.wage_cap !== undefined && Number(rateData.wage_cap) <= 0) {
+        throw new Error('BPJS wage cap must be positive (leave empty for no cap)');
+    }
+    if (rateData.program === 'jkk' && !rateData.risk_class) {
+        throw new Error('JKK risk class is required');
+    }
+}
+
+/**
+ * Create new BPJS rate row
+ * @param {Object} rateData - BPJS rate data object
  * @returns {Promise<{data: Object, error: Error|null}>}
  */
-async function getDivisionById(divisionId) {
+async function createBPJSRate(rateData) {
     try {
-        if (!divisionId) {
-            throw new Error('Division ID is required');
-        }
+        validateBPJSRate(rateData);
 
         const { data, error } = await getDB()
-            .from('divisions')
-.select('*')
-            .eq('id', divisionId)
+            .from('bpjs_rates')
+            .insert([rateData])
+            .select()
             .single();
 
         if (error) throw error;
 
-        console.log(`✅ Division retrieved: ${data.name}`);
+        console.log(`✅ BPJS rate created: ${data.program} from ${data.effective_date}`);
         return { data, error: null };
 
     } catch (error) {
-        console.error('❌ Get division error:', error);
+        console.error('❌ Create BPJS rate error:', error);
         return { data: null, error };
     }
 }
 
 /**
- * Create new division
- * @param {Object} divisionData - Division data object
+ * Update BPJS rate row
+ * @param {string} rateId - BPJS rate UUID
+ * @param {Object} rateData - BPJS rate data to update
  * @returns {Promise<{data: Object, error: Error|null}>}
  */
-async function createDivision(divisionData) {
+async function updateBPJSRate(rateId, rateData) {
     try {
-        if (!divisionData.name) {
-            throw new Error('Division name is required');
+        if (!rateId) {
+            throw new Error('BPJS rate ID is required');
         }
+        validateBPJSRate(rateData);
 
         const { data, error } = await getDB()
-            .from('divisions')
-            .insert([divisionData])
+            .from('bpjs_rates')
+            .update({
+                ...rateData,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', rateId)
             .select()
             .single();
 
         if (error) throw error;
 
-        console.log(`✅ Division created: ${data.name}`);
+        console.log(`✅ BPJS rate updated: ${rateId}`);
         return { data, error: null };
 
     } catch (error) {
-        console.error('❌ Create division error:', error);
+        console.error('❌ Update BPJS rate error:', error);
         return { data: null, error };
     }
 }
 
 /**
- * Update division
- * @param {string} divisionId - Division UUID
- * @param {Object} divisionData - Division data to update
+ * Delete BPJS rate row
+ * @param {string} rateId - BPJS rate UUID
  * @returns {Promise<{data: Object, error: Error|null}>}
  */
-async function updateDivision(divisionId, divisionData) {
+async function deleteBPJSRate(rateId) {
     try {
-        if (!divisionId) {
-            throw new Error('Division ID is required');
+        if (!rateId) {
+            throw new Error('BPJS rate ID is required');
         }
 
         const { data, error } = await getDB()
-            .from('divisions')
-            .update(divisionData)
-            .eq('id', divisionId)
+            .from('bpjs_rates')
+            .delete()
+            .eq('id', rateId)
             .select()
             .single();
 
         if (error) throw error;
 
-        console.log(`✅ Division updated: ${divisionId}`);
+        console.log(`🗑️ BPJS rate deleted: ${rateId}`);
         return { data, error: null };
 
     } catch (error) {
-        console.error('❌ Update division error:', error);
+        console.error('❌ Delete BPJS rate error:', error);
         return { data: null, error };
     }
 }
 
 /**
- * Delete division
- * @param {string} divisionId - Division UUID
- * @returns {Promise<{data: Object, error: Error|null}>}
+ * Get BPJS rules valid for a payroll period
+ * Uses the rates effective on the first day of the period, so re-running a
+ * past period applies the rates of that time.
+ * ⚠️ Requires payroll-engine.js
+ * @param {number} month - Month (1-12)
+ * @param {number} year - Year (e.g., 2025)
+ * @returns {Promise<{data: Object, error: Error|null}>} data: PayrollEngine BPJS rules keyed by program
  */
-async function deleteDivision(divisionId) {
+async function getBPJSRulesForPeriod(month, year) {
     try {
-        if (!divisionId) {
-            throw new Error('Division ID is required');
-        }
+        const periodStart = `${year}-${String(month).padStart(2, '0')}-01`;
 
         const { data, error } = await getDB()
-            .from('divisions')
-            .delete()
-            .eq('id', divisionId)
-            .select()
-            .single();
+            .from('bpjs_rates')
+            .select('*')
+            .lte('effective_date', periodStart);
 
         if (error) throw error;
 
-        console.log(`🗑️ Division deleted: ${divisionId}`);
-        return { data, error: null };
+        return { data: window.PayrollEngine.resolveBPJSRules(data, periodStart), error: null };
 
     } catch (error) {
-        console.error('❌ Delete division error:', error);
+        console.error('❌ Get BPJS rules error:', error);
         return { data: null, error };
     }
 }
 
 // ================================================
-// SECTION 9: POSITIONS CRUD
+// SECTION 10.6: ATTENDANCE GEOFENCES CRUD
 // ================================================
 
+const GEOFENCE_SITE_TYPES = ['Office', 'Bistro'];
+
 /**
- * Get all active positions
+ * Get attendance geofences (office and bistro outlets)
+ * @param {string} [siteType] - Filter by site type (Office, Bistro)
+ * @param {boolean} [includeInactive=false] - Include deactivated geofences
  * @returns {Promise<{data: Array, error: Error|null}>}
  */
-async function getAllPositions() {
+async function getAllGeofences(siteType = null, includeInactive = false) {
     try {
-        const { data, error } = await getDB()
-            .from('positions')
+        let query = getDB()
+            .from('attendance_geofences')
             .select('*')
-            .eq('is_active', true)
-            .order('title', { ascending: true });
+            .order('site_type', { ascending: true })
+            .order('site_name', { ascending: true });
+
+        if (siteType) query = query.eq('site_type', siteType);
+        if (!includeInactive) query = query.eq('is_active', true);
+
+        const { data, error } = await query;
 
         if (error) throw error;
 
-        console.log(`✅ Retrieved ${data?.length || 0} positions`);
+        console.log(`✅ Retrieved ${data?.length || 0} geofences`);
         return { data, error: null };
 
     } catch (error) {
-        console.error('❌ Get positions error:', error);
+        console.error('❌ Get geofences error:', error);
         return { data: null, error };
     }
 }
 
 /**
- * Get position by ID
- * @param {string} positionId - Position UUID
- * @returns {Promise<{data: Object, error: Error|null}>}
+ * Validate geofence row
+ * @param {Object} geofenceData - {site_name, site_type, latitude, longitude, radius_meters}
+ * @throws {Error} On invalid fields
  */
-async function getPositionById(positionId) {
-    try {
-        if (!positionId) {
-            throw new Error('Position ID is required');
-        }
-
-        const { data, error } = await getDB()
-            .from('positions')
-            .select('*')
-            .eq('id', positionId)
-            .single();
-
-        if (error) throw error;
-
-        console.log(`✅ Position retrieved: ${data.title}`);
-        return { data, error: null };
+function validateGeofence(geofenceData) {
+    if (!geofenceData.site_name || !String(geofenceData.site_name).trim()) {
+        throw new Error('Site name is required');
+    }
+    if (!GEOFENCE_SITE_TYPES.includes(geofenceData.site_type)) {
+        throw new Error('Site type must be Office or Bistro');
+    }
 
-    } catch (error) {
-        console.error('❌ Get position error:', error);
-        return { data: null, error };
+    const lat = Number(geofenceData.latitude);
+    const lng = Number(geofenceData.longitude);
+    if (geofenceData.latitude === '' || isNaN(lat) || lat < -90 || lat > 90) {
+        throw new Error('Latitude must be between -90 and 90');
+    }
+    if (geofenceData.longitude === '' || isNaN(lng) || lng < -180 || lng > 180) {
+        throw new Error('Longitude must be between -180 and 180');
+    }
+    if (!(Number(geofenceData.radius_meters) > 0)) {
+        throw new Error('Radius must be greater than 0 meters');
     }
 }
 
 /**
- * Create new position
- * @param {Object} positionData - Position data object
+ * Create new geofence
+ * @param {Object} geofenceData - Geofence data object
  * @returns {Promise<{data: Object, error: Error|null}>}
  */
-async function createPosition(positionData) {
+async function createGeofence(geofenceData) {
     try {
-        if (!positionData.code) {
-            throw new Error('Position code is required');
-        }
-        if (!positionData.title) {
-            throw new Error('Position title is required');
-        }
+        validateGeofence(geofenceData);
 
         const { data, error } = await getDB()
-            .from('positions')
-            .insert([positionData])
+            .from('attendance_geofences')
+            .insert([{ ...geofenceData, is_active: true }])
             .select()
             .single();
 
         if (error) throw error;
 
-        console.log(`✅ Position created: ${data.title}`);
+        console.log(`✅ Geofence created: ${data.site_name}`);
         return { data, error: null };
 
     } catch (error) {
-        console.error('❌ Create position error:', error);
+        console.error('❌ Create geofence error:', error);
         return { data: null, error };
     }
 }
 
 /**
- * Update position
- * @param {string} positionId - Position UUID
- * @param {Object} positionData - Position data to update
+ * Update geofence
+ * @param {string} geofenceId - Geofence UUID
+ * @param {Object} geofenceData - Geofence data to update
  * @returns {Promise<{data: Object, error: Error|null}>}
  */
-async function updatePosition(positionId, positionData) {
+async function updateGeofence(geofenceId, geofenceData) {
     try {
-        if (!positionId) {
-            throw new Error('Position ID is required');
+        if (!geofenceId) {
+            throw new Error('Geofence ID is required');
         }
+        validateGeofence(geofenceData);
 
-        const updateData = {
-            ...positionData,
-            updated_at: new Date().toISOString()
-        };
-        
         const { data, error } = await getDB()
-            .from('positions')
-            .update(updateData)
-            .eq('id', positionId)
+            .from('attendance_geofences')
+            .update({
+                ...geofenceData,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', geofenceId)
             .select()
             .single();
 
         if (error) throw error;
 
-        console.log(`✅ Position updated: ${positionId}`);
+        console.log(`✅ Geofence updated: ${geofenceId}`);
         return { data, error: null };
 
     } catch (error) {
-        console.error('❌ Update position error:', error);
+        console.error('❌ Update geofence error:', error);
         return { data: null, error };
     }
 }
 
 /**
- * Delete position
- * @param {string} positionId - Position UUID
+ * Deactivate geofence (soft delete - punches keep their geofence reference)
+ * @param {string} geofenceId - Geofence UUID
  * @returns {Promise<{data: Object, error: Error|null}>}
  */
-async function deletePosition(positionId) {
+async function deleteGeofence(geofenceId) {
     try {
-        if (!positionId) {
-            throw new Error('Position ID is required');
+        if (!geofenceId) {
+            throw new Error('Geofence ID is required');
         }
 
         const { data, error } = await getDB()
-            .from('positions')
-            .delete()
-            .eq('id', positionId)
+            .from('attendance_geofences')
+            .update({ is_active: false, updated_at: new Date().toISOString() })
+            .eq('id', geofenceId)
             .select()
             .single();
 
         if (error) throw error;
 
-        console.log(`🗑️ Position deleted: ${positionId}`);
+        console.log(`🗑️ Geofence deactivated: ${geofenceId}`);
         return { data, error: null };
 
     } catch (error) {
-        console.error('❌ Delete position error:', error);
+        console.error('❌ Delete geofence error:', error);
         return { data: null, error };
     }
 }
 
 // ================================================
-// SECTION 10: PTKP CRUD
+// SECTION 10.7: HOLIDAY CALENDAR CRUD
 // ================================================
 
+const HOLIDAY_TYPE_KEYS = ['national', 'regional', 'company', 'cuti_bersama'];
+
 /**
- * Get all active PTKP categories
+ * Get holidays (national, regional, company and cuti bersama)
+ * @param {Object} [filters] - {year, from, to (YYYY-MM-DD), site: 'Office'|'Bistro'}
  * @returns {Promise<{data: Array, error: Error|null}>}
  */
-async function getAllPTKP() {
+async function getAllHolidays(filters = {}) {
     try {
-        const { data, error } = await getDB()
-            .from('ptkp_categories')
+        let query = getDB()
+            .from('holidays')
             .select('*')
-            .eq('is_active', true)
-            .order('code', { ascending: true });
+            .order('holiday_date', { ascending: true });
+
+        if (filters.year) {
+            query = query.gte('holiday_date', `${filters.year}-01-01`).lte('holiday_date', `${filters.year}-12-31`);
+        }
+        if (filters.from) query = query.gte('holiday_date', filters.from);
+        if (filters.to) query = query.lte('holiday_date', filters.to);
+
+        // Holidays without a site apply to both Office and Bistro
+        if (filters.site) query = query.or(`site.is.null,site.eq.${filters.site}`);
+
+        const { data, error } = await query;
 
         if (error) throw error;
 
-        console.log(`✅ Retrieved ${data?.length || 0} PTKP categories`);
+        console.log(`✅ Retrieved ${data?.length || 0} holidays`);
         return { data, error: null };
 
     } catch (error) {
-        console.error('❌ Get PTKP error:', error);
+        console.error('❌ Get holidays error:', error);
         return { data: null, error };
     }
 }
 
 /**
- * Get PTKP by ID
- * @param {string} ptkpId - PTKP UUID
- * @returns {Promise<{data: Object, error: Error|null}>}
+ * Holiday lookup index for a date range
+ * ⚠️ Requires holiday-calendar.js
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @param {string} [site] - Office or Bistro
+ * @returns {Promise<{data: Map, error: Error|null}>}
  */
-async function getPTKPById(ptkpId) {
-    try {
-        if (!ptkpId) {
-            throw new Error('PTKP ID is required');
-        }
-
-        const { data, error } = await getDB()
-            .from('ptkp_categories')
-            .select('*')
-            .eq('id', ptkpId)
-            .single();
+async function getHolidayIndex(from, to, site = null) {
+    if (typeof window.HolidayCalendar === 'undefined') {
+        return { data: null, error: new Error('HolidayCalendar not loaded. Include js/holiday-calendar.js') };
+    }
 
-        if (error) throw error;
+    const { data, error } = await getAllHolidays({ from, to, site });
+    if (error) return { data: null, error };
 
-        console.log(`✅ PTKP retrieved: ${data.code}`);
-        return { data, error: null };
+    return { data: window.HolidayCalendar.buildHolidayIndex(data, { site }), error: null };
+}
 
-    } catch (error) {
-        console.error('❌ Get PTKP error:', error);
-        return { data: null, error };
+/**
+ * Validate holiday row
+ * @param {Object} holidayData - {holiday_date, name, holiday_type, site, region, is_leave_deductible}
+ * @throws {Error} On invalid fields
+ */
+function validateHoliday(holidayData) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(holidayData.holiday_date || '')) {
+        throw new Error('Holiday date is required');
+    }
+    if (!holidayData.name || !String(holidayData.name).trim()) {
+        throw new Error('Holiday name is required');
+    }
+    if (!HOLIDAY_TYPE_KEYS.includes(holidayData.holiday_type)) {
+        throw new Error('Holiday type must be national, regional, company or cuti_bersama');
+    }
+    if (holidayData.site && !GEOFENCE_SITE_TYPES.includes(holidayData.site)) {
+        throw new Error('Site must be Office, Bistro or empty for all sites');
+    }
+    if (holidayData.is_leave_deductible && holidayData.holiday_type !== 'cuti_bersama') {
+        throw new Error('Only cuti bersama can be deducted from annual leave');
     }
 }
 
 /**
- * Create new PTKP
- * @param {Object} ptkpData - PTKP data object
+ * Normalize a holiday row before saving
+ * @param {Object} holidayData - Raw form / import data
+ * @returns {Object}
+ */
+function toHolidayRow(holidayData) {
+    return {
+        holiday_date: holidayData.holiday_date,
+        name: String(holidayData.name).trim(),
+        holiday_type: holidayData.holiday_type,
+        site: holidayData.site || null,
+        region: holidayData.region ? String(holidayData.region).trim() : null,
+        is_leave_deductible: holidayData.holiday_type === 'cuti_bersama' && !!holidayData.is_leave_deductible,
+        source: holidayData.source || 'manual',
+        external_uid: holidayData.external_uid || null
+    };
+}
+
+/**
+ * Create new holiday
+ * @param {Object} holidayData - Holiday data object
  * @returns {Promise<{data: Object, error: Error|null}>}
  */
-async function createPTKP(ptkpData) {
+async function createHoliday(holidayData) {
     try {
-        if (!ptkpData.code) {
-            throw new Error('PTKP code is required');
-        }
-        if (!ptkpData.description) {
-            throw new Error('PTKP description is required');
-        }
-        if (!ptkpData.annual_amount) {
-            throw new Error('PTKP annual amount is required');
-        }
-        if (!ptkpData.effective_year) {
-            throw new Error('PTKP effective year is required');
-        }
+        validateHoliday(holidayData);
 
         const { data, error } = await getDB()
-            .from('ptkp_categories')
-            .insert([ptkpData])
+            .from('holidays')
+            .insert([toHolidayRow(holidayData)])
             .select()
             .single();
 
         if (error) throw error;
 
-        console.log(`✅ PTKP created: ${data.code}`);
+        console.log(`✅ Holiday created: ${data.holiday_date} ${data.name}`);
         return { data, error: null };
 
     } catch (error) {
-        console.error('❌ Create PTKP error:', error);
+        console.error('❌ Create holiday error:', error);
         return { data: null, error };
     }
 }
 
 /**
- * Update PTKP
- * @param {string} ptkpId - PTKP UUID
- * @param {Object} ptkpData - PTKP data to update
+ * Update holiday
+ * @param {string} holidayId - Holiday UUID
+ * @param {Object} holidayData - Holiday data to update
  * @returns {Promise<{data: Object, error: Error|null}>}
  */
-async function updatePTKP(ptkpId, ptkpData) {
+async function updateHoliday(holidayId, holidayData) {
     try {
-        if (!ptkpId) {
-            throw new Error('PTKP ID is required');
+        if (!holidayId) {
+            throw new Error('Holiday ID is required');
         }
+        validateHoliday(holidayData);
 
         const { data, error } = await getDB()
-            .from('ptkp_categories')
-            .update(ptkpData)
-            .eq('id', ptkpId)
+            .from('holidays')
+            .update({
+                ...toHolidayRow(holidayData),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', holidayId)
             .select()
             .single();
 
         if (error) throw error;
 
-        console.log(`✅ PTKP updated: ${ptkpId}`);
+        console.log(`✅ Holiday updated: ${holidayId}`);
         return { data, error: null };
 
     } catch (error) {
-        console.error('❌ Update PTKP error:', error);
+        console.error('❌ Update holiday error:', error);
         return { data: null, error };
     }
 }
 
 /**
- * Delete PTKP
- * @param {string} ptkpId - PTKP UUID
+ * Delete holiday
+ * @param {string} holidayId - Holiday UUID
  * @returns {Promise<{data: Object, error: Error|null}>}
  */
-async function deletePTKP(ptkpId) {
+async function deleteHoliday(holidayId) {
     try {
-        if (!ptkpId) {
-            throw new Error('PTKP ID is required');
+        if (!holidayId) {
+            throw new Error('Holiday ID is required');
         }
 
         const { data, error } = await getDB()
-            .from('ptkp_categories')
+            .from('holidays')
             .delete()
-            .eq('id', ptkpId)
+            .eq('id', holidayId)
             .select()
             .single();
 
         if (error) throw error;
 
-        console.log(`🗑️ PTKP deleted: ${ptkpId}`);
+        console.log(`🗑️ Holiday deleted: ${holidayId}`);
         return { data, error: null };
 
     } catch (error) {
-        console.error('❌ Delete PTKP error:', error);
+        console.error('❌ Delete holiday error:', error);
         return { data: null, error };
     }
 }
 
 /**
- * Get PTKP by effective year
- * @param {number} year - Effective year
- * @returns {Promise<{data: Array, error: Error|null}>}
+ * Import holidays parsed from an ICS file (HolidayCalendar.parseICS)
+ * A holiday already on the calendar (same date and name) is kept as is.
+ * @param {Array} holidays - Holiday rows
+ * @param {Object} [options] - {site, region} applied to every row
+ * @returns {Promise<{data: {total, imported, duplicates}, error: Error|null}>}
  */
-async function getPTKPByYear(year) {
+async function importHolidays(holidays, options = {}) {
     try {
-        if (!year) {
-            throw new Error('Year is required');
+        const rows = (holidays || []).map(holiday => toHolidayRow({
+            ...holiday,
+            site: options.site || holiday.site,
+            region: options.region || holiday.region
+        }));
+        if (rows.length === 0) {
+            throw new Error('No holidays to import');
         }
+        rows.forEach(validateHoliday);
 
         const { data, error } = await getDB()
-            .from('ptkp_categories')
-            .select('*')
-            .eq('is_active', true)
-            .eq('effective_year', year)
-            .order('code', { ascending: true });
+            .from('holidays')
+            .upsert(rows, { onConflict: 'holiday_date,name', ignoreDuplicates: true })
+            .select();
+
+        if (error) throw error;
+
+        const result = {
+            total: rows.length,
+            imported: data?.length || 0,
+            duplicates: rows.length - (data?.length || 0)
+        };
+        console.log(`✅ Holidays imported: ${result.imported}/${result.total}`);
+        return { data: result, error: null };
+
+    } catch (error) {
+        console.error('❌ Import holidays error:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Working days a leave consumes for an employee (weekends and holidays excluded)
+ * ⚠️ Requires holiday-calendar.js
+ * @param {string} employeeId - Employee UUID
+ * @param {string} startDate - First leave date (YYYY-MM-DD)
+ * @param {string} endDate - Last leave date (YYYY-MM-DD)
+ * @returns {Promise<{data: Object, error: Error|null}>} HolidayCalendar.countLeaveDays result
+ */
+async function countLeaveWorkingDays(employeeId, startDate, endDate) {
+    try {
+        if (typeof window.HolidayCalendar === 'undefined') {
+            throw new Error('HolidayCalendar not loaded. Include js/holiday-calendar.js');
+        }
 
-        if (error) throw error;
+        const { data: employee, error: employeeError } = await getDB()
+            .from('employees')
+            .select('work_site')
+            .eq('id', employeeId)
+            .single();
+        if (employeeError) throw employeeError;
 
-        console.log(`✅ Retrieved ${data?.length || 0} PTKP for year ${year}`);
+        const [indexResult, scheduleResult] = await Promise.all([
+            getHolidayIndex(startDate, endDate, employee.work_site),
+            getEmployeeWorkSchedule(employeeId)
+        ]);
+        if (indexResult.error) throw indexResult.error;
+
+        // Work days from the employee's schedule (Bistro rosters work weekends)
+        const workDays = (scheduleResult.data?.shifts || [])
+            .filter(shift => !shift.is_off_day && shift.start_time && shift.end_time)
+            .map(shift => Number(shift.day_of_week));
+
+        const dates = window.HolidayCalendar.expandDateRange(startDate, endDate);
+        const data = window.HolidayCalendar.countLeaveDays(dates, {
+            index: indexResult.data,
+            work_days: workDays.length ? workDays : undefined
+        });
         return { data, error: null };
 
     } catch (error) {
-        console.error('❌ Get PTKP by year error:', error);
+        console.error('❌ Count leave days error:', error);
         return { data: null, error };
     }
 }
@@ -1237,6 +4301,9 @@ async function createEmployee(employeeData) {
             bank_name: employeeData.bank_name,
             bank_account_number: employeeData.bank_account_number,
             bank_account_name: employeeData.bank_account_name,
+            work_site: employeeData.work_site,
+            work_schedule_template_id: employeeData.work_schedule_template_id,
+            supervisor_id: employeeData.supervisor_id || null,
             employment_status: employeeData.employment_status,
             ptkp_id: employeeData.ptkp_id,
             join_date: employeeData.join_date,
@@ -1590,6 +4657,645 @@ async function getEmployeeCompleteData(employeeId) {
     }
 }
 
+// ================================================
+// SECTION 15: RECRUITMENT INTERVIEW SCORECARDS
+// ================================================
+// interview_criteria: position_name (null = all positions), stage (null = both interviews), name,
+// description, weight, sort_order, is_active.
+// interview_scorecards: candidate_id (recruitment_tracker), stage, interviewer_name, interviewer_id,
+// interview_date, ratings [{criterion_id, name, weight, rating, comment}], overall_score,
+// recommendation, comments, created_at.
+// recruitment_tracker keeps the aggregate: interview_score, interview_count.
+
+/**
+ * Fail when interview-scorecard.js is missing
+ * @returns {Object} InterviewScorecard module
+ */
+function requireInterviewScorecard() {
+    if (typeof window.InterviewScorecard === 'undefined') {
+        throw new Error('InterviewScorecard not loaded. Include js/interview-scorecard.js');
+    }
+    return window.InterviewScorecard;
+}
+
+/**
+ * Get interview competency criteria
+ * @param {boolean} [includeInactive=false] - Include deactivated criteria
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+async function getInterviewCriteria(includeInactive = false) {
+    try {
+        let query = getDB()
+            .from('interview_criteria')
+            .select('*')
+            .order('position_name', { ascending: true, nullsFirst: true })
+            .order('sort_order', { ascending: true });
+
+        if (!includeInactive) query = query.eq('is_active', true);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+
+        console.log(`✅ Retrieved ${data?.length || 0} interview criteria`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Get interview criteria error:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Create or update an interview criterion
+ * @param {Object} criterion - {id?, position_name, stage, name, description, weight, sort_order}
+ * @returns {Promise<{data: Object, error: Error|null}>}
+ */
+async function saveInterviewCriterion(criterion) {
+    try {
+        const errors = requireInterviewScorecard().validateCriterion(criterion);
+        if (errors.length) throw new Error(errors.join(', '));
+
+        const row = {
+            position_name: String(criterion.position_name || '').trim() || null,
+            stage: criterion.stage || null,
+            name: criterion.name.trim(),
+            description: criterion.description || null,
+            weight: Number(criterion.weight),
+            sort_order: Number(criterion.sort_order) || 0,
+            is_active: criterion.is_active !== false
+        };
+
+        const query = criterion.id
+            ? getDB().from('interview_criteria').update(row).eq('id', criterion.id)
+            : getDB().from('interview_criteria').insert([row]);
+        const { data, error } = await query.select().single();
+
+        if (error) throw error;
+
+        console.log(`✅ Interview criterion saved: ${data.name}`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Save interview criterion error:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Deactivate an interview criterion (submitted scorecards keep their ratings)
+ * @param {string} criterionId - Criterion UUID
+ * @returns {Promise<{data: Object, error: Error|null}>}
+ */
+async function deleteInterviewCriterion(criterionId) {
+    try {
+        if (!criterionId) {
+            throw new Error('Criterion ID is required');
+        }
+
+        const { data, error } = await getDB()
+            .from('interview_criteria')
+            .update({ is_active: false })
+            .eq('id', criterionId)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        console.log(`🗑️ Interview criterion deactivated: ${criterionId}`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Delete interview criterion error:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Get interview scorecards, newest interview first
+ * @param {string} [candidateId] - Only this candidate (recruitment_tracker UUID)
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+async function getInterviewScorecards(candidateId = null) {
+    try {
+        let query = getDB()
+            .from('interview_scorecards')
+            .select(`
+                *,
+                recruitment_tracker:candidate_id (id, candidate_name, position_applied, current_stage)
+            `)
+            .order('interview_date', { ascending: false })
+            .order('created_at', { ascending: false });
+
+        if (candidateId) query = query.eq('candidate_id', candidateId);
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+
+        console.log(`✅ Retrieved ${data?.length || 0} interview scorecards`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Get interview scorecards error:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Submit an interview scorecard, then update the candidate's aggregate score and move the
+ * candidate to the stage the interviewers' recommendations lead to
+ * @param {Object} scorecard - {candidate_id, stage, interviewer_name, interview_date, ratings, recommendation, comments}
+ * @returns {Promise<{data: {scorecard, candidate, summary}, error: Error|null}>}
+ */
+async function submitInterviewScorecard(scorecard) {
+    try {
+        const interview = requireInterviewScorecard();
+        const errors = interview.validateScorecard(scorecard);
+        if (errors.length) throw new Error(errors.join(', '));
+
+        const db = getDB();
+        const session = await checkAuth();
+
+        const ratings = scorecard.ratings.map(item => ({
+            criterion_id: item.criterion_id || null,
+            name: item.name,
+            weight: Number(item.weight) || 1,
+            rating: Number(item.rating),
+            comment: item.comment || null
+        }));
+
+        const { data: saved, error: saveError } = await db
+            .from('interview_scorecards')
+            .insert([{
+                candidate_id: scorecard.candidate_id,
+                stage: scorecard.stage,
+                interviewer_name: scorecard.interviewer_name.trim(),
+                interviewer_id: session?.user?.id || null,
+                interview_date: scorecard.interview_date || new Date().toISOString().split('T')[0],
+                ratings,
+                overall_score: interview.computeScore(ratings),
+                recommendation: scorecard.recommendation,
+                comments: scorecard.comments || null
+            }])
+            .select()
+            .single();
+
+        if (saveError) throw saveError;
+
+        const [candidateResult, scorecardsResult] = await Promise.all([
+            db.from('recruitment_tracker').select('*').eq('id', scorecard.candidate_id).single(),
+            db.from('interview_scorecards').select('stage, overall_score, recommendation').eq('candidate_id', scorecard.candidate_id)
+        ]);
+        if (candidateResult.error) throw candidateResult.error;
+        if (scorecardsResult.error) throw scorecardsResult.error;
+
+        const summary = interview.summarizeScorecards(scorecardsResult.data);
+        const stageChange = interview.getCandidateUpdate(
+            candidateResult.data,
+            scorecard.stage,
+            summary.stages[scorecard.stage]?.outcome
+        );
+
+        const { data: candidate, error: updateError } = await db
+            .from('recruitment_tracker')
+            .update({
+                ...stageChange,
+                interview_score: summary.score,
+                interview_count: summary.count,
+                updated_at: new Date().toISOString(),
+                updated_by: session?.user?.id || null
+            })
+            .eq('id', scorecard.candidate_id)
+            .select()
+            .single();
+
+        if (updateError) throw updateError;
+
+        console.log(`✅ Scorecard submitted: ${candidate.candidate_name} (${scorecard.stage}, ${saved.overall_score})`);
+        return { data: { scorecard: saved, candidate, summary }, error: null };
+
+    } catch (error) {
+        console.error('❌ Submit interview scorecard error:', error);
+        return { data: null, error };
+    }
+}
+
+// ================================================
+// SECTION 16: CONTRACT DOCUMENTS (Generator)
+// ================================================
+// Generated contracts are contract_history rows with: candidate_id (recruitment_tracker, while
+// the candidate is not yet an employee; employee_id is then null), work_site, template_key and
+// document_data (contract input and company snapshot, used to reprint the same document).
+// contract_number should be unique; a clash from a concurrent save takes the next number.
+
+/**
+ * Fail when contract-documents.js is missing
+ * @returns {Object} ContractDocuments module
+ */
+function requireContractDocuments() {
+    if (typeof window.ContractDocuments === 'undefined') {
+        throw new Error('ContractDocuments not loaded. Include js/payroll-documents.js and js/contract-documents.js');
+    }
+    return window.ContractDocuments;
+}
+
+/**
+ * Get the next contract number of a contract type and work site
+ * @param {Object} options - {contract_type: 'PKWT'|'PKWTT', work_site: 'Office'|'Bistro', date: YYYY-MM-DD}
+ * @returns {Promise<{data: string, error: Error|null}>}
+ */
+async function getNextContractNumber({ contract_type, work_site, date }) {
+    try {
+        const documents = requireContractDocuments();
+        const options = {
+            contract_type,
+            work_site,
+            date: date || new Date().toISOString().split('T')[0]
+        };
+        const siteCode = documents.SITE_CODES[work_site] || documents.SITE_CODES.Office;
+
+        const { data, error } = await getDB()
+            .from('contract_history')
+            .select('contract_number')
+            .like('contract_number', `%/${contract_type}/${siteCode}/HRD/%/${options.date.slice(0, 4)}`);
+
+        if (error) throw error;
+
+        const sequence = documents.getNextSequence((data || []).map(row => row.contract_number), options);
+        return { data: documents.formatContractNumber(sequence, options), error: null };
+
+    } catch (error) {
+        console.error('❌ Get next contract number error:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Number a generated contract and save it into contract_history
+ * @param {Object} contract - Contract input (see ContractDocuments.validateContract)
+ * @returns {Promise<{data: Object, error: Error|null}>} Saved contract_history row
+ */
+async function saveGeneratedContract(contract) {
+    try {
+        const documents = requireContractDocuments();
+        const errors = documents.validateContract(contract);
+        if (errors.length) throw new Error(errors.join(', '));
+
+        const session = await checkAuth();
+        const { data: company } = await getCompanySettings();
+        const signDate = contract.sign_date || new Date().toISOString().split('T')[0];
+
+        for (let attempt = 1; attempt <= 3; attempt++) {
+            const { data: contractNumber, error: numberError } = await getNextContractNumber({
+                contract_type: contract.contract_type,
+                work_site: contract.work_site,
+                date: signDate
+            });
+            if (numberError) throw numberError;
+
+            const documentData = {
+                ...contract,
+                contract_number: contractNumber,
+                sign_date: signDate,
+                company: company
+                    ? {
+                        company_name: company.company_name,
+                        address: company.address,
+                        phone: company.phone,
+                        email: company.email,
+                        logo_url: company.logo_url
+                    }
+                    : {}
+            };
+
+            const { data, error } = await getDB()
+                .from('contract_history')
+                .insert([{
+                    employee_id: contract.employee_id || null,
+                    candidate_id: contract.candidate_id || null,
+                    contract_number: contractNumber,
+                    contract_type: documents.CONTRACT_TYPES[contract.contract_type].history_type,
+                    start_date: contract.start_date,
+                    end_date: contract.contract_type === 'PKWT' ? contract.end_date : null,
+                    salary: Number(contract.salary),
+                    position_at_time: contract.position,
+                    notes: contract.notes || null,
+                    work_site: contract.work_site,
+                    template_key: documents.getTemplateKey(contract.work_site, contract.contract_type),
+                    document_data: documentData,
+                    created_by: session?.user?.id || null
+                }])
+                .select()
+                .single();
+
+            // Unique violation: another contract took this number meanwhile
+            if (error?.code === '23505' && attempt < 3) continue;
+            if (error) throw error;
+
+            console.log(`✅ Contract generated: ${contractNumber}`);
+            return { data, error: null };
+        }
+
+    } catch (error) {
+        console.error('❌ Save generated contract error:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Get contracts made with the generator, newest first
+ * @param {number} [limit=100] - Maximum rows
+ * @returns {Promise<{data: Array, error: Error|null}>}
+ */
+async function getGeneratedContracts(limit = 100) {
+    try {
+        const { data, error } = await getDB()
+            .from('contract_history')
+            .select(`
+                *,
+                employees:employee_id (id, full_name, employee_code),
+                recruitment_tracker:candidate_id (id, candidate_name, position_applied)
+            `)
+            .not('template_key', 'is', null)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+
+        console.log(`✅ Retrieved ${data?.length || 0} generated contracts`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Get generated contracts error:', error);
+        return { data: null, error };
+    }
+}
+
+// ================================================
+// SECTION 17: CANDIDATE HIRE
+// ================================================
+// recruitment_tracker.employee_id links a hired candidate to the employee created from it; a
+// candidate with an employee_id cannot be hired again. recruitment_tracker.mpp_id links the
+// candidate to the manpower_planning line it fills (whose headcount is counted from employees).
+
+/**
+ * Fail when candidate-hire.js is missing
+ * @returns {Object} CandidateHire module
+ */
+function requireCandidateHire() {
+    if (typeof window.CandidateHire === 'undefined') {
+        throw new Error('CandidateHire not loaded. Include js/candidate-hire.js');
+    }
+    return window.CandidateHire;
+}
+
+/**
+ * Get the next employee code of a department (department code + running number)
+ * @param {string|null} departmentId - Department UUID (null gives an EMP code)
+ * @returns {Promise<{data: string, error: Error|null}>} e.g., "FIN004"
+ */
+async function getNextEmployeeCode(departmentId) {
+    try {
+        const hire = requireCandidateHire();
+
+        let prefix = hire.DEFAULT_CODE_PREFIX;
+        if (departmentId) {
+            const { data: department, error: deptError } = await getDB()
+                .from('departments')
+                .select('name, code')
+                .eq('id', departmentId)
+                .single();
+            if (deptError) throw deptError;
+            prefix = department?.code || hire.getCodePrefix(department?.name);
+        }
+
+        const { data, error } = await getDB()
+            .from('employees')
+            .select('employee_code')
+            .ilike('employee_code', `${prefix}%`);
+
+        if (error) throw error;
+
+        const code = hire.generateEmployeeCode(prefix, (data || []).map(row => row.employee_code));
+        return { data: code, error: null };
+
+    } catch (error) {
+        console.error('❌ Get next employee code error:', error);
+        return { data: null, error };
+    }
+}
+
+/**
+ * Hire a recruitment candidate: create the employee, link the candidate to it and to the manpower
+ * plan line it fills, and give the employee its first contract. Once the employee exists, a failed
+ * link or contract is returned as a warning instead of an error.
+ * @param {string} candidateId - recruitment_tracker UUID
+ * @param {Object} details - {join_date, work_site, employee_code?, nik, birth_place, birth_date, gender,
+ *                            address, contract: {contract_type, end_date, probation_months, salary,
+ *                            signatory_name, signatory_title, sign_place, sign_date, notes} | null}
+ * @returns {Promise<{data: {employee, candidate, contract, mpp, warnings}, error: Error|null}>}
+ */
+async function hireCandidate(candidateId, details) {
+    try {
+        const hire = requireCandidateHire();
+
+        const { data: candidate, error: candidateError } = await getDB()
+            .from('recruitment_tracker')
+            .select('*')
+            .eq('id', candidateId)
+            .single();
+        if (candidateError) throw candidateError;
+
+        const errors = hire.validateHire(candidate, details);
+        if (errors.length) throw new Error(errors.join(', '));
+
+        const session = await checkAuth();
+        const userId = session?.user?.id || null;
+        const warnings = [];
+
+        // 1. Employee (a clash on a generated code takes the next one)
+        let employee = null;
+        for (let attempt = 1; attempt <= 3 && !employee; attempt++) {
+            let employeeCode = details.employee_code;
+            if (!employeeCode) {
+                const { data: nextCode, error: codeError } = await getNextEmployeeCode(candidate.department_id);
+                if (codeError) throw codeError;
+                employeeCode = nextCode;
+            }
+
+            const { data, error } = await createEmployee(hire.buildEmployee(candidate, {
+                ...details,
+                employee_code: employeeCode,
+                contract_type: details.contract?.contract_type
+            }));
+
+            if (error?.code === '23505' && !details.employee_code && attempt < 3) continue;
+            if (error) throw error;
+            employee = data;
+        }
+
+        // 2. Manpower plan line: the one picked on the tracker, else the best match
+        let mpp = null;
+        let planQuery = getDB()
+            .from('manpower_planning')
+            .select('*')
+            .neq('status', 'rejected');
+        planQuery = candidate.department_id
+            ? planQuery.eq('department_id', candidate.department_id)
+            : planQuery.is('department_id', null);
+
+        const { data: plans, error: planError } = await planQuery;
+        if (planError) {
+            warnings.push(`Manpower plan lookup failed: ${planError.message}`);
+        } else {
+            mpp = (plans || []).find(plan => plan.id === candidate.mpp_id) ||
+                hire.findManpowerPlan(plans, candidate, details.join_date);
+            if (!mpp) warnings.push(`No manpower plan for ${candidate.position_applied || 'this position'}`);
+        }
+
+        // 3. Candidate → employee and plan link
+        const { data: linkedCandidate, error: linkError } = await getDB()
+            .from('recruitment_tracker')
+            .update({
+                employee_id: employee.id,
+                mpp_id: mpp?.id || candidate.mpp_id || null,
+                current_stage: 'Hired',
+                status: 'Passed',
+                updated_at: new Date().toISOString(),
+                updated_by: userId
+            })
+            .eq('id', candidateId)
+            .select()
+            .single();
+        if (linkError) warnings.push(`Candidate not linked to ${employee.employee_code}: ${linkError.message}`);
+
+        // 4. First contract: a contract generated for the candidate, else a new one
+        let contract = null;
+        const { data: candidateContracts, error: lookupError } = await getDB()
+            .from('contract_history')
+            .select('*')
+            .eq('candidate_id', candidateId)
+            .is('employee_id', null)
+            .order('created_at', { ascending: false })
+            .limit(1);
+
+        if (lookupError) {
+            warnings.push(`Contract lookup failed: ${lookupError.message}`);
+        } else if (candidateContracts?.length) {
+            const { data, error } = await getDB()
+                .from('contract_history')
+                .update({ employee_id: employee.id })
+                .eq('id', candidateContracts[0].id)
+                .select()
+                .single();
+            if (error) warnings.push(`Contract ${candidateContracts[0].contract_number} not linked: ${error.message}`);
+            contract = data || null;
+        } else if (details.contract) {
+            const department = employee.departments?.name || null;
+            const { data, error } = await saveGeneratedContract({
+                ...details.contract,
+                employee_id: employee.id,
+                candidate_id: candidateId,
+                party: {
+                    full_name: employee.full_name,
+                    employee_code: employee.employee_code,
+                    nik: details.nik || null,
+                    birth_place: details.birth_place || null,
+                    birth_date: details.birth_date || null,
+                    address: details.address || null
+                },
+                work_site: employee.work_site,
+                position: candidate.position_applied,
+                department,
+                start_date: details.join_date
+            });
+            if (error) warnings.push(`Contract not created: ${error.message}`);
+            contract = data || null;
+        } else {
+            warnings.push('No contract created');
+        }
+
+        console.log(`✅ Candidate hired: ${candidate.candidate_name} → ${employee.employee_code}`);
+        return {
+            data: { employee, candidate: linkedCandidate || candidate, contract, mpp, warnings },
+            error: null
+        };
+
+    } catch (error) {
+        console.error('❌ Hire candidate error:', error);
+        return { data: null, error };
+    }
+}
+
+// ================================================
+// SECTION 18: RECRUITMENT PIPELINE (Kanban)
+// ================================================
+// recruitment_tracker gains stage_changed_at, stage_changed_by and rejection_reason. Every stage
+// move is also logged in recruitment_stage_history (candidate_id, from_stage, to_stage, reason,
+// changed_at, changed_by).
+
+/**
+ * Fail when recruitment-pipeline.js is missing
+ * @returns {Object} RecruitmentPipeline module
+ */
+function requireRecruitmentPipeline() {
+    if (typeof window.RecruitmentPipeline === 'undefined') {
+        throw new Error('RecruitmentPipeline not loaded. Include js/recruitment-pipeline.js');
+    }
+    return window.RecruitmentPipeline;
+}
+
+/**
+ * Move a candidate to another stage, recording when and by whom
+ * @param {string} candidateId - recruitment_tracker UUID
+ * @param {string} toStage - Target stage (see RecruitmentPipeline.STAGES)
+ * @param {string|null} [reason=null] - Rejection reason (required for Rejected)
+ * @returns {Promise<{data: Object, error: Error|null}>} Updated recruitment_tracker row
+ */
+async function moveCandidateStage(candidateId, toStage, reason = null) {
+    try {
+        const pipeline = requireRecruitmentPipeline();
+
+        const { data: candidate, error: candidateError } = await getDB()
+            .from('recruitment_tracker')
+            .select('*')
+            .eq('id', candidateId)
+            .single();
+        if (candidateError) throw candidateError;
+
+        const errors = pipeline.validateStageMove(candidate, toStage, reason);
+        if (errors.length) throw new Error(errors.join(', '));
+
+        const session = await checkAuth();
+        const { update, history } = pipeline.buildStageChange(candidate, toStage, {
+            reason,
+            actor_id: session?.user?.id || null
+        });
+
+        const { data, error } = await getDB()
+            .from('recruitment_tracker')
+            .update(update)
+            .eq('id', candidateId)
+            .select()
+            .single();
+        if (error) throw error;
+
+        // The row already carries the latest move; a failed log entry does not undo it
+        const { error: historyError } = await getDB()
+            .from('recruitment_stage_history')
+            .insert([history]);
+        if (historyError) console.warn('⚠️ Stage history not saved:', historyError);
+
+        console.log(`✅ ${candidate.candidate_name}: ${history.from_stage} → ${toStage}`);
+        return { data, error: null };
+
+    } catch (error) {
+        console.error('❌ Move candidate stage error:', error);
+        return { data: null, error };
+    }
+}
+
 // ================================================
 // EXPOSE FUNCTIONS TO WINDOW (Global Access)
 // ================================================
@@ -1599,6 +5305,15 @@ window.calculateLateMinutes = calculateLateMinutes;
 window.calculateOvertimeHours = calculateOvertimeHours;
 window.generateAttendanceSummary = generateAttendanceSummary;
 
+// Section 1.5: Overtime Requests (SPL)
+window.OVERTIME_STATUS = OVERTIME_STATUS;
+window.OVERTIME_APPROVAL_CHAIN = OVERTIME_APPROVAL_CHAIN;
+window.getOvertimeRequests = getOvertimeRequests;
+window.createOvertimeRequest = createOvertimeRequest;
+window.decideOvertimeRequest = decideOvertimeRequest;
+window.cancelOvertimeRequest = cancelOvertimeRequest;
+window.getApprovedOvertimeDays = getApprovedOvertimeDays;
+
 // Section 2: Payroll Calculations (SQL RPC)
 window.calculateGrossSalary = calculateGrossSalary;
 window.calculateBPJSKesehatan = calculateBPJSKesehatan;
@@ -1606,14 +5321,71 @@ window.calculateBPJSKetenagakerjaan = calculateBPJSKetenagakerjaan;
 window.calculatePPh21 = calculatePPh21;
 window.calculateNetSalary = calculateNetSalary;
 window.generateMonthlyPayrollReport = generateMonthlyPayrollReport;
+window.loadPayrollInputs = loadPayrollInputs;
+window.crossCheckPayrollCalculation = crossCheckPayrollCalculation;
+
+// Section 2.5: PPh21 Tax Ledger
+window.getPPh21Ledger = getPPh21Ledger;
+window.savePPh21LedgerEntry = savePPh21LedgerEntry;
+
+// Section 2.6: Payroll Runs
+window.PAYROLL_RUN_STATUS = PAYROLL_RUN_STATUS;
+window.PAYROLL_RUN_TRANSITIONS = PAYROLL_RUN_TRANSITIONS;
+window.PPH21_METHODS = PPH21_METHODS;
+window.getPayrollRules = getPayrollRules;
+window.getPayrollPeriod = getPayrollPeriod;
+window.getPayrollRuns = getPayrollRuns;
+window.getPayrollRunItems = getPayrollRunItems;
+window.createPayrollRun = createPayrollRun;
+window.updatePayrollRunAdjustments = updatePayrollRunAdjustments;
+window.transitionPayrollRun = transitionPayrollRun;
+window.getPayslipData = getPayslipData;
+
+// Section 2.7: THR
+window.getTHRHolidays = getTHRHolidays;
+window.createTHRHoliday = createTHRHoliday;
+window.updateTHRHoliday = updateTHRHoliday;
+window.deleteTHRHoliday = deleteTHRHoliday;
+window.calculateTHRForHoliday = calculateTHRForHoliday;
+window.getTHRForPayrollPeriod = getTHRForPayrollPeriod;
+
+// Section 2.8: Severance
+window.calculateEmployeeSeverance = calculateEmployeeSeverance;
+
+// Section 2.9: Statutory Reports
+window.getStatutoryReportData = getStatutoryReportData;
+window.get1721A1Data = get1721A1Data;
 
 // Section 3: Employee Management (SQL RPC)
 window.getEmployeeFullDetails = getEmployeeFullDetails;
 window.calculateEmployeeTenure = calculateEmployeeTenure;
 
-// Section 4: Leave Management (SQL RPC)
+// Section 4: Leave Balance Ledger
+window.getLeaveLedger = getLeaveLedger;
+window.syncLeaveAccruals = syncLeaveAccruals;
+window.getLeaveBalances = getLeaveBalances;
 window.checkLeaveBalance = checkLeaveBalance;
+window.checkLeaveRequest = checkLeaveRequest;
 window.deductLeaveBalance = deductLeaveBalance;
+window.addLeaveAdjustment = addLeaveAdjustment;
+
+// Section 4.5: Leave Approval Chain
+window.getLeaveApprovalChains = getLeaveApprovalChains;
+window.saveLeaveApprovalChain = saveLeaveApprovalChain;
+window.deleteLeaveApprovalChain = deleteLeaveApprovalChain;
+window.getLeaveDelegations = getLeaveDelegations;
+window.saveLeaveDelegation = saveLeaveDelegation;
+window.deleteLeaveDelegation = deleteLeaveDelegation;
+window.getLeaveApprovalContext = getLeaveApprovalContext;
+window.getLeaveApprovalSteps = getLeaveApprovalSteps;
+window.decideLeaveRequest = decideLeaveRequest;
+window.escalateLeaveApprovals = escalateLeaveApprovals;
+
+// Section 4.6: Leave Coverage
+window.getStaffingRules = getStaffingRules;
+window.saveStaffingRule = saveStaffingRule;
+window.deleteStaffingRule = deleteStaffingRule;
+window.checkLeaveCoverage = checkLeaveCoverage;
 
 // Section 5: Department & Position (SQL RPC)
 window.getDepartmentEmployees = getDepartmentEmployees;
@@ -1652,6 +5424,28 @@ window.updatePTKP = updatePTKP;
 window.deletePTKP = deletePTKP;
 window.getPTKPByYear = getPTKPByYear;
 
+// Section 10.5: BPJS Rates
+window.getAllBPJSRates = getAllBPJSRates;
+window.createBPJSRate = createBPJSRate;
+window.updateBPJSRate = updateBPJSRate;
+window.deleteBPJSRate = deleteBPJSRate;
+window.getBPJSRulesForPeriod = getBPJSRulesForPeriod;
+
+// Section 10.6: Attendance Geofences
+window.getAllGeofences = getAllGeofences;
+window.createGeofence = createGeofence;
+window.updateGeofence = updateGeofence;
+window.deleteGeofence = deleteGeofence;
+
+// Section 10.7: Holiday Calendar
+window.getAllHolidays = getAllHolidays;
+window.getHolidayIndex = getHolidayIndex;
+window.createHoliday = createHoliday;
+window.updateHoliday = updateHoliday;
+window.deleteHoliday = deleteHoliday;
+window.importHolidays = importHolidays;
+window.countLeaveWorkingDays = countLeaveWorkingDays;
+
 // Section 11: Employee CRUD (Enhanced)
 window.createEmployee = createEmployee;
 window.updateEmployee = updateEmployee;
@@ -1669,6 +5463,25 @@ window.getWarningLetterStats = getWarningLetterStats;
 // Section 14: Comprehensive Data
 window.getEmployeeCompleteData = getEmployeeCompleteData;
 
+// Section 15: Interview Scorecards
+window.getInterviewCriteria = getInterviewCriteria;
+window.saveInterviewCriterion = saveInterviewCriterion;
+window.deleteInterviewCriterion = deleteInterviewCriterion;
+window.getInterviewScorecards = getInterviewScorecards;
+window.submitInterviewScorecard = submitInterviewScorecard;
+
+// Section 16: Contract Documents
+window.getNextContractNumber = getNextContractNumber;
+window.saveGeneratedContract = saveGeneratedContract;
+window.getGeneratedContracts = getGeneratedContracts;
+
+// Section 17: Candidate Hire
+window.getNextEmployeeCode = getNextEmployeeCode;
+window.hireCandidate = hireCandidate;
+
+// Section 18: Recruitment Pipeline
+window.moveCandidateStage = moveCandidateStage;
+
 // ================================================
 // INITIALIZATION
 // ================================================
@@ -1676,17 +5489,32 @@ window.getEmployeeCompleteData = getEmployeeCompleteData;
 console.log('✅ DATABASE-FUNCTIONS.js v2.0 - CLEANED & ORGANIZED');
 console.log('📦 Loaded Sections:');
 console.log('   1️⃣  Attendance Calculations (3 SQL RPC)');
-console.log('   2️⃣  Payroll Calculations (6 SQL RPC)');
+console.log('   1️⃣.5️⃣  Overtime Requests / SPL (5 functions)');
+console.log('   2️⃣  Payroll Calculations (6 SQL RPC + 2 engine helpers)');
+console.log('   2️⃣.5️⃣  PPh21 Tax Ledger (2 functions)');
+console.log('   2️⃣.6️⃣  Payroll Runs (8 functions)');
+console.log('   2️⃣.7️⃣  THR (6 functions)');
+console.log('   2️⃣.8️⃣  Severance (1 function)');
+console.log('   2️⃣.9️⃣  Statutory Reports (2 functions)');
 console.log('   3️⃣  Employee Management (2 SQL RPC)');
-console.log('   4️⃣  Leave Management (2 SQL RPC)');
+console.log('   4️⃣  Leave Balance Ledger (7 functions)');
+console.log('   4️⃣.5️⃣  Leave Approval Chain (10 functions)');
+console.log('   4️⃣.6️⃣  Leave Coverage (4 functions)');
 console.log('   5️⃣  Dept & Position (2 SQL RPC)');
 console.log('   6️⃣  Dashboard Stats (2 functions)');
 console.log('   7️⃣  Departments CRUD (5 functions)');
 console.log('   8️⃣  Divisions CRUD (5 functions)');
 console.log('   9️⃣  Positions CRUD (5 functions)');
 console.log('   🔟  PTKP CRUD (6 functions)');
+console.log('   🔟.5️⃣  BPJS Rates CRUD (5 functions)');
+console.log('   🔟.6️⃣  Attendance Geofences CRUD (5 functions)');
+console.log('   🔟.7️⃣  Holiday Calendar (8 functions)');
 console.log('   1️⃣1️⃣  Employee CRUD Enhanced (2 functions)');
 console.log('   1️⃣2️⃣  Advanced Contract Queries (2 functions)');
 console.log('   1️⃣3️⃣  Advanced Warning Queries (4 functions)');
 console.log('   1️⃣4️⃣  Comprehensive Data (1 functions)');
-console.log('📊 Total: 47 functions ready');
\ No newline at end of file
+console.log('   1️⃣5️⃣  Interview Scorecards (5 functions)');
+console.log('   1️⃣6️⃣  Contract Documents (3 functions)');
+console.log('   1️⃣7️⃣  Candidate Hire (2 functions)');
+console.log('   1️⃣8️⃣  Recruitment Pipeline (1 function)');
+console.log('📊 Total: 118 functions ready');
\ No newline at end of file
@@ -3,8 +3,9 @@
 // employee.js - Version 4.0 (AUDITED & ORGANIZED)
 // ================================================
 
-// ⚠️ DEPENDENCIES: Requires app.js, api.js, auth.js, database-functions.js, utils.js
-// ⚠️ PROVIDES: Complete employee management (CRUD, contracts, warnings, export)
+// ⚠️ DEPENDENCIES: Requires app.js, api.js, auth.js, database-functions.js, utils.js,
+//                 payroll-engine.js, payroll-documents.js (severance calculator)
+// ⚠️ PROVIDES: Complete employee management (CRUD, contracts, warnings, separation pay, export)
 
 // ================================================
 // SECTION 1: CONFIGURATION & STATE MANAGEMENT
@@ -25,7 +26,8 @@ const employeesData = {
     filterDepartment: '',
     currentEmployeeId: null,
     deleteEmployeeId: null,
-    currentTab: 'all'
+    currentTab: 'all',
+    severance: null
 };
 
 // Aliases for backward compatibility (to be removed after refactoring)
@@ -251,6 +253,7 @@ async function initEmployeesPage() {
             loadDepartments(),
             loadDivisions(),
             loadPTKP(),
+            loadWorkSchedules(),
             loadEmployees()
         ]);
         
@@ -391,6 +394,28 @@ async function loadPTKP() {
     }
 }
 
+/**
+ * Load work schedule templates
+ */
+async function loadWorkSchedules() {
+    try {
+        const { data, error } = await getWorkScheduleTemplates();
+        if (error) throw new Error(error);
+        
+        const scheduleSelect = document.getElementById('employeeWorkSchedule');
+        if (scheduleSelect) {
+            const options = data.map(template => 
+                `<option value="${template.id}">${escapeHtml(template.template_name)}</option>`
+            ).join('');
+            scheduleSelect.innerHTML = '<option value="">No Schedule</option>' + options;
+        }
+        
+        console.log(`✅ Loaded ${data.length} work schedules`);
+    } catch (error) {
+        console.error('❌ Error loading work schedules:', error);
+    }
+}
+
 /**
  * Populate department filter dropdown
  */
@@ -957,6 +982,13 @@ function renderTableRows() {
                                 title="Warning Letters">
                             <i class="fas fa-exclamation-triangle"></i>
                         </button>
+                        ${emp.is_resigned ? `
+                        <button onclick="openSeveranceModal('${emp.id}')" 
+                                class="text-green-600 hover:text-green-800 transition-colors p-2 hover:bg-green-50 rounded-lg" 
+                                title="Separation Pay">
+                            <i class="fas fa-hand-holding-usd"></i>
+                        </button>
+                        ` : ''}
                         <button onclick="confirmDeleteEmployee('${emp.id}')" 
                                 class="text-red-600 hover:text-red-800 transition-colors p-2 hover:bg-red-50 rounded-lg" 
                                 title="Delete Employee">
@@ -1087,6 +1119,7 @@ async function openModal(mode, employeeId = null) {
     form.reset();
     document.getElementById('employeeId').value = '';
     document.getElementById('employeeIsActive').checked = true;
+    populateSupervisorOptions(mode === 'edit' ? employeeId : null);
     
     if (mode === 'edit' && employeeId) {
         // Set modal title
@@ -1111,6 +1144,22 @@ async function openModal(mode, employeeId = null) {
     modal.classList.add('flex');
 }
 
+/**
+ * Fill the direct supervisor dropdown with active employees (leave approval chain)
+ * @param {string|null} employeeId - Employee being edited (cannot supervise themselves)
+ */
+function populateSupervisorOptions(employeeId) {
+    const supervisorSelect = document.getElementById('employeeSupervisor');
+    if (!supervisorSelect) return;
+
+    const options = employeesData.all
+        .filter(emp => emp.is_active && emp.id !== employeeId)
+        .sort((a, b) => (a.full_name || '').localeCompare(b.full_name || ''))
+        .map(emp => `<option value="${emp.id}">${escapeHtml(emp.full_name)} (${escapeHtml(emp.employee_code || '-')})</option>`)
+        .join('');
+    supervisorSelect.innerHTML = '<option value="">No Supervisor</option>' + options;
+}
+
 /**
  * Close modal
  */
@@ -1186,6 +1235,9 @@ async function loadEmployeeToForm(employeeId) {
         setFieldValue('employeeBankName', employee.bank_name);
         setFieldValue('employeeBankAccountNumber', employee.bank_account_number);
         setFieldValue('employeeBankAccountName', employee.bank_account_name);
+        setFieldValue('employeeWorkSite', employee.work_site || 'Office');
+        setFieldValue('employeeWorkSchedule', employee.work_schedule_template_id);
+        setFieldValue('employeeSupervisor', employee.supervisor_id);
         setFieldValue('employeeEmploymentStatus', employee.employment_status);
         setFieldValue('employeePTKP', employee.ptkp_id);
         setFieldValue('employeeJoinDate', employee.join_date);
@@ -1296,6 +1348,9 @@ async function saveEmployee() {
             bank_name: getFieldValue('employeeBankName') || null,
             bank_account_number: getFieldValue('employeeBankAccountNumber') || null,
             bank_account_name: getFieldValue('employeeBankAccountName') || null,
+            work_site: getFieldValue('employeeWorkSite') || 'Office',
+            work_schedule_template_id: getFieldValue('employeeWorkSchedule') || null,
+            supervisor_id: getFieldValue('employeeSupervisor') || null,
             employment_status: getFieldValue('employeeEmploymentStatus') || null,
             ptkp_id: getFieldValue('employeePTKP') || null,
             join_date: getFieldValue('employeeJoinDate') || null,
@@ -1308,6 +1363,7 @@ async function saveEmployee() {
 
         // Check if editing or creating
         const employeeId = getFieldValue('employeeId');
+        const wasResigned = employeesData.all.find(emp => emp.id === employeeId)?.is_resigned || false;
         let result;
 
         if (employeeId) {
@@ -1340,6 +1396,13 @@ async function saveEmployee() {
         // Close modal and reload
         closeModal();
         await loadEmployees();
+
+        // Newly resigned: offer the separation pay calculation
+        const savedId = employeeId || result.data?.id;
+        if (employeeData.is_resigned && !wasResigned && savedId &&
+            confirm('Employee marked as resigned. Calculate separation pay now?')) {
+            openSeveranceModal(savedId);
+        }
         
     } catch (error) {
         if (typeof hideLoading === 'function') hideLoading();
@@ -2524,7 +2587,160 @@ function closeWarningLetters() {
 }
 
 // ================================================
-// SECTION 15: EXPORT FUNCTIONALITY
+// SECTION 15: SEVERANCE CALCULATOR (PESANGON)
+// ================================================
+
+/**
+ * Open separation pay calculator for employee
+ * @param {string} employeeId - Employee ID
+ */
+function openSeveranceModal(employeeId) {
+    if (typeof PayrollEngine === 'undefined' || typeof PayrollDocuments === 'undefined') {
+        showToast('Payroll engine not loaded', 'error');
+        return;
+    }
+
+    const employee = employeesData.all.find(emp => emp.id === employeeId) || {};
+    employeesData.severance = { employeeId, result: null };
+
+    const reasonSelect = document.getElementById('severanceReason');
+    if (reasonSelect && !reasonSelect.options.length) {
+        reasonSelect.innerHTML = Object.entries(PayrollEngine.SEPARATION_REASONS)
+            .map(([key, reason]) => `<option value="${key}">${escapeHtml(reason.label)} (${escapeHtml(reason.article)})</option>`)
+            .join('');
+    }
+    reasonSelect.value = 'resign';
+
+    document.getElementById('severanceEmployeeName').textContent = employee.full_name || 'Unknown';
+    document.getElementById('severanceDate').value = employee.resign_date || new Date().toISOString().slice(0, 10);
+    document.getElementById('severanceTravelCost').value = '';
+    document.getElementById('severanceUangPisah').value = '';
+    document.getElementById('severanceResult').innerHTML = '';
+
+    const modal = document.getElementById('severanceModal');
+    if (modal) {
+        modal.classList.remove('hidden');
+        modal.classList.add('flex');
+    }
+
+    updateSeverancePreview();
+}
+
+/**
+ * Recalculate separation pay from the modal inputs
+ * @async
+ * @returns {Promise<void>}
+ */
+async function updateSeverancePreview() {
+    if (!employeesData.severance) return;
+
+    const separation = {
+        reason: document.getElementById('severanceReason').value,
+        date: document.getElementById('severanceDate').value,
+        travel_cost: parseFloat(document.getElementById('severanceTravelCost').value) || 0,
+        uang_pisah: parseFloat(document.getElementById('severanceUangPisah').value) || 0
+    };
+
+    const { data, error } = await calculateEmployeeSeverance(employeesData.severance.employeeId, separation);
+    const container = document.getElementById('severanceResult');
+
+    if (error) {
+        employeesData.severance.result = null;
+        container.innerHTML = `
+            <div class="p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                <i class="fas fa-exclamation-triangle mr-2" aria-hidden="true"></i>${escapeHtml(error)}
+            </div>
+        `;
+        return;
+    }
+
+    employeesData.severance.result = data;
+    container.innerHTML = renderSeveranceBreakdown(data.settlement);
+}
+
+/**
+ * Render settlement breakdown table
+ * @param {Object} settlement - Result of PayrollEngine.calculateSeverance()
+ * @returns {string} HTML
+ */
+function renderSeveranceBreakdown(settlement) {
+    const s = settlement;
+    const rows = [
+        ['Uang Pesangon', `${s.pesangon.multiplier} × ${s.pesangon.months} bulan`, s.pesangon.amount],
+        ['Uang Penghargaan Masa Kerja', `${s.upmk.multiplier} × ${s.upmk.months} bulan`, s.upmk.amount],
+        ['Uang Kompensasi PKWT', `${s.compensation.months} / 12 bulan`, s.compensation.amount],
+        ['Penggantian Hak - Cuti', `${s.uph.leave_days} hari`, s.uph.leave_amount],
+        ['Penggantian Hak - Ongkos Pulang', '', s.uph.travel_cost],
+        ['Uang Pisah', '', s.uang_pisah]
+    ].filter(([, , amount]) => amount);
+
+    return `
+        <div class="text-sm text-gray-600 mb-3">
+            ${escapeHtml(s.contract_type || '-')} · Masa kerja ${s.service_years} tahun ${s.service_months % 12} bulan ·
+            Upah ${formatCurrency(s.wage)} · ${escapeHtml(s.article)}
+        </div>
+        <table class="w-full">
+            <tbody class="divide-y divide-gray-200">
+                ${rows.length ? rows.map(([label, note, amount]) => `
+                    <tr>
+                        <td class="px-4 py-2 text-sm text-gray-700">${label} <span class="text-xs text-gray-500">${note}</span></td>
+                        <td class="px-4 py-2 text-sm text-right text-gray-900">${formatCurrency(amount)}</td>
+                    </tr>
+                `).join('') : `
+                    <tr>
+                        <td colspan="2" class="px-4 py-2 text-sm text-gray-500">No separation entitlement for this reason</td>
+                    </tr>
+                `}
+                <tr>
+                    <td class="px-4 py-2 text-sm font-medium text-gray-700">Total Bruto</td>
+                    <td class="px-4 py-2 text-sm text-right font-medium text-gray-900">${formatCurrency(s.total_gross)}</td>
+                </tr>
+                <tr>
+                    <td class="px-4 py-2 text-sm text-gray-700">PPh 21 Final</td>
+                    <td class="px-4 py-2 text-sm text-right text-red-600">-${formatCurrency(s.tax)}</td>
+                </tr>
+                <tr class="bg-gray-50">
+                    <td class="px-4 py-2 text-sm font-semibold text-gray-900">Total Diterima</td>
+                    <td class="px-4 py-2 text-sm text-right font-semibold text-gray-900">${formatCurrency(s.net_amount)}</td>
+                </tr>
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Print settlement statement for the calculated separation pay
+ */
+function printSettlementStatement() {
+    const result = employeesData.severance?.result;
+    if (!result) {
+        showToast('Nothing to print. Check the calculation first', 'warning');
+        return;
+    }
+
+    const html = PayrollDocuments.renderSettlementStatement(result.settlement, {
+        company: result.company,
+        contract: result.contract
+    });
+    if (!PayrollDocuments.printDocument(html)) {
+        showToast('Popup blocked. Allow popups to print the statement', 'warning');
+    }
+}
+
+/**
+ * Close separation pay calculator
+ */
+function closeSeveranceModal() {
+    const modal = document.getElementById('severanceModal');
+    if (modal) {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+    }
+    employeesData.severance = null;
+}
+
+// ================================================
+// SECTION 16: EXPORT FUNCTIONALITY
 // ================================================
 
 /**
@@ -2599,7 +2815,7 @@ function exportEmployees() {
 }
 
 // ================================================
-// SECTION 16: UTILITY FUNCTIONS
+// SECTION 17: UTILITY FUNCTIONS
 // ================================================
 
 /**
@@ -2690,7 +2906,7 @@ function showNotification(message, type = 'info') {
 }
 
 // ================================================
-// SECTION 17: EVENT LISTENERS
+// SECTION 18: EVENT LISTENERS
 // ================================================
 
 /**
@@ -2784,6 +3000,12 @@ window.saveWarningLetter = saveWarningLetter;
 window.editWarning = editWarning;
 window.deleteWarning = deleteWarning;
 
+// Modal: Severance Calculator
+window.openSeveranceModal = openSeveranceModal;
+window.updateSeverancePreview = updateSeverancePreview;
+window.printSettlementStatement = printSettlementStatement;
+window.closeSeveranceModal = closeSeveranceModal;
+
 // Export
 window.exportEmployees = exportEmployees;
 
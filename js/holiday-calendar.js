@@ -0,0 +1,400 @@
+// ================================================
+// SWAP HRIS - HOLIDAY CALENDAR
+// holiday-calendar.js - Version 1.0
+// ================================================
+
+// ⚠️ DEPENDENCIES: None (pure functions, works in browser and Node)
+// ⚠️ PROVIDES: Holiday lookup by date and site, working-day counting for leave,
+//              overtime day type for holidays and ICS (iCalendar) import parsing
+
+const HolidayCalendar = (() => {
+    'use strict';
+
+    // ================================================
+    // SECTION 1: CONSTANTS
+    // ================================================
+
+    const HOLIDAY_TYPES = {
+        national: 'National holiday',
+        regional: 'Regional holiday',
+        company: 'Company holiday',
+        cuti_bersama: 'Cuti bersama'
+    };
+
+    // Monday–Friday; Bistro staff on rosters pass their own work days
+    const DEFAULT_WORK_DAYS = [1, 2, 3, 4, 5];
+
+    // Overtime on a national/regional holiday is paid at holiday rates; a company
+    // holiday or cuti bersama is a day off for the employee and paid as a rest day
+    const OVERTIME_DAY_TYPE_BY_HOLIDAY = {
+        national: 'holiday',
+        regional: 'holiday',
+        company: 'rest_day',
+        cuti_bersama: 'rest_day'
+    };
+
+    const CUTI_BERSAMA_PATTERN = /cuti\s+bersama/i;
+
+    // ================================================
+    // SECTION 2: DATE HELPERS
+    // ================================================
+
+    const pad = n => String(n).padStart(2, '0');
+
+    /**
+     * Normalize a date to YYYY-MM-DD
+     * Date objects use their local calendar date (as built by the leave page parsers)
+     * @param {string|Date} date
+     * @returns {string|null}
+     */
+    function toISODate(date) {
+        if (!date) return null;
+        if (date instanceof Date) {
+            if (isNaN(date.getTime())) return null;
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        }
+
+        const match = String(date).match(/^(\d{4})-(\d{2})-(\d{2})/);
+        return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+    }
+
+    /**
+     * Day of week of a calendar date (0 = Sunday), independent of the local timezone
+     * @param {string} date - YYYY-MM-DD
+     * @returns {number}
+     */
+    function getDayOfWeek(date) {
+        return new Date(`${date}T00:00:00Z`).getUTCDay();
+    }
+
+    /**
+     * Shift a calendar date by whole days
+     * @param {string} date - YYYY-MM-DD
+     * @param {number} days
+     * @returns {string} YYYY-MM-DD
+     */
+    function addDays(date, days) {
+        const d = new Date(`${date}T00:00:00Z`);
+        d.setUTCDate(d.getUTCDate() + days);
+        return d.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Every calendar date from start to end (inclusive)
+     * @param {string|Date} start
+     * @param {string|Date} end
+     * @returns {Array<string>} YYYY-MM-DD dates
+     */
+    function expandDateRange(start, end) {
+        const from = toISODate(start);
+        const to = toISODate(end || start);
+        if (!from || !to || to < from) return [];
+
+        const dates = [];
+        for (let date = from; date <= to; date = addDays(date, 1)) {
+            dates.push(date);
+        }
+        return dates;
+    }
+
+    // ================================================
+    // SECTION 3: LOOKUP
+    // ================================================
+
+    /**
+     * Whether a holiday applies to a site
+     * Holidays without a site apply to every site (Office and Bistro)
+     */
+    function appliesToSite(holiday, site) {
+        return !holiday.site || !site || holiday.site === site;
+    }
+
+    /**
+     * Index holidays by date for fast lookup
+     * @param {Array} holidays - Rows from the holidays table
+     * @param {Object} [options] - {site: 'Office'|'Bistro'}
+     * @returns {Map<string, Array>} YYYY-MM-DD → holidays on that date
+     */
+    function buildHolidayIndex(holidays, options = {}) {
+        const index = new Map();
+
+        (holidays || []).forEach(holiday => {
+            if (holiday.is_active === false) return;
+            if (!appliesToSite(holiday, options.site)) return;
+
+            const date = toISODate(holiday.holiday_date);
+            if (!date) return;
+
+            if (!index.has(date)) index.set(date, []);
+            index.get(date).push(holiday);
+        });
+
+        return index;
+    }
+
+    /**
+     * Holidays on a date
+     * @param {Map} index - From buildHolidayIndex
+     * @param {string|Date} date
+     * @returns {Array}
+     */
+    function getHolidays(index, date) {
+        return (index && index.get(toISODate(date))) || [];
+    }
+
+    /**
+     * @param {Map} index - From buildHolidayIndex
+     * @param {string|Date} date
+     * @returns {boolean}
+     */
+    function isHoliday(index, date) {
+        return getHolidays(index, date).length > 0;
+    }
+
+    /**
+     * Display label for the holidays on a date, e.g. "Tahun Baru Islam, Cuti bersama"
+     * @param {Array} holidays
+     * @returns {string}
+     */
+    function describeHolidays(holidays) {
+        return (holidays || []).map(h => h.name || HOLIDAY_TYPES[h.holiday_type] || 'Holiday').join(', ');
+    }
+
+    // ================================================
+    // SECTION 4: LEAVE DAYS
+    // ================================================
+
+    /**
+     * Count the working days a leave request actually consumes
+     *
+     * Weekends (days outside work_days) and every holiday type are skipped, so a
+     * Thursday–Monday request over a Friday national holiday counts 2 days.
+     *
+     * @param {Array<string|Date>} dates - Calendar dates of the leave
+     * @param {Object} [options] - {index: holiday index, work_days: [0-6]}
+     * @returns {Object} {calendar_days, leave_days, dates, holidays: [{date, names}], off_days}
+     */
+    function countLeaveDays(dates, options = {}) {
+        const workDays = options.work_days || DEFAULT_WORK_DAYS;
+        const unique = [...new Set((dates || []).map(toISODate).filter(Boolean))].sort();
+
+        const result = {
+            calendar_days: unique.length,
+            leave_days: 0,
+            dates: [],
+            holidays: [],
+            off_days: 0
+        };
+
+        unique.forEach(date => {
+            if (!workDays.includes(getDayOfWeek(date))) {
+                result.off_days++;
+                return;
+            }
+
+            const holidays = getHolidays(options.index, date);
+            if (holidays.length) {
+                result.holidays.push({ date, names: describeHolidays(holidays) });
+                return;
+            }
+
+            result.leave_days++;
+            result.dates.push(date);
+        });
+
+        return result;
+    }
+
+    /**
+     * Cuti bersama days in a year that are taken from annual leave entitlement
+     * @param {Array} holidays - Rows from the holidays table
+     * @param {number} year
+     * @param {Object} [options] - {site, work_days}
+     * @returns {Array<string>} YYYY-MM-DD dates
+     */
+    function getLeaveDeductibleDays(holidays, year, options = {}) {
+        const workDays = options.work_days || DEFAULT_WORK_DAYS;
+        const dates = new Set();
+
+        (holidays || []).forEach(holiday => {
+            if (holiday.is_active === false || !holiday.is_leave_deductible) return;
+            if (!appliesToSite(holiday, options.site)) return;
+
+            const date = toISODate(holiday.holiday_date);
+            if (!date || Number(date.slice(0, 4)) !== Number(year)) return;
+            if (!workDays.includes(getDayOfWeek(date))) return;
+
+            dates.add(date);
+        });
+
+        return [...dates].sort();
+    }
+
+    // ================================================
+    // SECTION 5: OVERTIME
+    // ================================================
+
+    /**
+     * Overtime day type for a date's holidays (see PayrollEngine.OVERTIME_DAY_TYPES)
+     * @param {Array} holidays - Holidays on the date
+     * @returns {string|null} 'holiday', 'rest_day' or null when not a holiday
+     */
+    function getOvertimeDayType(holidays) {
+        const types = (holidays || []).map(h => OVERTIME_DAY_TYPE_BY_HOLIDAY[h.holiday_type] || 'holiday');
+        if (types.includes('holiday')) return 'holiday';
+        if (types.includes('rest_day')) return 'rest_day';
+        return null;
+    }
+
+    // ================================================
+    // SECTION 6: ICS IMPORT
+    // ================================================
+
+    /**
+     * Unescape an iCalendar TEXT value
+     */
+    function unescapeText(value) {
+        return String(value || '')
+            .replace(/\\n/gi, ' ')
+            .replace(/\\([,;\\])/g, '$1')
+            .trim();
+    }
+
+    /**
+     * Parse a DTSTART/DTEND value
+     * @returns {Object|null} {date: YYYY-MM-DD, all_day: boolean, midnight: boolean}
+     */
+    function parseICSDate(value) {
+        const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2}))?/);
+        if (!match) return null;
+
+        return {
+            date: `${match[1]}-${match[2]}-${match[3]}`,
+            all_day: !match[4],
+            midnight: !match[4] || `${match[4]}${match[5]}${match[6]}` === '000000'
+        };
+    }
+
+    /**
+     * Parse an iCalendar file (e.g. Google's "Holidays in Indonesia" calendar or an
+     * SKB cuti bersama calendar) into holiday rows
+     *
+     * Multi-day events become one row per date. All-day DTEND is exclusive per RFC 5545.
+     * Google "Observance" events (not days off) are skipped.
+     *
+     * @param {string} text - .ics file contents
+     * @param {Object} [options] - {holiday_type: type for events not named cuti bersama (default national)}
+     * @returns {Object} {holidays: [{holiday_date, name, holiday_type, is_leave_deductible, source, external_uid}], skipped, errors: [{line, message}]}
+     */
+    function parseICS(text, options = {}) {
+        const defaultType = HOLIDAY_TYPES[options.holiday_type] ? options.holiday_type : 'national';
+        const result = { holidays: [], skipped: 0, errors: [] };
+
+        // Unfold continuation lines (RFC 5545 §3.1)
+        const lines = [];
+        String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, i) => {
+            if (/^[ \t]/.test(line) && lines.length) {
+                lines[lines.length - 1].text += line.slice(1);
+            } else {
+                lines.push({ text: line, line: i + 1 });
+            }
+        });
+
+        let event = null;
+
+        lines.forEach(({ text: line, line: lineNo }) => {
+            if (/^BEGIN:VEVENT$/i.test(line.trim())) {
+                event = { line: lineNo };
+                return;
+            }
+            if (!event) return;
+
+            if (/^END:VEVENT$/i.test(line.trim())) {
+                addEvent(event);
+                event = null;
+                return;
+            }
+
+            const colon = line.indexOf(':');
+            if (colon < 0) return;
+
+            const name = line.slice(0, colon).split(';')[0].toUpperCase();
+            const value = line.slice(colon + 1);
+
+            if (name === 'DTSTART') event.start = parseICSDate(value);
+            else if (name === 'DTEND') event.end = parseICSDate(value);
+            else if (name === 'SUMMARY') event.summary = unescapeText(value);
+            else if (name === 'DESCRIPTION') event.description = unescapeText(value);
+            else if (name === 'UID') event.uid = value.trim();
+            else if (name === 'STATUS') event.status = value.trim().toUpperCase();
+        });
+
+        function addEvent(ev) {
+            if (!ev.start) {
+                result.errors.push({ line: ev.line, message: 'Event without a valid DTSTART' });
+                return;
+            }
+            if (!ev.summary) {
+                result.errors.push({ line: ev.line, message: 'Event without a SUMMARY' });
+                return;
+            }
+            if (ev.status === 'CANCELLED' || /^observance\b/i.test(ev.description || '')) {
+                result.skipped++;
+                return;
+            }
+
+            let endDate = ev.start.date;
+            if (ev.end && ev.end.date > ev.start.date) {
+                endDate = ev.end.midnight ? addDays(ev.end.date, -1) : ev.end.date;
+            }
+
+            const isCutiBersama = CUTI_BERSAMA_PATTERN.test(ev.summary);
+            const holidayType = isCutiBersama ? 'cuti_bersama' : defaultType;
+
+            expandDateRange(ev.start.date, endDate).forEach(date => {
+                result.holidays.push({
+                    holiday_date: date,
+                    name: ev.summary,
+                    holiday_type: holidayType,
+                    is_leave_deductible: isCutiBersama,
+                    source: 'ics',
+                    external_uid: ev.uid || null
+                });
+            });
+        }
+
+        result.holidays.sort((a, b) => a.holiday_date.localeCompare(b.holiday_date));
+        return result;
+    }
+
+    // ================================================
+    // PUBLIC API
+    // ================================================
+
+    return {
+        HOLIDAY_TYPES,
+        DEFAULT_WORK_DAYS,
+        toISODate,
+        expandDateRange,
+        buildHolidayIndex,
+        getHolidays,
+        isHoliday,
+        describeHolidays,
+        countLeaveDays,
+        getLeaveDeductibleDays,
+        getOvertimeDayType,
+        parseICS
+    };
+})();
+
+// ================================================
+// EXPOSE MODULE (Browser global + Node require)
+// ================================================
+
+if (typeof window !== 'undefined') {
+    window.HolidayCalendar = HolidayCalendar;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HolidayCalendar;
+}
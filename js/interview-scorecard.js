@@ -0,0 +1,244 @@
+// ================================================
+// SWAP HRIS - INTERVIEW SCORECARDS
+// interview-scorecard.js - Version 1.0
+// ================================================
+
+// ⚠️ DEPENDENCIES: None (pure functions, works in browser and Node)
+// ⚠️ PROVIDES: Competency criteria per position and interview stage, weighted scorecard scores,
+//              the aggregate score of a candidate, and the stage a candidate moves to after
+//              the interviewers' recommendations (HR Interview → User Interview → Offering)
+
+const InterviewScorecard = (() => {
+    'use strict';
+
+    // ================================================
+    // SECTION 1: CONSTANTS
+    // ================================================
+
+    // recruitment_tracker.current_stage values, in pipeline order
+    const STAGE_ORDER = ['Applied', 'Screening', 'HR Interview', 'User Interview', 'Offering', 'Hired', 'Rejected'];
+
+    // Stages interviewers submit scorecards for, and where a passed interview leads
+    const INTERVIEW_STAGES = ['HR Interview', 'User Interview'];
+    const NEXT_STAGE = {
+        'HR Interview': 'User Interview',
+        'User Interview': 'Offering'
+    };
+
+    const RATING_SCALE = {
+        1: 'Poor',
+        2: 'Below expectations',
+        3: 'Meets expectations',
+        4: 'Above expectations',
+        5: 'Outstanding'
+    };
+
+    const RECOMMENDATIONS = {
+        strong_yes: { label: 'Strongly Recommend', outcome: 'advance' },
+        yes: { label: 'Recommend', outcome: 'advance' },
+        hold: { label: 'Hold', outcome: 'hold' },
+        no: { label: 'Not Recommended', outcome: 'reject' }
+    };
+
+    // Used when no criteria are configured for the position
+    const DEFAULT_CRITERIA = [
+        { id: null, name: 'Communication', description: 'Clear, structured and confident answers', weight: 1 },
+        { id: null, name: 'Job Knowledge', description: 'Skills and experience for the position', weight: 1 },
+        { id: null, name: 'Problem Solving', description: 'Approach to situations and examples given', weight: 1 },
+        { id: null, name: 'Culture Fit', description: 'Teamwork, attitude and service mindset', weight: 1 },
+        { id: null, name: 'Motivation', description: 'Interest in the role and the company', weight: 1 }
+    ];
+
+    // ================================================
+    // SECTION 2: CRITERIA
+    // ================================================
+
+    const normalizeText = text => String(text || '').trim().toLowerCase();
+
+    /**
+     * Validate a criterion before saving
+     * @param {Object} criterion - {name, stage, weight}
+     * @returns {Array<string>} Error messages (empty when valid)
+     */
+    function validateCriterion(criterion) {
+        const errors = [];
+        if (!String(criterion?.name || '').trim()) errors.push('Criterion name is required');
+        if (criterion?.stage && !INTERVIEW_STAGES.includes(criterion.stage)) {
+            errors.push('Stage must be HR Interview, User Interview or empty for both');
+        }
+        if (!(Number(criterion?.weight) > 0)) errors.push('Weight must be greater than 0');
+        return errors;
+    }
+
+    /**
+     * Criteria for a position and stage
+     * Criteria of the position replace the generic ones (no position); the built-in list is used
+     * when neither exists. Criteria without a stage apply to both interviews.
+     * @param {Array} criteria - Rows from interview_criteria
+     * @param {string} position - recruitment_tracker.position_applied
+     * @param {string} stage - 'HR Interview' | 'User Interview'
+     * @returns {Array} [{id, name, description, weight}]
+     */
+    function selectCriteria(criteria, position, stage) {
+        const forStage = (criteria || []).filter(item =>
+            item.is_active !== false && (!item.stage || item.stage === stage)
+        );
+        const byOrder = (a, b) => (a.sort_order || 0) - (b.sort_order || 0) || String(a.name).localeCompare(String(b.name));
+
+        const positionKey = normalizeText(position);
+        const specific = forStage.filter(item => item.position_name && normalizeText(item.position_name) === positionKey);
+        if (specific.length) return specific.sort(byOrder);
+
+        const generic = forStage.filter(item => !item.position_name);
+        if (generic.length) return generic.sort(byOrder);
+
+        return DEFAULT_CRITERIA.map(item => ({ ...item }));
+    }
+
+    // ================================================
+    // SECTION 3: SCORING
+    // ================================================
+
+    const round2 = value => Math.round(value * 100) / 100;
+
+    /**
+     * Weighted average of the ratings (1–5)
+     * @param {Array} ratings - [{weight, rating}]
+     * @returns {number|null} Null when nothing is rated
+     */
+    function computeScore(ratings) {
+        let total = 0;
+        let weights = 0;
+
+        (ratings || []).forEach(item => {
+            const rating = Number(item.rating);
+            const weight = Number(item.weight) || 1;
+            if (!RATING_SCALE[rating]) return;
+            total += rating * weight;
+            weights += weight;
+        });
+
+        return weights ? round2(total / weights) : null;
+    }
+
+    /**
+     * Validate a scorecard before submitting
+     * @param {Object} scorecard - {candidate_id, stage, interviewer_name, ratings, recommendation}
+     * @returns {Array<string>} Error messages (empty when valid)
+     */
+    function validateScorecard(scorecard) {
+        const errors = [];
+        if (!scorecard?.candidate_id) errors.push('Select a candidate');
+        if (!INTERVIEW_STAGES.includes(scorecard?.stage)) errors.push('Stage must be HR Interview or User Interview');
+        if (!String(scorecard?.interviewer_name || '').trim()) errors.push('Interviewer name is required');
+
+        const ratings = scorecard?.ratings || [];
+        if (ratings.length === 0) errors.push('The scorecard has no criteria');
+        const unrated = ratings.filter(item => !RATING_SCALE[Number(item.rating)]);
+        if (unrated.length) errors.push(`Rate every criterion (${unrated.map(item => item.name).join(', ')})`);
+
+        if (!RECOMMENDATIONS[scorecard?.recommendation]) errors.push('Select a recommendation');
+        return errors;
+    }
+
+    /**
+     * Aggregate scores of a candidate, overall and per stage
+     * @param {Array} scorecards - Rows from interview_scorecards of one candidate
+     * @returns {Object} {score, count, stages: {stage: {score, count, outcome}}}
+     */
+    function summarizeScorecards(scorecards) {
+        const scored = (scorecards || []).filter(item => item.overall_score !== null && item.overall_score !== undefined);
+        const average = items => items.length
+            ? round2(items.reduce((sum, item) => sum + Number(item.overall_score), 0) / items.length)
+            : null;
+
+        const stages = {};
+        INTERVIEW_STAGES.forEach(stage => {
+            const items = (scorecards || []).filter(item => item.stage === stage);
+            if (items.length === 0) return;
+            stages[stage] = {
+                score: average(items.filter(item => scored.includes(item))),
+                count: items.length,
+                outcome: getStageOutcome(items, stage)
+            };
+        });
+
+        return { score: average(scored), count: (scorecards || []).length, stages };
+    }
+
+    // ================================================
+    // SECTION 4: STAGE OUTCOME
+    // ================================================
+
+    /**
+     * Outcome of an interview stage: the recommendation most interviewers gave; a tie holds
+     * @param {Array} scorecards - Scorecards of the candidate
+     * @param {string} stage - Interview stage
+     * @returns {string|null} 'advance' | 'hold' | 'reject', null without scorecards
+     */
+    function getStageOutcome(scorecards, stage) {
+        const votes = { advance: 0, hold: 0, reject: 0 };
+        (scorecards || [])
+            .filter(item => item.stage === stage && RECOMMENDATIONS[item.recommendation])
+            .forEach(item => { votes[RECOMMENDATIONS[item.recommendation].outcome]++; });
+
+        const max = Math.max(...Object.values(votes));
+        if (max === 0) return null;
+
+        const leaders = Object.keys(votes).filter(key => votes[key] === max);
+        return leaders.length === 1 ? leaders[0] : 'hold';
+    }
+
+    /**
+     * Stage and status change of a candidate after an interview stage's outcome
+     * Candidates never move back: a candidate already past the stage, hired or rejected is left as is.
+     * @param {Object} candidate - {current_stage, status}
+     * @param {string} stage - Interview stage the scorecards are for
+     * @param {string} outcome - From getStageOutcome
+     * @returns {Object|null} {current_stage, status} or null when nothing changes
+     */
+    function getCandidateUpdate(candidate, stage, outcome) {
+        const current = candidate?.current_stage || 'Applied';
+        if (!outcome || ['Hired', 'Rejected'].includes(current)) return null;
+        if (STAGE_ORDER.indexOf(current) > STAGE_ORDER.indexOf(stage)) return null;
+
+        let update = { current_stage: stage, status: 'On Hold' };
+        if (outcome === 'advance') update = { current_stage: NEXT_STAGE[stage], status: 'Active' };
+        if (outcome === 'reject') update = { current_stage: 'Rejected', status: 'Failed' };
+
+        if (update.current_stage === current && update.status === candidate.status) return null;
+        return update;
+    }
+
+    // ================================================
+    // PUBLIC API
+    // ================================================
+
+    return {
+        STAGE_ORDER,
+        INTERVIEW_STAGES,
+        NEXT_STAGE,
+        RATING_SCALE,
+        RECOMMENDATIONS,
+        DEFAULT_CRITERIA,
+        validateCriterion,
+        selectCriteria,
+        computeScore,
+        validateScorecard,
+        summarizeScorecards,
+        getStageOutcome,
+        getCandidateUpdate
+    };
+})();
+
+// ================================================
+// EXPOSE MODULE (Browser global + Node require)
+// ================================================
+
+if (typeof window !== 'undefined') {
+    window.InterviewScorecard = InterviewScorecard;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InterviewScorecard;
+}
@@ -0,0 +1,582 @@
+// ================================================
+// SWAP HRIS - LEAVE ACCRUAL ENGINE
+// leave-accrual.js - Version 1.0
+// ================================================
+
+// ⚠️ DEPENDENCIES: None (pure functions, works in browser and Node)
+// ⚠️ PROVIDES: Leave entitlements per leave_policies row (yearly / monthly accrual after the
+//              service requirement, prorated for joiners), carry-over caps and expiry, fixed
+//              quotas for special leave (marriage, maternity, bereavement) and the balance
+//              ledger entries (accrual, usage, adjustment) behind every leave balance
+
+const LeaveAccrual = (() => {
+    'use strict';
+
+    // ================================================
+    // SECTION 1: CONSTANTS
+    // ================================================
+
+    // leave_policies.accrual_type
+    const ACCRUAL_TYPES = {
+        yearly: 'Yearly (1 January)',
+        monthly: 'Monthly',
+        fixed: 'Fixed quota per request',
+        none: 'No balance'
+    };
+
+    // leave_balance_ledger.entry_type
+    const LEDGER_ENTRY_TYPES = {
+        accrual: 'Accrual',
+        carry_over: 'Carry-over',
+        usage: 'Usage',
+        reversal: 'Usage reversed',
+        adjustment: 'Adjustment',
+        expiry: 'Expired'
+    };
+
+    // Starting points for new policies (UU 13/2003 Pasal 79, 82 and 93)
+    const LEAVE_POLICY_PRESETS = {
+        annual: {
+            name: 'Cuti Tahunan',
+            accrual_type: 'yearly',
+            entitlement_days: 12,
+            min_service_months: 12,
+            prorate_first_year: true,
+            carry_over_max_days: 6,
+            carry_over_expiry_months: 6,
+            deduct_cuti_bersama: true
+        },
+        marriage: { name: 'Cuti Menikah', accrual_type: 'fixed', entitlement_days: 3 },
+        maternity: { name: 'Cuti Melahirkan', accrual_type: 'fixed', entitlement_months: 3 },
+        bereavement: { name: 'Cuti Duka', accrual_type: 'fixed', entitlement_days: 2 },
+        unpaid: { name: 'Izin Tidak Dibayar', accrual_type: 'none' }
+    };
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // ================================================
+    // SECTION 2: DATE HELPERS
+    // ================================================
+
+    const pad = n => String(n).padStart(2, '0');
+
+    const round2 = n => Math.round(n * 100) / 100;
+
+    /**
+     * Add calendar months to a YYYY-MM-DD date (31 Jan + 1 month → 28/29 Feb)
+     * @param {string} date
+     * @param {number} months
+     * @returns {string} YYYY-MM-DD
+     */
+    function addMonths(date, months) {
+        const [year, month, day] = date.slice(0, 10).split('-').map(Number);
+        const target = new Date(Date.UTC(year, month - 1 + months, 1));
+        const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+        target.setUTCDate(Math.min(day, lastDay));
+        return target.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Add days to a YYYY-MM-DD date
+     * @returns {string} YYYY-MM-DD
+     */
+    function addDays(date, days) {
+        const next = new Date(`${date.slice(0, 10)}T00:00:00Z`);
+        next.setUTCDate(next.getUTCDate() + days);
+        return next.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Calendar days from start to end (inclusive)
+     */
+    function countCalendarDays(start, end) {
+        return Math.round((new Date(`${end}T00:00:00Z`) - new Date(`${start}T00:00:00Z`)) / DAY_MS) + 1;
+    }
+
+    // ================================================
+    // SECTION 3: POLICIES
+    // ================================================
+
+    /**
+     * Read a leave_policies row with defaults for the accrual columns
+     * Rows without accrual_type accrue nothing (accrual_type 'none').
+     * @param {Object} policy - leave_policies row
+     * @returns {Object} Normalized policy
+     */
+    function normalizePolicy(policy) {
+        const accrualType = ACCRUAL_TYPES[policy?.accrual_type] ? policy.accrual_type : 'none';
+        return {
+            id: policy?.id || null,
+            name: policy?.name || '',
+            accrual_type: accrualType,
+            entitlement_days: Math.max(0, Number(policy?.entitlement_days) || 0),
+            entitlement_months: Math.max(0, Number(policy?.entitlement_months) || 0),
+            min_service_months: Math.max(0, Number(policy?.min_service_months) || 0),
+            prorate_first_year: policy?.prorate_first_year !== false,
+            carry_over_max_days: Math.max(0, Number(policy?.carry_over_max_days) || 0),
+            carry_over_expiry_months: Math.max(0, Number(policy?.carry_over_expiry_months) || 0),
+            deduct_cuti_bersama: !!policy?.deduct_cuti_bersama,
+            allow_negative_balance: !!policy?.allow_negative_balance
+        };
+    }
+
+    /**
+     * Whether a policy keeps a running balance (yearly / monthly accrual)
+     * @param {Object} policy
+     * @returns {boolean}
+     */
+    function hasBalance(policy) {
+        const type = normalizePolicy(policy).accrual_type;
+        return type === 'yearly' || type === 'monthly';
+    }
+
+    /**
+     * Validate a policy before saving
+     * @param {Object} policy
+     * @returns {Array<string>} Error messages (empty when valid)
+     */
+    function validatePolicy(policy) {
+        const errors = [];
+        const p = normalizePolicy(policy);
+        if (!String(policy?.name || '').trim()) errors.push('Policy name is required');
+        if (!ACCRUAL_TYPES[policy?.accrual_type]) errors.push('Select an accrual type');
+        if ((p.accrual_type === 'yearly' || p.accrual_type === 'monthly') && !p.entitlement_days) {
+            errors.push('Entitlement days are required');
+        }
+        if (p.accrual_type === 'fixed' && !p.entitlement_days && !p.entitlement_months) {
+            errors.push('Enter the quota in days or months');
+        }
+        return errors;
+    }
+
+    /**
+     * Find the policy of a leave request: by leave_policy_id, else by leave type name
+     * (legacy sheet rows only carry the name)
+     * @param {Array} policies - leave_policies rows
+     * @param {Object} leave - {leave_policy_id, leave_type}
+     * @returns {Object|null}
+     */
+    function resolvePolicy(policies, leave) {
+        const list = policies || [];
+        if (leave?.leave_policy_id) {
+            const byId = list.find(policy => policy.id === leave.leave_policy_id);
+            if (byId) return byId;
+        }
+        const name = String(leave?.leave_type || '').trim().toLowerCase();
+        return list.find(policy => String(policy.name || '').trim().toLowerCase() === name) || null;
+    }
+
+    /**
+     * Date the employee becomes entitled (join date + service requirement)
+     * @param {Object} employee - {join_date}
+     * @param {Object} policy
+     * @returns {string|null} YYYY-MM-DD
+     */
+    function getEligibilityDate(employee, policy) {
+        if (!employee?.join_date) return null;
+        return addMonths(employee.join_date, normalizePolicy(policy).min_service_months);
+    }
+
+    /**
+     * Fixed quota of a special leave in days
+     * Month quotas (maternity) are calendar days counted from the leave start date.
+     * @param {Object} policy
+     * @param {string} [startDate] - YYYY-MM-DD
+     * @returns {Object} {days, calendar: boolean}
+     */
+    function getFixedQuota(policy, startDate) {
+        const p = normalizePolicy(policy);
+        if (p.entitlement_months && startDate) {
+            return { days: countCalendarDays(startDate, addDays(addMonths(startDate, p.entitlement_months), -1)), calendar: true };
+        }
+        return { days: p.entitlement_days, calendar: false };
+    }
+
+    // ================================================
+    // SECTION 4: LEDGER ENTRIES
+    // ================================================
+
+    /**
+     * Build one ledger entry
+     * source_ref is unique in leave_balance_ledger, so planning the same entry twice posts it once.
+     */
+    function entry(employee, policy, fields) {
+        return {
+            employee_id: employee.id,
+            leave_policy_id: policy.id,
+            expires_at: null,
+            leave_id: null,
+            note: null,
+            ...fields,
+            days: round2(fields.days)
+        };
+    }
+
+    /**
+     * Entitlement entries of a year up to a date
+     * - yearly: one entry on 1 January, or on the eligibility date in the first year,
+     *   prorated by the full months left in that year (rounded down to whole days)
+     * - monthly: entitlement / 12 on the 1st of every month from eligibility
+     * Nothing accrues after the resign date.
+     * @param {Object} employee - {id, join_date, resign_date}
+     * @param {Object} policy - leave_policies row
+     * @param {number} year
+     * @param {string} asOf - YYYY-MM-DD
+     * @returns {Array} Ledger entries
+     */
+    function buildAccrualEntries(employee, policy, year, asOf) {
+        const p = normalizePolicy(policy);
+        const eligible = getEligibilityDate(employee, policy);
+        if (!hasBalance(policy) || !eligible || !p.entitlement_days) return [];
+
+        const yearStart = `${year}-01-01`;
+        const last = [asOf, employee.resign_date, `${year}-12-31`].filter(Boolean).sort()[0];
+        if (eligible > last) return [];
+
+        if (p.accrual_type === 'monthly') {
+            const entries = [];
+            for (let month = 1; month <= 12; month++) {
+                const monthStart = `${year}-${pad(month)}-01`;
+                if (monthStart > last) break;
+                if (monthStart < eligible) continue;
+                entries.push(entry(employee, policy, {
+                    year,
+                    entry_type: 'accrual',
+                    entry_date: monthStart,
+                    days: p.entitlement_days / 12,
+                    source_ref: `accrual:${employee.id}:${policy.id}:${year}-${pad(month)}`,
+                    note: `Monthly accrual ${monthStart.slice(0, 7)}`
+                }));
+            }
+            return entries;
+        }
+
+        const date = eligible > yearStart ? eligible : yearStart;
+        let days = p.entitlement_days;
+        let note = `${year} entitlement`;
+
+        if (eligible > yearStart && p.prorate_first_year) {
+            // Full months left after the eligibility date (eligible on the 1st counts that month)
+            const firstFullMonth = eligible.slice(8) === '01' ? eligible : addMonths(`${eligible.slice(0, 8)}01`, 1);
+            const months = firstFullMonth.slice(0, 4) === String(year) ? 13 - Number(firstFullMonth.slice(5, 7)) : 0;
+            days = Math.floor(p.entitlement_days * months / 12);
+            note = `${year} entitlement prorated ${months}/12 (eligible ${eligible})`;
+        }
+
+        if (days <= 0) return [];
+        return [entry(employee, policy, {
+            year,
+            entry_type: 'accrual',
+            entry_date: date,
+            days,
+            source_ref: `accrual:${employee.id}:${policy.id}:${year}`,
+            note
+        })];
+    }
+
+    /**
+     * Cuti bersama taken from annual leave, one usage entry per date
+     * Dates before the employee is entitled are company-paid and not deducted.
+     * @param {Object} employee - {id, join_date, resign_date}
+     * @param {Object} policy - leave_policies row
+     * @param {Array<string>} dates - From HolidayCalendar.getLeaveDeductibleDays
+     * @param {string} asOf - YYYY-MM-DD
+     * @returns {Array} Ledger entries
+     */
+    function buildCutiBersamaEntries(employee, policy, dates, asOf) {
+        const eligible = getEligibilityDate(employee, policy);
+        if (!hasBalance(policy) || !normalizePolicy(policy).deduct_cuti_bersama || !eligible) return [];
+
+        return (dates || [])
+            .filter(date => date >= eligible && date <= asOf && (!employee.resign_date || date <= employee.resign_date))
+            .map(date => entry(employee, policy, {
+                year: Number(date.slice(0, 4)),
+                entry_type: 'usage',
+                entry_date: date,
+                days: -1,
+                source_ref: `cuti_bersama:${employee.id}:${policy.id}:${date}`,
+                note: 'Cuti bersama'
+            }));
+    }
+
+    /**
+     * Usage of an approved leave request, or its reversal once cancelled / rejected
+     * Counted in the year the leave starts.
+     * @param {Object} leave - leaves row ({id, employee_id, status, start_date, end_date, total_days, leave_type})
+     * @param {Object} policy - leave_policies row
+     * @param {boolean} posted - Whether the usage was already posted
+     * @returns {Array} Ledger entries
+     */
+    function buildUsageEntries(leave, policy, posted) {
+        const days = Number(leave.total_days) || 0;
+        if (!days || normalizePolicy(policy).accrual_type === 'none') return [];
+
+        const employee = { id: leave.employee_id };
+        const base = {
+            year: Number(leave.start_date.slice(0, 4)),
+            entry_date: leave.start_date,
+            leave_id: leave.id
+        };
+
+        if (leave.status === 'approved') {
+            return [entry(employee, policy, {
+                ...base,
+                entry_type: 'usage',
+                days: -days,
+                source_ref: `usage:${leave.id}`,
+                note: `${leave.leave_type} ${leave.start_date} – ${leave.end_date}`
+            })];
+        }
+        if (posted && (leave.status === 'cancelled' || leave.status === 'rejected')) {
+            return [entry(employee, policy, {
+                ...base,
+                entry_type: 'reversal',
+                days,
+                source_ref: `reversal:${leave.id}`,
+                note: `${leave.leave_type} ${leave.start_date} – ${leave.end_date} ${leave.status}`
+            })];
+        }
+        return [];
+    }
+
+    /**
+     * Carry the previous year's balance into 1 January, up to the policy cap
+     * Days above the cap are forfeited on 31 December of the previous year.
+     * @param {Object} employee - {id}
+     * @param {Object} policy - leave_policies row
+     * @param {number} year - Year receiving the carry-over
+     * @param {Array} previousEntries - Ledger entries of year - 1
+     * @param {string} asOf - YYYY-MM-DD
+     * @returns {Array} Ledger entries
+     */
+    function buildCarryOverEntries(employee, policy, year, previousEntries, asOf) {
+        const p = normalizePolicy(policy);
+        const yearStart = `${year}-01-01`;
+        if (!hasBalance(policy) || !previousEntries?.length || yearStart > asOf) return [];
+
+        const remaining = Math.max(0, summarizeLedger(previousEntries).balance);
+        const carried = Math.min(remaining, p.carry_over_max_days);
+        const entries = [];
+
+        if (remaining > carried) {
+            entries.push(entry(employee, policy, {
+                year: year - 1,
+                entry_type: 'expiry',
+                entry_date: `${year - 1}-12-31`,
+                days: -(remaining - carried),
+                source_ref: `forfeit:${employee.id}:${policy.id}:${year - 1}`,
+                note: p.carry_over_max_days
+                    ? `Above the carry-over cap of ${p.carry_over_max_days} days`
+                    : 'Unused balance (no carry-over)'
+            }));
+        }
+        if (carried > 0) {
+            entries.push(entry(employee, policy, {
+                year,
+                entry_type: 'carry_over',
+                entry_date: yearStart,
+                days: carried,
+                expires_at: p.carry_over_expiry_months ? addDays(addMonths(yearStart, p.carry_over_expiry_months), -1) : null,
+                source_ref: `carry:${employee.id}:${policy.id}:${year}`,
+                note: `Carried over from ${year - 1}`
+            }));
+        }
+        return entries;
+    }
+
+    /**
+     * Expire carried-over days not used by their expiry date (carried days are used first)
+     * @param {Object} employee - {id}
+     * @param {Object} policy - leave_policies row
+     * @param {number} year
+     * @param {Array} entries - Ledger entries of the year
+     * @param {string} asOf - YYYY-MM-DD
+     * @returns {Array} Ledger entries
+     */
+    function buildCarryExpiryEntries(employee, policy, year, entries, asOf) {
+        const carry = (entries || []).find(item => item.entry_type === 'carry_over');
+        if (!carry?.expires_at || asOf <= carry.expires_at) return [];
+
+        const usedBefore = usedUntil(entries, carry.expires_at);
+        const expired = Number(carry.days) - Math.min(Number(carry.days), usedBefore);
+        if (expired <= 0) return [];
+
+        return [entry(employee, policy, {
+            year,
+            entry_type: 'expiry',
+            entry_date: carry.expires_at,
+            days: -expired,
+            source_ref: `expire:${employee.id}:${policy.id}:${year}`,
+            note: `Carried-over days expired ${carry.expires_at}`
+        })];
+    }
+
+    /**
+     * Days used (usage net of reversals) up to a date
+     */
+    function usedUntil(entries, date) {
+        return -(entries || [])
+            .filter(item => (item.entry_type === 'usage' || item.entry_type === 'reversal') && item.entry_date <= date)
+            .reduce((sum, item) => sum + Number(item.days), 0);
+    }
+
+    // ================================================
+    // SECTION 5: SYNC PLAN & BALANCES
+    // ================================================
+
+    /**
+     * Ledger entries missing for one employee and policy in a year
+     * Carry-over first (it depends on last year's balance), then accruals, cuti bersama and
+     * leave usage, then expiry of carried days (it depends on usage).
+     * Carry-over is keyed once per year, so it is held back until year - 1 has been synced
+     * through 31 December: a partial year - 1 ledger would freeze a wrong carry-over.
+     * @param {Object} input
+     * @param {Object} input.employee - {id, join_date, resign_date}
+     * @param {Object} input.policy - leave_policies row
+     * @param {number} input.year
+     * @param {string} input.asOf - YYYY-MM-DD
+     * @param {Array} input.entries - Existing ledger entries of year - 1 and year
+     * @param {Array} [input.leaves] - Approved / cancelled / rejected leaves of the policy starting in the year
+     * @param {Array<string>} [input.cutiBersamaDates] - Deductible cuti bersama dates of the year
+     * @param {boolean} [input.previousYearClosed] - Whether year - 1 was synced through 31 December
+     * @returns {Array} New ledger entries
+     */
+    function planLedgerSync({
+        employee, policy, year, asOf, entries = [], leaves = [], cutiBersamaDates = [], previousYearClosed = false
+    }) {
+        const existing = new Set(entries.map(item => item.source_ref));
+        const planned = [];
+        const add = items => items.forEach(item => {
+            if (existing.has(item.source_ref)) return;
+            existing.add(item.source_ref);
+            planned.push(item);
+        });
+
+        if (previousYearClosed) {
+            const previous = entries.filter(item => Number(item.year) === year - 1);
+            add(buildCarryOverEntries(employee, policy, year, previous, asOf));
+        }
+        add(buildAccrualEntries(employee, policy, year, asOf));
+        add(buildCutiBersamaEntries(employee, policy, cutiBersamaDates, asOf));
+        leaves.forEach(leave => add(buildUsageEntries(leave, policy, existing.has(`usage:${leave.id}`))));
+
+        const current = [...entries, ...planned].filter(item => Number(item.year) === year);
+        add(buildCarryExpiryEntries(employee, policy, year, current, asOf));
+
+        return planned;
+    }
+
+    /**
+     * Balance of one employee and policy in a year
+     * @param {Array} entries - Ledger entries of the year
+     * @param {string} [asOf] - YYYY-MM-DD, for the carried-over days still usable
+     * @returns {Object} {accrued, carried_over, used, adjusted, expired, entitled, balance,
+     *                    carry_remaining, carry_expires_at}
+     */
+    function summarizeLedger(entries, asOf = null) {
+        const sum = type => (entries || [])
+            .filter(item => item.entry_type === type)
+            .reduce((total, item) => total + Number(item.days), 0);
+
+        const summary = {
+            accrued: round2(sum('accrual')),
+            carried_over: round2(sum('carry_over')),
+            used: round2(-(sum('usage') + sum('reversal'))),
+            adjusted: round2(sum('adjustment')),
+            expired: round2(-sum('expiry')),
+            carry_remaining: 0,
+            carry_expires_at: null
+        };
+        summary.entitled = round2(summary.accrued + summary.carried_over + summary.adjusted);
+        summary.balance = round2(summary.entitled - summary.used - summary.expired);
+
+        const carry = (entries || []).find(item => item.entry_type === 'carry_over');
+        if (carry?.expires_at && (!asOf || asOf <= carry.expires_at)) {
+            summary.carry_expires_at = carry.expires_at;
+            summary.carry_remaining = round2(Math.max(0, Number(carry.days) - usedUntil(entries, carry.expires_at)));
+        }
+        return summary;
+    }
+
+    /**
+     * Check a leave request against the policy
+     * - balance policies: working days against the balance (unless negative balances are allowed)
+     * - fixed quotas: working days (or calendar days for month quotas) against the quota per request
+     * @param {Object} policy - leave_policies row
+     * @param {Object} request - {start_date, end_date, total_days}
+     * @param {Object} [summary] - summarizeLedger result (balance policies)
+     * @returns {Object} {ok, available, requested, unit, message}
+     */
+    function checkRequest(policy, request, summary = null) {
+        const p = normalizePolicy(policy);
+        const requested = Number(request.total_days) || 0;
+
+        if (p.accrual_type === 'fixed') {
+            const quota = getFixedQuota(policy, request.start_date);
+            const used = quota.calendar ? countCalendarDays(request.start_date, request.end_date) : requested;
+            const unit = quota.calendar ? 'calendar days' : 'days';
+            return {
+                ok: used <= quota.days,
+                available: quota.days,
+                requested: used,
+                unit,
+                message: used <= quota.days
+                    ? `${p.name} quota: ${quota.days} ${unit} per request`
+                    : `${p.name} allows ${quota.days} ${unit} per request (${used} requested)`
+            };
+        }
+
+        if (!hasBalance(policy)) {
+            return { ok: true, available: null, requested, unit: 'days', message: '' };
+        }
+
+        const available = summary ? summary.balance : 0;
+        const ok = requested <= available || p.allow_negative_balance;
+        return {
+            ok,
+            available,
+            requested,
+            unit: 'days',
+            message: requested <= available
+                ? `${available} days available, ${round2(available - requested)} left after this request`
+                : `Only ${available} days available (${requested} requested)`
+        };
+    }
+
+    // ================================================
+    // PUBLIC API
+    // ================================================
+
+    return {
+        ACCRUAL_TYPES,
+        LEDGER_ENTRY_TYPES,
+        LEAVE_POLICY_PRESETS,
+        addMonths,
+        normalizePolicy,
+        hasBalance,
+        validatePolicy,
+        resolvePolicy,
+        getEligibilityDate,
+        getFixedQuota,
+        buildAccrualEntries,
+        buildCutiBersamaEntries,
+        buildUsageEntries,
+        buildCarryOverEntries,
+        buildCarryExpiryEntries,
+        planLedgerSync,
+        summarizeLedger,
+        checkRequest
+    };
+})();
+
+// ================================================
+// EXPOSE MODULE (Browser global + Node require)
+// ================================================
+
+if (typeof window !== 'undefined') {
+    window.LeaveAccrual = LeaveAccrual;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LeaveAccrual;
+}
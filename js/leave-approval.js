@@ -0,0 +1,401 @@
+// ================================================
+// SWAP HRIS - LEAVE APPROVAL CHAIN
+// leave-approval.js - Version 1.0
+// ================================================
+
+// ⚠️ DEPENDENCIES: None (pure functions, works in browser and Node)
+// ⚠️ PROVIDES: Approval chain selection per department / leave policy (direct supervisor →
+//              department head → HR), approver resolution with delegation, per-step SLA,
+//              escalation and skipping of steps without an available approver
+
+const LeaveApproval = (() => {
+    'use strict';
+
+    // ================================================
+    // SECTION 1: CONSTANTS
+    // ================================================
+
+    const APPROVER_ROLES = {
+        supervisor: 'Direct Supervisor',
+        department_head: 'Department Head',
+        hr: 'HR'
+    };
+
+    const DEFAULT_SLA_DAYS = 2;
+
+    // Used when no chain matches the employee's department / leave policy
+    const DEFAULT_CHAIN = {
+        id: null,
+        name: 'Default',
+        steps: [
+            { role: 'supervisor', sla_days: DEFAULT_SLA_DAYS },
+            { role: 'department_head', sla_days: DEFAULT_SLA_DAYS },
+            { role: 'hr', sla_days: DEFAULT_SLA_DAYS }
+        ]
+    };
+
+    // Users without a role get no HR rights (auth.js only shows them as 'HR Administrator')
+    const HR_ROLE_PATTERN = /\bhr\b|human resource|admin/i;
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // ================================================
+    // SECTION 2: CHAIN CONFIGURATION
+    // ================================================
+
+    /**
+     * Normalize chain steps: known roles only, each role once, levels from 1
+     * @param {Array} steps - [{role, sla_days}]
+     * @returns {Array} [{level, role, label, sla_days}]
+     */
+    function normalizeSteps(steps) {
+        const seen = new Set();
+
+        return (steps || [])
+            .filter(step => APPROVER_ROLES[step?.role] && !seen.has(step.role) && seen.add(step.role))
+            .map((step, index) => ({
+                level: index + 1,
+                role: step.role,
+                label: APPROVER_ROLES[step.role],
+                sla_days: Math.max(1, Math.round(Number(step.sla_days) || DEFAULT_SLA_DAYS))
+            }));
+    }
+
+    /**
+     * Validate a chain before saving
+     * @param {Object} chain - {name, steps}
+     * @returns {Array<string>} Error messages (empty when valid)
+     */
+    function validateChain(chain) {
+        const errors = [];
+        if (!String(chain?.name || '').trim()) errors.push('Chain name is required');
+        if (normalizeSteps(chain?.steps).length === 0) errors.push('Select at least one approval step');
+        return errors;
+    }
+
+    /**
+     * Pick the most specific active chain for a request
+     * Department + leave policy > leave policy > department > chain for everyone > built-in default
+     * @param {Array} chains - Rows from leave_approval_chains
+     * @param {Object} request - {department_id, leave_policy_id}
+     * @returns {Object} {chain_id, name, steps}
+     */
+    function selectChain(chains, request = {}) {
+        let best = null;
+        let bestScore = -1;
+
+        (chains || []).forEach(chain => {
+            if (chain.is_active === false) return;
+            if (chain.department_id && chain.department_id !== request.department_id) return;
+            if (chain.leave_policy_id && chain.leave_policy_id !== request.leave_policy_id) return;
+            if (normalizeSteps(chain.steps).length === 0) return;
+
+            const score = (chain.leave_policy_id ? 2 : 0) + (chain.department_id ? 1 : 0);
+            if (score > bestScore) {
+                best = chain;
+                bestScore = score;
+            }
+        });
+
+        const chain = best || DEFAULT_CHAIN;
+        return { chain_id: chain.id, name: chain.name, steps: normalizeSteps(chain.steps) };
+    }
+
+    // ================================================
+    // SECTION 3: APPROVER RESOLUTION
+    // ================================================
+
+    /**
+     * Whether a delegation covers a date
+     * @param {Object} delegation - {start_date, end_date, is_active}
+     * @param {string} date - YYYY-MM-DD
+     * @returns {boolean}
+     */
+    function isDelegationActive(delegation, date) {
+        if (delegation.is_active === false) return false;
+        if (delegation.start_date && delegation.start_date > date) return false;
+        return !delegation.end_date || delegation.end_date >= date;
+    }
+
+    /**
+     * Resolve who approves a step for an employee
+     * - supervisor: employees.supervisor_id
+     * - department_head: departments.head_employee_id of the employee's department
+     * - hr: any user with an HR / admin role
+     * An approver with an active delegation hands the step to the delegate; an approver on
+     * leave without one is unavailable and the step is skipped.
+     *
+     * @param {string} role - Step role
+     * @param {Object} employee - Requesting employee ({id, supervisor_id, department_id})
+     * @param {Object} context - {employeesById: Map, departmentsById: Map, delegations: [], onLeaveIds: Set}
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Object} {role, approver, delegate, missing, unavailable}
+     */
+    function resolveApprover(role, employee, context, date) {
+        const result = { role, approver: null, delegate: null, missing: false, unavailable: false };
+        if (role === 'hr') return result;
+
+        const approverId = role === 'supervisor'
+            ? employee?.supervisor_id
+            : context.departmentsById?.get(employee?.department_id)?.head_employee_id;
+        const approver = approverId ? context.employeesById?.get(approverId) : null;
+
+        // Nobody approves their own leave
+        if (!approver || approver.id === employee?.id || approver.is_active === false) {
+            result.missing = true;
+            return result;
+        }
+        result.approver = approver;
+
+        const delegation = (context.delegations || []).find(item =>
+            item.approver_employee_id === approver.id && isDelegationActive(item, date)
+        );
+        const delegate = delegation ? context.employeesById?.get(delegation.delegate_employee_id) : null;
+
+        if (delegate && delegate.id !== employee?.id) {
+            result.delegate = delegate;
+        } else if (context.onLeaveIds?.has(approver.id)) {
+            result.unavailable = true;
+        }
+
+        return result;
+    }
+
+    /**
+     * Whether the signed-in user may decide the current step
+     * HR may also decide a last step whose approver is missing or on leave.
+     * Nobody decides their own request, HR included.
+     * @param {Object} resolved - From resolveApprover
+     * @param {Object} actor - {employee_id, is_hr}
+     * @param {boolean} isLastStep
+     * @param {string} [requesterId] - leaves.employee_id
+     * @returns {boolean}
+     */
+    function canDecide(resolved, actor, isLastStep = false, requesterId = null) {
+        if (!actor) return false;
+        if (requesterId && actor.employee_id === requesterId) return false;
+        if (resolved.role === 'hr') return !!actor.is_hr;
+        if (isLastStep && (resolved.missing || resolved.unavailable)) return !!actor.is_hr;
+        if (!actor.employee_id) return false;
+        return [resolved.approver?.id, resolved.delegate?.id].includes(actor.employee_id);
+    }
+
+    /**
+     * Human readable approver of a step ("Budi Santoso (delegated to Sari Dewi)")
+     * @param {Object} resolved - From resolveApprover
+     * @returns {string}
+     */
+    function describeApprover(resolved) {
+        if (resolved.role === 'hr') return 'HR';
+        if (resolved.missing) return `${APPROVER_ROLES[resolved.role]} (not assigned)`;
+
+        const name = resolved.approver.full_name;
+        if (resolved.delegate) return `${name} (delegated to ${resolved.delegate.full_name})`;
+        if (resolved.unavailable) return `${name} (on leave)`;
+        return name;
+    }
+
+    /**
+     * Whether a user role counts as HR
+     * @param {string} role - user_metadata.role
+     * @returns {boolean}
+     */
+    function isHrRole(role) {
+        return !!role && HR_ROLE_PATTERN.test(role);
+    }
+
+    // ================================================
+    // SECTION 4: STEP STATE & SLA
+    // ================================================
+
+    /**
+     * Current step of a pending leave
+     * Leaves without a stored chain (imported rows) follow the default chain.
+     * @param {Object} leave - Row from leaves
+     * @returns {Object} {step, steps, is_last}
+     */
+    function getCurrentStep(leave) {
+        const steps = normalizeSteps(leave.approval_chain?.length ? leave.approval_chain : DEFAULT_CHAIN.steps);
+        const step = steps.find(item => item.level === (leave.approval_level || 1)) || steps[0];
+        return { step, steps, is_last: step.level === steps.length };
+    }
+
+    /**
+     * SLA of the current step of a pending leave
+     * @param {Object} leave - Row from leaves
+     * @param {Date} now
+     * @returns {Object|null} {step, steps, is_last, started_at, due_at, pending_days, hours_left, overdue_days, is_overdue}
+     */
+    function getSlaStatus(leave, now = new Date()) {
+        if (leave.status !== 'pending') return null;
+
+        const { step, steps, is_last } = getCurrentStep(leave);
+        const startedAt = new Date(leave.step_started_at || leave.created_at || now);
+        const dueAt = new Date(startedAt.getTime() + step.sla_days * DAY_MS);
+        const msLeft = dueAt - now;
+
+        return {
+            step,
+            steps,
+            is_last,
+            started_at: startedAt.toISOString(),
+            due_at: dueAt.toISOString(),
+            pending_days: Math.max(0, Math.floor((now - new Date(leave.created_at || startedAt)) / DAY_MS)),
+            hours_left: Math.floor(msLeft / (60 * 60 * 1000)),
+            overdue_days: msLeft < 0 ? Math.ceil(-msLeft / DAY_MS) : 0,
+            is_overdue: msLeft < 0
+        };
+    }
+
+    // ================================================
+    // SECTION 5: DECISIONS & ESCALATION
+    // ================================================
+
+    /**
+     * Build the leaves update for an approve / reject decision on the current step
+     * @param {Object} leave - Row from leaves
+     * @param {Object} decision - {decision: 'approve'|'reject', note, actor, resolved}
+     * @param {Date} now
+     * @returns {Object} Update for the leaves row
+     */
+    function buildDecision(leave, { decision, note = '', actor = {}, resolved = {} }, now = new Date()) {
+        const { step, is_last } = getCurrentStep(leave);
+        const decidedAt = now.toISOString();
+        const onBehalfOf = resolved.delegate && resolved.delegate.id === actor.employee_id
+            ? resolved.approver.id
+            : null;
+
+        const update = {
+            approvals: [...(leave.approvals || []), {
+                level: step.level,
+                role: step.role,
+                label: step.label,
+                decision,
+                note: String(note || '').trim(),
+                approver_id: actor.user_id || null,
+                approver_email: actor.email || null,
+                approver_employee_id: actor.employee_id || null,
+                on_behalf_of: onBehalfOf,
+                decided_at: decidedAt
+            }]
+        };
+
+        if (decision === 'reject') {
+            update.status = 'rejected';
+            update.approval_notes = String(note || '').trim();
+        } else if (is_last) {
+            update.status = 'approved';
+            update.approved_at = decidedAt;
+            if (note) update.approval_notes = String(note).trim();
+        } else {
+            update.approval_level = step.level + 1;
+            update.step_started_at = decidedAt;
+        }
+
+        return update;
+    }
+
+    /**
+     * Why the current step should move on without a decision
+     * @param {Object} leave - Row from leaves (pending)
+     * @param {Object} resolved - From resolveApprover for the current step
+     * @param {Date} now
+     * @param {Object} options - {sla: true to escalate overdue steps}
+     * @returns {Object|null} {decision: 'skipped'|'escalated', note}
+     */
+    function getEscalationReason(leave, resolved, now = new Date(), options = {}) {
+        const { step } = getCurrentStep(leave);
+
+        if (resolved.missing) {
+            return { decision: 'skipped', note: `No ${step.label.toLowerCase()} assigned` };
+        }
+        if (resolved.unavailable) {
+            return { decision: 'skipped', note: `${resolved.approver.full_name} is on leave without a delegate` };
+        }
+        if (options.sla) {
+            const sla = getSlaStatus(leave, now);
+            if (sla?.is_overdue) {
+                return { decision: 'escalated', note: `No decision within ${step.sla_days} day(s)` };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Move a pending leave past steps that are skipped or escalated
+     * The last step is never passed: it stays pending (and overdue) until HR decides.
+     * @param {Object} leave - Row from leaves
+     * @param {Object} employee - Requesting employee
+     * @param {Object} context - Approver context (see resolveApprover)
+     * @param {Object} options - {date: YYYY-MM-DD, now: Date, sla: boolean}
+     * @returns {Object|null} Update for the leaves row, null when nothing changes
+     */
+    function advanceApproval(leave, employee, context, options = {}) {
+        const now = options.now || new Date();
+        const date = options.date || now.toISOString().slice(0, 10);
+        let current = { ...leave };
+        let update = null;
+
+        while (current.status === 'pending') {
+            const { step, is_last } = getCurrentStep(current);
+            if (is_last) break;
+
+            const resolved = resolveApprover(step.role, employee, context, date);
+            const reason = getEscalationReason(current, resolved, now, options);
+            if (!reason) break;
+
+            const change = {
+                approvals: [...(current.approvals || []), {
+                    level: step.level,
+                    role: step.role,
+                    label: step.label,
+                    decision: reason.decision,
+                    note: reason.note,
+                    approver_id: null,
+                    decided_at: now.toISOString()
+                }],
+                approval_level: step.level + 1,
+                step_started_at: now.toISOString()
+            };
+            update = { ...(update || {}), ...change };
+            current = { ...current, ...change };
+        }
+
+        return update;
+    }
+
+    // ================================================
+    // PUBLIC API
+    // ================================================
+
+    return {
+        APPROVER_ROLES,
+        DEFAULT_CHAIN,
+        DEFAULT_SLA_DAYS,
+        normalizeSteps,
+        validateChain,
+        selectChain,
+        isDelegationActive,
+        resolveApprover,
+        canDecide,
+        describeApprover,
+        isHrRole,
+        getCurrentStep,
+        getSlaStatus,
+        buildDecision,
+        getEscalationReason,
+        advanceApproval
+    };
+})();
+
+// ================================================
+// EXPOSE MODULE (Browser global + Node require)
+// ================================================
+
+if (typeof window !== 'undefined') {
+    window.LeaveApproval = LeaveApproval;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LeaveApproval;
+}
@@ -0,0 +1,288 @@
+// ================================================
+// SWAP HRIS - LEAVE COVERAGE
+// leave-coverage.js - Version 1.0
+// ================================================
+
+// ⚠️ DEPENDENCIES: None (pure functions, works in browser and Node)
+// ⚠️ PROVIDES: Minimum-staffing rules per department and/or outlet (work site), who is off on
+//              each day of a team calendar, and the coverage check run before approving a leave
+
+const LeaveCoverage = (() => {
+    'use strict';
+
+    // ================================================
+    // SECTION 1: CONSTANTS
+    // ================================================
+
+    // employees.work_site values (an empty site means Office)
+    const WORK_SITES = ['Office', 'Bistro'];
+
+    // Leaves that take an employee off duty; pending ones are shown but only counted when approving
+    const OFF_STATUSES = ['approved', 'pending'];
+
+    // ================================================
+    // SECTION 2: STAFFING RULES
+    // ================================================
+
+    const siteOf = employee => employee?.work_site || 'Office';
+
+    /**
+     * Validate a staffing rule before saving
+     * @param {Object} rule - {department_id, work_site, min_on_duty}
+     * @returns {Array<string>} Error messages (empty when valid)
+     */
+    function validateRule(rule) {
+        const errors = [];
+        if (!rule?.department_id && !rule?.work_site) errors.push('Select a department, an outlet or both');
+        if (rule?.work_site && !WORK_SITES.includes(rule.work_site)) errors.push('Outlet must be Office or Bistro');
+
+        const min = Number(rule?.min_on_duty);
+        if (!Number.isInteger(min) || min < 1) errors.push('Minimum on duty must be a whole number of at least 1');
+        return errors;
+    }
+
+    /**
+     * Whether an employee falls under a rule (same department and/or outlet)
+     * @param {Object} rule - {department_id, work_site}
+     * @param {Object} employee - {department_id, work_site}
+     * @returns {boolean}
+     */
+    function matchesRule(rule, employee) {
+        if (rule.department_id && rule.department_id !== employee?.department_id) return false;
+        if (rule.work_site && rule.work_site !== siteOf(employee)) return false;
+        return true;
+    }
+
+    /**
+     * Active rules an employee falls under (a department rule and an outlet rule both apply)
+     * @param {Array} rules - Rows from leave_staffing_rules
+     * @param {Object} employee - {department_id, work_site}
+     * @returns {Array}
+     */
+    function getApplicableRules(rules, employee) {
+        return (rules || []).filter(rule =>
+            rule.is_active !== false && (rule.department_id || rule.work_site) && matchesRule(rule, employee)
+        );
+    }
+
+    /**
+     * Rule scope for messages ("Operations · Bistro", "All departments · Office")
+     * @param {Object} rule - Rule row (departments joined)
+     * @returns {string}
+     */
+    function describeRule(rule) {
+        const department = rule.department_id ? (rule.departments?.name || 'Department') : 'All departments';
+        return rule.work_site ? `${department} · ${rule.work_site}` : department;
+    }
+
+    // ================================================
+    // SECTION 3: DAYS OFF
+    // ================================================
+
+    /**
+     * Calendar dates of a leave (leave_dates, or the start – end range)
+     * @param {Object} leave - {leave_dates, start_date, end_date}
+     * @returns {Array<string>} YYYY-MM-DD
+     */
+    function getLeaveDates(leave) {
+        if (Array.isArray(leave.leave_dates) && leave.leave_dates.length) return leave.leave_dates;
+        if (!leave.start_date) return [];
+
+        const dates = [];
+        const current = new Date(`${leave.start_date}T00:00:00Z`);
+        const last = new Date(`${leave.end_date || leave.start_date}T00:00:00Z`);
+        while (current <= last) {
+            dates.push(current.toISOString().slice(0, 10));
+            current.setUTCDate(current.getUTCDate() + 1);
+        }
+        return dates;
+    }
+
+    /**
+     * Approved and pending leaves per date, one entry per employee (approved wins over pending)
+     * @param {Array} leaves - Leave rows
+     * @param {Array<string>} [dates] - Only these dates (default every leave date)
+     * @returns {Map<string, Map<string, Object>>} date → employee_id → leave
+     */
+    function buildOffIndex(leaves, dates = null) {
+        const wanted = dates ? new Set(dates) : null;
+        const index = new Map();
+
+        (leaves || [])
+            .filter(leave => OFF_STATUSES.includes(leave.status))
+            .forEach(leave => {
+                getLeaveDates(leave)
+                    .filter(date => !wanted || wanted.has(date))
+                    .forEach(date => {
+                        if (!index.has(date)) index.set(date, new Map());
+                        const byEmployee = index.get(date);
+                        const existing = byEmployee.get(leave.employee_id);
+                        if (!existing || (existing.status !== 'approved' && leave.status === 'approved')) {
+                            byEmployee.set(leave.employee_id, leave);
+                        }
+                    });
+            });
+
+        return index;
+    }
+
+    // ================================================
+    // SECTION 4: COVERAGE
+    // ================================================
+
+    /**
+     * Staff on duty under a rule on a date
+     * Headcount is every active employee under the rule; weekly off days are not rostered here.
+     * @param {Object} rule - Staffing rule
+     * @param {Array} employees - Active employees ({id, department_id, work_site})
+     * @param {Map} offOnDate - employee_id → leave (from buildOffIndex)
+     * @param {Object} [options] - {excludeLeaveId: leave left out, extraOffId: employee also taken off}
+     * @returns {Object} {headcount, approved_off, pending_off, on_duty, min_on_duty, short}
+     */
+    function getDayCoverage(rule, employees, offOnDate, options = {}) {
+        const scope = (employees || []).filter(employee => employee.is_active !== false && matchesRule(rule, employee));
+        let approvedOff = 0;
+        let pendingOff = 0;
+
+        scope.forEach(employee => {
+            const leave = offOnDate?.get(employee.id);
+            if (employee.id === options.extraOffId) {
+                approvedOff++;
+            } else if (leave && leave.id !== options.excludeLeaveId) {
+                if (leave.status === 'approved') approvedOff++;
+                else pendingOff++;
+            }
+        });
+
+        const onDuty = scope.length - approvedOff;
+        const min = Number(rule.min_on_duty) || 0;
+        return {
+            headcount: scope.length,
+            approved_off: approvedOff,
+            pending_off: pendingOff,
+            on_duty: onDuty,
+            min_on_duty: min,
+            short: Math.max(0, min - onDuty)
+        };
+    }
+
+    /**
+     * Coverage left if a leave request is approved, on every day of the request and for every
+     * rule the employee falls under. Other pending requests are reported, not counted.
+     * @param {Object} params
+     * @param {Object} params.leave - Leave row ({id, employee_id, leave_dates | start_date, end_date})
+     * @param {Object} params.employee - Requesting employee ({id, department_id, work_site})
+     * @param {Array} params.employees - Active employees
+     * @param {Array} params.leaves - Leaves overlapping the request
+     * @param {Array} params.rules - Staffing rules
+     * @returns {Object} {ok, rules, warnings: [{rule, label, date, ...getDayCoverage}]}
+     */
+    function checkCoverage({ leave, employee, employees, leaves, rules }) {
+        const applicable = getApplicableRules(rules, employee);
+        const dates = getLeaveDates(leave);
+        const offIndex = buildOffIndex(leaves, dates);
+        const warnings = [];
+
+        applicable.forEach(rule => {
+            dates.forEach(date => {
+                const coverage = getDayCoverage(rule, employees, offIndex.get(date), {
+                    excludeLeaveId: leave.id,
+                    extraOffId: leave.employee_id
+                });
+                if (coverage.short > 0) {
+                    warnings.push({ rule, label: describeRule(rule), date, ...coverage });
+                }
+            });
+        });
+
+        return { ok: warnings.length === 0, rules: applicable, warnings };
+    }
+
+    /**
+     * One line per warning ("Operations · Bistro on 2026-03-18: 2 on duty, minimum 3")
+     * @param {Array} warnings - From checkCoverage
+     * @param {Function} [formatDate] - Date formatter (default YYYY-MM-DD)
+     * @returns {Array<string>}
+     */
+    function describeWarnings(warnings, formatDate = date => date) {
+        return (warnings || []).map(warning => {
+            const pending = warning.pending_off ? `, ${warning.pending_off} more pending` : '';
+            return `${warning.label} on ${formatDate(warning.date)}: ${warning.on_duty} on duty, minimum ${warning.min_on_duty}${pending}`;
+        });
+    }
+
+    // ================================================
+    // SECTION 5: TEAM CALENDAR
+    // ================================================
+
+    /**
+     * Who is off on each date of a team, with the coverage of every rule that covers a team member
+     * Rule coverage counts everyone under the rule, not only the team (an outlet rule spans departments).
+     * @param {Object} params
+     * @param {Array} params.members - Team members ({id, full_name, department_id, work_site})
+     * @param {Array<string>} params.dates - YYYY-MM-DD
+     * @param {Array} params.leaves - Leaves overlapping the dates
+     * @param {Array} [params.employees] - Active employees (default the members)
+     * @param {Array} [params.rules] - Staffing rules
+     * @returns {Object} {rules, days: [{date, off: [leave], on_duty, coverage: [{rule, label, ...}], short}]}
+     */
+    function buildTeamCalendar({ members, dates, leaves, employees = null, rules = [] }) {
+        const memberIds = new Set((members || []).map(member => member.id));
+        const teamRules = (rules || []).filter(rule =>
+            rule.is_active !== false && (rule.department_id || rule.work_site) &&
+            (members || []).some(member => matchesRule(rule, member))
+        );
+        const offIndex = buildOffIndex(leaves, dates);
+
+        const days = (dates || []).map(date => {
+            const offOnDate = offIndex.get(date) || new Map();
+            const off = [...offOnDate.values()].filter(leave => memberIds.has(leave.employee_id));
+            const coverage = teamRules.map(rule => ({
+                rule,
+                label: describeRule(rule),
+                ...getDayCoverage(rule, employees || members, offOnDate)
+            }));
+
+            return {
+                date,
+                off,
+                on_duty: memberIds.size - off.filter(leave => leave.status === 'approved').length,
+                coverage,
+                short: coverage.some(item => item.short > 0)
+            };
+        });
+
+        return { rules: teamRules, days };
+    }
+
+    // ================================================
+    // PUBLIC API
+    // ================================================
+
+    return {
+        WORK_SITES,
+        OFF_STATUSES,
+        validateRule,
+        matchesRule,
+        getApplicableRules,
+        describeRule,
+        getLeaveDates,
+        buildOffIndex,
+        getDayCoverage,
+        checkCoverage,
+        describeWarnings,
+        buildTeamCalendar
+    };
+})();
+
+// ================================================
+// EXPOSE MODULE (Browser global + Node require)
+// ================================================
+
+if (typeof window !== 'undefined') {
+    window.LeaveCoverage = LeaveCoverage;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LeaveCoverage;
+}
@@ -0,0 +1,318 @@
+// ================================================
+// SWAP HRIS - LEGACY LEAVE SHEET IMPORT
+// leave-import.js - Version 1.0
+// ================================================
+
+// ⚠️ DEPENDENCIES: None (pure functions, works in browser and Node)
+// ⚠️ PROVIDES: Parsing of the Google Sheet leave rows (Apps Script JSON, Indonesian-keyed fields)
+//              into leave records, incl. "18/03/2026, 23/03/2026 - 28/03/2026" date lists,
+//              and matching of sheet names / NIK to employees
+
+const LeaveImport = (() => {
+    'use strict';
+
+    // ================================================
+    // SECTION 1: CONSTANTS
+    // ================================================
+
+    // Sheet column keys as returned by the Apps Script endpoint (first match wins)
+    const SHEET_FIELDS = {
+        name: ['namaLengkap', 'nama', 'name'],
+        code: ['nik', 'nip', 'kodeKaryawan', 'employeeCode', 'employee_code', 'employeeId'],
+        email: ['email', 'emailAddress', 'alamatEmail'],
+        leave_type: ['jenisCuti', 'leaveType', 'jenis'],
+        dates: ['tanggalCuti', 'leaveDates', 'tanggal'],
+        requested_at: ['timestamp', 'tanggalPermohonan', 'requestedAt'],
+        reason: ['alasan', 'alasanCuti', 'keterangan', 'reason'],
+        status: ['status', 'statusPersetujuan'],
+        notes: ['catatan', 'catatanHR', 'notes', 'approvalNotes']
+    };
+
+    const DATE_TOKEN_PATTERN = /(\d{1,2})\/(\d{1,2})\/(\d{4})|(\d{4})-(\d{2})-(\d{2})/g;
+
+    // ================================================
+    // SECTION 2: DATE PARSING
+    // ================================================
+
+    const pad = n => String(n).padStart(2, '0');
+
+    /**
+     * Build a YYYY-MM-DD date, rejecting impossible dates (32/01/2026)
+     * @returns {string|null}
+     */
+    function buildDate(year, month, day) {
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+        return `${year}-${pad(month)}-${pad(day)}`;
+    }
+
+    /**
+     * Every date token in a text (DD/MM/YYYY or YYYY-MM-DD)
+     * @param {string} text
+     * @returns {Array<string|null>} YYYY-MM-DD, null for impossible dates
+     */
+    function findDates(text) {
+        const dates = [];
+        const pattern = new RegExp(DATE_TOKEN_PATTERN.source, 'g');
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            dates.push(match[1]
+                ? buildDate(Number(match[3]), Number(match[2]), Number(match[1]))
+                : buildDate(Number(match[4]), Number(match[5]), Number(match[6])));
+        }
+        return dates;
+    }
+
+    /**
+     * Every calendar date from start to end (inclusive)
+     */
+    function expandRange(start, end) {
+        const dates = [];
+        const current = new Date(`${start}T00:00:00Z`);
+        const last = new Date(`${end}T00:00:00Z`);
+        while (current <= last) {
+            dates.push(current.toISOString().slice(0, 10));
+            current.setUTCDate(current.getUTCDate() + 1);
+        }
+        return dates;
+    }
+
+    /**
+     * Parse the "Tanggal Cuti" cell of the sheet
+     * Supports:
+     * - "17/01/2026"
+     * - "23/01/2026 - 24/01/2026" (also "s/d", "sampai")
+     * - "18/03/2026, 23/03/2026 - 28/03/2026" (comma / semicolon separated segments)
+     * - an array of dates (already parsed by the Apps Script)
+     *
+     * @param {string|Array} value
+     * @returns {Object} {dates: sorted unique YYYY-MM-DD, error: string|null}
+     */
+    function parseLeaveDates(value) {
+        if (Array.isArray(value)) {
+            value = value.map(item => (item instanceof Date ? item.toISOString().slice(0, 10) : item)).join(', ');
+        }
+
+        const text = String(value ?? '').trim();
+        if (!text || text === '-') return { dates: [], error: 'Leave date is empty' };
+
+        const dates = new Set();
+        const segments = text.split(/[,;\n]/).map(s => s.trim()).filter(Boolean);
+
+        for (const segment of segments) {
+            const found = findDates(segment);
+            if (found.length === 0) {
+                return { dates: [], error: `Unrecognized date "${segment}"` };
+            }
+            if (found.includes(null)) {
+                return { dates: [], error: `Invalid date in "${segment}"` };
+            }
+            if (found.length > 2) {
+                return { dates: [], error: `Too many dates in "${segment}"` };
+            }
+
+            if (found.length === 1) {
+                dates.add(found[0]);
+                continue;
+            }
+
+            const [start, end] = found;
+            if (end < start) {
+                return { dates: [], error: `Range ends before it starts: "${segment}"` };
+            }
+            expandRange(start, end).forEach(date => dates.add(date));
+        }
+
+        return { dates: [...dates].sort(), error: null };
+    }
+
+    /**
+     * Parse a request timestamp (ISO from Apps Script or "DD/MM/YYYY HH:MM:SS" from the sheet)
+     * @param {string} value
+     * @returns {string|null} ISO timestamp
+     */
+    function parseTimestamp(value) {
+        if (!value) return null;
+
+        const text = String(value).trim();
+        const local = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+        if (local) {
+            const date = buildDate(Number(local[3]), Number(local[2]), Number(local[1]));
+            if (!date) return null;
+            // Sheet timestamps are WIB (UTC+7)
+            return new Date(`${date}T${pad(local[4] || 0)}:${local[5] || '00'}:${local[6] || '00'}+07:00`).toISOString();
+        }
+
+        const parsed = new Date(text);
+        return isNaN(parsed.getTime()) ? null : parsed.toISOString();
+    }
+
+    // ================================================
+    // SECTION 3: ROW PARSING
+    // ================================================
+
+    /**
+     * First non-empty value of a sheet field
+     * @param {Object} row - Sheet row
+     * @param {string} field - Key of SHEET_FIELDS
+     * @returns {string}
+     */
+    function pick(row, field) {
+        for (const key of SHEET_FIELDS[field]) {
+            const value = row[key];
+            if (value !== undefined && value !== null && String(value).trim() !== '') {
+                return Array.isArray(value) ? value : String(value).trim();
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Map a sheet status (Indonesian or English) to the leaves.status values
+     * @param {string} status
+     * @returns {string} 'pending' | 'approved' | 'rejected'
+     */
+    function normalizeStatus(status) {
+        const s = String(status || '').toLowerCase().trim();
+        if (s.includes('approved') || s.includes('disetujui')) return 'approved';
+        if (s.includes('declined') || s.includes('rejected') || s.includes('ditolak')) return 'rejected';
+        return 'pending';
+    }
+
+    /**
+     * Normalize a person name for matching ("  Budi  SANTOSO, S.Kom" → "budi santoso s kom")
+     * @param {string} name
+     * @returns {string}
+     */
+    function normalizeName(name) {
+        return String(name || '')
+            .toLowerCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Parse the records returned by the legacy Apps Script endpoint
+     * @param {Array|Object} payload - Array of rows, or {records} / {data}
+     * @returns {Object} {leaves: [...], errors: [{row, name, message}]}
+     */
+    function parseSheetRecords(payload) {
+        let rows = [];
+        if (Array.isArray(payload)) rows = payload;
+        else if (Array.isArray(payload?.records)) rows = payload.records;
+        else if (Array.isArray(payload?.data)) rows = payload.data;
+
+        const result = { leaves: [], errors: [] };
+
+        rows.forEach((row, index) => {
+            const rowNumber = index + 2; // Sheet row (after the header)
+            const name = pick(row, 'name');
+            if (!name) {
+                result.errors.push({ row: rowNumber, name: '', message: 'Employee name is empty' });
+                return;
+            }
+
+            const { dates, error } = parseLeaveDates(pick(row, 'dates'));
+            if (error) {
+                result.errors.push({ row: rowNumber, name, message: error });
+                return;
+            }
+
+            const requestedAt = parseTimestamp(pick(row, 'requested_at'));
+            result.leaves.push({
+                row: rowNumber,
+                employee_name: name,
+                employee_code: pick(row, 'code'),
+                email: pick(row, 'email').toLowerCase(),
+                leave_type: pick(row, 'leave_type') || 'Cuti Tahunan',
+                leave_dates: dates,
+                start_date: dates[0],
+                end_date: dates[dates.length - 1],
+                reason: pick(row, 'reason'),
+                status: normalizeStatus(pick(row, 'status')),
+                approval_notes: pick(row, 'notes'),
+                requested_at: requestedAt,
+                // Same sheet row → same key, so running the import twice adds nothing
+                source_ref: `sheet:${requestedAt || ''}|${normalizeName(name)}|${dates.join(',')}`
+            });
+        });
+
+        return result;
+    }
+
+    // ================================================
+    // SECTION 4: EMPLOYEE MATCHING
+    // ================================================
+
+    /**
+     * Match parsed leaves to employees by NIK / employee code, email, then exact name
+     * A name shared by two employees is not matched.
+     * @param {Array} leaves - From parseSheetRecords
+     * @param {Array} employees - Employees ({id, full_name, employee_code, nik, email})
+     * @returns {Object} {matched: [...leave, employee_id], unmatched: [{employee_name, count}]}
+     */
+    function matchEmployees(leaves, employees) {
+        const byCode = new Map();
+        const byEmail = new Map();
+        const byName = new Map();
+
+        (employees || []).forEach(employee => {
+            [employee.employee_code, employee.nik].filter(Boolean).forEach(code => {
+                byCode.set(String(code).trim().toUpperCase(), employee);
+            });
+            if (employee.email) byEmail.set(employee.email.toLowerCase(), employee);
+
+            const key = normalizeName(employee.full_name);
+            byName.set(key, byName.has(key) ? null : employee);
+        });
+
+        const matched = [];
+        const unmatched = new Map();
+
+        (leaves || []).forEach(leave => {
+            const employee = (leave.employee_code && byCode.get(leave.employee_code.toUpperCase()))
+                || (leave.email && byEmail.get(leave.email))
+                || byName.get(normalizeName(leave.employee_name));
+
+            if (employee) {
+                matched.push({ ...leave, employee_id: employee.id });
+            } else {
+                const key = normalizeName(leave.employee_name);
+                const entry = unmatched.get(key) || { employee_name: leave.employee_name, count: 0 };
+                entry.count++;
+                unmatched.set(key, entry);
+            }
+        });
+
+        return { matched, unmatched: [...unmatched.values()] };
+    }
+
+    // ================================================
+    // PUBLIC API
+    // ================================================
+
+    return {
+        SHEET_FIELDS,
+        parseLeaveDates,
+        parseTimestamp,
+        normalizeStatus,
+        normalizeName,
+        parseSheetRecords,
+        matchEmployees
+    };
+})();
+
+// ================================================
+// EXPOSE MODULE (Browser global + Node require)
+// ================================================
+
+if (typeof window !== 'undefined') {
+    window.LeaveImport = LeaveImport;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LeaveImport;
+}
@@ -0,0 +1,1590 @@
+// ================================================
+// SWAP HRIS - LEAVE MODULE
+// leave.js - Version 1.0
+// ================================================
+
+// ⚠️ DEPENDENCIES: Requires app.js, api.js, auth.js, database-functions.js, utils.js, holiday-calendar.js,
+//                  leave-approval.js, leave-accrual.js, leave-coverage.js, leave-import.js
+// ⚠️ PROVIDES: Leave requests on the Supabase leaves table (KPI cards, recent activity, upcoming leaves,
+//              monthly calendar, team calendar by department / division with minimum-staffing
+//              coverage, request list), multi-level approval (supervisor → department head → HR)
+//              with delegation, SLA and escalation, new leave request with working-day count and
+//              balance / quota check, leave balances with the accrual ledger and adjustments,
+//              one-time import of the legacy Google Sheet leave rows
+
+// ================================================
+// SECTION 1: STATE MANAGEMENT
+// ================================================
+
+/**
+ * Global state for leave module
+ */
+const leaveState = {
+    currentUser: null,
+    leaves: [],
+    employees: [],
+    leaveTypes: [],
+    policies: [],
+    balances: [],
+    balanceYear: new Date().getFullYear(),
+    balanceSearch: '',
+    ledger: null,
+    approvalContext: null,
+    holidayIndex: new Map(),
+    calendarDate: new Date(),
+    departments: [],
+    divisions: [],
+    staffingRules: [],
+    team: { key: '', members: [] },
+    statusFilter: '',
+    search: '',
+    request: null,
+    legacyImport: null
+};
+
+/**
+ * Leave statuses (leaves.status) with badge classes
+ */
+const LEAVE_STATUSES = {
+    pending: { label: 'Pending', badge: 'bg-amber-100 text-amber-700', dot: 'bg-amber-500' },
+    approved: { label: 'Approved', badge: 'bg-green-100 text-green-700', dot: 'bg-green-500' },
+    rejected: { label: 'Declined', badge: 'bg-red-100 text-red-700', dot: 'bg-red-500' },
+    cancelled: { label: 'Cancelled', badge: 'bg-gray-100 text-gray-600', dot: 'bg-gray-400' }
+};
+
+/**
+ * Leave types offered when no leave policy is configured
+ */
+const DEFAULT_LEAVE_TYPES = ['Cuti Tahunan', 'Cuti Sakit', 'Cuti Khusus', 'Cuti Melahirkan', 'Izin Tidak Dibayar']
+    .map(name => ({ id: null, name }));
+
+/**
+ * Badges of the approval history entries (leaves.approvals[].decision)
+ */
+const APPROVAL_DECISION_BADGES = {
+    approve: { label: 'Approved', icon: 'fa-check text-green-600' },
+    reject: { label: 'Rejected', icon: 'fa-times text-red-600' },
+    skipped: { label: 'Skipped', icon: 'fa-forward text-gray-400' },
+    escalated: { label: 'Escalated', icon: 'fa-arrow-up text-orange-500' }
+};
+
+/**
+ * Apps Script endpoint of the old leave Google Sheet (source of the one-time import only)
+ */
+const LEGACY_LEAVE_API_URL = 'https://script.google.com/macros/s/AKfycbyCrqKYonQ-MQAVL3M3pkBLWs1HpeCis9oBGiz1FvRqKzo34kCUUeauofyVR_Vd9I3x/exec';
+
+// ================================================
+// SECTION 2: INITIALIZATION
+// ================================================
+
+/**
+ * Initialize leave page
+ * @async
+ * @returns {Promise<void>}
+ */
+async function initLeavePage() {
+    console.log('🚀 Initializing Leave Page...');
+
+    try {
+        const session = await checkAuth();
+        if (!session) {
+            console.log('⚠️ No session found, redirecting to login...');
+            redirectToLogin();
+            return;
+        }
+
+        leaveState.currentUser = session.user;
+        updateUserInfo(leaveState.currentUser);
+
+        bindLeaveFilters();
+        initBalanceYears();
+        await escalateLeaves();
+        await syncLeaveBalances();
+        await Promise.all([
+            loadLeaves(), loadApprovalContext(), loadEmployees(), loadLeaveTypes(), loadHolidays(), loadBalances(),
+            loadTeamOptions(), loadStaffingRules()
+        ]);
+        renderTeamOptions();
+        renderLeavePage();
+
+        console.log('✅ Leave page initialized successfully');
+
+    } catch (error) {
+        console.error('❌ Failed to initialize leave page:', error);
+        showToast('Failed to initialize page', 'error');
+    }
+}
+
+/**
+ * Bind status and search filters of the request list
+ */
+function bindLeaveFilters() {
+    const statusSelect = document.getElementById('leaveStatusFilter');
+    const searchInput = document.getElementById('leaveSearch');
+
+    if (statusSelect) {
+        statusSelect.addEventListener('change', () => {
+            leaveState.statusFilter = statusSelect.value;
+            renderLeaveTable();
+        });
+    }
+
+    if (searchInput) {
+        searchInput.addEventListener('input', debounce(() => {
+            leaveState.search = searchInput.value.trim().toLowerCase();
+            renderLeaveTable();
+        }, 300));
+    }
+
+    const balanceSearch = document.getElementById('balanceSearch');
+    if (balanceSearch) {
+        balanceSearch.addEventListener('input', debounce(() => {
+            leaveState.balanceSearch = balanceSearch.value.trim().toLowerCase();
+            renderBalanceTable();
+        }, 300));
+    }
+}
+
+// ================================================
+// SECTION 3: DATA LOADING
+// ================================================
+
+/**
+ * Load all leave requests
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadLeaves() {
+    const { data, error } = await getAllLeaves();
+    if (error) {
+        console.error('❌ Failed to load leaves:', error);
+        showToast('Failed to load leave data. Please refresh the page.', 'error');
+        leaveState.leaves = [];
+        return;
+    }
+
+    leaveState.leaves = data || [];
+    console.log('✅ Loaded', leaveState.leaves.length, 'leave records');
+}
+
+/**
+ * Load approvers, delegations and the signed-in user's approver identity
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadApprovalContext() {
+    const { data, error } = await getLeaveApprovalContext();
+    if (error) {
+        console.warn('⚠️ Approval context not loaded:', error);
+        leaveState.approvalContext = null;
+        return;
+    }
+
+    leaveState.approvalContext = data;
+}
+
+/**
+ * Skip or escalate pending requests whose approver is unavailable or past the step SLA
+ * @async
+ * @returns {Promise<void>}
+ */
+async function escalateLeaves() {
+    const { data, error } = await escalateLeaveApprovals();
+    if (error) {
+        console.warn('⚠️ Leave escalation skipped:', error);
+        return;
+    }
+    if (data.escalated) {
+        showToast(`${data.escalated} leave request(s) moved to the next approver`, 'info');
+    }
+}
+
+/**
+ * Load active employees for the request form
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadEmployees() {
+    const { data, error } = await getAllEmployees();
+    if (error) {
+        console.warn('⚠️ Employees not loaded:', error);
+        return;
+    }
+
+    leaveState.employees = data || [];
+}
+
+/**
+ * Load leave types from the active leave policies
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadLeaveTypes() {
+    const { data, error } = await getLeavePolicies();
+    const policies = (data || []).filter(policy => policy.name);
+
+    if (error || policies.length === 0) {
+        leaveState.leaveTypes = DEFAULT_LEAVE_TYPES;
+        return;
+    }
+
+    leaveState.policies = policies;
+    leaveState.leaveTypes = policies.map(policy => ({ id: policy.id, name: policy.name }));
+}
+
+/**
+ * Load the holiday calendar shown on the leave calendar
+ * Site holidays are left out: the calendar mixes Office and Bistro employees
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadHolidays() {
+    const { data, error } = await getAllHolidays();
+    if (error) {
+        console.warn('⚠️ Holidays not loaded:', error);
+        return;
+    }
+
+    leaveState.holidayIndex = HolidayCalendar.buildHolidayIndex((data || []).filter(holiday => !holiday.site));
+}
+
+/**
+ * Load departments and divisions for the team calendar
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadTeamOptions() {
+    const [departments, divisions] = await Promise.all([getAllDepartments(), getAllDivisions()]);
+    if (departments.error || divisions.error) {
+        console.warn('⚠️ Teams not loaded:', departments.error || divisions.error);
+    }
+
+    leaveState.departments = departments.data || [];
+    leaveState.divisions = divisions.data || [];
+}
+
+/**
+ * Load active minimum-staffing rules
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadStaffingRules() {
+    const { data, error } = await getStaffingRules();
+    if (error) {
+        console.warn('⚠️ Staffing rules not loaded:', error);
+        return;
+    }
+
+    leaveState.staffingRules = (data || []).filter(rule => rule.is_active !== false);
+}
+
+/**
+ * Reload leaves and re-render every section
+ * @async
+ * @returns {Promise<void>}
+ */
+async function refreshLeaves() {
+    await escalateLeaves();
+    await Promise.all([loadLeaves(), loadApprovalContext(), loadBalances()]);
+    renderLeavePage();
+}
+
+// ================================================
+// SECTION 4: RENDERING
+// ================================================
+
+/**
+ * Render every section of the page
+ */
+function renderLeavePage() {
+    renderLeaveStats();
+    renderRecentActivity();
+    renderUpcomingLeaves();
+    renderLeaveCalendar();
+    renderTeamCalendar();
+    renderLeaveTable();
+    renderBalanceTable();
+}
+
+/**
+ * Render the 4 KPI cards (approved / declined count leaves starting this month)
+ */
+function renderLeaveStats() {
+    const month = getCurrentDate().slice(0, 7);
+    const thisMonth = leaveState.leaves.filter(leave => (leave.start_date || '').startsWith(month));
+    const count = (leaves, status) => leaves.filter(leave => leave.status === status).length;
+
+    setText('statPending', count(leaveState.leaves, 'pending'));
+    setText('statApproved', count(thisMonth, 'approved'));
+    setText('statDeclined', count(thisMonth, 'rejected'));
+    setText('statTotal', leaveState.leaves.length);
+}
+
+/**
+ * Render the 10 most recent leave requests
+ */
+function renderRecentActivity() {
+    const container = document.getElementById('recentActivityList');
+    if (!container) return;
+
+    // getAllLeaves is ordered by created_at desc
+    const recent = leaveState.leaves.slice(0, 10);
+    if (recent.length === 0) {
+        container.innerHTML = renderEmptyState('fa-inbox', 'No recent activity');
+        return;
+    }
+
+    container.innerHTML = recent.map(leave => {
+        const name = getLeaveEmployeeName(leave);
+        return `
+            <div class="p-4 hover:bg-gray-50 transition-colors fade-in" role="listitem">
+                <div class="flex items-center space-x-3">
+                    ${renderAvatar(name, 'w-10 h-10 text-sm')}
+                    <div class="flex-1 min-w-0">
+                        <p class="text-sm font-medium text-gray-900 truncate">${escapeHtml(name)}</p>
+                        <p class="text-xs text-gray-500">${escapeHtml(leave.leave_type || 'Leave')} • ${formatLeaveRange(leave)}</p>
+                    </div>
+                    ${renderStatusBadge(leave.status)}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Render pending and approved leaves that have not ended yet (closest first, max 8)
+ */
+function renderUpcomingLeaves() {
+    const container = document.getElementById('upcomingLeavesList');
+    if (!container) return;
+
+    const today = getCurrentDate();
+    const upcoming = leaveState.leaves
+        .filter(leave => ['pending', 'approved'].includes(leave.status) && leave.end_date >= today)
+        .sort((a, b) => a.start_date.localeCompare(b.start_date))
+        .slice(0, 8);
+
+    if (upcoming.length === 0) {
+        container.innerHTML = renderEmptyState('fa-calendar-check', 'No upcoming leaves');
+        return;
+    }
+
+    container.innerHTML = upcoming.map(leave => {
+        const name = getLeaveEmployeeName(leave);
+        const diffDays = Math.round((new Date(leave.start_date) - new Date(today)) / (1000 * 60 * 60 * 24));
+
+        let daysText = `In ${diffDays} days`;
+        if (diffDays < 0) daysText = 'Ongoing';
+        else if (diffDays === 0) daysText = 'Today';
+        else if (diffDays === 1) daysText = 'Tomorrow';
+
+        const days = Number(leave.total_days) || 0;
+
+        return `
+            <div class="p-4 hover:bg-gray-50 transition-colors fade-in border-b border-gray-100 last:border-0" role="listitem">
+                <div class="flex items-center space-x-3 mb-2">
+                    ${renderAvatar(name, 'w-9 h-9 text-xs')}
+                    <div class="flex-1 min-w-0">
+                        <p class="text-sm font-medium text-gray-900 truncate">${escapeHtml(name)}</p>
+                        <div class="flex items-center gap-2 mt-0.5">
+                            <span class="text-xs text-gray-500">${escapeHtml(leave.leave_type || 'Leave')}</span>
+                            ${renderStatusBadge(leave.status)}
+                        </div>
+                    </div>
+                </div>
+                <div class="ml-12 flex items-center text-xs text-gray-500">
+                    <i class="fas fa-calendar-day mr-1.5 text-primary-500" aria-hidden="true"></i>
+                    <span>${formatLeaveRange(leave)}</span>
+                    <span class="mx-2">•</span>
+                    <span class="text-primary-600 font-medium">${daysText}</span>
+                    <span class="mx-2">•</span>
+                    <span title="Excludes off days and holidays">${days} working day${days === 1 ? '' : 's'}</span>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Render the monthly leave calendar with holidays
+ */
+function renderLeaveCalendar() {
+    const grid = document.getElementById('calendarGrid');
+    const monthYearLabel = document.getElementById('currentMonthYear');
+    if (!grid) return;
+
+    const year = leaveState.calendarDate.getFullYear();
+    const month = leaveState.calendarDate.getMonth();
+    const monthPrefix = `${year}-${String(month + 1).padStart(2, '0')}`;
+
+    if (monthYearLabel) {
+        monthYearLabel.textContent = `${getMonthName(month + 1)} ${year}`;
+    }
+
+    // Leaves per date of this month (declined and cancelled leaves are not on the calendar)
+    const leavesByDate = new Map();
+    leaveState.leaves
+        .filter(leave => ['pending', 'approved'].includes(leave.status))
+        .forEach(leave => {
+            getLeaveDates(leave)
+                .filter(date => date.startsWith(monthPrefix))
+                .forEach(date => {
+                    if (!leavesByDate.has(date)) leavesByDate.set(date, []);
+                    leavesByDate.get(date).push(leave);
+                });
+        });
+
+    const firstDay = new Date(year, month, 1).getDay();
+    const totalDays = new Date(year, month + 1, 0).getDate();
+    const today = getCurrentDate();
+
+    let html = '';
+    for (let i = 0; i < firstDay; i++) {
+        html += '<div class="p-2 text-center text-gray-300 text-sm"></div>';
+    }
+
+    for (let day = 1; day <= totalDays; day++) {
+        const date = `${monthPrefix}-${String(day).padStart(2, '0')}`;
+        const leaves = leavesByDate.get(date) || [];
+        const holidayName = HolidayCalendar.describeHolidays(HolidayCalendar.getHolidays(leaveState.holidayIndex, date));
+
+        const statuses = leaves.map(leave => leave.status);
+        const dotColor = statuses.includes('pending') ? LEAVE_STATUSES.pending.dot : LEAVE_STATUSES.approved.dot;
+
+        const tooltip = [
+            holidayName,
+            ...leaves.map(leave => `${getLeaveEmployeeName(leave)} (${LEAVE_STATUSES[leave.status].label})`)
+        ].filter(Boolean).join(', ');
+
+        let dayClass = 'text-gray-700';
+        if (date === today) dayClass = 'bg-primary-600 text-white font-bold';
+        else if (holidayName) dayClass = 'bg-red-50 text-red-600 font-medium';
+
+        html += `
+            <div class="calendar-day p-2 text-center rounded-lg relative cursor-default ${dayClass}"
+                 ${tooltip ? `title="${escapeHtml(tooltip)}"` : ''}>
+                <span class="text-sm">${day}</span>
+                ${leaves.length ? `<span class="absolute bottom-1 left-1/2 transform -translate-x-1/2 w-1.5 h-1.5 ${dotColor} rounded-full"></span>` : ''}
+            </div>
+        `;
+    }
+
+    grid.innerHTML = html;
+}
+
+/**
+ * Navigate calendar months (leave and team calendar)
+ * @param {number} delta - Month delta (-1 for previous, +1 for next)
+ */
+function navigateMonth(delta) {
+    leaveState.calendarDate.setDate(1);
+    leaveState.calendarDate.setMonth(leaveState.calendarDate.getMonth() + delta);
+    renderLeaveCalendar();
+    renderTeamCalendar();
+}
+
+/**
+ * Leaves matching the status filter and search (employee name / code / leave type)
+ * @returns {Array}
+ */
+function getFilteredLeaves() {
+    return leaveState.leaves.filter(leave => {
+        if (leaveState.statusFilter === 'mine') {
+            if (!getApprovalState(leave)?.can_decide) return false;
+        } else if (leaveState.statusFilter && leave.status !== leaveState.statusFilter) {
+            return false;
+        }
+        if (!leaveState.search) return true;
+
+        const haystack = [
+            leave.employees?.full_name,
+            leave.employees?.employee_code,
+            leave.leave_type
+        ].join(' ').toLowerCase();
+        return haystack.includes(leaveState.search);
+    });
+}
+
+/**
+ * Render the leave request list with approve / reject actions
+ */
+function renderLeaveTable() {
+    const tbody = document.getElementById('leaveTableBody');
+    if (!tbody) return;
+
+    const leaves = getFilteredLeaves();
+    setText('leaveTableCount', `${leaves.length} request${leaves.length === 1 ? '' : 's'}`);
+
+    if (leaves.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" class="px-4 py-8 text-center text-sm text-gray-500">No leave requests found</td>
+            </tr>`;
+        return;
+    }
+
+    tbody.innerHTML = leaves.map(leave => `
+        <tr class="hover:bg-gray-50">
+            <td class="px-4 py-3">
+                <p class="text-sm font-medium text-gray-900">${escapeHtml(getLeaveEmployeeName(leave))}</p>
+                <p class="text-xs text-gray-500">
+                    ${escapeHtml(leave.employees?.employee_code || '')}
+                    ${leave.employees?.departments?.name ? `· ${escapeHtml(leave.employees.departments.name)}` : ''}
+                </p>
+            </td>
+            <td class="px-4 py-3 text-sm text-gray-700">${escapeHtml(leave.leave_type || '-')}</td>
+            <td class="px-4 py-3 text-sm text-gray-700">
+                ${formatLeaveRange(leave)}
+                <p class="text-xs text-gray-500">${Number(leave.total_days) || 0} working day(s)</p>
+            </td>
+            <td class="px-4 py-3 text-sm text-gray-600 max-w-xs">
+                <p class="truncate" title="${escapeHtml(leave.reason || '')}">${escapeHtml(leave.reason || '-')}</p>
+                ${leave.approval_notes ? `<p class="text-xs text-gray-400 truncate" title="${escapeHtml(leave.approval_notes)}">${escapeHtml(leave.approval_notes)}</p>` : ''}
+            </td>
+            <td class="px-4 py-3">
+                ${renderStatusBadge(leave.status)}
+                ${leave.source === 'sheet' ? '<p class="text-xs text-gray-400 mt-1">Google Sheet</p>' : ''}
+                ${renderApprovalProgress(leave)}
+                ${renderCoverageWarning(leave)}
+            </td>
+            <td class="px-4 py-3 text-right whitespace-nowrap">
+                ${getApprovalState(leave)?.can_decide ? `
+                    <button onclick="decideLeave('${leave.id}', 'approve')"
+                            class="px-3 py-1.5 text-xs font-medium text-green-700 bg-green-50 hover:bg-green-100 rounded-lg transition-colors">
+                        Approve
+                    </button>
+                    <button onclick="decideLeave('${leave.id}', 'reject')"
+                            class="px-3 py-1.5 text-xs font-medium text-red-700 bg-red-50 hover:bg-red-100 rounded-lg transition-colors">
+                        Reject
+                    </button>` : ''}
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Current approval step of a pending leave, who approves it and whether the signed-in user may
+ * @param {Object} leave - Leave row
+ * @returns {Object|null} {sla, resolved, approver, can_decide}
+ */
+function getApprovalState(leave) {
+    const context = leaveState.approvalContext;
+    if (leave.status !== 'pending' || !context) return null;
+
+    const sla = LeaveApproval.getSlaStatus(leave);
+    const employee = context.employeesById.get(leave.employee_id);
+    const resolved = LeaveApproval.resolveApprover(sla.step.role, employee, context, context.date);
+
+    return {
+        sla,
+        resolved,
+        approver: LeaveApproval.describeApprover(resolved),
+        can_decide: LeaveApproval.canDecide(resolved, context.actor, sla.is_last, leave.employee_id)
+    };
+}
+
+/**
+ * Render the approval history and, for pending leaves, the current step with its SLA
+ * @param {Object} leave - Leave row
+ * @returns {string} HTML
+ */
+function renderApprovalProgress(leave) {
+    const employeesById = leaveState.approvalContext?.employeesById || new Map();
+
+    const history = (leave.approvals || []).map(entry => {
+        const badge = APPROVAL_DECISION_BADGES[entry.decision] || APPROVAL_DECISION_BADGES.approve;
+        const actor = employeesById.get(entry.approver_employee_id)?.full_name || entry.approver_email || '';
+        const onBehalf = employeesById.get(entry.on_behalf_of)?.full_name;
+        const title = [entry.note, entry.decided_at ? formatDate(entry.decided_at) : ''].filter(Boolean).join(' · ');
+
+        return `
+            <p class="text-xs text-gray-500 mt-1" title="${escapeHtml(title)}">
+                <i class="fas ${badge.icon} mr-1" aria-hidden="true"></i>${escapeHtml(entry.label)}: ${badge.label}
+                ${actor ? `· ${escapeHtml(actor)}` : ''}${onBehalf ? ` for ${escapeHtml(onBehalf)}` : ''}
+            </p>`;
+    }).join('');
+
+    const state = getApprovalState(leave);
+    if (!state) return history;
+
+    const { sla } = state;
+    let slaBadge = `<span class="text-gray-400">due ${formatDate(sla.due_at)}</span>`;
+    if (sla.is_overdue) {
+        slaBadge = `<span class="px-1.5 py-0.5 rounded bg-red-100 text-red-700 font-medium">Overdue ${sla.overdue_days}d</span>`;
+    } else if (sla.hours_left < 24) {
+        slaBadge = `<span class="px-1.5 py-0.5 rounded bg-amber-100 text-amber-700 font-medium">Due in ${Math.max(sla.hours_left, 0)}h</span>`;
+    }
+
+    return `
+        ${history}
+        <p class="text-xs text-gray-700 mt-1">
+            Step ${sla.step.level}/${sla.steps.length} · ${escapeHtml(sla.step.label)}: ${escapeHtml(state.approver)}
+        </p>
+        <p class="text-xs mt-1">${slaBadge}</p>`;
+}
+
+/**
+ * Render a "below minimum staffing" note for a pending leave
+ * @param {Object} leave - Leave row
+ * @returns {string} HTML
+ */
+function renderCoverageWarning(leave) {
+    const warnings = getLeaveCoverageWarnings(leave);
+    if (warnings.length === 0) return '';
+
+    const title = LeaveCoverage.describeWarnings(warnings, formatDate).join('\n');
+    return `
+        <p class="text-xs text-red-600 mt-1" title="${escapeHtml(title)}">
+            <i class="fas fa-user-slash mr-1" aria-hidden="true"></i>Below minimum staffing
+        </p>`;
+}
+
+/**
+ * Render a status badge
+ * @param {string} status - leaves.status
+ * @returns {string} HTML
+ */
+function renderStatusBadge(status) {
+    const config = LEAVE_STATUSES[status] || LEAVE_STATUSES.pending;
+    return `<span class="px-2 py-1 text-xs font-medium rounded-full ${config.badge}">${config.label}</span>`;
+}
+
+/**
+ * Render an initials avatar
+ * @param {string} name - Employee name
+ * @param {string} sizeClass - Size / text classes
+ * @returns {string} HTML
+ */
+function renderAvatar(name, sizeClass) {
+    const colors = [
+        'from-blue-500 to-blue-600',
+        'from-green-500 to-green-600',
+        'from-purple-500 to-purple-600',
+        'from-pink-500 to-pink-600',
+        'from-indigo-500 to-indigo-600',
+        'from-teal-500 to-teal-600'
+    ];
+    const initials = (name || '?').split(' ').map(part => part[0]).join('').substring(0, 2).toUpperCase();
+
+    return `
+        <div class="${sizeClass} bg-gradient-to-br ${colors[(name || '').length % colors.length]} rounded-full flex items-center justify-center text-white font-semibold">
+            ${escapeHtml(initials)}
+        </div>`;
+}
+
+/**
+ * Render an empty list placeholder
+ * @param {string} icon - Font Awesome icon class
+ * @param {string} message - Placeholder text
+ * @returns {string} HTML
+ */
+function renderEmptyState(icon, message) {
+    return `
+        <div class="p-8 text-center text-gray-500">
+            <i class="fas ${icon} text-4xl mb-3 text-gray-300" aria-hidden="true"></i>
+            <p class="text-sm">${message}</p>
+        </div>`;
+}
+
+// ================================================
+// SECTION 5: APPROVAL
+// ================================================
+
+/**
+ * Approve or reject the current approval step of a leave request
+ * @async
+ * @param {string} leaveId - Leave UUID
+ * @param {string} decision - 'approve' | 'reject'
+ * @returns {Promise<void>}
+ */
+async function decideLeave(leaveId, decision) {
+    let note = '';
+    if (decision === 'reject') {
+        note = prompt('Reason for rejecting this leave request?') || '';
+        if (!note.trim()) return;
+    } else if (!confirm(await getApprovalConfirmText(leaveId))) {
+        return;
+    }
+
+    try {
+        showLoading('Saving decision...');
+
+        const { data, error } = await decideLeaveRequest(leaveId, decision, note);
+        if (error) throw new Error(error);
+
+        let message = 'Leave request rejected';
+        if (decision === 'approve') {
+            message = data.status === 'approved' ? 'Leave request approved' : 'Approved, forwarded to the next approver';
+        }
+        showToast(message, 'success');
+        await refreshLeaves();
+
+    } catch (error) {
+        console.error('❌ Leave decision failed:', error);
+        showToast('Failed to save decision: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Approval confirmation, with the minimum-staffing rules approving would break
+ * @async
+ * @param {string} leaveId - Leave UUID
+ * @returns {Promise<string>}
+ */
+async function getApprovalConfirmText(leaveId) {
+    const { data, error } = await checkLeaveCoverage(leaveId);
+    if (error) {
+        console.warn('⚠️ Coverage not checked:', error);
+        return 'Approve this leave request?';
+    }
+    if (data.ok) return 'Approve this leave request?';
+
+    return [
+        'Approving this request drops staffing below the minimum:',
+        ...data.messages.map(message => `• ${message}`),
+        '',
+        'Approve anyway?'
+    ].join('\n');
+}
+
+// ================================================
+// SECTION 6: NEW LEAVE REQUEST
+// ================================================
+
+/**
+ * Open the new leave request modal
+ */
+function openLeaveRequestModal() {
+    leaveState.request = null;
+
+    document.getElementById('leaveRequestEmployee').innerHTML = `
+        <option value="">Select employee</option>
+        ${leaveState.employees.map(employee => `
+            <option value="${employee.id}">${escapeHtml(employee.full_name)} (${escapeHtml(employee.employee_code || '-')})</option>
+        `).join('')}`;
+    document.getElementById('leaveRequestType').innerHTML = leaveState.leaveTypes
+        .map((type, index) => `<option value="${index}">${escapeHtml(type.name)}</option>`)
+        .join('');
+    document.getElementById('leaveRequestStart').value = '';
+    document.getElementById('leaveRequestEnd').value = '';
+    document.getElementById('leaveRequestReason').value = '';
+    document.getElementById('leaveRequestDays').innerHTML = '';
+    document.getElementById('leaveRequestSubmitBtn').disabled = true;
+
+    const modal = document.getElementById('leaveRequestModal');
+    modal.classList.remove('hidden');
+    modal.classList.add('flex');
+}
+
+/**
+ * Close the new leave request modal
+ */
+function closeLeaveRequestModal() {
+    const modal = document.getElementById('leaveRequestModal');
+    if (modal) {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+    }
+    leaveState.request = null;
+}
+
+/**
+ * Count the working days of the selected range (employee schedule + holiday calendar) and check
+ * them against the leave balance or the quota per request
+ * @async
+ * @returns {Promise<void>}
+ */
+async function updateLeaveRequestPreview() {
+    const employeeId = document.getElementById('leaveRequestEmployee').value;
+    const start = document.getElementById('leaveRequestStart').value;
+    const endInput = document.getElementById('leaveRequestEnd');
+    const preview = document.getElementById('leaveRequestDays');
+    const submitBtn = document.getElementById('leaveRequestSubmitBtn');
+
+    if (start && (!endInput.value || endInput.value < start)) endInput.value = start;
+    const end = endInput.value;
+
+    leaveState.request = null;
+    submitBtn.disabled = true;
+    if (!employeeId || !start || !end) {
+        preview.innerHTML = '';
+        return;
+    }
+
+    const { data, error } = await countLeaveWorkingDays(employeeId, start, end);
+    if (error) {
+        preview.innerHTML = `<p class="text-sm text-red-600">${escapeHtml(error.message || String(error))}</p>`;
+        return;
+    }
+
+    const leaveType = leaveState.leaveTypes[document.getElementById('leaveRequestType').value];
+    const { data: check, error: checkError } = await checkLeaveRequest({
+        employee_id: employeeId,
+        leave_policy_id: leaveType?.id,
+        leave_type: leaveType?.name,
+        start_date: start,
+        end_date: end,
+        total_days: data.leave_days
+    });
+    if (checkError) console.warn('⚠️ Leave balance not checked:', checkError);
+
+    // Inputs may have changed while counting
+    if (document.getElementById('leaveRequestEmployee').value !== employeeId
+        || document.getElementById('leaveRequestStart').value !== start
+        || endInput.value !== end
+        || leaveState.leaveTypes[document.getElementById('leaveRequestType').value] !== leaveType) return;
+
+    leaveState.request = { employee_id: employeeId, start_date: start, end_date: end, count: data };
+    preview.innerHTML = `
+        <div class="p-3 rounded-lg ${data.leave_days > 0 ? 'bg-blue-50 border border-blue-200 text-blue-700' : 'bg-red-50 border border-red-200 text-red-700'} text-sm">
+            <p class="font-medium">${data.leave_days} working day(s) of ${data.calendar_days} calendar day(s)</p>
+            ${data.holidays.map(holiday => `
+                <p class="text-xs">${formatDate(holiday.date)} · ${escapeHtml(holiday.names)}</p>
+            `).join('')}
+            ${data.off_days ? `<p class="text-xs">${data.off_days} off day(s) not counted</p>` : ''}
+        </div>
+        ${check?.message ? `
+            <div class="mt-3 p-3 rounded-lg ${check.ok ? 'bg-green-50 border border-green-200 text-green-700' : 'bg-red-50 border border-red-200 text-red-700'} text-sm">
+                <i class="fas ${check.ok ? 'fa-wallet' : 'fa-exclamation-triangle'} mr-1" aria-hidden="true"></i>${escapeHtml(check.message)}
+            </div>` : ''}`;
+    submitBtn.disabled = data.leave_days === 0 || check?.ok === false;
+}
+
+/**
+ * Submit the new leave request
+ * @async
+ * @returns {Promise<void>}
+ */
+async function submitLeaveRequest() {
+    const request = leaveState.request;
+    if (!request) return;
+
+    try {
+        showLoading('Submitting leave request...');
+
+        const leaveType = leaveState.leaveTypes[document.getElementById('leaveRequestType').value];
+        const { error } = await createLeaveRequest({
+            employee_id: request.employee_id,
+            leave_type: leaveType.name,
+            leave_policy_id: leaveType.id,
+            start_date: request.start_date,
+            end_date: request.end_date,
+            leave_dates: request.count.dates,
+            total_days: request.count.leave_days,
+            reason: document.getElementById('leaveRequestReason').value.trim() || null
+        });
+        if (error) throw new Error(error);
+
+        showToast('Leave request submitted', 'success');
+        closeLeaveRequestModal();
+        await refreshLeaves();
+
+    } catch (error) {
+        console.error('❌ Submit leave request failed:', error);
+        showToast('Failed to submit leave request: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// ================================================
+// SECTION 7: LEGACY GOOGLE SHEET IMPORT
+// ================================================
+
+/**
+ * Open the legacy sheet import modal
+ */
+function openLegacyImportModal() {
+    leaveState.legacyImport = null;
+    document.getElementById('legacyImportUrl').value = LEGACY_LEAVE_API_URL;
+    document.getElementById('legacyImportPreview').innerHTML = '';
+    document.getElementById('legacyImportSubmitBtn').disabled = true;
+
+    const modal = document.getElementById('legacyImportModal');
+    modal.classList.remove('hidden');
+    modal.classList.add('flex');
+}
+
+/**
+ * Close the legacy sheet import modal
+ */
+function closeLegacyImportModal() {
+    const modal = document.getElementById('legacyImportModal');
+    if (modal) {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+    }
+    leaveState.legacyImport = null;
+}
+
+/**
+ * Fetch the sheet rows and preview matched / unmatched employees and unreadable rows
+ * @async
+ * @returns {Promise<void>}
+ */
+async function previewLegacyImport() {
+    const url = document.getElementById('legacyImportUrl').value.trim();
+    const preview = document.getElementById('legacyImportPreview');
+    const submitBtn = document.getElementById('legacyImportSubmitBtn');
+
+    leaveState.legacyImport = null;
+    submitBtn.disabled = true;
+    if (!url) return;
+
+    try {
+        showLoading('Reading Google Sheet...');
+
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const { leaves, errors } = LeaveImport.parseSheetRecords(await response.json());
+
+        const { data: employees, error } = await getAllEmployees({ includeInactive: true });
+        if (error) throw new Error(error.message || error);
+
+        const { matched, unmatched } = LeaveImport.matchEmployees(leaves, employees || []);
+        leaveState.legacyImport = { leaves: matched };
+
+        preview.innerHTML = `
+            <div class="grid grid-cols-2 md:grid-cols-3 gap-3 mb-4">
+                ${renderImportStat('Sheet rows', leaves.length + errors.length)}
+                ${renderImportStat('Ready to import', matched.length)}
+                ${renderImportStat('Not imported', leaves.length - matched.length + errors.length)}
+            </div>
+            ${unmatched.length ? `
+                <div class="p-3 mb-4 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+                    <p class="font-medium mb-1">Names without a matching employee (not imported)</p>
+                    ${unmatched.map(entry => `
+                        <p class="text-xs">${escapeHtml(entry.employee_name)} · ${entry.count} row(s)</p>
+                    `).join('')}
+                </div>` : ''}
+            ${errors.length ? `
+                <div class="p-3 mb-4 rounded-lg bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+                    <p class="font-medium mb-1">${errors.length} row(s) could not be read</p>
+                    ${errors.slice(0, 10).map(error => `
+                        <p class="text-xs">Row ${error.row}${error.name ? ` (${escapeHtml(error.name)})` : ''}: ${escapeHtml(error.message)}</p>
+                    `).join('')}
+                </div>` : ''}
+        `;
+        submitBtn.disabled = matched.length === 0;
+
+    } catch (error) {
+        console.error('❌ Legacy leave preview failed:', error);
+        preview.innerHTML = `
+            <div class="p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+                ${escapeHtml(error.message)}
+            </div>`;
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Import the previewed sheet rows into the leaves table
+ * @async
+ * @returns {Promise<void>}
+ */
+async function submitLegacyImport() {
+    const pending = leaveState.legacyImport;
+    if (!pending) return;
+
+    try {
+        showLoading('Importing leave history...');
+
+        const { data: summary, error } = await importLegacyLeaves(pending.leaves);
+        if (error) throw new Error(error);
+
+        leaveState.legacyImport = null;
+        document.getElementById('legacyImportSubmitBtn').disabled = true;
+        document.getElementById('legacyImportPreview').innerHTML = `
+            <div class="grid grid-cols-2 md:grid-cols-3 gap-3 mb-4">
+                ${renderImportStat('Rows', summary.total)}
+                ${renderImportStat('Imported', summary.imported)}
+                ${renderImportStat('Already imported', summary.duplicates)}
+            </div>
+        `;
+        showToast(`Leave history imported: ${summary.imported} request(s)`, 'success');
+
+        await refreshLeaves();
+
+    } catch (error) {
+        console.error('❌ Legacy leave import failed:', error);
+        showToast('Failed to import leave history: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Render a small counter tile for the import preview
+ * @param {string} label - Counter label
+ * @param {number} value - Counter value
+ * @returns {string} HTML
+ */
+function renderImportStat(label, value) {
+    return `
+        <div class="p-3 rounded-lg bg-gray-50 border border-gray-200">
+            <p class="text-xs text-gray-500">${escapeHtml(label)}</p>
+            <p class="text-lg font-semibold text-gray-900">${value}</p>
+        </div>`;
+}
+
+// ================================================
+// SECTION 8: LEAVE BALANCES & LEDGER
+// ================================================
+
+/**
+ * Post missing accruals, cuti bersama and leave usage for the selected year
+ * @async
+ * @param {boolean} [notify=false] - Toast the result (Run Accrual button)
+ * @returns {Promise<void>}
+ */
+async function syncLeaveBalances(notify = false) {
+    const { data, error } = await syncLeaveAccruals({ year: leaveState.balanceYear });
+    if (error) {
+        console.warn('⚠️ Leave accrual sync failed:', error);
+        if (notify) showToast('Failed to run leave accrual: ' + error, 'error');
+        return;
+    }
+    if (notify) {
+        showToast(data.created
+            ? `${data.created} ledger entries posted for ${data.employees} employees`
+            : 'Leave balances are up to date', 'success');
+    }
+}
+
+/**
+ * Load balances of the selected year
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadBalances() {
+    const { data, error } = await getLeaveBalances(leaveState.balanceYear);
+    if (error) {
+        console.warn('⚠️ Leave balances not loaded:', error);
+        leaveState.balances = [];
+        return;
+    }
+
+    leaveState.balances = data || [];
+}
+
+/**
+ * Run the accrual for the selected year and reload balances
+ * @async
+ * @returns {Promise<void>}
+ */
+async function runLeaveAccrual() {
+    try {
+        showLoading('Running leave accrual...');
+        await syncLeaveBalances(true);
+        await loadBalances();
+        renderBalanceTable();
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Switch the balance year
+ * @async
+ * @param {string|number} year
+ * @returns {Promise<void>}
+ */
+async function changeBalanceYear(year) {
+    leaveState.balanceYear = Number(year);
+    await syncLeaveBalances();
+    await loadBalances();
+    renderBalanceTable();
+}
+
+/**
+ * Fill the balance year filter (last year to next year)
+ */
+function initBalanceYears() {
+    const select = document.getElementById('balanceYear');
+    if (!select) return;
+
+    const current = new Date().getFullYear();
+    select.innerHTML = [current - 1, current, current + 1]
+        .map(year => `<option value="${year}" ${year === leaveState.balanceYear ? 'selected' : ''}>${year}</option>`)
+        .join('');
+}
+
+/**
+ * Render the balance table (one row per employee and accruing leave type)
+ */
+function renderBalanceTable() {
+    const tbody = document.getElementById('balanceTableBody');
+    if (!tbody) return;
+
+    const employeesById = new Map(leaveState.employees.map(employee => [employee.id, employee]));
+    const policiesById = new Map(leaveState.policies.map(policy => [policy.id, policy]));
+
+    const rows = leaveState.balances
+        .map(balance => ({
+            ...balance,
+            employee: employeesById.get(balance.employee_id),
+            policy: policiesById.get(balance.leave_policy_id)
+        }))
+        .filter(row => row.employee && row.policy)
+        .filter(row => !leaveState.balanceSearch || [row.employee.full_name, row.employee.employee_code, row.policy.name]
+            .join(' ').toLowerCase().includes(leaveState.balanceSearch))
+        .sort((a, b) => a.employee.full_name.localeCompare(b.employee.full_name) || a.policy.name.localeCompare(b.policy.name));
+
+    setText('balanceTableCount', `${rows.length} balance${rows.length === 1 ? '' : 's'}`);
+
+    if (rows.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="7" class="px-4 py-8 text-center text-sm text-gray-500">
+                    No balances for ${leaveState.balanceYear}. Set up accruing leave types in Settings → Leave Policies.
+                </td>
+            </tr>`;
+        return;
+    }
+
+    tbody.innerHTML = rows.map(row => `
+        <tr class="hover:bg-gray-50">
+            <td class="px-4 py-3">
+                <p class="text-sm font-medium text-gray-900">${escapeHtml(row.employee.full_name)}</p>
+                <p class="text-xs text-gray-500">${escapeHtml(row.employee.employee_code || '')}</p>
+            </td>
+            <td class="px-4 py-3 text-sm text-gray-700">${escapeHtml(row.policy.name)}</td>
+            <td class="px-4 py-3 text-sm text-right text-gray-700">
+                ${row.entitled}
+                ${row.carried_over ? `<p class="text-xs text-gray-500">incl. ${row.carried_over} carried over</p>` : ''}
+            </td>
+            <td class="px-4 py-3 text-sm text-right text-gray-700">${row.used}</td>
+            <td class="px-4 py-3 text-sm text-right text-gray-500">${row.expired || '-'}</td>
+            <td class="px-4 py-3 text-right">
+                <span class="text-sm font-semibold ${row.balance < 0 ? 'text-red-600' : 'text-gray-900'}">${row.balance}</span>
+                ${row.carry_remaining ? `<p class="text-xs text-orange-600">${row.carry_remaining} expire ${formatDate(row.carry_expires_at)}</p>` : ''}
+            </td>
+            <td class="px-4 py-3 text-right whitespace-nowrap">
+                <button onclick="openLedgerModal('${row.employee_id}', '${row.leave_policy_id}')"
+                        class="px-3 py-1.5 text-xs font-medium text-primary-700 bg-primary-50 hover:bg-primary-100 rounded-lg transition-colors">
+                    Ledger
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Open the ledger of one employee and leave type
+ * @async
+ * @param {string} employeeId - Employee UUID
+ * @param {string} policyId - Leave policy UUID
+ * @returns {Promise<void>}
+ */
+async function openLedgerModal(employeeId, policyId) {
+    const employee = leaveState.employees.find(item => item.id === employeeId);
+    const policy = leaveState.policies.find(item => item.id === policyId);
+    leaveState.ledger = { employeeId, policyId };
+
+    setText('leaveLedgerModalTitle', employee?.full_name || 'Leave Ledger');
+    setText('leaveLedgerModalSubtitle', `${policy?.name || ''} · ${leaveState.balanceYear}`);
+    document.getElementById('ledgerAdjustDays').value = '';
+    document.getElementById('ledgerAdjustNote').value = '';
+    document.getElementById('leaveLedgerBody').innerHTML = `
+        <tr>
+            <td colspan="4" class="px-4 py-6 text-center text-sm text-gray-500">
+                <i class="fas fa-spinner fa-spin mr-2 text-primary-500" aria-hidden="true"></i>Loading ledger...
+            </td>
+        </tr>`;
+
+    const modal = document.getElementById('leaveLedgerModal');
+    modal.classList.remove('hidden');
+    modal.classList.add('flex');
+
+    await renderLedger();
+}
+
+/**
+ * Close the ledger modal
+ */
+function closeLedgerModal() {
+    const modal = document.getElementById('leaveLedgerModal');
+    if (modal) {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+    }
+    leaveState.ledger = null;
+}
+
+/**
+ * Render the ledger entries with a running balance
+ * @async
+ * @returns {Promise<void>}
+ */
+async function renderLedger() {
+    const ledger = leaveState.ledger;
+    if (!ledger) return;
+
+    const tbody = document.getElementById('leaveLedgerBody');
+    const { data, error } = await getLeaveLedger(ledger.employeeId, {
+        year: leaveState.balanceYear,
+        leave_policy_id: ledger.policyId
+    });
+    if (error) {
+        tbody.innerHTML = `<tr><td colspan="4" class="px-4 py-6 text-center text-sm text-red-600">${escapeHtml(error)}</td></tr>`;
+        return;
+    }
+    if (data.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="4" class="px-4 py-6 text-center text-sm text-gray-500">No entries yet</td></tr>`;
+        return;
+    }
+
+    let running = 0;
+    tbody.innerHTML = data.map(entry => {
+        running = Math.round((running + Number(entry.days)) * 100) / 100;
+        const days = Number(entry.days);
+        return `
+            <tr>
+                <td class="px-4 py-2 text-sm text-gray-700 whitespace-nowrap">${formatDate(entry.entry_date)}</td>
+                <td class="px-4 py-2 text-sm text-gray-700">
+                    <span class="font-medium">${escapeHtml(LeaveAccrual.LEDGER_ENTRY_TYPES[entry.entry_type] || entry.entry_type)}</span>
+                    ${entry.note ? `<p class="text-xs text-gray-500">${escapeHtml(entry.note)}</p>` : ''}
+                    ${entry.expires_at ? `<p class="text-xs text-orange-600">Expires ${formatDate(entry.expires_at)}</p>` : ''}
+                </td>
+                <td class="px-4 py-2 text-sm text-right font-medium ${days < 0 ? 'text-red-600' : 'text-green-600'}">${days > 0 ? '+' : ''}${days}</td>
+                <td class="px-4 py-2 text-sm text-right text-gray-900">${running}</td>
+            </tr>`;
+    }).join('');
+}
+
+/**
+ * Post a manual adjustment to the open ledger
+ * @async
+ * @returns {Promise<void>}
+ */
+async function submitLedgerAdjustment() {
+    const ledger = leaveState.ledger;
+    if (!ledger) return;
+
+    try {
+        showLoading('Saving adjustment...');
+
+        const { error } = await addLeaveAdjustment({
+            employee_id: ledger.employeeId,
+            leave_policy_id: ledger.policyId,
+            year: leaveState.balanceYear,
+            days: Number(document.getElementById('ledgerAdjustDays').value),
+            note: document.getElementById('ledgerAdjustNote').value
+        });
+        if (error) throw new Error(error);
+
+        showToast('Leave balance adjusted', 'success');
+        document.getElementById('ledgerAdjustDays').value = '';
+        document.getElementById('ledgerAdjustNote').value = '';
+        await Promise.all([renderLedger(), loadBalances()]);
+        renderBalanceTable();
+
+    } catch (error) {
+        console.error('❌ Leave adjustment failed:', error);
+        showToast('Failed to adjust balance: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// ================================================
+// SECTION 9: TEAM CALENDAR & COVERAGE
+// ================================================
+
+/**
+ * Select a team for the team calendar
+ * Department members come from getDepartmentEmployees, division members from the employee list.
+ * @async
+ * @param {string} value - 'department:<uuid>' | 'division:<uuid>' | ''
+ * @returns {Promise<void>}
+ */
+async function changeTeam(value) {
+    leaveState.team = { key: value, members: [] };
+
+    const [kind, id] = (value || '').split(':');
+    let members = [];
+    if (kind === 'department') {
+        const { data, error } = await getDepartmentEmployees(id);
+        if (error) {
+            showToast('Failed to load department employees: ' + error, 'error');
+        }
+        // Use the loaded employee row (work_site, division) when there is one
+        const employeesById = new Map(leaveState.employees.map(employee => [employee.id, employee]));
+        members = (data || [])
+            .map(member => employeesById.get(member.id) || member)
+            .filter(member => member.is_active !== false);
+    } else if (kind === 'division') {
+        members = leaveState.employees.filter(employee => employee.division_id === id);
+    }
+
+    // Another team was selected while this one loaded
+    if (leaveState.team.key !== value) return;
+
+    leaveState.team.members = members;
+    renderTeamCalendar();
+}
+
+/**
+ * Fill the team select (departments and divisions) and restore the selection
+ */
+function renderTeamOptions() {
+    const select = document.getElementById('teamCalendarFilter');
+    if (!select) return;
+
+    const options = (items, kind) => items
+        .map(item => `<option value="${kind}:${item.id}">${escapeHtml(item.name)}</option>`)
+        .join('');
+
+    select.innerHTML = `
+        <option value="">Select a department or division...</option>
+        ${leaveState.departments.length ? `<optgroup label="Departments">${options(leaveState.departments, 'department')}</optgroup>` : ''}
+        ${leaveState.divisions.length ? `<optgroup label="Divisions">${options(leaveState.divisions, 'division')}</optgroup>` : ''}`;
+    select.value = leaveState.team.key;
+}
+
+/**
+ * Render who is off each day of the month for the selected team, with an "on duty" row that
+ * turns red on days below a minimum-staffing rule
+ */
+function renderTeamCalendar() {
+    const container = document.getElementById('teamCalendar');
+    if (!container) return;
+
+    const year = leaveState.calendarDate.getFullYear();
+    const month = leaveState.calendarDate.getMonth();
+    setText('teamCalendarMonth', `${getMonthName(month + 1)} ${year}`);
+
+    if (!leaveState.team.key) {
+        container.innerHTML = renderEmptyState('fa-users', 'Select a department or division to see who is off');
+        setText('teamCalendarSummary', '');
+        return;
+    }
+
+    const members = [...leaveState.team.members].sort((a, b) => (a.full_name || '').localeCompare(b.full_name || ''));
+    if (members.length === 0) {
+        container.innerHTML = renderEmptyState('fa-users', 'No active employees in this team');
+        setText('teamCalendarSummary', '');
+        return;
+    }
+
+    const monthPrefix = `${year}-${String(month + 1).padStart(2, '0')}`;
+    const totalDays = new Date(year, month + 1, 0).getDate();
+    const dates = Array.from({ length: totalDays }, (_, i) => `${monthPrefix}-${String(i + 1).padStart(2, '0')}`);
+
+    const calendar = LeaveCoverage.buildTeamCalendar({
+        members,
+        dates,
+        leaves: leaveState.leaves,
+        employees: leaveState.employees,
+        rules: leaveState.staffingRules
+    });
+    const shortDays = calendar.days.filter(day => day.short);
+
+    setText('teamCalendarSummary', [
+        `${members.length} employee${members.length === 1 ? '' : 's'}`,
+        calendar.rules.length
+            ? calendar.rules.map(rule => `${LeaveCoverage.describeRule(rule)}: min ${rule.min_on_duty}`).join(' · ')
+            : 'No minimum-staffing rule',
+        shortDays.length ? `${shortDays.length} day(s) below minimum` : ''
+    ].filter(Boolean).join(' · '));
+
+    const holidayNames = dates.map(date =>
+        HolidayCalendar.describeHolidays(HolidayCalendar.getHolidays(leaveState.holidayIndex, date)));
+    const today = getCurrentDate();
+
+    const header = dates.map((date, i) => {
+        const weekend = [0, 6].includes(new Date(`${date}T00:00:00`).getDay());
+        let cellClass = weekend ? 'text-gray-400' : 'text-gray-500';
+        if (date === today) cellClass = 'bg-primary-600 text-white rounded';
+        else if (holidayNames[i]) cellClass = 'bg-red-50 text-red-600 rounded';
+        return `<th scope="col" class="px-1 py-2 text-center text-xs font-medium ${cellClass}"
+                    ${holidayNames[i] ? `title="${escapeHtml(holidayNames[i])}"` : ''}>${i + 1}</th>`;
+    }).join('');
+
+    const rows = members.map(member => {
+        const cells = calendar.days.map((day, i) => {
+            const leave = day.off.find(item => item.employee_id === member.id);
+            if (!leave) {
+                return `<td class="px-1 py-1.5 text-center ${holidayNames[i] ? 'bg-red-50' : ''}"></td>`;
+            }
+            const status = LEAVE_STATUSES[leave.status];
+            return `
+                <td class="px-1 py-1.5 text-center" title="${escapeHtml(`${leave.leave_type || 'Leave'} (${status.label})`)}">
+                    <span class="inline-block w-4 h-4 rounded ${status.dot}"></span>
+                </td>`;
+        }).join('');
+
+        return `
+            <tr class="hover:bg-gray-50">
+                <th scope="row" class="sticky left-0 bg-white px-3 py-1.5 text-left text-sm font-medium text-gray-800 whitespace-nowrap">
+                    ${escapeHtml(member.full_name || '-')}
+                    <span class="block text-xs font-normal text-gray-400">${escapeHtml(member.work_site || 'Office')}</span>
+                </th>
+                ${cells}
+            </tr>`;
+    }).join('');
+
+    const dutyCells = calendar.days.map(day => {
+        const tooltip = [
+            ...day.coverage.map(item => `${item.label}: ${item.on_duty} on duty, minimum ${item.min_on_duty}`),
+            ...day.off.map(leave => `${getLeaveEmployeeName(leave)} (${LEAVE_STATUSES[leave.status].label})`)
+        ].join('\n');
+        const cellClass = day.short ? 'bg-red-100 text-red-700' : 'text-gray-600';
+        return `<td class="px-1 py-2 text-center text-xs font-semibold ${cellClass}" title="${escapeHtml(tooltip)}">${day.on_duty}</td>`;
+    }).join('');
+
+    container.innerHTML = `
+        <table class="min-w-full">
+            <thead>
+                <tr>
+                    <th scope="col" class="sticky left-0 bg-white px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Employee</th>
+                    ${header}
+                </tr>
+            </thead>
+            <tbody class="divide-y divide-gray-100">
+                ${rows}
+            </tbody>
+            <tfoot class="border-t-2 border-gray-200">
+                <tr>
+                    <th scope="row" class="sticky left-0 bg-white px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">On duty</th>
+                    ${dutyCells}
+                </tr>
+            </tfoot>
+        </table>`;
+}
+
+/**
+ * Minimum-staffing rules a pending leave would break, from the leaves already on the page
+ * @param {Object} leave - Pending leave row
+ * @returns {Array} Coverage warnings (empty when covered)
+ */
+function getLeaveCoverageWarnings(leave) {
+    if (leave.status !== 'pending' || leaveState.staffingRules.length === 0) return [];
+
+    const employee = leaveState.employees.find(item => item.id === leave.employee_id) || leave.employees;
+    return LeaveCoverage.checkCoverage({
+        leave,
+        employee,
+        employees: leaveState.employees,
+        leaves: leaveState.leaves,
+        rules: leaveState.staffingRules
+    }).warnings;
+}
+
+// ================================================
+// SECTION 10: UTILITY FUNCTIONS
+// ================================================
+
+/**
+ * Employee name of a leave (joined employees row)
+ * @param {Object} leave - Leave row
+ * @returns {string}
+ */
+function getLeaveEmployeeName(leave) {
+    return leave.employees?.full_name || 'Unknown';
+}
+
+/**
+ * Calendar dates of a leave (leave_dates, or the start – end range)
+ * @param {Object} leave - Leave row
+ * @returns {Array<string>} YYYY-MM-DD
+ */
+function getLeaveDates(leave) {
+    if (Array.isArray(leave.leave_dates) && leave.leave_dates.length) return leave.leave_dates;
+    return HolidayCalendar.expandDateRange(leave.start_date, leave.end_date);
+}
+
+/**
+ * Format the dates of a leave ("18 Mar 2026" or "23 Mar 2026 - 28 Mar 2026")
+ * @param {Object} leave - Leave row
+ * @returns {string}
+ */
+function formatLeaveRange(leave) {
+    if (!leave.start_date) return '-';
+    if (leave.start_date === leave.end_date) return formatDate(leave.start_date);
+    return `${formatDate(leave.start_date)} - ${formatDate(leave.end_date)}`;
+}
+
+/**
+ * Set the text of an element if it exists
+ * @param {string} id - Element ID
+ * @param {string|number} value - Text
+ */
+function setText(id, value) {
+    const element = document.getElementById(id);
+    if (element) element.textContent = value;
+}
+
+/**
+ * Escape HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+// ================================================
+// SECTION 11: GLOBAL EXPOSURE (Window Functions)
+// ================================================
+
+// Core Initialization
+window.initLeavePage = initLeavePage;
+window.refreshLeaves = refreshLeaves;
+
+// Calendar
+window.navigateMonth = navigateMonth;
+window.changeTeam = changeTeam;
+
+// Approval
+window.decideLeave = decideLeave;
+
+// New request
+window.openLeaveRequestModal = openLeaveRequestModal;
+window.closeLeaveRequestModal = closeLeaveRequestModal;
+window.updateLeaveRequestPreview = updateLeaveRequestPreview;
+window.submitLeaveRequest = submitLeaveRequest;
+
+// Legacy sheet import
+window.openLegacyImportModal = openLegacyImportModal;
+window.closeLegacyImportModal = closeLegacyImportModal;
+window.previewLegacyImport = previewLegacyImport;
+window.submitLegacyImport = submitLegacyImport;
+
+// Balances & ledger
+window.runLeaveAccrual = runLeaveAccrual;
+window.changeBalanceYear = changeBalanceYear;
+window.openLedgerModal = openLedgerModal;
+window.closeLedgerModal = closeLedgerModal;
+window.submitLedgerAdjustment = submitLedgerAdjustment;
+
+// ================================================
+// SECTION 12: AUTO-INITIALIZATION
+// ================================================
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initLeavePage);
+} else {
+    initLeavePage();
+}
+
+// ================================================
+// SECTION 13: DEBUG UTILITIES
+// ================================================
+
+window.debugLeave = {
+    state: leaveState,
+    leaves: () => leaveState.leaves,
+    balances: () => leaveState.balances,
+    team: () => leaveState.team,
+    reload: refreshLeaves
+};
+
+console.log('✅ LEAVE.js v1.0 loaded');
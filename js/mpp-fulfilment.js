@@ -0,0 +1,170 @@
+// ================================================
+// SWAP HRIS - MANPOWER PLAN FULFILMENT
+// mpp-fulfilment.js - Version 1.0
+// ================================================
+
+// ⚠️ DEPENDENCIES: candidate-hire.js (manpower plan matching)
+// ⚠️ PROVIDES: Live headcount of manpower plan lines, the recruitment candidates filling each line,
+//              and open / in-pipeline / hired counts with overdue flags
+
+const MPPFulfilment = (() => {
+    'use strict';
+
+    const Hire = typeof CandidateHire !== 'undefined'
+        ? CandidateHire
+        : require('./candidate-hire.js');
+
+    // ================================================
+    // SECTION 1: CONSTANTS
+    // ================================================
+
+    // Candidate stages still working towards a hire
+    const PIPELINE_STAGES = ['Applied', 'Screening', 'HR Interview', 'User Interview', 'Offering'];
+
+    const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+    const normalizeText = text => String(text || '').trim().toLowerCase();
+
+    // ================================================
+    // SECTION 2: HEADCOUNT
+    // ================================================
+
+    /**
+     * Position name of an employee (custom position first, like the employees table)
+     * @param {Object} employee - employees row with positions:position_id (title)
+     * @returns {string}
+     */
+    function getEmployeePosition(employee) {
+        return employee?.position_custom || employee?.positions?.title || '';
+    }
+
+    /**
+     * Active employees holding the plan's department and position (position_id holds the position name)
+     * @param {Object} plan - manpower_planning row
+     * @param {Array} employees - Active employees
+     * @returns {number}
+     */
+    function countHeadcount(plan, employees) {
+        const position = normalizeText(plan.position_id);
+        return (employees || []).filter(employee =>
+            employee.is_active !== false &&
+            (employee.department_id || null) === (plan.department_id || null) &&
+            normalizeText(getEmployeePosition(employee)) === position
+        ).length;
+    }
+
+    // ================================================
+    // SECTION 3: CANDIDATES
+    // ================================================
+
+    /**
+     * Group candidates by the plan line they fill: recruitment_tracker.mpp_id when set, otherwise
+     * the best matching line (CandidateHire.findManpowerPlan on the apply date)
+     * @param {Array} plans - manpower_planning rows
+     * @param {Array} candidates - recruitment_tracker rows
+     * @returns {Object<string, Array>} Plan ID → candidates
+     */
+    function assignCandidates(plans, candidates) {
+        const byPlan = {};
+        (plans || []).forEach(plan => { byPlan[plan.id] = []; });
+
+        (candidates || []).forEach(candidate => {
+            const plan = candidate.mpp_id && byPlan[candidate.mpp_id]
+                ? { id: candidate.mpp_id }
+                : Hire.findManpowerPlan(plans, candidate, candidate.apply_date);
+            if (plan) byPlan[plan.id].push(candidate);
+        });
+
+        return byPlan;
+    }
+
+    // ================================================
+    // SECTION 4: FULFILMENT
+    // ================================================
+
+    /**
+     * Fulfilment of one plan line
+     * @param {Object} plan - manpower_planning row
+     * @param {number} headcount - Live headcount (countHeadcount)
+     * @param {Array} candidates - Candidates filling the line (assignCandidates)
+     * @param {string} [today] - YYYY-MM-DD (defaults to today)
+     * @returns {{current: number, planned: number, gap: number, open: number, in_pipeline: number,
+     *            hired: number, overdue: boolean, days_overdue: number}}
+     */
+    function calculateFulfilment(plan, headcount, candidates, today) {
+        today = today || new Date().toISOString().split('T')[0];
+
+        const planned = Number(plan.planned_count) || 0;
+        const gap = planned - headcount;
+        const open = Math.max(gap, 0);
+
+        const inPipeline = (candidates || []).filter(candidate =>
+            PIPELINE_STAGES.includes(candidate.current_stage || 'Applied') && candidate.status !== 'Failed'
+        ).length;
+        const hired = (candidates || []).filter(candidate => candidate.current_stage === 'Hired').length;
+
+        // Overdue: past timeline end with seats still open
+        const overdue = !!plan.timeline_end && plan.timeline_end < today && open > 0 && plan.status !== 'rejected';
+        const daysOverdue = overdue
+            ? Math.round((new Date(today) - new Date(plan.timeline_end)) / MS_PER_DAY)
+            : 0;
+
+        return {
+            current: headcount,
+            planned,
+            gap,
+            open,
+            in_pipeline: inPipeline,
+            hired,
+            overdue,
+            days_overdue: daysOverdue
+        };
+    }
+
+    /**
+     * Fulfilment of every plan line
+     * @param {Array} plans - manpower_planning rows
+     * @param {Array} employees - Active employees
+     * @param {Array} candidates - recruitment_tracker rows
+     * @param {string} [today] - YYYY-MM-DD
+     * @returns {Object<string, Object>} Plan ID → {...calculateFulfilment, candidates}
+     */
+    function buildFulfilment(plans, employees, candidates, today) {
+        const byPlan = assignCandidates(plans, candidates);
+        const result = {};
+
+        (plans || []).forEach(plan => {
+            result[plan.id] = {
+                ...calculateFulfilment(plan, countHeadcount(plan, employees), byPlan[plan.id], today),
+                candidates: byPlan[plan.id]
+            };
+        });
+
+        return result;
+    }
+
+    // ================================================
+    // PUBLIC API
+    // ================================================
+
+    return {
+        PIPELINE_STAGES,
+        getEmployeePosition,
+        countHeadcount,
+        assignCandidates,
+        calculateFulfilment,
+        buildFulfilment
+    };
+})();
+
+// ================================================
+// EXPOSE MODULE (Browser global + Node require)
+// ================================================
+
+if (typeof window !== 'undefined') {
+    window.MPPFulfilment = MPPFulfilment;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MPPFulfilment;
+}
@@ -0,0 +1,601 @@
+// ================================================
+// SWAP HRIS - PAYROLL DOCUMENTS
+// payroll-documents.js - Version 1.0
+// ================================================
+
+// ⚠️ DEPENDENCIES: None (pure JavaScript, renders HTML strings in browser and Node)
+// ⚠️ PROVIDES: Printable payroll documents (payslip / slip gaji, batch payslips, separation settlement, 1721-A1)
+
+const PayrollDocuments = (() => {
+    'use strict';
+
+    // ================================================
+    // SECTION 1: HELPERS
+    // ================================================
+
+    const MONTH_NAMES = [
+        'Januari', 'Februari', 'Maret', 'April', 'Mei', 'Juni',
+        'Juli', 'Agustus', 'September', 'Oktober', 'November', 'Desember'
+    ];
+
+    /**
+     * Escape HTML special characters (string-based, no DOM needed)
+     * @param {*} value - Value to escape
+     * @returns {string}
+     */
+    function escapeHtml(value) {
+        if (value === null || value === undefined) return '';
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Format amount as rupiah with dot thousand separators
+     * @param {number} amount - Amount
+     * @returns {string} e.g., "Rp 1.250.000" / "-Rp 50.000"
+     */
+    function formatRupiah(amount) {
+        const rounded = Math.round(Number(amount) || 0);
+        const digits = Math.abs(rounded).toString().replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+        return `${rounded < 0 ? '-' : ''}Rp ${digits}`;
+    }
+
+    /**
+     * Spell out a whole rupiah amount in Indonesian (terbilang)
+     * @param {number} amount - Amount
+     * @returns {string} e.g., "Satu Juta Dua Ratus Ribu Rupiah"
+     */
+    function terbilang(amount) {
+        const words = ['', 'Satu', 'Dua', 'Tiga', 'Empat', 'Lima', 'Enam', 'Tujuh', 'Delapan', 'Sembilan', 'Sepuluh', 'Sebelas'];
+
+        const spell = n => {
+            if (n < 12) return words[n];
+            if (n < 20) return `${spell(n - 10)} Belas`;
+            if (n < 100) return `${spell(Math.floor(n / 10))} Puluh ${spell(n % 10)}`;
+            if (n < 200) return `Seratus ${spell(n - 100)}`;
+            if (n < 1000) return `${spell(Math.floor(n / 100))} Ratus ${spell(n % 100)}`;
+            if (n < 2000) return `Seribu ${spell(n - 1000)}`;
+            if (n < 1e6) return `${spell(Math.floor(n / 1000))} Ribu ${spell(n % 1000)}`;
+            if (n < 1e9) return `${spell(Math.floor(n / 1e6))} Juta ${spell(n % 1e6)}`;
+            if (n < 1e12) return `${spell(Math.floor(n / 1e9))} Miliar ${spell(n % 1e9)}`;
+            return `${spell(Math.floor(n / 1e12))} Triliun ${spell(n % 1e12)}`;
+        };
+
+        const rounded = Math.round(Number(amount) || 0);
+        if (rounded === 0) return 'Nol Rupiah';
+
+        const text = spell(Math.abs(rounded)).replace(/\s+/g, ' ').trim();
+        return `${rounded < 0 ? 'Minus ' : ''}${text} Rupiah`;
+    }
+
+    /**
+     * Build a two-column amount table
+     * @param {Array} rows - [{label, amount, note?}]
+     * @param {string} totalLabel - Label of the total row
+     * @param {number} total - Total amount
+     * @returns {string} HTML
+     */
+    function renderAmountTable(rows, totalLabel, total) {
+        return `
+            <table class="amounts">
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td>${escapeHtml(row.label)}${row.note ? ` <span class="note">${escapeHtml(row.note)}</span>` : ''}</td>
+                            <td class="num">${formatRupiah(row.amount)}</td>
+                        </tr>
+                    `).join('')}
+                    <tr class="total">
+                        <td>${escapeHtml(totalLabel)}</td>
+                        <td class="num">${formatRupiah(total)}</td>
+                    </tr>
+                </tbody>
+            </table>
+        `;
+    }
+
+    // ================================================
+    // SECTION 2: SHARED STYLES & DOCUMENT SHELL
+    // ================================================
+
+    const DOCUMENT_STYLES = `
+        * { box-sizing: border-box; }
+        body { font-family: Arial, sans-serif; font-size: 12px; color: #1f2937; margin: 0; }
+        .page { width: 190mm; margin: 0 auto; padding: 10mm 0; page-break-after: always; position: relative; }
+        .page:last-child { page-break-after: auto; }
+        .letterhead { display: flex; align-items: center; gap: 12px; border-bottom: 2px solid #1f2937; padding-bottom: 8px; }
+        .letterhead img { height: 48px; width: auto; }
+        .letterhead h1 { font-size: 16px; margin: 0; }
+        .letterhead p { margin: 2px 0 0; color: #4b5563; font-size: 11px; }
+        .doc-title { text-align: center; margin: 12px 0; }
+        .doc-title h2 { font-size: 15px; margin: 0; letter-spacing: 1px; }
+        .doc-title p { margin: 2px 0 0; color: #4b5563; }
+        .info { width: 100%; border-collapse: collapse; margin-bottom: 10px; }
+        .info td { padding: 2px 4px; vertical-align: top; }
+        .info td.label { width: 22%; color: #4b5563; }
+        .columns { display: flex; gap: 16px; }
+        .columns > div { flex: 1; }
+        h3 { font-size: 12px; margin: 10px 0 4px; text-transform: uppercase; border-bottom: 1px solid #d1d5db; padding-bottom: 2px; }
+        .amounts { width: 100%; border-collapse: collapse; }
+        .amounts td { padding: 3px 4px; }
+        .amounts td.num { text-align: right; white-space: nowrap; }
+        .amounts tr.total td { font-weight: bold; border-top: 1px solid #9ca3af; }
+        .note { color: #6b7280; font-size: 10px; }
+        .net { margin-top: 12px; padding: 8px; border: 2px solid #1f2937; display: flex; justify-content: space-between; font-size: 14px; font-weight: bold; }
+        .words { font-style: italic; color: #4b5563; margin-top: 4px; }
+        .muted { color: #6b7280; font-size: 10px; }
+        .signatures { display: flex; justify-content: space-between; margin-top: 28px; text-align: center; }
+        .signatures div { width: 40%; }
+        .signatures .line { margin-top: 48px; border-top: 1px solid #1f2937; padding-top: 2px; }
+        .watermark { position: absolute; top: 40%; left: 0; right: 0; text-align: center; font-size: 72px; color: rgba(220, 38, 38, 0.12); transform: rotate(-20deg); pointer-events: none; }
+        @media print { .no-print { display: none; } }
+    `;
+
+    /**
+     * Render company letterhead from company_settings
+     * @param {Object} company - {company_name, address, phone, email, logo_url}
+     * @returns {string} HTML
+     */
+    function renderLetterhead(company = {}) {
+        const contact = [company.phone, company.email].filter(Boolean).join(' · ');
+        return `
+            <div class="letterhead">
+                ${company.logo_url ? `<img src="${escapeHtml(company.logo_url)}" alt="Logo">` : ''}
+                <div>
+                    <h1>${escapeHtml(company.company_name || 'Company')}</h1>
+                    ${company.address ? `<p>${escapeHtml(company.address)}</p>` : ''}
+                    ${contact ? `<p>${escapeHtml(contact)}</p>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Wrap page fragments in a complete printable HTML document
+     * @param {Array<string>} pages - Page HTML fragments
+     * @param {string} title - Document title
+     * @returns {string} Full HTML document
+     */
+    function renderDocument(pages, title) {
+        return `<!DOCTYPE html>
+<html lang="id">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    <style>${DOCUMENT_STYLES}</style>
+</head>
+<body>
+${pages.join('\n')}
+</body>
+</html>`;
+    }
+
+    // ================================================
+    // SECTION 3: PAYSLIP (SLIP GAJI)
+    // ================================================
+
+    /**
+     * Render one payslip page
+     * @param {Object} result - Result of PayrollEngine.calculatePayroll()
+     * @param {Object} context
+     * @param {Object} context.company - company_settings row
+     * @param {Object} context.employee - employees row (bank_name, bank_account_number, bank_account_name)
+     * @param {Object} [context.contract] - contract_history row (position_at_time)
+     * @param {string} [context.watermark] - e.g., "DRAFT" for unapproved runs
+     * @returns {string} Page HTML fragment
+     */
+    function renderPayslip(result, { company = {}, employee = {}, contract = {}, watermark = '' } = {}) {
+        const bpjs = result.bpjs || {};
+        const pph21 = result.pph21 || {};
+        const period = `${MONTH_NAMES[(result.month || 1) - 1]} ${result.year || ''}`;
+
+        const earnings = [
+            { label: 'Gaji Pokok', amount: result.basic_salary },
+            ...(result.allowances || []).map(a => ({ label: a.name, amount: a.amount })),
+            ...(result.total_overtime_pay ? [{ label: 'Lembur', note: `${result.overtime_hours} jam`, amount: result.total_overtime_pay }] : []),
+            ...(result.thr || []).map(t => ({ label: t.label, amount: t.amount })),
+            ...(result.adjustments || [])
+                .filter(a => a.kind === 'earning')
+                .map(a => ({ label: a.label, amount: a.amount }))
+        ];
+
+        const pph21Note = pph21.method === 'ter'
+            ? `TER ${pph21.ter_category} ${parseFloat((pph21.ter_rate * 100).toFixed(2))}%`
+            : pph21.method === 'ter_final' ? 'perhitungan akhir tahun' : '';
+
+        const deductions = [
+            { label: 'BPJS Kesehatan', amount: bpjs.kesehatan?.employee || 0 },
+            { label: 'BPJS JHT', amount: bpjs.jht?.employee || 0 },
+            { label: 'BPJS JP', amount: bpjs.jp?.employee || 0 },
+            { label: pph21.monthly_tax < 0 ? 'PPh 21 (lebih bayar)' : 'PPh 21', note: pph21Note, amount: pph21.monthly_tax || 0 },
+            ...(result.late_deduction ? [{ label: 'Potongan Keterlambatan', note: `${result.late_minutes} menit`, amount: result.late_deduction }] : []),
+            ...(result.adjustments || [])
+                .filter(a => a.kind === 'deduction')
+                .map(a => ({ label: a.label, amount: a.amount }))
+        ].filter(row => row.amount);
+
+        const companyContributions = [
+            { label: 'BPJS Kesehatan', amount: bpjs.kesehatan?.company || 0 },
+            { label: 'BPJS JHT', amount: bpjs.jht?.company || 0 },
+            { label: 'BPJS JP', amount: bpjs.jp?.company || 0 },
+            { label: 'BPJS JKK', amount: bpjs.jkk?.company || 0 },
+            { label: 'BPJS JKM', amount: bpjs.jkm?.company || 0 }
+        ].filter(row => row.amount);
+
+        return `
+            <section class="page payslip">
+                ${watermark ? `<div class="watermark">${escapeHtml(watermark)}</div>` : ''}
+                ${renderLetterhead(company)}
+
+                <div class="doc-title">
+                    <h2>SLIP GAJI</h2>
+                    <p>Periode ${escapeHtml(period)}</p>
+                </div>
+
+                <table class="info">
+                    <tr>
+                        <td class="label">Nama</td><td>: ${escapeHtml(result.full_name || employee.full_name)}</td>
+                        <td class="label">Bank</td><td>: ${escapeHtml(employee.bank_name || '-')}</td>
+                    </tr>
+                    <tr>
+                        <td class="label">NIK Karyawan</td><td>: ${escapeHtml(result.employee_code || employee.employee_code || '-')}</td>
+                        <td class="label">No. Rekening</td><td>: ${escapeHtml(employee.bank_account_number || '-')}</td>
+                    </tr>
+                    <tr>
+                        <td class="label">Jabatan</td><td>: ${escapeHtml(contract?.position_at_time || '-')}</td>
+                        <td class="label">Atas Nama</td><td>: ${escapeHtml(employee.bank_account_name || '-')}</td>
+                    </tr>
+                    <tr>
+                        <td class="label">Status PTKP</td><td>: ${escapeHtml(pph21.ptkp_code || '-')}</td>
+                        <td class="label"></td><td></td>
+                    </tr>
+                </table>
+
+                <div class="columns">
+                    <div>
+                        <h3>Pendapatan</h3>
+                        ${renderAmountTable(earnings, 'Total Pendapatan', result.gross_salary)}
+                    </div>
+                    <div>
+                        <h3>Potongan</h3>
+                        ${renderAmountTable(deductions, 'Total Potongan', result.total_deductions)}
+                    </div>
+                </div>
+
+                <div class="net">
+                    <span>GAJI BERSIH (TAKE HOME PAY)</span>
+                    <span>${formatRupiah(result.net_salary)}</span>
+                </div>
+                <p class="words">Terbilang: ${escapeHtml(terbilang(result.net_salary))}</p>
+
+                ${companyContributions.length ? `
+                    <h3>Iuran Ditanggung Perusahaan</h3>
+                    ${renderAmountTable(companyContributions, 'Total Iuran Perusahaan', companyContributions.reduce((sum, row) => sum + row.amount, 0))}
+                    <p class="muted">Iuran perusahaan tidak mengurangi gaji bersih dan ditampilkan sebagai informasi.</p>
+                ` : ''}
+
+                <div class="signatures">
+                    <div>Penerima<div class="line">${escapeHtml(result.full_name || employee.full_name)}</div></div>
+                    <div>HRD<div class="line">${escapeHtml(company.company_name || '')}</div></div>
+                </div>
+
+                <p class="muted">Dokumen ini bersifat rahasia dan hanya untuk karyawan yang bersangkutan.</p>
+            </section>
+        `;
+    }
+
+    /**
+     * Render a complete payslip document (one or many employees, one page each)
+     * @param {Array} slips - [{result, employee, contract}]
+     * @param {Object} options
+     * @param {Object} options.company - company_settings row
+     * @param {string} [options.watermark] - Watermark text for every page
+     * @returns {string} Full HTML document
+     */
+    function renderPayslipDocument(slips, { company = {}, watermark = '' } = {}) {
+        const list = slips || [];
+        const first = list[0]?.result || {};
+        const title = list.length === 1
+            ? `Slip Gaji - ${first.full_name || ''} - ${MONTH_NAMES[(first.month || 1) - 1]} ${first.year || ''}`
+            : `Slip Gaji - ${MONTH_NAMES[(first.month || 1) - 1]} ${first.year || ''} (${list.length} karyawan)`;
+
+        const pages = list.map(slip => renderPayslip(slip.result, {
+            company,
+            employee: slip.employee,
+            contract: slip.contract,
+            watermark
+        }));
+
+        return renderDocument(pages, title);
+    }
+
+    // ================================================
+    // SECTION 4: SEPARATION SETTLEMENT STATEMENT
+    // ================================================
+
+    /**
+     * Format ISO date as Indonesian long date
+     * @param {string} value - Date string (YYYY-MM-DD)
+     * @returns {string} e.g., "1 April 2026"
+     */
+    function formatLongDate(value) {
+        const d = new Date(value);
+        if (!value || isNaN(d.getTime())) return '-';
+        return `${d.getDate()} ${MONTH_NAMES[d.getMonth()]} ${d.getFullYear()}`;
+    }
+
+    /**
+     * Render a separation settlement statement (perhitungan hak pesangon)
+     * @param {Object} settlement - Result of PayrollEngine.calculateSeverance()
+     * @param {Object} context
+     * @param {Object} context.company - company_settings row
+     * @param {Object} [context.contract] - Latest contract_history row (position_at_time)
+     * @returns {string} Full HTML document
+     */
+    function renderSettlementStatement(settlement, { company = {}, contract = {} } = {}) {
+        const s = settlement;
+        const monthsLabel = (multiplier, months) => `${multiplier} × ${months} bulan upah`;
+
+        const entitlements = [
+            ...(s.pesangon.amount ? [{ label: 'Uang Pesangon', note: monthsLabel(s.pesangon.multiplier, s.pesangon.months), amount: s.pesangon.amount }] : []),
+            ...(s.upmk.amount ? [{ label: 'Uang Penghargaan Masa Kerja', note: monthsLabel(s.upmk.multiplier, s.upmk.months), amount: s.upmk.amount }] : []),
+            ...(s.compensation.amount ? [{ label: 'Uang Kompensasi PKWT', note: `${s.compensation.months} / 12 bulan upah`, amount: s.compensation.amount }] : []),
+            ...(s.uph.leave_amount ? [{ label: 'Uang Penggantian Hak - Cuti', note: `${s.uph.leave_days} hari`, amount: s.uph.leave_amount }] : []),
+            ...(s.uph.travel_cost ? [{ label: 'Uang Penggantian Hak - Ongkos Pulang', amount: s.uph.travel_cost }] : []),
+            ...(s.uang_pisah ? [{ label: 'Uang Pisah', amount: s.uang_pisah }] : [])
+        ];
+
+        const page = `
+            <section class="page settlement">
+                ${renderLetterhead(company)}
+
+                <div class="doc-title">
+                    <h2>PERHITUNGAN HAK AKHIR HUBUNGAN KERJA</h2>
+                    <p>Berdasarkan PP 35/2021 ${escapeHtml(s.article)}</p>
+                </div>
+
+                <table class="info">
+                    <tr>
+                        <td class="label">Nama</td><td>: ${escapeHtml(s.full_name)}</td>
+                        <td class="label">Tanggal Masuk</td><td>: ${escapeHtml(formatLongDate(s.join_date))}</td>
+                    </tr>
+                    <tr>
+                        <td class="label">NIK Karyawan</td><td>: ${escapeHtml(s.employee_code || '-')}</td>
+                        <td class="label">Tanggal Berakhir</td><td>: ${escapeHtml(formatLongDate(s.separation_date))}</td>
+                    </tr>
+                    <tr>
+                        <td class="label">Jabatan</td><td>: ${escapeHtml(contract?.position_at_time || '-')}</td>
+                        <td class="label">Masa Kerja</td><td>: ${s.service_years} tahun ${s.service_months % 12} bulan</td>
+                    </tr>
+                    <tr>
+                        <td class="label">Status</td><td>: ${escapeHtml(s.contract_type || '-')}${s.contract_number ? ` (${escapeHtml(s.contract_number)})` : ''}</td>
+                        <td class="label">Upah Sebulan</td><td>: ${formatRupiah(s.wage)}</td>
+                    </tr>
+                    <tr>
+                        <td class="label">Alasan</td><td colspan="3">: ${escapeHtml(s.reason_label)}</td>
+                    </tr>
+                </table>
+
+                <h3>Rincian Hak</h3>
+                ${entitlements.length
+                    ? renderAmountTable(entitlements, 'Total Hak Bruto', s.total_gross)
+                    : '<p class="muted">Tidak ada hak pesangon, kompensasi maupun penggantian hak untuk alasan ini.</p>'}
+
+                <h3>Potongan</h3>
+                ${renderAmountTable([{ label: 'PPh 21 Final atas Pesangon', amount: s.tax }], 'Total Potongan', s.tax)}
+
+                <div class="net">
+                    <span>TOTAL DITERIMA</span>
+                    <span>${formatRupiah(s.net_amount)}</span>
+                </div>
+                <p class="words">Terbilang: ${escapeHtml(terbilang(s.net_amount))}</p>
+
+                <p class="muted">Upah = gaji pokok + tunjangan tetap. Gaji berjalan sampai tanggal berakhir dibayarkan melalui payroll periode terkait.</p>
+
+                <div class="signatures">
+                    <div>Karyawan<div class="line">${escapeHtml(s.full_name)}</div></div>
+                    <div>HRD<div class="line">${escapeHtml(company.company_name || '')}</div></div>
+                </div>
+            </section>
+        `;
+
+        return renderDocument([page], `Perhitungan Pesangon - ${s.full_name || ''}`);
+    }
+
+    // ================================================
+    // SECTION 5: FORM 1721-A1 (ANNUAL WITHHOLDING SLIP)
+    // ================================================
+
+    /**
+     * 1721-A1 section B line labels (PER-2/PJ/2024)
+     */
+    const FORM_1721A1_LINES = {
+        1: 'Gaji/Pensiun atau THT/JHT',
+        2: 'Tunjangan PPh',
+        3: 'Tunjangan Lainnya, Uang Lembur dan sebagainya',
+        4: 'Honorarium dan Imbalan Lain Sejenisnya',
+        5: 'Premi Asuransi yang Dibayar Pemberi Kerja',
+        6: 'Penerimaan dalam Bentuk Natura dan Kenikmatan Lainnya',
+        7: 'Tantiem, Bonus, Gratifikasi, Jasa Produksi dan THR',
+        8: 'Jumlah Penghasilan Bruto (1 s.d. 7)',
+        9: 'Biaya Jabatan',
+        10: 'Iuran Terkait Program Pensiun / JHT / JP',
+        11: 'Jumlah Pengurangan (9 s.d. 10)',
+        12: 'Jumlah Penghasilan Neto (8 - 11)',
+        13: 'Penghasilan Neto Masa Sebelumnya',
+        14: 'Jumlah Penghasilan Neto untuk Penghitungan PPh 21',
+        15: 'Penghasilan Tidak Kena Pajak (PTKP)',
+        16: 'Penghasilan Kena Pajak Setahun (14 - 15)',
+        17: 'PPh 21 atas Penghasilan Kena Pajak Setahun',
+        18: 'PPh 21 yang Telah Dipotong Masa Sebelumnya',
+        19: 'PPh 21 Terutang',
+        20: 'PPh 21 yang Telah Dipotong dan Dilunasi'
+    };
+
+    /**
+     * Build the 1721-A1 slip number (1.1-MM-YY-NNNNNNN)
+     * @param {Object} form - Result of PayrollEngine.summarizeAnnualTax()
+     * @param {number} sequence - Running number within the year
+     * @returns {string}
+     */
+    function format1721A1Number(form, sequence) {
+        return `1.1-${String(form.period_end).padStart(2, '0')}-${String(form.year).slice(-2)}-${String(sequence).padStart(7, '0')}`;
+    }
+
+    /**
+     * Render one 1721-A1 page
+     * @param {Object} form - Result of PayrollEngine.summarizeAnnualTax()
+     * @param {Object} context
+     * @param {Object} context.company - company_settings row (tax_npwp, tax_nitku)
+     * @param {Object} [context.employee] - employees row (nik, address, gender, positions)
+     * @param {number} [context.sequence] - Running number within the year
+     * @returns {string} HTML page fragment
+     */
+    function renderForm1721A1(form, { company = {}, employee = {}, sequence = 1 } = {}) {
+        const line = n => `
+            <tr${[8, 12, 19, 20].includes(n) ? ' class="total"' : ''}>
+                <td>${n}.</td>
+                <td>${escapeHtml(FORM_1721A1_LINES[n])}</td>
+                <td class="num">${formatRupiah(form.lines[n])}</td>
+            </tr>`;
+        const group = (title, numbers) => `
+            <tr><td colspan="3"><strong>${escapeHtml(title)}</strong></td></tr>
+            ${numbers.map(line).join('')}`;
+
+        return `
+            <section class="page form-1721a1">
+                ${renderLetterhead(company)}
+
+                <div class="doc-title">
+                    <h2>BUKTI PEMOTONGAN PAJAK PENGHASILAN PASAL 21 (1721-A1)</h2>
+                    <p>Bagi Pegawai Tetap atau Penerima Pensiun atau Tunjangan Hari Tua/Jaminan Hari Tua Berkala</p>
+                    <p>Nomor: ${escapeHtml(format1721A1Number(form, sequence))} · Masa Perolehan ${String(form.period_start).padStart(2, '0')} - ${String(form.period_end).padStart(2, '0')} / ${escapeHtml(form.year)}</p>
+                </div>
+
+                <table class="info">
+                    <tr>
+                        <td class="label">NPWP Pemotong</td><td>: ${escapeHtml(company.tax_npwp || '-')}</td>
+                        <td class="label">NITKU</td><td>: ${escapeHtml(company.tax_nitku || '-')}</td>
+                    </tr>
+                    <tr>
+                        <td class="label">Nama Pemotong</td><td colspan="3">: ${escapeHtml(company.company_name || '-')}</td>
+                    </tr>
+                </table>
+
+                <h3>A. Identitas Penerima Penghasilan</h3>
+                <table class="info">
+                    <tr>
+                        <td class="label">NPWP / NIK</td><td>: ${escapeHtml(employee.nik || '-')}</td>
+                        <td class="label">Status / PTKP</td><td>: ${escapeHtml(form.ptkp_code || '-')}</td>
+                    </tr>
+                    <tr>
+                        <td class="label">Nama</td><td>: ${escapeHtml(form.full_name || employee.full_name || '-')}</td>
+                        <td class="label">Jenis Kelamin</td><td>: ${employee.gender === 'Female' ? 'Perempuan' : employee.gender === 'Male' ? 'Laki-laki' : '-'}</td>
+                    </tr>
+                    <tr>
+                        <td class="label">Alamat</td><td>: ${escapeHtml(employee.ktp_address || employee.current_address || '-')}</td>
+                        <td class="label">Jabatan</td><td>: ${escapeHtml(employee.positions?.title || '-')}</td>
+                    </tr>
+                </table>
+
+                <h3>B. Rincian Penghasilan dan Penghitungan PPh Pasal 21</h3>
+                <table class="amounts">
+                    <tbody>
+                        ${group('Penghasilan Bruto', [1, 2, 3, 4, 5, 6, 7, 8])}
+                        ${group('Pengurangan', [9, 10, 11])}
+                        ${group('Penghitungan PPh Pasal 21', [12, 13, 14, 15, 16, 17, 18, 19, 20])}
+                    </tbody>
+                </table>
+
+                ${form.is_settled ? '' : `<p class="muted">Selisih PPh 21 terutang dan yang telah dipotong: ${formatRupiah(form.difference)}</p>`}
+
+                <h3>C. Identitas Pemotong</h3>
+                <div class="signatures">
+                    <div></div>
+                    <div>${escapeHtml(company.company_name || '')}<div class="line">Tanggal: ${escapeHtml(formatLongDate(`${form.year}-12-31`))}</div></div>
+                </div>
+            </section>
+        `;
+    }
+
+    /**
+     * Render 1721-A1 forms of many employees (one page each) for year-end distribution
+     * @param {Array} forms - [{form, employee}]
+     * @param {Object} options
+     * @param {Object} options.company - company_settings row
+     * @returns {string} Full HTML document
+     */
+    function render1721A1Document(forms, { company = {} } = {}) {
+        const list = forms || [];
+        const year = list[0]?.form.year || '';
+        const pages = list.map((entry, index) => renderForm1721A1(entry.form, {
+            company,
+            employee: entry.employee,
+            sequence: index + 1
+        }));
+
+        return renderDocument(pages, list.length === 1
+            ? `1721-A1 ${year} - ${list[0].form.full_name || ''}`
+            : `1721-A1 ${year} (${list.length} karyawan)`);
+    }
+
+    // ================================================
+    // SECTION 6: PRINTING (Browser only)
+    // ================================================
+
+    /**
+     * Open a document in a new window and trigger the print dialog (Save as PDF supported)
+     * @param {string} html - Full HTML document
+     * @returns {boolean} False if the popup was blocked
+     */
+    function printDocument(html) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) return false;
+
+        printWindow.document.write(html);
+        printWindow.document.close();
+        printWindow.onload = () => {
+            printWindow.focus();
+            printWindow.print();
+        };
+        return true;
+    }
+
+    // ================================================
+    // PUBLIC API
+    // ================================================
+
+    return {
+        MONTH_NAMES,
+        escapeHtml,
+        formatRupiah,
+        terbilang,
+        renderLetterhead,
+        renderDocument,
+        renderPayslip,
+        renderPayslipDocument,
+        formatLongDate,
+        renderSettlementStatement,
+        FORM_1721A1_LINES,
+        format1721A1Number,
+        renderForm1721A1,
+        render1721A1Document,
+        printDocument
+    };
+})();
+
+// ================================================
+// EXPOSE MODULE (Browser global + Node require)
+// ================================================
+
+if (typeof window !== 'undefined') {
+    window.PayrollDocuments = PayrollDocuments;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PayrollDocuments;
+}
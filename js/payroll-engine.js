@@ -0,0 +1,1451 @@
+// ================================================
+// SWAP HRIS - PAYROLL ENGINE
+// payroll-engine.js - Version 1.0
+// ================================================
+
+// ⚠️ DEPENDENCIES: None (pure JavaScript, runs in browser and Node)
+// ⚠️ PROVIDES: Client-side payroll calculation mirroring the calculate_* RPCs,
+//              with a line-by-line trace of every rule applied
+
+const PayrollEngine = (() => {
+    'use strict';
+
+    // ================================================
+    // SECTION 1: DEFAULT RULES
+    // ================================================
+
+    /**
+     * Default payroll rules (BPJS rates, tax brackets, overtime)
+     * Override per call via the `rules` argument of calculatePayroll()
+     */
+    const DEFAULT_RULES = {
+        // Monthly working hours divisor for hourly wage (Kepmenaker 102/2004)
+        hourly_divisor: 173,
+        // Flat multiplier for attendance overtime hours without SPL day detail
+        overtime_multiplier: 1.5,
+        late_deduction_per_minute: 0,
+
+        // Fallback when the bpjs_rates master has no row for a program
+        bpjs: {
+            kesehatan: { employee_rate: 0.01, company_rate: 0.04, wage_cap: 12000000 },
+            jht: { employee_rate: 0.02, company_rate: 0.037, wage_cap: null },
+            jp: { employee_rate: 0.01, company_rate: 0.02, wage_cap: 10547400 },
+            jkk: { employee_rate: 0, company_rate: 0.0024, wage_cap: null },
+            jkm: { employee_rate: 0, company_rate: 0.003, wage_cap: null }
+        },
+
+        pph21: {
+            // 'annualized' (monthly annual/12) or 'ter' (PP 58/2023 monthly TER + final-period true-up)
+            method: 'annualized',
+            biaya_jabatan_rate: 0.05,
+            biaya_jabatan_monthly_cap: 500000,
+            // Progressive brackets (UU HPP): [upper bound of annual PKP, rate]
+            brackets: [
+                [60000000, 0.05],
+                [250000000, 0.15],
+                [500000000, 0.25],
+                [5000000000, 0.30],
+                [Infinity, 0.35]
+            ]
+        },
+
+        // THR - Permenaker 6/2016
+        thr: {
+            min_service_months: 1,
+            full_service_months: 12,
+            // Upah = basic salary + fixed allowances
+            include_fixed_allowances: true,
+            // PKWTT employees (severance.pkwtt_contract_types) leaving within this many days before the holiday keep THR
+            resign_grace_days: 30
+        },
+
+        // Separation pay - PP 35/2021
+        severance: {
+            // Upah = basic salary + fixed allowances
+            include_fixed_allowances: true,
+            pkwtt_contract_types: ['Permanent', 'Probation'],
+            pkwt_contract_types: ['Contract', 'Extension'],
+            // Daily wage for leave payout: 25 (6-day week) or 21 (5-day week)
+            leave_daily_divisor: 25,
+            // Final PPh21 on severance (PP 68/2009): [upper bound of gross, rate]
+            tax_brackets: [
+                [50000000, 0],
+                [100000000, 0.05],
+                [500000000, 0.15],
+                [Infinity, 0.25]
+            ]
+        },
+
+        // Overtime pay (SPL) - Kepmenaker 102/2004, tiers per day: [up to hour N, multiplier]
+        overtime: {
+            // Worked overtime is paid in whole blocks of this many minutes
+            rounding_minutes: 30,
+            workday: [[1, 1.5], [Infinity, 2]],
+            // Rest day or public holiday, 5-day work week
+            rest_day_5: [[8, 2], [9, 3], [Infinity, 4]],
+            // Rest day or public holiday, 6-day work week
+            rest_day_6: [[7, 2], [8, 3], [Infinity, 4]],
+            // Public holiday on the shortest workday of a 6-day work week
+            short_day_6: [[5, 2], [6, 3], [Infinity, 4]]
+        }
+    };
+
+    /**
+     * One-off adjustment types HR can add to a payroll run item
+     * Earnings are irregular income: taxed, but outside the BPJS wage base.
+     */
+    const ADJUSTMENT_TYPES = {
+        bonus: { label: 'Bonus', kind: 'earning' },
+        thr: { label: 'THR', kind: 'earning' },
+        deduction: { label: 'Deduction', kind: 'deduction' }
+    };
+
+    // ================================================
+    // SECTION 2: HELPER FUNCTIONS
+    // ================================================
+
+    /**
+     * Round amount to whole rupiah
+     * @param {number} amount - Amount to round
+     * @returns {number}
+     */
+    function roundRupiah(amount) {
+        return Math.round(Number(amount) || 0);
+    }
+
+    /**
+     * Format number with thousand separators (no Intl dependency)
+     * @param {number} amount - Amount to format
+     * @returns {string}
+     */
+    function formatAmount(amount) {
+        const rounded = roundRupiah(amount);
+        const sign = rounded < 0 ? '-' : '';
+        return sign + Math.abs(rounded).toString().replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+    }
+
+    /**
+     * Format rate as percentage string
+     * @param {number} rate - Rate (e.g., 0.037)
+     * @returns {string} e.g., "3.7%"
+     */
+    function formatRate(rate) {
+        return `${parseFloat((rate * 100).toFixed(4))}%`;
+    }
+
+    /**
+     * Deep merge rule overrides onto defaults
+     * @param {Object} base - Default rules
+     * @param {Object} overrides - Rule overrides
+     * @returns {Object} Merged rules
+     */
+    function mergeRules(base, overrides) {
+        if (!overrides) return base;
+
+        const merged = { ...base };
+        Object.keys(overrides).forEach(key => {
+            const value = overrides[key];
+            const isPlainObject = value && typeof value === 'object' && !Array.isArray(value);
+            merged[key] = isPlainObject && base[key]
+                ? mergeRules(base[key], value)
+                : value;
+        });
+        return merged;
+    }
+
+    /**
+     * Create a trace collector
+     * @returns {{entries: Array, add: Function}}
+     */
+    function createTrace() {
+        const entries = [];
+        return {
+            entries,
+            add(code, label, formula, amount) {
+                entries.push({ code, label, formula, amount: roundRupiah(amount) });
+                return roundRupiah(amount);
+            }
+        };
+    }
+
+    /**
+     * Normalize allowances input into [{name, amount}]
+     * @param {Array|Object|null} allowances - Array of {name, amount} or {name: amount} map
+     * @returns {Array}
+     */
+    function normalizeAllowances(allowances) {
+        if (!allowances) return [];
+        if (Array.isArray(allowances)) {
+            return allowances
+                .filter(a => a && Number(a.amount))
+                .map(a => ({ name: a.name || 'Allowance', amount: Number(a.amount) }));
+        }
+        return Object.keys(allowances)
+            .filter(name => Number(allowances[name]))
+            .map(name => ({ name, amount: Number(allowances[name]) }));
+    }
+
+    /**
+     * Normalize one-off adjustments into [{type, kind, label, amount}]
+     * @param {Array|null} adjustments - [{type: 'bonus'|'thr'|'deduction', label?, amount}]
+     * @returns {Array}
+     * @throws {Error} On unknown adjustment type
+     */
+    function normalizeAdjustments(adjustments) {
+        if (!Array.isArray(adjustments)) return [];
+        return adjustments
+            .filter(a => a && Number(a.amount))
+            .map(a => {
+                const type = ADJUSTMENT_TYPES[a.type];
+                if (!type) throw new Error(`Unknown adjustment type: ${a.type}`);
+                return {
+                    type: a.type,
+                    kind: type.kind,
+                    label: a.label || type.label,
+                    amount: Math.abs(Number(a.amount))
+                };
+            });
+    }
+
+    // ================================================
+    // SECTION 3: BPJS CONTRIBUTIONS
+    // ================================================
+
+    /**
+     * BPJS programs in calculation order
+     */
+    const BPJS_PROGRAMS = ['kesehatan', 'jht', 'jp', 'jkk', 'jkm'];
+
+    /**
+     * JKK company rate per work-risk class (PP 44/2015)
+     */
+    const JKK_RISK_CLASSES = {
+        I: 0.0024,
+        II: 0.0054,
+        III: 0.0089,
+        IV: 0.0127,
+        V: 0.0174
+    };
+
+    /**
+     * Build BPJS rules from effective-dated bpjs_rates rows
+     * Per program, the row with the latest effective_date on or before asOfDate wins;
+     * programs without a valid row keep the fallback rates.
+     * @param {Array} rateRows - [{program, employee_rate, company_rate, wage_cap, risk_class, effective_date}]
+     * @param {string} asOfDate - Date the rates must be valid on (YYYY-MM-DD)
+     * @param {Object} [fallback] - Rules used when no row applies
+     * @returns {Object} BPJS rules keyed by program (each with effective_date when from the master)
+     */
+    function resolveBPJSRules(rateRows, asOfDate, fallback = DEFAULT_RULES.bpjs) {
+        const rules = {};
+
+        BPJS_PROGRAMS.forEach(program => {
+            const row = (rateRows || [])
+                .filter(r => r.program === program && r.effective_date && r.effective_date <= asOfDate)
+                .sort((a, b) => b.effective_date.localeCompare(a.effective_date))[0];
+
+            rules[program] = row
+                ? {
+                    employee_rate: Number(row.employee_rate) || 0,
+                    company_rate: Number(row.company_rate) || 0,
+                    wage_cap: Number(row.wage_cap) || null,
+                    risk_class: row.risk_class || null,
+                    effective_date: row.effective_date
+                }
+                : fallback[program];
+        });
+
+        return rules;
+    }
+
+    /**
+     * Calculate one BPJS program contribution
+     * @param {string} program - Program key (kesehatan, jht, jp, jkk, jkm)
+     * @param {number} wage - Wage base before cap
+     * @param {Object} rate - {employee_rate, company_rate, wage_cap, effective_date?}
+     * @param {Object} trace - Trace collector
+     * @returns {{wage_base: number, employee: number, company: number}}
+     */
+    function calculateBPJSProgram(program, wage, rate, trace) {
+        const label = program === 'kesehatan' ? 'BPJS Kesehatan' : `BPJS ${program.toUpperCase()}`;
+        const code = `BPJS_${program.toUpperCase()}`;
+        const capped = rate.wage_cap && wage > rate.wage_cap;
+        const wageBase = capped ? rate.wage_cap : wage;
+        const baseText = (capped
+            ? `${formatAmount(wageBase)} (capped from ${formatAmount(wage)})`
+            : formatAmount(wageBase))
+            + (rate.effective_date ? ` [rates from ${rate.effective_date}]` : '');
+
+        const employee = rate.employee_rate
+            ? trace.add(`${code}_EE`, `${label} employee share`,
+                `${formatRate(rate.employee_rate)} × ${baseText}`, wageBase * rate.employee_rate)
+            : 0;
+
+        const company = rate.company_rate
+            ? trace.add(`${code}_ER`, `${label} company share`,
+                `${formatRate(rate.company_rate)} × ${baseText}`, wageBase * rate.company_rate)
+            : 0;
+
+        return { wage_base: roundRupiah(wageBase), employee, company };
+    }
+
+    /**
+     * Calculate all BPJS contributions for a wage
+     * @param {number} wage - Monthly wage base (basic salary + fixed allowances)
+     * @param {Object} bpjsRules - BPJS rules keyed by program
+     * @param {Object} trace - Trace collector
+     * @returns {Object} Per-program contributions plus totals
+     */
+    function calculateBPJS(wage, bpjsRules, trace) {
+        const result = {};
+        let totalEmployee = 0;
+        let totalCompany = 0;
+
+        BPJS_PROGRAMS.forEach(program => {
+            const rate = bpjsRules[program];
+            if (!rate) return;
+            result[program] = calculateBPJSProgram(program, wage, rate, trace);
+            totalEmployee += result[program].employee;
+            totalCompany += result[program].company;
+        });
+
+        result.total_employee = totalEmployee;
+        result.total_company = totalCompany;
+        return result;
+    }
+
+    // ================================================
+    // SECTION 4: PPh21 (ANNUALIZED METHOD)
+    // ================================================
+
+    /**
+     * Apply progressive tax brackets to annual taxable income (PKP)
+     * @param {number} taxableIncome - Annual PKP (already rounded down to thousands)
+     * @param {Array} brackets - [[upperBound, rate], ...]
+     * @returns {number} Annual tax
+     */
+    function applyProgressiveBrackets(taxableIncome, brackets) {
+        let remaining = taxableIncome;
+        let lowerBound = 0;
+        let tax = 0;
+
+        for (const [upperBound, rate] of brackets) {
+            if (remaining <= 0) break;
+            const slice = Math.min(remaining, upperBound - lowerBound);
+            tax += slice * rate;
+            remaining -= slice;
+            lowerBound = upperBound;
+        }
+
+        return roundRupiah(tax);
+    }
+
+    /**
+     * Calculate monthly PPh21 using the annualized method
+     * @param {Object} params
+     * @param {number} params.taxableGross - Monthly gross incl. company-paid JKK, JKM, BPJS Kesehatan
+     * @param {number} params.pensionDeduction - Employee JHT + JP contributions
+     * @param {number} [params.irregularIncome] - One-off earnings (bonus, THR), taxed once, not annualized
+     * @param {Object} params.ptkp - {code, annual_amount}
+     * @param {Object} params.rules - pph21 rules
+     * @param {Object} trace - Trace collector
+     * @returns {Object} {method, ptkp_code, ptkp_amount, taxable_gross, biaya_jabatan, pension_deduction,
+     *                    annual_net_income, taxable_income, annual_tax, irregular_income, irregular_tax, monthly_tax}
+     */
+    function calculateAnnualizedPPh21({ taxableGross, pensionDeduction, irregularIncome = 0, ptkp, rules }, trace) {
+        const biayaJabatan = trace.add('PPH21_BIAYA_JABATAN', 'Biaya jabatan',
+            `min(${formatRate(rules.biaya_jabatan_rate)} × ${formatAmount(taxableGross)}, ${formatAmount(rules.biaya_jabatan_monthly_cap)})`,
+            Math.min(taxableGross * rules.biaya_jabatan_rate, rules.biaya_jabatan_monthly_cap));
+
+        const monthlyNet = trace.add('PPH21_NET_MONTHLY', 'Monthly net income',
+            `${formatAmount(taxableGross)} − ${formatAmount(biayaJabatan)} − ${formatAmount(pensionDeduction)}`,
+            taxableGross - biayaJabatan - pensionDeduction);
+
+        const annualNet = trace.add('PPH21_NET_ANNUAL', 'Annualized net income',
+            `${formatAmount(monthlyNet)} × 12`, monthlyNet * 12);
+
+        const ptkpAmount = Number(ptkp?.annual_amount) || 0;
+        trace.add('PPH21_PTKP', `PTKP ${ptkp?.code || '-'}`, 'ptkp_categories.annual_amount', ptkpAmount);
+
+        const taxableIncome = trace.add('PPH21_PKP', 'Taxable income (PKP)',
+            `floor((${formatAmount(annualNet)} − ${formatAmount(ptkpAmount)}) / 1.000) × 1.000`,
+            Math.max(0, Math.floor((annualNet - ptkpAmount) / 1000) * 1000));
+
+        const annualTax = trace.add('PPH21_ANNUAL', 'Annual PPh21',
+            `progressive brackets on ${formatAmount(taxableIncome)}`,
+            applyProgressiveBrackets(taxableIncome, rules.brackets));
+
+        let monthlyTax = trace.add('PPH21_MONTHLY', 'Monthly PPh21',
+            `${formatAmount(annualTax)} / 12`, annualTax / 12);
+
+        // Irregular income: tax on (annual + irregular) minus tax on annual alone
+        let irregularTax = 0;
+        if (irregularIncome > 0) {
+            const annualGross = taxableGross * 12 + irregularIncome;
+            const annualBiayaJabatan = Math.min(annualGross * rules.biaya_jabatan_rate, rules.biaya_jabatan_monthly_cap * 12);
+            const netWithIrregular = annualGross - annualBiayaJabatan - pensionDeduction * 12;
+            const pkpWithIrregular = Math.max(0, Math.floor((netWithIrregular - ptkpAmount) / 1000) * 1000);
+
+            irregularTax = trace.add('PPH21_IRREGULAR', 'PPh21 on irregular income',
+                `tax(${formatAmount(pkpWithIrregular)}) − ${formatAmount(annualTax)}`,
+                applyProgressiveBrackets(pkpWithIrregular, rules.brackets) - annualTax);
+
+            monthlyTax = trace.add('PPH21_MONTHLY_TOTAL', 'Monthly PPh21 incl. irregular income',
+                `${formatAmount(monthlyTax)} + ${formatAmount(irregularTax)}`, monthlyTax + irregularTax);
+        }
+
+        return {
+            method: 'annualized',
+            ptkp_code: ptkp?.code || null,
+            ptkp_amount: roundRupiah(ptkpAmount),
+            taxable_gross: roundRupiah(taxableGross + irregularIncome),
+            biaya_jabatan: biayaJabatan,
+            pension_deduction: roundRupiah(pensionDeduction),
+            annual_net_income: annualNet,
+            taxable_income: taxableIncome,
+            annual_tax: annualTax,
+            irregular_income: roundRupiah(irregularIncome),
+            irregular_tax: irregularTax,
+            monthly_tax: monthlyTax
+        };
+    }
+
+
+    // ================================================
+    // SECTION 5: PPh21 (TER METHOD - PP 58/2023)
+    // ================================================
+
+    /**
+     * TER monthly rate tables: [upper bound of monthly gross, rate]
+     * Category A: TK/0, TK/1, K/0 | B: TK/2, TK/3, K/1, K/2 | C: K/3
+     */
+    const TER_TABLES = {
+        A: [
+            [5400000, 0], [5650000, 0.0025], [5950000, 0.005], [6300000, 0.0075],
+            [6750000, 0.01], [7500000, 0.0125], [8550000, 0.015], [9650000, 0.0175],
+            [10050000, 0.02], [10350000, 0.0225], [10700000, 0.025], [11050000, 0.03],
+            [11600000, 0.035], [12500000, 0.04], [13750000, 0.05], [15100000, 0.06],
+            [16950000, 0.07], [19750000, 0.08], [24150000, 0.09], [26450000, 0.10],
+            [28000000, 0.11], [30050000, 0.12], [32400000, 0.13], [35400000, 0.14],
+            [39100000, 0.15], [43850000, 0.16], [47800000, 0.17], [51400000, 0.18],
+            [56300000, 0.19], [62200000, 0.20], [68600000, 0.21], [77500000, 0.22],
+            [89000000, 0.23], [103000000, 0.24], [125000000, 0.25], [157000000, 0.26],
+            [206000000, 0.27], [337000000, 0.28], [454000000, 0.29], [550000000, 0.30],
+            [695000000, 0.31], [910000000, 0.32], [1400000000, 0.33], [Infinity, 0.34]
+        ],
+        B: [
+            [6200000, 0], [6500000, 0.0025], [6850000, 0.005], [7300000, 0.0075],
+            [9200000, 0.01], [10750000, 0.015], [11250000, 0.02], [11600000, 0.025],
+            [12600000, 0.03], [13600000, 0.04], [14950000, 0.05], [16400000, 0.06],
+            [18450000, 0.07], [21850000, 0.08], [26000000, 0.09], [27700000, 0.10],
+            [29350000, 0.11], [31450000, 0.12], [33950000, 0.13], [37100000, 0.14],
+            [41100000, 0.15], [45800000, 0.16], [49500000, 0.17], [53800000, 0.18],
+            [58500000, 0.19], [64000000, 0.20], [71000000, 0.21], [80000000, 0.22],
+            [93000000, 0.23], [109000000, 0.24], [129000000, 0.25], [163000000, 0.26],
+            [211000000, 0.27], [374000000, 0.28], [459000000, 0.29], [555000000, 0.30],
+            [704000000, 0.31], [957000000, 0.32], [1405000000, 0.33], [Infinity, 0.34]
+        ],
+        C: [
+            [6600000, 0], [6950000, 0.0025], [7350000, 0.005], [7800000, 0.0075],
+            [8850000, 0.01], [9800000, 0.0125], [10950000, 0.015], [11200000, 0.0175],
+            [12050000, 0.02], [12950000, 0.03], [14150000, 0.04], [15550000, 0.05],
+            [17050000, 0.06], [19500000, 0.07], [22700000, 0.08], [26600000, 0.09],
+            [28100000, 0.10], [30100000, 0.11], [32600000, 0.12], [35400000, 0.13],
+            [38900000, 0.14], [43000000, 0.15], [47400000, 0.16], [51200000, 0.17],
+            [55800000, 0.18], [60400000, 0.19], [66700000, 0.20], [74500000, 0.21],
+            [83200000, 0.22], [95600000, 0.23], [110000000, 0.24], [134000000, 0.25],
+            [169000000, 0.26], [221000000, 0.27], [390000000, 0.28], [463000000, 0.29],
+            [561000000, 0.30], [709000000, 0.31], [965000000, 0.32], [1419000000, 0.33],
+            [Infinity, 0.34]
+        ]
+    };
+
+    /**
+     * PTKP code → TER category
+     */
+    const TER_CATEGORY_BY_PTKP = {
+        TK0: 'A', TK1: 'A', K0: 'A',
+        TK2: 'B', TK3: 'B', K1: 'B', K2: 'B',
+        K3: 'C'
+    };
+
+    /**
+     * Resolve TER category from a PTKP code ("TK/0", "K/1", "TK0", ...)
+     * @param {string} ptkpCode - PTKP code from ptkp_categories.code
+     * @returns {string|null} 'A', 'B', 'C' or null if unknown
+     */
+    function getTERCategory(ptkpCode) {
+        const key = String(ptkpCode || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        return TER_CATEGORY_BY_PTKP[key] || null;
+    }
+
+    /**
+     * Look up the TER rate for a monthly gross amount
+     * @param {string} category - 'A', 'B' or 'C'
+     * @param {number} monthlyGross - Monthly taxable gross
+     * @returns {number} Rate (e.g., 0.015)
+     */
+    function getTERRate(category, monthlyGross) {
+        const table = TER_TABLES[category];
+        if (!table) return 0;
+        const row = table.find(([upperBound]) => monthlyGross <= upperBound);
+        return row ? row[1] : table[table.length - 1][1];
+    }
+
+    /**
+     * Summarize a year-to-date PPh21 ledger
+     * @param {Array} ledger - Entries [{month, taxable_gross, pension_deduction, tax_withheld}]
+     * @param {number} beforeMonth - Only include entries for months before this one (optional)
+     * @returns {{months: number, taxable_gross: number, pension_deduction: number, tax_withheld: number}}
+     */
+    function summarizeTaxLedger(ledger, beforeMonth = null) {
+        return (ledger || [])
+            .filter(entry => !beforeMonth || Number(entry.month) < beforeMonth)
+            .reduce((ytd, entry) => ({
+                months: ytd.months + 1,
+                taxable_gross: ytd.taxable_gross + (Number(entry.taxable_gross) || 0),
+                pension_deduction: ytd.pension_deduction + (Number(entry.pension_deduction) || 0),
+                tax_withheld: ytd.tax_withheld + (Number(entry.tax_withheld) || 0)
+            }), { months: 0, taxable_gross: 0, pension_deduction: 0, tax_withheld: 0 });
+    }
+
+    /**
+     * Calculate PPh21 for a non-final month using the TER table
+     * @param {Object} params
+     * @param {number} params.taxableGross - Monthly gross incl. company-paid JKK, JKM, BPJS Kesehatan
+     * @param {Object} params.ptkp - {code, annual_amount}
+     * @param {Object} trace - Trace collector
+     * @returns {Object} {method, ter_category, ter_rate, ptkp_code, ptkp_amount, taxable_gross, monthly_tax}
+     */
+    function calculateTERPPh21({ taxableGross, ptkp }, trace) {
+        const category = getTERCategory(ptkp?.code);
+        if (!category) {
+            throw new Error(`Unknown PTKP code for TER: ${ptkp?.code || '(empty)'}`);
+        }
+
+        const rate = getTERRate(category, taxableGross);
+        const monthlyTax = trace.add('PPH21_TER', `PPh21 TER category ${category}`,
+            `${formatRate(rate)} × ${formatAmount(taxableGross)}`, taxableGross * rate);
+
+        return {
+            method: 'ter',
+            ter_category: category,
+            ter_rate: rate,
+            ptkp_code: ptkp?.code || null,
+            ptkp_amount: roundRupiah(ptkp?.annual_amount),
+            taxable_gross: roundRupiah(taxableGross),
+            monthly_tax: monthlyTax
+        };
+    }
+
+    /**
+     * Calculate PPh21 for the final period (December, or the resignation month)
+     * Recomputes the year's tax on actual YTD income with the progressive brackets
+     * and withholds the difference against tax already withheld via TER.
+     * @param {Object} params
+     * @param {number} params.taxableGross - Current month taxable gross
+     * @param {number} params.pensionDeduction - Current month employee JHT + JP
+     * @param {Object} params.ptkp - {code, annual_amount}
+     * @param {Array} params.ledger - Prior months of the same year
+     * @param {Object} params.rules - pph21 rules
+     * @param {Object} trace - Trace collector
+     * @returns {Object} {method, ptkp_code, ptkp_amount, ytd_*, biaya_jabatan, taxable_income, annual_tax, monthly_tax, is_refund}
+     */
+    function calculateFinalPeriodPPh21({ taxableGross, pensionDeduction, ptkp, ledger, month, rules }, trace) {
+        const ytd = summarizeTaxLedger(ledger, month);
+        const monthsWorked = ytd.months + 1;
+
+        const totalGross = trace.add('PPH21_YTD_GROSS', 'YTD taxable gross',
+            `${formatAmount(ytd.taxable_gross)} + ${formatAmount(taxableGross)}`, ytd.taxable_gross + taxableGross);
+
+        const biayaJabatan = trace.add('PPH21_BIAYA_JABATAN', 'Biaya jabatan (YTD)',
+            `min(${formatRate(rules.biaya_jabatan_rate)} × ${formatAmount(totalGross)}, ${formatAmount(rules.biaya_jabatan_monthly_cap)} × ${monthsWorked})`,
+            Math.min(totalGross * rules.biaya_jabatan_rate, rules.biaya_jabatan_monthly_cap * monthsWorked));
+
+        const totalPension = trace.add('PPH21_YTD_PENSION', 'YTD JHT + JP (employee)',
+            `${formatAmount(ytd.pension_deduction)} + ${formatAmount(pensionDeduction)}`, ytd.pension_deduction + pensionDeduction);
+
+        const netIncome = trace.add('PPH21_NET_ANNUAL', 'YTD net income',
+            `${formatAmount(totalGross)} − ${formatAmount(biayaJabatan)} − ${formatAmount(totalPension)}`,
+            totalGross - biayaJabatan - totalPension);
+
+        const ptkpAmount = Number(ptkp?.annual_amount) || 0;
+        trace.add('PPH21_PTKP', `PTKP ${ptkp?.code || '-'}`, 'ptkp_categories.annual_amount', ptkpAmount);
+
+        const taxableIncome = trace.add('PPH21_PKP', 'Taxable income (PKP)',
+            `floor((${formatAmount(netIncome)} − ${formatAmount(ptkpAmount)}) / 1.000) × 1.000`,
+            Math.max(0, Math.floor((netIncome - ptkpAmount) / 1000) * 1000));
+
+        const annualTax = trace.add('PPH21_ANNUAL', 'Annual PPh21 (progressive)',
+            `progressive brackets on ${formatAmount(taxableIncome)}`,
+            applyProgressiveBrackets(taxableIncome, rules.brackets));
+
+        const monthlyTax = trace.add('PPH21_TRUE_UP', 'Final period PPh21 (true-up)',
+            `${formatAmount(annualTax)} − ${formatAmount(ytd.tax_withheld)} withheld YTD`,
+            annualTax - ytd.tax_withheld);
+
+        return {
+            method: 'ter_final',
+            ptkp_code: ptkp?.code || null,
+            ptkp_amount: roundRupiah(ptkpAmount),
+            taxable_gross: roundRupiah(taxableGross),
+            months_worked: monthsWorked,
+            ytd_taxable_gross: totalGross,
+            ytd_pension_deduction: totalPension,
+            ytd_tax_withheld: roundRupiah(ytd.tax_withheld),
+            biaya_jabatan: biayaJabatan,
+            annual_net_income: netIncome,
+            taxable_income: taxableIncome,
+            annual_tax: annualTax,
+            monthly_tax: monthlyTax,
+            is_refund: monthlyTax < 0
+        };
+    }
+
+    // ================================================
+    // SECTION 6: MAIN CALCULATION
+    // ================================================
+
+    /**
+     * Calculate complete payroll breakdown for one employee and period
+     * @param {Object} input
+     * @param {Object} input.employee - Employee record (id, employee_code, full_name)
+     * @param {Object} input.contract - Active contract_history row ({salary, allowances?})
+     * @param {Object} input.ptkp - ptkp_categories row ({code, annual_amount})
+     * @param {Object} [input.attendance] - {total_present, total_late_minutes, total_overtime_hours, overtime_days?}
+     *                                      overtime_days (from reconcileOvertime) replaces the flat overtime hours
+     * @param {Array|Object} [input.allowances] - Extra allowances [{name, amount}] or {name: amount}
+     * @param {Array} [input.adjustments] - One-off adjustments [{type: 'bonus'|'thr'|'deduction', label, amount}]
+     * @param {Array} [input.thr] - THR from the THR module paid this period [{label, amount}]
+     * @param {Object} [input.period] - {month, year}
+     * @param {Array} [input.tax_ledger] - Prior PPh21 ledger entries of the same year (TER method)
+     * @param {boolean} [input.is_final_period] - December or resignation month (TER method true-up)
+     * @param {Object} [rules] - Rule overrides merged onto DEFAULT_RULES
+     * @returns {Object} Full payroll breakdown with `trace` array
+     */
+    function calculatePayroll(input, rules = null) {
+        const cfg = mergeRules(DEFAULT_RULES, rules);
+        const trace = createTrace();
+        const { employee = {}, contract = {}, ptkp = null, attendance = {}, period = {} } = input || {};
+
+        // Earnings
+        const basicSalary = trace.add('BASIC', 'Basic salary', 'contract_history.salary', Number(contract.salary) || 0);
+
+        const allowances = [
+            ...normalizeAllowances(contract.allowances),
+            ...normalizeAllowances(input?.allowances)
+        ].map(a => ({
+            name: a.name,
+            amount: trace.add('ALLOWANCE', a.name, 'fixed allowance', a.amount)
+        }));
+        const totalAllowances = allowances.reduce((sum, a) => sum + a.amount, 0);
+
+        const hourlyRate = basicSalary / cfg.hourly_divisor;
+        let overtimeHours;
+        let overtimePay;
+        if (Array.isArray(attendance.overtime_days)) {
+            // Approved SPL overtime, tiered per day
+            const days = attendance.overtime_days.filter(day => Number(day.paid_hours) > 0);
+            overtimeHours = days.reduce((sum, day) => sum + Number(day.paid_hours), 0);
+            overtimePay = days.reduce((sum, day) => {
+                const tiers = calculateOvertimeDay(day, cfg.overtime);
+                const formula = tiers.breakdown.map(t => `${t.hours} h × ${t.multiplier}`).join(' + ');
+                return sum + trace.add('OVERTIME', `Overtime ${day.date} (${day.day_type})`,
+                    `(${formula}) × (${formatAmount(basicSalary)} / ${cfg.hourly_divisor})`,
+                    tiers.weighted_hours * hourlyRate);
+            }, 0);
+        } else {
+            overtimeHours = Number(attendance.total_overtime_hours) || 0;
+            overtimePay = overtimeHours
+                ? trace.add('OVERTIME', 'Overtime pay',
+                    `${overtimeHours} h × ${cfg.overtime_multiplier} × (${formatAmount(basicSalary)} / ${cfg.hourly_divisor})`,
+                    overtimeHours * cfg.overtime_multiplier * hourlyRate)
+                : 0;
+        }
+
+        const thr = (input?.thr || [])
+            .filter(t => t && Number(t.amount))
+            .map(t => ({
+                label: t.label || 'THR',
+                amount: trace.add('THR', t.label || 'THR', 'THR module (Permenaker 6/2016)', Number(t.amount))
+            }));
+        const thrAmount = thr.reduce((sum, t) => sum + t.amount, 0);
+
+        const adjustments = normalizeAdjustments(input?.adjustments).map(a => ({
+            ...a,
+            amount: trace.add(a.kind === 'earning' ? 'ADJUSTMENT_EARNING' : 'ADJUSTMENT_DEDUCTION',
+                a.label, `one-off ${a.type}`, a.amount)
+        }));
+        const adjustmentEarnings = adjustments
+            .filter(a => a.kind === 'earning')
+            .reduce((sum, a) => sum + a.amount, 0);
+        const adjustmentDeductions = adjustments
+            .filter(a => a.kind === 'deduction')
+            .reduce((sum, a) => sum + a.amount, 0);
+
+        // Irregular earnings (THR, bonus): taxed, outside the BPJS wage base
+        const irregularEarnings = thrAmount + adjustmentEarnings;
+
+        const grossSalary = trace.add('GROSS', 'Gross salary',
+            `${formatAmount(basicSalary)} + ${formatAmount(totalAllowances)} + ${formatAmount(overtimePay)} + ${formatAmount(irregularEarnings)}`,
+            basicSalary + totalAllowances + overtimePay + irregularEarnings);
+
+        // BPJS on fixed wage (basic + fixed allowances)
+        const bpjsWage = basicSalary + totalAllowances;
+        const bpjs = calculateBPJS(bpjsWage, cfg.bpjs, trace);
+
+        // PPh21
+        const companyBenefits = (bpjs.jkk?.company || 0) + (bpjs.jkm?.company || 0) + (bpjs.kesehatan?.company || 0);
+        const taxableGross = trace.add('PPH21_GROSS', 'Taxable gross (incl. JKK, JKM, BPJS Kesehatan company share)',
+            `${formatAmount(grossSalary)} + ${formatAmount(companyBenefits)}`,
+            grossSalary + companyBenefits);
+        const pensionDeduction = (bpjs.jht?.employee || 0) + (bpjs.jp?.employee || 0);
+
+        let pph21;
+        if (cfg.pph21.method === 'ter') {
+            const isFinalPeriod = input?.is_final_period ?? Number(period.month) === 12;
+            pph21 = isFinalPeriod
+                ? calculateFinalPeriodPPh21({
+                    taxableGross,
+                    pensionDeduction,
+                    ptkp,
+                    ledger: input?.tax_ledger,
+                    month: Number(period.month) || 12,
+                    rules: cfg.pph21
+                }, trace)
+                : calculateTERPPh21({ taxableGross, ptkp }, trace);
+            pph21.pension_deduction = roundRupiah(pensionDeduction);
+        } else {
+            // Annualize regular income only; irregular earnings are taxed once
+            pph21 = calculateAnnualizedPPh21({
+                taxableGross: taxableGross - irregularEarnings,
+                pensionDeduction,
+                irregularIncome: irregularEarnings,
+                ptkp,
+                rules: cfg.pph21
+            }, trace);
+        }
+
+        // Other deductions
+        const lateMinutes = Number(attendance.total_late_minutes) || 0;
+        const lateDeduction = lateMinutes && cfg.late_deduction_per_minute
+            ? trace.add('LATE', 'Late deduction',
+                `${lateMinutes} min × ${formatAmount(cfg.late_deduction_per_minute)}`,
+                lateMinutes * cfg.late_deduction_per_minute)
+            : 0;
+
+        const totalDeductions = trace.add('DEDUCTIONS', 'Total deductions',
+            `${formatAmount(bpjs.total_employee)} + ${formatAmount(pph21.monthly_tax)} + ${formatAmount(lateDeduction)} + ${formatAmount(adjustmentDeductions)}`,
+            bpjs.total_employee + pph21.monthly_tax + lateDeduction + adjustmentDeductions);
+
+        const netSalary = trace.add('NET', 'Net salary (take home pay)',
+            `${formatAmount(grossSalary)} − ${formatAmount(totalDeductions)}`,
+            grossSalary - totalDeductions);
+
+        return {
+            employee_id: employee.id || null,
+            employee_code: employee.employee_code || null,
+            full_name: employee.full_name || null,
+            month: period.month || null,
+            year: period.year || null,
+            basic_salary: basicSalary,
+            allowances,
+            total_allowances: roundRupiah(totalAllowances),
+            overtime_hours: overtimeHours,
+            total_overtime_pay: overtimePay,
+            thr,
+            thr_amount: roundRupiah(thrAmount),
+            adjustments,
+            total_adjustment_earnings: roundRupiah(adjustmentEarnings),
+            total_adjustment_deductions: roundRupiah(adjustmentDeductions),
+            gross_salary: grossSalary,
+            bpjs,
+            pph21,
+            late_minutes: lateMinutes,
+            late_deduction: lateDeduction,
+            total_deductions: totalDeductions,
+            net_salary: netSalary,
+            trace: trace.entries
+        };
+    }
+
+    /**
+     * Build the PPh21 ledger entry for a calculated payroll result
+     * @param {Object} result - Result of calculatePayroll()
+     * @returns {Object} {employee_id, year, month, taxable_gross, pension_deduction, tax_withheld, method, is_final}
+     */
+    function toTaxLedgerEntry(result) {
+        return {
+            employee_id: result.employee_id,
+            year: result.year,
+            month: result.month,
+            taxable_gross: result.pph21.taxable_gross,
+            pension_deduction: result.pph21.pension_deduction,
+            tax_withheld: result.pph21.monthly_tax,
+            method: result.pph21.method,
+            is_final: result.pph21.method === 'ter_final'
+        };
+    }
+
+    // ================================================
+    // SECTION 7: RPC CROSS-CHECK
+    // ================================================
+
+    /**
+     * Map of RPC result fields to engine result paths
+     */
+    const RPC_FIELD_MAP = {
+        basic_salary: 'basic_salary',
+        total_allowances: 'total_allowances',
+        total_overtime_pay: 'total_overtime_pay',
+        gross_salary: 'gross_salary',
+        ptkp_amount: 'pph21.ptkp_amount',
+        taxable_income: 'pph21.taxable_income',
+        annual_tax: 'pph21.annual_tax',
+        monthly_tax: 'pph21.monthly_tax',
+        bpjs_kesehatan_employee: 'bpjs.kesehatan.employee',
+        bpjs_jht_employee: 'bpjs.jht.employee',
+        bpjs_jp_employee: 'bpjs.jp.employee',
+        total_deductions: 'total_deductions',
+        net_salary: 'net_salary'
+    };
+
+    /**
+     * Compare an engine result against an RPC result row
+     * Only fields present in the RPC row are compared.
+     * @param {Object} engineResult - Result of calculatePayroll()
+     * @param {Object} rpcResult - Row returned by calculate_net_salary / calculate_gross_salary / calculate_pph21
+     * @param {number} tolerance - Allowed absolute difference in rupiah (default: 1)
+     * @returns {{matches: boolean, compared: number, differences: Array}}
+     */
+    function comparePayrollResults(engineResult, rpcResult, tolerance = 1) {
+        const differences = [];
+        let compared = 0;
+
+        Object.keys(RPC_FIELD_MAP).forEach(field => {
+            if (!rpcResult || rpcResult[field] === undefined || rpcResult[field] === null) return;
+
+            const engineValue = RPC_FIELD_MAP[field]
+                .split('.')
+                .reduce((obj, key) => obj?.[key], engineResult);
+            if (engineValue === undefined) return;
+
+            compared++;
+            const rpcValue = Number(rpcResult[field]);
+            const difference = roundRupiah(engineValue - rpcValue);
+
+            if (Math.abs(difference) > tolerance) {
+                differences.push({ field, engine: engineValue, rpc: rpcValue, difference });
+            }
+        });
+
+        return { matches: differences.length === 0, compared, differences };
+    }
+
+    // ================================================
+    // SECTION 8: RUN SNAPSHOTS (Totals & Version Diff)
+    // ================================================
+
+    /**
+     * Fields compared between two snapshots of the same employee
+     */
+    const SNAPSHOT_DIFF_FIELDS = {
+        basic_salary: 'basic_salary',
+        total_allowances: 'total_allowances',
+        total_overtime_pay: 'total_overtime_pay',
+        thr_amount: 'thr_amount',
+        total_adjustment_earnings: 'total_adjustment_earnings',
+        gross_salary: 'gross_salary',
+        bpjs_employee: 'bpjs.total_employee',
+        pph21: 'pph21.monthly_tax',
+        total_adjustment_deductions: 'total_adjustment_deductions',
+        total_deductions: 'total_deductions',
+        net_salary: 'net_salary'
+    };
+
+    /**
+     * Sum the headline totals of a set of payroll results
+     * @param {Array} results - Results of calculatePayroll()
+     * @returns {{total_employees: number, total_gross_salary: number, total_deductions: number, total_net_salary: number}}
+     */
+    function summarizePayrollRun(results) {
+        const list = results || [];
+        return {
+            total_employees: list.length,
+            total_gross_salary: roundRupiah(list.reduce((sum, r) => sum + (Number(r.gross_salary) || 0), 0)),
+            total_deductions: roundRupiah(list.reduce((sum, r) => sum + (Number(r.total_deductions) || 0), 0)),
+            total_net_salary: roundRupiah(list.reduce((sum, r) => sum + (Number(r.net_salary) || 0), 0))
+        };
+    }
+
+    /**
+     * Diff two payroll run snapshots, matched by employee_id
+     * @param {Array} previousResults - Results of the prior run version ([] for the first run)
+     * @param {Array} currentResults - Results of the new run version
+     * @param {number} tolerance - Allowed absolute difference in rupiah (default: 0)
+     * @returns {{added: Array, removed: Array, changed: Array, unchanged: number, totals: Object}}
+     */
+    function diffPayrollSnapshots(previousResults, currentResults, tolerance = 0) {
+        const previousById = new Map((previousResults || []).map(r => [r.employee_id, r]));
+        const currentById = new Map((currentResults || []).map(r => [r.employee_id, r]));
+        const pick = r => ({ employee_id: r.employee_id, employee_code: r.employee_code, full_name: r.full_name, net_salary: r.net_salary });
+
+        const added = [];
+        const changed = [];
+        let unchanged = 0;
+
+        currentById.forEach((current, employeeId) => {
+            const previous = previousById.get(employeeId);
+            if (!previous) {
+                added.push(pick(current));
+                return;
+            }
+
+            const changes = [];
+            Object.keys(SNAPSHOT_DIFF_FIELDS).forEach(field => {
+                const path = SNAPSHOT_DIFF_FIELDS[field].split('.');
+                const before = Number(path.reduce((obj, key) => obj?.[key], previous)) || 0;
+                const after = Number(path.reduce((obj, key) => obj?.[key], current)) || 0;
+                const difference = roundRupiah(after - before);
+                if (Math.abs(difference) > tolerance) {
+                    changes.push({ field, previous: before, current: after, difference });
+                }
+            });
+
+            if (changes.length) {
+                changed.push({ ...pick(current), changes });
+            } else {
+                unchanged++;
+            }
+        });
+
+        const removed = [...previousById.keys()]
+            .filter(employeeId => !currentById.has(employeeId))
+            .map(employeeId => pick(previousById.get(employeeId)));
+
+        const previousTotals = summarizePayrollRun(previousResults);
+        const currentTotals = summarizePayrollRun(currentResults);
+
+        return {
+            added,
+            removed,
+            changed,
+            unchanged,
+            totals: {
+                previous_net_salary: previousTotals.total_net_salary,
+                current_net_salary: currentTotals.total_net_salary,
+                difference: currentTotals.total_net_salary - previousTotals.total_net_salary
+            }
+        };
+    }
+
+    // ================================================
+    // SECTION 9: THR (TUNJANGAN HARI RAYA)
+    // ================================================
+
+    /**
+     * Parse a date as UTC midnight of its calendar day, so UTC getters read back the same day
+     * in every time zone
+     * @param {string|Date} value - YYYY-MM-DD (or ISO timestamp) or Date
+     * @returns {Date} Invalid Date when the value cannot be parsed
+     */
+    function parseCalendarDate(value) {
+        if (value instanceof Date) {
+            return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+        }
+        return new Date(`${String(value || '').slice(0, 10)}T00:00:00Z`);
+    }
+
+    /**
+     * Count full months of service between two dates
+     * An end date on the last day of its month completes the month even when the start day
+     * does not exist in it (31 Jan → 29 Feb is one month).
+     * @param {string|Date} startDate - Join date
+     * @param {string|Date} endDate - Cut-off date
+     * @returns {number} Completed months (0 if end is before start)
+     */
+    function countServiceMonths(startDate, endDate) {
+        const start = parseCalendarDate(startDate);
+        const end = parseCalendarDate(endDate);
+        if (isNaN(start.getTime()) || isNaN(end.getTime()) || end < start) return 0;
+
+        let months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + (end.getUTCMonth() - start.getUTCMonth());
+        const monthEnd = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() + 1, 0));
+        const endIsMonthEnd = end.getUTCDate() === monthEnd.getUTCDate();
+        if (end.getUTCDate() < start.getUTCDate() && !endIsMonthEnd) months--;
+        return Math.max(0, months);
+    }
+
+    /**
+     * Calculate THR for one employee and holiday (Permenaker 6/2016)
+     * ≥ 12 months of service: 1 month wage; 1–12 months: months / 12 × wage.
+     * @param {Object} input
+     * @param {Object} input.employee - Employee record (join_date, resign_date, employment_status)
+     * @param {Object} input.contract - contract_history row valid at cut-off ({salary, contract_type, allowances?})
+     * @param {Object} [input.tenure] - calculate_employee_tenure row (fallback when join_date is missing)
+     * @param {Object} input.holiday - {holiday_name, holiday_date, cutoff_date}
+     * @param {Object} [rules] - Rule overrides merged onto DEFAULT_RULES
+     * @returns {Object} {employee_id, employee_code, full_name, holiday_name, cutoff_date, join_date, service_months,
+     *                    wage, is_eligible, is_prorated, reason, thr_amount, trace}
+     */
+    function calculateTHR(input, rules = null) {
+        const merged = mergeRules(DEFAULT_RULES, rules);
+        const cfg = merged.thr;
+        const trace = createTrace();
+        const { employee = {}, contract = {}, tenure = null, holiday = {} } = input || {};
+        const cutoffDate = holiday.cutoff_date || holiday.holiday_date;
+
+        const tenureMonths = tenure
+            ? Number(tenure.total_months ?? ((Number(tenure.years) || 0) * 12 + (Number(tenure.months) || 0))) || 0
+            : 0;
+        const serviceMonths = employee.join_date
+            ? countServiceMonths(employee.join_date, cutoffDate)
+            : tenureMonths;
+        trace.add('THR_SERVICE', 'Service months at cut-off',
+            employee.join_date ? `${employee.join_date} → ${cutoffDate}` : 'calculate_employee_tenure', serviceMonths);
+
+        const basicSalary = Number(contract.salary) || 0;
+        const fixedAllowances = cfg.include_fixed_allowances
+            ? normalizeAllowances(contract.allowances).reduce((sum, a) => sum + a.amount, 0)
+            : 0;
+        const wage = trace.add('THR_WAGE', 'Monthly wage (basic + fixed allowances)',
+            `${formatAmount(basicSalary)} + ${formatAmount(fixedAllowances)}`, basicSalary + fixedAllowances);
+
+        // Eligibility
+        let reason = null;
+        const resignDate = employee.resign_date ? parseCalendarDate(employee.resign_date) : null;
+        if (resignDate && resignDate < parseCalendarDate(cutoffDate)) {
+            const graceStart = parseCalendarDate(holiday.holiday_date || cutoffDate);
+            graceStart.setUTCDate(graceStart.getUTCDate() - cfg.resign_grace_days);
+            // Same PKWTT types as the severance calculation (Permanent and Probation)
+            const isPKWTT = merged.severance.pkwtt_contract_types.includes(contract.contract_type || employee.employment_status);
+            if (!isPKWTT || resignDate < graceStart) {
+                reason = `Resigned ${employee.resign_date} before cut-off`;
+            }
+        }
+        if (!reason && serviceMonths < cfg.min_service_months) {
+            reason = `Service below ${cfg.min_service_months} month(s)`;
+        }
+        if (!reason && wage <= 0) {
+            reason = 'No contract salary';
+        }
+
+        const isProrated = serviceMonths < cfg.full_service_months;
+        const thrAmount = reason
+            ? 0
+            : isProrated
+                ? trace.add('THR', 'THR (prorated)', `${serviceMonths} / ${cfg.full_service_months} × ${formatAmount(wage)}`,
+                    serviceMonths / cfg.full_service_months * wage)
+                : trace.add('THR', 'THR (full)', `1 × ${formatAmount(wage)}`, wage);
+
+        return {
+            employee_id: employee.id || null,
+            employee_code: employee.employee_code || null,
+            full_name: employee.full_name || null,
+            holiday_name: holiday.holiday_name || null,
+            cutoff_date: cutoffDate || null,
+            join_date: employee.join_date || null,
+            contract_type: contract.contract_type || employee.employment_status || null,
+            service_months: serviceMonths,
+            wage,
+            is_eligible: !reason,
+            is_prorated: !reason && isProrated,
+            reason,
+            thr_amount: thrAmount,
+            trace: trace.entries
+        };
+    }
+
+    // ================================================
+    // SECTION 10: SEVERANCE (PP 35/2021)
+    // ================================================
+
+    /**
+     * Separation reasons and their multipliers for PKWTT employees
+     * pesangon / upmk: multiplier of the Pasal 40 ayat (2) / (3) tables; uang_pisah: entitled to uang pisah (per PKB)
+     */
+    const SEPARATION_REASONS = {
+        resign: { label: 'Mengundurkan diri atas kemauan sendiri', article: 'Pasal 50', pesangon: 0, upmk: 0, uang_pisah: true },
+        absence: { label: 'Mangkir 5 hari kerja berturut-turut', article: 'Pasal 51', pesangon: 0, upmk: 0, uang_pisah: true },
+        misconduct: { label: 'Pelanggaran PK/PP/PKB setelah SP', article: 'Pasal 52 ayat (1)', pesangon: 0.5, upmk: 1, uang_pisah: false },
+        urgent_misconduct: { label: 'Pelanggaran bersifat mendesak', article: 'Pasal 52 ayat (2)', pesangon: 0, upmk: 0, uang_pisah: true },
+        detained: { label: 'Ditahan pihak berwajib', article: 'Pasal 54', pesangon: 0, upmk: 1, uang_pisah: false },
+        efficiency: { label: 'Efisiensi untuk mencegah kerugian', article: 'Pasal 43 ayat (2)', pesangon: 1, upmk: 1, uang_pisah: false },
+        efficiency_loss: { label: 'Efisiensi karena perusahaan merugi', article: 'Pasal 43 ayat (1)', pesangon: 0.5, upmk: 1, uang_pisah: false },
+        closure: { label: 'Perusahaan tutup bukan karena merugi', article: 'Pasal 44 ayat (2)', pesangon: 1, upmk: 1, uang_pisah: false },
+        closure_loss: { label: 'Perusahaan tutup karena merugi', article: 'Pasal 44 ayat (1)', pesangon: 0.5, upmk: 1, uang_pisah: false },
+        force_majeure: { label: 'Keadaan memaksa (perusahaan tidak tutup)', article: 'Pasal 45 ayat (2)', pesangon: 0.75, upmk: 1, uang_pisah: false },
+        force_majeure_closure: { label: 'Keadaan memaksa (perusahaan tutup)', article: 'Pasal 45 ayat (1)', pesangon: 0.5, upmk: 1, uang_pisah: false },
+        merger: { label: 'Penggabungan/peleburan/pemisahan perusahaan', article: 'Pasal 41-42', pesangon: 1, upmk: 1, uang_pisah: false },
+        bankruptcy: { label: 'Perusahaan pailit', article: 'Pasal 47', pesangon: 0.5, upmk: 1, uang_pisah: false },
+        employer_violation: { label: 'Permohonan pekerja atas perbuatan pengusaha', article: 'Pasal 48', pesangon: 1, upmk: 1, uang_pisah: false },
+        long_illness: { label: 'Sakit berkepanjangan > 12 bulan', article: 'Pasal 55', pesangon: 2, upmk: 1, uang_pisah: false },
+        retirement: { label: 'Memasuki usia pensiun', article: 'Pasal 56', pesangon: 1.75, upmk: 1, uang_pisah: false },
+        death: { label: 'Meninggal dunia', article: 'Pasal 57', pesangon: 2, upmk: 1, uang_pisah: false }
+    };
+
+    /**
+     * Uang pesangon in months of wage by completed years of service (Pasal 40 ayat 2)
+     * @param {number} years - Completed years of service
+     * @returns {number} 1 (< 1 year) up to 9 (≥ 8 years)
+     */
+    function getPesangonMonths(years) {
+        return Math.min(Math.floor(years) + 1, 9);
+    }
+
+    /**
+     * Uang penghargaan masa kerja in months of wage (Pasal 40 ayat 3)
+     * @param {number} years - Completed years of service
+     * @returns {number} 0 (< 3 years), 2 (3-6) … 8 (21-24), 10 (≥ 24)
+     */
+    function getUPMKMonths(years) {
+        if (years < 3) return 0;
+        if (years >= 24) return 10;
+        return Math.floor(years / 3) + 1;
+    }
+
+    /**
+     * Calculate separation pay for one employee (PP 35/2021)
+     * PKWTT: uang pesangon + uang penghargaan masa kerja by reason multiplier.
+     * PKWT: uang kompensasi of months / 12 × wage for the current contract (Pasal 15-16).
+     * Both: uang penggantian hak (unused leave + travel home) and uang pisah where the reason allows it.
+     * @param {Object} input
+     * @param {Object} input.employee - Employee record (join_date, resign_date, employment_status)
+     * @param {Object} input.contract - Latest contract_history row ({salary, contract_type, start_date, allowances?})
+     * @param {Object} [input.tenure] - calculate_employee_tenure row (fallback when join_date is missing)
+     * @param {Object} [input.leaveBalance] - getLeaveBalance result ({remaining_days} or {total_days, used_days})
+     * @param {Object} input.separation - {reason, date, uang_pisah?, travel_cost?}
+     * @param {Object} [rules] - Rule overrides merged onto DEFAULT_RULES
+     * @returns {Object} Settlement breakdown with trace
+     */
+    function calculateSeverance(input, rules = null) {
+        const cfg = mergeRules(DEFAULT_RULES, rules).severance;
+        const trace = createTrace();
+        const { employee = {}, contract = {}, tenure = null, leaveBalance = null, separation = {} } = input || {};
+
+        const reason = SEPARATION_REASONS[separation.reason];
+        if (!reason) {
+            throw new Error(`Unknown separation reason: ${separation.reason}`);
+        }
+        const separationDate = separation.date || employee.resign_date;
+        if (!separationDate) {
+            throw new Error('Separation date is required');
+        }
+
+        const tenureMonths = tenure
+            ? Number(tenure.total_months ?? ((Number(tenure.years) || 0) * 12 + (Number(tenure.months) || 0))) || 0
+            : 0;
+        const serviceMonths = employee.join_date
+            ? countServiceMonths(employee.join_date, separationDate)
+            : tenureMonths;
+        const serviceYears = Math.floor(serviceMonths / 12);
+        trace.add('SEV_SERVICE', 'Service months',
+            employee.join_date ? `${employee.join_date} → ${separationDate}` : 'calculate_employee_tenure', serviceMonths);
+
+        const basicSalary = Number(contract.salary) || 0;
+        const fixedAllowances = cfg.include_fixed_allowances
+            ? normalizeAllowances(contract.allowances).reduce((sum, a) => sum + a.amount, 0)
+            : 0;
+        const wage = trace.add('SEV_WAGE', 'Monthly wage (basic + fixed allowances)',
+            `${formatAmount(basicSalary)} + ${formatAmount(fixedAllowances)}`, basicSalary + fixedAllowances);
+
+        const contractType = contract.contract_type || employee.employment_status || null;
+        const isPKWT = cfg.pkwt_contract_types.includes(contractType);
+        const isPKWTT = cfg.pkwtt_contract_types.includes(contractType);
+
+        // Uang pesangon & UPMK (PKWTT only)
+        const pesangonMonths = isPKWTT ? getPesangonMonths(serviceYears) : 0;
+        const pesangon = isPKWTT && reason.pesangon
+            ? trace.add('PESANGON', 'Uang pesangon',
+                `${reason.pesangon} × ${pesangonMonths} × ${formatAmount(wage)}`, reason.pesangon * pesangonMonths * wage)
+            : 0;
+
+        const upmkMonths = isPKWTT ? getUPMKMonths(serviceYears) : 0;
+        const upmk = isPKWTT && reason.upmk && upmkMonths
+            ? trace.add('UPMK', 'Uang penghargaan masa kerja',
+                `${reason.upmk} × ${upmkMonths} × ${formatAmount(wage)}`, reason.upmk * upmkMonths * wage)
+            : 0;
+
+        // Uang kompensasi (PKWT), counted over the current contract
+        const contractMonths = isPKWT
+            ? countServiceMonths(contract.start_date || employee.join_date, separationDate)
+            : 0;
+        const compensation = isPKWT && contractMonths >= 1
+            ? trace.add('COMPENSATION', 'Uang kompensasi PKWT',
+                `${contractMonths} / 12 × ${formatAmount(wage)}`, contractMonths / 12 * wage)
+            : 0;
+
+        // Uang penggantian hak
+        const leaveDays = leaveBalance
+            ? Math.max(0, Number(leaveBalance.remaining_days ??
+                ((Number(leaveBalance.total_days) || 0) - (Number(leaveBalance.used_days) || 0))) || 0)
+            : 0;
+        const leavePayout = leaveDays
+            ? trace.add('UPH_LEAVE', 'Cuti tahunan belum diambil',
+                `${leaveDays} / ${cfg.leave_daily_divisor} × ${formatAmount(wage)}`, leaveDays / cfg.leave_daily_divisor * wage)
+            : 0;
+        const travelCost = Number(separation.travel_cost) || 0
+            ? trace.add('UPH_TRAVEL', 'Ongkos pulang ke tempat penerimaan', 'input', Number(separation.travel_cost))
+            : 0;
+        const uph = leavePayout + travelCost;
+
+        const uangPisah = reason.uang_pisah && Number(separation.uang_pisah)
+            ? trace.add('UANG_PISAH', 'Uang pisah (PK/PP/PKB)', 'input', Number(separation.uang_pisah))
+            : 0;
+
+        const totalGross = trace.add('SEV_GROSS', 'Total separation pay',
+            'pesangon + UPMK + kompensasi + UPH + uang pisah', pesangon + upmk + compensation + uph + uangPisah);
+
+        // Final PPh21 on severance (PP 68/2009)
+        const tax = trace.add('SEV_PPH21', 'PPh 21 final pesangon', 'progressive final rates',
+            applyProgressiveBrackets(totalGross, cfg.tax_brackets));
+        const netAmount = trace.add('SEV_NET', 'Net separation pay', `${formatAmount(totalGross)} - ${formatAmount(tax)}`,
+            totalGross - tax);
+
+        return {
+            employee_id: employee.id || null,
+            employee_code: employee.employee_code || null,
+            full_name: employee.full_name || null,
+            join_date: employee.join_date || null,
+            separation_date: separationDate,
+            reason: separation.reason,
+            reason_label: reason.label,
+            article: reason.article,
+            contract_type: contractType,
+            contract_number: contract.contract_number || null,
+            is_pkwt: isPKWT,
+            service_months: serviceMonths,
+            service_years: serviceYears,
+            wage,
+            pesangon: { months: pesangonMonths, multiplier: isPKWTT ? reason.pesangon : 0, amount: pesangon },
+            upmk: { months: upmkMonths, multiplier: isPKWTT ? reason.upmk : 0, amount: upmk },
+            compensation: { months: contractMonths, amount: compensation },
+            uph: { leave_days: leaveDays, leave_amount: leavePayout, travel_cost: travelCost, amount: uph },
+            uang_pisah: uangPisah,
+            total_gross: totalGross,
+            tax,
+            net_amount: netAmount,
+            trace: trace.entries
+        };
+    }
+
+    // ================================================
+    // SECTION 11: ANNUAL TAX SUMMARY (FORM 1721-A1)
+    // ================================================
+
+    /**
+     * Summarize a year of payroll results into the 1721-A1 lines (PER-2/PJ/2024)
+     * Uses actual income of the months worked (no annualization): the final period
+     * true-up already settles the year, so withheld should equal tax due.
+     * @param {Array} results - calculatePayroll() results of the employee's locked runs in the year
+     * @param {Object} [options]
+     * @param {Object} [options.ptkp] - {code, annual_amount}; defaults to the latest result's PTKP
+     * @param {Object} [options.rules] - Rule overrides merged onto DEFAULT_RULES (pph21 brackets, biaya jabatan)
+     * @returns {Object} {year, period_start, period_end, months_worked, lines{1..20}, ptkp_code, is_settled, difference}
+     * @throws {Error} When no results are given
+     */
+    function summarizeAnnualTax(results, { ptkp = null, rules = null } = {}) {
+        const rows = (results || []).filter(Boolean).slice().sort((a, b) => (a.month || 0) - (b.month || 0));
+        if (!rows.length) {
+            throw new Error('At least one payroll result is required');
+        }
+
+        const cfg = mergeRules(DEFAULT_RULES, rules).pph21;
+        const sum = pick => rows.reduce((total, row) => total + (Number(pick(row)) || 0), 0);
+        const last = rows[rows.length - 1];
+
+        const salary = sum(row => row.basic_salary);
+        const otherAllowances = sum(row => (row.total_allowances || 0) + (row.total_overtime_pay || 0));
+        const insurance = sum(row => (row.bpjs?.jkk?.company || 0) + (row.bpjs?.jkm?.company || 0) + (row.bpjs?.kesehatan?.company || 0));
+        const bonus = sum(row => (row.thr_amount || 0) + (row.total_adjustment_earnings || 0));
+        const gross = salary + otherAllowances + insurance + bonus;
+
+        const monthsWorked = rows.length;
+        const biayaJabatan = Math.min(gross * cfg.biaya_jabatan_rate, cfg.biaya_jabatan_monthly_cap * monthsWorked);
+        const pension = sum(row => (row.bpjs?.jht?.employee || 0) + (row.bpjs?.jp?.employee || 0));
+        const netIncome = gross - biayaJabatan - pension;
+
+        const ptkpCode = ptkp?.code || last.pph21?.ptkp_code || null;
+        const ptkpAmount = ptkp ? Number(ptkp.annual_amount) || 0 : Number(last.pph21?.ptkp_amount) || 0;
+        const taxableIncome = Math.max(0, Math.floor((netIncome - ptkpAmount) / 1000) * 1000);
+        const taxDue = roundRupiah(applyProgressiveBrackets(taxableIncome, cfg.brackets));
+        const withheld = roundRupiah(sum(row => row.pph21?.monthly_tax));
+
+        return {
+            employee_id: last.employee_id || null,
+            employee_code: last.employee_code || null,
+            full_name: last.full_name || null,
+            year: last.year || null,
+            period_start: rows[0].month,
+            period_end: last.month,
+            months_worked: monthsWorked,
+            ptkp_code: ptkpCode,
+            lines: {
+                1: roundRupiah(salary),                  // Gaji/pensiun atau THT/JHT
+                2: 0,                                    // Tunjangan PPh
+                3: roundRupiah(otherAllowances),         // Tunjangan lainnya, uang lembur
+                4: 0,                                    // Honorarium dan imbalan lain
+                5: roundRupiah(insurance),               // Premi asuransi dibayar pemberi kerja
+                6: 0,                                    // Natura dan kenikmatan lainnya
+                7: roundRupiah(bonus),                   // Tantiem, bonus, gratifikasi, THR
+                8: roundRupiah(gross),                   // Jumlah penghasilan bruto (1 s.d. 7)
+                9: roundRupiah(biayaJabatan),            // Biaya jabatan
+                10: roundRupiah(pension),                // Iuran pensiun / JHT / JP
+                11: roundRupiah(biayaJabatan + pension), // Jumlah pengurangan (9 + 10)
+                12: roundRupiah(netIncome),              // Penghasilan neto (8 − 11)
+                13: 0,                                   // Neto masa sebelumnya
+                14: roundRupiah(netIncome),              // Neto untuk penghitungan PPh 21
+                15: roundRupiah(ptkpAmount),             // PTKP
+                16: taxableIncome,                       // PKP setahun
+                17: taxDue,                              // PPh 21 atas PKP
+                18: 0,                                   // PPh 21 dipotong masa sebelumnya
+                19: taxDue,                              // PPh 21 terutang
+                20: withheld                             // PPh 21 telah dipotong
+            },
+            difference: taxDue - withheld,
+            is_settled: taxDue === withheld
+        };
+    }
+
+    // ================================================
+    // SECTION 12: OVERTIME (SPL - Kepmenaker 102/2004)
+    // ================================================
+
+    /**
+     * Day types an overtime request can fall on
+     */
+    const OVERTIME_DAY_TYPES = {
+        workday: 'Workday',
+        rest_day: 'Rest day',
+        holiday: 'Public holiday'
+    };
+
+    /**
+     * Multiplier tiers for one overtime day
+     * @param {Object} day - {day_type, work_days_per_week, is_short_day}
+     * @param {Object} overtimeRules - DEFAULT_RULES.overtime shape
+     * @returns {Array} [[up to hour N, multiplier], ...]
+     */
+    function getOvertimeTiers(day, overtimeRules) {
+        if (!day.day_type || day.day_type === 'workday') return overtimeRules.workday;
+        if (Number(day.work_days_per_week) === 6) {
+            return day.day_type === 'holiday' && day.is_short_day ? overtimeRules.short_day_6 : overtimeRules.rest_day_6;
+        }
+        return overtimeRules.rest_day_5;
+    }
+
+    /**
+     * Weighted overtime hours of one day (hours × tier multipliers)
+     * @param {Object} day - {paid_hours, day_type, work_days_per_week, is_short_day}
+     * @param {Object} [overtimeRules] - Defaults to DEFAULT_RULES.overtime
+     * @returns {Object} {hours, weighted_hours, breakdown: [{hours, multiplier}]}
+     */
+    function calculateOvertimeDay(day, overtimeRules = DEFAULT_RULES.overtime) {
+        const hours = Math.max(0, Number(day.paid_hours) || 0);
+        const breakdown = [];
+        let counted = 0;
+
+        for (const [upTo, multiplier] of getOvertimeTiers(day, overtimeRules)) {
+            if (counted >= hours) break;
+            const tierHours = Math.min(hours, upTo) - counted;
+            if (tierHours > 0) {
+                breakdown.push({ hours: tierHours, multiplier });
+                counted += tierHours;
+            }
+        }
+
+        return {
+            hours,
+            weighted_hours: breakdown.reduce((sum, tier) => sum + tier.hours * tier.multiplier, 0),
+            breakdown
+        };
+    }
+
+    /**
+     * Reconcile approved overtime requests with the overtime actually worked
+     * Paid hours = the lower of the approved hours and the attendance overtime (rounded down
+     * to rounding_minutes). On a rest day or holiday all worked time is overtime.
+     * Unapproved attendance overtime is never paid.
+     * @param {Array} requests - Approved overtime_requests [{id, date, planned_hours, day_type, work_days_per_week, is_short_day}]
+     * @param {Array} attendance - Attendance rows of the period [{date, overtime_minutes, worked_minutes}]
+     * @param {Object} [rules] - Rule overrides merged onto DEFAULT_RULES
+     * @returns {Array} overtime_days [{request_id, date, day_type, approved_hours, actual_hours, paid_hours, work_days_per_week, is_short_day}]
+     */
+    function reconcileOvertime(requests, attendance, rules = null) {
+        const cfg = mergeRules(DEFAULT_RULES, rules).overtime;
+        const attendanceByDate = new Map((attendance || []).map(row => [row.date, row]));
+        const roundTo = Number(cfg.rounding_minutes) || 1;
+
+        return (requests || [])
+            .slice()
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(request => {
+                const row = attendanceByDate.get(request.date);
+                const dayType = request.day_type || 'workday';
+                const actualMinutes = !row ? 0 : dayType === 'workday'
+                    ? Number(row.overtime_minutes) || 0
+                    : Number(row.worked_minutes) || Number(row.overtime_minutes) || 0;
+                const actualHours = Math.floor(actualMinutes / roundTo) * roundTo / 60;
+                const approvedHours = Number(request.planned_hours) || 0;
+
+                return {
+                    request_id: request.id || null,
+                    date: request.date,
+                    day_type: dayType,
+                    approved_hours: approvedHours,
+                    actual_hours: actualHours,
+                    paid_hours: Math.min(approvedHours, actualHours),
+                    work_days_per_week: Number(request.work_days_per_week) || 5,
+                    is_short_day: Boolean(request.is_short_day)
+                };
+            });
+    }
+
+    // ================================================
+    // PUBLIC API
+    // ================================================
+
+    return {
+        DEFAULT_RULES,
+        ADJUSTMENT_TYPES,
+        calculatePayroll,
+        calculateBPJS: (wage, bpjsRules = DEFAULT_RULES.bpjs) => calculateBPJS(wage, bpjsRules, createTrace()),
+        BPJS_PROGRAMS,
+        JKK_RISK_CLASSES,
+        resolveBPJSRules,
+        applyProgressiveBrackets,
+        TER_TABLES,
+        getTERCategory,
+        getTERRate,
+        summarizeTaxLedger,
+        toTaxLedgerEntry,
+        comparePayrollResults,
+        summarizePayrollRun,
+        diffPayrollSnapshots,
+        countServiceMonths,
+        calculateTHR,
+        SEPARATION_REASONS,
+        getPesangonMonths,
+        getUPMKMonths,
+        calculateSeverance,
+        summarizeAnnualTax,
+        OVERTIME_DAY_TYPES,
+        getOvertimeTiers,
+        calculateOvertimeDay,
+        reconcileOvertime,
+        roundRupiah,
+        formatAmount
+    };
+})();
+
+// ================================================
+// EXPOSE MODULE (Browser global + Node require)
+// ================================================
+
+if (typeof window !== 'undefined') {
+    window.PayrollEngine = PayrollEngine;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PayrollEngine;
+}
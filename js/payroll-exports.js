@@ -0,0 +1,852 @@
+// ================================================
+// SWAP HRIS - PAYROLL EXPORTS
+// payroll-exports.js - Version 1.0
+// ================================================
+
+// ⚠️ DEPENDENCIES: None (pure JavaScript, builds file contents in browser and Node)
+// ⚠️ PROVIDES: Payroll upload files (bank bulk transfer, BPJS SIPP / e-Dabu, e-Bupot PPh21) with validation and control totals
+
+const PayrollExports = (() => {
+    'use strict';
+
+    // ================================================
+    // SECTION 1: HELPERS
+    // ================================================
+
+    /**
+     * Quote a CSV field when needed
+     * @param {*} value - Field value
+     * @param {string} delimiter - Field delimiter
+     * @returns {string}
+     */
+    function csvField(value, delimiter = ',') {
+        const text = value === null || value === undefined ? '' : String(value);
+        return text.includes(delimiter) || text.includes('"') || /[\r\n]/.test(text)
+            ? `"${text.replace(/"/g, '""')}"`
+            : text;
+    }
+
+    /**
+     * Join rows into delimited text (CRLF line endings, as bank portals expect)
+     * @param {Array<Array>} rows - Rows of fields
+     * @param {string} delimiter - Field delimiter
+     * @returns {string}
+     */
+    function toDelimited(rows, delimiter = ',') {
+        return rows.map(row => row.map(value => csvField(value, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Format date as YYYYMMDD
+     * @param {Date|string} date - Date
+     * @returns {string}
+     */
+    function formatCompactDate(date) {
+        const d = new Date(date);
+        return `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Sanitize free text for bank files (uppercase ASCII letters, digits, spaces)
+     * @param {string} text - Text
+     * @param {number} maxLength - Max characters
+     * @returns {string}
+     */
+    function sanitizeBankText(text, maxLength) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toUpperCase()
+            .replace(/[^A-Z0-9 ]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, maxLength);
+    }
+
+    // ================================================
+    // SECTION 2: BANK DEFINITIONS & FILE FORMATS
+    // ================================================
+
+    /**
+     * Supported banks: aliases matched against employees.bank_name, account number
+     * lengths, and the upload layout of each corporate banking portal.
+     * Recipients at any other bank (including the Syariah units) are listed for manual transfer.
+     */
+    const BANKS = {
+        bca: {
+            label: 'BCA',
+            portal: 'KlikBCA Bisnis',
+            aliases: ['BCA', 'BANK BCA', 'BANK CENTRAL ASIA', 'PT BANK CENTRAL ASIA', 'PT BANK CENTRAL ASIA TBK'],
+            account_lengths: [10],
+            name_max_length: 35,
+            extension: 'csv',
+            /**
+             * KlikBCA Bisnis payroll upload: header + one detail row per beneficiary
+             */
+            build({ rows, debitAccount, transferDate, remark, total }) {
+                return toDelimited([
+                    ['H', debitAccount, formatCompactDate(transferDate), rows.length, total, remark],
+                    ...rows.map((row, index) => [
+                        'D', index + 1, row.account_number, row.account_name, row.amount, remark, row.employee_code
+                    ])
+                ]);
+            }
+        },
+        mandiri: {
+            label: 'Mandiri',
+            portal: 'Mandiri MCM',
+            aliases: ['MANDIRI', 'BANK MANDIRI', 'PT BANK MANDIRI', 'BANK MANDIRI PERSERO', 'PT BANK MANDIRI PERSERO TBK'],
+            account_lengths: [13],
+            name_max_length: 40,
+            extension: 'csv',
+            /**
+             * MCM bulk transfer: "P" header, then in-house (IBU) IDR detail rows
+             */
+            build({ rows, debitAccount, transferDate, remark, total }) {
+                return toDelimited([
+                    ['P', formatCompactDate(transferDate), debitAccount, rows.length, total],
+                    ...rows.map(row => [
+                        row.account_number, row.account_name, '', '', '', 'IDR', row.amount,
+                        remark, row.employee_code, 'IBU'
+                    ])
+                ]);
+            }
+        },
+        bni: {
+            label: 'BNI',
+            portal: 'BNI Direct',
+            aliases: ['BNI', 'BANK BNI', 'BNI 46', 'BANK NEGARA INDONESIA', 'PT BANK NEGARA INDONESIA',
+                'PT BANK NEGARA INDONESIA PERSERO TBK'],
+            account_lengths: [10],
+            name_max_length: 40,
+            extension: 'csv',
+            /**
+             * BNI Direct bulk CSV: column header row, detail rows, total row
+             */
+            build({ rows, debitAccount, transferDate, remark, total }) {
+                return toDelimited([
+                    ['Transfer Date', 'Debit Account', 'No', 'Credit Account', 'Account Name', 'Amount', 'Currency', 'Remark'],
+                    ...rows.map((row, index) => [
+                        formatCompactDate(transferDate), debitAccount, index + 1,
+                        row.account_number, row.account_name, row.amount, 'IDR', `${remark} ${row.employee_code || ''}`.trim()
+                    ]),
+                    ['TOTAL', '', rows.length, '', '', total, 'IDR', '']
+                ]);
+            }
+        }
+    };
+
+    // Account name length used for recipients outside the supported banks
+    const MANUAL_NAME_MAX_LENGTH = 35;
+
+    /**
+     * Resolve a free-text bank name to a supported bank. Only exact names and aliases match:
+     * "BCA Syariah" or "BNI Syariah" are different banks.
+     * @param {string} bankName - employees.bank_name
+     * @returns {string|null} 'bca' | 'mandiri' | 'bni' | null (other bank or empty name)
+     */
+    function resolveBank(bankName) {
+        const normalized = sanitizeBankText(bankName, 100);
+        if (!normalized) return null;
+
+        return Object.keys(BANKS).find(key =>
+            BANKS[key].aliases.includes(normalized) || BANKS[key].label.toUpperCase() === normalized
+        ) || null;
+    }
+
+    // ================================================
+    // SECTION 3: BANK TRANSFER VALIDATION & GROUPING
+    // ================================================
+
+    /**
+     * Validate one recipient against its bank's rules
+     * Recipients at other banks have no bank file (bank = null, is_manual = true).
+     * @param {Object} employee - {full_name, bank_name, bank_account_number, bank_account_name}
+     * @param {number} amount - Net salary to transfer
+     * @returns {{bank: string|null, is_manual: boolean, account_number: string, account_name: string,
+     *            errors: Array<string>, warnings: Array<string>}}
+     */
+    function validateRecipient(employee, amount) {
+        const errors = [];
+        const warnings = [];
+
+        const bank = resolveBank(employee.bank_name);
+        const isManual = !bank && Boolean(sanitizeBankText(employee.bank_name, 100));
+        if (!bank && !isManual) {
+            errors.push('Bank name is empty');
+        }
+
+        const rawAccount = String(employee.bank_account_number || '');
+        const accountNumber = rawAccount.replace(/[\s.-]/g, '');
+        if (!accountNumber) {
+            errors.push('Account number is empty');
+        } else if (!/^\d+$/.test(accountNumber)) {
+            errors.push(`Account number "${rawAccount}" must contain digits only`);
+        } else if (bank && !BANKS[bank].account_lengths.includes(accountNumber.length)) {
+            errors.push(`${BANKS[bank].label} account number must be ${BANKS[bank].account_lengths.join(' or ')} digits (got ${accountNumber.length})`);
+        }
+
+        const maxLength = bank ? BANKS[bank].name_max_length : MANUAL_NAME_MAX_LENGTH;
+        const accountName = sanitizeBankText(employee.bank_account_name, maxLength);
+        if (!accountName) {
+            errors.push('Account name is empty');
+        } else {
+            if (sanitizeBankText(employee.bank_account_name, 200).length > maxLength) {
+                warnings.push(`Account name truncated to ${maxLength} characters`);
+            }
+            // Account holder should be the employee: at least one name token must match
+            const employeeTokens = sanitizeBankText(employee.full_name, 200).split(' ').filter(t => t.length > 1);
+            const accountTokens = accountName.split(' ');
+            if (employeeTokens.length && !employeeTokens.some(token => accountTokens.includes(token))) {
+                warnings.push(`Account name "${accountName}" does not match employee name "${employee.full_name}"`);
+            }
+        }
+
+        if (!(Number(amount) > 0)) {
+            errors.push('Net salary must be greater than zero');
+        }
+
+        return { bank, is_manual: isManual, account_number: accountNumber, account_name: accountName, errors, warnings };
+    }
+
+    /**
+     * Validate every recipient of a payroll run and group the valid ones by bank.
+     * Valid recipients at other banks are returned in `manual` for transfer by hand.
+     * @param {Array} slips - [{result, employee}] (result = calculatePayroll() output)
+     * @returns {{groups: Object, manual: Array, rejected: Array, warnings: Array, summary: Object}}
+     */
+    function prepareBankTransfers(slips) {
+        const groups = {};
+        const manual = [];
+        const rejected = [];
+        const warnings = [];
+        let payrollTotal = 0;
+
+        (slips || []).forEach(({ result, employee = {} }) => {
+            const amount = Math.round(Number(result?.net_salary) || 0);
+            payrollTotal += amount;
+
+            const check = validateRecipient({ ...employee, full_name: employee.full_name || result?.full_name }, amount);
+            const recipient = {
+                employee_id: result?.employee_id || employee.id,
+                employee_code: employee.employee_code || result?.employee_code || '',
+                full_name: employee.full_name || result?.full_name || '',
+                bank_name: employee.bank_name || '',
+                account_number: check.account_number,
+                account_name: check.account_name,
+                amount
+            };
+
+            check.warnings.forEach(message => warnings.push({ ...recipient, message }));
+
+            if (check.errors.length) {
+                rejected.push({ ...recipient, errors: check.errors });
+                return;
+            }
+
+            if (check.is_manual) {
+                manual.push(recipient);
+                return;
+            }
+
+            if (!groups[check.bank]) {
+                groups[check.bank] = { bank: check.bank, label: BANKS[check.bank].label, portal: BANKS[check.bank].portal, rows: [], total: 0 };
+            }
+            groups[check.bank].rows.push(recipient);
+            groups[check.bank].total += amount;
+        });
+
+        const exportedTotal = Object.values(groups).reduce((sum, group) => sum + group.total, 0);
+        const manualTotal = manual.reduce((sum, row) => sum + row.amount, 0);
+        const rejectedTotal = rejected.reduce((sum, row) => sum + row.amount, 0);
+
+        return {
+            groups,
+            manual,
+            rejected,
+            warnings,
+            summary: {
+                payroll_count: (slips || []).length,
+                payroll_total: payrollTotal,
+                exported_count: Object.values(groups).reduce((sum, group) => sum + group.rows.length, 0),
+                exported_total: exportedTotal,
+                manual_count: manual.length,
+                manual_total: manualTotal,
+                rejected_count: rejected.length,
+                rejected_total: rejectedTotal,
+                // Exported + manual + rejected must equal the payroll net total
+                is_balanced: exportedTotal + manualTotal + rejectedTotal === payrollTotal
+            }
+        };
+    }
+
+    // ================================================
+    // SECTION 4: BANK FILE GENERATION
+    // ================================================
+
+    /**
+     * Build the upload file of one bank group
+     * @param {Object} group - Entry of prepareBankTransfers().groups
+     * @param {Object} options
+     * @param {string} options.debitAccount - Company source account at this bank
+     * @param {Date|string} options.transferDate - Effective transfer date
+     * @param {string} [options.remark] - Transfer remark (e.g., "GAJI MAR 2026")
+     * @returns {{filename: string, content: string, count: number, total: number}}
+     * @throws {Error} When the debit account is missing
+     */
+    function buildBankFile(group, { debitAccount, transferDate, remark = 'GAJI' }) {
+        const bank = BANKS[group.bank];
+        const account = String(debitAccount || '').replace(/[\s.-]/g, '');
+        if (!account) {
+            throw new Error(`Source account for ${bank.label} is required`);
+        }
+
+        const cleanRemark = sanitizeBankText(remark, 18);
+        const content = bank.build({
+            rows: group.rows,
+            debitAccount: account,
+            transferDate: transferDate || new Date(),
+            remark: cleanRemark,
+            total: group.total
+        });
+
+        return {
+            filename: `${bank.label.toUpperCase()}_${cleanRemark.replace(/ /g, '_')}_${formatCompactDate(transferDate || new Date())}.${bank.extension}`,
+            content,
+            count: group.rows.length,
+            total: group.total
+        };
+    }
+
+    /**
+     * Build the control total summary CSV to reconcile against the payroll report
+     * @param {Object} prepared - Result of prepareBankTransfers()
+     * @param {Object} period - {month, year, version}
+     * @returns {string} CSV content
+     */
+    function buildTransferSummary(prepared, period = {}) {
+        const { groups, manual = [], rejected, summary } = prepared;
+        return toDelimited([
+            ['Payroll Period', `${period.month}/${period.year}`, 'Run Version', period.version || ''],
+            [],
+            ['Bank', 'Portal', 'Records', 'Total Amount'],
+            ...Object.values(groups).map(group => [group.label, group.portal, group.rows.length, group.total]),
+            ['Manual transfer', '', summary.manual_count, summary.manual_total],
+            ['Not exported', '', summary.rejected_count, summary.rejected_total],
+            ['TOTAL', '', summary.exported_count + summary.manual_count + summary.rejected_count,
+                summary.exported_total + summary.manual_total + summary.rejected_total],
+            ['Payroll net total', '', summary.payroll_count, summary.payroll_total],
+            ['Balanced', summary.is_balanced ? 'YES' : 'NO'],
+            [],
+            ['Manual transfer - Employee Code', 'Name', 'Bank', 'Account Number', 'Account Name', 'Amount'],
+            ...manual.map(row => [row.employee_code, row.full_name, row.bank_name, row.account_number, row.account_name, row.amount]),
+            [],
+            ['Not exported - Employee Code', 'Name', 'Bank', 'Account Number', 'Amount', 'Reason'],
+            ...rejected.map(row => [row.employee_code, row.full_name, row.bank_name, row.account_number, row.amount, row.errors.join('; ')])
+        ]);
+    }
+
+    // ================================================
+    // SECTION 5: BPJS MONTHLY REPORTS (SIPP / e-Dabu)
+    // ================================================
+
+    /**
+     * BPJS programs per agency: Ketenagakerjaan (SIPP) and Kesehatan (e-Dabu)
+     */
+    const BPJS_AGENCIES = {
+        ketenagakerjaan: { label: 'BPJS Ketenagakerjaan', portal: 'SIPP', programs: ['jht', 'jp', 'jkk', 'jkm'] },
+        kesehatan: { label: 'BPJS Kesehatan', portal: 'e-Dabu', programs: ['kesehatan'] }
+    };
+
+    /**
+     * Format date as DD-MM-YYYY (BPJS portal date format)
+     * @param {Date|string} date - Date
+     * @returns {string}
+     */
+    function formatBPJSDate(date) {
+        if (!date) return '';
+        const d = new Date(date);
+        if (isNaN(d.getTime())) return '';
+        return `${String(d.getDate()).padStart(2, '0')}-${String(d.getMonth() + 1).padStart(2, '0')}-${d.getFullYear()}`;
+    }
+
+    /**
+     * Map gender to the BPJS L/P code
+     * @param {string} gender - 'Male' | 'Female'
+     * @returns {string}
+     */
+    function toBPJSGender(gender) {
+        const value = String(gender || '').toLowerCase();
+        if (value === 'male' || value === 'l') return 'L';
+        if (value === 'female' || value === 'p') return 'P';
+        return '';
+    }
+
+    /**
+     * Validate the participants of a locked payroll run and collect contributions per program
+     * Employees without a valid NIK are rejected: both portals match participants by NIK.
+     * @param {Array} slips - [{result, employee}] (result = calculatePayroll() output)
+     * @param {Object} [options]
+     * @param {Function} [options.validateNIK] - NIK validator (default: 16 digits, same as utils.js isValidNIK)
+     * @returns {{rows: Array, rejected: Array, warnings: Array, reconciliation: Array, summary: Object}}
+     */
+    function prepareBPJSReport(slips, { validateNIK = nik => /^\d{16}$/.test(nik) } = {}) {
+        const rows = [];
+        const rejected = [];
+        const warnings = [];
+        const programs = [...BPJS_AGENCIES.ketenagakerjaan.programs, ...BPJS_AGENCIES.kesehatan.programs];
+
+        // Per program: payroll (all slips) vs exported (valid NIK) shares
+        const totals = {};
+        programs.forEach(program => {
+            totals[program] = { payroll_employee: 0, payroll_company: 0, exported_employee: 0, exported_company: 0, participants: 0 };
+        });
+
+        (slips || []).forEach(({ result, employee = {} }) => {
+            const bpjs = result?.bpjs || {};
+            const contributions = {};
+            programs.forEach(program => {
+                contributions[program] = {
+                    wage_base: Math.round(Number(bpjs[program]?.wage_base) || 0),
+                    employee: Math.round(Number(bpjs[program]?.employee) || 0),
+                    company: Math.round(Number(bpjs[program]?.company) || 0)
+                };
+                totals[program].payroll_employee += contributions[program].employee;
+                totals[program].payroll_company += contributions[program].company;
+            });
+
+            const nik = String(employee.nik || '').replace(/\s/g, '');
+            const participant = {
+                employee_id: result?.employee_id || employee.id,
+                employee_code: employee.employee_code || result?.employee_code || '',
+                full_name: employee.full_name || result?.full_name || '',
+                nik,
+                birth_date: employee.birth_date || null,
+                gender: toBPJSGender(employee.gender),
+                contributions
+            };
+
+            const errors = [];
+            if (!nik) {
+                errors.push('NIK is empty');
+            } else if (!validateNIK(nik)) {
+                errors.push(`NIK "${nik}" must be 16 digits`);
+            }
+            if (errors.length) {
+                rejected.push({ ...participant, errors });
+                return;
+            }
+
+            if (!participant.birth_date) warnings.push({ ...participant, message: 'Birth date is empty' });
+            if (!participant.gender) warnings.push({ ...participant, message: 'Gender is empty' });
+
+            rows.push(participant);
+            programs.forEach(program => {
+                totals[program].exported_employee += contributions[program].employee;
+                totals[program].exported_company += contributions[program].company;
+                if (contributions[program].employee || contributions[program].company) {
+                    totals[program].participants += 1;
+                }
+            });
+        });
+
+        const reconciliation = programs.map(program => {
+            const t = totals[program];
+            const payrollTotal = t.payroll_employee + t.payroll_company;
+            const exportedTotal = t.exported_employee + t.exported_company;
+            return {
+                program,
+                agency: BPJS_AGENCIES.kesehatan.programs.includes(program) ? 'kesehatan' : 'ketenagakerjaan',
+                participants: t.participants,
+                employee_share: t.exported_employee,
+                company_share: t.exported_company,
+                total: exportedTotal,
+                payroll_employee_share: t.payroll_employee,
+                payroll_company_share: t.payroll_company,
+                payroll_total: payrollTotal,
+                not_exported: payrollTotal - exportedTotal
+            };
+        });
+
+        const sum = (field, agency) => reconciliation
+            .filter(row => !agency || row.agency === agency)
+            .reduce((total, row) => total + row[field], 0);
+        const payrollEmployee = sum('payroll_employee_share');
+        const payrollCompany = sum('payroll_company_share');
+        const rejectedTotal = sum('not_exported');
+
+        return {
+            rows,
+            rejected,
+            warnings,
+            reconciliation,
+            summary: {
+                payroll_count: (slips || []).length,
+                exported_count: rows.length,
+                rejected_count: rejected.length,
+                employee_share: sum('employee_share'),
+                company_share: sum('company_share'),
+                ketenagakerjaan_total: sum('total', 'ketenagakerjaan'),
+                kesehatan_total: sum('total', 'kesehatan'),
+                exported_total: sum('total'),
+                rejected_total: rejectedTotal,
+                payroll_employee_share: payrollEmployee,
+                payroll_company_share: payrollCompany,
+                payroll_total: payrollEmployee + payrollCompany,
+                // Exported + not exported must equal the BPJS total of the payroll run
+                is_balanced: sum('total') + rejectedTotal === payrollEmployee + payrollCompany
+            }
+        };
+    }
+
+    /**
+     * Build the BPJS Ketenagakerjaan SIPP upload file (tenaga kerja + iuran)
+     * @param {Object} prepared - Result of prepareBPJSReport()
+     * @param {Object} period - {month, year}
+     * @returns {{filename: string, content: string, count: number, total: number}}
+     */
+    function buildSIPPFile(prepared, period = {}) {
+        let total = 0;
+        const rows = prepared.rows
+            .filter(row => BPJS_AGENCIES.ketenagakerjaan.programs.some(program => row.contributions[program].employee || row.contributions[program].company))
+            .map(row => {
+                const c = row.contributions;
+                const rowTotal = c.jht.employee + c.jht.company + c.jp.employee + c.jp.company + c.jkk.company + c.jkm.company;
+                total += rowTotal;
+                return [
+                    row.nik,
+                    sanitizeBankText(row.full_name, 100),
+                    formatBPJSDate(row.birth_date),
+                    row.gender,
+                    c.jht.wage_base,
+                    0,
+                    c.jht.employee,
+                    c.jht.company,
+                    c.jp.employee,
+                    c.jp.company,
+                    c.jkk.company,
+                    c.jkm.company,
+                    rowTotal
+                ];
+            });
+
+        return {
+            filename: `SIPP_${period.year}${String(period.month).padStart(2, '0')}.csv`,
+            content: toDelimited([
+                ['NIK', 'NAMA', 'TGL_LAHIR', 'JENIS_KELAMIN', 'UPAH', 'RAPEL', 'JHT_TK', 'JHT_PK', 'JP_TK', 'JP_PK', 'JKK', 'JKM', 'TOTAL_IURAN'],
+                ...rows
+            ]),
+            count: rows.length,
+            total
+        };
+    }
+
+    /**
+     * Build the BPJS Kesehatan e-Dabu employee list (one row per employee as PESERTA)
+     * @param {Object} prepared - Result of prepareBPJSReport()
+     * @param {Object} period - {month, year}
+     * @returns {{filename: string, content: string, count: number, total: number}}
+     */
+    function buildEDabuFile(prepared, period = {}) {
+        let total = 0;
+        const rows = prepared.rows
+            .filter(row => row.contributions.kesehatan.employee || row.contributions.kesehatan.company)
+            .map(row => {
+                const c = row.contributions.kesehatan;
+                total += c.employee + c.company;
+                return [
+                    row.nik,
+                    sanitizeBankText(row.full_name, 100),
+                    formatBPJSDate(row.birth_date),
+                    row.gender,
+                    'PESERTA',
+                    c.wage_base,
+                    c.employee,
+                    c.company,
+                    c.employee + c.company
+                ];
+            });
+
+        return {
+            filename: `EDABU_${period.year}${String(period.month).padStart(2, '0')}.csv`,
+            content: toDelimited([
+                ['NIK', 'NAMA', 'TGL_LAHIR', 'JENIS_KELAMIN', 'HUB_KELUARGA', 'GAJI', 'IURAN_PEKERJA', 'IURAN_PEMBERI_KERJA', 'TOTAL_IURAN'],
+                ...rows
+            ]),
+            count: rows.length,
+            total
+        };
+    }
+
+    /**
+     * Build the employee vs company share reconciliation CSV
+     * @param {Object} prepared - Result of prepareBPJSReport()
+     * @param {Object} period - {month, year, version}
+     * @returns {string} CSV content
+     */
+    function buildBPJSReconciliation(prepared, period = {}) {
+        const { reconciliation, rejected, summary } = prepared;
+        return toDelimited([
+            ['Payroll Period', `${period.month}/${period.year}`, 'Run Version', period.version || ''],
+            [],
+            ['Agency', 'Program', 'Participants', 'Employee Share', 'Company Share', 'Total', 'Payroll Total', 'Not Exported'],
+            ...reconciliation.map(row => [
+                BPJS_AGENCIES[row.agency].label, row.program.toUpperCase(), row.participants,
+                row.employee_share, row.company_share, row.total, row.payroll_total, row.not_exported
+            ]),
+            ['TOTAL', '', summary.exported_count, summary.employee_share, summary.company_share,
+                summary.exported_total, summary.payroll_total, summary.rejected_total],
+            ['Balanced', summary.is_balanced ? 'YES' : 'NO'],
+            [],
+            ['Not exported - Employee Code', 'Name', 'NIK', 'Reason'],
+            ...rejected.map(row => [row.employee_code, row.full_name, row.nik, row.errors.join('; ')])
+        ]);
+    }
+
+    // ================================================
+    // SECTION 6: e-BUPOT PPh21 (Monthly withholding, BPMP)
+    // ================================================
+
+    /**
+     * Tax object code for regular employees (pegawai tetap)
+     */
+    const EBUPOT_TAX_OBJECT_CODE = '21-100-01';
+
+    /**
+     * e-Bupot BPMP record fields, in import order (CSV header = XML element names)
+     */
+    const EBUPOT_COLUMNS = [
+        'TaxPeriodMonth', 'TaxPeriodYear', 'CounterpartOpt', 'CounterpartPassport', 'CounterpartTin',
+        'StatusTaxExemption', 'Position', 'TaxCertificate', 'TaxObjectCode', 'Gross', 'Rate',
+        'IDPlaceOfBusinessActivity', 'WithholdingDate'
+    ];
+
+    /**
+     * Escape XML special characters
+     * @param {*} value - Value
+     * @returns {string}
+     */
+    function xmlEscape(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Validate monthly PPh21 withholdings of a locked run for e-Bupot
+     * Final-period results (TER true-up in December or the resignation month) are
+     * reported on the annual 1721-A1 instead of the monthly slip.
+     * @param {Array} slips - [{result, employee}] (result = calculatePayroll() output)
+     * @param {Object} [options]
+     * @param {Function} [options.validateNIK] - NIK validator (default: 16 digits, same as utils.js isValidNIK)
+     * @returns {{rows: Array, rejected: Array, final_period: Array, summary: Object}}
+     */
+    function prepareEBupot(slips, { validateNIK = nik => /^\d{16}$/.test(nik) } = {}) {
+        const rows = [];
+        const rejected = [];
+        const finalPeriod = [];
+
+        (slips || []).forEach(({ result, employee = {} }) => {
+            const pph21 = result?.pph21 || {};
+            const nik = String(employee.nik || '').replace(/\s/g, '');
+            const row = {
+                employee_id: result?.employee_id || employee.id,
+                employee_code: employee.employee_code || result?.employee_code || '',
+                full_name: employee.full_name || result?.full_name || '',
+                nik,
+                position: employee.positions?.title || '',
+                ptkp_code: pph21.ptkp_code || '',
+                gross: Math.round(Number(pph21.taxable_gross) || 0),
+                rate: Number(pph21.ter_rate) || 0,
+                tax: Math.round(Number(pph21.monthly_tax) || 0),
+                method: pph21.method || ''
+            };
+
+            if (row.method === 'ter_final') {
+                finalPeriod.push(row);
+                return;
+            }
+
+            const errors = [];
+            if (!nik) {
+                errors.push('NIK is empty');
+            } else if (!validateNIK(nik)) {
+                errors.push(`NIK "${nik}" must be 16 digits`);
+            }
+            if (!row.ptkp_code) errors.push('PTKP status is empty');
+            if (row.method !== 'ter') errors.push(`PPh21 method "${row.method || '-'}" is not TER`);
+
+            if (errors.length) {
+                rejected.push({ ...row, errors });
+                return;
+            }
+            rows.push(row);
+        });
+
+        const total = (list, field) => list.reduce((sum, row) => sum + row[field], 0);
+        return {
+            rows,
+            rejected,
+            final_period: finalPeriod,
+            summary: {
+                payroll_count: (slips || []).length,
+                exported_count: rows.length,
+                exported_gross: total(rows, 'gross'),
+                exported_tax: total(rows, 'tax'),
+                rejected_count: rejected.length,
+                rejected_tax: total(rejected, 'tax'),
+                final_period_count: finalPeriod.length,
+                final_period_tax: total(finalPeriod, 'tax')
+            }
+        };
+    }
+
+    /**
+     * Format the last day of a period as YYYY-MM-DD (default withholding date)
+     * @param {Object} period - {month, year}
+     * @returns {string}
+     */
+    function periodEndDate(period) {
+        const lastDay = new Date(period.year, period.month, 0).getDate();
+        return `${period.year}-${String(period.month).padStart(2, '0')}-${String(lastDay).padStart(2, '0')}`;
+    }
+
+    /**
+     * Build one e-Bupot record per row (shared by CSV and XML)
+     * @param {Object} prepared - Result of prepareEBupot()
+     * @param {Object} options - {period: {month, year}, company: {tax_nitku}, withholdingDate?}
+     * @returns {Array<Object>}
+     */
+    function toEBupotRecords(prepared, { period, company = {}, withholdingDate = null }) {
+        const date = withholdingDate || periodEndDate(period);
+        return prepared.rows.map(row => ({
+            TaxPeriodMonth: period.month,
+            TaxPeriodYear: period.year,
+            CounterpartOpt: 'Resident',
+            CounterpartPassport: '',
+            CounterpartTin: row.nik,
+            StatusTaxExemption: row.ptkp_code,
+            Position: row.position,
+            TaxCertificate: 'N/A',
+            TaxObjectCode: EBUPOT_TAX_OBJECT_CODE,
+            Gross: row.gross,
+            Rate: Math.round(row.rate * 10000) / 100,
+            IDPlaceOfBusinessActivity: String(company.tax_nitku || '').replace(/\D/g, ''),
+            WithholdingDate: date
+        }));
+    }
+
+    /**
+     * Require the withholder NPWP and NITKU from company settings
+     * @param {Object} company - company_settings row
+     * @throws {Error} When missing
+     */
+    function assertWithholder(company = {}) {
+        if (!String(company.tax_npwp || '').replace(/\D/g, '')) {
+            throw new Error('Company NPWP is required (Settings → Company)');
+        }
+        if (!String(company.tax_nitku || '').replace(/\D/g, '')) {
+            throw new Error('Company NITKU is required (Settings → Company)');
+        }
+    }
+
+    /**
+     * Build the e-Bupot Unifikasi monthly PPh21 CSV
+     * @param {Object} prepared - Result of prepareEBupot()
+     * @param {Object} options - {period: {month, year}, company, withholdingDate?}
+     * @returns {{filename: string, content: string, count: number, total: number}}
+     * @throws {Error} When the company NPWP/NITKU is missing
+     */
+    function buildEBupotCSV(prepared, options) {
+        assertWithholder(options.company);
+        const records = toEBupotRecords(prepared, options);
+
+        return {
+            filename: `EBUPOT_PPH21_${options.period.year}${String(options.period.month).padStart(2, '0')}.csv`,
+            content: toDelimited([EBUPOT_COLUMNS, ...records.map(record => EBUPOT_COLUMNS.map(column => record[column]))]),
+            count: records.length,
+            total: prepared.summary.exported_tax
+        };
+    }
+
+    /**
+     * Build the e-Bupot Unifikasi monthly PPh21 XML (bulk BPMP import)
+     * @param {Object} prepared - Result of prepareEBupot()
+     * @param {Object} options - {period: {month, year}, company, withholdingDate?}
+     * @returns {{filename: string, content: string, count: number, total: number}}
+     * @throws {Error} When the company NPWP/NITKU is missing
+     */
+    function buildEBupotXML(prepared, options) {
+        assertWithholder(options.company);
+        const records = toEBupotRecords(prepared, options);
+        const tin = String(options.company.tax_npwp).replace(/\D/g, '');
+
+        const body = records.map(record => [
+            '    <MmPayroll>',
+            ...EBUPOT_COLUMNS.map(key => record[key] === ''
+                ? `      <${key}/>`
+                : `      <${key}>${xmlEscape(record[key])}</${key}>`),
+            '    </MmPayroll>'
+        ].join('\n')).join('\n');
+
+        return {
+            filename: `EBUPOT_PPH21_${options.period.year}${String(options.period.month).padStart(2, '0')}.xml`,
+            content: [
+                '<?xml version="1.0" encoding="utf-8"?>',
+                '<MmPayrollBulk xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+                `  <TIN>${xmlEscape(tin)}</TIN>`,
+                '  <ListOfMmPayroll>',
+                ...(body ? [body] : []),
+                '  </ListOfMmPayroll>',
+                '</MmPayrollBulk>'
+            ].join('\n') + '\n',
+            count: records.length,
+            total: prepared.summary.exported_tax
+        };
+    }
+
+    // ================================================
+    // PUBLIC API
+    // ================================================
+
+    return {
+        BANKS,
+        csvField,
+        toDelimited,
+        formatCompactDate,
+        sanitizeBankText,
+        resolveBank,
+        validateRecipient,
+        prepareBankTransfers,
+        buildBankFile,
+        buildTransferSummary,
+        BPJS_AGENCIES,
+        formatBPJSDate,
+        toBPJSGender,
+        prepareBPJSReport,
+        buildSIPPFile,
+        buildEDabuFile,
+        buildBPJSReconciliation,
+        EBUPOT_TAX_OBJECT_CODE,
+        EBUPOT_COLUMNS,
+        xmlEscape,
+        prepareEBupot,
+        buildEBupotCSV,
+        buildEBupotXML
+    };
+})();
+
+// ================================================
+// EXPOSE MODULE (Browser global + Node require)
+// ================================================
+
+if (typeof window !== 'undefined') {
+    window.PayrollExports = PayrollExports;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PayrollExports;
+}
@@ -0,0 +1,1689 @@
+// ================================================
+// SWAP HRIS - PAYROLL MANAGEMENT MODULE
+// payroll.js - Version 1.0
+// ================================================
+
+// ⚠️ DEPENDENCIES: Requires app.js, api.js, auth.js, database-functions.js, utils.js, payroll-engine.js, payroll-documents.js,
+//                 payroll-exports.js
+// ⚠️ PROVIDES: Payroll run workflow (draft → review → approved → locked), adjustments, version diff, payslips,
+//              bank transfer export, BPJS SIPP / e-Dabu reports, e-Bupot PPh21 & 1721-A1, THR preview
+
+// ================================================
+// SECTION 1: STATE MANAGEMENT
+// ================================================
+
+/**
+ * Global state for payroll module
+ * @type {Object}
+ */
+const payrollState = {
+    currentUser: null,
+    month: new Date().getMonth() + 1,
+    year: new Date().getFullYear(),
+    period: null,
+    runs: [],
+    selectedRun: null,
+    items: [],
+    adjustmentItem: null,
+    bankExport: null,
+    bpjsReport: null,
+    eBupot: null,
+    a1Forms: null,
+    thrHolidays: [],
+    thrHoliday: null,
+    thrResults: []
+};
+
+/**
+ * Workflow buttons per run status
+ */
+const RUN_ACTIONS = {
+    Draft: [
+        { status: 'Review', label: 'Submit for Review', icon: 'fa-paper-plane', primary: true }
+    ],
+    Review: [
+        { status: 'Draft', label: 'Send Back to Draft', icon: 'fa-undo' },
+        { status: 'Approved', label: 'Approve', icon: 'fa-check', primary: true }
+    ],
+    Approved: [
+        { status: 'Review', label: 'Reopen Review', icon: 'fa-undo' },
+        { status: 'Locked', label: 'Lock Period', icon: 'fa-lock', primary: true,
+          confirm: 'Locking finalizes this period and writes the PPh21 ledger. Locked payroll cannot be edited or re-run. Continue?' }
+    ]
+};
+
+/**
+ * Badge classes per run status
+ */
+const RUN_STATUS_BADGES = {
+    Draft: 'bg-gray-100 text-gray-700',
+    Review: 'bg-yellow-100 text-yellow-700',
+    Approved: 'bg-blue-100 text-blue-700',
+    Locked: 'bg-green-100 text-green-700',
+    Superseded: 'bg-red-100 text-red-700'
+};
+
+// ================================================
+// SECTION 2: INITIALIZATION
+// ================================================
+
+/**
+ * Initialize payroll page
+ * @async
+ * @returns {Promise<void>}
+ */
+async function initPayrollPage() {
+    console.log('🚀 Initializing Payroll Page...');
+
+    try {
+        const session = await checkAuth();
+        if (!session) {
+            console.log('⚠️ No session found, redirecting to login...');
+            redirectToLogin();
+            return;
+        }
+
+        payrollState.currentUser = session.user;
+        updateUserInfo(payrollState.currentUser);
+
+        populatePeriodSelectors();
+        populateTaxYearSelector();
+        await loadPeriod();
+        await loadTHRHolidays();
+
+        console.log('✅ Payroll page initialized successfully');
+
+    } catch (error) {
+        console.error('❌ Failed to initialize payroll page:', error);
+        showToast('Failed to initialize page', 'error');
+    }
+}
+
+/**
+ * Fill month/year dropdowns and bind change events
+ */
+function populatePeriodSelectors() {
+    const monthSelect = document.getElementById('payrollMonth');
+    const yearSelect = document.getElementById('payrollYear');
+    if (!monthSelect || !yearSelect) return;
+
+    monthSelect.innerHTML = Array.from({ length: 12 }, (_, i) =>
+        `<option value="${i + 1}">${getMonthName(i + 1)}</option>`
+    ).join('');
+
+    const currentYear = new Date().getFullYear();
+    yearSelect.innerHTML = [currentYear - 1, currentYear, currentYear + 1]
+        .map(year => `<option value="${year}">${year}</option>`)
+        .join('');
+
+    monthSelect.value = payrollState.month;
+    yearSelect.value = payrollState.year;
+
+    monthSelect.addEventListener('change', () => {
+        payrollState.month = parseInt(monthSelect.value);
+        loadPeriod();
+    });
+    yearSelect.addEventListener('change', () => {
+        payrollState.year = parseInt(yearSelect.value);
+        loadPeriod();
+    });
+}
+
+// ================================================
+// SECTION 3: DATA LOADING
+// ================================================
+
+/**
+ * Load period record and run versions for the selected month/year
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadPeriod() {
+    try {
+        showLoading('Loading payroll...');
+
+        const { month, year } = payrollState;
+        const [periodResult, runsResult] = await Promise.all([
+            getPayrollPeriod(month, year),
+            getPayrollRuns(month, year)
+        ]);
+
+        if (periodResult.error) throw new Error(periodResult.error);
+        if (runsResult.error) throw new Error(runsResult.error);
+
+        payrollState.period = periodResult.data;
+        payrollState.runs = runsResult.data || [];
+
+        const currentRun = payrollState.runs.find(run => run.id === payrollState.period?.current_run_id)
+            || payrollState.runs[0]
+            || null;
+
+        await selectRun(currentRun?.id || null);
+
+    } catch (error) {
+        console.error('❌ Load payroll period failed:', error);
+        showToast('Failed to load payroll: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Select a run version and load its items
+ * @async
+ * @param {string|null} runId - Payroll run UUID
+ * @returns {Promise<void>}
+ */
+async function selectRun(runId) {
+    payrollState.selectedRun = payrollState.runs.find(run => run.id === runId) || null;
+    payrollState.items = [];
+
+    if (payrollState.selectedRun) {
+        const { data, error } = await getPayrollRunItems(runId);
+        if (error) {
+            showToast('Failed to load run items: ' + error, 'error');
+        }
+        payrollState.items = data || [];
+    }
+
+    renderPayrollPage();
+}
+
+// ================================================
+// SECTION 4: RENDERING
+// ================================================
+
+/**
+ * Render every part of the page from state
+ */
+function renderPayrollPage() {
+    renderStatistics();
+    renderVersionList();
+    renderWorkflowActions();
+    renderRunDiff();
+    renderRunItems();
+}
+
+/**
+ * Render statistics cards
+ */
+function renderStatistics() {
+    const run = payrollState.selectedRun;
+
+    document.getElementById('statRunStatus').textContent = run?.status || '-';
+    document.getElementById('statRunVersion').textContent = run
+        ? `Version ${run.version} of ${payrollState.runs.length}`
+        : 'No run yet';
+    document.getElementById('statEmployees').textContent = run?.total_employees || 0;
+    document.getElementById('statTotalGross').textContent = formatCurrency(run?.total_gross_salary || 0);
+    document.getElementById('statTotalNet').textContent = formatCurrency(run?.total_net_salary || 0);
+
+    const btnCreateRun = document.getElementById('btnCreateRun');
+    if (btnCreateRun) {
+        const isLocked = payrollState.period?.status === PAYROLL_RUN_STATUS.LOCKED;
+        btnCreateRun.disabled = isLocked;
+        btnCreateRun.title = isLocked ? 'This period is locked' : '';
+    }
+}
+
+/**
+ * Render run version chips
+ */
+function renderVersionList() {
+    const container = document.getElementById('runVersionList');
+    if (!container) return;
+
+    if (payrollState.runs.length === 0) {
+        container.innerHTML = '<p class="text-sm text-gray-500">No payroll run for this period yet.</p>';
+        return;
+    }
+
+    container.innerHTML = payrollState.runs.map(run => {
+        const isSelected = run.id === payrollState.selectedRun?.id;
+        return `
+            <button onclick="selectRun('${run.id}')"
+                    class="inline-flex items-center px-3 py-1.5 rounded-lg border text-sm transition-colors ${isSelected ? 'border-primary-500 bg-primary-50 text-primary-600' : 'border-gray-200 text-gray-600 hover:bg-gray-50'}">
+                <span class="font-medium mr-2">v${run.version}</span>
+                <span class="px-2 py-0.5 rounded-full text-xs font-medium ${RUN_STATUS_BADGES[run.status] || ''}">${run.status}</span>
+                <span class="ml-2 text-xs text-gray-400">${formatDateTime(run.created_at)}</span>
+            </button>
+        `;
+    }).join('');
+}
+
+/**
+ * Render workflow buttons for the selected run
+ */
+function renderWorkflowActions() {
+    const container = document.getElementById('runWorkflowActions');
+    if (!container) return;
+
+    const run = payrollState.selectedRun;
+    const actions = run ? (RUN_ACTIONS[run.status] || []) : [];
+
+    const documentButtons = run ? `
+        <button onclick="printPayslips()"
+                class="inline-flex items-center px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-white border border-gray-300 text-gray-700 hover:bg-gray-50">
+            <i class="fas fa-print mr-2" aria-hidden="true"></i>Print All Payslips
+        </button>
+        ${[PAYROLL_RUN_STATUS.APPROVED, PAYROLL_RUN_STATUS.LOCKED].includes(run.status) ? `
+        <button onclick="openBankExportModal()"
+                class="inline-flex items-center px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-white border border-gray-300 text-gray-700 hover:bg-gray-50">
+            <i class="fas fa-university mr-2" aria-hidden="true"></i>Bank Transfer
+        </button>` : ''}
+        ${run.status === PAYROLL_RUN_STATUS.LOCKED ? `
+        <button onclick="openBPJSReportModal()"
+                class="inline-flex items-center px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-white border border-gray-300 text-gray-700 hover:bg-gray-50">
+            <i class="fas fa-shield-alt mr-2" aria-hidden="true"></i>BPJS Report
+        </button>
+        <button onclick="openEBupotModal()"
+                class="inline-flex items-center px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-white border border-gray-300 text-gray-700 hover:bg-gray-50">
+            <i class="fas fa-file-invoice mr-2" aria-hidden="true"></i>e-Bupot PPh21
+        </button>` : ''}` : '';
+
+    if (run?.status === PAYROLL_RUN_STATUS.LOCKED) {
+        container.innerHTML = `
+            <p class="text-sm text-green-700">
+                <i class="fas fa-lock mr-2" aria-hidden="true"></i>Locked on ${formatDateTime(run.locked_at)} — this period can no longer be edited or re-run.
+            </p>${documentButtons}`;
+        return;
+    }
+
+    if (run?.status === PAYROLL_RUN_STATUS.SUPERSEDED) {
+        container.innerHTML = `
+            <p class="text-sm text-gray-500">
+                <i class="fas fa-history mr-2" aria-hidden="true"></i>Superseded by a newer version (read-only).
+            </p>${documentButtons}`;
+        return;
+    }
+
+    container.innerHTML = documentButtons + actions.map(action => `
+        <button onclick="changeRunStatus('${action.status}')"
+                class="inline-flex items-center px-4 py-2 text-sm font-medium rounded-lg transition-colors ${action.primary
+                    ? 'bg-primary-600 text-white hover:bg-primary-700'
+                    : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-50'}">
+            <i class="fas ${action.icon} mr-2" aria-hidden="true"></i>${action.label}
+        </button>
+    `).join('');
+}
+
+/**
+ * Render diff of the selected run against its previous version
+ */
+function renderRunDiff() {
+    const panel = document.getElementById('runDiffPanel');
+    if (!panel) return;
+
+    const run = payrollState.selectedRun;
+    const diff = run?.diff;
+
+    if (!run || !run.previous_run_id || !diff) {
+        panel.classList.add('hidden');
+        panel.innerHTML = '';
+        return;
+    }
+
+    const fieldLabels = {
+        basic_salary: 'Basic',
+        total_allowances: 'Allowances',
+        total_overtime_pay: 'Overtime',
+        thr_amount: 'THR',
+        total_adjustment_earnings: 'Bonus',
+        gross_salary: 'Gross',
+        bpjs_employee: 'BPJS',
+        pph21: 'PPh21',
+        total_adjustment_deductions: 'Deductions (one-off)',
+        total_deductions: 'Total deductions',
+        net_salary: 'Net'
+    };
+    const signed = amount => (amount < 0 ? '-' : '+') + formatCurrency(Math.abs(amount));
+
+    const changedRows = (diff.changed || []).map(entry => `
+        <li class="text-sm text-gray-700">
+            <span class="font-medium">${escapeHtml(entry.full_name || entry.employee_code || '-')}</span>:
+            ${entry.changes.map(c => `${fieldLabels[c.field] || c.field} ${signed(c.difference)}`).join(', ')}
+        </li>
+    `).join('');
+
+    const listNames = list => list.map(e => escapeHtml(e.full_name || e.employee_code || '-')).join(', ');
+
+    panel.innerHTML = `
+        <h3 class="text-sm font-semibold text-gray-700 mb-2">
+            <i class="fas fa-code-branch mr-2" aria-hidden="true"></i>Changes vs previous version
+        </h3>
+        <p class="text-sm text-gray-600 mb-2">
+            ${diff.changed.length} changed · ${diff.added.length} added · ${diff.removed.length} removed · ${diff.unchanged} unchanged ·
+            Net total ${signed(diff.totals.difference)}
+        </p>
+        ${diff.added.length ? `<p class="text-sm text-green-700 mb-1">Added: ${listNames(diff.added)}</p>` : ''}
+        ${diff.removed.length ? `<p class="text-sm text-red-700 mb-1">Removed: ${listNames(diff.removed)}</p>` : ''}
+        ${changedRows ? `<ul class="space-y-1 mt-2">${changedRows}</ul>` : ''}
+    `;
+    panel.classList.remove('hidden');
+}
+
+/**
+ * Render run items table
+ */
+function renderRunItems() {
+    const tbody = document.getElementById('runItemsTableBody');
+    if (!tbody) return;
+
+    if (!payrollState.selectedRun) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="10" class="px-6 py-12 text-center text-gray-500">
+                    No payroll run for ${getMonthName(payrollState.month)} ${payrollState.year}. Click "Run Payroll" to create a draft.
+                </td>
+            </tr>`;
+        return;
+    }
+
+    if (payrollState.items.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="10" class="px-6 py-12 text-center text-gray-500">No employees in this run</td>
+            </tr>`;
+        return;
+    }
+
+    tbody.innerHTML = payrollState.items.map(createRunItemRow).join('');
+}
+
+/**
+ * Create table row HTML for a run item
+ * @param {Object} item - payroll_run_items row
+ * @returns {string} Row HTML
+ */
+function createRunItemRow(item) {
+    const calc = item.calculation || {};
+    const isDraft = payrollState.selectedRun?.status === PAYROLL_RUN_STATUS.DRAFT;
+    const adjustmentNet = (calc.thr_amount || 0) + (calc.total_adjustment_earnings || 0) - (calc.total_adjustment_deductions || 0);
+    const adjustmentCount = (calc.thr || []).length + (calc.adjustments || []).length;
+    const cell = 'px-6 py-4 text-sm text-right text-gray-700 whitespace-nowrap';
+
+    return `
+        <tr class="hover:bg-gray-50 transition-colors">
+            <td class="px-6 py-4 whitespace-nowrap">
+                <p class="text-sm font-medium text-gray-800">${escapeHtml(calc.full_name || '-')}</p>
+                <p class="text-xs text-gray-500">${escapeHtml(calc.employee_code || '')}</p>
+            </td>
+            <td class="${cell}">${formatCurrency(calc.basic_salary || 0)}</td>
+            <td class="${cell}">${formatCurrency(calc.total_allowances || 0)}</td>
+            <td class="${cell}">${formatCurrency(calc.total_overtime_pay || 0)}</td>
+            <td class="${cell}">
+                ${adjustmentCount
+                    ? `${formatCurrency(adjustmentNet)} <span class="text-xs text-gray-400">(${adjustmentCount})</span>`
+                    : '-'}
+            </td>
+            <td class="${cell}">${formatCurrency(calc.gross_salary || 0)}</td>
+            <td class="${cell}">${formatCurrency(calc.bpjs?.total_employee || 0)}</td>
+            <td class="${cell}">${formatCurrency(calc.pph21?.monthly_tax || 0)}</td>
+            <td class="${cell} font-semibold">${formatCurrency(calc.net_salary || 0)}</td>
+            <td class="px-6 py-4 text-center whitespace-nowrap">
+                ${isDraft ? `
+                <button onclick="openAdjustmentModal('${item.id}')"
+                        class="text-primary-600 hover:text-primary-700 p-1.5 rounded hover:bg-primary-50 transition-colors"
+                        title="Adjustments">
+                    <i class="fas fa-sliders-h" aria-hidden="true"></i>
+                </button>` : ''}
+                <button onclick="printPayslip('${item.id}')"
+                        class="text-gray-600 hover:text-gray-800 p-1.5 rounded hover:bg-gray-100 transition-colors"
+                        title="Print payslip">
+                    <i class="fas fa-print" aria-hidden="true"></i>
+                </button>
+                <button onclick="openTraceModal('${item.id}')"
+                        class="text-gray-600 hover:text-gray-800 p-1.5 rounded hover:bg-gray-100 transition-colors"
+                        title="Calculation trace">
+                    <i class="fas fa-list-ol" aria-hidden="true"></i>
+                </button>
+            </td>
+        </tr>
+    `;
+}
+
+// ================================================
+// SECTION 5: RUN WORKFLOW
+// ================================================
+
+/**
+ * Create a new run version for the selected period
+ * @async
+ * @returns {Promise<void>}
+ */
+async function createRun() {
+    const { month, year } = payrollState;
+
+    if (payrollState.period?.status === PAYROLL_RUN_STATUS.LOCKED) {
+        showToast('This period is locked and cannot be re-run', 'warning');
+        return;
+    }
+
+    if (payrollState.runs.length && !confirm(`Re-run payroll for ${getMonthName(month)} ${year}? The current version will be superseded.`)) {
+        return;
+    }
+
+    try {
+        showLoading('Calculating payroll...');
+
+        const { data, error } = await createPayrollRun(month, year);
+        if (error) throw new Error(error);
+
+        showToast(`Payroll v${data.run.version} created for ${data.items.length} employees`, 'success');
+        if (data.skipped.length > 0) {
+            showToast(
+                `${data.skipped.length} employee(s) skipped: ` +
+                data.skipped.map(s => `${s.full_name} (${s.error})`).join(', '),
+                'warning'
+            );
+        }
+        await loadPeriod();
+
+    } catch (error) {
+        console.error('❌ Create run failed:', error);
+        showToast('Failed to run payroll: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Move the selected run to another workflow status
+ * @async
+ * @param {string} nextStatus - Target status
+ * @returns {Promise<void>}
+ */
+async function changeRunStatus(nextStatus) {
+    const run = payrollState.selectedRun;
+    if (!run) return;
+
+    const action = (RUN_ACTIONS[run.status] || []).find(a => a.status === nextStatus);
+    if (action?.confirm && !confirm(action.confirm)) return;
+
+    try {
+        showLoading('Updating payroll status...');
+
+        const { error } = await transitionPayrollRun(run.id, nextStatus);
+        if (error) throw new Error(error);
+
+        showToast(`Payroll v${run.version} moved to ${nextStatus}`, 'success');
+        await loadPeriod();
+
+    } catch (error) {
+        console.error('❌ Change run status failed:', error);
+        showToast(error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// ================================================
+// SECTION 6: ADJUSTMENTS (Bonus, Deduction, THR)
+// ================================================
+
+/**
+ * Open adjustment modal for a run item
+ * @param {string} itemId - Payroll run item UUID
+ */
+function openAdjustmentModal(itemId) {
+    const item = payrollState.items.find(i => i.id === itemId);
+    if (!item) return;
+
+    payrollState.adjustmentItem = item;
+    document.getElementById('adjustmentEmployeeName').textContent =
+        `${item.calculation?.full_name || '-'} — ${getMonthName(payrollState.month)} ${payrollState.year}`;
+
+    const rows = document.getElementById('adjustmentRows');
+    rows.innerHTML = '';
+    (item.adjustments || []).forEach(addAdjustmentRow);
+
+    const modal = document.getElementById('adjustmentModal');
+    modal.classList.remove('hidden');
+    modal.classList.add('flex');
+}
+
+/**
+ * Close adjustment modal
+ */
+function closeAdjustmentModal() {
+    const modal = document.getElementById('adjustmentModal');
+    if (modal) {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+    }
+    payrollState.adjustmentItem = null;
+}
+
+/**
+ * Append an adjustment input row
+ * @param {Object} [adjustment] - {type, label, amount}
+ */
+function addAdjustmentRow(adjustment = {}) {
+    const rows = document.getElementById('adjustmentRows');
+    if (!rows) return;
+
+    const types = PayrollEngine.ADJUSTMENT_TYPES;
+    const row = document.createElement('div');
+    row.className = 'adjustment-row flex flex-wrap gap-2 items-center';
+    row.innerHTML = `
+        <select class="adj-type px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white" aria-label="Adjustment type">
+            ${Object.keys(types).map(type =>
+                `<option value="${type}" ${adjustment.type === type ? 'selected' : ''}>${types[type].label}</option>`
+            ).join('')}
+        </select>
+        <input type="text" class="adj-label flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+               placeholder="Description" aria-label="Adjustment description" value="${escapeHtml(adjustment.label || '')}">
+        <input type="number" min="0" step="1000" class="adj-amount w-32 px-3 py-2 border border-gray-300 rounded-lg text-sm text-right"
+               placeholder="Amount" aria-label="Adjustment amount" value="${adjustment.amount || ''}">
+        <button type="button" onclick="this.closest('.adjustment-row').remove()"
+                class="text-red-600 hover:text-red-700 p-2 rounded hover:bg-red-50 transition-colors" title="Remove">
+            <i class="fas fa-trash-alt" aria-hidden="true"></i>
+        </button>
+    `;
+    rows.appendChild(row);
+}
+
+/**
+ * Save adjustments and recalculate the item
+ * @async
+ * @returns {Promise<void>}
+ */
+async function saveAdjustments() {
+    const item = payrollState.adjustmentItem;
+    if (!item) return;
+
+    const adjustments = Array.from(document.querySelectorAll('#adjustmentRows .adjustment-row'))
+        .map(row => ({
+            type: row.querySelector('.adj-type').value,
+            label: row.querySelector('.adj-label').value.trim(),
+            amount: parseFloat(row.querySelector('.adj-amount').value) || 0
+        }))
+        .filter(adjustment => adjustment.amount > 0);
+
+    try {
+        showLoading('Recalculating...');
+
+        const { error } = await updatePayrollRunAdjustments(item.id, adjustments);
+        if (error) throw new Error(error);
+
+        showToast('Adjustments saved', 'success');
+        closeAdjustmentModal();
+        await loadPeriod();
+
+    } catch (error) {
+        console.error('❌ Save adjustments failed:', error);
+        showToast('Failed to save adjustments: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+// ================================================
+// SECTION 7: CALCULATION TRACE
+// ================================================
+
+/**
+ * Show the rule trace of a run item
+ * @param {string} itemId - Payroll run item UUID
+ */
+function openTraceModal(itemId) {
+    const item = payrollState.items.find(i => i.id === itemId);
+    if (!item) return;
+
+    document.getElementById('traceModalTitle').textContent =
+        `Calculation Trace — ${item.calculation?.full_name || '-'}`;
+
+    document.getElementById('traceTableBody').innerHTML = (item.calculation?.trace || []).map(entry => `
+        <tr>
+            <td class="px-6 py-2 text-sm text-gray-800">${escapeHtml(entry.label)}</td>
+            <td class="px-6 py-2 text-xs text-gray-500 font-mono">${escapeHtml(entry.formula)}</td>
+            <td class="px-6 py-2 text-sm text-right text-gray-800 whitespace-nowrap">${formatCurrency(entry.amount)}</td>
+        </tr>
+    `).join('');
+
+    const modal = document.getElementById('traceModal');
+    modal.classList.remove('hidden');
+    modal.classList.add('flex');
+}
+
+/**
+ * Close trace modal
+ */
+function closeTraceModal() {
+    const modal = document.getElementById('traceModal');
+    if (modal) {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+    }
+}
+
+// ================================================
+// SECTION 8: PAYSLIPS (Slip Gaji)
+// ================================================
+
+/**
+ * Print payslips of the selected run
+ * Runs that are not yet approved print with a DRAFT watermark.
+ * @async
+ * @param {Array<string>|null} employeeIds - Limit to these employees (default: all)
+ * @returns {Promise<void>}
+ */
+async function printPayslips(employeeIds = null) {
+    const run = payrollState.selectedRun;
+    if (!run) {
+        showToast('Select a payroll run first', 'warning');
+        return;
+    }
+
+    try {
+        showLoading('Preparing payslips...');
+
+        const { data, error } = await getPayslipData(run.id, employeeIds);
+        if (error) throw new Error(error);
+
+        if (data.slips.length === 0) {
+            showToast('No payslips to print', 'warning');
+            return;
+        }
+
+        const isFinal = [PAYROLL_RUN_STATUS.APPROVED, PAYROLL_RUN_STATUS.LOCKED].includes(run.status);
+        const html = PayrollDocuments.renderPayslipDocument(data.slips, {
+            company: data.company,
+            watermark: isFinal ? '' : run.status.toUpperCase()
+        });
+
+        if (!PayrollDocuments.printDocument(html)) {
+            showToast('Popup blocked. Allow popups to print payslips.', 'warning');
+        }
+
+    } catch (error) {
+        console.error('❌ Print payslips failed:', error);
+        showToast('Failed to print payslips: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Print the payslip of a single run item
+ * @param {string} itemId - Payroll run item UUID
+ */
+function printPayslip(itemId) {
+    const item = payrollState.items.find(i => i.id === itemId);
+    if (item) printPayslips([item.employee_id]);
+}
+
+// ================================================
+// SECTION 9: BANK TRANSFER EXPORT
+// ================================================
+
+/**
+ * Validate recipients of the selected run and open the bank export modal
+ * Only Approved or Locked runs can be disbursed.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function openBankExportModal() {
+    const run = payrollState.selectedRun;
+    if (!run || ![PAYROLL_RUN_STATUS.APPROVED, PAYROLL_RUN_STATUS.LOCKED].includes(run.status)) {
+        showToast('Bank transfer files can only be exported from an Approved or Locked run', 'warning');
+        return;
+    }
+
+    try {
+        showLoading('Validating bank accounts...');
+
+        const { data, error } = await getPayslipData(run.id);
+        if (error) throw new Error(error);
+
+        payrollState.bankExport = {
+            run,
+            prepared: PayrollExports.prepareBankTransfers(data.slips)
+        };
+
+        const monthShort = getMonthName(run.month).slice(0, 3).toUpperCase();
+        document.getElementById('bankTransferDate').value = new Date().toISOString().slice(0, 10);
+        document.getElementById('bankTransferRemark').value = `GAJI ${monthShort} ${run.year}`;
+
+        renderBankExport();
+
+        const modal = document.getElementById('bankExportModal');
+        modal.classList.remove('hidden');
+        modal.classList.add('flex');
+
+    } catch (error) {
+        console.error('❌ Prepare bank export failed:', error);
+        showToast('Failed to prepare bank export: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Close bank export modal
+ */
+function closeBankExportModal() {
+    const modal = document.getElementById('bankExportModal');
+    if (modal) {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+    }
+    payrollState.bankExport = null;
+}
+
+/**
+ * Render per-bank control totals, the manual transfer list and validation issues
+ */
+function renderBankExport() {
+    const { prepared } = payrollState.bankExport;
+    const { groups, manual, rejected, warnings, summary } = prepared;
+    const cell = 'px-4 py-2 text-sm text-gray-700';
+
+    const groupRows = Object.values(groups).map(group => `
+        <tr>
+            <td class="${cell} font-medium">${escapeHtml(group.label)} <span class="text-xs text-gray-400">${escapeHtml(group.portal)}</span></td>
+            <td class="${cell} text-right">${group.rows.length}</td>
+            <td class="${cell} text-right">${formatCurrency(group.total)}</td>
+            <td class="${cell}">
+                <input type="text" id="debitAccount_${group.bank}" placeholder="Company account"
+                       class="w-full px-3 py-1.5 border border-gray-300 rounded-lg text-sm" aria-label="${escapeHtml(group.label)} source account">
+            </td>
+            <td class="${cell} text-center">
+                <button onclick="downloadBankFile('${group.bank}')"
+                        class="text-primary-600 hover:text-primary-700 p-1.5 rounded hover:bg-primary-50 transition-colors" title="Download upload file">
+                    <i class="fas fa-download" aria-hidden="true"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+
+    document.getElementById('bankExportSummary').innerHTML = `
+        <table class="w-full">
+            <thead class="bg-gray-50">
+                <tr>
+                    <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Bank</th>
+                    <th class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Records</th>
+                    <th class="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                    <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Source Account</th>
+                    <th class="px-4 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">File</th>
+                </tr>
+            </thead>
+            <tbody class="divide-y divide-gray-200">
+                ${groupRows || `<tr><td colspan="5" class="${cell} text-center text-gray-500">No valid recipients</td></tr>`}
+                <tr>
+                    <td class="${cell}">Manual transfer <span class="text-xs text-gray-400">other banks</span></td>
+                    <td class="${cell} text-right">${summary.manual_count}</td>
+                    <td class="${cell} text-right">${formatCurrency(summary.manual_total)}</td>
+                    <td colspan="2"></td>
+                </tr>
+                <tr>
+                    <td class="${cell} text-red-600">Not exported</td>
+                    <td class="${cell} text-right text-red-600">${summary.rejected_count}</td>
+                    <td class="${cell} text-right text-red-600">${formatCurrency(summary.rejected_total)}</td>
+                    <td colspan="2"></td>
+                </tr>
+                <tr class="bg-gray-50">
+                    <td class="${cell} font-semibold">Payroll net total</td>
+                    <td class="${cell} text-right font-semibold">${summary.payroll_count}</td>
+                    <td class="${cell} text-right font-semibold">${formatCurrency(summary.payroll_total)}</td>
+                    <td colspan="2" class="${cell} ${summary.is_balanced ? 'text-green-600' : 'text-red-600'}">
+                        <i class="fas ${summary.is_balanced ? 'fa-check-circle' : 'fa-exclamation-triangle'} mr-1" aria-hidden="true"></i>
+                        ${summary.is_balanced ? 'Balanced' : 'Not balanced'}
+                    </td>
+                </tr>
+            </tbody>
+        </table>
+    `;
+
+    const manualList = manual.map(row => `
+        <li class="text-sm text-gray-700">
+            <span class="font-medium">${escapeHtml(row.full_name)}</span>: ${escapeHtml(row.bank_name)} ${escapeHtml(row.account_number)}
+            a/n ${escapeHtml(row.account_name)} (${formatCurrency(row.amount)})
+        </li>
+    `).join('');
+    const rejectedList = rejected.map(row => `
+        <li class="text-sm text-red-700">
+            <span class="font-medium">${escapeHtml(row.full_name)}</span> (${formatCurrency(row.amount)}): ${escapeHtml(row.errors.join('; '))}
+        </li>
+    `).join('');
+    const warningList = warnings.map(row => `
+        <li class="text-sm text-yellow-700"><span class="font-medium">${escapeHtml(row.full_name)}</span>: ${escapeHtml(row.message)}</li>
+    `).join('');
+
+    document.getElementById('bankExportIssues').innerHTML = `
+        ${manualList ? `<h4 class="text-sm font-semibold text-gray-700 mb-1">Manual transfer — no upload file for these banks</h4><ul class="space-y-1 mb-3">${manualList}</ul>` : ''}
+        ${rejectedList ? `<h4 class="text-sm font-semibold text-gray-700 mb-1">Not exported — fix employee bank data</h4><ul class="space-y-1 mb-3">${rejectedList}</ul>` : ''}
+        ${warningList ? `<h4 class="text-sm font-semibold text-gray-700 mb-1">Warnings</h4><ul class="space-y-1">${warningList}</ul>` : ''}
+    `;
+}
+
+/**
+ * Download the upload file of one bank
+ * @param {string} bankKey - 'bca' | 'mandiri' | 'bni'
+ */
+function downloadBankFile(bankKey) {
+    const group = payrollState.bankExport?.prepared.groups[bankKey];
+    if (!group) return;
+
+    try {
+        const file = PayrollExports.buildBankFile(group, {
+            debitAccount: document.getElementById(`debitAccount_${bankKey}`).value,
+            transferDate: document.getElementById('bankTransferDate').value,
+            remark: document.getElementById('bankTransferRemark').value
+        });
+
+        downloadTextFile(file.content, file.filename, 'text/csv');
+        showToast(`${group.label}: ${file.count} transfers, ${formatCurrency(file.total)}`, 'success');
+
+    } catch (error) {
+        showToast(error.message, 'warning');
+    }
+}
+
+/**
+ * Download the control total summary for reconciliation
+ */
+function downloadTransferSummary() {
+    const bankExport = payrollState.bankExport;
+    if (!bankExport) return;
+
+    const { run, prepared } = bankExport;
+    const content = PayrollExports.buildTransferSummary(prepared, run);
+    downloadTextFile(content, `TRANSFER_SUMMARY_${run.year}_${String(run.month).padStart(2, '0')}_v${run.version}.csv`, 'text/csv');
+}
+
+// ================================================
+// SECTION 10: BPJS REPORTS (SIPP / e-Dabu)
+// ================================================
+
+/**
+ * Load the locked period and open the BPJS report modal
+ * Reports are only produced from a Locked period.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function openBPJSReportModal() {
+    if (payrollState.period?.status !== PAYROLL_RUN_STATUS.LOCKED) {
+        showToast('BPJS reports can only be exported from a locked payroll period', 'warning');
+        return;
+    }
+
+    try {
+        showLoading('Preparing BPJS report...');
+
+        const { data, error } = await getStatutoryReportData(payrollState.month, payrollState.year);
+        if (error) throw new Error(error);
+
+        payrollState.bpjsReport = {
+            run: data.run,
+            prepared: PayrollExports.prepareBPJSReport(data.slips, { validateNIK: isValidNIK })
+        };
+
+        renderBPJSReport();
+
+        const modal = document.getElementById('bpjsReportModal');
+        modal.classList.remove('hidden');
+        modal.classList.add('flex');
+
+    } catch (error) {
+        console.error('❌ Prepare BPJS report failed:', error);
+        showToast('Failed to prepare BPJS report: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Close BPJS report modal
+ */
+function closeBPJSReportModal() {
+    const modal = document.getElementById('bpjsReportModal');
+    if (modal) {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+    }
+    payrollState.bpjsReport = null;
+}
+
+/**
+ * Render the employee vs company share reconciliation and NIK issues
+ */
+function renderBPJSReport() {
+    const { prepared } = payrollState.bpjsReport;
+    const { reconciliation, rejected, warnings, summary } = prepared;
+    const cell = 'px-4 py-2 text-sm text-gray-700';
+    const head = 'px-4 py-2 text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+    const programRows = reconciliation.map(row => `
+        <tr>
+            <td class="${cell}">
+                <span class="font-medium">${row.program === 'kesehatan' ? 'Kesehatan' : row.program.toUpperCase()}</span>
+                <span class="text-xs text-gray-400">${escapeHtml(PayrollExports.BPJS_AGENCIES[row.agency].portal)}</span>
+            </td>
+            <td class="${cell} text-right">${row.participants}</td>
+            <td class="${cell} text-right">${formatCurrency(row.employee_share)}</td>
+            <td class="${cell} text-right">${formatCurrency(row.company_share)}</td>
+            <td class="${cell} text-right font-medium">${formatCurrency(row.total)}</td>
+            <td class="${cell} text-right ${row.not_exported ? 'text-red-600' : 'text-gray-400'}">${formatCurrency(row.not_exported)}</td>
+        </tr>
+    `).join('');
+
+    document.getElementById('bpjsReportSummary').innerHTML = `
+        <table class="w-full">
+            <thead class="bg-gray-50">
+                <tr>
+                    <th class="${head} text-left">Program</th>
+                    <th class="${head} text-right">Participants</th>
+                    <th class="${head} text-right">Employee Share</th>
+                    <th class="${head} text-right">Company Share</th>
+                    <th class="${head} text-right">Total</th>
+                    <th class="${head} text-right">Not Exported</th>
+                </tr>
+            </thead>
+            <tbody class="divide-y divide-gray-200">
+                ${programRows}
+                <tr class="bg-gray-50">
+                    <td class="${cell} font-semibold">Total (${summary.exported_count} employees)</td>
+                    <td></td>
+                    <td class="${cell} text-right font-semibold">${formatCurrency(summary.employee_share)}</td>
+                    <td class="${cell} text-right font-semibold">${formatCurrency(summary.company_share)}</td>
+                    <td class="${cell} text-right font-semibold">${formatCurrency(summary.exported_total)}</td>
+                    <td class="${cell} text-right font-semibold ${summary.rejected_total ? 'text-red-600' : ''}">${formatCurrency(summary.rejected_total)}</td>
+                </tr>
+                <tr>
+                    <td class="${cell} font-semibold">Payroll BPJS total</td>
+                    <td></td>
+                    <td class="${cell} text-right">${formatCurrency(summary.payroll_employee_share)}</td>
+                    <td class="${cell} text-right">${formatCurrency(summary.payroll_company_share)}</td>
+                    <td class="${cell} text-right font-semibold">${formatCurrency(summary.payroll_total)}</td>
+                    <td class="${cell} text-right ${summary.is_balanced ? 'text-green-600' : 'text-red-600'}">
+                        <i class="fas ${summary.is_balanced ? 'fa-check-circle' : 'fa-exclamation-triangle'} mr-1" aria-hidden="true"></i>
+                        ${summary.is_balanced ? 'Balanced' : 'Not balanced'}
+                    </td>
+                </tr>
+            </tbody>
+        </table>
+    `;
+
+    const rejectedList = rejected.map(row => `
+        <li class="text-sm text-red-700">
+            <span class="font-medium">${escapeHtml(row.full_name)}</span> (${escapeHtml(row.employee_code)}): ${escapeHtml(row.errors.join('; '))}
+        </li>
+    `).join('');
+    const warningList = warnings.map(row => `
+        <li class="text-sm text-yellow-700"><span class="font-medium">${escapeHtml(row.full_name)}</span>: ${escapeHtml(row.message)}</li>
+    `).join('');
+
+    document.getElementById('bpjsReportIssues').innerHTML = `
+        ${rejectedList ? `<h4 class="text-sm font-semibold text-gray-700 mb-1">Not exported — fix employee NIK</h4><ul class="space-y-1 mb-3">${rejectedList}</ul>` : ''}
+        ${warningList ? `<h4 class="text-sm font-semibold text-gray-700 mb-1">Warnings</h4><ul class="space-y-1">${warningList}</ul>` : ''}
+    `;
+}
+
+/**
+ * Download a BPJS report file
+ * @param {string} type - 'sipp' | 'edabu' | 'reconciliation'
+ */
+function downloadBPJSReport(type) {
+    const bpjsReport = payrollState.bpjsReport;
+    if (!bpjsReport) return;
+
+    const { run, prepared } = bpjsReport;
+
+    if (type === 'reconciliation') {
+        const content = PayrollExports.buildBPJSReconciliation(prepared, run);
+        downloadTextFile(content, `BPJS_RECONCILIATION_${run.year}_${String(run.month).padStart(2, '0')}_v${run.version}.csv`, 'text/csv');
+        return;
+    }
+
+    const file = type === 'sipp'
+        ? PayrollExports.buildSIPPFile(prepared, run)
+        : PayrollExports.buildEDabuFile(prepared, run);
+
+    if (!file.count) {
+        showToast('No participants to export', 'warning');
+        return;
+    }
+
+    downloadTextFile(file.content, file.filename, 'text/csv');
+    showToast(`${file.filename}: ${file.count} participants, ${formatCurrency(file.total)}`, 'success');
+}
+
+// ================================================
+// SECTION 11: PPh21 REPORTING (e-Bupot & 1721-A1)
+// ================================================
+
+/**
+ * Load the locked period and open the e-Bupot export modal
+ * @async
+ * @returns {Promise<void>}
+ */
+async function openEBupotModal() {
+    if (payrollState.period?.status !== PAYROLL_RUN_STATUS.LOCKED) {
+        showToast('e-Bupot can only be exported from a locked payroll period', 'warning');
+        return;
+    }
+
+    try {
+        showLoading('Preparing e-Bupot...');
+
+        const { data, error } = await getStatutoryReportData(payrollState.month, payrollState.year);
+        if (error) throw new Error(error);
+
+        payrollState.eBupot = {
+            run: data.run,
+            company: data.company,
+            prepared: PayrollExports.prepareEBupot(data.slips, { validateNIK: isValidNIK })
+        };
+
+        const lastDay = new Date(payrollState.year, payrollState.month, 0).getDate();
+        document.getElementById('eBupotWithholdingDate').value =
+            `${payrollState.year}-${String(payrollState.month).padStart(2, '0')}-${lastDay}`;
+
+        renderEBupot();
+
+        const modal = document.getElementById('eBupotModal');
+        modal.classList.remove('hidden');
+        modal.classList.add('flex');
+
+    } catch (error) {
+        console.error('❌ Prepare e-Bupot failed:', error);
+        showToast('Failed to prepare e-Bupot: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Close e-Bupot modal
+ */
+function closeEBupotModal() {
+    const modal = document.getElementById('eBupotModal');
+    if (modal) {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+    }
+    payrollState.eBupot = null;
+}
+
+/**
+ * Render withholding totals, rejected employees and final-period notes
+ */
+function renderEBupot() {
+    const { prepared, company } = payrollState.eBupot;
+    const { rejected, final_period: finalPeriod, summary } = prepared;
+    const cell = 'px-4 py-2 text-sm text-gray-700';
+
+    document.getElementById('eBupotSummary').innerHTML = `
+        <table class="w-full">
+            <tbody class="divide-y divide-gray-200">
+                <tr>
+                    <td class="${cell}">Company NPWP / NITKU</td>
+                    <td class="${cell} text-right ${company.tax_npwp && company.tax_nitku ? '' : 'text-red-600'}">
+                        ${escapeHtml(company.tax_npwp || 'Not set')} / ${escapeHtml(company.tax_nitku || 'Not set')}
+                    </td>
+                </tr>
+                <tr>
+                    <td class="${cell}">Exported slips (TER)</td>
+                    <td class="${cell} text-right">${summary.exported_count} · gross ${formatCurrency(summary.exported_gross)}</td>
+                </tr>
+                <tr class="bg-gray-50">
+                    <td class="${cell} font-semibold">PPh21 withheld</td>
+                    <td class="${cell} text-right font-semibold">${formatCurrency(summary.exported_tax)}</td>
+                </tr>
+                <tr>
+                    <td class="${cell}">Final period (reported on 1721-A1)</td>
+                    <td class="${cell} text-right">${summary.final_period_count} · ${formatCurrency(summary.final_period_tax)}</td>
+                </tr>
+                <tr>
+                    <td class="${cell} ${summary.rejected_count ? 'text-red-600' : ''}">Not exported</td>
+                    <td class="${cell} text-right ${summary.rejected_count ? 'text-red-600' : ''}">${summary.rejected_count} · ${formatCurrency(summary.rejected_tax)}</td>
+                </tr>
+            </tbody>
+        </table>
+    `;
+
+    const rejectedList = rejected.map(row => `
+        <li class="text-sm text-red-700">
+            <span class="font-medium">${escapeHtml(row.full_name)}</span> (${escapeHtml(row.employee_code)}): ${escapeHtml(row.errors.join('; '))}
+        </li>
+    `).join('');
+    const finalList = finalPeriod.map(row => `
+        <li class="text-sm text-gray-600"><span class="font-medium">${escapeHtml(row.full_name)}</span>: ${formatCurrency(row.tax)}</li>
+    `).join('');
+
+    document.getElementById('eBupotIssues').innerHTML = `
+        ${rejectedList ? `<h4 class="text-sm font-semibold text-gray-700 mb-1">Not exported — fix employee NIK / PTKP</h4><ul class="space-y-1 mb-3">${rejectedList}</ul>` : ''}
+        ${finalList ? `<h4 class="text-sm font-semibold text-gray-700 mb-1">Final period — issue 1721-A1 instead</h4><ul class="space-y-1">${finalList}</ul>` : ''}
+    `;
+}
+
+/**
+ * Download the e-Bupot file
+ * @param {string} format - 'csv' | 'xml'
+ */
+function downloadEBupot(format) {
+    const eBupot = payrollState.eBupot;
+    if (!eBupot) return;
+
+    try {
+        const options = {
+            period: { month: eBupot.run.month, year: eBupot.run.year },
+            company: eBupot.company,
+            withholdingDate: document.getElementById('eBupotWithholdingDate').value || null
+        };
+        const file = format === 'xml'
+            ? PayrollExports.buildEBupotXML(eBupot.prepared, options)
+            : PayrollExports.buildEBupotCSV(eBupot.prepared, options);
+
+        if (!file.count) {
+            showToast('No withholdings to export', 'warning');
+            return;
+        }
+
+        downloadTextFile(file.content, file.filename, format === 'xml' ? 'application/xml' : 'text/csv');
+        showToast(`${file.filename}: ${file.count} slips, ${formatCurrency(file.total)}`, 'success');
+
+    } catch (error) {
+        showToast(error.message, 'warning');
+    }
+}
+
+/**
+ * Fill the 1721-A1 tax year dropdown
+ */
+function populateTaxYearSelector() {
+    const select = document.getElementById('a1Year');
+    if (!select) return;
+
+    const currentYear = new Date().getFullYear();
+    select.innerHTML = [currentYear - 2, currentYear - 1, currentYear]
+        .map(year => `<option value="${year}">${year}</option>`)
+        .join('');
+    select.value = currentYear - 1;
+}
+
+/**
+ * Build the 1721-A1 forms of the selected tax year
+ * @async
+ * @returns {Promise<void>}
+ */
+async function load1721A1Forms() {
+    const year = parseInt(document.getElementById('a1Year').value);
+
+    try {
+        showLoading('Building 1721-A1 forms...');
+
+        const { data, error } = await get1721A1Data(year);
+        if (error) throw new Error(error);
+
+        payrollState.a1Forms = data;
+        render1721A1Forms();
+
+    } catch (error) {
+        console.error('❌ Build 1721-A1 failed:', error);
+        showToast('Failed to build 1721-A1: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Render the 1721-A1 table and locked months summary
+ */
+function render1721A1Forms() {
+    const tbody = document.getElementById('a1TableBody');
+    const summary = document.getElementById('a1Summary');
+    const data = payrollState.a1Forms;
+    if (!tbody || !data) return;
+
+    const missingMonths = Array.from({ length: 12 }, (_, i) => i + 1)
+        .filter(month => !data.locked_months.includes(month));
+    const unsettled = data.forms.filter(entry => !entry.form.is_settled).length;
+
+    if (summary) {
+        summary.innerHTML = `
+            <div class="flex flex-wrap gap-4 text-sm text-gray-600">
+                <span>Locked months: <strong>${data.locked_months.length}/12</strong></span>
+                <span>Forms: <strong>${data.forms.length}</strong></span>
+                <span>Tax withheld: <strong>${formatCurrency(data.forms.reduce((sum, entry) => sum + entry.form.lines[20], 0))}</strong></span>
+            </div>
+            ${missingMonths.length ? `
+            <p class="mt-2 text-sm text-yellow-700">
+                <i class="fas fa-exclamation-triangle mr-1" aria-hidden="true"></i>
+                Not locked yet: ${missingMonths.map(month => getMonthName(month)).join(', ')}
+            </p>` : ''}
+            ${unsettled ? `
+            <p class="mt-2 text-sm text-red-600">
+                <i class="fas fa-exclamation-triangle mr-1" aria-hidden="true"></i>
+                ${unsettled} employee(s) with tax due ≠ tax withheld (final period not processed)
+            </p>` : ''}
+        `;
+    }
+
+    if (data.forms.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="9" class="px-6 py-12 text-center text-gray-500">No employees paid in ${data.year}</td>
+            </tr>
+        `;
+        return;
+    }
+
+    tbody.innerHTML = data.forms.map(({ form, employee }) => `
+        <tr class="hover:bg-gray-50 transition-colors">
+            <td class="px-6 py-4 text-sm">
+                <div class="font-medium text-gray-800">${escapeHtml(employee.full_name)}</div>
+                <div class="text-xs text-gray-400">${escapeHtml(employee.employee_code || '')}</div>
+            </td>
+            <td class="px-6 py-4 text-sm ${isValidNIK(employee.nik || '') ? 'text-gray-600' : 'text-red-600'}">${escapeHtml(employee.nik || 'Missing')}</td>
+            <td class="px-6 py-4 text-sm text-gray-600">${escapeHtml(form.ptkp_code || '-')}</td>
+            <td class="px-6 py-4 text-sm text-gray-600">${String(form.period_start).padStart(2, '0')}–${String(form.period_end).padStart(2, '0')}</td>
+            <td class="px-6 py-4 text-sm text-right text-gray-700">${formatCurrency(form.lines[8])}</td>
+            <td class="px-6 py-4 text-sm text-right text-gray-700">${formatCurrency(form.lines[11])}</td>
+            <td class="px-6 py-4 text-sm text-right text-gray-700">${formatCurrency(form.lines[19])}</td>
+            <td class="px-6 py-4 text-sm text-right ${form.is_settled ? 'text-gray-700' : 'text-red-600 font-medium'}">${formatCurrency(form.lines[20])}</td>
+            <td class="px-6 py-4 text-center">
+                <button onclick="print1721A1Forms(['${employee.id}'])"
+                        class="text-primary-600 hover:text-primary-700 p-1.5 rounded hover:bg-primary-50 transition-colors" title="Print 1721-A1">
+                    <i class="fas fa-print" aria-hidden="true"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Print 1721-A1 forms (all employees, or the given ones) for year-end distribution
+ * @param {Array<string>} [employeeIds] - Limit to these employees
+ */
+function print1721A1Forms(employeeIds = null) {
+    const data = payrollState.a1Forms;
+    if (!data) {
+        showToast('Build the 1721-A1 forms first', 'warning');
+        return;
+    }
+
+    const forms = employeeIds
+        ? data.forms.filter(entry => employeeIds.includes(entry.employee.id))
+        : data.forms;
+    if (forms.length === 0) {
+        showToast('No forms to print', 'warning');
+        return;
+    }
+
+    const html = PayrollDocuments.render1721A1Document(forms, { company: data.company });
+    if (!PayrollDocuments.printDocument(html)) {
+        showToast('Popup blocked. Allow popups to print 1721-A1 forms.', 'warning');
+    }
+}
+
+// ================================================
+// SECTION 12: THR (Tunjangan Hari Raya)
+// ================================================
+
+/**
+ * Load THR holidays and preview the selected one
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadTHRHolidays() {
+    const { data, error } = await getTHRHolidays();
+    if (error) {
+        showToast('Failed to load THR holidays: ' + error, 'error');
+        return;
+    }
+
+    payrollState.thrHolidays = data || [];
+
+    const select = document.getElementById('thrHolidaySelect');
+    if (select) {
+        select.innerHTML = payrollState.thrHolidays.length
+            ? payrollState.thrHolidays.map(h =>
+                `<option value="${h.id}">${escapeHtml(h.holiday_name)} (${getMonthName(h.pay_month)} ${h.pay_year})</option>`
+            ).join('')
+            : '<option value="">No THR holiday</option>';
+    }
+
+    const selected = payrollState.thrHolidays.find(h => h.id === payrollState.thrHoliday?.id)
+        || payrollState.thrHolidays[0];
+    await selectTHRHoliday(selected?.id || null);
+}
+
+/**
+ * Select a holiday and calculate its THR preview
+ * @async
+ * @param {string|null} holidayId - THR holiday UUID
+ * @returns {Promise<void>}
+ */
+async function selectTHRHoliday(holidayId) {
+    payrollState.thrHoliday = payrollState.thrHolidays.find(h => h.id === holidayId) || null;
+    payrollState.thrResults = [];
+
+    const select = document.getElementById('thrHolidaySelect');
+    if (select && payrollState.thrHoliday) select.value = payrollState.thrHoliday.id;
+
+    if (payrollState.thrHoliday) {
+        const { data, error } = await calculateTHRForHoliday(payrollState.thrHoliday);
+        if (error) {
+            showToast('Failed to calculate THR: ' + error, 'error');
+        }
+        payrollState.thrResults = data || [];
+    }
+
+    renderTHRPreview();
+}
+
+/**
+ * Render THR summary and preview table
+ */
+function renderTHRPreview() {
+    const summary = document.getElementById('thrSummary');
+    const tbody = document.getElementById('thrTableBody');
+    if (!summary || !tbody) return;
+
+    const holiday = payrollState.thrHoliday;
+    if (!holiday) {
+        summary.innerHTML = '';
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="7" class="px-6 py-12 text-center text-gray-500">Add a holiday to preview THR</td>
+            </tr>`;
+        return;
+    }
+
+    const eligible = payrollState.thrResults.filter(r => r.is_eligible);
+    const total = eligible.reduce((sum, r) => sum + r.thr_amount, 0);
+
+    summary.innerHTML = `
+        <div class="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+            <span><i class="fas fa-calendar-day mr-1" aria-hidden="true"></i>${formatDate(holiday.holiday_date)}</span>
+            <span>· Cut-off ${formatDate(holiday.cutoff_date)}</span>
+            <span>· Paid in ${getMonthName(holiday.pay_month)} ${holiday.pay_year} payroll</span>
+            <span>· <strong>${eligible.length}</strong> eligible (${eligible.filter(r => r.is_prorated).length} prorated)</span>
+            <span>· Total <strong>${formatCurrency(total)}</strong></span>
+            <button onclick="openTHRHolidayModal('${holiday.id}')"
+                    class="text-primary-600 hover:text-primary-700 p-1.5 rounded hover:bg-primary-50 transition-colors"
+                    title="Edit holiday">
+                <i class="fas fa-edit" aria-hidden="true"></i>
+            </button>
+        </div>
+    `;
+
+    if (payrollState.thrResults.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="7" class="px-6 py-12 text-center text-gray-500">No employees found</td>
+            </tr>`;
+        return;
+    }
+
+    const cell = 'px-6 py-4 text-sm text-gray-700 whitespace-nowrap';
+    tbody.innerHTML = payrollState.thrResults.map(r => `
+        <tr class="hover:bg-gray-50 transition-colors">
+            <td class="px-6 py-4 whitespace-nowrap">
+                <p class="text-sm font-medium text-gray-800">${escapeHtml(r.full_name || '-')}</p>
+                <p class="text-xs text-gray-500">${escapeHtml(r.employee_code || '')}</p>
+            </td>
+            <td class="${cell}">${r.join_date ? formatDate(r.join_date) : '-'}</td>
+            <td class="${cell}">${escapeHtml(r.contract_type || '-')}</td>
+            <td class="${cell} text-right">${r.service_months}</td>
+            <td class="${cell} text-right">${formatCurrency(r.wage)}</td>
+            <td class="${cell} text-right font-semibold">${formatCurrency(r.thr_amount)}</td>
+            <td class="${cell}">
+                <span class="px-2 py-1 text-xs font-medium rounded-full ${r.is_eligible
+                    ? (r.is_prorated ? 'bg-yellow-100 text-yellow-700' : 'bg-green-100 text-green-700')
+                    : 'bg-gray-100 text-gray-700'}">
+                    ${r.is_eligible ? (r.is_prorated ? 'Prorated' : 'Full') : 'Not eligible'}
+                </span>
+                <span class="text-xs text-gray-500 ml-1">${escapeHtml(r.reason || '')}</span>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Open THR holiday modal for create or edit
+ * @param {string|null} holidayId - THR holiday UUID (edit) or null (create)
+ */
+function openTHRHolidayModal(holidayId = null) {
+    const holiday = payrollState.thrHolidays.find(h => h.id === holidayId) || null;
+
+    const monthSelect = document.getElementById('thrPayMonth');
+    monthSelect.innerHTML = Array.from({ length: 12 }, (_, i) =>
+        `<option value="${i + 1}">${getMonthName(i + 1)}</option>`
+    ).join('');
+
+    document.getElementById('thrHolidayModalTitle').textContent = holiday ? 'Edit THR Holiday' : 'Add THR Holiday';
+    document.getElementById('thrHolidayId').value = holiday?.id || '';
+    document.getElementById('thrHolidayName').value = holiday?.holiday_name || '';
+    document.getElementById('thrHolidayDate').value = holiday?.holiday_date || '';
+    document.getElementById('thrCutoffDate').value = holiday?.cutoff_date || '';
+    monthSelect.value = holiday?.pay_month || payrollState.month;
+    document.getElementById('thrPayYear').value = holiday?.pay_year || payrollState.year;
+    document.getElementById('btnDeleteTHRHoliday').classList.toggle('hidden', !holiday);
+
+    const modal = document.getElementById('thrHolidayModal');
+    modal.classList.remove('hidden');
+    modal.classList.add('flex');
+}
+
+/**
+ * Close THR holiday modal
+ */
+function closeTHRHolidayModal() {
+    const modal = document.getElementById('thrHolidayModal');
+    if (modal) {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+    }
+}
+
+/**
+ * Save THR holiday from modal
+ * @async
+ * @returns {Promise<void>}
+ */
+async function saveTHRHoliday() {
+    const holidayId = document.getElementById('thrHolidayId').value;
+    const holidayData = {
+        holiday_name: document.getElementById('thrHolidayName').value.trim(),
+        holiday_date: document.getElementById('thrHolidayDate').value,
+        cutoff_date: document.getElementById('thrCutoffDate').value,
+        pay_month: parseInt(document.getElementById('thrPayMonth').value),
+        pay_year: parseInt(document.getElementById('thrPayYear').value)
+    };
+
+    try {
+        showLoading('Saving THR holiday...');
+
+        const { data, error } = holidayId
+            ? await updateTHRHoliday(holidayId, holidayData)
+            : await createTHRHoliday(holidayData);
+        if (error) throw new Error(error);
+
+        payrollState.thrHoliday = data;
+        closeTHRHolidayModal();
+        showToast('THR holiday saved', 'success');
+        await loadTHRHolidays();
+
+    } catch (error) {
+        console.error('❌ Save THR holiday failed:', error);
+        showToast('Failed to save holiday: ' + error.message, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Delete the holiday open in the modal
+ * @async
+ * @returns {Promise<void>}
+ */
+async function deleteSelectedTHRHoliday() {
+    const holidayId = document.getElementById('thrHolidayId').value;
+    if (!holidayId || !confirm('Delete this THR holiday?')) return;
+
+    const { error } = await deleteTHRHoliday(holidayId);
+    if (error) {
+        showToast('Failed to delete holiday: ' + error, 'error');
+        return;
+    }
+
+    payrollState.thrHoliday = null;
+    closeTHRHolidayModal();
+    showToast('THR holiday deleted', 'success');
+    await loadTHRHolidays();
+}
+
+/**
+ * Export THR preview of the selected holiday to CSV
+ */
+function exportTHRPreview() {
+    const holiday = payrollState.thrHoliday;
+    if (!holiday) {
+        showToast('Select a THR holiday first', 'warning');
+        return;
+    }
+
+    const columns = [
+        { field: 'employee_code', label: 'Employee Code' },
+        { field: 'full_name', label: 'Full Name' },
+        { field: 'join_date', label: 'Join Date' },
+        { field: 'contract_type', label: 'Contract Type' },
+        { field: 'cutoff_date', label: 'Cut-off Date' },
+        { field: 'service_months', label: 'Service Months' },
+        { field: 'wage', label: 'Wage' },
+        { field: 'thr_amount', label: 'THR Amount' },
+        { field: 'is_eligible', label: 'Eligible', formatter: value => value ? 'Yes' : 'No' },
+        { field: 'is_prorated', label: 'Prorated', formatter: value => value ? 'Yes' : 'No' },
+        { field: 'reason', label: 'Note' }
+    ];
+
+    const slug = holiday.holiday_name.replace(/[^A-Za-z0-9]+/g, '_');
+    exportToExcel(payrollState.thrResults, columns, `THR_${slug}_${holiday.pay_year}.csv`);
+}
+
+// ================================================
+// SECTION 13: UTILITY FUNCTIONS
+// ================================================
+
+/**
+ * Format timestamp for display
+ * @param {string} value - ISO timestamp
+ * @returns {string} e.g., "05 Mar 2026 14:30"
+ */
+function formatDateTime(value) {
+    if (!value) return '-';
+    const d = new Date(value);
+    if (isNaN(d.getTime())) return '-';
+
+    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const pad = n => String(n).padStart(2, '0');
+    return `${pad(d.getDate())} ${monthNames[d.getMonth()]} ${d.getFullYear()} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/**
+ * Trigger a browser download of text content
+ * @param {string} content - File content
+ * @param {string} filename - File name
+ * @param {string} mimeType - MIME type
+ */
+function downloadTextFile(content, filename, mimeType = 'text/plain') {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8;` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+    console.log(`✅ File downloaded: ${filename}`);
+}
+
+/**
+ * Escape HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// ================================================
+// SECTION 14: GLOBAL EXPOSURE (Window Functions)
+// ================================================
+
+// Core Initialization
+window.initPayrollPage = initPayrollPage;
+
+// Run Workflow
+window.selectRun = selectRun;
+window.createRun = createRun;
+window.changeRunStatus = changeRunStatus;
+
+// Adjustments
+window.openAdjustmentModal = openAdjustmentModal;
+window.closeAdjustmentModal = closeAdjustmentModal;
+window.addAdjustmentRow = addAdjustmentRow;
+window.saveAdjustments = saveAdjustments;
+
+// Trace
+window.openTraceModal = openTraceModal;
+window.closeTraceModal = closeTraceModal;
+
+// Payslips
+window.printPayslips = printPayslips;
+window.printPayslip = printPayslip;
+
+// Bank Transfer Export
+window.openBankExportModal = openBankExportModal;
+window.closeBankExportModal = closeBankExportModal;
+window.downloadBankFile = downloadBankFile;
+window.downloadTransferSummary = downloadTransferSummary;
+
+// BPJS Reports
+window.openBPJSReportModal = openBPJSReportModal;
+window.closeBPJSReportModal = closeBPJSReportModal;
+window.downloadBPJSReport = downloadBPJSReport;
+
+// PPh21 Reporting
+window.openEBupotModal = openEBupotModal;
+window.closeEBupotModal = closeEBupotModal;
+window.downloadEBupot = downloadEBupot;
+window.load1721A1Forms = load1721A1Forms;
+window.print1721A1Forms = print1721A1Forms;
+
+// THR
+window.selectTHRHoliday = selectTHRHoliday;
+window.openTHRHolidayModal = openTHRHolidayModal;
+window.closeTHRHolidayModal = closeTHRHolidayModal;
+window.saveTHRHoliday = saveTHRHoliday;
+window.deleteSelectedTHRHoliday = deleteSelectedTHRHoliday;
+window.exportTHRPreview = exportTHRPreview;
+
+// ================================================
+// SECTION 15: AUTO-INITIALIZATION
+// ================================================
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initPayrollPage);
+} else {
+    initPayrollPage();
+}
+
+// ================================================
+// SECTION 16: DEBUG UTILITIES
+// ================================================
+
+window.debugPayroll = {
+    state: payrollState,
+    items: () => payrollState.items,
+    run: () => payrollState.selectedRun,
+    reload: loadPeriod,
+    thr: () => payrollState.thrResults
+};
+
+console.log('✅ PAYROLL.js v1.0 loaded');
@@ -0,0 +1,130 @@
+// ================================================
+// SWAP HRIS - RECRUITMENT PIPELINE
+// recruitment-pipeline.js - Version 1.0
+// ================================================
+
+// ⚠️ DEPENDENCIES: None (pure functions, works in browser and Node)
+// ⚠️ PROVIDES: Recruitment stages, stage move validation (rejection reason, hired employees)
+//              and the tracker row update + history entry of a stage move
+
+const RecruitmentPipeline = (() => {
+    'use strict';
+
+    // ================================================
+    // SECTION 1: CONSTANTS
+    // ================================================
+
+    // Board columns, in pipeline order (recruitment_tracker.current_stage values)
+    const STAGES = ['Applied', 'Screening', 'HR Interview', 'User Interview', 'Offering', 'Hired', 'Rejected'];
+
+    const HIRED_STAGE = 'Hired';
+    const REJECTED_STAGE = 'Rejected';
+
+    // ================================================
+    // SECTION 2: STAGE MOVES
+    // ================================================
+
+    /**
+     * Validate moving a candidate to another stage
+     * @param {Object} candidate - recruitment_tracker row
+     * @param {string} toStage - Target stage
+     * @param {string} [reason] - Rejection reason (required for Rejected)
+     * @returns {Array<string>} Error messages (empty when valid)
+     */
+    function validateStageMove(candidate, toStage, reason) {
+        const errors = [];
+        if (!candidate) return ['Candidate not found'];
+        if (!STAGES.includes(toStage)) errors.push(`Unknown stage: ${toStage}`);
+        if ((candidate.current_stage || 'Applied') === toStage) errors.push(`${candidate.candidate_name} is already at ${toStage}`);
+        if (candidate.employee_id && toStage !== HIRED_STAGE) {
+            errors.push(`${candidate.candidate_name} is already an employee and stays Hired`);
+        }
+        if (toStage === REJECTED_STAGE && !String(reason || '').trim()) {
+            errors.push('Rejection reason is required');
+        }
+        return errors;
+    }
+
+    /**
+     * Tracker row update and history entry of a stage move. Rejecting marks the candidate Failed
+     * and leaving Rejected makes it Active again; other moves keep the status.
+     * @param {Object} candidate - recruitment_tracker row
+     * @param {string} toStage - Target stage
+     * @param {Object} options - {reason, actor_id, at: ISO timestamp}
+     * @returns {{update: Object, history: Object}}
+     */
+    function buildStageChange(candidate, toStage, { reason = null, actor_id = null, at = null } = {}) {
+        const changedAt = at || new Date().toISOString();
+        const fromStage = candidate.current_stage || 'Applied';
+        const rejectionReason = toStage === REJECTED_STAGE ? String(reason).trim() : null;
+
+        const update = {
+            current_stage: toStage,
+            stage_changed_at: changedAt,
+            stage_changed_by: actor_id,
+            rejection_reason: rejectionReason,
+            updated_at: changedAt,
+            updated_by: actor_id
+        };
+        if (toStage === REJECTED_STAGE) update.status = 'Failed';
+        else if (fromStage === REJECTED_STAGE) update.status = 'Active';
+
+        return {
+            update,
+            history: {
+                candidate_id: candidate.id,
+                from_stage: fromStage,
+                to_stage: toStage,
+                reason: rejectionReason,
+                changed_at: changedAt,
+                changed_by: actor_id
+            }
+        };
+    }
+
+    // ================================================
+    // SECTION 3: BOARD
+    // ================================================
+
+    /**
+     * Group candidates into board columns (unknown stages go to Applied)
+     * @param {Array} candidates - recruitment_tracker rows
+     * @returns {Object<string, Array>} Stage → candidates
+     */
+    function groupByStage(candidates) {
+        const columns = {};
+        STAGES.forEach(stage => { columns[stage] = []; });
+
+        (candidates || []).forEach(candidate => {
+            const stage = STAGES.includes(candidate.current_stage) ? candidate.current_stage : STAGES[0];
+            columns[stage].push(candidate);
+        });
+
+        return columns;
+    }
+
+    // ================================================
+    // PUBLIC API
+    // ================================================
+
+    return {
+        STAGES,
+        HIRED_STAGE,
+        REJECTED_STAGE,
+        validateStageMove,
+        buildStageChange,
+        groupByStage
+    };
+})();
+
+// ================================================
+// EXPOSE MODULE (Browser global + Node require)
+// ================================================
+
+if (typeof window !== 'undefined') {
+    window.RecruitmentPipeline = RecruitmentPipeline;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecruitmentPipeline;
+}
@@ -3,8 +3,11 @@
 // recruitment.js - Version 2.0 (AUDITED & ORGANIZED)
 // ================================================
 
-// ⚠️ DEPENDENCIES: Requires app.js, api.js, auth.js, database-functions.js, utils.js
-// ⚠️ PROVIDES: Complete recruitment management (MPP, Tracker, Interview, Contract)
+// ⚠️ DEPENDENCIES: Requires app.js, api.js, auth.js, database-functions.js, utils.js, interview-scorecard.js,
+//                  payroll-documents.js, contract-documents.js, candidate-hire.js, mpp-fulfilment.js,
+//                  recruitment-pipeline.js
+// ⚠️ PROVIDES: Complete recruitment management (MPP & Fulfilment, Tracker & Pipeline Board, Hire, Interview Scorecards,
+//              Contract Generator)
 
 // ================================================
 // SECTION 1: STATE MANAGEMENT
@@ -31,6 +34,9 @@ const recruitmentState = {
             quarter: '',
             status: ''
         },
+        employees: [],
+        candidates: [],
+        fulfilment: {},
         initialized: false
     },
     tracker: {
@@ -42,9 +48,31 @@ const recruitmentState = {
         sortDirection: 'desc',
         filters: {
             search: '',
+            department: '',
+            position: '',
             stage: '',
             status: ''
         },
+        view: 'table',
+        rejectTarget: null,
+        initialized: false
+    },
+    interview: {
+        criteria: [],
+        scorecards: [],
+        formCriteria: [],
+        search: '',
+        initialized: false
+    },
+    hire: {
+        candidate: null,
+        contract: null
+    },
+    contract: {
+        workSite: 'Office',
+        employees: [],
+        history: [],
+        company: null,
         initialized: false
     }
 };
@@ -193,24 +221,44 @@ async function loadMPPData() {
     try {
         console.log('📊 Loading MPP data...');
         
-        const { data, error } = await getDB()
-            .from('manpower_planning')
-            .select(`
-                *,
-                departments (
-                    id,
-                    name,
-                    code
-                )
-            `)
-            .order('created_at', { ascending: false });
+        // Plans, with the active employees and candidates their fulfilment is counted from
+        const [planResult, employeeResult, candidateResult] = await Promise.all([
+            getDB()
+                .from('manpower_planning')
+                .select(`
+                    *,
+                    departments (
+                        id,
+                        name,
+                        code
+                    )
+                `)
+                .order('created_at', { ascending: false }),
+            getDB()
+                .from('employees')
+                .select('id, department_id, position_custom, is_active, positions:position_id (title)')
+                .eq('is_active', true),
+            getDB()
+                .from('recruitment_tracker')
+                .select('id, candidate_name, department_id, position_applied, apply_date, current_stage, status, mpp_id, employee_id')
+        ]);
         
+        const error = planResult.error || employeeResult.error || candidateResult.error;
         if (error) {
             console.error('❌ Error loading MPP data:', error);
             throw error;
         }
         
-        recruitmentState.mpp.data = data || [];
+        const state = recruitmentState.mpp;
+        state.employees = employeeResult.data || [];
+        state.candidates = candidateResult.data || [];
+        state.fulfilment = MPPFulfilment.buildFulfilment(planResult.data || [], state.employees, state.candidates);
+        
+        // current_count is the live headcount, not the stored number
+        state.data = (planResult.data || []).map(plan => ({
+            ...plan,
+            current_count: state.fulfilment[plan.id].current
+        }));
         console.log(`✅ Loaded ${recruitmentState.mpp.data.length} MPP records`);
         
         // Apply filters and render
@@ -371,6 +419,10 @@ function createMPPRow(mpp) {
     const gap = (mpp.planned_count || 0) - (mpp.current_count || 0);
     const gapClass = gap > 0 ? 'text-red-600' : gap < 0 ? 'text-green-600' : 'text-gray-600';
     
+    // Fulfilment (live headcount and linked candidates)
+    const fulfilment = recruitmentState.mpp.fulfilment[mpp.id] ||
+        MPPFulfilment.calculateFulfilment(mpp, mpp.current_count || 0, []);
+    
     // Priority badge
     const priorityColors = {
         low: 'bg-gray-100 text-gray-700',
@@ -410,17 +462,24 @@ function createMPPRow(mpp) {
             <p class="text-sm text-gray-900">${escapeHtml(mpp.position_id || '-')}</p>
         </td>
         <td class="px-6 py-4 text-center">
-            <span class="text-sm font-medium text-gray-900">${mpp.current_count || 0}</span>
+            <span class="text-sm font-medium text-gray-900" title="Active employees">${mpp.current_count || 0}</span>
         </td>
         <td class="px-6 py-4 text-center">
             <span class="text-sm font-medium text-gray-900">${mpp.planned_count || 0}</span>
         </td>
         <td class="px-6 py-4 text-center">
             <span class="text-sm font-bold ${gapClass}">${gap > 0 ? '+' : ''}${gap}</span>
+            <p class="text-xs text-gray-500 mt-1" title="Open / In pipeline / Hired">
+                ${fulfilment.open} open · ${fulfilment.in_pipeline} pipeline · ${fulfilment.hired} hired
+            </p>
         </td>
         <td class="px-6 py-4 text-center">
             <p class="text-xs text-gray-600">${timeline}</p>
             ${mpp.year && mpp.quarter ? `<p class="text-xs text-gray-500 mt-1">${mpp.year} ${mpp.quarter}</p>` : ''}
+            ${fulfilment.overdue ? `
+            <span class="inline-flex items-center px-2 py-0.5 mt-1 rounded-full text-xs font-medium bg-red-100 text-red-700" title="Timeline ended with open positions">
+                <i class="fas fa-exclamation-triangle mr-1"></i>Overdue ${fulfilment.days_overdue}d
+            </span>` : ''}
         </td>
         <td class="px-6 py-4 text-center">
             <span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${priorityClass}">
@@ -434,6 +493,11 @@ function createMPPRow(mpp) {
         </td>
         <td class="px-6 py-4">
             <div class="flex items-center justify-center space-x-2">
+                <button onclick="viewMPPCandidates('${mpp.id}')" 
+                        class="text-green-600 hover:text-green-800 transition-colors" 
+                        title="Fulfilment">
+                    <i class="fas fa-users"></i>
+                </button>
                 <button onclick='editMPP(${JSON.stringify(mpp).replace(/'/g, "&apos;")})' 
                         class="text-blue-600 hover:text-blue-800 transition-colors" 
                         title="Edit">
@@ -451,6 +515,79 @@ function createMPPRow(mpp) {
     return tr;
 }
 
+/**
+ * Show the fulfilment of a plan line with the candidates filling it
+ * @param {string} id - MPP ID
+ */
+function viewMPPCandidates(id) {
+    const mpp = recruitmentState.mpp.data.find(item => item.id === id);
+    const fulfilment = recruitmentState.mpp.fulfilment[id];
+    if (!mpp || !fulfilment) return;
+    
+    document.getElementById('mppCandidatesModalTitle').textContent =
+        `${mpp.position_id || 'Position'} - ${mpp.departments?.name || 'N/A'}`;
+    
+    const summary = [
+        { label: 'Open', value: fulfilment.open, color: 'text-red-600' },
+        { label: 'In Pipeline', value: fulfilment.in_pipeline, color: 'text-blue-600' },
+        { label: 'Hired', value: fulfilment.hired, color: 'text-green-600' },
+        { label: 'Headcount', value: `${fulfilment.current} / ${fulfilment.planned}`, color: 'text-gray-800' }
+    ];
+    
+    document.getElementById('mppCandidatesSummary').innerHTML = summary.map(item => `
+        <div class="p-4 bg-gray-50 rounded-lg text-center">
+            <p class="text-xs text-gray-500 mb-1">${item.label}</p>
+            <p class="text-2xl font-bold ${item.color}">${item.value}</p>
+        </div>
+    `).join('') + (fulfilment.overdue ? `
+        <p class="col-span-full text-sm text-red-600">
+            <i class="fas fa-exclamation-triangle mr-1"></i>
+            Timeline ended ${formatDate(mpp.timeline_end)} (${fulfilment.days_overdue} days ago) with ${fulfilment.open} open position(s)
+        </p>
+    ` : '');
+    
+    const tbody = document.getElementById('mppCandidatesTableBody');
+    const candidates = [...fulfilment.candidates]
+        .sort((a, b) => String(b.apply_date || '').localeCompare(String(a.apply_date || '')));
+    
+    tbody.innerHTML = candidates.length === 0
+        ? `
+            <tr>
+                <td colspan="4" class="px-6 py-8 text-center text-sm text-gray-500">
+                    No candidates linked to this plan
+                </td>
+            </tr>
+        `
+        : candidates.map(candidate => `
+            <tr class="hover:bg-gray-50 transition-colors">
+                <td class="px-6 py-4">
+                    <p class="text-sm font-medium text-gray-900">${escapeHtml(candidate.candidate_name || 'N/A')}</p>
+                    <p class="text-xs text-gray-500">${candidate.mpp_id ? 'Linked' : 'Matched by position'}</p>
+                </td>
+                <td class="px-6 py-4 text-center text-sm text-gray-700">${escapeHtml(candidate.current_stage || 'Applied')}</td>
+                <td class="px-6 py-4 text-center text-sm text-gray-700">${escapeHtml(candidate.status || 'Active')}</td>
+                <td class="px-6 py-4 text-center text-sm text-gray-600">${candidate.apply_date ? formatDate(candidate.apply_date) : '-'}</td>
+            </tr>
+        `).join('');
+    
+    const modal = document.getElementById('mppCandidatesModal');
+    if (modal) {
+        modal.classList.remove('hidden');
+        modal.classList.add('flex');
+    }
+}
+
+/**
+ * Close MPP fulfilment modal
+ */
+function closeMPPCandidatesModal() {
+    const modal = document.getElementById('mppCandidatesModal');
+    if (modal) {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+    }
+}
+
 // ================================================
 // SECTION 7: MPP TAB - PAGINATION
 // ================================================
@@ -554,21 +691,28 @@ function createPaginationButton(text, enabled, onClick, isActive = false) {
  */
 function updateMPPStatistics() {
     const data = recruitmentState.mpp.data;
+    const fulfilment = recruitmentState.mpp.fulfilment;
+    
+    // Total positions needed (open positions against the live headcount)
+    const totalPositions = data.reduce((sum, mpp) => sum + (fulfilment[mpp.id]?.open || 0), 0);
     
-    // Total positions needed (sum of gaps where gap > 0)
-    const totalPositions = data.reduce((sum, mpp) => {
-        const gap = (mpp.planned_count || 0) - (mpp.current_count || 0);
-        return sum + (gap > 0 ? gap : 0);
-    }, 0);
+    // Plan lines past their timeline with open positions
+    const overdueLines = data.filter(mpp => fulfilment[mpp.id]?.overdue).length;
     
     // Pending approval
     const pendingApproval = data.filter(mpp => mpp.status === 'pending').length;
     
     // Update DOM
     const statTotal = document.getElementById('statTotalPositions');
+    const statOverdue = document.getElementById('statMPPOverdue');
     const statPending = document.getElementById('statPendingApproval');
     
     if (statTotal) statTotal.textContent = totalPositions;
+    if (statOverdue) {
+        statOverdue.textContent = overdueLines > 0 ? `${overdueLines} plan line(s) overdue` : 'Open positions';
+        statOverdue.classList.toggle('text-red-600', overdueLines > 0);
+        statOverdue.classList.toggle('text-gray-400', overdueLines === 0);
+    }
     if (statPending) statPending.textContent = pendingApproval;
 }
 
@@ -641,6 +785,7 @@ function openMPPModal(mode, data = null) {
         // Set default year to current year
         const currentYear = new Date().getFullYear();
         document.getElementById('mppYear').value = currentYear;
+        updateMPPCurrentCount();
         
     } else if (mode === 'edit' && data) {
         title.textContent = 'Edit Manpower Planning';
@@ -675,6 +820,19 @@ function closeMPPModal() {
     }
 }
 
+/**
+ * Show the live headcount of the selected department and position
+ */
+function updateMPPCurrentCount() {
+    const field = document.getElementById('mppCurrentCount');
+    if (!field) return;
+    
+    field.value = MPPFulfilment.countHeadcount({
+        department_id: document.getElementById('mppDepartment').value || null,
+        position_id: document.getElementById('mppPosition').value
+    }, recruitmentState.mpp.employees);
+}
+
 /**
  * Save MPP record (create or update)
  * @async
@@ -697,6 +855,7 @@ async function saveMPP() {
         const mppData = {
             department_id: document.getElementById('mppDepartment').value || null,
             position_id: document.getElementById('mppPosition').value,
+            // Snapshot of the live headcount for anything reading the column
             current_count: parseInt(document.getElementById('mppCurrentCount').value) || 0,
             planned_count: parseInt(document.getElementById('mppPlannedCount').value) || 0,
             year: parseInt(document.getElementById('mppYear').value),
@@ -830,9 +989,11 @@ async function confirmDelete() {
                 showToast('Candidate deleted successfully', 'success');
             }
             
-            // Reload data
+            // Reload data (MPP fulfilment counts candidates)
             await loadTrackerData();
             updateTrackerStatistics();
+            await loadMPPData();
+            updateMPPStatistics();
         }
         
         if (typeof hideLoading === 'function') hideLoading();
@@ -885,6 +1046,10 @@ function exportMPP() {
             'Current Count',
             'Planned Count',
             'Gap',
+            'Open',
+            'In Pipeline',
+            'Hired',
+            'Overdue',
             'Year',
             'Quarter',
             'Timeline Start',
@@ -897,6 +1062,7 @@ function exportMPP() {
         // Prepare CSV rows
         const rows = data.map(mpp => {
             const gap = (mpp.planned_count || 0) - (mpp.current_count || 0);
+            const fulfilment = recruitmentState.mpp.fulfilment[mpp.id] || {};
             
             return [
                 mpp.departments?.name || '',
@@ -904,6 +1070,10 @@ function exportMPP() {
                 mpp.current_count || 0,
                 mpp.planned_count || 0,
                 gap,
+                fulfilment.open || 0,
+                fulfilment.in_pipeline || 0,
+                fulfilment.hired || 0,
+                fulfilment.overdue ? `${fulfilment.days_overdue} days` : '',
                 mpp.year || '',
                 mpp.quarter || '',
                 mpp.timeline_start || '',
@@ -1012,6 +1182,9 @@ async function loadTrackerData() {
         recruitmentState.tracker.data = data || [];
         console.log(`✅ Loaded ${recruitmentState.tracker.data.length} tracker records`);
         
+        // Department & position options follow the loaded candidates
+        populateTrackerFilterOptions();
+        
         // Apply filters and render
         applyTrackerFilters();
         
@@ -1025,6 +1198,37 @@ async function loadTrackerData() {
 // SECTION 14: TRACKER TAB - FILTERING & SORTING
 // ================================================
 
+/**
+ * Populate the Tracker department & position filters (keeps the current selection)
+ */
+function populateTrackerFilterOptions() {
+    const filters = recruitmentState.tracker.filters;
+
+    const departmentFilter = document.getElementById('filterTrackerDepartment');
+    if (departmentFilter) {
+        departmentFilter.innerHTML = '<option value="">All Departments</option>' +
+            recruitmentState.departments.map(dept =>
+                `<option value="${dept.id}">${escapeHtml(dept.name)}</option>`
+            ).join('');
+        departmentFilter.value = filters.department;
+        filters.department = departmentFilter.value;
+    }
+
+    const positionFilter = document.getElementById('filterTrackerPosition');
+    if (positionFilter) {
+        const positions = [...new Set(
+            recruitmentState.tracker.data.map(item => item.position_applied).filter(Boolean)
+        )].sort((a, b) => a.localeCompare(b));
+
+        positionFilter.innerHTML = '<option value="">All Positions</option>' +
+            positions.map(position =>
+                `<option value="${escapeHtml(position)}">${escapeHtml(position)}</option>`
+            ).join('');
+        positionFilter.value = filters.position;
+        filters.position = positionFilter.value;
+    }
+}
+
 /**
  * Apply all filters to Tracker data
  */
@@ -1048,6 +1252,16 @@ function applyTrackerFilters() {
         });
     }
     
+    // Department filter
+    if (filters.department) {
+        filtered = filtered.filter(item => item.department_id === filters.department);
+    }
+    
+    // Position filter
+    if (filters.position) {
+        filtered = filtered.filter(item => item.position_applied === filters.position);
+    }
+    
     // Stage filter
     if (filters.stage) {
         filtered = filtered.filter(item => item.current_stage === filters.stage);
@@ -1061,7 +1275,7 @@ function applyTrackerFilters() {
     recruitmentState.tracker.filteredData = filtered;
     recruitmentState.tracker.currentPage = 1; // Reset to first page
     
-    renderTrackerTable();
+    renderTrackerView();
     
     console.log(`🔍 Tracker Filtered: ${filtered.length} / ${recruitmentState.tracker.data.length} records`);
 }
@@ -1177,6 +1391,12 @@ function createTrackerRow(candidate) {
     };
     const statusClass = statusColors[candidate.status] || statusColors['Active'];
     
+    // Hire: candidates at Offering/Hired not yet converted to an employee
+    const canHire = !candidate.employee_id && CandidateHire.HIRE_STAGES.includes(candidate.current_stage);
+    const employeeBadge = candidate.employee_id
+        ? `<p class="text-xs text-green-600 mt-1"><i class="fas fa-id-badge mr-1"></i>Employee</p>`
+        : '';
+    
     // Format date
     const applyDate = candidate.apply_date ? formatDate(candidate.apply_date) : '-';
     
@@ -1192,6 +1412,13 @@ function createTrackerRow(candidate) {
     };
     const stageIcon = stageIcons[candidate.current_stage] || 'fa-circle';
     
+    // Interview score (average of all scorecards)
+    const interviewScore = candidate.interview_count
+        ? `<p class="text-xs text-gray-500 mt-1" title="Average of ${candidate.interview_count} interview scorecard(s)">
+                <i class="fas fa-star text-yellow-500"></i> ${candidate.interview_score ?? '-'} (${candidate.interview_count})
+           </p>`
+        : '';
+    
     // Get department name
     let departmentName = '-';
     if (candidate.department_id) {
@@ -1246,6 +1473,7 @@ function createTrackerRow(candidate) {
                 <i class="fas ${stageIcon} mr-1.5"></i>
                 ${escapeHtml(candidate.current_stage || 'Applied')}
             </span>
+            ${interviewScore}
         </td>
         <td class="px-6 py-4 text-center">
             <p class="text-sm text-gray-600">${applyDate}</p>
@@ -1254,6 +1482,7 @@ function createTrackerRow(candidate) {
             <span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${statusClass}">
                 ${escapeHtml(candidate.status || 'Active')}
             </span>
+            ${employeeBadge}
         </td>
         <td class="px-6 py-4">
             <div class="flex items-center justify-center space-x-2">
@@ -1267,6 +1496,12 @@ function createTrackerRow(candidate) {
                         title="Edit">
                     <i class="fas fa-edit"></i>
                 </button>
+                ${canHire ? `
+                <button onclick="openHireModal('${candidate.id}')" 
+                        class="text-primary-600 hover:text-primary-800 transition-colors" 
+                        title="Hire as Employee">
+                    <i class="fas fa-user-check"></i>
+                </button>` : ''}
                 <button onclick='deleteCandidate("${candidate.id}", "${escapeHtml(candidate.candidate_name || 'Candidate')}")' 
                         class="text-red-600 hover:text-red-800 transition-colors" 
                         title="Delete">
@@ -1397,6 +1632,24 @@ function setupTrackerEventListeners() {
         }, 300));
     }
     
+    // Department filter (tracker)
+    const departmentFilter = document.getElementById('filterTrackerDepartment');
+    if (departmentFilter) {
+        departmentFilter.addEventListener('change', (e) => {
+            recruitmentState.tracker.filters.department = e.target.value;
+            applyTrackerFilters();
+        });
+    }
+    
+    // Position filter (tracker)
+    const positionFilter = document.getElementById('filterTrackerPosition');
+    if (positionFilter) {
+        positionFilter.addEventListener('change', (e) => {
+            recruitmentState.tracker.filters.position = e.target.value;
+            applyTrackerFilters();
+        });
+    }
+    
     // Stage filter
     const stageFilter = document.getElementById('filterStage');
     if (stageFilter) {
@@ -1451,6 +1704,9 @@ async function openTrackerModal(mode, data = null) {
         });
     }
     
+    // Populate manpower plan dropdown
+    populateCandidateMppOptions(data?.mpp_id);
+    
     // Get all form inputs
     const inputs = form.querySelectorAll('input, select, textarea');
     const saveBtn = document.getElementById('saveCandidateBtn');
@@ -1492,6 +1748,7 @@ async function openTrackerModal(mode, data = null) {
         document.getElementById('applyDate').value = data.apply_date || '';
         document.getElementById('currentStage').value = data.current_stage || 'Applied';
         document.getElementById('candidateStatus').value = data.status || 'Active';
+        document.getElementById('candidateMpp').value = data.mpp_id || '';
         document.getElementById('candidateNotes').value = data.notes || '';
         
         // Disable all inputs (read-only)
@@ -1527,6 +1784,7 @@ async function openTrackerModal(mode, data = null) {
         document.getElementById('applyDate').value = data.apply_date || '';
         document.getElementById('currentStage').value = data.current_stage || 'Applied';
         document.getElementById('candidateStatus').value = data.status || 'Active';
+        document.getElementById('candidateMpp').value = data.mpp_id || '';
         document.getElementById('candidateNotes').value = data.notes || '';
         
         // Enable all inputs
@@ -1544,6 +1802,25 @@ async function openTrackerModal(mode, data = null) {
     modal.classList.add('flex');
 }
 
+/**
+ * Fill the manpower plan dropdown of the candidate form
+ * @param {string|null} selectedId - Plan linked to the candidate (kept even when rejected)
+ */
+function populateCandidateMppOptions(selectedId = null) {
+    const select = document.getElementById('candidateMpp');
+    if (!select) return;
+    
+    const plans = recruitmentState.mpp.data
+        .filter(plan => plan.status !== 'rejected' || plan.id === selectedId)
+        .sort((a, b) => String(a.position_id).localeCompare(String(b.position_id)));
+    
+    select.innerHTML = '<option value="">Auto (match department and position)</option>' + plans.map(plan => `
+        <option value="${plan.id}">
+            ${escapeHtml(plan.position_id || '-')} - ${escapeHtml(plan.departments?.name || 'N/A')} (${plan.year || '-'} ${plan.quarter || ''})
+        </option>
+    `).join('');
+}
+
 /**
  * Close Tracker modal
  */
@@ -1580,6 +1857,7 @@ async function saveCandidate() {
             phone: document.getElementById('candidatePhone').value,
             department_id: document.getElementById('candidateDepartment').value || null,
             position_applied: document.getElementById('positionApplied').value,
+            mpp_id: document.getElementById('candidateMpp').value || null,
             apply_date: document.getElementById('applyDate').value,
             current_stage: document.getElementById('currentStage').value,
             status: document.getElementById('candidateStatus').value,
@@ -1621,9 +1899,18 @@ async function saveCandidate() {
             );
         }
         
-        // Reload data
+        // Reload data (MPP fulfilment counts candidates)
         await loadTrackerData();
         updateTrackerStatistics();
+        await loadMPPData();
+        updateMPPStatistics();
+        
+        // Reaching Hired: offer to create the employee right away
+        const saved = result.data?.[0];
+        if (saved?.current_stage === 'Hired' && !saved.employee_id &&
+            confirm(`${saved.candidate_name} is hired. Create the employee record now?`)) {
+            await openHireModal(saved.id);
+        }
         
     } catch (error) {
         if (typeof hideLoading === 'function') hideLoading();
@@ -1762,256 +2049,1529 @@ function exportTracker() {
 }
 
 // ================================================
-// SECTION 21: TAB MANAGEMENT
+// SECTION 21: TRACKER TAB - HIRE CANDIDATE
 // ================================================
 
 /**
- * Handle workflow tab change (Main tabs: MPP, Tracker, Interview, Contract)
+ * Open the Hire modal of a candidate at Offering or Hired
  * @async
- * @param {string} tab - Tab name ('mpp', 'tracker', 'interview', 'contract')
+ * @param {string} candidateId - recruitment_tracker ID
  * @returns {Promise<void>}
  */
-async function handleWorkflowTabChange(tab) {
-    const tabs = ['tabMPP', 'tabTracker', 'tabInterview', 'tabContract'];
-    const contents = ['contentMPP', 'contentTracker', 'contentInterview', 'contentContract'];
-    
-    // ✅ STEP 1: Deactivate ALL tabs (remove active classes)
-    tabs.forEach(tabId => {
-        const tabElement = document.getElementById(tabId);
-        if (tabElement) {
-            // Remove active classes
-            tabElement.classList.remove('border-primary-500', 'text-primary-600', 'bg-primary-50');
-            // Add inactive classes
-            tabElement.classList.add('border-transparent', 'text-gray-500');
-            // Update aria-selected
-            tabElement.setAttribute('aria-selected', 'false');
-        }
-    });
-    
-    // ✅ STEP 2: Hide ALL content panels
-    contents.forEach(contentId => {
-        const contentElement = document.getElementById(contentId);
-        if (contentElement) {
-            contentElement.classList.add('hidden');
-        }
-    });
-    
-    // ✅ STEP 3: Activate selected tab
-    const tabKey = tab.charAt(0).toUpperCase() + tab.slice(1);
-    const activeTab = document.getElementById(`tab${tabKey}`);
-    const activeContent = document.getElementById(`content${tabKey}`);
-    
-    if (activeTab) {
-        // Remove inactive classes
-        activeTab.classList.remove('border-transparent', 'text-gray-500');
-        // Add active classes
-        activeTab.classList.add('border-primary-500', 'text-primary-600', 'bg-primary-50');
-        // Update aria-selected
-        activeTab.setAttribute('aria-selected', 'true');
-    }
-    
-    if (activeContent) {
-        activeContent.classList.remove('hidden');
+async function openHireModal(candidateId) {
+    const candidate = recruitmentState.tracker.data.find(item => item.id === candidateId);
+    if (!candidate) return;
+
+    if (candidate.employee_id) {
+        if (typeof showToast === 'function') showToast(`${candidate.candidate_name} is already an employee`, 'warning');
+        return;
     }
-    
-    // ✅ STEP 4: Handle tab-specific logic
-    if (tab === 'mpp') {
-        // Force ensure contentMPP is visible
-        const contentMPP = document.getElementById('contentMPP');
-        if (contentMPP) {
-            contentMPP.classList.remove('hidden');
-        }
-        
-        // Re-render MPP table if data exists
-        if (recruitmentState.mpp.data.length > 0) {
-            applyMPPFilters();
-        }
-    } 
-    else if (tab === 'tracker') {
-        // Force ensure contentTracker is visible
-        const contentTracker = document.getElementById('contentTracker');
-        if (contentTracker) {
-            contentTracker.classList.remove('hidden');
+
+    try {
+        if (typeof showLoading === 'function') showLoading();
+
+        // A contract generated for the candidate becomes the first contract
+        const [contractResult, codeResult] = await Promise.all([
+            getDB()
+                .from('contract_history')
+                .select('*')
+                .eq('candidate_id', candidateId)
+                .is('employee_id', null)
+                .order('created_at', { ascending: false })
+                .limit(1),
+            getNextEmployeeCode(candidate.department_id)
+        ]);
+
+        if (contractResult.error) throw contractResult.error;
+
+        const contract = contractResult.data?.[0] || null;
+        const party = contract?.document_data?.party || {};
+        recruitmentState.hire = { candidate, contract };
+
+        const form = document.getElementById('hireForm');
+        if (form) form.reset();
+
+        const setValue = (fieldId, value) => {
+            const field = document.getElementById(fieldId);
+            if (field) field.value = value || '';
+        };
+        const departmentName = recruitmentState.departments.find(d => d.id === candidate.department_id)?.name || '-';
+
+        document.getElementById('hireCandidateInfo').innerHTML = `
+            <p class="text-sm font-medium text-gray-900">${escapeHtml(candidate.candidate_name)}</p>
+            <p class="text-xs text-gray-500">${escapeHtml(candidate.position_applied || '-')} · ${escapeHtml(departmentName)}</p>
+        `;
+
+        setValue('hireEmployeeCode', '');
+        document.getElementById('hireEmployeeCode').placeholder = codeResult.data || 'Auto';
+        setValue('hireJoinDate', contract?.start_date || new Date().toISOString().split('T')[0]);
+        setValue('hireWorkSite', contract?.work_site || 'Office');
+        setValue('hireNik', party.nik);
+        setValue('hireBirthPlace', party.birth_place);
+        setValue('hireBirthDate', party.birth_date);
+        setValue('hireAddress', party.address);
+        setValue('hireSignatoryName', recruitmentState.currentUser?.user_metadata?.full_name);
+
+        const existing = document.getElementById('hireExistingContract');
+        existing.textContent = contract
+            ? `Contract ${contract.contract_number} generated for this candidate becomes the first contract.`
+            : '';
+        existing.classList.toggle('hidden', !contract);
+        document.getElementById('hireContractFields').classList.toggle('hidden', !!contract);
+        updateHireContractFields();
+
+        if (typeof hideLoading === 'function') hideLoading();
+
+        const modal = document.getElementById('hireModal');
+        if (modal) {
+            modal.classList.remove('hidden');
+            modal.classList.add('flex');
         }
-        
-        // Initialize tracker if not loaded yet
-        if (recruitmentState.tracker.data.length === 0) {
-            await initTrackerTab();
-        } else {
-            // Re-render tracker if already loaded
-            renderTrackerTable();
+
+    } catch (error) {
+        if (typeof hideLoading === 'function') hideLoading();
+        console.error('❌ Error opening hire form:', error);
+        if (typeof showToast === 'function') {
+            showToast('Failed to open hire form: ' + error.message, 'error');
         }
     }
 }
 
 /**
- * Switch Interview sub-tab
- * @param {string} tab - Sub-tab name ('edit', 'submit', 'sheet')
+ * Close Hire modal
  */
-function switchInterviewTab(tab) {
-    // Update tab buttons
-    const tabs = document.querySelectorAll('.interview-sub-tab');
-    tabs.forEach(t => {
-        t.classList.remove('border-primary-500', 'text-primary-600', 'bg-primary-50');
-        t.classList.add('border-gray-300', 'text-gray-600');
-    });
-    
-    // Update containers
-    document.getElementById('interviewEditContainer').classList.add('hidden');
-    document.getElementById('interviewSubmitContainer').classList.add('hidden');
-    document.getElementById('interviewSheetContainer').classList.add('hidden');
-    
-    // Show selected tab
-    if (tab === 'edit') {
-        document.getElementById('tabInterviewEdit').classList.remove('border-gray-300', 'text-gray-600');
-        document.getElementById('tabInterviewEdit').classList.add('border-primary-500', 'text-primary-600', 'bg-primary-50');
-        document.getElementById('interviewEditContainer').classList.remove('hidden');
-    } else if (tab === 'submit') {
-        document.getElementById('tabInterviewSubmit').classList.remove('border-gray-300', 'text-gray-600');
-        document.getElementById('tabInterviewSubmit').classList.add('border-primary-500', 'text-primary-600', 'bg-primary-50');
-        document.getElementById('interviewSubmitContainer').classList.remove('hidden');
-    } else if (tab === 'sheet') {
-        document.getElementById('tabInterviewSheet').classList.remove('border-gray-300', 'text-gray-600');
-        document.getElementById('tabInterviewSheet').classList.add('border-primary-500', 'text-primary-600', 'bg-primary-50');
-        document.getElementById('interviewSheetContainer').classList.remove('hidden');
+function closeHireModal() {
+    const modal = document.getElementById('hireModal');
+    if (modal) {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
     }
+    recruitmentState.hire = { candidate: null, contract: null };
 }
 
 /**
- * Switch Contract type (Office/Bistro)
- * @param {string} type - Contract type ('office', 'bistro')
+ * Show the end date for a PKWT and the probation for a PKWTT
  */
-function switchContractType(type) {
-    // Update main tabs
-    const mainTabs = document.querySelectorAll('.contract-type-tab');
-    mainTabs.forEach(t => {
-        t.classList.remove('border-primary-500', 'text-primary-600', 'bg-primary-50');
-        t.classList.add('border-gray-300', 'text-gray-600');
-    });
-    
-    // Update containers
-    document.getElementById('officeContractContainer').classList.add('hidden');
-    document.getElementById('bistroContractContainer').classList.add('hidden');
-    
-    // Show selected type
-    if (type === 'office') {
-        document.getElementById('tabOffice').classList.remove('border-gray-300', 'text-gray-600');
-        document.getElementById('tabOffice').classList.add('border-primary-500', 'text-primary-600', 'bg-primary-50');
-        document.getElementById('officeContractContainer').classList.remove('hidden');
-    } else if (type === 'bistro') {
-        document.getElementById('tabBistro').classList.remove('border-gray-300', 'text-gray-600');
-        document.getElementById('tabBistro').classList.add('border-primary-500', 'text-primary-600', 'bg-primary-50');
-        document.getElementById('bistroContractContainer').classList.remove('hidden');
-    }
+function updateHireContractFields() {
+    const isPKWT = document.getElementById('hireContractType')?.value === 'PKWT';
+    document.getElementById('hireEndDateField')?.classList.toggle('hidden', !isPKWT);
+    document.getElementById('hireProbationField')?.classList.toggle('hidden', isPKWT);
 }
 
 /**
- * Switch Office sub-tab
- * @param {string} tab - Sub-tab name ('edit', 'submit', 'sheet')
+ * Read the Hire form
+ * @returns {Object} Hire details (see hireCandidate)
  */
-function switchOfficeTab(tab) {
-    // Update tab buttons
-    const tabs = document.querySelectorAll('.office-sub-tab');
-    tabs.forEach(t => {
-        t.classList.remove('border-blue-500', 'text-blue-600', 'bg-blue-50');
-        t.classList.remove('border-green-500', 'text-green-600', 'bg-green-50');
-        t.classList.remove('border-purple-500', 'text-purple-600', 'bg-purple-50');
-        t.classList.add('border-gray-300', 'text-gray-600');
-    });
-    
-    // Update containers
-    document.getElementById('officeEditContainer').classList.add('hidden');
-    document.getElementById('officeSubmitContainer').classList.add('hidden');
-    document.getElementById('officeSheetContainer').classList.add('hidden');
-    
-    // Show selected tab
-    if (tab === 'edit') {
-        document.getElementById('tabOfficeEdit').classList.remove('border-gray-300', 'text-gray-600');
-        document.getElementById('tabOfficeEdit').classList.add('border-blue-500', 'text-blue-600', 'bg-blue-50');
-        document.getElementById('officeEditContainer').classList.remove('hidden');
-    } else if (tab === 'submit') {
-        document.getElementById('tabOfficeSubmit').classList.remove('border-gray-300', 'text-gray-600');
-        document.getElementById('tabOfficeSubmit').classList.add('border-green-500', 'text-green-600', 'bg-green-50');
-        document.getElementById('officeSubmitContainer').classList.remove('hidden');
-    } else if (tab === 'sheet') {
-        document.getElementById('tabOfficeSheet').classList.remove('border-gray-300', 'text-gray-600');
-        document.getElementById('tabOfficeSheet').classList.add('border-purple-500', 'text-purple-600', 'bg-purple-50');
-        document.getElementById('officeSheetContainer').classList.remove('hidden');
-    }
-}
-
-/**
- * Switch Bistro sub-tab
- * @param {string} tab - Sub-tab name ('edit', 'submit', 'sheet')
- */
-function switchBistroTab(tab) {
-    // Update tab buttons
-    const tabs = document.querySelectorAll('.bistro-sub-tab');
-    tabs.forEach(t => {
-        t.classList.remove('border-orange-500', 'text-orange-600', 'bg-orange-50');
-        t.classList.remove('border-teal-500', 'text-teal-600', 'bg-teal-50');
-        t.classList.remove('border-indigo-500', 'text-indigo-600', 'bg-indigo-50');
-        t.classList.add('border-gray-300', 'text-gray-600');
-    });
-    
-    // Update containers
-    document.getElementById('bistroEditContainer').classList.add('hidden');
-    document.getElementById('bistroSubmitContainer').classList.add('hidden');
-    document.getElementById('bistroSheetContainer').classList.add('hidden');
-    
-    // Show selected tab
-    if (tab === 'edit') {
-        document.getElementById('tabBistroEdit').classList.remove('border-gray-300', 'text-gray-600');
-        document.getElementById('tabBistroEdit').classList.add('border-orange-500', 'text-orange-600', 'bg-orange-50');
-        document.getElementById('bistroEditContainer').classList.remove('hidden');
-    } else if (tab === 'submit') {
-        document.getElementById('tabBistroSubmit').classList.remove('border-gray-300', 'text-gray-600');
-        document.getElementById('tabBistroSubmit').classList.add('border-teal-500', 'text-teal-600', 'bg-teal-50');
-        document.getElementById('bistroSubmitContainer').classList.remove('hidden');
-    } else if (tab === 'sheet') {
-        document.getElementById('tabBistroSheet').classList.remove('border-gray-300', 'text-gray-600');
-        document.getElementById('tabBistroSheet').classList.add('border-indigo-500', 'text-indigo-600', 'bg-indigo-50');
-        document.getElementById('bistroSheetContainer').classList.remove('hidden');
+function collectHireForm() {
+    const value = id => document.getElementById(id)?.value.trim() || null;
+    const contractType = value('hireContractType');
+
+    return {
+        employee_code: value('hireEmployeeCode'),
+        join_date: value('hireJoinDate'),
+        work_site: value('hireWorkSite'),
+        nik: value('hireNik'),
+        birth_place: value('hireBirthPlace'),
+        birth_date: value('hireBirthDate'),
+        gender: value('hireGender'),
+        address: value('hireAddress'),
+        contract: recruitmentState.hire.contract ? null : {
+            contract_type: contractType,
+            end_date: contractType === 'PKWT' ? value('hireEndDate') : null,
+            probation_months: contractType === 'PKWTT' ? Number(value('hireProbation') || 0) : null,
+            salary: Number(value('hireSalary')) || 0,
+            signatory_name: value('hireSignatoryName'),
+            signatory_title: value('hireSignatoryTitle')
+        }
+    };
+}
+
+/**
+ * Create the employee from the candidate, with its first contract
+ * @async
+ * @returns {Promise<void>}
+ */
+async function confirmHire() {
+    const candidate = recruitmentState.hire.candidate;
+    if (!candidate) return;
+
+    const details = collectHireForm();
+
+    // Check everything up front so the employee is not created without its contract
+    const errors = CandidateHire.validateHire(candidate, details);
+    if (details.contract) {
+        errors.push(...ContractDocuments.validateContract({
+            ...details.contract,
+            candidate_id: candidate.id,
+            party: { full_name: candidate.candidate_name },
+            work_site: details.work_site,
+            position: candidate.position_applied,
+            start_date: details.join_date
+        }));
+    }
+    if (errors.length) {
+        if (typeof showToast === 'function') showToast(errors[0], 'warning');
+        return;
+    }
+
+    try {
+        if (typeof showLoading === 'function') showLoading();
+
+        const { data, error } = await hireCandidate(candidate.id, details);
+        if (error) throw error;
+
+        if (typeof hideLoading === 'function') hideLoading();
+        closeHireModal();
+
+        if (typeof showToast === 'function') {
+            showToast(`${data.employee.full_name} hired as ${data.employee.employee_code}`, 'success');
+            data.warnings.forEach(warning => showToast(warning, 'warning'));
+        }
+
+        // Tracker, MPP headcount and contracts all changed
+        await loadTrackerData();
+        updateTrackerStatistics();
+        await loadMPPData();
+        updateMPPStatistics();
+        if (recruitmentState.contract.initialized) {
+            await Promise.all([loadContractEmployees(), loadGeneratedContracts()]);
+            populateContractParties();
+        }
+
+    } catch (error) {
+        if (typeof hideLoading === 'function') hideLoading();
+        console.error('❌ Error hiring candidate:', error);
+        if (typeof showToast === 'function') {
+            showToast('Failed to hire candidate: ' + error.message, 'error');
+        }
     }
 }
 
 // ================================================
-// SECTION 22: UTILITY FUNCTIONS
+// SECTION 22: TRACKER TAB - PIPELINE BOARD
 // ================================================
 
 /**
- * Format date for display
- * @param {Date|string} date - Date to format
- * @param {string} format - Format string ('DD MMM YYYY' or 'YYYYMMDD')
- * @returns {string} Formatted date string
+ * Switch the Tracker between the table and the pipeline board
+ * @param {string} view - Tracker view ('table', 'board')
  */
-function formatDate(date, format = 'DD MMM YYYY') {
-    if (!date) return '';
-    
-    const d = new Date(date);
-    if (isNaN(d.getTime())) return '';
-    
-    const day = String(d.getDate()).padStart(2, '0');
-    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    const month = monthNames[d.getMonth()];
-    const monthNum = String(d.getMonth() + 1).padStart(2, '0');
-    const year = d.getFullYear();
-    
-    if (format === 'YYYYMMDD') {
-        return `${year}${monthNum}${day}`;
+function switchTrackerView(view) {
+    const views = {
+        table: ['trackerViewTable', 'trackerTableView'],
+        board: ['trackerViewBoard', 'trackerBoardView']
+    };
+    if (!views[view]) return;
+
+    Object.entries(views).forEach(([key, [tabId, panelId]]) => {
+        const active = key === view;
+        const tabElement = document.getElementById(tabId);
+        if (tabElement) {
+            tabElement.classList.toggle('border-primary-500', active);
+            tabElement.classList.toggle('text-primary-600', active);
+            tabElement.classList.toggle('bg-primary-50', active);
+            tabElement.classList.toggle('border-gray-300', !active);
+            tabElement.classList.toggle('text-gray-600', !active);
+            tabElement.classList.toggle('hover:bg-gray-50', !active);
+            tabElement.setAttribute('aria-selected', String(active));
+        }
+        document.getElementById(panelId)?.classList.toggle('hidden', !active);
+    });
+
+    recruitmentState.tracker.view = view;
+    renderTrackerView();
+}
+
+/**
+ * Render the active Tracker view (filtered data)
+ */
+function renderTrackerView() {
+    if (recruitmentState.tracker.view === 'board') {
+        renderTrackerBoard();
+    } else {
+        renderTrackerTable();
     }
-    
-    return `${day} ${month} ${year}`;
 }
 
 /**
- * Debounce function for search input
- * @param {Function} func - Function to debounce
- * @param {number} wait - Wait time in milliseconds
- * @returns {Function} Debounced function
+ * Render the pipeline board: one drop column per stage
  */
-function debounce(func, wait) {
-    let timeout;
+function renderTrackerBoard() {
+    const board = document.getElementById('trackerBoard');
+    if (!board) return;
+
+    const columns = RecruitmentPipeline.groupByStage(recruitmentState.tracker.filteredData);
+
+    board.innerHTML = RecruitmentPipeline.STAGES.map(stage => `
+        <div class="kanban-column flex-shrink-0" data-stage="${stage}" aria-label="${stage} column">
+            <div class="flex items-center justify-between mb-3">
+                <h3 class="text-sm font-semibold text-gray-800">${stage}</h3>
+                <span class="px-2 py-1 rounded-full text-xs font-medium bg-gray-200 text-gray-700">${columns[stage].length}</span>
+            </div>
+            ${columns[stage].map(createPipelineCard).join('') ||
+                '<p class="text-xs text-gray-400 text-center py-4">Drop candidates here</p>'}
+        </div>
+    `).join('');
+
+    board.querySelectorAll('.candidate-card').forEach(card => {
+        card.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', card.dataset.id);
+            e.dataTransfer.effectAllowed = 'move';
+            card.classList.add('dragging');
+        });
+        card.addEventListener('dragend', () => card.classList.remove('dragging'));
+    });
+
+    board.querySelectorAll('.kanban-column').forEach(column => {
+        column.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            column.classList.add('drag-over');
+        });
+        column.addEventListener('dragleave', (e) => {
+            if (!column.contains(e.relatedTarget)) column.classList.remove('drag-over');
+        });
+        column.addEventListener('drop', (e) => {
+            e.preventDefault();
+            column.classList.remove('drag-over');
+            moveCandidateToStage(e.dataTransfer.getData('text/plain'), column.dataset.stage);
+        });
+    });
+}
+
+/**
+ * Create a draggable board card
+ * @param {Object} candidate - Candidate data
+ * @returns {string} HTML string
+ */
+function createPipelineCard(candidate) {
+    const departmentName = recruitmentState.departments.find(d => d.id === candidate.department_id)?.name || '-';
+    const lastMove = candidate.stage_changed_at
+        ? `Moved ${formatDate(candidate.stage_changed_at)}`
+        : `Applied ${formatDate(candidate.apply_date) || '-'}`;
+    const showRejection = candidate.current_stage === RecruitmentPipeline.REJECTED_STAGE && candidate.rejection_reason;
+
+    return `
+        <div class="candidate-card" draggable="true" data-id="${candidate.id}">
+            <div class="flex items-start justify-between gap-2">
+                <p class="text-sm font-medium text-gray-900">${escapeHtml(candidate.candidate_name || 'N/A')}</p>
+                <button onclick='viewCandidate(${JSON.stringify(candidate).replace(/'/g, "&apos;")})' 
+                        class="text-green-600 hover:text-green-800 transition-colors"
+                        title="View Details"
+                        aria-label="View details for ${escapeHtml(candidate.candidate_name)}">
+                    <i class="fas fa-eye" aria-hidden="true"></i>
+                </button>
+            </div>
+            <p class="text-xs text-gray-500">${escapeHtml(candidate.position_applied || '-')} · ${escapeHtml(departmentName)}</p>
+            ${showRejection ? `
+                <p class="text-xs text-red-600 mt-2">
+                    <i class="fas fa-comment-slash mr-1" aria-hidden="true"></i>${escapeHtml(candidate.rejection_reason)}
+                </p>
+            ` : ''}
+            ${candidate.employee_id ? `
+                <p class="text-xs text-green-600 mt-1"><i class="fas fa-id-badge mr-1" aria-hidden="true"></i>Employee</p>
+            ` : ''}
+            <p class="text-xs text-gray-400 mt-2">${lastMove}</p>
+        </div>
+    `;
+}
+
+/**
+ * Handle a card dropped on a stage column (Rejected asks for the reason first)
+ * @async
+ * @param {string} candidateId - recruitment_tracker ID
+ * @param {string} stage - Target stage
+ * @returns {Promise<void>}
+ */
+async function moveCandidateToStage(candidateId, stage) {
+    const candidate = recruitmentState.tracker.data.find(item => item.id === candidateId);
+    if (!candidate || (candidate.current_stage || 'Applied') === stage) return;
+
+    if (stage === RecruitmentPipeline.REJECTED_STAGE) {
+        openRejectModal(candidate);
+        return;
+    }
+
+    await applyStageMove(candidate, stage);
+}
+
+/**
+ * Save a stage move and reload the tracker and MPP fulfilment
+ * @async
+ * @param {Object} candidate - Candidate data
+ * @param {string} stage - Target stage
+ * @param {string} [reason] - Rejection reason
+ * @returns {Promise<boolean>} Whether the move was saved
+ */
+async function applyStageMove(candidate, stage, reason = null) {
+    const errors = RecruitmentPipeline.validateStageMove(candidate, stage, reason);
+    if (errors.length > 0) {
+        if (typeof showToast === 'function') showToast(errors.join('. '), 'warning');
+        return false;
+    }
+
+    try {
+        if (typeof showLoading === 'function') showLoading();
+
+        const { error } = await moveCandidateStage(candidate.id, stage, reason);
+        if (error) throw error;
+
+        if (typeof hideLoading === 'function') hideLoading();
+        if (typeof showToast === 'function') {
+            showToast(`${candidate.candidate_name} moved to ${stage}`, 'success');
+        }
+
+        // Reload data (MPP fulfilment counts the candidates in the pipeline)
+        await loadTrackerData();
+        updateTrackerStatistics();
+        await loadMPPData();
+        updateMPPStatistics();
+
+        if (stage === RecruitmentPipeline.HIRED_STAGE && !candidate.employee_id &&
+            confirm(`${candidate.candidate_name} is now Hired. Create the employee record now?`)) {
+            await openHireModal(candidate.id);
+        }
+
+        return true;
+
+    } catch (error) {
+        if (typeof hideLoading === 'function') hideLoading();
+        console.error('❌ Error moving candidate:', error);
+        if (typeof showToast === 'function') {
+            showToast('Failed to move candidate: ' + (error.message || 'Unknown error'), 'error');
+        }
+        return false;
+    }
+}
+
+/**
+ * Open the Reject modal of a candidate dropped on Rejected
+ * @param {Object} candidate - Candidate data
+ */
+function openRejectModal(candidate) {
+    recruitmentState.tracker.rejectTarget = candidate;
+
+    const info = document.getElementById('rejectCandidateInfo');
+    if (info) {
+        info.textContent = `${candidate.candidate_name} - ${candidate.position_applied || '-'} (${candidate.current_stage || 'Applied'})`;
+    }
+
+    const reasonField = document.getElementById('rejectReason');
+    if (reasonField) reasonField.value = '';
+
+    const modal = document.getElementById('rejectCandidateModal');
+    if (modal) {
+        modal.classList.remove('hidden');
+        modal.classList.add('flex');
+    }
+    if (reasonField) reasonField.focus();
+}
+
+/**
+ * Close the Reject modal (the candidate stays at its stage)
+ */
+function closeRejectModal() {
+    const modal = document.getElementById('rejectCandidateModal');
+    if (modal) {
+        modal.classList.add('hidden');
+        modal.classList.remove('flex');
+    }
+    recruitmentState.tracker.rejectTarget = null;
+}
+
+/**
+ * Move the candidate to Rejected with the entered reason
+ * @async
+ * @returns {Promise<void>}
+ */
+async function confirmRejectCandidate() {
+    const candidate = recruitmentState.tracker.rejectTarget;
+    if (!candidate) return;
+
+    const reason = document.getElementById('rejectReason')?.value.trim() || '';
+    const button = document.getElementById('btnConfirmReject');
+    if (button) button.disabled = true;
+
+    const saved = await applyStageMove(candidate, RecruitmentPipeline.REJECTED_STAGE, reason);
+
+    if (button) button.disabled = false;
+    if (saved) closeRejectModal();
+}
+
+// ================================================
+// SECTION 23: INTERVIEW TAB - SCORECARDS
+// ================================================
+
+/**
+ * Initialize Interview tab
+ * @async
+ * @returns {Promise<void>}
+ */
+async function initInterviewTab() {
+    console.log('📝 Initializing Interview Tab...');
+
+    try {
+        if (typeof showLoading === 'function') showLoading();
+
+        // Candidates come from the tracker
+        if (recruitmentState.tracker.data.length === 0) {
+            await loadTrackerData();
+        }
+
+        await Promise.all([loadInterviewCriteria(), loadInterviewScorecards()]);
+
+        populateScorecardCandidates();
+        populateCriterionPositions();
+        resetScorecardForm();
+        setupInterviewEventListeners();
+
+        recruitmentState.interview.initialized = true;
+
+        if (typeof hideLoading === 'function') hideLoading();
+        console.log('✅ Interview Tab initialized');
+
+    } catch (error) {
+        if (typeof hideLoading === 'function') hideLoading();
+        console.error('❌ Failed to initialize Interview Tab:', error);
+        if (typeof showToast === 'function') {
+            showToast('Failed to load interview data', 'error');
+        }
+    }
+}
+
+/**
+ * Load interview scorecards from database
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadInterviewScorecards() {
+    const { data, error } = await getInterviewScorecards();
+    if (error) throw error;
+
+    recruitmentState.interview.scorecards = data || [];
+    renderScorecardTable();
+}
+
+/**
+ * Setup event listeners for Interview tab
+ */
+function setupInterviewEventListeners() {
+    const searchInput = document.getElementById('searchScorecard');
+    if (searchInput) {
+        searchInput.addEventListener('input', debounce((e) => {
+            recruitmentState.interview.search = e.target.value;
+            renderScorecardTable();
+        }, 300));
+    }
+}
+
+/**
+ * Fill the candidate dropdown with candidates still in the pipeline
+ */
+function populateScorecardCandidates() {
+    const select = document.getElementById('scorecardCandidate');
+    if (!select) return;
+
+    const selected = select.value;
+    const candidates = recruitmentState.tracker.data
+        .filter(candidate => !['Hired', 'Rejected'].includes(candidate.current_stage))
+        .sort((a, b) => String(a.candidate_name).localeCompare(String(b.candidate_name)));
+
+    select.innerHTML = '<option value="">Select Candidate</option>' + candidates.map(candidate => `
+        <option value="${candidate.id}">
+            ${escapeHtml(candidate.candidate_name)} - ${escapeHtml(candidate.position_applied || '-')} (${escapeHtml(candidate.current_stage || 'Applied')})
+        </option>
+    `).join('');
+
+    if (candidates.some(candidate => candidate.id === selected)) {
+        select.value = selected;
+    }
+}
+
+/**
+ * Get the candidate selected on the scorecard form
+ * @returns {Object|null} Candidate record
+ */
+function getScorecardCandidate() {
+    const id = document.getElementById('scorecardCandidate')?.value;
+    return recruitmentState.tracker.data.find(candidate => candidate.id === id) || null;
+}
+
+/**
+ * Candidate picked: default the stage to the candidate's interview stage and load its criteria
+ */
+function onScorecardCandidateChange() {
+    const candidate = getScorecardCandidate();
+    const stageSelect = document.getElementById('scorecardStage');
+
+    if (candidate && stageSelect && InterviewScorecard.INTERVIEW_STAGES.includes(candidate.current_stage)) {
+        stageSelect.value = candidate.current_stage;
+    }
+
+    renderScorecardCriteria();
+}
+
+/**
+ * Render the criteria of the selected candidate's position and stage, with a rating and comment each
+ */
+function renderScorecardCriteria() {
+    const container = document.getElementById('scorecardCriteria');
+    if (!container) return;
+
+    const candidate = getScorecardCandidate();
+    const stage = document.getElementById('scorecardStage')?.value;
+    const criteria = InterviewScorecard.selectCriteria(
+        recruitmentState.interview.criteria,
+        candidate?.position_applied,
+        stage
+    );
+    recruitmentState.interview.formCriteria = criteria;
+
+    const ratingOptions = Object.entries(InterviewScorecard.RATING_SCALE)
+        .map(([value, label]) => `<option value="${value}">${value} - ${escapeHtml(label)}</option>`)
+        .join('');
+
+    container.innerHTML = criteria.map((criterion, index) => `
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-3 p-3 border border-gray-200 rounded-lg">
+            <div>
+                <p class="text-sm font-medium text-gray-800">
+                    ${escapeHtml(criterion.name)}
+                    <span class="text-xs text-gray-400">×${criterion.weight}</span>
+                </p>
+                <p class="text-xs text-gray-500">${escapeHtml(criterion.description || '')}</p>
+            </div>
+            <select data-rating-index="${index}"
+                    onchange="updateScorecardScore()"
+                    aria-label="Rating for ${escapeHtml(criterion.name)}"
+                    class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm bg-white">
+                <option value="">Select Rating</option>
+                ${ratingOptions}
+            </select>
+            <input type="text"
+                   data-comment-index="${index}"
+                   placeholder="Comment (optional)"
+                   aria-label="Comment for ${escapeHtml(criterion.name)}"
+                   class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm">
+        </div>
+    `).join('');
+
+    updateScorecardScore();
+}
+
+/**
+ * Read the ratings entered on the scorecard form
+ * @returns {Array} [{criterion_id, name, weight, rating, comment}]
+ */
+function collectScorecardRatings() {
+    return recruitmentState.interview.formCriteria.map((criterion, index) => ({
+        criterion_id: criterion.id,
+        name: criterion.name,
+        weight: criterion.weight,
+        rating: document.querySelector(`[data-rating-index="${index}"]`)?.value || null,
+        comment: document.querySelector(`[data-comment-index="${index}"]`)?.value.trim() || null
+    }));
+}
+
+/**
+ * Show the weighted score of the ratings entered so far
+ */
+function updateScorecardScore() {
+    const scoreEl = document.getElementById('scorecardScore');
+    if (!scoreEl) return;
+
+    const score = InterviewScorecard.computeScore(collectScorecardRatings());
+    scoreEl.textContent = score === null ? '-' : `${score.toFixed(2)} / 5`;
+}
+
+/**
+ * Clear the scorecard form (the interviewer defaults to the logged-in user)
+ */
+function resetScorecardForm() {
+    const form = document.getElementById('scorecardForm');
+    if (form) form.reset();
+
+    const user = recruitmentState.currentUser;
+    const interviewer = document.getElementById('scorecardInterviewer');
+    if (interviewer && user) {
+        interviewer.value = user.user_metadata?.full_name || user.email.split('@')[0];
+    }
+
+    const dateInput = document.getElementById('scorecardDate');
+    if (dateInput) dateInput.value = new Date().toISOString().split('T')[0];
+
+    renderScorecardCriteria();
+}
+
+/**
+ * Submit the scorecard; the candidate's score and stage are updated from all scorecards
+ * @async
+ * @returns {Promise<void>}
+ */
+async function submitScorecard() {
+    const candidate = getScorecardCandidate();
+    const scorecard = {
+        candidate_id: candidate?.id || null,
+        stage: document.getElementById('scorecardStage').value,
+        interviewer_name: document.getElementById('scorecardInterviewer').value,
+        interview_date: document.getElementById('scorecardDate').value || null,
+        ratings: collectScorecardRatings(),
+        recommendation: document.getElementById('scorecardRecommendation').value,
+        comments: document.getElementById('scorecardComments').value.trim() || null
+    };
+
+    const errors = InterviewScorecard.validateScorecard(scorecard);
+    if (errors.length) {
+        if (typeof showToast === 'function') showToast(errors[0], 'warning');
+        return;
+    }
+
+    try {
+        if (typeof showLoading === 'function') showLoading();
+
+        const { data, error } = await submitInterviewScorecard(scorecard);
+        if (error) throw error;
+
+        if (typeof hideLoading === 'function') hideLoading();
+
+        if (typeof showToast === 'function') {
+            const moved = data.candidate.current_stage !== candidate.current_stage;
+            showToast(
+                moved
+                    ? `Scorecard submitted. ${data.candidate.candidate_name} moved to ${data.candidate.current_stage}`
+                    : `Scorecard submitted (score ${data.scorecard.overall_score})`,
+                'success'
+            );
+        }
+
+        // Reload data
+        await Promise.all([loadTrackerData(), loadInterviewScorecards()]);
+        updateTrackerStatistics();
+        populateScorecardCandidates();
+        resetScorecardForm();
+
+    } catch (error) {
+        if (typeof hideLoading === 'function') hideLoading();
+        console.error('❌ Error submitting scorecard:', error);
+        if (typeof showToast === 'function') {
+            showToast('Failed to submit scorecard: ' + error.message, 'error');
+        }
+    }
+}
+
+/**
+ * Render submitted scorecards, filtered by the search box
+ */
+function renderScorecardTable() {
+    const tbody = document.getElementById('scorecardTableBody');
+    if (!tbody) return;
+
+    const search = recruitmentState.interview.search.toLowerCase();
+    const scorecards = recruitmentState.interview.scorecards.filter(item => !search || [
+        item.recruitment_tracker?.candidate_name,
+        item.recruitment_tracker?.position_applied,
+        item.interviewer_name
+    ].some(text => String(text || '').toLowerCase().includes(search)));
+
+    if (scorecards.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" class="px-6 py-12 text-center">
+                    <div class="flex flex-col items-center">
+                        <i class="fas fa-clipboard-list text-gray-300 text-5xl mb-4"></i>
+                        <p class="text-gray-500">No scorecards found</p>
+                    </div>
+                </td>
+            </tr>
+        `;
+        return;
+    }
+
+    const recommendationColors = {
+        strong_yes: 'bg-green-100 text-green-700',
+        yes: 'bg-blue-100 text-blue-700',
+        hold: 'bg-yellow-100 text-yellow-700',
+        no: 'bg-red-100 text-red-700'
+    };
+
+    tbody.innerHTML = scorecards.map(item => {
+        const recommendation = InterviewScorecard.RECOMMENDATIONS[item.recommendation];
+        const ratings = (item.ratings || [])
+            .map(rating => `${rating.name}: ${rating.rating}${rating.comment ? ` (${rating.comment})` : ''}`)
+            .join('\n');
+
+        return `
+            <tr class="hover:bg-gray-50 transition-colors">
+                <td class="px-6 py-4">
+                    <p class="text-sm font-medium text-gray-900">${escapeHtml(item.recruitment_tracker?.candidate_name || 'N/A')}</p>
+                    <p class="text-xs text-gray-500">${escapeHtml(item.recruitment_tracker?.position_applied || '')}</p>
+                </td>
+                <td class="px-6 py-4 text-center">
+                    <span class="text-sm text-gray-700">${escapeHtml(item.stage)}</span>
+                </td>
+                <td class="px-6 py-4">
+                    <p class="text-sm text-gray-900">${escapeHtml(item.interviewer_name)}</p>
+                    <p class="text-xs text-gray-500">${formatDate(item.interview_date)}</p>
+                </td>
+                <td class="px-6 py-4 text-center" title="${escapeHtml(ratings)}">
+                    <span class="text-sm font-semibold text-gray-900">${item.overall_score ?? '-'}</span>
+                </td>
+                <td class="px-6 py-4 text-center">
+                    <span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${recommendationColors[item.recommendation] || 'bg-gray-100 text-gray-700'}">
+                        ${escapeHtml(recommendation?.label || item.recommendation)}
+                    </span>
+                </td>
+                <td class="px-6 py-4">
+                    <p class="text-xs text-gray-600">${escapeHtml(item.comments || '-')}</p>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// ================================================
+// SECTION 24: INTERVIEW TAB - CRITERIA
+// ================================================
+
+/**
+ * Load interview criteria from database
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadInterviewCriteria() {
+    const { data, error } = await getInterviewCriteria();
+    if (error) throw error;
+
+    recruitmentState.interview.criteria = data || [];
+    renderCriteriaTable();
+}
+
+/**
+ * Suggest positions from the MPP and the tracker on the criterion form
+ */
+function populateCriterionPositions() {
+    const datalist = document.getElementById('criterionPositionList');
+    if (!datalist) return;
+
+    const positions = [...new Set([
+        ...recruitmentState.mpp.data.map(mpp => mpp.position_id),
+        ...recruitmentState.tracker.data.map(candidate => candidate.position_applied)
+    ].filter(Boolean))].sort();
+
+    datalist.innerHTML = positions.map(position => `<option value="${escapeHtml(position)}"></option>`).join('');
+}
+
+/**
+ * Render configured criteria
+ */
+function renderCriteriaTable() {
+    const tbody = document.getElementById('criteriaTableBody');
+    if (!tbody) return;
+
+    const criteria = recruitmentState.interview.criteria;
+
+    if (criteria.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="5" class="px-6 py-8 text-center text-sm text-gray-500">
+                    No criteria configured. Scorecards use the default criteria
+                    (${InterviewScorecard.DEFAULT_CRITERIA.map(item => item.name).join(', ')}).
+                </td>
+            </tr>
+        `;
+        return;
+    }
+
+    tbody.innerHTML = criteria.map(criterion => `
+        <tr class="hover:bg-gray-50 transition-colors">
+            <td class="px-6 py-4 text-sm text-gray-900">${escapeHtml(criterion.position_name || 'All positions')}</td>
+            <td class="px-6 py-4 text-sm text-gray-700">${escapeHtml(criterion.stage || 'Both interviews')}</td>
+            <td class="px-6 py-4">
+                <p class="text-sm font-medium text-gray-900">${escapeHtml(criterion.name)}</p>
+                <p class="text-xs text-gray-500">${escapeHtml(criterion.description || '')}</p>
+            </td>
+            <td class="px-6 py-4 text-center text-sm text-gray-700">${criterion.weight}</td>
+            <td class="px-6 py-4">
+                <div class="flex items-center justify-center space-x-2">
+                    <button onclick="editCriterion('${criterion.id}')"
+                            class="text-blue-600 hover:text-blue-800 transition-colors"
+                            title="Edit">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button onclick="removeCriterion('${criterion.id}')"
+                            class="text-red-600 hover:text-red-800 transition-colors"
+                            title="Remove">
+                        <i class="fas fa-trash-alt"></i>
+                    </button>
+                </div>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Load a criterion into the form
+ * @param {string} id - Criterion ID
+ */
+function editCriterion(id) {
+    const criterion = recruitmentState.interview.criteria.find(item => item.id === id);
+    if (!criterion) return;
+
+    document.getElementById('criterionId').value = criterion.id;
+    document.getElementById('criterionPosition').value = criterion.position_name || '';
+    document.getElementById('criterionStage').value = criterion.stage || '';
+    document.getElementById('criterionName').value = criterion.name;
+    document.getElementById('criterionDescription').value = criterion.description || '';
+    document.getElementById('criterionWeight').value = criterion.weight;
+    document.getElementById('criterionOrder').value = criterion.sort_order || 0;
+    document.getElementById('criterionName').focus();
+}
+
+/**
+ * Clear the criterion form
+ */
+function resetCriterionForm() {
+    const form = document.getElementById('criterionForm');
+    if (form) form.reset();
+    document.getElementById('criterionId').value = '';
+}
+
+/**
+ * Save the criterion on the form
+ * @async
+ * @returns {Promise<void>}
+ */
+async function saveCriterion() {
+    const criterion = {
+        id: document.getElementById('criterionId').value || null,
+        position_name: document.getElementById('criterionPosition').value,
+        stage: document.getElementById('criterionStage').value || null,
+        name: document.getElementById('criterionName').value,
+        description: document.getElementById('criterionDescription').value.trim() || null,
+        weight: document.getElementById('criterionWeight').value,
+        sort_order: document.getElementById('criterionOrder').value
+    };
+
+    const errors = InterviewScorecard.validateCriterion(criterion);
+    if (errors.length) {
+        if (typeof showToast === 'function') showToast(errors[0], 'warning');
+        return;
+    }
+
+    try {
+        if (typeof showLoading === 'function') showLoading();
+
+        const { error } = await saveInterviewCriterion(criterion);
+        if (error) throw error;
+
+        if (typeof hideLoading === 'function') hideLoading();
+        if (typeof showToast === 'function') {
+            showToast(criterion.id ? 'Criterion updated successfully' : 'Criterion added successfully', 'success');
+        }
+
+        resetCriterionForm();
+        await loadInterviewCriteria();
+        renderScorecardCriteria();
+
+    } catch (error) {
+        if (typeof hideLoading === 'function') hideLoading();
+        console.error('❌ Error saving criterion:', error);
+        if (typeof showToast === 'function') {
+            showToast('Failed to save criterion: ' + error.message, 'error');
+        }
+    }
+}
+
+/**
+ * Remove a criterion (submitted scorecards keep their ratings)
+ * @async
+ * @param {string} id - Criterion ID
+ * @returns {Promise<void>}
+ */
+async function removeCriterion(id) {
+    const criterion = recruitmentState.interview.criteria.find(item => item.id === id);
+    if (!criterion || !confirm(`Remove criterion "${criterion.name}"?`)) return;
+
+    try {
+        if (typeof showLoading === 'function') showLoading();
+
+        const { error } = await deleteInterviewCriterion(id);
+        if (error) throw error;
+
+        if (typeof hideLoading === 'function') hideLoading();
+        if (typeof showToast === 'function') showToast('Criterion removed', 'success');
+
+        await loadInterviewCriteria();
+        renderScorecardCriteria();
+
+    } catch (error) {
+        if (typeof hideLoading === 'function') hideLoading();
+        console.error('❌ Error removing criterion:', error);
+        if (typeof showToast === 'function') {
+            showToast('Failed to remove criterion: ' + error.message, 'error');
+        }
+    }
+}
+
+// ================================================
+// SECTION 25: CONTRACT TAB - GENERATOR
+// ================================================
+
+/**
+ * Initialize Contract tab
+ * @async
+ * @returns {Promise<void>}
+ */
+async function initContractTab() {
+    console.log('📄 Initializing Contract Tab...');
+
+    try {
+        if (typeof showLoading === 'function') showLoading();
+
+        // Candidates come from the tracker
+        if (recruitmentState.tracker.data.length === 0) {
+            await loadTrackerData();
+        }
+
+        const [, , companyResult] = await Promise.all([
+            loadContractEmployees(),
+            loadGeneratedContracts(),
+            getCompanySettings()
+        ]);
+        recruitmentState.contract.company = companyResult.data || {};
+
+        populateContractDepartments();
+        resetContractForm();
+
+        recruitmentState.contract.initialized = true;
+
+        if (typeof hideLoading === 'function') hideLoading();
+        console.log('✅ Contract Tab initialized');
+
+    } catch (error) {
+        if (typeof hideLoading === 'function') hideLoading();
+        console.error('❌ Failed to initialize Contract Tab:', error);
+        if (typeof showToast === 'function') {
+            showToast('Failed to load contract data', 'error');
+        }
+    }
+}
+
+/**
+ * Load active employees for the contract party dropdown
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadContractEmployees() {
+    const { data, error } = await getDB()
+        .from('employees')
+        .select('id, employee_code, full_name, nik, birth_place, birth_date, ktp_address, current_address, department_id, work_site, position_custom, positions:position_id (id, title)')
+        .eq('is_active', true)
+        .order('full_name', { ascending: true });
+
+    if (error) throw error;
+
+    recruitmentState.contract.employees = data || [];
+}
+
+/**
+ * Fill the department dropdown of the contract form
+ */
+function populateContractDepartments() {
+    const select = document.getElementById('genDepartment');
+    if (!select) return;
+
+    select.innerHTML = '<option value="">Select Department</option>' + recruitmentState.departments
+        .map(dept => `<option value="${escapeHtml(dept.name)}">${escapeHtml(dept.name)}</option>`)
+        .join('');
+}
+
+/**
+ * Fill the party dropdown with candidates or employees
+ */
+function populateContractParties() {
+    const select = document.getElementById('genParty');
+    if (!select) return;
+
+    const partyType = document.getElementById('genPartyType')?.value || 'candidate';
+
+    if (partyType === 'employee') {
+        select.innerHTML = '<option value="">Select Employee</option>' + recruitmentState.contract.employees.map(emp => `
+            <option value="${emp.id}">${escapeHtml(emp.full_name)} (${escapeHtml(emp.employee_code || '-')})</option>
+        `).join('');
+    } else {
+        const candidates = recruitmentState.tracker.data
+            .filter(candidate => candidate.current_stage !== 'Rejected')
+            .sort((a, b) => String(a.candidate_name).localeCompare(String(b.candidate_name)));
+
+        select.innerHTML = '<option value="">Select Candidate</option>' + candidates.map(candidate => `
+            <option value="${candidate.id}">
+                ${escapeHtml(candidate.candidate_name)} - ${escapeHtml(candidate.position_applied || '-')} (${escapeHtml(candidate.current_stage || 'Applied')})
+            </option>
+        `).join('');
+    }
+
+    onContractPartyChange();
+}
+
+/**
+ * Party picked: copy its details into the form
+ */
+function onContractPartyChange() {
+    const partyType = document.getElementById('genPartyType')?.value || 'candidate';
+    const id = document.getElementById('genParty')?.value;
+    const setValue = (fieldId, value) => {
+        const field = document.getElementById(fieldId);
+        if (field) field.value = value || '';
+    };
+    const departmentName = departmentId => recruitmentState.departments.find(d => d.id === departmentId)?.name || '';
+
+    if (partyType === 'employee') {
+        const emp = recruitmentState.contract.employees.find(item => item.id === id);
+        setValue('genPartyName', emp?.full_name);
+        setValue('genPartyNik', emp?.nik);
+        setValue('genPartyBirthPlace', emp?.birth_place);
+        setValue('genPartyBirthDate', emp?.birth_date);
+        setValue('genPartyAddress', emp?.ktp_address || emp?.current_address);
+        setValue('genPosition', emp?.position_custom || emp?.positions?.title);
+        setValue('genDepartment', departmentName(emp?.department_id));
+        if (emp?.work_site) switchContractType(emp.work_site.toLowerCase());
+    } else {
+        const candidate = recruitmentState.tracker.data.find(item => item.id === id);
+        ['genPartyNik', 'genPartyBirthPlace', 'genPartyBirthDate', 'genPartyAddress'].forEach(fieldId => setValue(fieldId, ''));
+        setValue('genPartyName', candidate?.candidate_name);
+        setValue('genPosition', candidate?.position_applied);
+        setValue('genDepartment', departmentName(candidate?.department_id));
+    }
+}
+
+/**
+ * Show the end date for a PKWT and the probation for a PKWTT
+ */
+function updateContractTypeFields() {
+    const isPKWT = document.getElementById('genContractType')?.value === 'PKWT';
+    document.getElementById('genEndDateField')?.classList.toggle('hidden', !isPKWT);
+    document.getElementById('genProbationField')?.classList.toggle('hidden', isPKWT);
+    updateNextContractNumber();
+}
+
+/**
+ * Show the contract number the next generated contract gets
+ * @async
+ * @returns {Promise<void>}
+ */
+async function updateNextContractNumber() {
+    const numberEl = document.getElementById('genNextNumber');
+    if (!numberEl) return;
+
+    const { data, error } = await getNextContractNumber({
+        contract_type: document.getElementById('genContractType').value,
+        work_site: recruitmentState.contract.workSite,
+        date: document.getElementById('genSignDate').value || null
+    });
+    numberEl.textContent = error ? '-' : data;
+}
+
+/**
+ * Read the contract form
+ * @returns {Object} Contract input (see ContractDocuments.validateContract)
+ */
+function collectContractForm() {
+    const value = id => document.getElementById(id)?.value.trim() || null;
+    const partyType = value('genPartyType');
+    const contractType = value('genContractType');
+    const partyId = value('genParty');
+    const employee = partyType === 'employee'
+        ? recruitmentState.contract.employees.find(emp => emp.id === partyId)
+        : null;
+
+    return {
+        employee_id: partyType === 'employee' ? partyId : null,
+        candidate_id: partyType === 'candidate' ? partyId : null,
+        party: {
+            full_name: value('genPartyName'),
+            employee_code: employee?.employee_code || null,
+            nik: value('genPartyNik'),
+            birth_place: value('genPartyBirthPlace'),
+            birth_date: value('genPartyBirthDate'),
+            address: value('genPartyAddress')
+        },
+        work_site: recruitmentState.contract.workSite,
+        contract_type: contractType,
+        position: value('genPosition'),
+        department: value('genDepartment'),
+        start_date: value('genStartDate'),
+        end_date: contractType === 'PKWT' ? value('genEndDate') : null,
+        probation_months: contractType === 'PKWTT' ? Number(value('genProbation') || 0) : null,
+        salary: Number(value('genSalary')) || 0,
+        signatory_name: value('genSignatoryName'),
+        signatory_title: value('genSignatoryTitle'),
+        sign_place: value('genSignPlace'),
+        sign_date: value('genSignDate'),
+        notes: value('genNotes')
+    };
+}
+
+/**
+ * Validate the form; shows the first problem
+ * @returns {Object|null} Contract input, null when invalid
+ */
+function getValidContract() {
+    const contract = collectContractForm();
+    const errors = ContractDocuments.validateContract(contract);
+    if (errors.length) {
+        if (typeof showToast === 'function') showToast(errors[0], 'warning');
+        return null;
+    }
+    return contract;
+}
+
+/**
+ * Open the contract in a print window
+ * @param {string} html - Full HTML document
+ */
+function printContract(html) {
+    if (!PayrollDocuments.printDocument(html) && typeof showToast === 'function') {
+        showToast('Allow pop-ups to print the contract', 'warning');
+    }
+}
+
+/**
+ * Print the filled contract without saving it (numbered DRAFT)
+ */
+function previewContract() {
+    const contract = getValidContract();
+    if (!contract) return;
+
+    printContract(ContractDocuments.renderContractDocument(contract, {
+        company: recruitmentState.contract.company
+    }));
+}
+
+/**
+ * Number the contract, save it into contract_history and print it
+ * @async
+ * @returns {Promise<void>}
+ */
+async function generateContract() {
+    const contract = getValidContract();
+    if (!contract) return;
+
+    try {
+        if (typeof showLoading === 'function') showLoading();
+
+        const { data, error } = await saveGeneratedContract(contract);
+        if (error) throw error;
+
+        if (typeof hideLoading === 'function') hideLoading();
+        if (typeof showToast === 'function') {
+            showToast(`Contract ${data.contract_number} generated`, 'success');
+        }
+
+        printContract(ContractDocuments.renderContractDocument(data.document_data, {
+            company: data.document_data.company
+        }));
+
+        await loadGeneratedContracts();
+        resetContractForm();
+
+    } catch (error) {
+        if (typeof hideLoading === 'function') hideLoading();
+        console.error('❌ Error generating contract:', error);
+        if (typeof showToast === 'function') {
+            showToast('Failed to generate contract: ' + error.message, 'error');
+        }
+    }
+}
+
+/**
+ * Clear the contract form
+ */
+function resetContractForm() {
+    const form = document.getElementById('genContractForm');
+    if (form) form.reset();
+
+    const user = recruitmentState.currentUser;
+    const signatory = document.getElementById('genSignatoryName');
+    if (signatory && user) {
+        signatory.value = user.user_metadata?.full_name || '';
+    }
+
+    const signDate = document.getElementById('genSignDate');
+    if (signDate) signDate.value = new Date().toISOString().split('T')[0];
+
+    // The party type is back to candidate
+    populateContractParties();
+    updateContractTypeFields();
+}
+
+// ================================================
+// SECTION 26: CONTRACT TAB - GENERATED CONTRACTS
+// ================================================
+
+/**
+ * Load generated contracts from database
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadGeneratedContracts() {
+    const { data, error } = await getGeneratedContracts();
+    if (error) throw error;
+
+    recruitmentState.contract.history = data || [];
+    renderGeneratedContracts();
+}
+
+/**
+ * Render generated contracts
+ */
+function renderGeneratedContracts() {
+    const tbody = document.getElementById('generatedContractsTableBody');
+    if (!tbody) return;
+
+    const contracts = recruitmentState.contract.history;
+
+    if (contracts.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" class="px-6 py-8 text-center text-sm text-gray-500">
+                    No contracts generated yet
+                </td>
+            </tr>
+        `;
+        return;
+    }
+
+    tbody.innerHTML = contracts.map(contract => {
+        const doc = contract.document_data || {};
+        const name = contract.employees?.full_name || contract.recruitment_tracker?.candidate_name || doc.party?.full_name || '-';
+        const partyLabel = contract.employee_id ? 'Employee' : 'Candidate';
+        const period = contract.end_date
+            ? `${formatDate(contract.start_date)} - ${formatDate(contract.end_date)}`
+            : `From ${formatDate(contract.start_date)}`;
+
+        return `
+            <tr class="hover:bg-gray-50 transition-colors">
+                <td class="px-6 py-4 text-sm font-medium text-gray-900">${escapeHtml(contract.contract_number || '-')}</td>
+                <td class="px-6 py-4">
+                    <p class="text-sm text-gray-900">${escapeHtml(name)}</p>
+                    <p class="text-xs text-gray-500">${partyLabel} · ${escapeHtml(contract.position_at_time || '-')}</p>
+                </td>
+                <td class="px-6 py-4 text-center text-sm text-gray-700">
+                    ${escapeHtml(doc.contract_type || contract.contract_type)} · ${escapeHtml(contract.work_site || '-')}
+                </td>
+                <td class="px-6 py-4 text-center text-sm text-gray-700">${period}</td>
+                <td class="px-6 py-4 text-right text-sm text-gray-700">${PayrollDocuments.formatRupiah(contract.salary)}</td>
+                <td class="px-6 py-4 text-center">
+                    <button onclick="printGeneratedContract('${contract.id}')"
+                            class="text-primary-600 hover:text-primary-800 transition-colors"
+                            title="Print">
+                        <i class="fas fa-print"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Reprint a generated contract as it was saved
+ * @param {string} id - contract_history ID
+ */
+function printGeneratedContract(id) {
+    const contract = recruitmentState.contract.history.find(item => item.id === id);
+    if (!contract?.document_data) return;
+
+    printContract(ContractDocuments.renderContractDocument(contract.document_data, {
+        company: contract.document_data.company
+    }));
+}
+
+// ================================================
+// SECTION 27: TAB MANAGEMENT
+// ================================================
+
+/**
+ * Handle workflow tab change (Main tabs: MPP, Tracker, Interview, Contract)
+ * @async
+ * @param {string} tab - Tab name ('mpp', 'tracker', 'interview', 'contract')
+ * @returns {Promise<void>}
+ */
+async function handleWorkflowTabChange(tab) {
+    const tabs = ['tabMPP', 'tabTracker', 'tabInterview', 'tabContract'];
+    const contents = ['contentMPP', 'contentTracker', 'contentInterview', 'contentContract'];
+    
+    // ✅ STEP 1: Deactivate ALL tabs (remove active classes)
+    tabs.forEach(tabId => {
+        const tabElement = document.getElementById(tabId);
+        if (tabElement) {
+            // Remove active classes
+            tabElement.classList.remove('border-primary-500', 'text-primary-600', 'bg-primary-50');
+            // Add inactive classes
+            tabElement.classList.add('border-transparent', 'text-gray-500');
+            // Update aria-selected
+            tabElement.setAttribute('aria-selected', 'false');
+        }
+    });
+    
+    // ✅ STEP 2: Hide ALL content panels
+    contents.forEach(contentId => {
+        const contentElement = document.getElementById(contentId);
+        if (contentElement) {
+            contentElement.classList.add('hidden');
+        }
+    });
+    
+    // ✅ STEP 3: Activate selected tab
+    const tabKey = tab.charAt(0).toUpperCase() + tab.slice(1);
+    const activeTab = document.getElementById(`tab${tabKey}`);
+    const activeContent = document.getElementById(`content${tabKey}`);
+    
+    if (activeTab) {
+        // Remove inactive classes
+        activeTab.classList.remove('border-transparent', 'text-gray-500');
+        // Add active classes
+        activeTab.classList.add('border-primary-500', 'text-primary-600', 'bg-primary-50');
+        // Update aria-selected
+        activeTab.setAttribute('aria-selected', 'true');
+    }
+    
+    if (activeContent) {
+        activeContent.classList.remove('hidden');
+    }
+    
+    // ✅ STEP 4: Handle tab-specific logic
+    if (tab === 'mpp') {
+        // Force ensure contentMPP is visible
+        const contentMPP = document.getElementById('contentMPP');
+        if (contentMPP) {
+            contentMPP.classList.remove('hidden');
+        }
+        
+        // Re-render MPP table if data exists
+        if (recruitmentState.mpp.data.length > 0) {
+            applyMPPFilters();
+        }
+    } 
+    else if (tab === 'tracker') {
+        // Force ensure contentTracker is visible
+        const contentTracker = document.getElementById('contentTracker');
+        if (contentTracker) {
+            contentTracker.classList.remove('hidden');
+        }
+        
+        // Initialize tracker if not loaded yet
+        if (recruitmentState.tracker.data.length === 0) {
+            await initTrackerTab();
+        } else {
+            // Re-render tracker (table or board) if already loaded
+            renderTrackerView();
+        }
+    }
+    else if (tab === 'interview') {
+        if (!recruitmentState.interview.initialized) {
+            await initInterviewTab();
+        } else {
+            // Tracker may have changed since the tab was opened
+            populateScorecardCandidates();
+            populateCriterionPositions();
+        }
+    }
+    else if (tab === 'contract') {
+        if (!recruitmentState.contract.initialized) {
+            await initContractTab();
+        } else {
+            populateContractParties();
+        }
+    }
+}
+
+/**
+ * Switch Interview sub-tab
+ * @param {string} tab - Sub-tab name ('submit', 'results', 'criteria')
+ */
+function switchInterviewTab(tab) {
+    const subTabs = {
+        submit: ['tabInterviewSubmit', 'interviewSubmitContainer'],
+        results: ['tabInterviewResults', 'interviewResultsContainer'],
+        criteria: ['tabInterviewCriteria', 'interviewCriteriaContainer']
+    };
+
+    Object.entries(subTabs).forEach(([key, [tabId, containerId]]) => {
+        const active = key === tab;
+        const tabElement = document.getElementById(tabId);
+        if (tabElement) {
+            tabElement.classList.toggle('border-primary-500', active);
+            tabElement.classList.toggle('text-primary-600', active);
+            tabElement.classList.toggle('bg-primary-50', active);
+            tabElement.classList.toggle('border-gray-300', !active);
+            tabElement.classList.toggle('text-gray-600', !active);
+            tabElement.setAttribute('aria-selected', String(active));
+        }
+        document.getElementById(containerId)?.classList.toggle('hidden', !active);
+    });
+}
+
+/**
+ * Switch Contract work site (Office/Bistro template)
+ * @param {string} type - Work site ('office', 'bistro')
+ */
+function switchContractType(type) {
+    const sites = { office: 'tabOffice', bistro: 'tabBistro' };
+
+    Object.entries(sites).forEach(([key, tabId]) => {
+        const active = key === type;
+        const tabElement = document.getElementById(tabId);
+        if (tabElement) {
+            tabElement.classList.toggle('border-primary-500', active);
+            tabElement.classList.toggle('text-primary-600', active);
+            tabElement.classList.toggle('bg-primary-50', active);
+            tabElement.classList.toggle('border-gray-300', !active);
+            tabElement.classList.toggle('text-gray-600', !active);
+            tabElement.setAttribute('aria-selected', String(active));
+        }
+    });
+
+    if (!sites[type]) return;
+    recruitmentState.contract.workSite = type === 'bistro' ? 'Bistro' : 'Office';
+    updateNextContractNumber();
+}
+
+// ================================================
+// SECTION 28: UTILITY FUNCTIONS
+// ================================================
+
+/**
+ * Format date for display
+ * @param {Date|string} date - Date to format
+ * @param {string} format - Format string ('DD MMM YYYY' or 'YYYYMMDD')
+ * @returns {string} Formatted date string
+ */
+function formatDate(date, format = 'DD MMM YYYY') {
+    if (!date) return '';
+    
+    const d = new Date(date);
+    if (isNaN(d.getTime())) return '';
+    
+    const day = String(d.getDate()).padStart(2, '0');
+    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const month = monthNames[d.getMonth()];
+    const monthNum = String(d.getMonth() + 1).padStart(2, '0');
+    const year = d.getFullYear();
+    
+    if (format === 'YYYYMMDD') {
+        return `${year}${monthNum}${day}`;
+    }
+    
+    return `${day} ${month} ${year}`;
+}
+
+/**
+ * Debounce function for search input
+ * @param {Function} func - Function to debounce
+ * @param {number} wait - Wait time in milliseconds
+ * @returns {Function} Debounced function
+ */
+function debounce(func, wait) {
+    let timeout;
     return function executedFunction(...args) {
         const later = () => {
             clearTimeout(timeout);
@@ -2035,7 +3595,7 @@ function escapeHtml(text) {
 }
 
 // ================================================
-// SECTION 23: AUTHENTICATION
+// SECTION 29: AUTHENTICATION
 // ================================================
 
 /**
@@ -2071,7 +3631,7 @@ async function logout() {
 }
 
 // ================================================
-// SECTION 24: GLOBAL EXPOSURE (Window Functions)
+// SECTION 30: GLOBAL EXPOSURE (Window Functions)
 // ================================================
 
 // Core Initialization
@@ -2086,6 +3646,9 @@ window.saveMPP = saveMPP;
 window.editMPP = editMPP;
 window.deleteMPP = deleteMPP;
 window.exportMPP = exportMPP;
+window.updateMPPCurrentCount = updateMPPCurrentCount;
+window.viewMPPCandidates = viewMPPCandidates;
+window.closeMPPCandidatesModal = closeMPPCandidatesModal;
 
 // Tracker Tab Functions
 window.sortTrackerTable = sortTrackerTable;
@@ -2096,6 +3659,34 @@ window.viewCandidate = viewCandidate;
 window.editCandidate = editCandidate;
 window.deleteCandidate = deleteCandidate;
 window.exportTracker = exportTracker;
+window.openHireModal = openHireModal;
+window.closeHireModal = closeHireModal;
+window.updateHireContractFields = updateHireContractFields;
+window.confirmHire = confirmHire;
+window.switchTrackerView = switchTrackerView;
+window.closeRejectModal = closeRejectModal;
+window.confirmRejectCandidate = confirmRejectCandidate;
+
+// Interview Tab Functions
+window.onScorecardCandidateChange = onScorecardCandidateChange;
+window.renderScorecardCriteria = renderScorecardCriteria;
+window.updateScorecardScore = updateScorecardScore;
+window.resetScorecardForm = resetScorecardForm;
+window.submitScorecard = submitScorecard;
+window.editCriterion = editCriterion;
+window.resetCriterionForm = resetCriterionForm;
+window.saveCriterion = saveCriterion;
+window.removeCriterion = removeCriterion;
+
+// Contract Tab Functions
+window.populateContractParties = populateContractParties;
+window.onContractPartyChange = onContractPartyChange;
+window.updateContractTypeFields = updateContractTypeFields;
+window.updateNextContractNumber = updateNextContractNumber;
+window.previewContract = previewContract;
+window.generateContract = generateContract;
+window.resetContractForm = resetContractForm;
+window.printGeneratedContract = printGeneratedContract;
 
 // Delete Modal
 window.confirmDelete = confirmDelete;
@@ -2105,11 +3696,9 @@ window.closeDeleteModal = closeDeleteModal;
 window.handleWorkflowTabChange = handleWorkflowTabChange;
 window.switchInterviewTab = switchInterviewTab;
 window.switchContractType = switchContractType;
-window.switchOfficeTab = switchOfficeTab;
-window.switchBistroTab = switchBistroTab;
 
 // ================================================
-// SECTION 25: AUTO-INITIALIZATION
+// SECTION 31: AUTO-INITIALIZATION
 // ================================================
 
 // Auto-initialize on page load
@@ -2120,7 +3709,7 @@ if (document.readyState === 'loading') {
 }
 
 // ================================================
-// SECTION 26: ERROR HANDLERS
+// SECTION 32: ERROR HANDLERS
 // ================================================
 
 window.addEventListener('error', function(e) {
@@ -2132,7 +3721,7 @@ window.addEventListener('unhandledrejection', function(e) {
 });
 
 // ================================================
-// SECTION 27: DEBUG UTILITIES
+// SECTION 33: DEBUG UTILITIES
 // ================================================
 
 window.debugRecruitment = {
@@ -2140,13 +3729,29 @@ window.debugRecruitment = {
     mpp: {
         data: () => recruitmentState.mpp.data,
         filtered: () => recruitmentState.mpp.filteredData,
+        fulfilment: () => recruitmentState.mpp.fulfilment,
         reload: loadMPPData
     },
     tracker: {
         data: () => recruitmentState.tracker.data,
         filtered: () => recruitmentState.tracker.filteredData,
+        board: () => RecruitmentPipeline.groupByStage(recruitmentState.tracker.filteredData),
         reload: loadTrackerData
     },
+    hire: {
+        state: () => recruitmentState.hire,
+        form: collectHireForm
+    },
+    interview: {
+        criteria: () => recruitmentState.interview.criteria,
+        scorecards: () => recruitmentState.interview.scorecards,
+        reload: initInterviewTab
+    },
+    contract: {
+        history: () => recruitmentState.contract.history,
+        form: collectContractForm,
+        reload: initContractTab
+    },
     departments: () => recruitmentState.departments,
     reloadAll: initRecruitmentPage
 };
@@ -2177,16 +3782,22 @@ console.log('   1️⃣7️⃣  Tracker Tab - Statistics');
 console.log('   1️⃣8️⃣  Tracker Tab - Event Listeners');
 console.log('   1️⃣9️⃣  Tracker Tab - CRUD Operations');
 console.log('   2️⃣0️⃣  Tracker Tab - Export');
-console.log('   2️⃣1️⃣  Tab Management (5 functions)');
-console.log('   2️⃣2️⃣  Utility Functions (3 functions)');
-console.log('   2️⃣3️⃣  Authentication (1 function)');
-console.log('   2️⃣4️⃣  Global Exposure (25 functions)');
-console.log('   2️⃣5️⃣  Auto-Initialization');
-console.log('   2️⃣6️⃣  Error Handlers');
-console.log('   2️⃣7️⃣  Debug Utilities');
-console.log('📊 Total: 60+ functions');
-console.log('🌐 Exposed: 25 functions to window');
-console.log('🔗 Dependencies: app.js, api.js, auth.js, database-functions.js, utils.js');
+console.log('   2️⃣1️⃣  Tracker Tab - Hire Candidate');
+console.log('   2️⃣2️⃣  Tracker Tab - Pipeline Board');
+console.log('   2️⃣3️⃣  Interview Tab - Scorecards');
+console.log('   2️⃣4️⃣  Interview Tab - Criteria');
+console.log('   2️⃣5️⃣  Contract Tab - Generator');
+console.log('   2️⃣6️⃣  Contract Tab - Generated Contracts');
+console.log('   2️⃣7️⃣  Tab Management (3 functions)');
+console.log('   2️⃣8️⃣  Utility Functions (3 functions)');
+console.log('   2️⃣9️⃣  Authentication (1 function)');
+console.log('   3️⃣0️⃣  Global Exposure (50 functions)');
+console.log('   3️⃣1️⃣  Auto-Initialization');
+console.log('   3️⃣2️⃣  Error Handlers');
+console.log('   3️⃣3️⃣  Debug Utilities');
+console.log('📊 Total: 100+ functions');
+console.log('🌐 Exposed: 50 functions to window');
+console.log('🔗 Dependencies: app.js, api.js, auth.js, database-functions.js, utils.js, interview-scorecard.js, payroll-documents.js, contract-documents.js, candidate-hire.js, mpp-fulfilment.js, recruitment-pipeline.js');
 
 // ================================================
 // END OF FILE
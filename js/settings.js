@@ -3,8 +3,11 @@
 // settings.js - Version 2.0 (AUDITED & ORGANIZED)
 // ================================================
 
-// ⚠️ DEPENDENCIES: Requires app.js, api.js
-// ⚠️ PROVIDES: Settings page functionality (tabs, password, company profile)
+// ⚠️ DEPENDENCIES: Requires app.js, api.js, database-functions.js, payroll-engine.js, holiday-calendar.js,
+//                  leave-approval.js, leave-accrual.js, leave-coverage.js
+// ⚠️ PROVIDES: Settings page functionality (tabs, password, company profile, BPJS rates, clock-in geofences,
+//              holiday calendar, leave approval chains & delegations, leave policies & accrual rules,
+//              minimum staffing per department / outlet)
 
 (() => {
     "use strict";
@@ -61,7 +64,13 @@
         // Map short keys to full IDs
         const map = {
             account: "content-account",
-            company: "content-company"
+            company: "content-company",
+            payroll: "content-payroll",
+            attendance: "content-attendance",
+            holidays: "content-holidays",
+            "leave-approval": "content-leave-approval",
+            "leave-policies": "content-leave-policies",
+            "leave-staffing": "content-leave-staffing"
         };
 
         // Convert if needed
@@ -221,6 +230,9 @@
             setVal("company_email", data.email);
             setVal("company_website", data.website);
             setVal("company_logo_url", data.logo_url);
+            setVal("company_tax_npwp", data.tax_npwp);
+            setVal("company_tax_nitku", data.tax_nitku);
+            setVal("company_pph21_method", data.pph21_method || "ter");
 
             // Show logo preview if exists
             if (data.logo_url) {
@@ -250,6 +262,15 @@
             return toast("Company Name is required.", "error");
         }
 
+        const npwp = val("company_tax_npwp").replace(/\D/g, "");
+        const nitku = val("company_tax_nitku").replace(/\D/g, "");
+        if (npwp && npwp.length !== 16) {
+            return toast("Company NPWP must be 16 digits.", "error");
+        }
+        if (nitku && nitku.length !== 22) {
+            return toast("NITKU must be 22 digits.", "error");
+        }
+
         const payload = {
             company_name: name,
             industry: val("company_industry") || null,
@@ -259,6 +280,9 @@
             email: val("company_email") || null,
             website: val("company_website") || null,
             logo_url: val("company_logo_url") || null,
+            tax_npwp: npwp || null,
+            tax_nitku: nitku || null,
+            pph21_method: val("company_pph21_method") || "ter",
             updated_at: new Date().toISOString()
         };
 
@@ -299,7 +323,1281 @@
     }
 
     // ================================================
-    // SECTION 5: FORM INITIALIZATION
+    // SECTION 5: BPJS RATES (Effective-dated)
+    // ================================================
+
+    const BPJS_PROGRAM_LABELS = {
+        kesehatan: "BPJS Kesehatan",
+        jht: "JHT",
+        jp: "JP",
+        jkk: "JKK",
+        jkm: "JKM"
+    };
+
+    let bpjsRates = [];
+
+    /**
+     * Format rate fraction as percentage
+     * @param {number} rate - Rate (e.g., 0.037)
+     * @returns {string} e.g., "3.7%"
+     */
+    const formatPercent = (rate) => `${parseFloat((Number(rate) * 100).toFixed(4))}%`;
+
+    /**
+     * Load BPJS rates from database and render table
+     */
+    async function loadBPJSRates() {
+        const { data, error } = await window.getAllBPJSRates();
+        if (error) {
+            console.error("❌ Load BPJS rates error:", error);
+            toast("Failed to load BPJS rates", "error");
+            return;
+        }
+
+        bpjsRates = data || [];
+        renderBPJSRates();
+        console.log("✅ BPJS rates loaded");
+    }
+
+    /**
+     * Render BPJS rates table, marking the row currently in effect per program
+     */
+    function renderBPJSRates() {
+        const tbody = $("bpjsRatesTableBody");
+        if (!tbody) return;
+
+        if (!bpjsRates.length) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="px-4 py-8 text-center text-gray-500">
+                        No rates yet. Payroll uses the built-in default rates.
+                    </td>
+                </tr>`;
+            return;
+        }
+
+        const today = new Date().toISOString().slice(0, 10);
+        const current = window.PayrollEngine
+            ? window.PayrollEngine.resolveBPJSRules(bpjsRates, today)
+            : {};
+
+        tbody.innerHTML = bpjsRates.map((rate) => {
+            const isCurrent = current[rate.program]?.effective_date === rate.effective_date;
+            const isFuture = rate.effective_date > today;
+
+            return `
+                <tr class="hover:bg-gray-50 transition-colors">
+                    <td class="px-4 py-3 text-sm font-medium text-gray-800">
+                        ${BPJS_PROGRAM_LABELS[rate.program] || rate.program}
+                        ${rate.risk_class ? `<span class="text-xs text-gray-500">Kelas ${rate.risk_class}</span>` : ""}
+                        ${rate.notes ? `<p class="text-xs text-gray-500">${rate.notes.replace(/</g, "&lt;")}</p>` : ""}
+                    </td>
+                    <td class="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">
+                        ${rate.effective_date}
+                        ${isCurrent ? `<span class="ml-1 px-2 py-0.5 text-xs font-medium rounded-full bg-green-100 text-green-700">Current</span>` : ""}
+                        ${isFuture ? `<span class="ml-1 px-2 py-0.5 text-xs font-medium rounded-full bg-blue-100 text-blue-700">Upcoming</span>` : ""}
+                    </td>
+                    <td class="px-4 py-3 text-sm text-right text-gray-700">${formatPercent(rate.employee_rate)}</td>
+                    <td class="px-4 py-3 text-sm text-right text-gray-700">${formatPercent(rate.company_rate)}</td>
+                    <td class="px-4 py-3 text-sm text-right text-gray-700 whitespace-nowrap">
+                        ${rate.wage_cap ? window.formatCurrency(rate.wage_cap) : "-"}
+                    </td>
+                    <td class="px-4 py-3 text-center whitespace-nowrap">
+                        <button onclick="editBPJSRate('${rate.id}')"
+                                class="text-primary-600 hover:text-primary-700 p-1.5 rounded hover:bg-primary-50 transition-colors"
+                                title="Edit rate">
+                            <i class="fas fa-edit" aria-hidden="true"></i>
+                        </button>
+                        <button onclick="removeBPJSRate('${rate.id}')"
+                                class="text-red-600 hover:text-red-700 p-1.5 rounded hover:bg-red-50 transition-colors"
+                                title="Delete rate">
+                            <i class="fas fa-trash" aria-hidden="true"></i>
+                        </button>
+                    </td>
+                </tr>`;
+        }).join("");
+    }
+
+    /**
+     * Show JKK risk class only for JKK and prefill its standard company rate
+     */
+    function handleBPJSProgramChange() {
+        const isJKK = val("bpjs_program") === "jkk";
+        $("bpjs_risk_class_group")?.classList.toggle("hidden", !isJKK);
+
+        if (isJKK && window.PayrollEngine && !val("bpjs_company_rate")) {
+            setVal("bpjs_company_rate", parseFloat((window.PayrollEngine.JKK_RISK_CLASSES[val("bpjs_risk_class")] * 100).toFixed(4)));
+            setVal("bpjs_employee_rate", 0);
+        }
+    }
+
+    /**
+     * Load a rate row into the form for editing
+     * @param {string} rateId - BPJS rate UUID
+     */
+    function editBPJSRate(rateId) {
+        const rate = bpjsRates.find((r) => r.id === rateId);
+        if (!rate) return;
+
+        setVal("bpjs_rate_id", rate.id);
+        setVal("bpjs_program", rate.program);
+        setVal("bpjs_risk_class", rate.risk_class || "I");
+        setVal("bpjs_employee_rate", parseFloat((Number(rate.employee_rate) * 100).toFixed(4)));
+        setVal("bpjs_company_rate", parseFloat((Number(rate.company_rate) * 100).toFixed(4)));
+        setVal("bpjs_wage_cap", rate.wage_cap || "");
+        setVal("bpjs_effective_date", rate.effective_date);
+        setVal("bpjs_notes", rate.notes);
+
+        const title = $("bpjs-form-title")?.querySelector("span");
+        if (title) title.textContent = "Edit Rate";
+        handleBPJSProgramChange();
+    }
+
+    /**
+     * Clear the rate form back to "Add Rate"
+     */
+    function resetBPJSRateForm() {
+        $("bpjs-rate-form")?.reset();
+        setVal("bpjs_rate_id", "");
+
+        const title = $("bpjs-form-title")?.querySelector("span");
+        if (title) title.textContent = "Add Rate";
+        handleBPJSProgramChange();
+    }
+
+    /**
+     * Save BPJS rate form (create or update)
+     * @param {Event} e - Submit event
+     */
+    async function saveBPJSRate(e) {
+        e.preventDefault();
+
+        const rateId = val("bpjs_rate_id");
+        const program = val("bpjs_program");
+        const payload = {
+            program,
+            risk_class: program === "jkk" ? val("bpjs_risk_class") : null,
+            employee_rate: (parseFloat(val("bpjs_employee_rate")) || 0) / 100,
+            company_rate: (parseFloat(val("bpjs_company_rate")) || 0) / 100,
+            wage_cap: parseFloat(val("bpjs_wage_cap")) || null,
+            effective_date: val("bpjs_effective_date"),
+            notes: val("bpjs_notes") || null
+        };
+
+        const { error } = rateId
+            ? await window.updateBPJSRate(rateId, payload)
+            : await window.createBPJSRate(payload);
+
+        if (error) {
+            return toast(`Failed: ${error.message}`, "error");
+        }
+
+        toast("BPJS rate saved!", "success");
+        resetBPJSRateForm();
+        await loadBPJSRates();
+    }
+
+    /**
+     * Delete BPJS rate row after confirmation
+     * @param {string} rateId - BPJS rate UUID
+     */
+    async function removeBPJSRate(rateId) {
+        if (!confirm("Delete this BPJS rate? Payroll runs already created keep the rates they were calculated with.")) return;
+
+        const { error } = await window.deleteBPJSRate(rateId);
+        if (error) {
+            return toast(`Failed: ${error.message}`, "error");
+        }
+
+        toast("BPJS rate deleted.", "success");
+        await loadBPJSRates();
+    }
+
+    // ================================================
+    // SECTION 6: CLOCK-IN GEOFENCES
+    // ================================================
+
+    let geofences = [];
+
+    /**
+     * Escape text for table cells
+     * @param {string} text - Raw text
+     * @returns {string}
+     */
+    const escapeText = (text) => String(text ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/"/g, "&quot;");
+
+    /**
+     * Load active geofences and render table
+     */
+    async function loadGeofences() {
+        const { data, error } = await window.getAllGeofences();
+        if (error) {
+            console.error("❌ Load geofences error:", error);
+            toast("Failed to load geofences", "error");
+            return;
+        }
+
+        geofences = data || [];
+        renderGeofences();
+        console.log("✅ Geofences loaded");
+    }
+
+    /**
+     * Render geofences table
+     */
+    function renderGeofences() {
+        const tbody = $("geofencesTableBody");
+        if (!tbody) return;
+
+        if (!geofences.length) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="px-4 py-8 text-center text-gray-500">
+                        No geofences yet. Every clock-in will be flagged for review until one is added.
+                    </td>
+                </tr>`;
+            return;
+        }
+
+        tbody.innerHTML = geofences.map((fence) => `
+            <tr class="hover:bg-gray-50 transition-colors">
+                <td class="px-4 py-3 text-sm font-medium text-gray-800">${escapeText(fence.site_name)}</td>
+                <td class="px-4 py-3 text-sm text-gray-700">${escapeText(fence.site_type)}</td>
+                <td class="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">
+                    <a href="https://www.google.com/maps?q=${fence.latitude},${fence.longitude}"
+                       target="_blank" rel="noopener noreferrer"
+                       class="text-primary-600 hover:text-primary-700">
+                        ${Number(fence.latitude).toFixed(6)}, ${Number(fence.longitude).toFixed(6)}
+                    </a>
+                </td>
+                <td class="px-4 py-3 text-sm text-right text-gray-700">${fence.radius_meters} m</td>
+                <td class="px-4 py-3 text-center whitespace-nowrap">
+                    <button onclick="editGeofence('${fence.id}')"
+                            class="text-primary-600 hover:text-primary-700 p-1.5 rounded hover:bg-primary-50 transition-colors"
+                            title="Edit geofence">
+                        <i class="fas fa-edit" aria-hidden="true"></i>
+                    </button>
+                    <button onclick="removeGeofence('${fence.id}')"
+                            class="text-red-600 hover:text-red-700 p-1.5 rounded hover:bg-red-50 transition-colors"
+                            title="Deactivate geofence">
+                        <i class="fas fa-trash" aria-hidden="true"></i>
+                    </button>
+                </td>
+            </tr>`).join("");
+    }
+
+    /**
+     * Load a geofence into the form for editing
+     * @param {string} geofenceId - Geofence UUID
+     */
+    function editGeofence(geofenceId) {
+        const fence = geofences.find((f) => f.id === geofenceId);
+        if (!fence) return;
+
+        setVal("geofence_id", fence.id);
+        setVal("geofence_site_name", fence.site_name);
+        setVal("geofence_site_type", fence.site_type);
+        setVal("geofence_latitude", fence.latitude);
+        setVal("geofence_longitude", fence.longitude);
+        setVal("geofence_radius", fence.radius_meters);
+
+        const title = $("geofence-form-title")?.querySelector("span");
+        if (title) title.textContent = "Edit Geofence";
+    }
+
+    /**
+     * Clear the geofence form back to "Add Geofence"
+     */
+    function resetGeofenceForm() {
+        $("geofence-form")?.reset();
+        setVal("geofence_id", "");
+
+        const title = $("geofence-form-title")?.querySelector("span");
+        if (title) title.textContent = "Add Geofence";
+    }
+
+    /**
+     * Fill latitude/longitude from the browser position (HR standing at the site)
+     */
+    function useCurrentLocation() {
+        if (!navigator.geolocation) {
+            return toast("Location is not supported by this browser.", "error");
+        }
+
+        navigator.geolocation.getCurrentPosition(
+            (position) => {
+                setVal("geofence_latitude", position.coords.latitude.toFixed(6));
+                setVal("geofence_longitude", position.coords.longitude.toFixed(6));
+                toast(`Location set (±${Math.round(position.coords.accuracy)} m).`, "success");
+            },
+            (err) => toast(`Location unavailable: ${err.message}`, "error"),
+            { enableHighAccuracy: true, timeout: 15000, maximumAge: 0 }
+        );
+    }
+
+    /**
+     * Save geofence form (create or update)
+     * @param {Event} e - Submit event
+     */
+    async function saveGeofence(e) {
+        e.preventDefault();
+
+        const geofenceId = val("geofence_id");
+        const payload = {
+            site_name: val("geofence_site_name"),
+            site_type: val("geofence_site_type"),
+            latitude: val("geofence_latitude") === "" ? "" : parseFloat(val("geofence_latitude")),
+            longitude: val("geofence_longitude") === "" ? "" : parseFloat(val("geofence_longitude")),
+            radius_meters: parseInt(val("geofence_radius"), 10) || 0
+        };
+
+        const { error } = geofenceId
+            ? await window.updateGeofence(geofenceId, payload)
+            : await window.createGeofence(payload);
+
+        if (error) {
+            return toast(`Failed: ${error.message}`, "error");
+        }
+
+        toast("Geofence saved!", "success");
+        resetGeofenceForm();
+        await loadGeofences();
+    }
+
+    /**
+     * Deactivate geofence after confirmation
+     * @param {string} geofenceId - Geofence UUID
+     */
+    async function removeGeofence(geofenceId) {
+        if (!confirm("Deactivate this geofence? Punches already recorded keep their geofence check.")) return;
+
+        const { error } = await window.deleteGeofence(geofenceId);
+        if (error) {
+            return toast(`Failed: ${error.message}`, "error");
+        }
+
+        toast("Geofence deactivated.", "success");
+        await loadGeofences();
+    }
+
+    // ================================================
+    // SECTION 7: HOLIDAY CALENDAR
+    // ================================================
+
+    let holidays = [];
+
+    const HOLIDAY_TYPE_BADGES = {
+        national: "bg-red-100 text-red-700",
+        regional: "bg-orange-100 text-orange-700",
+        company: "bg-blue-100 text-blue-700",
+        cuti_bersama: "bg-purple-100 text-purple-700"
+    };
+
+    /**
+     * Fill the year filter (last year to two years ahead)
+     */
+    function initHolidayYears() {
+        const select = $("holiday_year");
+        if (!select) return;
+
+        const current = new Date().getFullYear();
+        select.innerHTML = [current - 1, current, current + 1, current + 2]
+            .map((year) => `<option value="${year}" ${year === current ? "selected" : ""}>${year}</option>`)
+            .join("");
+    }
+
+    /**
+     * Load holidays of the selected year and render table
+     */
+    async function loadHolidays() {
+        const year = val("holiday_year") || new Date().getFullYear();
+        const { data, error } = await window.getAllHolidays({ year });
+        if (error) {
+            console.error("❌ Load holidays error:", error);
+            toast("Failed to load holidays", "error");
+            return;
+        }
+
+        holidays = data || [];
+        renderHolidays();
+        console.log("✅ Holidays loaded");
+    }
+
+    /**
+     * Render holidays table
+     */
+    function renderHolidays() {
+        const tbody = $("holidaysTableBody");
+        if (!tbody) return;
+
+        if (!holidays.length) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="px-4 py-8 text-center text-gray-500">
+                        No holidays for ${escapeText(val("holiday_year"))}. Add them below or import the government ICS calendar.
+                    </td>
+                </tr>`;
+            return;
+        }
+
+        const types = window.HolidayCalendar?.HOLIDAY_TYPES || {};
+        tbody.innerHTML = holidays.map((holiday) => `
+            <tr class="hover:bg-gray-50 transition-colors">
+                <td class="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">
+                    ${new Date(`${holiday.holiday_date}T00:00:00`).toLocaleDateString("id-ID", { weekday: "short", day: "2-digit", month: "short", year: "numeric" })}
+                </td>
+                <td class="px-4 py-3 text-sm font-medium text-gray-800">
+                    ${escapeText(holiday.name)}
+                    ${holiday.region ? `<span class="block text-xs font-normal text-gray-500">${escapeText(holiday.region)}</span>` : ""}
+                </td>
+                <td class="px-4 py-3 text-sm whitespace-nowrap">
+                    <span class="px-2 py-0.5 rounded-full text-xs font-medium ${HOLIDAY_TYPE_BADGES[holiday.holiday_type] || "bg-gray-100 text-gray-600"}">
+                        ${escapeText(types[holiday.holiday_type] || holiday.holiday_type)}
+                    </span>
+                    ${holiday.is_leave_deductible ? `<span class="block text-xs text-gray-500 mt-1">Deducts annual leave</span>` : ""}
+                </td>
+                <td class="px-4 py-3 text-sm text-gray-700">${escapeText(holiday.site || "All sites")}</td>
+                <td class="px-4 py-3 text-center whitespace-nowrap">
+                    <button onclick="editHoliday('${holiday.id}')"
+                            class="text-primary-600 hover:text-primary-700 p-1.5 rounded hover:bg-primary-50 transition-colors"
+                            title="Edit holiday">
+                        <i class="fas fa-edit" aria-hidden="true"></i>
+                    </button>
+                    <button onclick="removeHoliday('${holiday.id}')"
+                            class="text-red-600 hover:text-red-700 p-1.5 rounded hover:bg-red-50 transition-colors"
+                            title="Delete holiday">
+                        <i class="fas fa-trash" aria-hidden="true"></i>
+                    </button>
+                </td>
+            </tr>`).join("");
+    }
+
+    /**
+     * Only cuti bersama can be deducted from annual leave
+     */
+    function handleHolidayTypeChange() {
+        const checkbox = $("holiday_deductible");
+        if (!checkbox) return;
+
+        const isCutiBersama = val("holiday_type") === "cuti_bersama";
+        checkbox.disabled = !isCutiBersama;
+        if (!isCutiBersama) checkbox.checked = false;
+    }
+
+    /**
+     * Load a holiday into the form for editing
+     * @param {string} holidayId - Holiday UUID
+     */
+    function editHoliday(holidayId) {
+        const holiday = holidays.find((h) => h.id === holidayId);
+        if (!holiday) return;
+
+        setVal("holiday_id", holiday.id);
+        setVal("holiday_date", holiday.holiday_date);
+        setVal("holiday_name", holiday.name);
+        setVal("holiday_type", holiday.holiday_type);
+        setVal("holiday_site", holiday.site || "");
+        setVal("holiday_region", holiday.region || "");
+        handleHolidayTypeChange();
+        if ($("holiday_deductible")) $("holiday_deductible").checked = !!holiday.is_leave_deductible;
+
+        const title = $("holiday-form-title")?.querySelector("span");
+        if (title) title.textContent = "Edit Holiday";
+    }
+
+    /**
+     * Clear the holiday form back to "Add Holiday"
+     */
+    function resetHolidayForm() {
+        $("holiday-form")?.reset();
+        setVal("holiday_id", "");
+        handleHolidayTypeChange();
+
+        const title = $("holiday-form-title")?.querySelector("span");
+        if (title) title.textContent = "Add Holiday";
+    }
+
+    /**
+     * Save holiday form (create or update)
+     * @param {Event} e - Submit event
+     */
+    async function saveHoliday(e) {
+        e.preventDefault();
+
+        const holidayId = val("holiday_id");
+        const payload = {
+            holiday_date: val("holiday_date"),
+            name: val("holiday_name"),
+            holiday_type: val("holiday_type"),
+            site: val("holiday_site") || null,
+            region: val("holiday_region") || null,
+            is_leave_deductible: !!$("holiday_deductible")?.checked
+        };
+
+        const { error } = holidayId
+            ? await window.updateHoliday(holidayId, payload)
+            : await window.createHoliday(payload);
+
+        if (error) {
+            return toast(`Failed: ${error.message}`, "error");
+        }
+
+        toast("Holiday saved!", "success");
+        resetHolidayForm();
+        await loadHolidays();
+    }
+
+    /**
+     * Delete holiday after confirmation
+     * @param {string} holidayId - Holiday UUID
+     */
+    async function removeHoliday(holidayId) {
+        if (!confirm("Delete this holiday? Leave days and absences on that date will be counted as a workday.")) return;
+
+        const { error } = await window.deleteHoliday(holidayId);
+        if (error) {
+            return toast(`Failed: ${error.message}`, "error");
+        }
+
+        toast("Holiday deleted.", "success");
+        await loadHolidays();
+    }
+
+    /**
+     * Import holidays from the selected ICS file
+     * Events named "Cuti Bersama" are imported as cuti bersama deducted from annual leave.
+     */
+    async function importHolidayICS() {
+        const file = $("holiday_ics_file")?.files?.[0];
+        if (!file) {
+            return toast("Choose an .ics file first.", "warning");
+        }
+        if (!window.HolidayCalendar) {
+            return toast("Holiday calendar module not loaded.", "error");
+        }
+
+        const parsed = window.HolidayCalendar.parseICS(await file.text(), { holiday_type: val("holiday_ics_type") });
+        if (!parsed.holidays.length) {
+            return toast("No holidays found in the file.", "warning");
+        }
+
+        const cutiBersama = parsed.holidays.filter((h) => h.holiday_type === "cuti_bersama").length;
+        const summary = `Import ${parsed.holidays.length} holiday dates` +
+            (cutiBersama ? ` (${cutiBersama} cuti bersama, deducted from annual leave)` : "") +
+            (parsed.skipped ? `, skipping ${parsed.skipped} observances` : "") + "?";
+        if (!confirm(summary)) return;
+
+        const { data, error } = await window.importHolidays(parsed.holidays);
+        if (error) {
+            return toast(`Failed: ${error.message}`, "error");
+        }
+
+        toast(`${data.imported} holidays imported, ${data.duplicates} already on the calendar.`, "success");
+        if (parsed.errors.length) {
+            console.warn("⚠️ ICS events skipped:", parsed.errors);
+        }
+        $("holiday_ics_file").value = "";
+        await loadHolidays();
+    }
+
+    // ================================================
+    // SECTION 8: LEAVE APPROVAL CHAINS
+    // ================================================
+
+    let approvalChains = [];
+    let approvalDelegations = [];
+    let approvalDepartments = [];
+    let approvalEmployees = [];
+
+    // Chain form step rows, always in chain order
+    const CHAIN_STEP_ROLES = ["supervisor", "department_head", "hr"];
+
+    /**
+     * Read an error returned as a string (database-functions 4.5) or an Error
+     * @param {string|Error} error
+     * @returns {string}
+     */
+    const errorText = (error) => error?.message || error;
+
+    /**
+     * Format a YYYY-MM-DD date for tables
+     * @param {string} date
+     * @returns {string}
+     */
+    const formatShortDate = (date) => new Date(`${date}T00:00:00`)
+        .toLocaleDateString("id-ID", { day: "2-digit", month: "short", year: "numeric" });
+
+    /**
+     * Load chains, delegations, departments, employees and leave policies
+     */
+    async function loadLeaveApproval() {
+        const [chains, delegations, departments, employees, policies] = await Promise.all([
+            window.getLeaveApprovalChains(),
+            window.getLeaveDelegations(),
+            window.getAllDepartments(),
+            window.getAllEmployees(),
+            window.getLeavePolicies()
+        ]);
+
+        const failed = [chains, delegations, departments, employees].find((result) => result.error);
+        if (failed) {
+            console.error("❌ Load leave approval error:", failed.error);
+            toast("Failed to load leave approval settings", "error");
+            return;
+        }
+
+        approvalChains = chains.data || [];
+        approvalDelegations = delegations.data || [];
+        approvalDepartments = departments.data || [];
+        approvalEmployees = employees.data || [];
+
+        fillApprovalSelects(policies.data || []);
+        renderApprovalChains();
+        renderDepartmentHeads();
+        renderDelegations();
+        console.log("✅ Leave approval settings loaded");
+    }
+
+    /**
+     * Fill department, leave policy and employee selects of the chain / delegation forms
+     * @param {Array} policies - Leave policies
+     */
+    function fillApprovalSelects(policies) {
+        const options = (items, label) => items
+            .map((item) => `<option value="${item.id}">${escapeText(item[label])}</option>`)
+            .join("");
+
+        if ($("chain_department")) {
+            $("chain_department").innerHTML = `<option value="">All departments</option>${options(approvalDepartments, "name")}`;
+        }
+        if ($("chain_policy")) {
+            $("chain_policy").innerHTML = `<option value="">All leave types</option>${options(policies, "name")}`;
+        }
+        ["delegation_approver", "delegation_delegate"].forEach((id) => {
+            if ($(id)) $(id).innerHTML = `<option value="">Select employee...</option>${options(approvalEmployees, "full_name")}`;
+        });
+    }
+
+    /**
+     * Render approval chains table
+     */
+    function renderApprovalChains() {
+        const tbody = $("approvalChainsTableBody");
+        if (!tbody) return;
+
+        if (!approvalChains.length) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="4" class="px-4 py-8 text-center text-gray-500">
+                        No chains yet. Every request goes Direct Supervisor → Department Head → HR.
+                    </td>
+                </tr>`;
+            return;
+        }
+
+        const roles = window.LeaveApproval?.APPROVER_ROLES || {};
+        tbody.innerHTML = approvalChains.map((chain) => `
+            <tr class="hover:bg-gray-50 transition-colors">
+                <td class="px-4 py-3 text-sm font-medium text-gray-800">
+                    ${escapeText(chain.name)}
+                    ${chain.is_active === false ? `<span class="block text-xs font-normal text-gray-500">Inactive</span>` : ""}
+                </td>
+                <td class="px-4 py-3 text-sm text-gray-700">
+                    ${escapeText(chain.departments?.name || "All departments")}
+                    <span class="block text-xs text-gray-500">${escapeText(chain.leave_policies?.name || "All leave types")}</span>
+                </td>
+                <td class="px-4 py-3 text-sm text-gray-700">
+                    ${(chain.steps || []).map((step) => `${escapeText(roles[step.role] || step.role)} (${step.sla_days}d)`).join(" → ")}
+                </td>
+                <td class="px-4 py-3 text-center whitespace-nowrap">
+                    <button onclick="editApprovalChain('${chain.id}')"
+                            class="text-primary-600 hover:text-primary-700 p-1.5 rounded hover:bg-primary-50 transition-colors"
+                            title="Edit chain">
+                        <i class="fas fa-edit" aria-hidden="true"></i>
+                    </button>
+                    <button onclick="removeApprovalChain('${chain.id}')"
+                            class="text-red-600 hover:text-red-700 p-1.5 rounded hover:bg-red-50 transition-colors"
+                            title="Delete chain">
+                        <i class="fas fa-trash" aria-hidden="true"></i>
+                    </button>
+                </td>
+            </tr>`).join("");
+    }
+
+    /**
+     * Render one head select per department (the Department Head approval step)
+     */
+    function renderDepartmentHeads() {
+        const tbody = $("departmentHeadsTableBody");
+        if (!tbody) return;
+
+        if (!approvalDepartments.length) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="2" class="px-4 py-8 text-center text-gray-500">No departments found.</td>
+                </tr>`;
+            return;
+        }
+
+        tbody.innerHTML = approvalDepartments.map((department) => `
+            <tr class="hover:bg-gray-50 transition-colors">
+                <td class="px-4 py-3 text-sm font-medium text-gray-800">${escapeText(department.name)}</td>
+                <td class="px-4 py-3 text-sm">
+                    <select onchange="saveDepartmentHead('${department.id}', this.value)"
+                            aria-label="Head of ${escapeText(department.name)}"
+                            class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500/30 focus:border-primary-500 transition-all bg-white">
+                        <option value="">Not assigned</option>
+                        ${approvalEmployees.map((employee) => `
+                            <option value="${employee.id}" ${employee.id === department.head_employee_id ? "selected" : ""}>
+                                ${escapeText(employee.full_name)}
+                            </option>`).join("")}
+                    </select>
+                </td>
+            </tr>`).join("");
+    }
+
+    /**
+     * Render delegations table
+     */
+    function renderDelegations() {
+        const tbody = $("delegationsTableBody");
+        if (!tbody) return;
+
+        if (!approvalDelegations.length) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="4" class="px-4 py-8 text-center text-gray-500">No delegations.</td>
+                </tr>`;
+            return;
+        }
+
+        const today = new Date().toISOString().slice(0, 10);
+        tbody.innerHTML = approvalDelegations.map((delegation) => {
+            const active = window.LeaveApproval?.isDelegationActive(delegation, today);
+            return `
+            <tr class="hover:bg-gray-50 transition-colors">
+                <td class="px-4 py-3 text-sm text-gray-800">
+                    <span class="font-medium">${escapeText(delegation.approver?.full_name || "-")}</span>
+                    → ${escapeText(delegation.delegate?.full_name || "-")}
+                    ${delegation.reason ? `<span class="block text-xs text-gray-500">${escapeText(delegation.reason)}</span>` : ""}
+                </td>
+                <td class="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">
+                    ${formatShortDate(delegation.start_date)} – ${delegation.end_date ? formatShortDate(delegation.end_date) : "open-ended"}
+                </td>
+                <td class="px-4 py-3 text-sm whitespace-nowrap">
+                    <span class="px-2 py-0.5 rounded-full text-xs font-medium ${active ? "bg-green-100 text-green-700" : "bg-gray-100 text-gray-600"}">
+                        ${active ? "Active" : "Inactive"}
+                    </span>
+                </td>
+                <td class="px-4 py-3 text-center whitespace-nowrap">
+                    <button onclick="removeDelegation('${delegation.id}')"
+                            class="text-red-600 hover:text-red-700 p-1.5 rounded hover:bg-red-50 transition-colors"
+                            title="Delete delegation">
+                        <i class="fas fa-trash" aria-hidden="true"></i>
+                    </button>
+                </td>
+            </tr>`;
+        }).join("");
+    }
+
+    /**
+     * Load a chain into the form for editing
+     * @param {string} chainId - Chain UUID
+     */
+    function editApprovalChain(chainId) {
+        const chain = approvalChains.find((c) => c.id === chainId);
+        if (!chain) return;
+
+        setVal("chain_id", chain.id);
+        setVal("chain_name", chain.name);
+        setVal("chain_department", chain.department_id || "");
+        setVal("chain_policy", chain.leave_policy_id || "");
+        if ($("chain_active")) $("chain_active").checked = chain.is_active !== false;
+
+        CHAIN_STEP_ROLES.forEach((role) => {
+            const step = (chain.steps || []).find((s) => s.role === role);
+            if ($(`chain_step_${role}`)) $(`chain_step_${role}`).checked = !!step;
+            setVal(`chain_sla_${role}`, step ? step.sla_days : window.LeaveApproval?.DEFAULT_SLA_DAYS);
+        });
+
+        const title = $("chain-form-title")?.querySelector("span");
+        if (title) title.textContent = "Edit Approval Chain";
+    }
+
+    /**
+     * Clear the chain form back to "Add Approval Chain"
+     */
+    function resetApprovalChainForm() {
+        $("leave-chain-form")?.reset();
+        setVal("chain_id", "");
+
+        const title = $("chain-form-title")?.querySelector("span");
+        if (title) title.textContent = "Add Approval Chain";
+    }
+
+    /**
+     * Save chain form (create or update)
+     * @param {Event} e - Submit event
+     */
+    async function saveApprovalChain(e) {
+        e.preventDefault();
+
+        const { error } = await window.saveLeaveApprovalChain({
+            id: val("chain_id") || null,
+            name: val("chain_name"),
+            department_id: val("chain_department") || null,
+            leave_policy_id: val("chain_policy") || null,
+            is_active: !!$("chain_active")?.checked,
+            steps: CHAIN_STEP_ROLES
+                .filter((role) => $(`chain_step_${role}`)?.checked)
+                .map((role) => ({ role, sla_days: val(`chain_sla_${role}`) }))
+        });
+
+        if (error) {
+            return toast(`Failed: ${errorText(error)}`, "error");
+        }
+
+        toast("Approval chain saved! New requests will follow it.", "success");
+        resetApprovalChainForm();
+        await loadLeaveApproval();
+    }
+
+    /**
+     * Delete chain after confirmation
+     * @param {string} chainId - Chain UUID
+     */
+    async function removeApprovalChain(chainId) {
+        if (!confirm("Delete this approval chain? Pending requests keep the chain they were submitted with.")) return;
+
+        const { error } = await window.deleteLeaveApprovalChain(chainId);
+        if (error) {
+            return toast(`Failed: ${errorText(error)}`, "error");
+        }
+
+        toast("Approval chain deleted.", "success");
+        await loadLeaveApproval();
+    }
+
+    /**
+     * Set the head of a department
+     * @param {string} departmentId - Department UUID
+     * @param {string} employeeId - Employee UUID ('' to clear)
+     */
+    async function saveDepartmentHead(departmentId, employeeId) {
+        const { error } = await window.updateDepartment(departmentId, { head_employee_id: employeeId || null });
+        if (error) {
+            return toast(`Failed: ${errorText(error)}`, "error");
+        }
+
+        const department = approvalDepartments.find((d) => d.id === departmentId);
+        if (department) department.head_employee_id = employeeId || null;
+        toast("Department head updated.", "success");
+    }
+
+    /**
+     * Save delegation form
+     * @param {Event} e - Submit event
+     */
+    async function saveDelegation(e) {
+        e.preventDefault();
+
+        const { error } = await window.saveLeaveDelegation({
+            approver_employee_id: val("delegation_approver"),
+            delegate_employee_id: val("delegation_delegate"),
+            start_date: val("delegation_start"),
+            end_date: val("delegation_end") || null,
+            reason: val("delegation_reason") || null
+        });
+
+        if (error) {
+            return toast(`Failed: ${errorText(error)}`, "error");
+        }
+
+        toast("Delegation saved!", "success");
+        $("delegation-form")?.reset();
+        await loadLeaveApproval();
+    }
+
+    /**
+     * Delete delegation after confirmation
+     * @param {string} delegationId - Delegation UUID
+     */
+    async function removeDelegation(delegationId) {
+        if (!confirm("Delete this delegation? Pending requests go back to the original approver.")) return;
+
+        const { error } = await window.deleteLeaveDelegation(delegationId);
+        if (error) {
+            return toast(`Failed: ${errorText(error)}`, "error");
+        }
+
+        toast("Delegation deleted.", "success");
+        await loadLeaveApproval();
+    }
+
+    // ================================================
+    // SECTION 9: LEAVE POLICIES (Accrual rules)
+    // ================================================
+
+    let leavePolicies = [];
+
+    /**
+     * Load active leave policies and render table
+     */
+    async function loadLeavePolicies() {
+        const { data, error } = await window.getLeavePolicies();
+        if (error) {
+            console.error("❌ Load leave policies error:", error);
+            toast("Failed to load leave policies", "error");
+            return;
+        }
+
+        leavePolicies = data || [];
+        renderLeavePolicies();
+        console.log("✅ Leave policies loaded");
+    }
+
+    /**
+     * One-line summary of a policy's accrual rules
+     * @param {Object} policy - leave_policies row
+     * @returns {string}
+     */
+    function describeLeavePolicy(policy) {
+        const p = window.LeaveAccrual.normalizePolicy(policy);
+        if (p.accrual_type === "none") return "No balance";
+        if (p.accrual_type === "fixed") {
+            return p.entitlement_months ? `${p.entitlement_months} months per request` : `${p.entitlement_days} days per request`;
+        }
+
+        const parts = [`${p.entitlement_days} days / year`];
+        if (p.min_service_months) parts.push(`after ${p.min_service_months} months' service`);
+        if (p.prorate_first_year && p.accrual_type === "yearly") parts.push("prorated for joiners");
+        parts.push(p.carry_over_max_days
+            ? `carry over ≤ ${p.carry_over_max_days} days${p.carry_over_expiry_months ? `, expires after ${p.carry_over_expiry_months} months` : ""}`
+            : "no carry-over");
+        if (p.deduct_cuti_bersama) parts.push("cuti bersama deducted");
+        return parts.join(" · ");
+    }
+
+    /**
+     * Render leave policies table
+     */
+    function renderLeavePolicies() {
+        const tbody = $("leavePoliciesTableBody");
+        if (!tbody) return;
+
+        if (!leavePolicies.length) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="4" class="px-4 py-8 text-center text-gray-500">
+                        No leave policies yet. Start from a preset in the form.
+                    </td>
+                </tr>`;
+            return;
+        }
+
+        const types = window.LeaveAccrual?.ACCRUAL_TYPES || {};
+        tbody.innerHTML = leavePolicies.map((policy) => `
+            <tr class="hover:bg-gray-50 transition-colors">
+                <td class="px-4 py-3 text-sm font-medium text-gray-800">${escapeText(policy.name)}</td>
+                <td class="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">${escapeText(types[policy.accrual_type] || types.none)}</td>
+                <td class="px-4 py-3 text-sm text-gray-600">${escapeText(describeLeavePolicy(policy))}</td>
+                <td class="px-4 py-3 text-center whitespace-nowrap">
+                    <button onclick="editLeavePolicy('${policy.id}')"
+                            class="text-primary-600 hover:text-primary-700 p-1.5 rounded hover:bg-primary-50 transition-colors"
+                            title="Edit leave policy">
+                        <i class="fas fa-edit" aria-hidden="true"></i>
+                    </button>
+                    <button onclick="removeLeavePolicy('${policy.id}')"
+                            class="text-red-600 hover:text-red-700 p-1.5 rounded hover:bg-red-50 transition-colors"
+                            title="Deactivate leave policy">
+                        <i class="fas fa-trash" aria-hidden="true"></i>
+                    </button>
+                </td>
+            </tr>`).join("");
+    }
+
+    /**
+     * Show the fields that apply to the selected accrual type
+     */
+    function handleAccrualTypeChange() {
+        const type = val("leave_policy_accrual_type");
+        const accrues = type === "yearly" || type === "monthly";
+
+        $("leave_policy_balance_fields")?.classList.toggle("hidden", !accrues);
+        $("leave_policy_months_field")?.classList.toggle("hidden", type !== "fixed");
+        $("leave_policy_days_field")?.classList.toggle("hidden", type === "none");
+
+        const label = $("leave_policy_days_label");
+        if (label) label.textContent = type === "fixed" ? "Days per request" : "Days per year";
+    }
+
+    /**
+     * Fill the policy form from a preset (annual, marriage, maternity, ...)
+     */
+    function applyLeavePolicyPreset() {
+        const preset = window.LeaveAccrual?.LEAVE_POLICY_PRESETS[val("leave_policy_preset")];
+        if (!preset) return;
+
+        fillLeavePolicyForm(window.LeaveAccrual.normalizePolicy(preset));
+        setVal("leave_policy_name", preset.name);
+    }
+
+    /**
+     * Set every policy form field
+     * @param {Object} policy - Normalized policy
+     */
+    function fillLeavePolicyForm(policy) {
+        setVal("leave_policy_name", policy.name);
+        setVal("leave_policy_accrual_type", policy.accrual_type);
+        setVal("leave_policy_days", policy.entitlement_days || "");
+        setVal("leave_policy_months", policy.entitlement_months || "");
+        setVal("leave_policy_min_service", policy.min_service_months);
+        setVal("leave_policy_carry_max", policy.carry_over_max_days);
+        setVal("leave_policy_carry_expiry", policy.carry_over_expiry_months || "");
+        ["prorate_first_year", "deduct_cuti_bersama", "allow_negative_balance"].forEach((field) => {
+            if ($(`leave_policy_${field}`)) $(`leave_policy_${field}`).checked = !!policy[field];
+        });
+        handleAccrualTypeChange();
+    }
+
+    /**
+     * Load a policy into the form for editing
+     * @param {string} policyId - Leave policy UUID
+     */
+    function editLeavePolicy(policyId) {
+        const policy = leavePolicies.find((p) => p.id === policyId);
+        if (!policy) return;
+
+        setVal("leave_policy_id", policy.id);
+        setVal("leave_policy_preset", "");
+        fillLeavePolicyForm({ ...window.LeaveAccrual.normalizePolicy(policy), name: policy.name });
+
+        const title = $("leave-policy-form-title")?.querySelector("span");
+        if (title) title.textContent = "Edit Leave Policy";
+    }
+
+    /**
+     * Clear the policy form back to "Add Leave Policy"
+     */
+    function resetLeavePolicyForm() {
+        $("leave-policy-form")?.reset();
+        setVal("leave_policy_id", "");
+        handleAccrualTypeChange();
+
+        const title = $("leave-policy-form-title")?.querySelector("span");
+        if (title) title.textContent = "Add Leave Policy";
+    }
+
+    /**
+     * Save policy form (create or update)
+     * @param {Event} e - Submit event
+     */
+    async function saveLeavePolicy(e) {
+        e.preventDefault();
+
+        const policyId = val("leave_policy_id");
+        const payload = {
+            name: val("leave_policy_name"),
+            accrual_type: val("leave_policy_accrual_type"),
+            entitlement_days: Number(val("leave_policy_days")) || 0,
+            entitlement_months: Number(val("leave_policy_months")) || 0,
+            min_service_months: Number(val("leave_policy_min_service")) || 0,
+            prorate_first_year: !!$("leave_policy_prorate_first_year")?.checked,
+            carry_over_max_days: Number(val("leave_policy_carry_max")) || 0,
+            carry_over_expiry_months: Number(val("leave_policy_carry_expiry")) || 0,
+            deduct_cuti_bersama: !!$("leave_policy_deduct_cuti_bersama")?.checked,
+            allow_negative_balance: !!$("leave_policy_allow_negative_balance")?.checked
+        };
+
+        const errors = window.LeaveAccrual.validatePolicy(payload);
+        if (errors.length) {
+            return toast(errors.join(", "), "warning");
+        }
+
+        const { error } = policyId
+            ? await window.updateLeavePolicy(policyId, payload)
+            : await window.createLeavePolicy({ ...payload, is_active: true, sort_order: leavePolicies.length + 1 });
+
+        if (error) {
+            return toast(`Failed: ${errorText(error)}`, "error");
+        }
+
+        toast("Leave policy saved! Run the accrual on the Leave page to apply it.", "success");
+        resetLeavePolicyForm();
+        await loadLeavePolicies();
+        await loadLeaveApproval();
+    }
+
+    /**
+     * Deactivate policy after confirmation
+     * @param {string} policyId - Leave policy UUID
+     */
+    async function removeLeavePolicy(policyId) {
+        if (!confirm("Deactivate this leave policy? It stops accruing and is no longer offered on new requests. The ledger is kept.")) return;
+
+        const { error } = await window.deleteLeavePolicy(policyId);
+        if (error) {
+            return toast(`Failed: ${errorText(error)}`, "error");
+        }
+
+        toast("Leave policy deactivated.", "success");
+        await loadLeavePolicies();
+        await loadLeaveApproval();
+    }
+
+    // ================================================
+    // SECTION 10: MINIMUM STAFFING (Leave coverage)
+    // ================================================
+
+    let staffingRules = [];
+    let staffingDepartments = [];
+
+    /**
+     * Load staffing rules and departments, render table
+     */
+    async function loadStaffingRules() {
+        const [rules, departments] = await Promise.all([
+            window.getStaffingRules(),
+            window.getAllDepartments()
+        ]);
+
+        if (rules.error || departments.error) {
+            console.error("❌ Load staffing rules error:", rules.error || departments.error);
+            toast("Failed to load staffing rules", "error");
+            return;
+        }
+
+        staffingRules = rules.data || [];
+        staffingDepartments = departments.data || [];
+
+        if ($("staffing_department")) {
+            const selected = val("staffing_department");
+            $("staffing_department").innerHTML = `<option value="">All departments</option>${staffingDepartments
+                .map((department) => `<option value="${department.id}">${escapeText(department.name)}</option>`)
+                .join("")}`;
+            setVal("staffing_department", selected);
+        }
+
+        renderStaffingRules();
+        console.log("✅ Staffing rules loaded");
+    }
+
+    /**
+     * Render staffing rules table
+     */
+    function renderStaffingRules() {
+        const tbody = $("staffingRulesTableBody");
+        if (!tbody) return;
+
+        if (!staffingRules.length) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="4" class="px-4 py-8 text-center text-gray-500">
+                        No staffing rules yet. Leave requests are approved without a coverage check.
+                    </td>
+                </tr>`;
+            return;
+        }
+
+        tbody.innerHTML = staffingRules.map((rule) => `
+            <tr class="hover:bg-gray-50 transition-colors">
+                <td class="px-4 py-3 text-sm font-medium text-gray-800">
+                    ${escapeText(rule.departments?.name || "All departments")}
+                    ${rule.note ? `<span class="block text-xs font-normal text-gray-500">${escapeText(rule.note)}</span>` : ""}
+                </td>
+                <td class="px-4 py-3 text-sm text-gray-700">${escapeText(rule.work_site || "All outlets")}</td>
+                <td class="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">
+                    ${rule.min_on_duty} on duty
+                    ${rule.is_active === false ? `<span class="block text-xs text-gray-500">Inactive</span>` : ""}
+                </td>
+                <td class="px-4 py-3 text-center whitespace-nowrap">
+                    <button onclick="editStaffingRule('${rule.id}')"
+                            class="text-primary-600 hover:text-primary-700 p-1.5 rounded hover:bg-primary-50 transition-colors"
+                            title="Edit staffing rule">
+                        <i class="fas fa-edit" aria-hidden="true"></i>
+                    </button>
+                    <button onclick="removeStaffingRule('${rule.id}')"
+                            class="text-red-600 hover:text-red-700 p-1.5 rounded hover:bg-red-50 transition-colors"
+                            title="Delete staffing rule">
+                        <i class="fas fa-trash" aria-hidden="true"></i>
+                    </button>
+                </td>
+            </tr>`).join("");
+    }
+
+    /**
+     * Load a rule into the form for editing
+     * @param {string} ruleId - Rule UUID
+     */
+    function editStaffingRule(ruleId) {
+        const rule = staffingRules.find((r) => r.id === ruleId);
+        if (!rule) return;
+
+        setVal("staffing_rule_id", rule.id);
+        setVal("staffing_department", rule.department_id || "");
+        setVal("staffing_site", rule.work_site || "");
+        setVal("staffing_min", rule.min_on_duty);
+        setVal("staffing_note", rule.note);
+        if ($("staffing_active")) $("staffing_active").checked = rule.is_active !== false;
+
+        const title = $("staffing-rule-form-title")?.querySelector("span");
+        if (title) title.textContent = "Edit Staffing Rule";
+    }
+
+    /**
+     * Clear the rule form back to "Add Staffing Rule"
+     */
+    function resetStaffingRuleForm() {
+        $("staffing-rule-form")?.reset();
+        setVal("staffing_rule_id", "");
+
+        const title = $("staffing-rule-form-title")?.querySelector("span");
+        if (title) title.textContent = "Add Staffing Rule";
+    }
+
+    /**
+     * Save rule form (create or update)
+     * @param {Event} e - Submit event
+     */
+    async function saveStaffingRule(e) {
+        e.preventDefault();
+
+        const { error } = await window.saveStaffingRule({
+            id: val("staffing_rule_id") || null,
+            department_id: val("staffing_department") || null,
+            work_site: val("staffing_site") || null,
+            min_on_duty: val("staffing_min"),
+            note: val("staffing_note") || null,
+            is_active: !!$("staffing_active")?.checked
+        });
+
+        if (error) {
+            return toast(`Failed: ${errorText(error)}`, "error");
+        }
+
+        toast("Staffing rule saved! Approvers are warned below this minimum.", "success");
+        resetStaffingRuleForm();
+        await loadStaffingRules();
+    }
+
+    /**
+     * Delete rule after confirmation
+     * @param {string} ruleId - Rule UUID
+     */
+    async function removeStaffingRule(ruleId) {
+        if (!confirm("Delete this staffing rule?")) return;
+
+        const { error } = await window.deleteStaffingRule(ruleId);
+        if (error) {
+            return toast(`Failed: ${errorText(error)}`, "error");
+        }
+
+        toast("Staffing rule deleted.", "success");
+        await loadStaffingRules();
+    }
+
+    // ================================================
+    // SECTION 11: FORM INITIALIZATION
     // ================================================
 
     /**
@@ -374,11 +1672,78 @@
             toast("Logo removed.", "info");
         });
 
+        // BPJS rate form
+        const bpjsForm = $("bpjs-rate-form");
+        if (bpjsForm) {
+            bpjsForm.addEventListener("submit", saveBPJSRate);
+            $("bpjs_program")?.addEventListener("change", () => {
+                setVal("bpjs_company_rate", "");
+                handleBPJSProgramChange();
+            });
+            $("bpjs_risk_class")?.addEventListener("change", () => {
+                setVal("bpjs_company_rate", "");
+                handleBPJSProgramChange();
+            });
+
+            const riskClasses = window.PayrollEngine?.JKK_RISK_CLASSES || {};
+            const riskSelect = $("bpjs_risk_class");
+            if (riskSelect) {
+                riskSelect.innerHTML = Object.keys(riskClasses)
+                    .map((key) => `<option value="${key}">Kelas ${key} (${formatPercent(riskClasses[key])})</option>`)
+                    .join("");
+            }
+            console.log("✅ BPJS rate form bound");
+        }
+
+        // Geofence form
+        const geofenceForm = $("geofence-form");
+        if (geofenceForm) {
+            geofenceForm.addEventListener("submit", saveGeofence);
+            $("btn-geofence-locate")?.addEventListener("click", useCurrentLocation);
+            console.log("✅ Geofence form bound");
+        }
+
+        // Holiday form
+        const holidayForm = $("holiday-form");
+        if (holidayForm) {
+            holidayForm.addEventListener("submit", saveHoliday);
+            $("holiday_type")?.addEventListener("change", handleHolidayTypeChange);
+            $("holiday_year")?.addEventListener("change", loadHolidays);
+            $("btn-holiday-import")?.addEventListener("click", importHolidayICS);
+            initHolidayYears();
+            console.log("✅ Holiday form bound");
+        }
+
+        // Leave approval chain & delegation forms
+        const chainForm = $("leave-chain-form");
+        if (chainForm) {
+            chainForm.addEventListener("submit", saveApprovalChain);
+            $("delegation-form")?.addEventListener("submit", saveDelegation);
+            console.log("✅ Leave approval forms bound");
+        }
+
+        // Leave policy form
+        const leavePolicyForm = $("leave-policy-form");
+        if (leavePolicyForm) {
+            leavePolicyForm.addEventListener("submit", saveLeavePolicy);
+            $("leave_policy_accrual_type")?.addEventListener("change", handleAccrualTypeChange);
+            $("leave_policy_preset")?.addEventListener("change", applyLeavePolicyPreset);
+            handleAccrualTypeChange();
+            console.log("✅ Leave policy form bound");
+        }
+
+        // Staffing rule form
+        const staffingForm = $("staffing-rule-form");
+        if (staffingForm) {
+            staffingForm.addEventListener("submit", saveStaffingRule);
+            console.log("✅ Staffing rule form bound");
+        }
+
         console.log("✅ Form handlers initialized");
     }
 
     // ================================================
-    // SECTION 6: MAIN INITIALIZATION
+    // SECTION 12: MAIN INITIALIZATION
     // ================================================
 
     /**
@@ -396,6 +1761,12 @@
         // Load company data if Supabase available
         if (typeof window.getDB === "function") {
             await loadCompany();
+            await loadBPJSRates();
+            await loadGeofences();
+            await loadHolidays();
+            await loadLeaveApproval();
+            await loadLeavePolicies();
+            await loadStaffingRules();
         } else {
             console.warn("⚠️ getDB() not found. Database features disabled.");
         }
@@ -417,6 +1788,38 @@
     window.loadCompanySettings = loadCompany;
     window.saveCompanySettings = saveCompany;
 
+    // Section 5: BPJS Rates
+    window.editBPJSRate = editBPJSRate;
+    window.removeBPJSRate = removeBPJSRate;
+    window.resetBPJSRateForm = resetBPJSRateForm;
+
+    // Section 6: Clock-in Geofences
+    window.editGeofence = editGeofence;
+    window.removeGeofence = removeGeofence;
+    window.resetGeofenceForm = resetGeofenceForm;
+
+    // Section 7: Holiday Calendar
+    window.editHoliday = editHoliday;
+    window.removeHoliday = removeHoliday;
+    window.resetHolidayForm = resetHolidayForm;
+
+    // Section 8: Leave Approval Chains
+    window.editApprovalChain = editApprovalChain;
+    window.removeApprovalChain = removeApprovalChain;
+    window.resetApprovalChainForm = resetApprovalChainForm;
+    window.saveDepartmentHead = saveDepartmentHead;
+    window.removeDelegation = removeDelegation;
+
+    // Section 9: Leave Policies
+    window.editLeavePolicy = editLeavePolicy;
+    window.removeLeavePolicy = removeLeavePolicy;
+    window.resetLeavePolicyForm = resetLeavePolicyForm;
+
+    // Section 10: Minimum Staffing
+    window.editStaffingRule = editStaffingRule;
+    window.removeStaffingRule = removeStaffingRule;
+    window.resetStaffingRuleForm = resetStaffingRuleForm;
+
     // ================================================
     // AUTO-INITIALIZE
     // ================================================
@@ -437,8 +1840,14 @@
     console.log("   2️⃣  Tab Management (2 functions)");
     console.log("   3️⃣  Password Management (2 functions)");
     console.log("   4️⃣  Company Profile (2 functions)");
-    console.log("   5️⃣  Form Initialization (1 function)");
-    console.log("   6️⃣  Main Initialization (1 function)");
-    console.log("📊 Total: 12 functions (4 exposed globally)");
+    console.log("   5️⃣  BPJS Rates (8 functions)");
+    console.log("   6️⃣  Clock-in Geofences (8 functions)");
+    console.log("   7️⃣  Holiday Calendar (9 functions)");
+    console.log("   8️⃣  Leave Approval Chains (14 functions)");
+    console.log("   9️⃣  Leave Policies (10 functions)");
+    console.log("   🔟 Minimum Staffing (6 functions)");
+    console.log("   1️⃣1️⃣ Form Initialization (1 function)");
+    console.log("   1️⃣2️⃣ Main Initialization (1 function)");
+    console.log("📊 Total: 67 functions (24 exposed globally)");
 
 })();